@@ -350,6 +350,75 @@ self.addEventListener('message', (event) => {
     }
 });
 
+// Web Push - show new messages and listing alerts
+self.addEventListener('push', (event) => {
+    if (!event.data) return;
+
+    let payload;
+    try {
+        payload = event.data.json();
+    } catch {
+        payload = { title: 'Renters', body: event.data.text() };
+    }
+
+    event.waitUntil(showPushNotification(payload));
+});
+
+// Open the page a notification points to
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+
+    const url = new URL(event.notification.data?.url || '/notifications', self.location.origin).href;
+    event.waitUntil(openPage(url));
+});
+
+// Show a push payload ({ type, title, body, url, tag }) as a notification
+async function showPushNotification(payload) {
+    const url = payload.url || '/notifications';
+    const { pathname } = new URL(url, self.location.origin);
+
+    // Skip it when the user is already looking at that page, e.g. the open chat
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const isOpen = windows.some(client =>
+        client.focused &&
+        client.visibilityState === 'visible' &&
+        new URL(client.url).pathname === pathname
+    );
+    if (isOpen) return;
+
+    await self.registration.showNotification(payload.title || 'Renters', {
+        body: payload.body || '',
+        icon: '/Logo1.png',
+        badge: '/favicon-32x32.png',
+        // Notifications with the same tag (e.g. one conversation) replace each other
+        tag: payload.tag,
+        renotify: Boolean(payload.tag),
+        data: { url, type: payload.type },
+    });
+}
+
+// Focus a window already showing the URL, otherwise reuse or open a window
+async function openPage(url) {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+
+    const existing = windows.find(client => client.url === url);
+    if (existing) {
+        return existing.focus();
+    }
+
+    const appWindow = windows.find(client => new URL(client.url).origin === self.location.origin);
+    if (appWindow) {
+        try {
+            const navigated = await appWindow.navigate(url);
+            if (navigated) return navigated.focus();
+        } catch {
+            // Uncontrolled windows cannot be navigated; open a new one instead
+        }
+    }
+
+    return self.clients.openWindow(url);
+}
+
 // Cache specific property data
 async function cacheProperty(propertyData) {
     try {
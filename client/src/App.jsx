@@ -59,6 +59,7 @@ const CategoryManagement = lazy(() => import("./pages/admin/CategoryManagement")
 const ContentManagement = lazy(() => import("./pages/admin/ContentManagement"));
 const NotificationManagement = lazy(() => import("./pages/admin/NotificationManagement"));
 const ReviewModeration = lazy(() => import("./pages/admin/ReviewModeration"));
+const MessageReports = lazy(() => import("./pages/admin/MessageReports"));
 const TestimonialManagement = lazy(() => import("./pages/admin/TestimonialManagement"));
 const SystemSettings = lazy(() => import("./pages/admin/SystemSettings"));
 const Reports = lazy(() => import("./pages/admin/Reports"));
@@ -220,6 +221,7 @@ const App = () => {
                             <Route path="/admin/content" element={<AdminRouteWrapper><ContentManagement /></AdminRouteWrapper>} />
                             <Route path="/admin/notifications" element={<AdminRouteWrapper><NotificationManagement /></AdminRouteWrapper>} />
                             <Route path="/admin/reviews" element={<AdminRouteWrapper><ReviewModeration /></AdminRouteWrapper>} />
+                            <Route path="/admin/message-reports" element={<AdminRouteWrapper><MessageReports /></AdminRouteWrapper>} />
                             <Route path="/admin/testimonials" element={<AdminRouteWrapper><TestimonialManagement /></AdminRouteWrapper>} />
                             <Route path="/admin/settings" element={<AdminRouteWrapper><SystemSettings /></AdminRouteWrapper>} />
                             <Route path="/admin/reports" element={<AdminRouteWrapper><Reports /></AdminRouteWrapper>} />
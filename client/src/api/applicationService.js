@@ -0,0 +1,126 @@
+/**
+ * Application Service - handles rental applications and owner screening
+ */
+
+import { getToken, isAuthenticated } from '../utils/auth';
+
+/**
+ * Get auth headers for API requests
+ */
+const getAuthHeaders = () => {
+    const token = getToken();
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': token ? `Bearer ${token}` : ''
+    };
+};
+
+/**
+ * Parse a JSON API response, throwing the server message on failure
+ */
+const handleResponse = async (response, fallbackMessage) => {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.success === false) {
+        const error = new Error(data.message || fallbackMessage);
+        error.code = data.error;
+        error.status = response.status;
+        throw error;
+    }
+    return data.data;
+};
+
+const requireAuth = () => {
+    if (!isAuthenticated()) {
+        throw new Error('Authentication required');
+    }
+};
+
+const applicationService = {
+    /**
+     * Apply to rent a property
+     * @param {string} propertyId - Property ID
+     * @param {Object} application - { householdSize, moveInDate, occupation, incomeRange, message }
+     * @param {Array<{file: File, documentType: string}>} documents - Supporting documents
+     * @returns {Promise<Object>} Created application
+     */
+    submitApplication: async (propertyId, application, documents = []) => {
+        requireAuth();
+        const formData = new FormData();
+        Object.entries(application).forEach(([key, value]) => {
+            if (value !== undefined && value !== null) formData.append(key, value);
+        });
+        documents.forEach(({ file, documentType }) => {
+            formData.append('documents', file);
+            formData.append('documentTypes', documentType);
+        });
+
+        // No Content-Type header: the browser sets the multipart boundary
+        const response = await fetch(`/api/applications/properties/${propertyId}`, {
+            method: 'POST',
+            headers: { 'Authorization': getAuthHeaders().Authorization },
+            body: formData
+        });
+        return handleResponse(response, 'Failed to submit application');
+    },
+
+    /**
+     * Get applications the current user has submitted
+     * @param {{status?: string, page?: number, limit?: number}} params
+     * @returns {Promise<{applications: Array, pagination: Object}>}
+     */
+    getSubmittedApplications: async (params = {}) => {
+        requireAuth();
+        const query = new URLSearchParams(params).toString();
+        const response = await fetch(`/api/applications/mine${query ? `?${query}` : ''}`, {
+            headers: getAuthHeaders()
+        });
+        return handleResponse(response, 'Failed to fetch applications');
+    },
+
+    /**
+     * Get applications received on the current user's listings
+     * @param {{propertyId?: string, status?: string, page?: number, limit?: number}} params
+     * @returns {Promise<{applications: Array, pagination: Object}>}
+     */
+    getReceivedApplications: async (params = {}) => {
+        requireAuth();
+        const query = new URLSearchParams(params).toString();
+        const response = await fetch(`/api/applications/received${query ? `?${query}` : ''}`, {
+            headers: getAuthHeaders()
+        });
+        return handleResponse(response, 'Failed to fetch applications');
+    },
+
+    /**
+     * Shortlist, accept or reject an application (owner only)
+     * @param {string} applicationId - Application ID
+     * @param {string} status - "shortlisted", "accepted" or "rejected"
+     * @param {string} note - Optional note for the applicant
+     * @returns {Promise<{application: Object, closedApplications: number}>}
+     */
+    updateStatus: async (applicationId, status, note = '') => {
+        requireAuth();
+        const response = await fetch(`/api/applications/${applicationId}/status`, {
+            method: 'PATCH',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ status, note })
+        });
+        return handleResponse(response, 'Failed to update application');
+    },
+
+    /**
+     * Withdraw an open application (applicant only)
+     * @param {string} applicationId - Application ID
+     * @returns {Promise<Object>} Withdrawn application
+     */
+    withdrawApplication: async (applicationId) => {
+        requireAuth();
+        const response = await fetch(`/api/applications/${applicationId}/withdraw`, {
+            method: 'PATCH',
+            headers: getAuthHeaders()
+        });
+        return handleResponse(response, 'Failed to withdraw application');
+    }
+};
+
+export default applicationService;
@@ -1,7 +1,7 @@
 const SEARCH_ENDPOINTS = {
     GET_SEARCH_RESULTS: "/api/properties/search",
     ADVANCED_SEARCH: "/api/properties/advanced-search",
-    SEARCH_SUGGESTIONS: "/api/properties/search-suggestions",
+    SEARCH_SUGGESTIONS: "/api/search/suggest",
     RECENT_SEARCHES: "/api/properties/recent-searches"
 }
 
@@ -0,0 +1,63 @@
+/**
+ * Feed Service - handles the personalized home feed and listing view history
+ */
+
+import { getToken, isAuthenticated } from '../utils/auth';
+
+/**
+ * Get auth headers for API requests
+ */
+const getAuthHeaders = () => {
+    const token = getToken();
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': token ? `Bearer ${token}` : ''
+    };
+};
+
+/**
+ * Parse a JSON API response, throwing the server message on failure
+ */
+const handleResponse = async (response, fallbackMessage) => {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.success === false) {
+        const error = new Error(data.message || fallbackMessage);
+        error.code = data.error;
+        error.status = response.status;
+        throw error;
+    }
+    return data.data;
+};
+
+const feedService = {
+    /**
+     * Get the current user's home feed
+     * @returns {Promise<{personalized: boolean, recommended: Array, recentlyViewed: Array}>}
+     */
+    getFeed: async () => {
+        if (!isAuthenticated()) {
+            throw new Error('Authentication required');
+        }
+        const response = await fetch('/api/feed', {
+            headers: getAuthHeaders()
+        });
+        return handleResponse(response, 'Failed to fetch feed');
+    },
+
+    /**
+     * Record that the current user opened a listing.
+     * Does nothing for guests; the server skips it when view history is turned off.
+     * @param {string} propertyId - Property ID
+     */
+    recordView: async (propertyId) => {
+        if (!isAuthenticated()) return null;
+        const response = await fetch('/api/feed/views', {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ propertyId })
+        });
+        return handleResponse(response, 'Failed to record view');
+    }
+};
+
+export default feedService;
@@ -105,15 +105,51 @@ const messageService = {
         }
     },
 
+    /**
+     * Get a page of messages in a conversation by message ID cursor
+     * @param {string} conversationId - Conversation ID
+     * @param {Object} params - { before, after, limit }; before = older than, after = newer than
+     * @returns {Promise<Object>} Response with messages and pagination
+     */
+    getMessages: async (conversationId, params = {}) => {
+        try {
+            if (!conversationId) {
+                return createResponse(false, null, {
+                    code: 'INVALID_INPUT',
+                    message: 'Conversation ID is required'
+                });
+            }
+
+            const { before, after, limit = 50 } = params;
+            const queryParams = new URLSearchParams({ limit });
+            if (before) queryParams.set('before', before);
+            if (after) queryParams.set('after', after);
+
+            const response = await fetch(`/api/messages/conversations/${conversationId}/messages?${queryParams}`, {
+                method: 'GET',
+                headers: getAuthHeaders()
+            });
+
+            return handleResponse(response);
+        } catch (error) {
+            console.error('Error fetching messages:', error);
+            return createResponse(false, null, {
+                code: 'NETWORK_ERROR',
+                message: error.message || 'Failed to fetch messages'
+            });
+        }
+    },
+
     /**
      * Send a message in a conversation
      * Requirement 2.1: Persist message with sender ID, text, timestamp, and read status
      * @param {string} conversationId - Conversation ID
      * @param {string} text - Message text
      * @param {File} file - Optional file attachment
+     * @param {string} replyToId - Optional ID of the message being replied to
      * @returns {Promise<Object>} Response with created message
      */
-    sendMessage: async (conversationId, text, file = null) => {
+    sendMessage: async (conversationId, text, file = null, replyToId = null) => {
         try {
             if (!conversationId) {
                 return createResponse(false, null, {
@@ -138,6 +174,9 @@ const messageService = {
                     formData.append('text', text.trim());
                 }
                 formData.append('file', file);
+                if (replyToId) {
+                    formData.append('replyTo', replyToId);
+                }
 
                 response = await fetch(`/api/messages/conversations/${conversationId}/messages`, {
                     method: 'POST',
@@ -149,7 +188,7 @@ const messageService = {
                 response = await fetch(`/api/messages/conversations/${conversationId}/messages`, {
                     method: 'POST',
                     headers: getAuthHeaders(),
-                    body: JSON.stringify({ text: text.trim() })
+                    body: JSON.stringify({ text: text.trim(), ...(replyToId && { replyTo: replyToId }) })
                 });
             }
 
@@ -262,6 +301,314 @@ const messageService = {
         }
     },
 
+    /**
+     * Edit the text of your own message (allowed for a limited time after sending)
+     * @param {string} messageId - Message ID
+     * @param {string} text - New message text
+     * @returns {Promise<Object>} Response with the edited message and its edit history
+     */
+    editMessage: async (messageId, text) => {
+        try {
+            if (!messageId || !text?.trim()) {
+                return createResponse(false, null, {
+                    code: 'INVALID_INPUT',
+                    message: 'Message ID and text are required'
+                });
+            }
+
+            const response = await fetch(`/api/messages/messages/${messageId}`, {
+                method: 'PATCH',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ text: text.trim() })
+            });
+
+            return handleResponse(response);
+        } catch (error) {
+            console.error('Error editing message:', error);
+            return createResponse(false, null, {
+                code: 'NETWORK_ERROR',
+                message: error.message || 'Failed to edit message'
+            });
+        }
+    },
+
+    /**
+     * Add or remove your emoji reaction on a message
+     * @param {string} messageId - Message ID
+     * @param {string} emoji - Emoji to toggle
+     * @returns {Promise<Object>} Response with the message's reactions
+     */
+    toggleReaction: async (messageId, emoji) => {
+        try {
+            if (!messageId || !emoji) {
+                return createResponse(false, null, {
+                    code: 'INVALID_INPUT',
+                    message: 'Message ID and emoji are required'
+                });
+            }
+
+            const response = await fetch(`/api/messages/messages/${messageId}/reactions`, {
+                method: 'POST',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ emoji })
+            });
+
+            return handleResponse(response);
+        } catch (error) {
+            console.error('Error updating reaction:', error);
+            return createResponse(false, null, {
+                code: 'NETWORK_ERROR',
+                message: error.message || 'Failed to update reaction'
+            });
+        }
+    },
+
+    /**
+     * Report a message from the other participant for moderator review
+     * @param {string} messageId - Message ID
+     * @param {string} reason - spam, scam, harassment, inappropriate or other
+     * @param {string} details - Optional description
+     * @returns {Promise<Object>} Response with the created report
+     */
+    reportMessage: async (messageId, reason, details = '') => {
+        try {
+            if (!messageId || !reason) {
+                return createResponse(false, null, {
+                    code: 'INVALID_INPUT',
+                    message: 'Message ID and reason are required'
+                });
+            }
+
+            const response = await fetch(`/api/messages/messages/${messageId}/report`, {
+                method: 'POST',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ reason, details })
+            });
+
+            return handleResponse(response);
+        } catch (error) {
+            console.error('Error reporting message:', error);
+            return createResponse(false, null, {
+                code: 'NETWORK_ERROR',
+                message: error.message || 'Failed to report message'
+            });
+        }
+    },
+
+    /**
+     * Get the users the current user has blocked
+     * @returns {Promise<Object>} Response with blocked users
+     */
+    getBlockedUsers: async () => {
+        try {
+            const response = await fetch('/api/messages/blocked-users', {
+                method: 'GET',
+                headers: getAuthHeaders()
+            });
+
+            return handleResponse(response);
+        } catch (error) {
+            console.error('Error fetching blocked users:', error);
+            return createResponse(false, null, {
+                code: 'NETWORK_ERROR',
+                message: error.message || 'Failed to fetch blocked users'
+            });
+        }
+    },
+
+    /**
+     * Block a user so neither side can message the other
+     * @param {string} userId - User to block
+     * @returns {Promise<Object>} Response with block status
+     */
+    blockUser: async (userId) => {
+        try {
+            if (!userId) {
+                return createResponse(false, null, {
+                    code: 'INVALID_INPUT',
+                    message: 'User ID is required'
+                });
+            }
+
+            const response = await fetch('/api/messages/blocked-users', {
+                method: 'POST',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ userId })
+            });
+
+            return handleResponse(response);
+        } catch (error) {
+            console.error('Error blocking user:', error);
+            return createResponse(false, null, {
+                code: 'NETWORK_ERROR',
+                message: error.message || 'Failed to block user'
+            });
+        }
+    },
+
+    /**
+     * Unblock a user
+     * @param {string} userId - User to unblock
+     * @returns {Promise<Object>} Response with unblock status
+     */
+    unblockUser: async (userId) => {
+        try {
+            if (!userId) {
+                return createResponse(false, null, {
+                    code: 'INVALID_INPUT',
+                    message: 'User ID is required'
+                });
+            }
+
+            const response = await fetch(`/api/messages/blocked-users/${userId}`, {
+                method: 'DELETE',
+                headers: getAuthHeaders()
+            });
+
+            return handleResponse(response);
+        } catch (error) {
+            console.error('Error unblocking user:', error);
+            return createResponse(false, null, {
+                code: 'NETWORK_ERROR',
+                message: error.message || 'Failed to unblock user'
+            });
+        }
+    },
+
+    /**
+     * Get the user's quick replies and auto-response
+     * @param {string} conversationId - Optional; replies then include renderedText for its property
+     * @returns {Promise<Object>} Response with quickReplies, autoResponse and placeholders
+     */
+    getQuickReplies: async (conversationId = null) => {
+        try {
+            const queryParams = new URLSearchParams();
+            if (conversationId) queryParams.set('conversationId', conversationId);
+
+            const response = await fetch(`/api/messages/quick-replies?${queryParams}`, {
+                method: 'GET',
+                headers: getAuthHeaders()
+            });
+
+            return handleResponse(response);
+        } catch (error) {
+            console.error('Error fetching quick replies:', error);
+            return createResponse(false, null, {
+                code: 'NETWORK_ERROR',
+                message: error.message || 'Failed to fetch quick replies'
+            });
+        }
+    },
+
+    /**
+     * Save a quick reply
+     * @param {string} title - Short name shown in the picker
+     * @param {string} text - Reply text, may contain placeholders such as {{title}}
+     * @returns {Promise<Object>} Response with the saved quickReply
+     */
+    createQuickReply: async (title, text) => {
+        try {
+            const response = await fetch('/api/messages/quick-replies', {
+                method: 'POST',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ title, text })
+            });
+
+            return handleResponse(response);
+        } catch (error) {
+            console.error('Error saving quick reply:', error);
+            return createResponse(false, null, {
+                code: 'NETWORK_ERROR',
+                message: error.message || 'Failed to save quick reply'
+            });
+        }
+    },
+
+    /**
+     * Update a quick reply
+     * @param {string} replyId - Quick reply ID
+     * @param {string} title - New title
+     * @param {string} text - New text
+     * @returns {Promise<Object>} Response with the updated quickReply
+     */
+    updateQuickReply: async (replyId, title, text) => {
+        try {
+            if (!replyId) {
+                return createResponse(false, null, {
+                    code: 'INVALID_INPUT',
+                    message: 'Quick reply ID is required'
+                });
+            }
+
+            const response = await fetch(`/api/messages/quick-replies/${replyId}`, {
+                method: 'PUT',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ title, text })
+            });
+
+            return handleResponse(response);
+        } catch (error) {
+            console.error('Error updating quick reply:', error);
+            return createResponse(false, null, {
+                code: 'NETWORK_ERROR',
+                message: error.message || 'Failed to update quick reply'
+            });
+        }
+    },
+
+    /**
+     * Delete a quick reply
+     * @param {string} replyId - Quick reply ID
+     * @returns {Promise<Object>} Response with deletion status
+     */
+    deleteQuickReply: async (replyId) => {
+        try {
+            if (!replyId) {
+                return createResponse(false, null, {
+                    code: 'INVALID_INPUT',
+                    message: 'Quick reply ID is required'
+                });
+            }
+
+            const response = await fetch(`/api/messages/quick-replies/${replyId}`, {
+                method: 'DELETE',
+                headers: getAuthHeaders()
+            });
+
+            return handleResponse(response);
+        } catch (error) {
+            console.error('Error deleting quick reply:', error);
+            return createResponse(false, null, {
+                code: 'NETWORK_ERROR',
+                message: error.message || 'Failed to delete quick reply'
+            });
+        }
+    },
+
+    /**
+     * Set the auto-response sent when someone starts a conversation about one of the user's properties
+     * @param {boolean} enabled - Whether to send it
+     * @param {string} text - Auto-response text, may contain placeholders
+     * @returns {Promise<Object>} Response with the saved autoResponse
+     */
+    updateAutoResponse: async (enabled, text = '') => {
+        try {
+            const response = await fetch('/api/messages/auto-response', {
+                method: 'PUT',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ enabled, text })
+            });
+
+            return handleResponse(response);
+        } catch (error) {
+            console.error('Error updating auto-response:', error);
+            return createResponse(false, null, {
+                code: 'NETWORK_ERROR',
+                message: error.message || 'Failed to update auto-response'
+            });
+        }
+    },
+
     /**
      * Delete a conversation
      * @param {string} conversationId - Conversation ID
@@ -311,6 +658,33 @@ const messageService = {
                 message: error.message || 'Failed to fetch unread count'
             });
         }
+    },
+
+    /**
+     * Search the user's conversations by message text, counterpart name and property title
+     * @param {string} query - Search text (at least 2 characters)
+     * @param {Object} params - { before, limit }; before = message ID cursor for the next page
+     * @returns {Promise<Object>} Response with message hits, conversation hits and pagination
+     */
+    searchMessages: async (query, params = {}) => {
+        try {
+            const { before, limit = 20 } = params;
+            const queryParams = new URLSearchParams({ q: query, limit });
+            if (before) queryParams.set('before', before);
+
+            const response = await fetch(`/api/messages/search?${queryParams}`, {
+                method: 'GET',
+                headers: getAuthHeaders()
+            });
+
+            return handleResponse(response);
+        } catch (error) {
+            console.error('Error searching messages:', error);
+            return createResponse(false, null, {
+                code: 'NETWORK_ERROR',
+                message: error.message || 'Failed to search messages'
+            });
+        }
     }
 };
 
@@ -149,6 +149,73 @@ const notificationService = {
                 message: error.message || 'Failed to mark all notifications as read'
             });
         }
+    },
+
+    /**
+     * Get the server's VAPID public key for subscribing to push notifications
+     * @returns {Promise<Object>} Response with publicKey
+     */
+    getPushPublicKey: async () => {
+        try {
+            const response = await fetch('/api/notifications/push/public-key', {
+                method: 'GET',
+                headers: getAuthHeaders()
+            });
+
+            return handleResponse(response);
+        } catch (error) {
+            console.error('Error fetching push public key:', error);
+            return createResponse(false, null, {
+                code: 'NETWORK_ERROR',
+                message: error.message || 'Failed to fetch push public key'
+            });
+        }
+    },
+
+    /**
+     * Save this browser's push subscription
+     * @param {PushSubscription} subscription - Subscription from pushManager.subscribe
+     * @returns {Promise<Object>} Response with success status
+     */
+    savePushSubscription: async (subscription) => {
+        try {
+            const response = await fetch('/api/notifications/push/subscriptions', {
+                method: 'POST',
+                headers: getAuthHeaders(),
+                body: JSON.stringify(subscription.toJSON())
+            });
+
+            return handleResponse(response);
+        } catch (error) {
+            console.error('Error saving push subscription:', error);
+            return createResponse(false, null, {
+                code: 'NETWORK_ERROR',
+                message: error.message || 'Failed to save push subscription'
+            });
+        }
+    },
+
+    /**
+     * Remove this browser's push subscription
+     * @param {string} endpoint - Subscription endpoint
+     * @returns {Promise<Object>} Response with success status
+     */
+    deletePushSubscription: async (endpoint) => {
+        try {
+            const response = await fetch('/api/notifications/push/subscriptions', {
+                method: 'DELETE',
+                headers: getAuthHeaders(),
+                body: JSON.stringify({ endpoint })
+            });
+
+            return handleResponse(response);
+        } catch (error) {
+            console.error('Error removing push subscription:', error);
+            return createResponse(false, null, {
+                code: 'NETWORK_ERROR',
+                message: error.message || 'Failed to remove push subscription'
+            });
+        }
     }
 };
 
@@ -109,6 +109,29 @@ const propertyService = {
      */
     searchBuyProperties: (filters = {}) => {
         return apiClient.post(PROPERTY_ENDPOINTS.SEARCH_BUY_PROPERTIES, filters);
+    },
+
+    // ==================== PRICE HISTORY ====================
+
+    /**
+     * Get the listed price history of a property
+     * @param {string} propertyId - Property ID
+     * @returns {Promise} API response with price points and summary
+     */
+    getPriceHistory: (propertyId) => {
+        return apiClient.get(`${PROPERTY_ENDPOINTS.GET_ALL_PROPERTIES}/${propertyId}/price-history`);
+    },
+
+    // ==================== RECOMMENDATIONS ====================
+
+    /**
+     * Get listings similar to a property, best match first
+     * @param {string} propertyId - Property ID
+     * @param {Object} params - Query parameters (limit)
+     * @returns {Promise} API response with similar listings
+     */
+    getSimilarProperties: (propertyId, params = {}) => {
+        return apiClient.get(`${PROPERTY_ENDPOINTS.GET_ALL_PROPERTIES}/${propertyId}/similar`, { params });
     }
 };
 
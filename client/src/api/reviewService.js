@@ -0,0 +1,115 @@
+/**
+ * Review Service - handles public property reviews
+ */
+
+import { getToken, isAuthenticated } from '../utils/auth';
+
+/**
+ * Get auth headers for API requests
+ */
+const getAuthHeaders = () => {
+    const token = getToken();
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': token ? `Bearer ${token}` : ''
+    };
+};
+
+/**
+ * Parse a JSON API response, throwing the server message on failure
+ */
+const handleResponse = async (response, fallbackMessage) => {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.success === false) {
+        const error = new Error(data.message || fallbackMessage);
+        error.code = data.error;
+        error.status = response.status;
+        throw error;
+    }
+    return data.data;
+};
+
+const reviewService = {
+    /**
+     * Get approved reviews and the rating summary for a property
+     * @param {string} propertyId - Property ID
+     * @param {Object} params - Query params (page, limit, sort)
+     * @returns {Promise<{reviews: Array, pagination: Object, summary: Object}>}
+     */
+    getReviews: async (propertyId, params = {}) => {
+        const query = new URLSearchParams(params).toString();
+        const response = await fetch(`/api/properties/${propertyId}/reviews${query ? `?${query}` : ''}`);
+        return handleResponse(response, 'Failed to fetch reviews');
+    },
+
+    /**
+     * Check whether the current user may review a property
+     * @param {string} propertyId - Property ID
+     * @returns {Promise<{canReview: boolean, reason: string|null, existingReview: Object|null}>}
+     */
+    getEligibility: async (propertyId) => {
+        if (!isAuthenticated()) {
+            return { canReview: false, reason: 'NOT_AUTHENTICATED', existingReview: null };
+        }
+        const response = await fetch(`/api/properties/${propertyId}/reviews/eligibility`, {
+            headers: getAuthHeaders()
+        });
+        return handleResponse(response, 'Failed to check review eligibility');
+    },
+
+    /**
+     * Submit a review for a property
+     * @param {string} propertyId - Property ID
+     * @param {{rating: number, comment: string}} review - Review content
+     * @returns {Promise<Object>} Created review (pending moderation)
+     */
+    submitReview: async (propertyId, review) => {
+        if (!isAuthenticated()) {
+            throw new Error('Authentication required');
+        }
+        const response = await fetch(`/api/properties/${propertyId}/reviews`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(review)
+        });
+        return handleResponse(response, 'Failed to submit review');
+    },
+
+    /**
+     * Mark a review as helpful
+     * @param {string} propertyId - Property ID
+     * @param {string} reviewId - Review ID
+     * @returns {Promise<{helpfulCount: number}>}
+     */
+    markHelpful: async (propertyId, reviewId) => {
+        if (!isAuthenticated()) {
+            throw new Error('Authentication required');
+        }
+        const response = await fetch(`/api/properties/${propertyId}/reviews/${reviewId}/helpful`, {
+            method: 'POST',
+            headers: getAuthHeaders()
+        });
+        return handleResponse(response, 'Failed to mark review as helpful');
+    },
+
+    /**
+     * Report a review as inappropriate
+     * @param {string} propertyId - Property ID
+     * @param {string} reviewId - Review ID
+     * @param {string} reason - Optional reason
+     * @returns {Promise<{reportCount: number}>}
+     */
+    reportReview: async (propertyId, reviewId, reason = '') => {
+        if (!isAuthenticated()) {
+            throw new Error('Authentication required');
+        }
+        const response = await fetch(`/api/properties/${propertyId}/reviews/${reviewId}/report`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ reason })
+        });
+        return handleResponse(response, 'Failed to report review');
+    }
+};
+
+export default reviewService;
@@ -0,0 +1,99 @@
+/**
+ * Saved Search Service - handles saved listing searches and their alerts
+ */
+
+import { getToken, isAuthenticated } from '../utils/auth';
+
+/**
+ * Get auth headers for API requests
+ */
+const getAuthHeaders = () => {
+    const token = getToken();
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': token ? `Bearer ${token}` : ''
+    };
+};
+
+/**
+ * Parse a JSON API response, throwing the server message on failure
+ */
+const handleResponse = async (response, fallbackMessage) => {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.success === false) {
+        const error = new Error(data.message || fallbackMessage);
+        error.code = data.error;
+        error.status = response.status;
+        throw error;
+    }
+    return data.data;
+};
+
+const savedSearchService = {
+    /**
+     * Get the current user's saved searches
+     * @returns {Promise<Array>} Saved searches, newest first
+     */
+    getSavedSearches: async () => {
+        if (!isAuthenticated()) {
+            throw new Error('Authentication required');
+        }
+        const response = await fetch('/api/saved-searches', {
+            headers: getAuthHeaders()
+        });
+        const data = await handleResponse(response, 'Failed to fetch saved searches');
+        return data.searches || [];
+    },
+
+    /**
+     * Save a search
+     * @param {{name: string, listingType: string, filters: Object, alertFrequency: string}} search
+     * @returns {Promise<Object>} Created saved search
+     */
+    createSavedSearch: async (search) => {
+        if (!isAuthenticated()) {
+            throw new Error('Authentication required');
+        }
+        const response = await fetch('/api/saved-searches', {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(search)
+        });
+        return handleResponse(response, 'Failed to save search');
+    },
+
+    /**
+     * Update a saved search's name, filters or alert frequency
+     * @param {string} searchId - Saved search ID
+     * @param {Object} updates - Fields to update
+     * @returns {Promise<Object>} Updated saved search
+     */
+    updateSavedSearch: async (searchId, updates) => {
+        if (!isAuthenticated()) {
+            throw new Error('Authentication required');
+        }
+        const response = await fetch(`/api/saved-searches/${searchId}`, {
+            method: 'PATCH',
+            headers: getAuthHeaders(),
+            body: JSON.stringify(updates)
+        });
+        return handleResponse(response, 'Failed to update saved search');
+    },
+
+    /**
+     * Delete a saved search
+     * @param {string} searchId - Saved search ID
+     */
+    deleteSavedSearch: async (searchId) => {
+        if (!isAuthenticated()) {
+            throw new Error('Authentication required');
+        }
+        const response = await fetch(`/api/saved-searches/${searchId}`, {
+            method: 'DELETE',
+            headers: getAuthHeaders()
+        });
+        return handleResponse(response, 'Failed to delete saved search');
+    }
+};
+
+export default savedSearchService;
@@ -69,6 +69,8 @@ const searchService = {
                 page: payload.page || 1,
                 limit: payload.limit || 12,
                 sort: payload.sort || "newest",
+                // Optional map area: { center, radiusKm }, { bounds } or { polygon }
+                geo: payload.geo || undefined,
                 filters: {
                     city: payload.location || "",
                     category: payload.category || "",
@@ -160,17 +162,34 @@ const searchService = {
     },
 
     // 3. Get Search Suggestions
-    getSearchSuggestions: async (query) => {
+    // Returns flat suggestion labels (for simple lists) plus the server's grouped suggestions
+    getSearchSuggestions: async (query, options = {}) => {
         try {
             if (!query || query.trim().length < 1) {
-                return { data: { suggestions: generateSearchSuggestions('', false) } };
+                return { data: { suggestions: [], groups: [] } };
             }
-            return { data: { suggestions: generateSearchSuggestions(query, false) } };
+            const { groups, items } = await searchService.getGroupedSuggestions(query, options);
+            return { data: { suggestions: items.map(item => item.label), groups } };
         } catch (error) {
-            return { data: { suggestions: [] } };
+            return { data: { suggestions: generateSearchSuggestions(query, false), groups: [] } };
         }
     },
 
+    // 3b. Get Grouped Suggestions (cities, areas, categories, property types, listings)
+    // Each item is { kind, label, value, count, ... }; listingType is "rent" or "buy"
+    getGroupedSuggestions: async (query, { listingType, limit } = {}) => {
+        const params = { q: query.trim() };
+        if (listingType) params.listingType = listingType;
+        if (limit) params.limit = limit;
+
+        const response = await apiClient.get(SEARCH_ENDPOINTS.SEARCH_SUGGESTIONS, { params });
+        const data = response.data?.data || {};
+        return {
+            groups: data.groups || [],
+            items: data.suggestions || []
+        };
+    },
+
     // 4. Get Recent Searches
     getRecentSearches: async () => {
         try {
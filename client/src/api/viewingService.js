@@ -0,0 +1,147 @@
+/**
+ * Viewing Service - handles viewing slots and booked property visits
+ */
+
+import { getToken, isAuthenticated } from '../utils/auth';
+
+/**
+ * Get auth headers for API requests
+ */
+const getAuthHeaders = () => {
+    const token = getToken();
+    return {
+        'Content-Type': 'application/json',
+        'Authorization': token ? `Bearer ${token}` : ''
+    };
+};
+
+/**
+ * Parse a JSON API response, throwing the server message on failure
+ */
+const handleResponse = async (response, fallbackMessage) => {
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.success === false) {
+        const error = new Error(data.message || fallbackMessage);
+        error.code = data.error;
+        error.status = response.status;
+        throw error;
+    }
+    return data.data;
+};
+
+const requireAuth = () => {
+    if (!isAuthenticated()) {
+        throw new Error('Authentication required');
+    }
+};
+
+const viewingService = {
+    /**
+     * Get upcoming viewing slots of a property.
+     * Owners also get booked slots with the seeker's details.
+     * @param {string} propertyId - Property ID
+     * @returns {Promise<{slots: Array, isOwner: boolean}>}
+     */
+    getSlots: async (propertyId) => {
+        const headers = isAuthenticated() ? getAuthHeaders() : { 'Content-Type': 'application/json' };
+        const response = await fetch(`/api/viewings/properties/${propertyId}/slots`, { headers });
+        const data = await handleResponse(response, 'Failed to fetch viewing slots');
+        return { slots: data.slots || [], isOwner: Boolean(data.isOwner) };
+    },
+
+    /**
+     * Publish viewing slots for a property (owner only)
+     * @param {string} propertyId - Property ID
+     * @param {Array<{startsAt: string, endsAt: string}>} slots - Slots to publish
+     * @returns {Promise<Array>} Created slots
+     */
+    createSlots: async (propertyId, slots) => {
+        requireAuth();
+        const response = await fetch(`/api/viewings/properties/${propertyId}/slots`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ slots })
+        });
+        const data = await handleResponse(response, 'Failed to publish viewing slots');
+        return data.slots || [];
+    },
+
+    /**
+     * Remove a viewing slot, cancelling its booking if any (owner only)
+     * @param {string} slotId - Slot ID
+     * @param {string} reason - Optional reason shown to the seeker
+     */
+    cancelSlot: async (slotId, reason = '') => {
+        requireAuth();
+        const response = await fetch(`/api/viewings/slots/${slotId}`, {
+            method: 'DELETE',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ reason })
+        });
+        return handleResponse(response, 'Failed to remove viewing slot');
+    },
+
+    /**
+     * Book a viewing slot
+     * @param {string} slotId - Slot ID
+     * @param {string} note - Optional note for the owner
+     * @returns {Promise<Object>} Created appointment
+     */
+    bookSlot: async (slotId, note = '') => {
+        requireAuth();
+        const response = await fetch(`/api/viewings/slots/${slotId}/book`, {
+            method: 'POST',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ note })
+        });
+        return handleResponse(response, 'Failed to book viewing');
+    },
+
+    /**
+     * Get the current user's viewings
+     * @param {{role?: string, scope?: string, page?: number, limit?: number}} params
+     * @returns {Promise<{appointments: Array, pagination: Object}>}
+     */
+    getAppointments: async (params = {}) => {
+        requireAuth();
+        const query = new URLSearchParams(params).toString();
+        const response = await fetch(`/api/viewings/appointments${query ? `?${query}` : ''}`, {
+            headers: getAuthHeaders()
+        });
+        return handleResponse(response, 'Failed to fetch viewings');
+    },
+
+    /**
+     * Move a booked viewing to another slot of the same property
+     * @param {string} appointmentId - Appointment ID
+     * @param {string} slotId - New slot ID
+     * @returns {Promise<Object>} Updated appointment
+     */
+    rescheduleAppointment: async (appointmentId, slotId) => {
+        requireAuth();
+        const response = await fetch(`/api/viewings/appointments/${appointmentId}/reschedule`, {
+            method: 'PATCH',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ slotId })
+        });
+        return handleResponse(response, 'Failed to reschedule viewing');
+    },
+
+    /**
+     * Cancel an upcoming viewing
+     * @param {string} appointmentId - Appointment ID
+     * @param {string} reason - Optional reason shown to the other participant
+     * @returns {Promise<Object>} Cancelled appointment
+     */
+    cancelAppointment: async (appointmentId, reason = '') => {
+        requireAuth();
+        const response = await fetch(`/api/viewings/appointments/${appointmentId}/cancel`, {
+            method: 'PATCH',
+            headers: getAuthHeaders(),
+            body: JSON.stringify({ reason })
+        });
+        return handleResponse(response, 'Failed to cancel viewing');
+    }
+};
+
+export default viewingService;
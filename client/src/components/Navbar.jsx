@@ -161,6 +161,8 @@ export default function Navbar({ variant = "default" }) {
         // Navigate to conversation if it's a message notification
         if (notification.type === 'message' && notification.data?.conversationId) {
             navigate(`/messages?conversation=${notification.data.conversationId}`);
+        } else if (notification.type === 'viewing' || notification.type === 'application') {
+            navigate('/dashboard');
         } else {
             navigate('/notifications');
         }
@@ -16,7 +16,8 @@ import {
   ClipboardList,
   X,
   Home,
-  Quote
+  Quote,
+  Flag
 } from 'lucide-react';
 
 /**
@@ -56,6 +57,7 @@ const navigationItems = [
     title: 'Communication',
     items: [
       { name: 'Notifications', href: '/admin/notifications', icon: Bell },
+      { name: 'Chat Reports', href: '/admin/message-reports', icon: Flag },
     ]
   },
   {
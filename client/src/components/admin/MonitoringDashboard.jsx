@@ -17,7 +17,9 @@ import {
   Settings,
   Users,
   MessageSquare,
-  Shield
+  Shield,
+  Database,
+  Trash2
 } from 'lucide-react';
 
 /**
@@ -36,6 +38,8 @@ const MonitoringDashboard = () => {
   const [isLoading, setIsLoading] = useState(true);
   const [lastUpdate, setLastUpdate] = useState(new Date());
   const [autoRefresh, setAutoRefresh] = useState(true);
+  const [cacheStats, setCacheStats] = useState(null);
+  const [isClearingCache, setIsClearingCache] = useState(false);
 
   // Fetch delivery metrics
   const fetchMetrics = useCallback(async () => {
@@ -94,6 +98,51 @@ const MonitoringDashboard = () => {
     }
   }, []);
 
+  // Fetch shared cache status and hit/miss metrics
+  const fetchCacheStats = useCallback(async () => {
+    try {
+      const response = await fetch('/api/admin/dashboard/cache', {
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setCacheStats(data.data || null);
+      }
+    } catch (error) {
+      console.error('Failed to fetch cache stats:', error);
+    }
+  }, []);
+
+  // Remove all cached entries and start metrics from zero
+  const clearCache = useCallback(async () => {
+    if (!window.confirm('Clear all cached search results? Metrics will be reset.')) return;
+
+    setIsClearingCache(true);
+    try {
+      const response = await fetch('/api/admin/dashboard/cache/clear', {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${localStorage.getItem('token')}`,
+          'Content-Type': 'application/json'
+        },
+        body: JSON.stringify({ resetStats: true })
+      });
+
+      if (response.ok) {
+        const data = await response.json();
+        setCacheStats(data.data || null);
+      }
+    } catch (error) {
+      console.error('Failed to clear cache:', error);
+    } finally {
+      setIsClearingCache(false);
+    }
+  }, []);
+
   // Refresh all data
   const refreshData = useCallback(async () => {
     setIsLoading(true);
@@ -101,13 +150,14 @@ const MonitoringDashboard = () => {
       await Promise.all([
         fetchMetrics(),
         fetchAlerts(),
-        fetchServiceHealth()
+        fetchServiceHealth(),
+        fetchCacheStats()
       ]);
       setLastUpdate(new Date());
     } finally {
       setIsLoading(false);
     }
-  }, [fetchMetrics, fetchAlerts, fetchServiceHealth]);
+  }, [fetchMetrics, fetchAlerts, fetchServiceHealth, fetchCacheStats]);
 
   // Initial data load
   useEffect(() => {
@@ -138,6 +188,10 @@ const MonitoringDashboard = () => {
     return alerts.filter(alert => alert.severity === 'critical');
   }, [alerts]);
 
+  const formatHitRate = (hitRate) => (
+    hitRate === null || hitRate === undefined ? '—' : `${(hitRate * 100).toFixed(1)}%`
+  );
+
   const getServiceStatusIcon = (status) => {
     switch (status) {
       case 'healthy':
@@ -275,6 +329,7 @@ const MonitoringDashboard = () => {
           <TabsTrigger value="services">Service Health</TabsTrigger>
           <TabsTrigger value="alerts">Alerts</TabsTrigger>
           <TabsTrigger value="metrics">Detailed Metrics</TabsTrigger>
+          <TabsTrigger value="cache">Cache</TabsTrigger>
           <TabsTrigger value="config">Configuration</TabsTrigger>
         </TabsList>
 
@@ -405,6 +460,108 @@ const MonitoringDashboard = () => {
           </Card>
         </TabsContent>
 
+        {/* Cache Tab */}
+        <TabsContent value="cache" className="space-y-4">
+          <Card>
+            <CardHeader className="flex flex-row items-start justify-between space-y-0">
+              <div>
+                <CardTitle>Shared Cache</CardTitle>
+                <CardDescription>
+                  Search results and nearby places. Hits and misses are counted by this server instance
+                  {cacheStats?.since && ` since ${new Date(cacheStats.since).toLocaleString()}`}
+                </CardDescription>
+              </div>
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={clearCache}
+                disabled={isClearingCache || !cacheStats}
+              >
+                <Trash2 className="h-4 w-4 mr-2" />
+                Clear cache
+              </Button>
+            </CardHeader>
+            <CardContent>
+              {cacheStats ? (
+                <div className="space-y-6">
+                  <div className="flex items-center justify-between p-4 border rounded-lg">
+                    <div className="flex items-center space-x-3">
+                      <Database className="h-5 w-5 text-muted-foreground" />
+                      <div>
+                        <h4 className="font-medium capitalize">{cacheStats.store.backend} store</h4>
+                        <p className="text-sm text-gray-600">
+                          {cacheStats.store.shared
+                            ? `Shared by all instances at ${cacheStats.store.server}`
+                            : `Per-process, ${cacheStats.store.entries} of ${cacheStats.store.maxEntries} entries used`}
+                        </p>
+                        {cacheStats.store.lastError && (
+                          <p className="text-sm text-red-600">{cacheStats.store.lastError}</p>
+                        )}
+                      </div>
+                    </div>
+                    {cacheStats.store.shared && (
+                      <Badge className={getServiceStatusColor(cacheStats.store.connected ? 'healthy' : 'unhealthy')}>
+                        {cacheStats.store.connected ? 'connected' : 'disconnected'}
+                      </Badge>
+                    )}
+                  </div>
+
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+                    <div>
+                      <div className="text-2xl font-bold">{formatHitRate(cacheStats.totals.hitRate)}</div>
+                      <p className="text-xs text-muted-foreground">Hit rate</p>
+                    </div>
+                    <div>
+                      <div className="text-2xl font-bold">{cacheStats.totals.hits.toLocaleString()}</div>
+                      <p className="text-xs text-muted-foreground">
+                        Hits (+{cacheStats.totals.staleHits.toLocaleString()} stale)
+                      </p>
+                    </div>
+                    <div>
+                      <div className="text-2xl font-bold">{cacheStats.totals.misses.toLocaleString()}</div>
+                      <p className="text-xs text-muted-foreground">Misses</p>
+                    </div>
+                    <div>
+                      <div className="text-2xl font-bold">{cacheStats.invalidations.entries.toLocaleString()}</div>
+                      <p className="text-xs text-muted-foreground">
+                        Entries invalidated ({cacheStats.invalidations.calls.toLocaleString()} updates)
+                      </p>
+                    </div>
+                  </div>
+
+                  <div>
+                    <h4 className="font-medium mb-3">Namespaces</h4>
+                    <div className="space-y-2">
+                      {cacheStats.namespaces.map(namespace => (
+                        <div key={namespace.name} className="flex justify-between items-center p-3 border rounded-lg">
+                          <div>
+                            <span className="font-medium">{namespace.name}</span>
+                            <p className="text-xs text-gray-500">
+                              TTL {Math.round(namespace.ttl / 1000)}s, stale for {Math.round(namespace.staleTtl / 1000)}s more
+                            </p>
+                          </div>
+                          <div className="text-right">
+                            <div className="font-medium">{formatHitRate(namespace.hitRate)}</div>
+                            <div className="text-sm text-gray-500">
+                              {namespace.hits} hits · {namespace.staleHits} stale · {namespace.misses} misses
+                              {namespace.errors + namespace.refreshErrors > 0 && ` · ${namespace.errors + namespace.refreshErrors} errors`}
+                            </div>
+                          </div>
+                        </div>
+                      ))}
+                    </div>
+                  </div>
+                </div>
+              ) : (
+                <div className="text-center py-8 text-gray-500">
+                  <Database className="h-12 w-12 mx-auto mb-4 text-gray-300" />
+                  <p>No cache statistics available</p>
+                </div>
+              )}
+            </CardContent>
+          </Card>
+        </TabsContent>
+
         {/* Configuration Tab */}
         <TabsContent value="config" className="space-y-4">
           <Card>
@@ -5,12 +5,21 @@ import {
     FILTER_PROPERTY_TYPE_OPTIONS, 
 } from "../../utils/propertyTypeStandardization";
 import { POSSESSION_STATUS_LABELS } from "@shared/propertyTypes";
+import { PriceHistogramSlider } from "./price-histogram-slider";
+import { getFacetCount, isFacetEmpty } from "../../utils/searchFacets";
+
+// Number of listings an option would return, shown once facet counts are loaded
+const OptionCount = ({ count, className = "" }) =>
+    count === null ? null : (
+        <span className={`text-[10px] font-semibold tabular-nums opacity-70 ${className}`}>{count}</span>
+    );
 
 /**
  * Buy-specific filter sidebar component
- * Displays filters relevant to properties for sale: city, price range, possession status, loan available
+ * Displays filters relevant to properties for sale: city, price range, possession status, loan available.
+ * With `facets` from the search response, options show live counts and empty ones are disabled.
  */
-export function BuyFilterSidebar({ filters, onFilterChange, hideHeader = false, compact = false }) {
+export function BuyFilterSidebar({ filters, onFilterChange, facets = null, hideHeader = false, compact = false }) {
     const [expandedSections, setExpandedSections] = useState({
         propertyType: true,
         bedrooms: true,
@@ -87,6 +96,10 @@ export function BuyFilterSidebar({ filters, onFilterChange, hideHeader = false,
         onFilterChange("priceRange", newPriceRange);
     };
 
+    const handlePriceRangeChange = ({ min, max }) => {
+        onFilterChange("priceRange", { min, max });
+    };
+
     const handleVerifiedToggle = (checked) => {
         onFilterChange("verifiedOnly", checked);
     };
@@ -119,6 +132,8 @@ export function BuyFilterSidebar({ filters, onFilterChange, hideHeader = false,
         return `₹${price.toLocaleString('en-IN')}`;
     };
 
+    const formatSliderPrice = (price) => (price >= 100000 ? `₹${formatPrice(price)}` : formatPrice(price));
+
     // Section icons mapping
     const sectionIcons = {
         propertyType: Building2,
@@ -245,15 +260,18 @@ export function BuyFilterSidebar({ filters, onFilterChange, hideHeader = false,
                     <div className="grid grid-cols-2 gap-2">
                         {FILTER_PROPERTY_TYPE_OPTIONS.map((option) => {
                             const isSelected = filters.propertyType === option.value;
+                            const count = getFacetCount(facets, "category", option.value);
+                            const isEmpty = isFacetEmpty(count, isSelected);
                             return (
                                 <label
                                     key={option.value}
                                     className={`
-                                        relative flex items-center justify-center px-3 py-3 rounded-xl cursor-pointer text-sm font-medium transition-all duration-200
+                                        relative flex items-center justify-center gap-1.5 px-3 py-3 rounded-xl text-sm font-medium transition-all duration-200
                                         ${isSelected
                                             ? "bg-gradient-to-br from-emerald-500 to-teal-500 text-white shadow-lg shadow-emerald-500/25 scale-[1.02]"
                                             : "bg-muted/50 text-muted-foreground hover:bg-muted hover:text-foreground hover:scale-[1.01]"
                                         }
+                                        ${isEmpty ? "opacity-40 cursor-not-allowed pointer-events-none" : "cursor-pointer"}
                                     `}
                                 >
                                     <input
@@ -261,10 +279,12 @@ export function BuyFilterSidebar({ filters, onFilterChange, hideHeader = false,
                                         name="propertyType"
                                         value={option.value}
                                         checked={isSelected}
+                                        disabled={isEmpty}
                                         onChange={(e) => handlePropertyTypeChange(e.target.value)}
                                         className="sr-only"
                                     />
                                     <span className="truncate">{option.label}</span>
+                                    <OptionCount count={count} />
                                     {isSelected && (
                                         <div className="absolute top-1.5 right-1.5 w-4 h-4 bg-white/20 rounded-full flex items-center justify-center">
                                             <Check className="w-2.5 h-2.5" />
@@ -285,24 +305,29 @@ export function BuyFilterSidebar({ filters, onFilterChange, hideHeader = false,
                     <div className="flex flex-wrap gap-2">
                         {["1", "2", "3", "4", "5+"].map((bed) => {
                             const isSelected = filters.bedrooms.includes(bed);
+                            const count = getFacetCount(facets, "bedrooms", bed);
+                            const isEmpty = isFacetEmpty(count, isSelected);
                             return (
                                 <label
                                     key={bed}
                                     className={`
-                                        flex items-center justify-center w-14 h-14 rounded-xl cursor-pointer text-sm font-bold transition-all duration-200
+                                        flex flex-col items-center justify-center w-14 h-14 rounded-xl text-sm font-bold transition-all duration-200
                                         ${isSelected
                                             ? "bg-gradient-to-br from-emerald-500 to-teal-500 text-white shadow-lg shadow-emerald-500/25 scale-105"
                                             : "bg-muted/50 text-muted-foreground hover:bg-muted hover:text-foreground hover:scale-[1.02]"
                                         }
+                                        ${isEmpty ? "opacity-40 cursor-not-allowed pointer-events-none" : "cursor-pointer"}
                                     `}
                                 >
                                     <input
                                         type="checkbox"
                                         checked={isSelected}
+                                        disabled={isEmpty}
                                         onChange={() => handleBedroomChange(bed)}
                                         className="sr-only"
                                     />
                                     {bed}
+                                    <OptionCount count={count} className="font-medium" />
                                 </label>
                             );
                         })}
@@ -316,6 +341,16 @@ export function BuyFilterSidebar({ filters, onFilterChange, hideHeader = false,
                     badge={(filters.priceRange.min > 0 || filters.priceRange.max < 50000000) ? "1" : null}
                 >
                     <div className="space-y-4">
+                        <PriceHistogramSlider
+                            histogram={facets?.priceHistogram}
+                            min={filters.priceRange.min || 0}
+                            max={filters.priceRange.max}
+                            limit={50000000}
+                            onChange={handlePriceRangeChange}
+                            formatValue={formatSliderPrice}
+                            accent="emerald"
+                        />
+
                         <div className="grid grid-cols-2 gap-3">
                             <div className="space-y-2">
                                 <label htmlFor="price-min" className="text-xs font-semibold text-muted-foreground uppercase tracking-wide">
@@ -385,15 +420,18 @@ export function BuyFilterSidebar({ filters, onFilterChange, hideHeader = false,
                     <div className="space-y-2">
                         {Object.entries(POSSESSION_STATUS_LABELS).map(([value, label]) => {
                             const isSelected = filters.possessionStatus === value;
+                            const count = getFacetCount(facets, "possessionStatus", value);
+                            const isEmpty = isFacetEmpty(count, isSelected);
                             return (
                                 <label
                                     key={value}
                                     className={`
-                                        flex items-center gap-3 px-4 py-3 rounded-xl cursor-pointer transition-all duration-200
+                                        flex items-center gap-3 px-4 py-3 rounded-xl transition-all duration-200
                                         ${isSelected
                                             ? "bg-emerald-500/10 ring-2 ring-emerald-500/30"
                                             : "bg-muted/30 hover:bg-muted/50"
                                         }
+                                        ${isEmpty ? "opacity-40 cursor-not-allowed pointer-events-none" : "cursor-pointer"}
                                     `}
                                 >
                                     <div className={`
@@ -410,12 +448,14 @@ export function BuyFilterSidebar({ filters, onFilterChange, hideHeader = false,
                                         name="possessionStatus"
                                         value={value}
                                         checked={isSelected}
+                                        disabled={isEmpty}
                                         onChange={() => handlePossessionStatusChange(value)}
                                         className="sr-only"
                                     />
-                                    <span className={`text-sm font-semibold ${isSelected ? 'text-emerald-700 dark:text-emerald-300' : 'text-foreground'}`}>
+                                    <span className={`flex-1 text-sm font-semibold ${isSelected ? 'text-emerald-700 dark:text-emerald-300' : 'text-foreground'}`}>
                                         {label}
                                     </span>
+                                    <OptionCount count={count} className="text-muted-foreground" />
                                 </label>
                             );
                         })}
@@ -469,15 +509,18 @@ export function BuyFilterSidebar({ filters, onFilterChange, hideHeader = false,
                     <div className="grid grid-cols-2 gap-2">
                         {["Parking", "Garden", "Swimming Pool", "Gym", "Clubhouse", "Security", "Power Backup", "Lift"].map((amenity) => {
                             const isSelected = filters.amenities.includes(amenity);
+                            const count = getFacetCount(facets, "amenities", amenity);
+                            const isEmpty = isFacetEmpty(count, isSelected);
                             return (
                                 <label 
                                     key={amenity} 
                                     className={`
-                                        flex items-center gap-2.5 px-3 py-2.5 rounded-xl cursor-pointer transition-all duration-200
+                                        flex items-center gap-2.5 px-3 py-2.5 rounded-xl transition-all duration-200
                                         ${isSelected 
                                             ? "bg-emerald-500/10 ring-1 ring-emerald-500/30" 
                                             : "bg-muted/30 hover:bg-muted/50"
                                         }
+                                        ${isEmpty ? "opacity-40 cursor-not-allowed pointer-events-none" : "cursor-pointer"}
                                     `}
                                 >
                                     <div className={`
@@ -492,12 +535,14 @@ export function BuyFilterSidebar({ filters, onFilterChange, hideHeader = false,
                                     <input
                                         type="checkbox"
                                         checked={isSelected}
+                                        disabled={isEmpty}
                                         onChange={() => handleAmenityChange(amenity)}
                                         className="sr-only"
                                     />
-                                    <span className={`text-sm font-medium ${isSelected ? 'text-emerald-700 dark:text-emerald-300' : 'text-muted-foreground'}`}>
+                                    <span className={`flex-1 text-sm font-medium ${isSelected ? 'text-emerald-700 dark:text-emerald-300' : 'text-muted-foreground'}`}>
                                         {amenity}
                                     </span>
+                                    <OptionCount count={count} className="text-muted-foreground" />
                                 </label>
                             );
                         })}
@@ -8,7 +8,10 @@ import {
     ChevronDown,
     Clock,
     X,
-    AlertCircle
+    AlertCircle,
+    Building2,
+    Home,
+    FileText
 } from "lucide-react";
 import {
     getSearchSuggestions,
@@ -35,6 +38,15 @@ import {
     convertToApiPayload
 } from "../../utils/searchParameterStandardization";
 
+// Icons for grouped typeahead suggestions, by suggestion kind
+const SUGGESTION_ICONS = {
+    city: MapPin,
+    area: MapPin,
+    category: Building2,
+    propertyType: Home,
+    listing: FileText
+};
+
 // Mock data for autocomplete suggestions (fallback)
 const MOCK_SUGGESTIONS = [
     { id: 1, text: "Ahmedabaad", type: "location" },
@@ -54,7 +66,7 @@ export function HeroSection({ onSearch }) {
     const [searchParams] = useSearchParams();
     
     const {
-        searchSuggestions,
+        suggestionGroups,
         isSuggestionsLoading,
         recentSearches,
         searchHistory
@@ -170,7 +182,7 @@ export function HeroSection({ onSearch }) {
         if (val.length > 1) {
             suggestionTimeoutRef.current = setTimeout(() => {
                 // Try to get suggestions from Redux store first
-                dispatch(getSearchSuggestions(val));
+                dispatch(getSearchSuggestions({ query: val, listingType: activeTab }));
 
                 // Use standardized location suggestions
                 const locationSuggestions = getLocationSuggestions(val, 5).map(loc => ({
@@ -241,6 +253,26 @@ export function HeroSection({ onSearch }) {
         }));
     };
 
+    // Apply a grouped server suggestion: locations fill the location box,
+    // categories and property types set the type filter, listings open the listing
+    const handleSelectGroupedSuggestion = (item) => {
+        if (item.kind === 'listing') {
+            setShowSuggestions(false);
+            if (item.urlPath) navigate(item.urlPath);
+            return;
+        }
+
+        if (item.kind === 'category' || item.kind === 'propertyType') {
+            setPropertyType(item.category);
+            if (item.kind === 'propertyType') setKeywordInput(item.propertyType);
+            setShowSuggestions(false);
+            setErrors(prev => ({ ...prev, type: "" }));
+            return;
+        }
+
+        handleSelectSuggestion(item.label);
+    };
+
     // Handle input focus to show recent searches
     const handleLocationFocus = () => {
         if (locationInput.length === 0) {
@@ -519,23 +551,36 @@ export function HeroSection({ onSearch }) {
                                     {/* Search Suggestions Section */}
                                     {showSuggestions && (
                                         <div>
-                                            {(searchSuggestions.length > 0 || suggestions.length > 0) && (
+                                            {suggestionGroups.length === 0 && suggestions.length > 0 && (
                                                 <div className="px-4 py-2 bg-slate-50 dark:bg-slate-700 border-b border-slate-100 dark:border-slate-600">
                                                     <span className="text-xs font-semibold text-slate-600 dark:text-slate-400 uppercase tracking-wider">Suggestions</span>
                                                 </div>
                                             )}
 
-                                            {/* API Suggestions */}
-                                            {searchSuggestions.length > 0 ? (
-                                                searchSuggestions.map((suggestion, index) => (
-                                                    <button
-                                                        key={`api-${index}`}
-                                                        onClick={() => handleSelectSuggestion(suggestion)}
-                                                        className="w-full text-left px-4 py-3 hover:bg-slate-50 dark:hover:bg-slate-700 flex items-center gap-3 text-sm text-slate-700 dark:text-slate-300 transition-colors border-b border-slate-50 dark:border-slate-700 last:border-0"
-                                                    >
-                                                        <Search className="w-4 h-4 text-slate-400 dark:text-slate-500" />
-                                                        {suggestion}
-                                                    </button>
+                                            {/* API Suggestions, grouped by kind with result counts */}
+                                            {suggestionGroups.length > 0 ? (
+                                                suggestionGroups.map((group) => (
+                                                    <div key={group.kind}>
+                                                        <div className="px-4 py-2 bg-slate-50 dark:bg-slate-700 border-b border-slate-100 dark:border-slate-600">
+                                                            <span className="text-xs font-semibold text-slate-600 dark:text-slate-400 uppercase tracking-wider">{group.label}</span>
+                                                        </div>
+                                                        {group.items.map((item) => {
+                                                            const Icon = SUGGESTION_ICONS[item.kind] || Search;
+                                                            return (
+                                                                <button
+                                                                    key={`${item.kind}-${item.propertyId || item.value}-${item.category || ''}`}
+                                                                    onClick={() => handleSelectGroupedSuggestion(item)}
+                                                                    className="w-full text-left px-4 py-3 hover:bg-slate-50 dark:hover:bg-slate-700 flex items-center gap-3 text-sm text-slate-700 dark:text-slate-300 transition-colors border-b border-slate-50 dark:border-slate-700 last:border-0"
+                                                                >
+                                                                    <Icon className="w-4 h-4 text-slate-400 dark:text-slate-500 flex-shrink-0" />
+                                                                    <span className="flex-1 truncate">{item.label}</span>
+                                                                    {item.kind !== 'listing' && (
+                                                                        <span className="text-xs text-slate-400 dark:text-slate-500">{item.count}</span>
+                                                                    )}
+                                                                </button>
+                                                            );
+                                                        })}
+                                                    </div>
                                                 ))
                                             ) : (
                                                 /* Fallback to Mock Suggestions */
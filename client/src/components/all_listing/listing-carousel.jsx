@@ -0,0 +1,116 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { ChevronLeft, ChevronRight } from "lucide-react";
+import { PropertyCard } from "./property-card";
+
+const arrowClassName =
+    "w-8 h-8 rounded-full border border-border flex items-center justify-center hover:bg-muted disabled:opacity-40 disabled:pointer-events-none transition-colors";
+
+/**
+ * Horizontally scrolling row of property cards with previous/next buttons.
+ * Renders nothing once loaded with no listings.
+ * `renderCaption(listing)` adds a line under a card, e.g. its distance.
+ */
+export function ListingCarousel({
+    title,
+    icon: Icon,
+    listings = [],
+    loading = false,
+    viewAllTo,
+    renderCaption,
+    savedIds,
+    onWishlistChange,
+}) {
+    const [scrollState, setScrollState] = useState({ canScrollLeft: false, canScrollRight: false });
+    const trackRef = useRef(null);
+
+    const updateScrollState = useCallback(() => {
+        const track = trackRef.current;
+        if (!track) return;
+        setScrollState({
+            canScrollLeft: track.scrollLeft > 0,
+            canScrollRight: track.scrollLeft + track.clientWidth < track.scrollWidth - 1,
+        });
+    }, []);
+
+    useEffect(() => {
+        updateScrollState();
+        window.addEventListener("resize", updateScrollState);
+        return () => window.removeEventListener("resize", updateScrollState);
+    }, [listings, updateScrollState]);
+
+    // Scroll by most of the visible width so one card stays in view for context
+    const scroll = (direction) => {
+        const track = trackRef.current;
+        if (!track) return;
+        track.scrollBy({ left: direction * track.clientWidth * 0.8, behavior: "smooth" });
+    };
+
+    if (loading) {
+        return (
+            <div className="bg-card rounded-xl border border-border p-4">
+                <h3 className="text-sm font-semibold text-foreground mb-4">{title}</h3>
+                <div className="flex gap-4 overflow-hidden">
+                    {[1, 2, 3].map((i) => (
+                        <div key={i} className="h-64 w-64 flex-shrink-0 bg-muted rounded-lg animate-pulse" />
+                    ))}
+                </div>
+            </div>
+        );
+    }
+
+    if (listings.length === 0) return null;
+
+    return (
+        <section className="bg-card rounded-xl border border-border p-4" aria-label={title}>
+            <div className="flex items-center justify-between gap-2 mb-4">
+                <div className="flex items-center gap-2">
+                    {Icon && <Icon className="w-4 h-4 text-primary" />}
+                    <h3 className="text-sm font-semibold text-foreground">{title}</h3>
+                </div>
+                <div className="flex items-center gap-1">
+                    {viewAllTo && (
+                        <Link to={viewAllTo} className="text-xs text-primary hover:underline mr-2">
+                            View all
+                        </Link>
+                    )}
+                    <button
+                        type="button"
+                        onClick={() => scroll(-1)}
+                        disabled={!scrollState.canScrollLeft}
+                        className={arrowClassName}
+                        aria-label="Previous listings"
+                    >
+                        <ChevronLeft className="w-4 h-4" />
+                    </button>
+                    <button
+                        type="button"
+                        onClick={() => scroll(1)}
+                        disabled={!scrollState.canScrollRight}
+                        className={arrowClassName}
+                        aria-label="Next listings"
+                    >
+                        <ChevronRight className="w-4 h-4" />
+                    </button>
+                </div>
+            </div>
+
+            <div
+                ref={trackRef}
+                onScroll={updateScrollState}
+                className="flex gap-4 overflow-x-auto snap-x snap-mandatory scroll-smooth pb-2 [scrollbar-width:none] [&::-webkit-scrollbar]:hidden"
+            >
+                {listings.map((listing) => (
+                    <div key={listing._id} className="w-64 sm:w-72 flex-shrink-0 snap-start space-y-1.5">
+                        <PropertyCard
+                            property={listing}
+                            initialSaved={savedIds ? savedIds.has(listing._id) : false}
+                            onWishlistChange={onWishlistChange}
+                        />
+                        {renderCaption?.(listing)}
+                    </div>
+                ))}
+            </div>
+        </section>
+    );
+}
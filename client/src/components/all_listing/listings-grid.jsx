@@ -132,7 +132,10 @@ export function ListingsGrid({
     wishlistIds = new Set(),
     onWishlistChange,
     emptyStateMessage,
-    emptyStateTitle
+    emptyStateTitle,
+    searchArea = null,
+    onSearchArea,
+    onClearSearchArea
 }) {
     const hasFilters = properties.length === 0 && !loading;
 
@@ -140,7 +143,13 @@ export function ListingsGrid({
         return (
             <div className="relative pb-4">
                 <Suspense fallback={<MapLoadingFallback />}>
-                    <PropertyMapView properties={properties} loading={loading} />
+                    <PropertyMapView
+                        properties={properties}
+                        loading={loading}
+                        searchArea={searchArea}
+                        onSearchArea={onSearchArea}
+                        onClearSearchArea={onClearSearchArea}
+                    />
                 </Suspense>
             </div>
         );
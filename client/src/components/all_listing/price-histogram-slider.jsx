@@ -0,0 +1,108 @@
+import { useState } from "react";
+
+const ACCENTS = {
+    primary: { bar: "bg-primary", text: "text-primary" },
+    emerald: { bar: "bg-emerald-500", text: "text-emerald-500" },
+};
+
+const rangeInputClassName = [
+    "absolute inset-0 w-full h-5 appearance-none bg-transparent pointer-events-none focus:outline-none",
+    "[&::-webkit-slider-thumb]:pointer-events-auto [&::-webkit-slider-thumb]:appearance-none [&::-webkit-slider-thumb]:w-5 [&::-webkit-slider-thumb]:h-5",
+    "[&::-webkit-slider-thumb]:rounded-full [&::-webkit-slider-thumb]:bg-background [&::-webkit-slider-thumb]:border-2 [&::-webkit-slider-thumb]:border-current",
+    "[&::-webkit-slider-thumb]:shadow-md [&::-webkit-slider-thumb]:cursor-pointer",
+    "[&::-moz-range-thumb]:pointer-events-auto [&::-moz-range-thumb]:w-5 [&::-moz-range-thumb]:h-5 [&::-moz-range-thumb]:rounded-full",
+    "[&::-moz-range-thumb]:bg-background [&::-moz-range-thumb]:border-2 [&::-moz-range-thumb]:border-current [&::-moz-range-thumb]:cursor-pointer",
+].join(" ");
+
+/**
+ * Budget range slider drawn over a histogram of matching listings per price range.
+ * Dragging only moves the thumbs; the filter changes when a thumb is released.
+ * A max at `limit` means no upper bound.
+ */
+export function PriceHistogramSlider({ histogram = [], min, max, limit, onChange, formatValue, accent = "primary" }) {
+    const colors = ACCENTS[accent] || ACCENTS.primary;
+    const bins = histogram.filter((bin) => bin.max !== null && bin.max <= limit);
+    const step = bins.length > 0 ? bins[0].max - bins[0].min : limit / 20;
+    const highest = Math.max(1, ...bins.map((bin) => bin.count));
+
+    // Thumb positions while dragging; otherwise the slider follows the filter
+    const [dragging, setDragging] = useState(null);
+    const draft = dragging || { min, max: Math.min(max, limit) };
+
+    const commit = () => {
+        if (!dragging) return;
+        setDragging(null);
+        if (dragging.min !== min || dragging.max !== Math.min(max, limit)) {
+            onChange(dragging);
+        }
+    };
+
+    const handleMinChange = (e) => {
+        const value = Math.max(0, Math.min(Number(e.target.value), draft.max - step));
+        setDragging({ ...draft, min: value });
+    };
+
+    const handleMaxChange = (e) => {
+        const value = Math.min(limit, Math.max(Number(e.target.value), draft.min + step));
+        setDragging({ ...draft, max: value });
+    };
+
+    return (
+        <div className="space-y-2">
+            {bins.length > 0 && (
+                <div className="flex items-end gap-px h-12" aria-hidden="true">
+                    {bins.map((bin) => {
+                        const inRange = bin.max > draft.min && bin.min < draft.max;
+                        return (
+                            <div
+                                key={bin.min}
+                                title={`${formatValue(bin.min)} - ${formatValue(bin.max)}: ${bin.count}`}
+                                className={`flex-1 rounded-t-sm transition-colors ${inRange ? colors.bar : "bg-muted"}`}
+                                style={{ height: bin.count > 0 ? `${Math.max(8, (bin.count / highest) * 100)}%` : "2px" }}
+                            />
+                        );
+                    })}
+                </div>
+            )}
+
+            <div className={`relative h-5 ${colors.text}`}>
+                <div className="absolute top-1/2 -translate-y-1/2 h-1.5 w-full rounded-full bg-muted" />
+                <div
+                    className={`absolute top-1/2 -translate-y-1/2 h-1.5 rounded-full ${colors.bar}`}
+                    style={{ left: `${(draft.min / limit) * 100}%`, right: `${100 - (draft.max / limit) * 100}%` }}
+                />
+                <input
+                    type="range"
+                    min={0}
+                    max={limit}
+                    step={step}
+                    value={draft.min}
+                    onChange={handleMinChange}
+                    onPointerUp={commit}
+                    onKeyUp={commit}
+                    aria-label="Minimum price"
+                    className={rangeInputClassName}
+                    // Keep the min thumb reachable when both thumbs sit at the top end
+                    style={{ zIndex: draft.min > limit / 2 ? 2 : 1 }}
+                />
+                <input
+                    type="range"
+                    min={0}
+                    max={limit}
+                    step={step}
+                    value={draft.max}
+                    onChange={handleMaxChange}
+                    onPointerUp={commit}
+                    onKeyUp={commit}
+                    aria-label="Maximum price"
+                    className={rangeInputClassName}
+                />
+            </div>
+
+            <div className="flex justify-between text-xs font-medium text-muted-foreground">
+                <span>{formatValue(draft.min)}</span>
+                <span>{draft.max >= limit ? `${formatValue(limit)}+` : formatValue(draft.max)}</span>
+            </div>
+        </div>
+    );
+}
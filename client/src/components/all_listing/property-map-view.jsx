@@ -1,10 +1,14 @@
-import { useEffect, useState, useCallback, useRef } from "react";
-import { MapPin, Home, Bed, Bath, ExternalLink, Loader2, Map as MapIcon, X, ArrowRight } from "lucide-react";
+import { useEffect, useState, useCallback, useRef, useMemo } from "react";
+import { MapPin, Home, Bed, Bath, ExternalLink, Loader2, Map as MapIcon, X, ArrowRight, Search, PenTool } from "lucide-react";
 import { Button } from "../ui/button";
 import { useNavigate } from "react-router-dom";
-import { MapContainer, TileLayer, Marker, useMap } from "react-leaflet";
+import { MapContainer, TileLayer, Marker, Polygon, Polyline, useMap, useMapEvents } from "react-leaflet";
 import L from "leaflet";
 import "leaflet/dist/leaflet.css";
+import { boundsToSearchArea, pointsToSearchArea, clusterProperties, getLatLng } from "../../utils/mapSearch";
+
+// Outline color for search areas; matches --primary (SVG attributes can't read CSS variables)
+const AREA_COLOR = '#2B50FF';
 
 // Fix for default marker icons in react-leaflet
 delete L.Icon.Default.prototype._getIconUrl;
@@ -43,6 +47,98 @@ const createCustomIcon = (isSelected = false) => {
     });
 };
 
+// Cluster marker showing how many listings it holds
+const createClusterIcon = (count) => {
+    const size = count < 10 ? 36 : count < 100 ? 44 : 52;
+    return L.divIcon({
+        className: 'custom-cluster',
+        html: `
+            <div style="
+                width: ${size}px;
+                height: ${size}px;
+                background: hsl(var(--primary));
+                border: 3px solid rgba(255,255,255,0.8);
+                border-radius: 50%;
+                display: flex;
+                align-items: center;
+                justify-content: center;
+                color: white;
+                font-size: 13px;
+                font-weight: 600;
+                box-shadow: 0 4px 12px rgba(0,0,0,0.3);
+            ">${count}</div>
+        `,
+        iconSize: [size, size],
+        iconAnchor: [size / 2, size / 2],
+    });
+};
+
+// Renders the markers, merging the ones that would overlap at the current zoom
+const ClusteredMarkers = ({ properties, selectedId, onMarkerClick }) => {
+    const map = useMap();
+    const [zoom, setZoom] = useState(() => map.getZoom());
+
+    useMapEvents({
+        zoomend: () => setZoom(map.getZoom())
+    });
+
+    const clusters = useMemo(
+        () => clusterProperties(properties, (latLng) => map.project(latLng, zoom)),
+        [properties, map, zoom]
+    );
+
+    // Zoom into a cluster; at max zoom the listings share a spot, so open the first one
+    const handleClusterClick = useCallback((cluster) => {
+        if (map.getZoom() >= map.getMaxZoom()) {
+            onMarkerClick(cluster.properties[0]);
+            return;
+        }
+        map.fitBounds(L.latLngBounds(cluster.properties.map(getLatLng)), { padding: [50, 50] });
+    }, [map, onMarkerClick]);
+
+    return (
+        <>
+            {clusters.map((cluster) => (
+                cluster.properties.length === 1 ? (
+                    <Marker
+                        key={cluster.id}
+                        position={cluster.center}
+                        icon={createCustomIcon(selectedId === cluster.id)}
+                        eventHandlers={{
+                            click: () => onMarkerClick(cluster.properties[0])
+                        }}
+                    />
+                ) : (
+                    <Marker
+                        key={cluster.id}
+                        position={cluster.center}
+                        icon={createClusterIcon(cluster.properties.length)}
+                        eventHandlers={{
+                            click: () => handleClusterClick(cluster)
+                        }}
+                    />
+                )
+            ))}
+        </>
+    );
+};
+
+// Collects the points the user clicks while drawing a search area
+const DrawArea = ({ points, onAddPoint }) => {
+    useMapEvents({
+        click: (e) => onAddPoint([e.latlng.lat, e.latlng.lng])
+    });
+
+    if (points.length === 0) return null;
+
+    return (
+        <Polyline
+            positions={points.length > 2 ? [...points, points[0]] : points}
+            pathOptions={{ color: AREA_COLOR, dashArray: '6 6' }}
+        />
+    );
+};
+
 // Component to fit bounds to all markers
 const FitBoundsToMarkers = ({ properties }) => {
     const map = useMap();
@@ -110,6 +206,11 @@ const PropertyListItem = ({ property, isSelected, onClick, onViewDetails }) => {
                 <div className="flex items-center gap-2 mt-1 text-xs text-muted-foreground">
                     {property.bedrooms && <span><Bed className="w-3 h-3 inline" /> {property.bedrooms}</span>}
                     {property.bathrooms && <span><Bath className="w-3 h-3 inline" /> {property.bathrooms}</span>}
+                    {typeof property.distanceKm === 'number' && (
+                        <span title="Distance from the center of the search area">
+                            {property.distanceKm < 1 ? `${Math.round(property.distanceKm * 1000)} m` : `${property.distanceKm.toFixed(1)} km`}
+                        </span>
+                    )}
                 </div>
                 <div className="flex items-center justify-between mt-2">
                     <span className="text-primary font-bold text-xs sm:text-sm">
@@ -204,19 +305,26 @@ const PropertyDetailCard = ({ property, onClose, onViewDetails }) => {
 };
 
 // Main Map View Component with all markers
-export function PropertyMapView({ properties = [], loading = false }) {
+export function PropertyMapView({ properties = [], loading = false, searchArea = null, onSearchArea, onClearSearchArea }) {
     const navigate = useNavigate();
     const [selectedProperty, setSelectedProperty] = useState(null);
     const [flyToProperty, setFlyToProperty] = useState(null);
+    const [drawing, setDrawing] = useState(false);
+    const [drawnPoints, setDrawnPoints] = useState([]);
     const mapRef = useRef(null);
+
+    const canSearchArea = typeof onSearchArea === 'function';
     
     // Filter properties with valid coordinates
-    const propertiesWithCoords = properties.filter(p => 
+    const propertiesWithCoords = useMemo(() => properties.filter(p => 
         p.location?.coordinates?.[0] && 
         p.location?.coordinates?.[1] &&
         p.location.coordinates[0] !== 0 &&
         p.location.coordinates[1] !== 0
-    );
+    ), [properties]);
+
+    // Keep the map up during an area search so an empty area can still be panned away from
+    const showMap = propertiesWithCoords.length > 0 || Boolean(searchArea);
     
     // Find the selected property object
     const selectedPropertyObj = propertiesWithCoords.find(p => p._id === selectedProperty);
@@ -254,7 +362,34 @@ export function PropertyMapView({ properties = [], loading = false }) {
         setFlyToProperty(null);
     }, []);
 
-    if (loading) {
+    const handleSearchThisArea = useCallback(() => {
+        if (!mapRef.current) return;
+        handleCloseCard();
+        onSearchArea(boundsToSearchArea(mapRef.current.getBounds()));
+    }, [onSearchArea, handleCloseCard]);
+
+    const handleStartDrawing = useCallback(() => {
+        handleCloseCard();
+        setDrawnPoints([]);
+        setDrawing(true);
+    }, [handleCloseCard]);
+
+    const handleAddPoint = useCallback((point) => {
+        setDrawnPoints(prev => [...prev, point]);
+    }, []);
+
+    const handleFinishDrawing = useCallback(() => {
+        setDrawing(false);
+        onSearchArea(pointsToSearchArea(drawnPoints));
+        setDrawnPoints([]);
+    }, [drawnPoints, onSearchArea]);
+
+    const handleCancelDrawing = useCallback(() => {
+        setDrawing(false);
+        setDrawnPoints([]);
+    }, []);
+
+    if (loading && !searchArea) {
         return (
             <div className="w-full h-[400px] sm:h-[500px] md:h-[600px] bg-muted rounded-2xl flex items-center justify-center">
                 <div className="text-center">
@@ -269,7 +404,7 @@ export function PropertyMapView({ properties = [], loading = false }) {
         <div className="flex flex-col lg:flex-row gap-4">
             {/* Map Section - Full width on mobile, flex-1 on desktop */}
             <div className="relative w-full lg:flex-1 h-[350px] sm:h-[400px] md:h-[500px] lg:h-[calc(100vh-280px)] lg:min-h-[450px] lg:max-h-[650px] rounded-2xl border border-border shadow-lg bg-muted">
-                {propertiesWithCoords.length > 0 ? (
+                {showMap ? (
                     <div className="w-full h-full rounded-2xl overflow-hidden">
                         <MapContainer
                             ref={mapRef}
@@ -283,23 +418,25 @@ export function PropertyMapView({ properties = [], loading = false }) {
                                 url="https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png"
                             />
                             
-                            {/* Render ALL markers */}
-                            {propertiesWithCoords.map((property) => (
-                                <Marker
-                                    key={property._id}
-                                    position={[
-                                        property.location.coordinates[1],
-                                        property.location.coordinates[0]
-                                    ]}
-                                    icon={createCustomIcon(selectedProperty === property._id)}
-                                    eventHandlers={{
-                                        click: () => handleMarkerClick(property)
-                                    }}
+                            {/* Render ALL markers, clustered when they crowd together */}
+                            <ClusteredMarkers
+                                properties={propertiesWithCoords}
+                                selectedId={selectedProperty}
+                                onMarkerClick={handleMarkerClick}
+                            />
+
+                            {/* Outline of the drawn search area */}
+                            {searchArea?.polygon && !drawing && (
+                                <Polygon
+                                    positions={searchArea.polygon.map(p => [p.lat, p.lng])}
+                                    pathOptions={{ color: AREA_COLOR, fillOpacity: 0.05 }}
                                 />
-                            ))}
+                            )}
+
+                            {drawing && <DrawArea points={drawnPoints} onAddPoint={handleAddPoint} />}
                             
-                            {/* Auto-fit bounds to show all markers on initial load */}
-                            {!flyToProperty && <FitBoundsToMarkers properties={propertiesWithCoords} />}
+                            {/* Auto-fit bounds to show all markers on initial load; area searches keep the user's view */}
+                            {!flyToProperty && !searchArea && <FitBoundsToMarkers properties={propertiesWithCoords} />}
                             
                             {/* Fly to selected marker */}
                             {flyToProperty && <FlyToMarker property={flyToProperty} zoom={15} />}
@@ -318,6 +455,55 @@ export function PropertyMapView({ properties = [], loading = false }) {
                     </div>
                 )}
                 
+                {/* Area search controls */}
+                {showMap && canSearchArea && (
+                    <div className="absolute top-4 right-4 z-[500] flex flex-col items-end gap-2">
+                        {drawing ? (
+                            <>
+                                <div className="bg-card/95 backdrop-blur px-3 py-1.5 rounded-lg shadow-lg border border-border text-xs text-foreground">
+                                    Click the map to outline an area
+                                </div>
+                                <div className="flex gap-2">
+                                    <Button size="sm" variant="outline" className="h-8 text-xs bg-card" onClick={handleCancelDrawing}>
+                                        Cancel
+                                    </Button>
+                                    <Button size="sm" className="h-8 text-xs" onClick={handleFinishDrawing} disabled={drawnPoints.length < 3}>
+                                        Search area
+                                    </Button>
+                                </div>
+                            </>
+                        ) : (
+                            <>
+                                <div className="flex gap-2">
+                                    <Button size="sm" className="h-8 text-xs gap-1" onClick={handleSearchThisArea} disabled={loading}>
+                                        {loading ? <Loader2 className="w-3 h-3 animate-spin" /> : <Search className="w-3 h-3" />}
+                                        Search this area
+                                    </Button>
+                                    <Button size="sm" variant="outline" className="h-8 text-xs gap-1 bg-card" onClick={handleStartDrawing}>
+                                        <PenTool className="w-3 h-3" />
+                                        Draw area
+                                    </Button>
+                                </div>
+                                {searchArea && onClearSearchArea && (
+                                    <Button size="sm" variant="outline" className="h-8 text-xs gap-1 bg-card" onClick={onClearSearchArea}>
+                                        <X className="w-3 h-3" />
+                                        Clear area
+                                    </Button>
+                                )}
+                            </>
+                        )}
+                    </div>
+                )}
+
+                {/* Empty area message */}
+                {searchArea && !loading && propertiesWithCoords.length === 0 && (
+                    <div className="absolute bottom-4 left-1/2 -translate-x-1/2 z-[500]">
+                        <div className="bg-card/95 backdrop-blur px-4 py-2 rounded-xl shadow-lg border border-border text-sm text-foreground">
+                            No properties in this area. Move the map and search again.
+                        </div>
+                    </div>
+                )}
+
                 {/* Property Detail Card Overlay - Replaces Leaflet popup */}
                 {selectedPropertyObj && (
                     <PropertyDetailCard 
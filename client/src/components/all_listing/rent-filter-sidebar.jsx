@@ -5,12 +5,23 @@ import {
     FILTER_PROPERTY_TYPE_OPTIONS, 
 } from "../../utils/propertyTypeStandardization";
 import { PREFERRED_TENANTS_LABELS } from "@shared/propertyTypes";
+import { PriceHistogramSlider } from "./price-histogram-slider";
+import { getFacetCount, isFacetEmpty } from "../../utils/searchFacets";
+
+const formatRent = (value) => (value >= 1000 ? `₹${value / 1000}k` : `₹${value}`);
+
+// Number of listings an option would return, shown once facet counts are loaded
+const OptionCount = ({ count, className = "" }) =>
+    count === null ? null : (
+        <span className={`text-[10px] font-semibold tabular-nums opacity-70 ${className}`}>{count}</span>
+    );
 
 /**
  * Rent-specific filter sidebar component
- * Displays filters relevant to rental properties: city, budget (monthly), BHK, furnished, tenant type
+ * Displays filters relevant to rental properties: city, budget (monthly), BHK, furnished, tenant type.
+ * With `facets` from the search response, options show live counts and empty ones are disabled.
  */
-export function RentFilterSidebar({ filters, onFilterChange, hideHeader = false, compact = false }) {
+export function RentFilterSidebar({ filters, onFilterChange, facets = null, hideHeader = false, compact = false }) {
     const [expandedSections, setExpandedSections] = useState({
         propertyType: true,
         bedrooms: true,
@@ -91,6 +102,10 @@ export function RentFilterSidebar({ filters, onFilterChange, hideHeader = false,
         onFilterChange("priceRange", newPriceRange);
     };
 
+    const handlePriceRangeChange = ({ min, max }) => {
+        onFilterChange("priceRange", { min, max });
+    };
+
     const handleVerifiedToggle = (checked) => {
         onFilterChange("verifiedOnly", checked);
     };
@@ -239,15 +254,18 @@ export function RentFilterSidebar({ filters, onFilterChange, hideHeader = false,
                     <div className="grid grid-cols-2 gap-2">
                         {FILTER_PROPERTY_TYPE_OPTIONS.map((option) => {
                             const isSelected = filters.propertyType === option.value;
+                            const count = getFacetCount(facets, "category", option.value);
+                            const isEmpty = isFacetEmpty(count, isSelected);
                             return (
                                 <label
                                     key={option.value}
                                     className={`
-                                        relative flex items-center justify-center px-3 py-3 rounded-xl cursor-pointer text-sm font-medium transition-all duration-200
+                                        relative flex items-center justify-center gap-1.5 px-3 py-3 rounded-xl text-sm font-medium transition-all duration-200
                                         ${isSelected
                                             ? "bg-gradient-to-br from-primary to-primary/90 text-primary-foreground shadow-lg shadow-primary/25 scale-[1.02]"
                                             : "bg-muted/50 text-muted-foreground hover:bg-muted hover:text-foreground hover:scale-[1.01]"
                                         }
+                                        ${isEmpty ? "opacity-40 cursor-not-allowed pointer-events-none" : "cursor-pointer"}
                                     `}
                                 >
                                     <input
@@ -255,10 +273,12 @@ export function RentFilterSidebar({ filters, onFilterChange, hideHeader = false,
                                         name="propertyType"
                                         value={option.value}
                                         checked={isSelected}
+                                        disabled={isEmpty}
                                         onChange={(e) => handlePropertyTypeChange(e.target.value)}
                                         className="sr-only"
                                     />
                                     <span className="truncate">{option.label}</span>
+                                    <OptionCount count={count} />
                                     {isSelected && (
                                         <div className="absolute top-1.5 right-1.5 w-4 h-4 bg-white/20 rounded-full flex items-center justify-center">
                                             <Check className="w-2.5 h-2.5" />
@@ -279,24 +299,29 @@ export function RentFilterSidebar({ filters, onFilterChange, hideHeader = false,
                     <div className="flex flex-wrap gap-2">
                         {["1", "2", "3", "4", "5+"].map((bed) => {
                             const isSelected = filters.bedrooms.includes(bed);
+                            const count = getFacetCount(facets, "bedrooms", bed);
+                            const isEmpty = isFacetEmpty(count, isSelected);
                             return (
                                 <label
                                     key={bed}
                                     className={`
-                                        flex items-center justify-center w-14 h-14 rounded-xl cursor-pointer text-sm font-bold transition-all duration-200
+                                        flex flex-col items-center justify-center w-14 h-14 rounded-xl text-sm font-bold transition-all duration-200
                                         ${isSelected
                                             ? "bg-gradient-to-br from-primary to-primary/90 text-primary-foreground shadow-lg shadow-primary/25 scale-105"
                                             : "bg-muted/50 text-muted-foreground hover:bg-muted hover:text-foreground hover:scale-[1.02]"
                                         }
+                                        ${isEmpty ? "opacity-40 cursor-not-allowed pointer-events-none" : "cursor-pointer"}
                                     `}
                                 >
                                     <input
                                         type="checkbox"
                                         checked={isSelected}
+                                        disabled={isEmpty}
                                         onChange={() => handleBedroomChange(bed)}
                                         className="sr-only"
                                     />
                                     {bed}
+                                    <OptionCount count={count} className="font-medium" />
                                 </label>
                             );
                         })}
@@ -310,6 +335,15 @@ export function RentFilterSidebar({ filters, onFilterChange, hideHeader = false,
                     badge={(filters.priceRange.min > 0 || filters.priceRange.max < 100000) ? "1" : null}
                 >
                     <div className="space-y-4">
+                        <PriceHistogramSlider
+                            histogram={facets?.priceHistogram}
+                            min={filters.priceRange.min || 0}
+                            max={filters.priceRange.max}
+                            limit={100000}
+                            onChange={handlePriceRangeChange}
+                            formatValue={formatRent}
+                        />
+
                         <div className="grid grid-cols-2 gap-3">
                             <div className="space-y-2">
                                 <label htmlFor="price-min" className="text-xs font-semibold text-muted-foreground uppercase tracking-wide">
@@ -383,15 +417,18 @@ export function RentFilterSidebar({ filters, onFilterChange, hideHeader = false,
                             { value: "fully", label: "Fully Furnished", desc: "Move-in ready" }
                         ].map((option) => {
                             const isSelected = (filters.furnishing || []).includes(option.value);
+                            const count = getFacetCount(facets, "furnishing", option.value);
+                            const isEmpty = isFacetEmpty(count, isSelected);
                             return (
                                 <label
                                     key={option.value}
                                     className={`
-                                        flex items-center gap-3 px-4 py-3 rounded-xl cursor-pointer transition-all duration-200
+                                        flex items-center gap-3 px-4 py-3 rounded-xl transition-all duration-200
                                         ${isSelected
                                             ? "bg-primary/10 ring-2 ring-primary/30"
                                             : "bg-muted/30 hover:bg-muted/50"
                                         }
+                                        ${isEmpty ? "opacity-40 cursor-not-allowed pointer-events-none" : "cursor-pointer"}
                                     `}
                                 >
                                     <div className={`
@@ -406,6 +443,7 @@ export function RentFilterSidebar({ filters, onFilterChange, hideHeader = false,
                                     <input
                                         type="checkbox"
                                         checked={isSelected}
+                                        disabled={isEmpty}
                                         onChange={() => handleFurnishingChange(option.value)}
                                         className="sr-only"
                                     />
@@ -415,6 +453,7 @@ export function RentFilterSidebar({ filters, onFilterChange, hideHeader = false,
                                         </span>
                                         <span className="text-xs text-muted-foreground">{option.desc}</span>
                                     </div>
+                                    <OptionCount count={count} className="text-muted-foreground" />
                                 </label>
                             );
                         })}
@@ -430,15 +469,18 @@ export function RentFilterSidebar({ filters, onFilterChange, hideHeader = false,
                     <div className="grid grid-cols-2 gap-2">
                         {Object.entries(PREFERRED_TENANTS_LABELS).map(([value, label]) => {
                             const isSelected = filters.preferredTenants === value;
+                            const count = getFacetCount(facets, "preferredTenants", value);
+                            const isEmpty = isFacetEmpty(count, isSelected);
                             return (
                                 <label
                                     key={value}
                                     className={`
-                                        flex items-center justify-center gap-2 px-3 py-3 rounded-xl cursor-pointer text-sm font-medium transition-all duration-200
+                                        flex items-center justify-center gap-2 px-3 py-3 rounded-xl text-sm font-medium transition-all duration-200
                                         ${isSelected
                                             ? "bg-gradient-to-br from-primary to-primary/90 text-primary-foreground shadow-lg shadow-primary/25"
                                             : "bg-muted/50 text-muted-foreground hover:bg-muted hover:text-foreground"
                                         }
+                                        ${isEmpty ? "opacity-40 cursor-not-allowed pointer-events-none" : "cursor-pointer"}
                                     `}
                                 >
                                     <input
@@ -446,11 +488,13 @@ export function RentFilterSidebar({ filters, onFilterChange, hideHeader = false,
                                         name="tenantType"
                                         value={value}
                                         checked={isSelected}
+                                        disabled={isEmpty}
                                         onChange={() => handleTenantTypeChange(value)}
                                         className="sr-only"
                                     />
                                     {isSelected && <Check className="w-3.5 h-3.5" />}
                                     {label}
+                                    <OptionCount count={count} />
                                 </label>
                             );
                         })}
@@ -466,15 +510,18 @@ export function RentFilterSidebar({ filters, onFilterChange, hideHeader = false,
                     <div className="grid grid-cols-2 gap-2">
                         {["Parking", "Wifi", "Pet-friendly", "Gym", "Pool", "Laundry", "AC", "Balcony"].map((amenity) => {
                             const isSelected = filters.amenities.includes(amenity);
+                            const count = getFacetCount(facets, "amenities", amenity);
+                            const isEmpty = isFacetEmpty(count, isSelected);
                             return (
                                 <label 
                                     key={amenity} 
                                     className={`
-                                        flex items-center gap-2.5 px-3 py-2.5 rounded-xl cursor-pointer transition-all duration-200
+                                        flex items-center gap-2.5 px-3 py-2.5 rounded-xl transition-all duration-200
                                         ${isSelected 
                                             ? "bg-primary/10 ring-1 ring-primary/30" 
                                             : "bg-muted/30 hover:bg-muted/50"
                                         }
+                                        ${isEmpty ? "opacity-40 cursor-not-allowed pointer-events-none" : "cursor-pointer"}
                                     `}
                                 >
                                     <div className={`
@@ -489,12 +536,14 @@ export function RentFilterSidebar({ filters, onFilterChange, hideHeader = false,
                                     <input
                                         type="checkbox"
                                         checked={isSelected}
+                                        disabled={isEmpty}
                                         onChange={() => handleAmenityChange(amenity)}
                                         className="sr-only"
                                     />
-                                    <span className={`text-sm font-medium ${isSelected ? 'text-primary' : 'text-muted-foreground'}`}>
+                                    <span className={`flex-1 text-sm font-medium ${isSelected ? 'text-primary' : 'text-muted-foreground'}`}>
                                         {amenity}
                                     </span>
+                                    <OptionCount count={count} className="text-muted-foreground" />
                                 </label>
                             );
                         })}
@@ -0,0 +1,151 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { BellPlus, Loader2 } from "lucide-react";
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogDescription,
+    DialogFooter,
+} from "../ui/dialog";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+import savedSearchService from "../../api/savedSearchService";
+import { isAuthenticated } from "../../utils/auth";
+import { toSavedSearchFilters, SAVED_SEARCH_ALERT_FREQUENCIES } from "../../utils/searchParameterStandardization";
+import { showSuccessToast, showErrorToast } from "../../utils/toastNotifications";
+
+/**
+ * Suggest a name for the current filters, e.g. "2 BHK flat in Pune"
+ */
+const suggestName = (filters, listingType) => {
+    const parts = [];
+    if (filters.bedrooms?.length > 0) parts.push(`${filters.bedrooms.join("/")} BHK`);
+    parts.push(filters.propertyType || "Properties");
+    parts.push(listingType === "buy" ? "for sale" : "for rent");
+    if (filters.location) parts.push(`in ${filters.location.split(",")[0]}`);
+    return parts.join(" ");
+};
+
+/**
+ * Save the current listings filters as a named search with new-listing alerts
+ */
+export function SaveSearchButton({ listingType = "rent", filters, query = "" }) {
+    const navigate = useNavigate();
+    const [open, setOpen] = useState(false);
+    const [name, setName] = useState("");
+    const [alertFrequency, setAlertFrequency] = useState("instant");
+    const [saving, setSaving] = useState(false);
+
+    const handleOpen = () => {
+        if (!isAuthenticated()) {
+            navigate("/login");
+            return;
+        }
+        setName(suggestName(filters, listingType));
+        setAlertFrequency("instant");
+        setOpen(true);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!name.trim()) return;
+
+        setSaving(true);
+        try {
+            await savedSearchService.createSavedSearch({
+                name: name.trim(),
+                listingType,
+                filters: toSavedSearchFilters(filters, { listingType, query }),
+                alertFrequency,
+            });
+            showSuccessToast("We'll let you know when new listings match", "", { title: "Search saved" });
+            setOpen(false);
+        } catch (error) {
+            showErrorToast(error.message || "Failed to save search", "", { title: "Error" });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <>
+            <button
+                onClick={handleOpen}
+                className="flex items-center gap-1.5 px-3 py-2 rounded-lg border border-border bg-card hover:bg-muted text-sm font-medium text-foreground transition-colors"
+            >
+                <BellPlus className="w-4 h-4 text-primary" />
+                <span className="hidden sm:inline">Save search</span>
+            </button>
+
+            <Dialog open={open} onOpenChange={setOpen}>
+                <DialogContent className="sm:max-w-[420px]">
+                    <DialogHeader>
+                        <DialogTitle className="flex items-center gap-2">
+                            <BellPlus className="h-5 w-5" />
+                            Save this search
+                        </DialogTitle>
+                        <DialogDescription>
+                            Get alerted when new listings or price drops match your current filters.
+                        </DialogDescription>
+                    </DialogHeader>
+
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <div className="space-y-1.5">
+                            <label htmlFor="saved-search-name" className="text-sm font-medium text-foreground">
+                                Name
+                            </label>
+                            <Input
+                                id="saved-search-name"
+                                value={name}
+                                onChange={(e) => setName(e.target.value)}
+                                maxLength={100}
+                                autoFocus
+                            />
+                        </div>
+
+                        <div className="space-y-1.5">
+                            <span className="text-sm font-medium text-foreground">Alerts</span>
+                            <div className="space-y-2">
+                                {SAVED_SEARCH_ALERT_FREQUENCIES.map(option => (
+                                    <label
+                                        key={option.value}
+                                        className={`flex items-start gap-3 p-3 rounded-lg border cursor-pointer transition-colors ${
+                                            alertFrequency === option.value
+                                                ? "border-primary bg-primary/5"
+                                                : "border-border hover:bg-muted/50"
+                                        }`}
+                                    >
+                                        <input
+                                            type="radio"
+                                            name="alertFrequency"
+                                            value={option.value}
+                                            checked={alertFrequency === option.value}
+                                            onChange={() => setAlertFrequency(option.value)}
+                                            className="mt-1 accent-primary"
+                                        />
+                                        <span>
+                                            <span className="block text-sm font-medium text-foreground">{option.label}</span>
+                                            <span className="block text-xs text-muted-foreground">{option.description}</span>
+                                        </span>
+                                    </label>
+                                ))}
+                            </div>
+                        </div>
+
+                        <DialogFooter>
+                            <Button type="button" variant="outline" onClick={() => setOpen(false)} disabled={saving}>
+                                Cancel
+                            </Button>
+                            <Button type="submit" disabled={saving || !name.trim()}>
+                                {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                                Save search
+                            </Button>
+                        </DialogFooter>
+                    </form>
+                </DialogContent>
+            </Dialog>
+        </>
+    );
+}
@@ -1,8 +1,8 @@
-import { Phone, MoreVertical, Trash2 } from "lucide-react";
+import { Phone, MoreVertical, Trash2, Ban } from "lucide-react";
 import { Button } from "../ui/button";
 import { useState } from "react";
 
-export function ChatHeader({ participant, onDeleteConversation }) {
+export function ChatHeader({ participant, onDeleteConversation, isBlocked = false, onToggleBlock }) {
     const [showMenu, setShowMenu] = useState(false);
 
     // Create a simple avatar fallback using CSS
@@ -18,6 +18,13 @@ export function ChatHeader({ participant, onDeleteConversation }) {
         setShowMenu(false);
     };
 
+    const handleToggleBlock = () => {
+        if (isBlocked || window.confirm(`Block ${participant.name}? Neither of you will be able to send messages to the other.`)) {
+            onToggleBlock?.();
+        }
+        setShowMenu(false);
+    };
+
     return (
         <div className="flex items-center justify-between px-3 sm:px-4 py-2 sm:py-3 border-b border-border bg-card rounded-tr-xl">
             <div className="flex items-center gap-2 sm:gap-3 min-w-0 flex-1">
@@ -89,6 +96,15 @@ export function ChatHeader({ participant, onDeleteConversation }) {
                                 onClick={() => setShowMenu(false)}
                             />
                             <div className="absolute right-0 top-full mt-1 w-44 bg-card border border-border rounded-lg shadow-lg z-50 overflow-hidden">
+                                {onToggleBlock && (
+                                    <button
+                                        onClick={handleToggleBlock}
+                                        className="flex items-center gap-2.5 px-3 py-2.5 text-sm text-foreground hover:bg-muted w-full text-left transition-colors"
+                                    >
+                                        <Ban size={14} />
+                                        {isBlocked ? "Unblock User" : "Block User"}
+                                    </button>
+                                )}
                                 <button
                                     onClick={handleDeleteConversation}
                                     className="flex items-center gap-2.5 px-3 py-2.5 text-sm text-destructive hover:bg-destructive/10 w-full text-left transition-colors"
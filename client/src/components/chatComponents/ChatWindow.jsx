@@ -1,8 +1,9 @@
-import { useEffect, useRef, useState } from "react";
+import { useEffect, useLayoutEffect, useRef, useState } from "react";
 import { ChatHeader } from "./ChatHeader";
 import { MessageBubble } from "./MessageBubble";
 import { MessageComposer } from "./MessageComposer";
-import { MessageSquare, AlertCircle } from "lucide-react";
+import { ReportMessageDialog } from "./ReportMessageDialog";
+import { MessageSquare, AlertCircle, Loader2, Ban } from "lucide-react";
 
 export function ChatWindow({
     conversation,
@@ -10,12 +11,31 @@ export function ChatWindow({
     onSendMessage,
     onDeleteConversation,
     sending = false,
+    hasOlderMessages = false,
+    loadingOlderMessages = false,
+    onLoadOlderMessages,
+    onEditMessage,
+    onToggleReaction,
+    highlightedMessageId = null,
+    isBlocked = false,
+    onBlockUser,
+    onUnblockUser,
+    onReportMessage,
+    quickReplies = [],
+    onManageQuickReplies,
 }) {
     const messagesEndRef = useRef(null);
     const messagesContainerRef = useRef(null);
+    // Scroll height before older messages are prepended, to keep the view in place
+    const scrollHeightBeforeLoadRef = useRef(null);
     const [sendError, setSendError] = useState(null);
     const [previousMessageCount, setPreviousMessageCount] = useState(0);
     const [shouldAutoScroll, setShouldAutoScroll] = useState(false);
+    const [replyingTo, setReplyingTo] = useState(null);
+    const [flashedMessageId, setFlashedMessageId] = useState(null);
+    const [reportingMessage, setReportingMessage] = useState(null);
+    // Last search result scrolled to, so later message updates don't scroll again
+    const scrolledToMessageIdRef = useRef(null);
 
     const scrollToBottom = (behavior = "smooth") => {
         if (messagesEndRef.current) {
@@ -64,9 +84,49 @@ export function ChatWindow({
     useEffect(() => {
         const messageCount = conversation.messages?.length || 0;
         setPreviousMessageCount(messageCount);
+        setReplyingTo(null);
+        setReportingMessage(null);
         // Don't reset shouldAutoScroll - let user's scroll position determine this
     }, [conversation.id]);
 
+    // Keep the visible messages in place after older ones are prepended above them
+    useLayoutEffect(() => {
+        const container = messagesContainerRef.current;
+        if (container && scrollHeightBeforeLoadRef.current !== null && !loadingOlderMessages) {
+            container.scrollTop += container.scrollHeight - scrollHeightBeforeLoadRef.current;
+            scrollHeightBeforeLoadRef.current = null;
+        }
+    }, [conversation.messages, loadingOlderMessages]);
+
+    const handleLoadOlderMessages = () => {
+        if (!onLoadOlderMessages || loadingOlderMessages) return;
+
+        scrollHeightBeforeLoadRef.current = messagesContainerRef.current?.scrollHeight ?? null;
+        onLoadOlderMessages();
+    };
+
+    // Scroll a message opened from search into view and flash it
+    useEffect(() => {
+        if (!highlightedMessageId) {
+            scrolledToMessageIdRef.current = null;
+            return;
+        }
+        if (scrolledToMessageIdRef.current === highlightedMessageId) return;
+
+        const element = document.getElementById(`message-${highlightedMessageId}`);
+        if (!element) return;
+
+        scrolledToMessageIdRef.current = highlightedMessageId;
+        element.scrollIntoView({ behavior: "smooth", block: "center" });
+        setFlashedMessageId(highlightedMessageId);
+    }, [highlightedMessageId, conversation.messages]);
+
+    useEffect(() => {
+        if (!flashedMessageId) return;
+        const timeout = setTimeout(() => setFlashedMessageId(null), 2500);
+        return () => clearTimeout(timeout);
+    }, [flashedMessageId]);
+
     // Clear send error after 5 seconds
     useEffect(() => {
         if (sendError) {
@@ -77,6 +137,9 @@ export function ChatWindow({
 
     const participant = conversation.participants[0];
 
+    const getAuthorName = (senderId) =>
+        senderId === currentUserId ? "You" : participant?.name;
+
     // Handle message send with error handling
     const handleSendMessage = async (messageText, file = null) => {
         setSendError(null);
@@ -85,13 +148,15 @@ export function ChatWindow({
         setShouldAutoScroll(true);
         
         try {
-            const result = await onSendMessage(messageText, file);
+            const result = await onSendMessage(messageText, file, replyingTo);
             
             // Check if the result indicates a failure
             if (result && result.success === false) {
                 setSendError(result.error?.message || 'Failed to send message');
                 return result;
             }
+
+            setReplyingTo(null);
             
             return result;
         } catch (error) {
@@ -102,7 +167,14 @@ export function ChatWindow({
 
     return (
         <div className="flex flex-col h-full bg-card rounded-r-xl overflow-hidden min-w-0">
-            <ChatHeader participant={participant} onDeleteConversation={onDeleteConversation} />
+            <ChatHeader
+                participant={participant}
+                onDeleteConversation={onDeleteConversation}
+                isBlocked={isBlocked}
+                onToggleBlock={onBlockUser && onUnblockUser
+                    ? () => (isBlocked ? onUnblockUser(participant.id) : onBlockUser(participant.id))
+                    : undefined}
+            />
 
             {/* Send Error Banner */}
             {sendError && (
@@ -134,12 +206,31 @@ export function ChatWindow({
                     </div>
                 ) : (
                     <div>
+                        {hasOlderMessages && (
+                            <div className="flex justify-center py-2">
+                                <button
+                                    onClick={handleLoadOlderMessages}
+                                    disabled={loadingOlderMessages}
+                                    className="flex items-center gap-2 text-xs text-primary hover:underline disabled:opacity-50 disabled:no-underline"
+                                >
+                                    {loadingOlderMessages && <Loader2 className="w-3 h-3 animate-spin" />}
+                                    {loadingOlderMessages ? "Loading..." : "Load earlier messages"}
+                                </button>
+                            </div>
+                        )}
                         {conversation.messages.map((message, index) => (
                             <MessageBubble
                                 key={message.id || message._id || `message-${index}-${message.timestamp || Date.now()}`}
                                 message={message}
                                 isOwn={message.senderId === currentUserId || message.sender === currentUserId}
                                 isPending={message.pending}
+                                isHighlighted={flashedMessageId !== null && (message.id || message._id) === flashedMessageId}
+                                currentUserId={currentUserId}
+                                replyAuthorName={message.replyTo && getAuthorName(message.replyTo.sender)}
+                                onReply={setReplyingTo}
+                                onEdit={onEditMessage}
+                                onToggleReaction={onToggleReaction}
+                                onReport={onReportMessage && message.type !== 'system' ? setReportingMessage : undefined}
                             />
                         ))}
                         <div ref={messagesEndRef} />
@@ -149,8 +240,42 @@ export function ChatWindow({
 
             {/* Message Composer - flex-shrink-0 ensures it stays visible */}
             <div className="flex-shrink-0">
-                <MessageComposer onSendMessage={handleSendMessage} disabled={sending} />
+                {isBlocked ? (
+                    <div className="flex items-center justify-center gap-2 px-4 py-4 border-t border-border text-sm text-muted-foreground">
+                        <Ban className="w-4 h-4 flex-shrink-0" />
+                        <span>You blocked {participant?.name || "this user"}.</span>
+                        <button
+                            onClick={() => onUnblockUser?.(participant.id)}
+                            className="text-primary hover:underline"
+                        >
+                            Unblock
+                        </button>
+                    </div>
+                ) : (
+                    <MessageComposer
+                        onSendMessage={handleSendMessage}
+                        disabled={sending}
+                        replyingTo={replyingTo && {
+                            authorName: getAuthorName(replyingTo.senderId || replyingTo.sender),
+                            text: replyingTo.text
+                        }}
+                        onCancelReply={() => setReplyingTo(null)}
+                        quickReplies={quickReplies}
+                        onManageQuickReplies={onManageQuickReplies}
+                    />
+                )}
             </div>
+
+            {reportingMessage && (
+                <ReportMessageDialog
+                    message={reportingMessage}
+                    authorName={participant?.name}
+                    isAuthorBlocked={isBlocked}
+                    onReport={onReportMessage}
+                    onBlock={() => onBlockUser?.(participant.id)}
+                    onClose={() => setReportingMessage(null)}
+                />
+            )}
         </div>
     );
 }
@@ -1,16 +1,28 @@
 import { useState, useMemo } from "react";
 import { ConversationItem } from "./ConversationItem";
+import { MessageSearchResults } from "./MessageSearchResults";
 import { Input } from "../ui/input";
 import { Search, MessageSquare, RefreshCw } from "lucide-react";
+import { useMessageSearch, MIN_SEARCH_LENGTH } from "../../hooks/useMessageSearch";
 
 export function ConversationList({
     conversations,
     selectedConversationId,
     onSelectConversation,
+    onSelectSearchResult,
     loading = false,
     onRefresh,
 }) {
     const [searchQuery, setSearchQuery] = useState("");
+    const messageSearch = useMessageSearch();
+    const isSearchingMessages = Boolean(onSelectSearchResult) && searchQuery.trim().length >= MIN_SEARCH_LENGTH;
+
+    const handleSearchChange = (e) => {
+        setSearchQuery(e.target.value);
+        if (onSelectSearchResult) {
+            messageSearch.search(e.target.value);
+        }
+    };
 
     // Filter conversations based on search query
     const filteredConversations = useMemo(() => {
@@ -51,9 +63,9 @@ export function ConversationList({
                 <div className="relative">
                     <Search className="absolute left-3 top-1/2 transform -translate-y-1/2 w-4 h-4 text-muted-foreground" />
                     <Input
-                        placeholder="Search conversations..."
+                        placeholder={onSelectSearchResult ? "Search conversations and messages..." : "Search conversations..."}
                         value={searchQuery}
-                        onChange={(e) => setSearchQuery(e.target.value)}
+                        onChange={handleSearchChange}
                         className="pl-10 bg-muted border-0 focus:ring-2 focus:ring-ring rounded-lg"
                     />
                 </div>
@@ -68,7 +80,7 @@ export function ConversationList({
                             <p>Loading conversations...</p>
                         </div>
                     </div>
-                ) : filteredConversations.length === 0 ? (
+                ) : filteredConversations.length === 0 && !isSearchingMessages ? (
                     <div className="flex items-center justify-center h-40 text-muted-foreground">
                         <div className="text-center">
                             <MessageSquare className="w-8 h-8 mx-auto mb-2 text-muted-foreground/50" />
@@ -90,19 +102,31 @@ export function ConversationList({
                         </div>
                     </div>
                 ) : (
-                    <div className="py-2 px-2 space-y-1">
-                        {filteredConversations.map((conversation) => {
-                            const convId = conversation.id || conversation._id;
-                            return (
-                                <ConversationItem
-                                    key={convId}
-                                    conversation={conversation}
-                                    isSelected={selectedConversationId === convId}
-                                    onClick={() => onSelectConversation(conversation)}
-                                />
-                            );
-                        })}
-                    </div>
+                    <>
+                        <div className="py-2 px-2 space-y-1">
+                            {filteredConversations.map((conversation) => {
+                                const convId = conversation.id || conversation._id;
+                                return (
+                                    <ConversationItem
+                                        key={convId}
+                                        conversation={conversation}
+                                        isSelected={selectedConversationId === convId}
+                                        onClick={() => onSelectConversation(conversation)}
+                                    />
+                                );
+                            })}
+                        </div>
+                        {isSearchingMessages && (
+                            <MessageSearchResults
+                                results={messageSearch.results}
+                                loading={messageSearch.loading}
+                                error={messageSearch.error}
+                                hasMore={messageSearch.hasMore}
+                                onLoadMore={messageSearch.loadMore}
+                                onSelectResult={onSelectSearchResult}
+                            />
+                        )}
+                    </>
                 )}
             </div>
         </div>
@@ -1,6 +1,55 @@
-import { Clock, Download, FileText, Image as ImageIcon } from "lucide-react";
+import { useState } from "react";
+import { Check, CheckCheck, Clock, CornerUpLeft, Download, FileText, Flag, Image as ImageIcon, Info, Pencil, ShieldAlert, SmilePlus } from "lucide-react";
+
+// Must match MESSAGE_EDIT_WINDOW_MS in the server's messageService
+const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+const QUICK_REACTIONS = ['👍', '❤️', '😂', '😮', '😢', '🙏'];
+
+// Shown to the recipient of a message the server's scanner flagged, most serious first
+const SAFETY_WARNINGS = {
+    scam: "This message looks like a common rental scam. Never pay a deposit or token amount before you have seen the property and signed an agreement.",
+    payment: "This message contains payment details. Never send money before you have seen the property and signed an agreement.",
+    phone: "This message shares a phone number. Keep conversations on the platform so they stay protected.",
+    email: "This message shares an email address. Keep conversations on the platform so they stay protected.",
+};
+
+// Message text is HTML-escaped by the server; undo it before editing so it is not escaped twice
+const decodeMessageText = (text = '') => text
+    .replace(/&#x2F;/g, '/')
+    .replace(/&#x27;/g, "'")
+    .replace(/&quot;/g, '"')
+    .replace(/&gt;/g, '>')
+    .replace(/&lt;/g, '<')
+    .replace(/&amp;/g, '&');
+
+/**
+ * Delivery state of an own message: sent -> delivered -> seen
+ */
+const getDeliveryStatus = (message) => {
+    if (message.read) return 'seen';
+    if (message.deliveredAt) return 'delivered';
+    return 'sent';
+};
+
+export function MessageBubble({
+    message,
+    isOwn,
+    isPending = false,
+    isHighlighted = false,
+    currentUserId,
+    replyAuthorName,
+    onReply,
+    onEdit,
+    onToggleReaction,
+    onReport,
+}) {
+    const [mountedAt] = useState(() => Date.now());
+    const [isEditing, setIsEditing] = useState(false);
+    const [editText, setEditText] = useState("");
+    const [savingEdit, setSavingEdit] = useState(false);
+    const [showReactionPicker, setShowReactionPicker] = useState(false);
 
-export function MessageBubble({ message, isOwn, isPending = false }) {
     const formatTime = (timestamp) => {
         if (!timestamp) return "";
         const date = new Date(timestamp);
@@ -23,82 +72,297 @@ export function MessageBubble({ message, isOwn, isPending = false }) {
     const hasFile = message.image || message.file || message.attachment;
     const isImageFile = message.image || (message.file && message.file.type?.startsWith('image/'));
 
+    const messageId = message.id || message._id;
+    const canEdit = isOwn && !isPending && onEdit && message.type !== 'system' && message.text &&
+        mountedAt - new Date(messageTime).getTime() < MESSAGE_EDIT_WINDOW_MS;
+
+    // Group reactions by emoji: [{ emoji, count, mine }]
+    const reactionGroups = Object.values((message.reactions || []).reduce((groups, reaction) => {
+        const userId = reaction.user?._id || reaction.user;
+        const group = groups[reaction.emoji] || { emoji: reaction.emoji, count: 0, mine: false };
+        group.count++;
+        group.mine = group.mine || userId === currentUserId;
+        groups[reaction.emoji] = group;
+        return groups;
+    }, {}));
+
+    const startEditing = () => {
+        setEditText(decodeMessageText(message.text));
+        setIsEditing(true);
+    };
+
+    const saveEdit = async () => {
+        if (!editText.trim() || savingEdit) return;
+
+        setSavingEdit(true);
+        const result = await onEdit(messageId, editText);
+        setSavingEdit(false);
+
+        if (result?.success !== false) {
+            setIsEditing(false);
+        }
+    };
+
+    const handleEditKeyDown = (e) => {
+        if (e.key === "Enter" && !e.shiftKey) {
+            e.preventDefault();
+            saveEdit();
+        } else if (e.key === "Escape") {
+            setIsEditing(false);
+        }
+    };
+
+    const handleReaction = (emoji) => {
+        setShowReactionPicker(false);
+        onToggleReaction?.(messageId, emoji);
+    };
+
+    const deliveryStatus = getDeliveryStatus(message);
+
+    // System messages (e.g. booked viewings) are shown as a centered notice
+    if (message.type === 'system') {
+        return (
+            <div id={`message-${messageId}`} className="flex justify-center my-2 w-full">
+                <div className="flex items-start gap-1.5 max-w-[90%] sm:max-w-md px-3 py-1.5 rounded-lg bg-muted text-muted-foreground text-xs">
+                    <Info className="w-3.5 h-3.5 flex-shrink-0 mt-px" />
+                    <p className="break-words whitespace-pre-wrap">
+                        {message.text}
+                        <span className="ml-1.5 opacity-70">{formatTime(messageTime)}</span>
+                    </p>
+                </div>
+            </div>
+        );
+    }
+
     return (
-        <div className={`flex ${isOwn ? "justify-end" : "justify-start"} mb-1 w-full`}>
-            <div
-                className={`max-w-[80%] sm:max-w-[75%] lg:max-w-md px-3 py-1.5 rounded-2xl overflow-hidden ${
-                    isOwn
-                        ? "bg-primary text-primary-foreground rounded-br-sm"
-                        : "bg-card text-foreground border border-border rounded-bl-sm"
-                } ${isPending ? "opacity-70" : ""}`}
-            >
-                {/* Image attachment */}
-                {message.image && (
-                    <div className="mb-2">
-                        <img
-                            src={message.image}
-                            alt="Message attachment"
-                            className="w-full rounded-lg max-h-64 object-cover cursor-pointer hover:opacity-90 transition-opacity"
-                            onClick={() => window.open(message.image, '_blank')}
-                        />
-                    </div>
-                )}
+        <div id={`message-${messageId}`} className={`group flex items-center gap-1 ${isOwn ? "flex-row-reverse" : "flex-row"} mb-1 w-full`}>
+            <div className={`flex flex-col ${isOwn ? "items-end" : "items-start"} max-w-[80%] sm:max-w-[75%] lg:max-w-md min-w-0`}>
+                <div
+                    className={`max-w-full px-3 py-1.5 rounded-2xl overflow-hidden ${
+                        isOwn
+                            ? "bg-primary text-primary-foreground rounded-br-sm"
+                            : "bg-card text-foreground border border-border rounded-bl-sm"
+                    } ${isPending ? "opacity-70" : ""} ${isHighlighted ? "ring-2 ring-amber-400 ring-offset-2 ring-offset-background" : ""}`}
+                >
+                    {/* Quoted message */}
+                    {message.replyTo && (
+                        <div className={`mb-1.5 pl-2 border-l-2 text-xs ${
+                            isOwn ? "border-primary-foreground/50 text-primary-foreground/80" : "border-primary/60 text-muted-foreground"
+                        }`}>
+                            <p className="font-medium">{replyAuthorName || "User"}</p>
+                            <p className="truncate">{message.replyTo.text || "Attachment"}</p>
+                        </div>
+                    )}
 
-                {/* Non-image file attachment */}
-                {message.file && !isImageFile && (
-                    <div className="mb-2 p-3 bg-muted/50 rounded-lg border border-border/50">
-                        <div className="flex items-center gap-3">
-                            <div className="flex-shrink-0">
-                                {message.file.type?.includes('pdf') ? (
-                                    <FileText className="w-8 h-8 text-red-500" />
-                                ) : (
-                                    <FileText className="w-8 h-8 text-muted-foreground" />
-                                )}
-                            </div>
-                            <div className="flex-1 min-w-0">
-                                <p className="text-sm font-medium truncate">
-                                    {message.file.name || 'File attachment'}
-                                </p>
-                                {message.file.size && (
-                                    <p className="text-xs text-muted-foreground">
-                                        {formatFileSize(message.file.size)}
+                    {/* Image attachment */}
+                    {message.image && (
+                        <div className="mb-2">
+                            <img
+                                src={message.image}
+                                alt="Message attachment"
+                                className="w-full rounded-lg max-h-64 object-cover cursor-pointer hover:opacity-90 transition-opacity"
+                                onClick={() => window.open(message.image, '_blank')}
+                            />
+                        </div>
+                    )}
+
+                    {/* Non-image file attachment */}
+                    {message.file && !isImageFile && (
+                        <div className="mb-2 p-3 bg-muted/50 rounded-lg border border-border/50">
+                            <div className="flex items-center gap-3">
+                                <div className="flex-shrink-0">
+                                    {message.file.type?.includes('pdf') ? (
+                                        <FileText className="w-8 h-8 text-red-500" />
+                                    ) : (
+                                        <FileText className="w-8 h-8 text-muted-foreground" />
+                                    )}
+                                </div>
+                                <div className="flex-1 min-w-0">
+                                    <p className="text-sm font-medium truncate">
+                                        {message.file.name || 'File attachment'}
                                     </p>
+                                    {message.file.size && (
+                                        <p className="text-xs text-muted-foreground">
+                                            {formatFileSize(message.file.size)}
+                                        </p>
+                                    )}
+                                </div>
+                                {message.file.url && (
+                                    <button
+                                        onClick={() => window.open(message.file.url, '_blank')}
+                                        className="flex-shrink-0 p-1 hover:bg-muted rounded transition-colors"
+                                        title="Download file"
+                                    >
+                                        <Download className="w-4 h-4" />
+                                    </button>
                                 )}
                             </div>
-                            {message.file.url && (
+                        </div>
+                    )}
+
+                    {/* Message text, or the inline editor */}
+                    {isEditing ? (
+                        <div className="min-w-[12rem]">
+                            <textarea
+                                value={editText}
+                                onChange={(e) => setEditText(e.target.value)}
+                                onKeyDown={handleEditKeyDown}
+                                maxLength={5000}
+                                rows={2}
+                                autoFocus
+                                className="w-full resize-none rounded-md bg-background text-foreground text-sm p-1.5 outline-none"
+                            />
+                            <div className="flex justify-end gap-2 mt-1 text-xs">
+                                <button onClick={() => setIsEditing(false)} className="hover:underline">
+                                    Cancel
+                                </button>
                                 <button
-                                    onClick={() => window.open(message.file.url, '_blank')}
-                                    className="flex-shrink-0 p-1 hover:bg-muted rounded transition-colors"
-                                    title="Download file"
+                                    onClick={saveEdit}
+                                    disabled={savingEdit || !editText.trim()}
+                                    className="font-medium hover:underline disabled:opacity-50"
                                 >
-                                    <Download className="w-4 h-4" />
+                                    {savingEdit ? "Saving..." : "Save"}
                                 </button>
-                            )}
+                            </div>
                         </div>
+                    ) : (
+                        message.text && <p className="break-words text-sm whitespace-pre-wrap overflow-wrap-anywhere">{message.text}</p>
+                    )}
+
+                    {/* Timestamp and status */}
+                    <div className={`flex items-center gap-1 mt-0.5 ${
+                        isOwn ? "justify-end" : "justify-start"
+                    }`}>
+                        {isPending && (
+                            <Clock className={`w-3 h-3 ${
+                                isOwn ? "text-primary-foreground/50" : "text-muted-foreground/50"
+                            }`} />
+                        )}
+                        {message.editedAt && !isPending && (
+                            <span
+                                className={`text-xs italic ${
+                                    isOwn ? "text-primary-foreground/70" : "text-muted-foreground"
+                                }`}
+                                title={message.editHistory?.length
+                                    ? `Previous versions:\n${message.editHistory.map(version => version.text).join("\n")}`
+                                    : undefined}
+                            >
+                                edited
+                            </span>
+                        )}
+                        <p
+                            className={`text-xs ${
+                                isOwn ? "text-primary-foreground/70" : "text-muted-foreground"
+                            }`}
+                        >
+                            {isPending ? "Sending..." : formatTime(messageTime)}
+                        </p>
+                        {isOwn && !isPending && (
+                            <span title={deliveryStatus.charAt(0).toUpperCase() + deliveryStatus.slice(1)}>
+                                {deliveryStatus === 'sent' ? (
+                                    <Check className="w-3.5 h-3.5 text-primary-foreground/70" />
+                                ) : (
+                                    <CheckCheck className={`w-3.5 h-3.5 ${
+                                        deliveryStatus === 'seen' ? "text-sky-300" : "text-primary-foreground/70"
+                                    }`} />
+                                )}
+                            </span>
+                        )}
+                    </div>
+                </div>
+
+                {/* Safety warning for messages the scanner flagged */}
+                {!isOwn && message.safety?.warning && (
+                    <div className="flex items-start gap-1.5 mt-1 px-2.5 py-1.5 rounded-lg bg-amber-50 border border-amber-200 text-amber-800 dark:bg-amber-900/20 dark:border-amber-800 dark:text-amber-300 text-xs">
+                        <ShieldAlert className="w-3.5 h-3.5 flex-shrink-0 mt-px" />
+                        <span>
+                            {SAFETY_WARNINGS[Object.keys(SAFETY_WARNINGS).find(category => message.safety.categories?.includes(category))]
+                                || "Be careful with this message. Never pay before you have seen the property."}
+                            {onReport && (
+                                <>
+                                    {" "}
+                                    <button onClick={() => onReport(message)} className="underline hover:no-underline">
+                                        Report
+                                    </button>
+                                </>
+                            )}
+                        </span>
+                    </div>
+                )}
+
+                {/* Reactions */}
+                {reactionGroups.length > 0 && (
+                    <div className="flex flex-wrap gap-1 mt-0.5">
+                        {reactionGroups.map(({ emoji, count, mine }) => (
+                            <button
+                                key={emoji}
+                                onClick={() => handleReaction(emoji)}
+                                className={`flex items-center gap-0.5 px-1.5 py-0.5 rounded-full border text-xs transition-colors ${
+                                    mine ? "bg-primary/10 border-primary/40" : "bg-card border-border hover:bg-muted"
+                                }`}
+                            >
+                                <span>{emoji}</span>
+                                {count > 1 && <span className="text-muted-foreground">{count}</span>}
+                            </button>
+                        ))}
                     </div>
                 )}
+            </div>
 
-                {/* Message text */}
-                {message.text && <p className="break-words text-sm whitespace-pre-wrap overflow-wrap-anywhere">{message.text}</p>}
-
-                {/* Timestamp and status */}
-                <div className={`flex items-center gap-1 mt-0.5 ${
-                    isOwn ? "justify-end" : "justify-start"
-                }`}>
-                    {isPending && (
-                        <Clock className={`w-3 h-3 ${
-                            isOwn ? "text-primary-foreground/50" : "text-muted-foreground/50"
-                        }`} />
+            {/* Message actions */}
+            {!isPending && !isEditing && (
+                <div className="relative flex items-center gap-0.5 opacity-0 group-hover:opacity-100 focus-within:opacity-100 transition-opacity">
+                    {onToggleReaction && (
+                        <button
+                            onClick={() => setShowReactionPicker(prev => !prev)}
+                            className="p-1 rounded-full text-muted-foreground hover:text-foreground hover:bg-muted"
+                            title="React"
+                        >
+                            <SmilePlus className="w-4 h-4" />
+                        </button>
+                    )}
+                    {onReply && (
+                        <button
+                            onClick={() => onReply(message)}
+                            className="p-1 rounded-full text-muted-foreground hover:text-foreground hover:bg-muted"
+                            title="Reply"
+                        >
+                            <CornerUpLeft className="w-4 h-4" />
+                        </button>
+                    )}
+                    {canEdit && (
+                        <button
+                            onClick={startEditing}
+                            className="p-1 rounded-full text-muted-foreground hover:text-foreground hover:bg-muted"
+                            title="Edit"
+                        >
+                            <Pencil className="w-4 h-4" />
+                        </button>
+                    )}
+                    {!isOwn && onReport && (
+                        <button
+                            onClick={() => onReport(message)}
+                            className="p-1 rounded-full text-muted-foreground hover:text-destructive hover:bg-muted"
+                            title="Report"
+                        >
+                            <Flag className="w-4 h-4" />
+                        </button>
+                    )}
+                    {showReactionPicker && (
+                        <div className={`absolute bottom-full mb-1 ${isOwn ? "right-0" : "left-0"} z-10 flex gap-1 p-1 bg-card border border-border rounded-full shadow-md`}>
+                            {QUICK_REACTIONS.map(emoji => (
+                                <button
+                                    key={emoji}
+                                    onClick={() => handleReaction(emoji)}
+                                    className="w-7 h-7 flex items-center justify-center rounded-full hover:bg-muted text-base"
+                                >
+                                    {emoji}
+                                </button>
+                            ))}
+                        </div>
                     )}
-                    <p
-                        className={`text-xs ${
-                            isOwn ? "text-primary-foreground/70" : "text-muted-foreground"
-                        }`}
-                    >
-                        {isPending ? "Sending..." : formatTime(messageTime)}
-                    </p>
                 </div>
-            </div>
+            )}
         </div>
     );
 }
@@ -1,6 +1,6 @@
 import React, { useState, useRef } from "react";
 import { Button } from "../ui/button";
-import { Send, Paperclip, Smile, X, Image, FileText, AlertCircle } from "lucide-react";
+import { Send, Paperclip, Smile, X, Image, FileText, AlertCircle, MessageSquareText, Settings } from "lucide-react";
 
 const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
 const ALLOWED_IMAGE_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/gif', 'image/webp'];
@@ -16,12 +16,13 @@ const EMOJI_LIST = [
     '🔥', '⭐', '🎉', '🎊', '💐', '🏠', '🏡', '🏢', '🔑', '📍'
 ];
 
-export function MessageComposer({ onSendMessage, disabled = false }) {
+export function MessageComposer({ onSendMessage, disabled = false, replyingTo = null, onCancelReply, quickReplies = [], onManageQuickReplies }) {
     const [message, setMessage] = useState("");
     const [selectedFile, setSelectedFile] = useState(null);
     const [filePreview, setFilePreview] = useState(null);
     const [uploadError, setUploadError] = useState(null);
     const [showEmojiPicker, setShowEmojiPicker] = useState(false);
+    const [showQuickReplies, setShowQuickReplies] = useState(false);
     const fileInputRef = useRef(null);
     const textareaRef = useRef(null);
 
@@ -49,25 +50,35 @@ export function MessageComposer({ onSendMessage, disabled = false }) {
         }
     };
 
-    const handleEmojiSelect = (emoji) => {
+    const insertAtCursor = (text) => {
         const textarea = textareaRef.current;
         if (textarea) {
             const start = textarea.selectionStart;
             const end = textarea.selectionEnd;
-            const newMessage = message.substring(0, start) + emoji + message.substring(end);
+            const newMessage = message.substring(0, start) + text + message.substring(end);
             setMessage(newMessage);
             
-            // Set cursor position after emoji
+            // Set cursor position after inserted text
             setTimeout(() => {
-                textarea.selectionStart = textarea.selectionEnd = start + emoji.length;
+                textarea.selectionStart = textarea.selectionEnd = start + text.length;
                 textarea.focus();
             }, 0);
         } else {
-            setMessage(prev => prev + emoji);
+            setMessage(prev => prev + text);
         }
+    };
+
+    const handleEmojiSelect = (emoji) => {
+        insertAtCursor(emoji);
         setShowEmojiPicker(false);
     };
 
+    const handleQuickReplySelect = (reply) => {
+        // Server fills in the conversation's property details when it can
+        insertAtCursor(reply.renderedText || reply.text);
+        setShowQuickReplies(false);
+    };
+
     const handleFileSelect = (e) => {
         const file = e.target.files[0];
         if (!file) return;
@@ -127,6 +138,19 @@ export function MessageComposer({ onSendMessage, disabled = false }) {
                 </div>
             )}
 
+            {/* Reply Preview */}
+            {replyingTo && (
+                <div className="mb-2 pl-2 pr-1 py-1 border-l-2 border-primary bg-muted rounded-r-lg flex items-center gap-2">
+                    <div className="flex-1 min-w-0 text-xs">
+                        <p className="font-medium text-foreground">Replying to {replyingTo.authorName || "User"}</p>
+                        <p className="text-muted-foreground truncate">{replyingTo.text || "Attachment"}</p>
+                    </div>
+                    <button onClick={onCancelReply} className="text-muted-foreground hover:text-foreground p-1">
+                        <X className="w-4 h-4" />
+                    </button>
+                </div>
+            )}
+
             {/* File Preview */}
             {selectedFile && (
                 <div className="mb-2 p-2 bg-muted rounded-lg border border-border">
@@ -181,6 +205,58 @@ export function MessageComposer({ onSendMessage, disabled = false }) {
                     rows={1}
                 />
 
+                {/* Quick Replies Button with Picker */}
+                {onManageQuickReplies && (
+                    <div className="relative">
+                        <Button
+                            variant="ghost"
+                            size="icon"
+                            className="h-9 w-9 hover:bg-muted text-muted-foreground hover:text-foreground flex-shrink-0"
+                            onClick={() => setShowQuickReplies(!showQuickReplies)}
+                            disabled={disabled}
+                            aria-label="Insert quick reply"
+                        >
+                            <MessageSquareText className="w-4 h-4" />
+                        </Button>
+
+                        {/* Quick Replies Dropdown */}
+                        {showQuickReplies && (
+                            <>
+                                <div 
+                                    className="fixed inset-0 z-40" 
+                                    onClick={() => setShowQuickReplies(false)}
+                                />
+                                <div className="absolute bottom-full right-0 mb-2 py-1 bg-card border border-border rounded-lg shadow-lg z-50 w-64">
+                                    <div className="max-h-60 overflow-y-auto">
+                                        {quickReplies.length === 0 ? (
+                                            <p className="px-3 py-2 text-xs text-muted-foreground">No quick replies saved yet</p>
+                                        ) : quickReplies.map(reply => (
+                                            <button
+                                                key={reply._id}
+                                                onClick={() => handleQuickReplySelect(reply)}
+                                                className="w-full px-3 py-1.5 text-left hover:bg-muted transition-colors"
+                                            >
+                                                <p className="text-xs font-medium text-foreground truncate">{reply.title}</p>
+                                                <p className="text-[10px] text-muted-foreground truncate">{reply.renderedText || reply.text}</p>
+                                            </button>
+                                        ))}
+                                    </div>
+                                    <button
+                                        onClick={() => {
+                                            setShowQuickReplies(false);
+                                            onManageQuickReplies();
+                                        }}
+                                        className="w-full px-3 py-1.5 mt-1 border-t border-border text-left text-xs text-muted-foreground hover:text-foreground hover:bg-muted flex items-center gap-2"
+                                    >
+                                        <Settings className="w-3.5 h-3.5" />
+                                        Manage quick replies
+                                    </button>
+                                </div>
+                            </>
+                        )}
+                    </div>
+                )}
+
                 {/* Emoji Button with Picker */}
                 <div className="relative">
                     <Button
@@ -0,0 +1,124 @@
+import { Home, Loader2, MessageSquare, User } from "lucide-react";
+
+/**
+ * Render a snippet with its highlight ranges wrapped in <mark>
+ */
+function HighlightedSnippet({ snippet = "", highlights = [] }) {
+    const parts = [];
+    let cursor = 0;
+
+    highlights.forEach(({ start, end }, index) => {
+        if (start > cursor) parts.push(snippet.slice(cursor, start));
+        parts.push(
+            <mark key={index} className="bg-amber-200/70 text-foreground rounded-sm px-0.5">
+                {snippet.slice(start, end)}
+            </mark>
+        );
+        cursor = end;
+    });
+    if (cursor < snippet.length) parts.push(snippet.slice(cursor));
+
+    return <>{parts}</>;
+}
+
+const formatDate = (timestamp) => {
+    if (!timestamp) return "";
+    return new Date(timestamp).toLocaleDateString("en-US", { month: "short", day: "numeric" });
+};
+
+export function MessageSearchResults({
+    results,
+    loading = false,
+    error = null,
+    hasMore = false,
+    onLoadMore,
+    onSelectResult,
+}) {
+    const { messages = [], conversations = [] } = results;
+
+    if (!loading && !error && !hasMore && messages.length === 0 && conversations.length === 0) {
+        return null;
+    }
+
+    return (
+        <div className="py-2 px-2 border-t border-border">
+            {conversations.length > 0 && (
+                <div className="mb-2">
+                    <h2 className="px-2 py-1 text-xs font-semibold uppercase tracking-wide text-muted-foreground">
+                        Conversations
+                    </h2>
+                    {conversations.map((result) => (
+                        <button
+                            key={result.conversationId}
+                            onClick={() => onSelectResult(result)}
+                            className="w-full px-3 py-2 rounded-lg hover:bg-muted/50 transition-colors text-left"
+                        >
+                            <div className="flex items-center gap-2 text-sm">
+                                {result.matchedField === "property" ? (
+                                    <Home className="w-4 h-4 flex-shrink-0 text-muted-foreground" />
+                                ) : (
+                                    <User className="w-4 h-4 flex-shrink-0 text-muted-foreground" />
+                                )}
+                                <span className="truncate text-foreground">
+                                    <HighlightedSnippet snippet={result.snippet} highlights={result.highlights} />
+                                </span>
+                            </div>
+                            {result.matchedField === "property" && result.counterpart?.name && (
+                                <p className="ml-6 text-xs text-muted-foreground truncate">{result.counterpart.name}</p>
+                            )}
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {messages.length > 0 && (
+                <div>
+                    <h2 className="px-2 py-1 text-xs font-semibold uppercase tracking-wide text-muted-foreground">
+                        Messages
+                    </h2>
+                    {messages.map((result) => (
+                        <button
+                            key={result.messageId}
+                            onClick={() => onSelectResult(result)}
+                            className="w-full px-3 py-2 rounded-lg hover:bg-muted/50 transition-colors text-left"
+                        >
+                            <div className="flex items-center justify-between gap-2 mb-0.5">
+                                <span className="text-sm font-medium text-foreground truncate">
+                                    {result.counterpart?.name || "Unknown User"}
+                                    {result.property?.title && (
+                                        <span className="font-normal text-muted-foreground"> · {result.property.title}</span>
+                                    )}
+                                </span>
+                                <span className="text-xs text-muted-foreground flex-shrink-0">
+                                    {formatDate(result.createdAt)}
+                                </span>
+                            </div>
+                            <p className="text-sm text-muted-foreground line-clamp-2 break-words">
+                                <HighlightedSnippet snippet={result.snippet} highlights={result.highlights} />
+                            </p>
+                        </button>
+                    ))}
+                </div>
+            )}
+
+            {loading ? (
+                <div className="flex items-center justify-center gap-2 py-3 text-sm text-muted-foreground">
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                    Searching messages...
+                </div>
+            ) : error ? (
+                <div className="flex items-center justify-center gap-2 py-3 text-sm text-destructive">
+                    <MessageSquare className="w-4 h-4" />
+                    {error}
+                </div>
+            ) : hasMore && (
+                <button
+                    onClick={onLoadMore}
+                    className="w-full py-2 text-sm text-primary hover:underline"
+                >
+                    {messages.length === 0 ? "Search older messages" : "More messages"}
+                </button>
+            )}
+        </div>
+    );
+}
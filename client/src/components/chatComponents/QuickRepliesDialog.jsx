@@ -0,0 +1,201 @@
+import { useState } from "react";
+import { Loader2, MessageSquareText, Pencil, Plus, Trash2 } from "lucide-react";
+import { Button } from "../ui/button";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogHeader,
+    DialogTitle,
+} from "../ui/dialog";
+
+// Must match MAX_QUICK_REPLIES in the server's quickReplyService
+const MAX_QUICK_REPLIES = 20;
+
+const EMPTY_FORM = { id: null, title: "", text: "" };
+
+const inputClassName = "w-full px-3 py-2 border border-input rounded-md bg-background text-foreground text-sm focus:outline-none focus:ring-2 focus:ring-ring";
+
+function PlaceholderChips({ placeholders, onInsert }) {
+    const names = Object.keys(placeholders);
+    if (names.length === 0) return null;
+
+    return (
+        <div className="flex flex-wrap gap-1">
+            {names.map(name => (
+                <button
+                    key={name}
+                    type="button"
+                    onClick={() => onInsert(`{{${name}}}`)}
+                    title={placeholders[name]}
+                    className="px-1.5 py-0.5 rounded border border-border bg-muted text-xs text-muted-foreground hover:text-foreground font-mono"
+                >
+                    {`{{${name}}}`}
+                </button>
+            ))}
+        </div>
+    );
+}
+
+export function QuickRepliesDialog({
+    onClose,
+    quickReplies = [],
+    autoResponse = { enabled: false, text: "" },
+    placeholders = {},
+    onCreate,
+    onUpdate,
+    onDelete,
+    onSaveAutoResponse,
+}) {
+    const [form, setForm] = useState(null);
+    const [autoResponseForm, setAutoResponseForm] = useState(autoResponse);
+    const [saving, setSaving] = useState(false);
+    const [error, setError] = useState(null);
+
+    const runSave = async (action) => {
+        setSaving(true);
+        setError(null);
+        const result = await action();
+        setSaving(false);
+        if (!result?.success) {
+            setError(result?.error?.message || "Failed to save");
+        }
+        return result?.success;
+    };
+
+    const handleSaveReply = async (e) => {
+        e.preventDefault();
+        const title = form.title.trim();
+        const text = form.text.trim();
+        const saved = await runSave(() => form.id ? onUpdate(form.id, title, text) : onCreate(title, text));
+        if (saved) setForm(null);
+    };
+
+    const handleDeleteReply = async (reply) => {
+        if (!window.confirm(`Delete the quick reply "${reply.title}"?`)) return;
+        await runSave(() => onDelete(reply._id));
+    };
+
+    const handleSaveAutoResponse = async (e) => {
+        e.preventDefault();
+        await runSave(() => onSaveAutoResponse(autoResponseForm.enabled, autoResponseForm.text.trim()));
+    };
+
+    return (
+        <Dialog open onOpenChange={(open) => !open && onClose()}>
+            <DialogContent className="max-w-lg max-h-[90vh] overflow-y-auto">
+                <DialogHeader>
+                    <DialogTitle className="flex items-center gap-2">
+                        <MessageSquareText className="h-5 w-5" />
+                        Quick replies
+                    </DialogTitle>
+                    <DialogDescription>
+                        Save answers to questions you get often. Placeholders are filled in from the property of the conversation.
+                    </DialogDescription>
+                </DialogHeader>
+
+                {error && <p className="text-sm text-destructive">{error}</p>}
+
+                {/* Auto-response */}
+                <form onSubmit={handleSaveAutoResponse} className="space-y-2 p-3 border border-border rounded-lg">
+                    <div className="flex items-center gap-2">
+                        <input
+                            type="checkbox"
+                            id="auto-response-enabled"
+                            checked={autoResponseForm.enabled}
+                            onChange={(e) => setAutoResponseForm(prev => ({ ...prev, enabled: e.target.checked }))}
+                            className="rounded border-input"
+                        />
+                        <label htmlFor="auto-response-enabled" className="text-sm font-medium">
+                            Auto-respond to new inquiries about my properties
+                        </label>
+                    </div>
+                    <textarea
+                        value={autoResponseForm.text}
+                        onChange={(e) => setAutoResponseForm(prev => ({ ...prev, text: e.target.value }))}
+                        maxLength={1000}
+                        placeholder="Thanks for your interest in {{title}}! It is available from {{availableFrom}} at {{rent}} per month."
+                        className={`${inputClassName} min-h-[80px] resize-none`}
+                    />
+                    <PlaceholderChips
+                        placeholders={placeholders}
+                        onInsert={(placeholder) => setAutoResponseForm(prev => ({ ...prev, text: prev.text + placeholder }))}
+                    />
+                    <div className="flex justify-end">
+                        <Button
+                            type="submit"
+                            size="sm"
+                            disabled={saving || (autoResponseForm.enabled && !autoResponseForm.text.trim())}
+                        >
+                            Save auto-response
+                        </Button>
+                    </div>
+                </form>
+
+                {/* Saved replies */}
+                <div className="space-y-2">
+                    {quickReplies.map(reply => (
+                        <div key={reply._id} className="flex items-start gap-2 p-2 border border-border rounded-lg">
+                            <div className="flex-1 min-w-0">
+                                <p className="text-sm font-medium text-foreground truncate">{reply.title}</p>
+                                <p className="text-xs text-muted-foreground line-clamp-2 break-words">{reply.text}</p>
+                            </div>
+                            <button
+                                onClick={() => setForm({ id: reply._id, title: reply.title, text: reply.text })}
+                                className="p-1 rounded text-muted-foreground hover:text-foreground hover:bg-muted"
+                                title="Edit"
+                            >
+                                <Pencil className="w-4 h-4" />
+                            </button>
+                            <button
+                                onClick={() => handleDeleteReply(reply)}
+                                className="p-1 rounded text-muted-foreground hover:text-destructive hover:bg-destructive/10"
+                                title="Delete"
+                            >
+                                <Trash2 className="w-4 h-4" />
+                            </button>
+                        </div>
+                    ))}
+
+                    {form ? (
+                        <form onSubmit={handleSaveReply} className="space-y-2 p-3 border border-border rounded-lg">
+                            <input
+                                value={form.title}
+                                onChange={(e) => setForm(prev => ({ ...prev, title: e.target.value }))}
+                                maxLength={60}
+                                placeholder="Title, e.g. Still available"
+                                className={inputClassName}
+                                autoFocus
+                            />
+                            <textarea
+                                value={form.text}
+                                onChange={(e) => setForm(prev => ({ ...prev, text: e.target.value }))}
+                                maxLength={1000}
+                                placeholder="Yes, {{title}} is still available from {{availableFrom}}."
+                                className={`${inputClassName} min-h-[80px] resize-none`}
+                            />
+                            <PlaceholderChips
+                                placeholders={placeholders}
+                                onInsert={(placeholder) => setForm(prev => ({ ...prev, text: prev.text + placeholder }))}
+                            />
+                            <div className="flex justify-end gap-2">
+                                <Button type="button" variant="outline" size="sm" onClick={() => setForm(null)}>
+                                    Cancel
+                                </Button>
+                                <Button type="submit" size="sm" disabled={saving || !form.title.trim() || !form.text.trim()}>
+                                    {saving && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                                    Save reply
+                                </Button>
+                            </div>
+                        </form>
+                    ) : quickReplies.length < MAX_QUICK_REPLIES && (
+                        <Button variant="outline" size="sm" className="w-full" onClick={() => setForm(EMPTY_FORM)}>
+                            <Plus className="h-4 w-4 mr-2" />
+                            Add quick reply
+                        </Button>
+                    )}
+                </div>
+            </DialogContent>
+        </Dialog>
+    );
+}
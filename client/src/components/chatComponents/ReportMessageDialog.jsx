@@ -0,0 +1,138 @@
+import { useState } from "react";
+import { Flag, Loader2 } from "lucide-react";
+import { Button } from "../ui/button";
+import {
+    Dialog,
+    DialogContent,
+    DialogDescription,
+    DialogFooter,
+    DialogHeader,
+    DialogTitle,
+} from "../ui/dialog";
+
+// Must match MESSAGE_REPORT_REASONS in the server's MessageReport model
+const REPORT_REASONS = [
+    { value: "spam", label: "Spam" },
+    { value: "scam", label: "Scam or fraud" },
+    { value: "harassment", label: "Harassment or threats" },
+    { value: "inappropriate", label: "Inappropriate content" },
+    { value: "other", label: "Something else" },
+];
+
+export function ReportMessageDialog({
+    message,
+    authorName,
+    isAuthorBlocked = false,
+    onReport,
+    onBlock,
+    onClose,
+}) {
+    const [reason, setReason] = useState("spam");
+    const [details, setDetails] = useState("");
+    const [alsoBlock, setAlsoBlock] = useState(false);
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+    const [submitted, setSubmitted] = useState(false);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        setError(null);
+
+        const result = await onReport(message.id || message._id, reason, details.trim());
+        if (!result?.success) {
+            setError(result?.error?.message || "Failed to report message");
+            setSubmitting(false);
+            return;
+        }
+
+        if (alsoBlock) {
+            await onBlock();
+        }
+        setSubmitting(false);
+        setSubmitted(true);
+    };
+
+    return (
+        <Dialog open={Boolean(message)} onOpenChange={(open) => !open && onClose()}>
+            <DialogContent className="max-w-md">
+                <DialogHeader>
+                    <DialogTitle className="flex items-center gap-2">
+                        <Flag className="h-5 w-5 text-destructive" />
+                        Report message
+                    </DialogTitle>
+                    <DialogDescription>
+                        {submitted
+                            ? "Thanks for letting us know. Our moderators will review this message."
+                            : `Tell us what's wrong with this message from ${authorName || "this user"}.`}
+                    </DialogDescription>
+                </DialogHeader>
+
+                {submitted ? (
+                    <DialogFooter>
+                        <Button onClick={onClose}>Done</Button>
+                    </DialogFooter>
+                ) : (
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        {message?.text && (
+                            <p className="text-sm bg-muted p-3 rounded-lg break-words line-clamp-4">{message.text}</p>
+                        )}
+
+                        <div className="space-y-2">
+                            <label htmlFor="report-reason" className="text-sm font-medium">Reason</label>
+                            <select
+                                id="report-reason"
+                                value={reason}
+                                onChange={(e) => setReason(e.target.value)}
+                                className="w-full px-3 py-2 border border-input rounded-md bg-background text-foreground text-sm focus:outline-none focus:ring-2 focus:ring-ring"
+                            >
+                                {REPORT_REASONS.map(({ value, label }) => (
+                                    <option key={value} value={value}>{label}</option>
+                                ))}
+                            </select>
+                        </div>
+
+                        <div className="space-y-2">
+                            <label htmlFor="report-details" className="text-sm font-medium">Details (optional)</label>
+                            <textarea
+                                id="report-details"
+                                value={details}
+                                onChange={(e) => setDetails(e.target.value)}
+                                maxLength={1000}
+                                placeholder="Anything that helps our moderators understand the problem..."
+                                className="w-full min-h-[80px] px-3 py-2 border border-input rounded-md bg-background text-foreground text-sm resize-none focus:outline-none focus:ring-2 focus:ring-ring"
+                            />
+                        </div>
+
+                        {!isAuthorBlocked && (
+                            <div className="flex items-center gap-2">
+                                <input
+                                    type="checkbox"
+                                    id="report-block"
+                                    checked={alsoBlock}
+                                    onChange={(e) => setAlsoBlock(e.target.checked)}
+                                    className="rounded border-input"
+                                />
+                                <label htmlFor="report-block" className="text-sm">
+                                    Also block {authorName || "this user"}
+                                </label>
+                            </div>
+                        )}
+
+                        {error && <p className="text-sm text-destructive">{error}</p>}
+
+                        <DialogFooter>
+                            <Button type="button" variant="outline" onClick={onClose}>
+                                Cancel
+                            </Button>
+                            <Button type="submit" variant="destructive" disabled={submitting}>
+                                {submitting ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Flag className="h-4 w-4 mr-2" />}
+                                Report
+                            </Button>
+                        </DialogFooter>
+                    </form>
+                )}
+            </DialogContent>
+        </Dialog>
+    );
+}
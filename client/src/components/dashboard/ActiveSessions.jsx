@@ -0,0 +1,153 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { Monitor, Smartphone, Tablet, LogOut, Loader2 } from "lucide-react";
+import { authAPI, usersAPI } from "../../lib/api";
+import { clearAuth } from "../../utils/auth";
+
+const DEVICE_ICONS = {
+    desktop: Monitor,
+    mobile: Smartphone,
+    tablet: Tablet,
+};
+
+const describeDevice = (device = {}) => {
+    const parts = [device.browser, device.os].filter(Boolean);
+    return parts.length > 0 ? parts.join(" on ") : "Unknown device";
+};
+
+/**
+ * Signed-in devices with per-session revoke and "log out all devices"
+ */
+const ActiveSessions = React.memo(function ActiveSessions() {
+    const navigate = useNavigate();
+    const [sessions, setSessions] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [revokingId, setRevokingId] = useState(null);
+    const [isLoggingOutAll, setIsLoggingOutAll] = useState(false);
+
+    const signOutLocally = useCallback(() => {
+        clearAuth();
+        navigate("/login", { replace: true });
+    }, [navigate]);
+
+    const fetchSessions = useCallback(async () => {
+        setError(null);
+        try {
+            const result = await usersAPI.getSessions(navigate);
+            if (!result.success) throw new Error(result.message || "Failed to load sessions");
+            setSessions(result.data?.sessions || []);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [navigate]);
+
+    useEffect(() => {
+        fetchSessions();
+    }, [fetchSessions]);
+
+    const handleRevoke = useCallback(async (session) => {
+        setRevokingId(session.id);
+        setError(null);
+        try {
+            const result = await usersAPI.revokeSession(session.id, navigate);
+            if (!result.success) throw new Error(result.message || "Failed to sign out device");
+            if (session.isCurrent) {
+                signOutLocally();
+                return;
+            }
+            setSessions(prev => prev.filter(s => s.id !== session.id));
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setRevokingId(null);
+        }
+    }, [navigate, signOutLocally]);
+
+    const handleLogoutAll = useCallback(async () => {
+        if (!window.confirm("Sign out of all devices, including this one?")) return;
+        setIsLoggingOutAll(true);
+        setError(null);
+        try {
+            const result = await authAPI.logoutAll(navigate);
+            if (!result.success) throw new Error(result.error || "Failed to sign out of all devices");
+            signOutLocally();
+        } catch (err) {
+            setError(err.message);
+            setIsLoggingOutAll(false);
+        }
+    }, [navigate, signOutLocally]);
+
+    return (
+        <div className="bg-muted/50 rounded-lg p-3 mb-3">
+            <div className="flex items-center justify-between mb-2">
+                <h4 className="font-medium text-foreground text-sm flex items-center gap-1.5">
+                    <Monitor size={14} className="text-muted-foreground" />
+                    Active Sessions
+                </h4>
+                {sessions.length > 0 && (
+                    <button
+                        onClick={handleLogoutAll}
+                        disabled={isLoggingOutAll}
+                        className="flex items-center gap-1 text-xs font-medium text-destructive hover:underline disabled:opacity-50"
+                    >
+                        {isLoggingOutAll ? <Loader2 size={12} className="animate-spin" /> : <LogOut size={12} />}
+                        Log out all devices
+                    </button>
+                )}
+            </div>
+
+            {error && (
+                <p className="text-xs text-destructive mb-2">{error}</p>
+            )}
+
+            {isLoading ? (
+                <div className="flex items-center gap-2 py-2 text-xs text-muted-foreground">
+                    <Loader2 size={12} className="animate-spin" />
+                    Loading sessions...
+                </div>
+            ) : sessions.length === 0 ? (
+                <p className="text-xs text-muted-foreground py-1.5">No active sessions</p>
+            ) : (
+                <div className="space-y-1">
+                    {sessions.map(session => {
+                        const Icon = DEVICE_ICONS[session.device?.type] || Monitor;
+                        return (
+                            <div
+                                key={session.id}
+                                className="flex items-center justify-between gap-2 py-1.5 border-b border-border/50 last:border-0"
+                            >
+                                <div className="flex items-center gap-2 min-w-0">
+                                    <Icon size={14} className="text-muted-foreground flex-shrink-0" />
+                                    <div className="min-w-0">
+                                        <span className="text-xs font-medium text-foreground block truncate">
+                                            {describeDevice(session.device)}
+                                            {session.isCurrent && (
+                                                <span className="ml-1.5 text-success">(this device)</span>
+                                            )}
+                                        </span>
+                                        <span className="text-xs text-muted-foreground block truncate">
+                                            {session.ipAddress || "Unknown IP"} · Last active{" "}
+                                            {new Date(session.lastUsedAt).toLocaleString()}
+                                        </span>
+                                    </div>
+                                </div>
+                                <button
+                                    onClick={() => handleRevoke(session)}
+                                    disabled={revokingId === session.id}
+                                    className="text-xs font-medium text-muted-foreground hover:text-destructive disabled:opacity-50 flex-shrink-0"
+                                >
+                                    {revokingId === session.id ? <Loader2 size={12} className="animate-spin" /> : "Sign out"}
+                                </button>
+                            </div>
+                        );
+                    })}
+                </div>
+            )}
+        </div>
+    );
+});
+
+export default ActiveSessions;
@@ -0,0 +1,307 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import {
+    Ban,
+    Check,
+    ClipboardList,
+    FileText,
+    Loader2,
+    Star,
+    Undo2,
+    X,
+} from "lucide-react";
+import applicationService from "../../api/applicationService";
+import {
+    APPLICATION_STATUS_STYLES,
+    getIncomeRangeLabel,
+    getDocumentTypeLabel,
+} from "../../utils/rentalApplications";
+import { showSuccessToast, showErrorToast } from "../../utils/toastNotifications";
+
+const VIEWS = [
+    { value: "received", label: "Received" },
+    { value: "submitted", label: "Submitted" },
+];
+
+const OPEN_STATUSES = ["submitted", "shortlisted"];
+
+const propertyPath = (property) =>
+    property?.slug ? `/rent/${property.slug}` : "#";
+
+const formatDate = (value) =>
+    new Date(value).toLocaleDateString("en-IN", { day: "numeric", month: "short", year: "numeric" });
+
+function StatusBadge({ status }) {
+    const style = APPLICATION_STATUS_STYLES[status] || APPLICATION_STATUS_STYLES.submitted;
+    return (
+        <span className={`px-1.5 py-px rounded border text-[10px] font-semibold ${style.className}`}>
+            {style.label}
+        </span>
+    );
+}
+
+/**
+ * Rental applications received on the user's listings and submitted by the user
+ */
+const ApplicationsSection = React.memo(function ApplicationsSection({ onPropertyStatusChange }) {
+    const [view, setView] = useState("received");
+    const [applications, setApplications] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [busyId, setBusyId] = useState(null);
+
+    const fetchApplications = useCallback(async () => {
+        setError(null);
+        setIsLoading(true);
+        try {
+            const data = view === "received"
+                ? await applicationService.getReceivedApplications()
+                : await applicationService.getSubmittedApplications();
+            setApplications(data.applications || []);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [view]);
+
+    useEffect(() => {
+        fetchApplications();
+    }, [fetchApplications]);
+
+    const handleStatusChange = useCallback(async (application, status) => {
+        let note = "";
+        if (status === "accepted") {
+            const confirmed = window.confirm(
+                "Accept this application? The listing will be marked inactive and the other applicants will be notified that it is no longer available."
+            );
+            if (!confirmed) return;
+        } else if (status === "rejected") {
+            const reason = window.prompt("Reject this application? You can add a note for the applicant (optional).", "");
+            if (reason === null) return;
+            note = reason.trim();
+        }
+
+        setBusyId(application._id);
+        try {
+            const result = await applicationService.updateStatus(application._id, status, note);
+            if (status === "accepted") {
+                // Other open applications for the property were closed by the server
+                fetchApplications();
+                onPropertyStatusChange?.(application.property?._id, "inactive");
+                showSuccessToast(
+                    result.closedApplications
+                        ? `The listing is now inactive and ${result.closedApplications} other applicant${result.closedApplications === 1 ? " was" : "s were"} notified`
+                        : "The listing is now inactive",
+                    "",
+                    { title: "Application accepted" }
+                );
+            } else {
+                setApplications(prev => prev.map(a => (
+                    a._id === application._id ? { ...a, status: result.application.status } : a
+                )));
+                showSuccessToast("The applicant has been notified", "", {
+                    title: status === "shortlisted" ? "Applicant shortlisted" : "Application rejected"
+                });
+            }
+        } catch (err) {
+            showErrorToast(err.message || "Failed to update application", "", { title: "Error" });
+        } finally {
+            setBusyId(null);
+        }
+    }, [fetchApplications, onPropertyStatusChange]);
+
+    const handleWithdraw = useCallback(async (application) => {
+        if (!window.confirm("Withdraw this application? The owner will be notified.")) return;
+
+        setBusyId(application._id);
+        try {
+            await applicationService.withdrawApplication(application._id);
+            setApplications(prev => prev.map(a => (
+                a._id === application._id ? { ...a, status: "withdrawn" } : a
+            )));
+            showSuccessToast("The owner has been notified", "", { title: "Application withdrawn" });
+        } catch (err) {
+            showErrorToast(err.message || "Failed to withdraw application", "", { title: "Error" });
+        } finally {
+            setBusyId(null);
+        }
+    }, []);
+
+    return (
+        <div className="bg-card rounded-xl sm:rounded-2xl border border-border shadow-sm hover:shadow-md transition-shadow duration-300 overflow-hidden">
+            {/* Header */}
+            <div className="flex items-center justify-between p-3 sm:p-4 border-b border-border bg-muted/30">
+                <div className="flex items-center gap-2 sm:gap-3">
+                    <div className="p-1.5 sm:p-2 bg-primary/10 rounded-lg sm:rounded-xl">
+                        <ClipboardList size={16} className="text-primary sm:w-5 sm:h-5" />
+                    </div>
+                    <div>
+                        <h3 className="text-sm sm:text-base font-bold text-foreground">Rental Applications</h3>
+                        <p className="text-xs text-muted-foreground hidden sm:block">Screen applicants and track your own applications</p>
+                    </div>
+                </div>
+                <div className="flex items-center gap-1 bg-muted rounded-lg p-0.5">
+                    {VIEWS.map(option => (
+                        <button
+                            key={option.value}
+                            onClick={() => setView(option.value)}
+                            className={`px-2.5 py-1 rounded-md text-xs font-medium transition-colors ${
+                                view === option.value
+                                    ? "bg-card text-foreground shadow-sm"
+                                    : "text-muted-foreground hover:text-foreground"
+                            }`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="p-3 sm:p-4">
+                {error && (
+                    <p className="text-xs text-destructive mb-2">{error}</p>
+                )}
+
+                {isLoading ? (
+                    <div className="flex items-center gap-2 py-2 text-xs text-muted-foreground">
+                        <Loader2 size={12} className="animate-spin" />
+                        Loading applications...
+                    </div>
+                ) : applications.length === 0 ? (
+                    <div className="text-center py-6">
+                        <ClipboardList size={24} className="mx-auto text-muted-foreground/40 mb-2" />
+                        <p className="text-sm text-muted-foreground">
+                            {view === "received"
+                                ? "No applications on your rental listings yet."
+                                : "You haven't applied to rent any property yet."}
+                        </p>
+                    </div>
+                ) : (
+                    <div className="space-y-2">
+                        {applications.map(application => {
+                            const isOpen = OPEN_STATUSES.includes(application.status);
+                            const isBusy = busyId === application._id;
+
+                            return (
+                                <div key={application._id} className="bg-muted/50 rounded-lg p-3 space-y-2">
+                                    <div className="flex flex-col sm:flex-row sm:items-start justify-between gap-2">
+                                        <div className="min-w-0">
+                                            <Link
+                                                to={propertyPath(application.property)}
+                                                className="text-sm font-medium text-foreground block truncate hover:text-primary"
+                                            >
+                                                {application.property?.title || "Property unavailable"}
+                                            </Link>
+                                            <p className="flex items-center gap-1.5 text-xs text-muted-foreground truncate">
+                                                <StatusBadge status={application.status} />
+                                                {view === "received"
+                                                    ? <span>{application.applicant?.name || "Applicant"}</span>
+                                                    : application.owner?.name && <span>Owner: {application.owner.name}</span>}
+                                                <span>· {formatDate(application.createdAt)}</span>
+                                            </p>
+                                        </div>
+
+                                        {isOpen && (
+                                            <div className="flex items-center gap-2 flex-shrink-0">
+                                                {view === "received" ? (
+                                                    <>
+                                                        {application.status === "submitted" && (
+                                                            <button
+                                                                onClick={() => handleStatusChange(application, "shortlisted")}
+                                                                disabled={isBusy}
+                                                                className="flex items-center gap-1 px-2 py-1 rounded-md text-xs text-foreground border border-border bg-background hover:bg-muted disabled:opacity-50"
+                                                            >
+                                                                <Star size={12} />
+                                                                Shortlist
+                                                            </button>
+                                                        )}
+                                                        <button
+                                                            onClick={() => handleStatusChange(application, "accepted")}
+                                                            disabled={isBusy}
+                                                            className="flex items-center gap-1 px-2 py-1 rounded-md text-xs text-success hover:bg-success/10 disabled:opacity-50"
+                                                        >
+                                                            {isBusy ? <Loader2 size={12} className="animate-spin" /> : <Check size={12} />}
+                                                            Accept
+                                                        </button>
+                                                        <button
+                                                            onClick={() => handleStatusChange(application, "rejected")}
+                                                            disabled={isBusy}
+                                                            className="flex items-center gap-1 px-2 py-1 rounded-md text-xs text-destructive hover:bg-destructive/10 disabled:opacity-50"
+                                                        >
+                                                            <Ban size={12} />
+                                                            Reject
+                                                        </button>
+                                                    </>
+                                                ) : (
+                                                    <button
+                                                        onClick={() => handleWithdraw(application)}
+                                                        disabled={isBusy}
+                                                        className="flex items-center gap-1 px-2 py-1 rounded-md text-xs text-destructive hover:bg-destructive/10 disabled:opacity-50"
+                                                    >
+                                                        {isBusy ? <Loader2 size={12} className="animate-spin" /> : <Undo2 size={12} />}
+                                                        Withdraw
+                                                    </button>
+                                                )}
+                                            </div>
+                                        )}
+                                    </div>
+
+                                    <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 text-xs">
+                                        <div>
+                                            <p className="text-muted-foreground">Household</p>
+                                            <p className="text-foreground">{application.householdSize} {application.householdSize === 1 ? "person" : "people"}</p>
+                                        </div>
+                                        <div>
+                                            <p className="text-muted-foreground">Move-in</p>
+                                            <p className="text-foreground">{formatDate(application.moveInDate)}</p>
+                                        </div>
+                                        <div>
+                                            <p className="text-muted-foreground">Occupation</p>
+                                            <p className="text-foreground truncate">{application.occupation}</p>
+                                        </div>
+                                        <div>
+                                            <p className="text-muted-foreground">Income</p>
+                                            <p className="text-foreground truncate">{getIncomeRangeLabel(application.incomeRange)}</p>
+                                        </div>
+                                    </div>
+
+                                    {application.message && (
+                                        <p className="text-xs text-muted-foreground italic line-clamp-2">{`"${application.message}"`}</p>
+                                    )}
+
+                                    {view === "received" && application.documents?.length > 0 && (
+                                        <div className="flex flex-wrap gap-1.5">
+                                            {application.documents.map(document => (
+                                                <a
+                                                    key={document.url}
+                                                    href={document.url}
+                                                    target="_blank"
+                                                    rel="noopener noreferrer"
+                                                    className="flex items-center gap-1 px-2 py-0.5 rounded-md border border-border bg-background text-xs text-foreground hover:border-primary/50"
+                                                    title={document.originalName}
+                                                >
+                                                    <FileText size={12} />
+                                                    {getDocumentTypeLabel(document.documentType)}
+                                                </a>
+                                            ))}
+                                        </div>
+                                    )}
+
+                                    {application.ownerNote && application.status === "rejected" && (
+                                        <p className="flex items-center gap-1 text-xs text-destructive">
+                                            <X size={12} />
+                                            {application.ownerNote}
+                                        </p>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+});
+
+export default ApplicationsSection;
@@ -0,0 +1,161 @@
+import { useState } from "react";
+import { AlertTriangle, CheckCircle2, FileUp, Loader2, Upload, XCircle } from "lucide-react";
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogDescription,
+    DialogFooter,
+} from "../ui/dialog";
+import { Button } from "../ui/button";
+import { propertiesAPI } from "../../lib/api";
+import { showSuccessToast, showErrorToast } from "../../utils/toastNotifications";
+
+const ROW_STATUS_LABELS = {
+    created: "Created",
+    updated: "Updated",
+    valid: "Valid",
+    failed: "Failed",
+};
+
+/**
+ * Bulk import of listings from CSV/JSON with a dry-run check and per-row report
+ */
+export default function ListingImportDialog({ open, onOpenChange, onImported }) {
+    const [file, setFile] = useState(null);
+    const [report, setReport] = useState(null);
+    const [running, setRunning] = useState(null); // "dryRun" | "import"
+
+    const reset = () => {
+        setFile(null);
+        setReport(null);
+    };
+
+    const handleOpenChange = (nextOpen) => {
+        if (running) return;
+        if (!nextOpen) reset();
+        onOpenChange(nextOpen);
+    };
+
+    const runImport = async (dryRun) => {
+        if (!file) return;
+
+        setRunning(dryRun ? "dryRun" : "import");
+        try {
+            const response = await propertiesAPI.importListings(file, { dryRun });
+            if (!response.success) {
+                throw new Error(response.message || "Import failed");
+            }
+            setReport(response.data);
+
+            if (!dryRun && response.data.succeeded > 0) {
+                showSuccessToast(response.message, "", { title: "Listings imported" });
+                onImported?.();
+            }
+        } catch (error) {
+            showErrorToast(error.message || "Import failed", "", { title: "Import failed" });
+        } finally {
+            setRunning(null);
+        }
+    };
+
+    const canImport = report?.dryRun && report.succeeded > 0;
+
+    return (
+        <Dialog open={open} onOpenChange={handleOpenChange}>
+            <DialogContent className="sm:max-w-[560px] max-h-[90vh] overflow-y-auto">
+                <DialogHeader>
+                    <DialogTitle className="flex items-center gap-2">
+                        <FileUp className="h-5 w-5" />
+                        Import listings
+                    </DialogTitle>
+                    <DialogDescription>
+                        Upload a CSV or JSON file with up to 100 listings. Rows with a listingNumber
+                        update that listing; other rows create new listings. Export your listings to get a template.
+                    </DialogDescription>
+                </DialogHeader>
+
+                <label className="flex items-center justify-center gap-2 p-4 rounded-lg border border-dashed border-border text-sm text-muted-foreground hover:bg-muted/50 cursor-pointer">
+                    <Upload className="w-4 h-4" />
+                    {file ? file.name : "Choose a .csv or .json file"}
+                    <input
+                        type="file"
+                        accept=".csv,.json,text/csv,application/json"
+                        onChange={(e) => {
+                            setFile(e.target.files?.[0] || null);
+                            setReport(null);
+                            e.target.value = "";
+                        }}
+                        className="hidden"
+                        disabled={Boolean(running)}
+                    />
+                </label>
+
+                {report && (
+                    <div className="space-y-2">
+                        <p className="text-sm text-foreground">
+                            {report.dryRun ? "Dry run: " : ""}
+                            <span className="font-semibold text-success">{report.succeeded} ok</span>
+                            {" · "}
+                            <span className={`font-semibold ${report.failed > 0 ? "text-destructive" : "text-muted-foreground"}`}>
+                                {report.failed} failed
+                            </span>
+                            {!report.dryRun && ` · ${report.created} created, ${report.updated} updated`}
+                        </p>
+
+                        <div className="max-h-64 overflow-y-auto space-y-1.5">
+                            {report.rows.map(row => {
+                                const failed = row.status === "failed";
+                                return (
+                                    <div key={row.row} className="bg-muted/50 rounded-lg px-3 py-2 text-xs">
+                                        <div className="flex items-center gap-2">
+                                            {failed
+                                                ? <XCircle size={14} className="text-destructive flex-shrink-0" />
+                                                : <CheckCircle2 size={14} className="text-success flex-shrink-0" />}
+                                            <span className="text-muted-foreground flex-shrink-0">Row {row.row}</span>
+                                            <span className="text-foreground truncate flex-1">
+                                                {row.title || row.listingNumber || "Untitled"}
+                                            </span>
+                                            <span className="text-muted-foreground flex-shrink-0">
+                                                {row.action === "update" ? "update" : "new"} · {ROW_STATUS_LABELS[row.status]}
+                                            </span>
+                                        </div>
+                                        {row.errors.map(message => (
+                                            <p key={message} className="text-destructive mt-1 pl-6">{message}</p>
+                                        ))}
+                                        {row.warnings.map(message => (
+                                            <p key={message} className="flex items-center gap-1 text-warning mt-1 pl-6">
+                                                <AlertTriangle size={10} />
+                                                {message}
+                                            </p>
+                                        ))}
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
+                )}
+
+                <DialogFooter>
+                    <Button
+                        type="button"
+                        variant="outline"
+                        onClick={() => runImport(true)}
+                        disabled={!file || Boolean(running)}
+                    >
+                        {running === "dryRun" && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                        Check file
+                    </Button>
+                    <Button
+                        onClick={() => runImport(false)}
+                        disabled={!canImport || Boolean(running)}
+                    >
+                        {running === "import" && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                        Import {canImport ? `${report.succeeded} listing${report.succeeded === 1 ? "" : "s"}` : ""}
+                    </Button>
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+}
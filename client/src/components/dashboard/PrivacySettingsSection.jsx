@@ -16,7 +16,8 @@ import {
     Settings,
     Lock,
     Globe,
-    Bell
+    Bell,
+    History
 } from 'lucide-react';
 import { useToast } from '../ui/use-toast';
 import { getHeaders } from '../../lib/api.js';
@@ -31,6 +32,7 @@ const PrivacySettingsSection = ({ user, onUpdate }) => {
     const [loading, setLoading] = useState(true);
     const [updating, setUpdating] = useState(false);
     const [exporting, setExporting] = useState(false);
+    const [clearingHistory, setClearingHistory] = useState(false);
     const { toast } = useToast();
 
     useEffect(() => {
@@ -187,6 +189,36 @@ const PrivacySettingsSection = ({ user, onUpdate }) => {
         }
     };
 
+    const clearViewHistory = async () => {
+        try {
+            setClearingHistory(true);
+
+            const response = await fetch('/api/privacy/view-history', {
+                method: 'DELETE',
+                headers: getHeaders()
+            });
+
+            if (!response.ok) {
+                throw new Error('Failed to clear view history');
+            }
+
+            toast({
+                title: "Success",
+                description: "Your browsing history has been cleared"
+            });
+
+        } catch (error) {
+            console.error('Error clearing view history:', error);
+            toast({
+                title: "Error",
+                description: "Failed to clear browsing history",
+                variant: "destructive"
+            });
+        } finally {
+            setClearingHistory(false);
+        }
+    };
+
     const acceptPrivacyPolicy = async () => {
         try {
             const response = await fetch('/api/privacy/accept-privacy-policy', {
@@ -439,6 +471,50 @@ const PrivacySettingsSection = ({ user, onUpdate }) => {
                 </div>
             </Card>
 
+            {/* Browsing History */}
+            <Card className="p-6">
+                <div className="flex items-center space-x-2 mb-4">
+                    <History className="h-5 w-5" />
+                    <h3 className="text-lg font-semibold">Browsing History</h3>
+                </div>
+                <p className="text-sm text-gray-600 mb-4">
+                    The properties you view power your recently viewed list and recommendations.
+                </p>
+
+                <div className="space-y-4">
+                    <div className="flex items-center justify-between">
+                        <div>
+                            <label className="font-medium">Keep View History</label>
+                            <p className="text-sm text-gray-500">Turning this off also clears your history</p>
+                        </div>
+                        <Switch
+                            checked={privacySettings.privacy?.dataRetention?.keepViewHistory !== false}
+                            onCheckedChange={(checked) => 
+                                updatePrivacySettings('dataRetention', { keepViewHistory: checked })
+                            }
+                            disabled={updating}
+                        />
+                    </div>
+
+                    <div className="flex items-center justify-between p-4 border rounded-lg">
+                        <div>
+                            <h4 className="font-medium">Clear History</h4>
+                            <p className="text-sm text-gray-500">
+                                Forget the properties you have viewed so far
+                            </p>
+                        </div>
+                        <Button
+                            onClick={clearViewHistory}
+                            disabled={clearingHistory}
+                            variant="outline"
+                        >
+                            <Trash2 className="h-4 w-4 mr-2" />
+                            {clearingHistory ? 'Clearing...' : 'Clear History'}
+                        </Button>
+                    </div>
+                </div>
+            </Card>
+
             {/* Data Export & Deletion */}
             <Card className="p-6">
                 <div className="flex items-center space-x-2 mb-4">
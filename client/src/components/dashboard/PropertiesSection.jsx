@@ -1,8 +1,11 @@
 import React, { useState, useCallback, useMemo } from "react";
-import { Eye, MapPin, Edit2, MoreVertical, ToggleLeft, ToggleRight, Trash2, TrendingUp, Users, Calendar, Loader2, Filter, ArrowUpDown, Home, Building2 } from "lucide-react";
+import { Eye, MapPin, Edit2, MoreVertical, ToggleLeft, ToggleRight, Trash2, TrendingUp, Users, Calendar, Loader2, Filter, ArrowUpDown, Home, Building2, Download, FileUp } from "lucide-react";
 import { Link } from "react-router-dom";
 import { PropertiesSectionSkeleton } from "../ui/skeleton-loaders";
 import { LoadingOverlay, InlineLoading } from "../ui/loading-states";
+import ListingImportDialog from "./ListingImportDialog";
+import { propertiesAPI } from "../../lib/api";
+import { showErrorToast } from "../../utils/toastNotifications";
 
 // Memoized PropertyCard component with optimized mobile design
 const PropertyCard = React.memo(function PropertyCard({ 
@@ -353,9 +356,12 @@ const PropertiesSection = React.memo(function PropertiesSection({
     onDeleteProperty, 
     isLoading = false,
     error = null,
-    onRetry
+    onRetry,
+    onImported
 }) {
     const [activeDropdown, setActiveDropdown] = useState(null);
+    const [importOpen, setImportOpen] = useState(false);
+    const [exporting, setExporting] = useState(false);
     const [filterStatus, setFilterStatus] = useState('all');
     const [sortBy, setSortBy] = useState('createdAt');
     const [sortOrder, setSortOrder] = useState('desc');
@@ -405,6 +411,23 @@ const PropertiesSection = React.memo(function PropertiesSection({
         }
     }, [onDeleteProperty]);
 
+    const handleExport = useCallback(async (format) => {
+        setExporting(true);
+        try {
+            const { blob, filename } = await propertiesAPI.exportMyListings(format);
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = filename;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            showErrorToast(error.message || 'Failed to export listings', '', { title: 'Export Failed' });
+        } finally {
+            setExporting(false);
+        }
+    }, []);
+
     // Filter and sort properties
     const filteredAndSortedProperties = useMemo(() => {
         if (!properties) return [];
@@ -470,13 +493,40 @@ const PropertiesSection = React.memo(function PropertiesSection({
                         <p className="text-xs text-muted-foreground hidden sm:block">Manage your listings</p>
                     </div>
                 </div>
-                {properties && properties.length > 0 && (
-                    <div className="text-xs text-muted-foreground bg-muted px-2 py-1 rounded-full font-medium">
-                        {filteredAndSortedProperties.length}/{properties.length}
-                    </div>
-                )}
+                <div className="flex items-center gap-1.5">
+                    <button
+                        onClick={() => setImportOpen(true)}
+                        className="flex items-center gap-1 px-2 py-1 rounded-md text-xs text-foreground border border-border bg-card hover:bg-muted transition-colors"
+                        title="Import listings from CSV or JSON"
+                    >
+                        <FileUp size={12} />
+                        <span className="hidden sm:inline">Import</span>
+                    </button>
+                    {properties && properties.length > 0 && (
+                        <>
+                            <button
+                                onClick={() => handleExport('csv')}
+                                disabled={exporting}
+                                className="flex items-center gap-1 px-2 py-1 rounded-md text-xs text-foreground border border-border bg-card hover:bg-muted transition-colors disabled:opacity-50"
+                                title="Export listings as CSV"
+                            >
+                                {exporting ? <Loader2 size={12} className="animate-spin" /> : <Download size={12} />}
+                                <span className="hidden sm:inline">Export</span>
+                            </button>
+                            <div className="text-xs text-muted-foreground bg-muted px-2 py-1 rounded-full font-medium">
+                                {filteredAndSortedProperties.length}/{properties.length}
+                            </div>
+                        </>
+                    )}
+                </div>
             </div>
 
+            <ListingImportDialog
+                open={importOpen}
+                onOpenChange={setImportOpen}
+                onImported={onImported || onRetry}
+            />
+
             <div className="p-3 sm:p-4">
                 {/* Error state */}
                 {error && (
@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { useNavigate } from "react-router-dom";
+import { Bookmark, Search, Trash2, Loader2, Key, Building2 } from "lucide-react";
+import savedSearchService from "../../api/savedSearchService";
+import { SAVED_SEARCH_ALERT_FREQUENCIES } from "../../utils/searchParameterStandardization";
+import { showErrorToast } from "../../utils/toastNotifications";
+
+const formatAmount = (value) => {
+    if (value >= 10000000) return `₹${(value / 10000000).toFixed(1)} Cr`;
+    if (value >= 100000) return `₹${(value / 100000).toFixed(0)} L`;
+    return `₹${Number(value).toLocaleString("en-IN")}`;
+};
+
+/**
+ * One-line summary of a saved search's filters
+ */
+const describeFilters = (filters = {}) => {
+    const parts = [];
+    if (filters.query) parts.push(`"${filters.query}"`);
+    if (filters.location) parts.push(filters.location);
+    if (filters.category) parts.push(filters.category);
+    if (filters.bedrooms?.length > 0) parts.push(`${filters.bedrooms.join("/")} BHK`);
+    if (filters.minPrice != null && filters.maxPrice != null) {
+        parts.push(`${formatAmount(filters.minPrice)} – ${formatAmount(filters.maxPrice)}`);
+    } else if (filters.minPrice != null) {
+        parts.push(`from ${formatAmount(filters.minPrice)}`);
+    } else if (filters.maxPrice != null) {
+        parts.push(`up to ${formatAmount(filters.maxPrice)}`);
+    }
+    if (filters.furnishing?.length > 0) parts.push(filters.furnishing.join(", "));
+    if (filters.preferredTenants) parts.push(filters.preferredTenants);
+    if (filters.possessionStatus) parts.push(filters.possessionStatus.replace(/_/g, " "));
+    return parts.length > 0 ? parts.join(" · ") : "All listings";
+};
+
+/**
+ * Saved searches with alert frequency controls
+ */
+const SavedSearchesSection = React.memo(function SavedSearchesSection() {
+    const navigate = useNavigate();
+    const [searches, setSearches] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [updatingId, setUpdatingId] = useState(null);
+
+    const fetchSearches = useCallback(async () => {
+        setError(null);
+        try {
+            setSearches(await savedSearchService.getSavedSearches());
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, []);
+
+    useEffect(() => {
+        fetchSearches();
+    }, [fetchSearches]);
+
+    const handleOpen = useCallback((search) => {
+        const params = new URLSearchParams();
+        if (search.filters?.query) params.set("q", search.filters.query);
+        if (search.filters?.location) params.set("loc", search.filters.location);
+        const query = params.toString();
+        const path = search.listingType === "buy" ? "/buy-properties" : "/rent-properties";
+        navigate(`${path}${query ? `?${query}` : ""}`, { state: { savedSearch: search } });
+    }, [navigate]);
+
+    const handleFrequencyChange = useCallback(async (search, alertFrequency) => {
+        setUpdatingId(search._id);
+        try {
+            const updated = await savedSearchService.updateSavedSearch(search._id, { alertFrequency });
+            setSearches(prev => prev.map(s => (s._id === updated._id ? updated : s)));
+        } catch (err) {
+            showErrorToast(err.message || "Failed to update alerts", "", { title: "Error" });
+        } finally {
+            setUpdatingId(null);
+        }
+    }, []);
+
+    const handleDelete = useCallback(async (search) => {
+        if (!window.confirm(`Delete saved search "${search.name}"?`)) return;
+        setUpdatingId(search._id);
+        try {
+            await savedSearchService.deleteSavedSearch(search._id);
+            setSearches(prev => prev.filter(s => s._id !== search._id));
+        } catch (err) {
+            showErrorToast(err.message || "Failed to delete saved search", "", { title: "Error" });
+        } finally {
+            setUpdatingId(null);
+        }
+    }, []);
+
+    return (
+        <div className="bg-card rounded-xl sm:rounded-2xl border border-border shadow-sm hover:shadow-md transition-shadow duration-300 overflow-hidden">
+            {/* Header */}
+            <div className="flex items-center justify-between p-3 sm:p-4 border-b border-border bg-muted/30">
+                <div className="flex items-center gap-2 sm:gap-3">
+                    <div className="p-1.5 sm:p-2 bg-primary/10 rounded-lg sm:rounded-xl">
+                        <Bookmark size={16} className="text-primary sm:w-5 sm:h-5" />
+                    </div>
+                    <div>
+                        <h3 className="text-sm sm:text-base font-bold text-foreground">Saved Searches</h3>
+                        <p className="text-xs text-muted-foreground hidden sm:block">Get alerted about new listings and price drops</p>
+                    </div>
+                </div>
+                {searches.length > 0 && (
+                    <div className="text-xs text-muted-foreground bg-muted px-2 py-1 rounded-full font-medium">
+                        {searches.length}
+                    </div>
+                )}
+            </div>
+
+            <div className="p-3 sm:p-4">
+                {error && (
+                    <p className="text-xs text-destructive mb-2">{error}</p>
+                )}
+
+                {isLoading ? (
+                    <div className="flex items-center gap-2 py-2 text-xs text-muted-foreground">
+                        <Loader2 size={12} className="animate-spin" />
+                        Loading saved searches...
+                    </div>
+                ) : searches.length === 0 ? (
+                    <div className="text-center py-6">
+                        <Search size={24} className="mx-auto text-muted-foreground/40 mb-2" />
+                        <p className="text-sm text-muted-foreground">
+                            No saved searches yet. Use &quot;Save search&quot; on the rent or buy listings to get alerts.
+                        </p>
+                    </div>
+                ) : (
+                    <div className="space-y-2">
+                        {searches.map(search => {
+                            const Icon = search.listingType === "buy" ? Building2 : Key;
+                            const isUpdating = updatingId === search._id;
+                            return (
+                                <div
+                                    key={search._id}
+                                    className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 bg-muted/50 rounded-lg p-3"
+                                >
+                                    <button
+                                        onClick={() => handleOpen(search)}
+                                        className="flex items-start gap-2 min-w-0 text-left group"
+                                    >
+                                        <Icon size={14} className="text-muted-foreground flex-shrink-0 mt-0.5" />
+                                        <div className="min-w-0">
+                                            <span className="text-sm font-medium text-foreground block truncate group-hover:text-primary">
+                                                {search.name}
+                                            </span>
+                                            <span className="text-xs text-muted-foreground block truncate">
+                                                {search.listingType === "buy" ? "Buy" : "Rent"} · {describeFilters(search.filters)}
+                                            </span>
+                                        </div>
+                                    </button>
+                                    <div className="flex items-center gap-2 flex-shrink-0">
+                                        <select
+                                            value={search.alertFrequency}
+                                            onChange={(e) => handleFrequencyChange(search, e.target.value)}
+                                            disabled={isUpdating}
+                                            className="text-xs bg-background border border-border rounded-md px-2 py-1 text-foreground disabled:opacity-50"
+                                            aria-label="Alert frequency"
+                                        >
+                                            {SAVED_SEARCH_ALERT_FREQUENCIES.map(option => (
+                                                <option key={option.value} value={option.value}>{option.label}</option>
+                                            ))}
+                                        </select>
+                                        <button
+                                            onClick={() => handleDelete(search)}
+                                            disabled={isUpdating}
+                                            className="p-1.5 rounded-md text-muted-foreground hover:text-destructive hover:bg-destructive/10 disabled:opacity-50"
+                                            aria-label={`Delete ${search.name}`}
+                                        >
+                                            {isUpdating ? <Loader2 size={14} className="animate-spin" /> : <Trash2 size={14} />}
+                                        </button>
+                                    </div>
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+});
+
+export default SavedSearchesSection;
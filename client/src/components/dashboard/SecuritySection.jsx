@@ -2,6 +2,7 @@ import React, { useState, useCallback, useMemo } from "react";
 import { Lock, Phone, Trash2, Shield, ChevronRight, Calendar, CheckCircle, XCircle } from "lucide-react";
 import SecurityModal from "./SecurityModal";
 import DiagnosticTools from "./DiagnosticTools";
+import ActiveSessions from "./ActiveSessions";
 import { SecuritySectionSkeleton } from "../ui/skeleton-loaders";
 import { InlineLoading } from "../ui/loading-states";
 
@@ -108,6 +109,9 @@ const SecuritySection = React.memo(function SecuritySection({ isLoading = false,
                         })}
                     </div>
 
+                    {/* Signed-in devices */}
+                    <ActiveSessions />
+
                     {/* Security Information */}
                     <div className="bg-muted/50 rounded-lg p-3">
                         <h4 className="font-medium text-foreground text-sm mb-2 flex items-center gap-1.5">
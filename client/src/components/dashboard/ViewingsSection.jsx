@@ -0,0 +1,308 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { Link } from "react-router-dom";
+import { CalendarClock, CalendarX, Loader2, MapPin, Repeat, X } from "lucide-react";
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogDescription,
+    DialogFooter,
+} from "../ui/dialog";
+import { Button } from "../ui/button";
+import viewingService from "../../api/viewingService";
+import { formatSlotDay, formatSlotTime, groupSlotsByDay } from "../../utils/viewingSlots";
+import { showSuccessToast, showErrorToast } from "../../utils/toastNotifications";
+
+const SCOPES = [
+    { value: "upcoming", label: "Upcoming" },
+    { value: "past", label: "Past" },
+];
+
+const propertyPath = (property) =>
+    property?.slug ? `/${property.listingType === "buy" ? "buy" : "rent"}/${property.slug}` : "#";
+
+/**
+ * Pick another open slot of the same property for a booked viewing
+ */
+function RescheduleDialog({ appointment, onClose, onRescheduled }) {
+    const [slots, setSlots] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [selectedId, setSelectedId] = useState(null);
+    const [saving, setSaving] = useState(false);
+
+    useEffect(() => {
+        if (!appointment) return;
+        setLoading(true);
+        setSelectedId(null);
+        viewingService.getSlots(appointment.property._id)
+            .then(data => setSlots(data.slots))
+            .catch(() => setSlots([]))
+            .finally(() => setLoading(false));
+    }, [appointment]);
+
+    const handleConfirm = async () => {
+        setSaving(true);
+        try {
+            const updated = await viewingService.rescheduleAppointment(appointment._id, selectedId);
+            showSuccessToast("The owner has been notified of the new time", "", { title: "Viewing rescheduled" });
+            onRescheduled(updated);
+        } catch (error) {
+            showErrorToast(error.message || "Failed to reschedule viewing", "", { title: "Error" });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    return (
+        <Dialog open={Boolean(appointment)} onOpenChange={(open) => !open && onClose()}>
+            <DialogContent className="sm:max-w-[440px]">
+                <DialogHeader>
+                    <DialogTitle className="flex items-center gap-2">
+                        <Repeat className="h-5 w-5" />
+                        Reschedule viewing
+                    </DialogTitle>
+                    <DialogDescription>
+                        Choose a new time for {appointment?.property?.title || "this property"}.
+                    </DialogDescription>
+                </DialogHeader>
+
+                {loading ? (
+                    <div className="flex items-center gap-2 py-4 text-sm text-muted-foreground">
+                        <Loader2 className="h-4 w-4 animate-spin" />
+                        Loading available times...
+                    </div>
+                ) : slots.length === 0 ? (
+                    <p className="py-4 text-sm text-muted-foreground">
+                        The owner has no other open slots right now. Message them to arrange another time.
+                    </p>
+                ) : (
+                    <div className="space-y-3 max-h-72 overflow-y-auto">
+                        {groupSlotsByDay(slots).map(group => (
+                            <div key={group.day}>
+                                <p className="text-xs font-medium text-muted-foreground mb-1.5">{group.day}</p>
+                                <div className="flex flex-wrap gap-2">
+                                    {group.slots.map(slot => (
+                                        <button
+                                            key={slot._id}
+                                            onClick={() => setSelectedId(slot._id)}
+                                            className={`px-3 py-1.5 rounded-lg border text-xs font-medium transition-colors ${
+                                                selectedId === slot._id
+                                                    ? "border-primary bg-primary text-primary-foreground"
+                                                    : "border-border bg-background text-foreground hover:border-primary/50"
+                                            }`}
+                                        >
+                                            {formatSlotTime(slot)}
+                                        </button>
+                                    ))}
+                                </div>
+                            </div>
+                        ))}
+                    </div>
+                )}
+
+                <DialogFooter>
+                    <Button type="button" variant="outline" onClick={onClose} disabled={saving}>
+                        Cancel
+                    </Button>
+                    <Button onClick={handleConfirm} disabled={saving || !selectedId}>
+                        {saving && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                        Move viewing
+                    </Button>
+                </DialogFooter>
+            </DialogContent>
+        </Dialog>
+    );
+}
+
+/**
+ * Booked property viewings, as visitor and as owner
+ */
+const ViewingsSection = React.memo(function ViewingsSection() {
+    const [scope, setScope] = useState("upcoming");
+    const [appointments, setAppointments] = useState([]);
+    const [isLoading, setIsLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [cancellingId, setCancellingId] = useState(null);
+    const [rescheduling, setRescheduling] = useState(null);
+
+    const fetchAppointments = useCallback(async () => {
+        setError(null);
+        setIsLoading(true);
+        try {
+            const data = await viewingService.getAppointments({ scope });
+            setAppointments(data.appointments || []);
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setIsLoading(false);
+        }
+    }, [scope]);
+
+    useEffect(() => {
+        fetchAppointments();
+    }, [fetchAppointments]);
+
+    const handleCancel = useCallback(async (appointment) => {
+        const reason = window.prompt("Cancel this viewing? You can add a reason for the other person (optional).", "");
+        if (reason === null) return;
+
+        setCancellingId(appointment._id);
+        try {
+            await viewingService.cancelAppointment(appointment._id, reason.trim());
+            setAppointments(prev => prev.filter(a => a._id !== appointment._id));
+            showSuccessToast("The other person has been notified", "", { title: "Viewing cancelled" });
+        } catch (err) {
+            showErrorToast(err.message || "Failed to cancel viewing", "", { title: "Error" });
+        } finally {
+            setCancellingId(null);
+        }
+    }, []);
+
+    const handleRescheduled = useCallback(() => {
+        setRescheduling(null);
+        fetchAppointments();
+    }, [fetchAppointments]);
+
+    return (
+        <div className="bg-card rounded-xl sm:rounded-2xl border border-border shadow-sm hover:shadow-md transition-shadow duration-300 overflow-hidden">
+            {/* Header */}
+            <div className="flex items-center justify-between p-3 sm:p-4 border-b border-border bg-muted/30">
+                <div className="flex items-center gap-2 sm:gap-3">
+                    <div className="p-1.5 sm:p-2 bg-primary/10 rounded-lg sm:rounded-xl">
+                        <CalendarClock size={16} className="text-primary sm:w-5 sm:h-5" />
+                    </div>
+                    <div>
+                        <h3 className="text-sm sm:text-base font-bold text-foreground">Viewings</h3>
+                        <p className="text-xs text-muted-foreground hidden sm:block">Property visits you booked or are hosting</p>
+                    </div>
+                </div>
+                <div className="flex items-center gap-1 bg-muted rounded-lg p-0.5">
+                    {SCOPES.map(option => (
+                        <button
+                            key={option.value}
+                            onClick={() => setScope(option.value)}
+                            className={`px-2.5 py-1 rounded-md text-xs font-medium transition-colors ${
+                                scope === option.value
+                                    ? "bg-card text-foreground shadow-sm"
+                                    : "text-muted-foreground hover:text-foreground"
+                            }`}
+                        >
+                            {option.label}
+                        </button>
+                    ))}
+                </div>
+            </div>
+
+            <div className="p-3 sm:p-4">
+                {error && (
+                    <p className="text-xs text-destructive mb-2">{error}</p>
+                )}
+
+                {isLoading ? (
+                    <div className="flex items-center gap-2 py-2 text-xs text-muted-foreground">
+                        <Loader2 size={12} className="animate-spin" />
+                        Loading viewings...
+                    </div>
+                ) : appointments.length === 0 ? (
+                    <div className="text-center py-6">
+                        <CalendarX size={24} className="mx-auto text-muted-foreground/40 mb-2" />
+                        <p className="text-sm text-muted-foreground">
+                            {scope === "upcoming"
+                                ? "No upcoming viewings. Book a visit from any listing with open viewing slots."
+                                : "No past viewings."}
+                        </p>
+                    </div>
+                ) : (
+                    <div className="space-y-2">
+                        {appointments.map(appointment => {
+                            const isHost = appointment.role === "owner";
+                            const counterpart = isHost ? appointment.seeker : appointment.owner;
+                            const isCancelled = appointment.status === "cancelled";
+                            const isBusy = cancellingId === appointment._id;
+
+                            return (
+                                <div
+                                    key={appointment._id}
+                                    className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 bg-muted/50 rounded-lg p-3"
+                                >
+                                    <div className="flex items-start gap-3 min-w-0">
+                                        <div className="flex-shrink-0 w-12 text-center bg-background border border-border rounded-lg py-1">
+                                            <p className="text-[10px] uppercase text-muted-foreground leading-tight">
+                                                {formatSlotDay(appointment.startsAt).split(",")[0]}
+                                            </p>
+                                            <p className="text-sm font-bold text-foreground leading-tight">
+                                                {new Date(appointment.startsAt).getDate()}
+                                            </p>
+                                        </div>
+                                        <div className="min-w-0">
+                                            <Link
+                                                to={propertyPath(appointment.property)}
+                                                className="text-sm font-medium text-foreground block truncate hover:text-primary"
+                                            >
+                                                {appointment.property?.title || "Property unavailable"}
+                                            </Link>
+                                            <p className="text-xs text-muted-foreground truncate">
+                                                {formatSlotDay(appointment.startsAt)} · {formatSlotTime(appointment)}
+                                            </p>
+                                            <p className="flex items-center gap-1 text-xs text-muted-foreground truncate">
+                                                <span className={`px-1.5 py-px rounded text-[10px] font-semibold ${
+                                                    isHost ? "bg-primary/10 text-primary" : "bg-success/10 text-success"
+                                                }`}>
+                                                    {isHost ? "Hosting" : "Visiting"}
+                                                </span>
+                                                {counterpart?.name && <span>with {counterpart.name}</span>}
+                                                {appointment.property?.city && (
+                                                    <>
+                                                        <MapPin size={10} className="ml-1" />
+                                                        {appointment.property.city}
+                                                    </>
+                                                )}
+                                            </p>
+                                            {isCancelled && (
+                                                <p className="text-xs text-destructive mt-0.5">
+                                                    Cancelled{appointment.cancellationReason ? `: ${appointment.cancellationReason}` : ""}
+                                                </p>
+                                            )}
+                                        </div>
+                                    </div>
+
+                                    {scope === "upcoming" && (
+                                        <div className="flex items-center gap-2 flex-shrink-0">
+                                            {!isHost && (
+                                                <button
+                                                    onClick={() => setRescheduling(appointment)}
+                                                    disabled={isBusy}
+                                                    className="flex items-center gap-1 px-2 py-1 rounded-md text-xs text-foreground border border-border bg-background hover:bg-muted disabled:opacity-50"
+                                                >
+                                                    <Repeat size={12} />
+                                                    Reschedule
+                                                </button>
+                                            )}
+                                            <button
+                                                onClick={() => handleCancel(appointment)}
+                                                disabled={isBusy}
+                                                className="flex items-center gap-1 px-2 py-1 rounded-md text-xs text-destructive hover:bg-destructive/10 disabled:opacity-50"
+                                            >
+                                                {isBusy ? <Loader2 size={12} className="animate-spin" /> : <X size={12} />}
+                                                Cancel
+                                            </button>
+                                        </div>
+                                    )}
+                                </div>
+                            );
+                        })}
+                    </div>
+                )}
+            </div>
+
+            <RescheduleDialog
+                appointment={rescheduling}
+                onClose={() => setRescheduling(null)}
+                onRescheduled={handleRescheduled}
+            />
+        </div>
+    );
+});
+
+export default ViewingsSection;
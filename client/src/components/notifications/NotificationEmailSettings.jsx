@@ -0,0 +1,192 @@
+/**
+ * NotificationEmailSettings Component
+ *
+ * Lets the user choose, per kind of notification, whether it is emailed right
+ * away or collected into an hourly or daily digest, and set quiet hours
+ * during which notification emails and texts wait until morning.
+ */
+
+import { useState } from "react";
+import { Loader2, Mail, Moon } from "lucide-react";
+import { cn } from "../../lib/utils";
+import { Button } from "../ui/button";
+import { Switch } from "../ui/switch";
+import { useDeliveryPreferences, useUpdateDeliveryPreferences } from "../../hooks/useAPI";
+
+const NOTIFICATION_TYPES = [
+    { type: "message", label: "New messages" },
+    { type: "application", label: "Rental applications" },
+    { type: "offer", label: "Offers" },
+    { type: "viewing", label: "Viewing appointments" },
+    { type: "favorite", label: "Saved property updates" },
+    { type: "property", label: "Saved search matches" },
+    { type: "system", label: "Account and site updates" },
+];
+
+const FREQUENCY_OPTIONS = [
+    { value: "immediate", label: "Right away" },
+    { value: "hourly", label: "Hourly digest" },
+    { value: "daily", label: "Daily digest" },
+    { value: "off", label: "Don't email" },
+];
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const selectClassName = "px-3 py-2 border border-input rounded-md bg-background text-foreground text-sm focus:outline-none focus:ring-2 focus:ring-ring";
+
+const browserTimezone = () => Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+const formatHour = (hour) => `${String(hour).padStart(2, "0")}:00`;
+
+function ScheduleForm({ schedule }) {
+    const updatePreferences = useUpdateDeliveryPreferences();
+    const [form, setForm] = useState(schedule);
+    const [saved, setSaved] = useState(false);
+
+    const timezone = browserTimezone();
+    const usesDigests = Object.values(form.digestFrequency).includes("daily");
+
+    const update = (changes) => {
+        setForm(prev => ({ ...prev, ...changes }));
+        setSaved(false);
+    };
+
+    const updateQuietHours = (changes) => {
+        update({ quietHours: { ...form.quietHours, ...changes } });
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        // Schedules follow the timezone of the browser the settings were saved from
+        const result = await updatePreferences.mutateAsync({
+            notificationSchedule: { ...form, timezone }
+        });
+        setSaved(Boolean(result?.success));
+    };
+
+    const error = updatePreferences.error?.message
+        || (updatePreferences.data && !updatePreferences.data.success && updatePreferences.data.message);
+
+    return (
+        <form onSubmit={handleSubmit} className="space-y-6">
+            <div className="space-y-3">
+                {NOTIFICATION_TYPES.map(({ type, label }) => (
+                    <div key={type} className="flex items-center justify-between gap-4">
+                        <label htmlFor={`digest-${type}`} className="text-sm text-foreground">{label}</label>
+                        <select
+                            id={`digest-${type}`}
+                            value={form.digestFrequency[type]}
+                            onChange={(e) => update({ digestFrequency: { ...form.digestFrequency, [type]: e.target.value } })}
+                            className={selectClassName}
+                        >
+                            {FREQUENCY_OPTIONS.map(option => (
+                                <option key={option.value} value={option.value}>{option.label}</option>
+                            ))}
+                        </select>
+                    </div>
+                ))}
+
+                {usesDigests && (
+                    <div className="flex items-center justify-between gap-4">
+                        <label htmlFor="daily-digest-hour" className="text-sm text-foreground">Send daily digests at</label>
+                        <select
+                            id="daily-digest-hour"
+                            value={form.dailyDigestHour}
+                            onChange={(e) => update({ dailyDigestHour: Number(e.target.value) })}
+                            className={selectClassName}
+                        >
+                            {HOURS.map(hour => (
+                                <option key={hour} value={hour}>{formatHour(hour)}</option>
+                            ))}
+                        </select>
+                    </div>
+                )}
+            </div>
+
+            <div className="space-y-3 pt-4 border-t border-border">
+                <div className="flex items-start justify-between gap-4">
+                    <div className="flex items-start gap-3">
+                        <Moon className="w-5 h-5 text-muted-foreground mt-0.5" />
+                        <div>
+                            <p className="text-sm font-medium text-foreground">Quiet hours</p>
+                            <p className="text-sm text-muted-foreground">
+                                Hold notification emails and texts until quiet hours end. Security alerts and verification codes are always sent.
+                            </p>
+                        </div>
+                    </div>
+                    <Switch
+                        checked={form.quietHours.enabled}
+                        onCheckedChange={(checked) => updateQuietHours({ enabled: checked })}
+                        aria-label="Quiet hours"
+                    />
+                </div>
+
+                {form.quietHours.enabled && (
+                    <div className="flex flex-wrap items-center gap-2 text-sm text-foreground">
+                        <span>From</span>
+                        <input
+                            type="time"
+                            value={form.quietHours.startTime}
+                            onChange={(e) => updateQuietHours({ startTime: e.target.value })}
+                            className={selectClassName}
+                            aria-label="Quiet hours start"
+                            required
+                        />
+                        <span>to</span>
+                        <input
+                            type="time"
+                            value={form.quietHours.endTime}
+                            onChange={(e) => updateQuietHours({ endTime: e.target.value })}
+                            className={selectClassName}
+                            aria-label="Quiet hours end"
+                            required
+                        />
+                    </div>
+                )}
+
+                <p className="text-xs text-muted-foreground">Times are in your timezone ({timezone}).</p>
+            </div>
+
+            {error && <p className="text-sm text-destructive">{error}</p>}
+
+            <div className="flex items-center justify-end gap-3">
+                {saved && <span className="text-sm text-muted-foreground">Saved</span>}
+                <Button type="submit" size="sm" disabled={updatePreferences.isPending}>
+                    {updatePreferences.isPending && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+                    Save email settings
+                </Button>
+            </div>
+        </form>
+    );
+}
+
+export default function NotificationEmailSettings({ className }) {
+    const { data, isLoading, error } = useDeliveryPreferences();
+    const schedule = data?.preferences?.notificationSchedule;
+
+    return (
+        <div className={cn("p-4 border border-border rounded-lg bg-card", className)}>
+            <div className="flex items-start gap-3 mb-4">
+                <div className="p-2 bg-primary/10 rounded-lg">
+                    <Mail className="w-5 h-5 text-primary" />
+                </div>
+                <div>
+                    <p className="font-medium text-foreground">Email notifications</p>
+                    <p className="text-sm text-muted-foreground">
+                        Choose what we email you and how often, so a busy inbox stays manageable.
+                    </p>
+                </div>
+            </div>
+
+            {isLoading && (
+                <div className="flex justify-center py-4">
+                    <Loader2 className="w-5 h-5 animate-spin text-muted-foreground" />
+                </div>
+            )}
+            {!isLoading && (error || !schedule) && (
+                <p className="text-sm text-destructive">Could not load your email settings.</p>
+            )}
+            {schedule && <ScheduleForm schedule={schedule} />}
+        </div>
+    );
+}
@@ -7,7 +7,7 @@
  * - Click handler to navigate to related conversation
  */
 
-import { MessageSquare, Heart, Home, Bell, Info } from "lucide-react";
+import { MessageSquare, Heart, Home, Bell, Info, CalendarClock, ClipboardList } from "lucide-react";
 import { cn } from "../../lib/utils";
 
 /**
@@ -48,6 +48,10 @@ const getNotificationIcon = (type) => {
             return Heart;
         case "property":
             return Home;
+        case "viewing":
+            return CalendarClock;
+        case "application":
+            return ClipboardList;
         case "system":
             return Info;
         default:
@@ -68,6 +72,10 @@ const getIconBackground = (type) => {
             return "bg-pink-100 dark:bg-pink-900/30 text-pink-600 dark:text-pink-400";
         case "property":
             return "bg-green-100 dark:bg-green-900/30 text-green-600 dark:text-green-400";
+        case "viewing":
+            return "bg-violet-100 dark:bg-violet-900/30 text-violet-600 dark:text-violet-400";
+        case "application":
+            return "bg-teal-100 dark:bg-teal-900/30 text-teal-600 dark:text-teal-400";
         case "system":
             return "bg-amber-100 dark:bg-amber-900/30 text-amber-600 dark:text-amber-400";
         default:
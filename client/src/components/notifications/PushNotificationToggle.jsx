@@ -0,0 +1,53 @@
+/**
+ * PushNotificationToggle Component
+ *
+ * Lets the user turn browser push notifications on or off for this device,
+ * so new messages and listing alerts arrive even when the site is closed.
+ * Renders nothing when the browser does not support push.
+ */
+
+import { BellRing } from "lucide-react";
+import { cn } from "../../lib/utils";
+import { Switch } from "../ui/switch";
+import { usePushNotifications } from "../../hooks/usePushNotifications";
+
+export default function PushNotificationToggle({ className }) {
+    const {
+        supported,
+        subscribed,
+        permission,
+        loading,
+        error,
+        enablePush,
+        disablePush
+    } = usePushNotifications();
+
+    if (!supported) return null;
+
+    const blocked = permission === "denied" && !subscribed;
+
+    return (
+        <div className={cn("flex items-start justify-between gap-4 p-4 border border-border rounded-lg bg-card", className)}>
+            <div className="flex items-start gap-3">
+                <div className="p-2 bg-primary/10 rounded-lg">
+                    <BellRing className="w-5 h-5 text-primary" />
+                </div>
+                <div>
+                    <p className="font-medium text-foreground">Push notifications on this device</p>
+                    <p className="text-sm text-muted-foreground">
+                        {blocked
+                            ? "Notifications are blocked for this site. Allow them in your browser settings to turn this on."
+                            : "Get new messages and listing alerts even when Renters is closed."}
+                    </p>
+                    {error && <p className="text-sm text-destructive mt-1">{error}</p>}
+                </div>
+            </div>
+            <Switch
+                checked={subscribed}
+                onCheckedChange={(checked) => (checked ? enablePush() : disablePush())}
+                disabled={loading || blocked}
+                aria-label="Push notifications on this device"
+            />
+        </div>
+    );
+}
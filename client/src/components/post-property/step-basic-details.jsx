@@ -1,17 +1,9 @@
 import { Input } from "../ui/input";
 import { Label } from "../ui/label";
-
-const PROPERTY_TYPES = {
-    room: ["Single Room", "Double Room", "Triple Room", "Dormitory"],
-    flat: ["Studio", "1 BHK", "2 BHK", "3 BHK", "4 BHK", "Villa"],
-    house: ["Independent House", "Villa", "Bungalow", "Farmhouse"],
-    pg: ["Single Sharing", "Double Sharing", "Triple Sharing", "Four Sharing"],
-    hostel: ["Single Room", "Double Sharing", "Dormitory"],
-    commercial: ["Shop", "Office", "Co-working Space", "Hall", "Warehouse"],
-};
+import { CATEGORY_PROPERTY_TYPES } from "@shared/propertyTypes";
 
 export default function StepBasicDetails({ formData, setFormData, validationErrors }) {
-    const types = PROPERTY_TYPES[formData.category] || [];
+    const types = CATEGORY_PROPERTY_TYPES[formData.category] || [];
 
     return (
         <div className="space-y-5 sm:space-y-6">
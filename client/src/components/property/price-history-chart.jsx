@@ -0,0 +1,162 @@
+/**
+ * Price History Chart Component
+ * Shows how a listing's rent or selling price has changed since it was posted
+ */
+
+import { useState, useEffect } from 'react';
+import { TrendingDown, TrendingUp, History } from 'lucide-react';
+import {
+    ResponsiveContainer,
+    LineChart,
+    Line,
+    XAxis,
+    YAxis,
+    Tooltip,
+    CartesianGrid
+} from 'recharts';
+import propertyService from '../../api/propertyService';
+
+const formatPrice = (price) => {
+    if (price >= 10000000) return `₹${(price / 10000000).toFixed(1)}Cr`;
+    if (price >= 100000) return `₹${(price / 100000).toFixed(1)}L`;
+    if (price >= 1000) return `₹${(price / 1000).toFixed(1)}K`;
+    return `₹${price}`;
+};
+
+const formatDate = (date) =>
+    new Date(date).toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
+
+function ChartTooltip({ active, payload }) {
+    if (!active || !payload?.length) return null;
+    const point = payload[0].payload;
+    const label = point.changeType === 'initial' ? 'Listed at' : point.changeType === 'decrease' ? 'Dropped to' : 'Raised to';
+
+    return (
+        <div className="bg-popover border border-border rounded-lg px-3 py-2 shadow-md text-xs">
+            <p className="text-muted-foreground">{formatDate(point.date)}</p>
+            <p className="font-semibold text-foreground">
+                {label} ₹{Number(point.price).toLocaleString('en-IN')}
+            </p>
+        </div>
+    );
+}
+
+export default function PriceHistoryChart({ propertyId }) {
+    const [history, setHistory] = useState(null);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        if (!propertyId) {
+            setLoading(false);
+            return;
+        }
+
+        let cancelled = false;
+        const fetchHistory = async () => {
+            setLoading(true);
+            try {
+                const response = await propertyService.getPriceHistory(propertyId);
+                const data = response.data?.data || null;
+                if (!cancelled) setHistory(data);
+            } catch (err) {
+                console.error('Error fetching price history:', err);
+                if (!cancelled) setHistory(null);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+
+        fetchHistory();
+        return () => {
+            cancelled = true;
+        };
+    }, [propertyId]);
+
+    // Nothing to chart until the price has changed at least once
+    if (loading || !history || history.changeCount === 0) return null;
+
+    const priceLabel = history.listingType === 'buy' ? 'Price' : 'Rent';
+    const { initialPrice, currentPrice } = history;
+    const diffPercent = initialPrice ? Math.round(((currentPrice - initialPrice) / initialPrice) * 100) : 0;
+
+    // Extend the last price to today so the step line reaches the present
+    const points = [
+        ...history.points,
+        { date: new Date().toISOString(), price: currentPrice, changeType: 'current' }
+    ].map(point => ({ ...point, time: new Date(point.date).getTime() }));
+
+    return (
+        <div className="bg-card rounded-xl border border-border p-4 space-y-4">
+            <div className="flex items-center justify-between gap-2">
+                <div className="flex items-center gap-2">
+                    <History className="w-4 h-4 text-primary" />
+                    <h3 className="text-sm font-semibold text-foreground">{priceLabel} History</h3>
+                </div>
+                {diffPercent !== 0 && (
+                    <span
+                        className={`flex items-center gap-1 px-2 py-0.5 rounded-full text-xs font-medium ${
+                            diffPercent < 0
+                                ? 'bg-green-50 text-green-600 dark:bg-green-900/30'
+                                : 'bg-red-50 text-red-600 dark:bg-red-900/30'
+                        }`}
+                    >
+                        {diffPercent < 0 ? <TrendingDown className="w-3 h-3" /> : <TrendingUp className="w-3 h-3" />}
+                        {Math.abs(diffPercent)}% since listed
+                    </span>
+                )}
+            </div>
+
+            <div className="h-48">
+                <ResponsiveContainer width="100%" height="100%">
+                    <LineChart data={points} margin={{ top: 5, right: 10, left: 0, bottom: 0 }}>
+                        <CartesianGrid strokeDasharray="3 3" className="stroke-border" vertical={false} />
+                        <XAxis
+                            dataKey="time"
+                            type="number"
+                            scale="time"
+                            domain={['dataMin', 'dataMax']}
+                            tickFormatter={(time) => new Date(time).toLocaleDateString('en-IN', { month: 'short', year: '2-digit' })}
+                            tick={{ fontSize: 11 }}
+                            className="text-muted-foreground"
+                        />
+                        <YAxis
+                            tickFormatter={formatPrice}
+                            tick={{ fontSize: 11 }}
+                            width={56}
+                            domain={['auto', 'auto']}
+                            className="text-muted-foreground"
+                        />
+                        <Tooltip content={<ChartTooltip />} />
+                        <Line
+                            type="stepAfter"
+                            dataKey="price"
+                            stroke="hsl(var(--primary))"
+                            strokeWidth={2}
+                            dot={(props) => {
+                                const { cx, cy, payload, index } = props;
+                                if (payload.changeType === 'current') return <g key={index} />;
+                                return <circle key={index} cx={cx} cy={cy} r={3} fill="hsl(var(--primary))" />;
+                            }}
+                            isAnimationActive={false}
+                        />
+                    </LineChart>
+                </ResponsiveContainer>
+            </div>
+
+            <div className="grid grid-cols-3 gap-3 text-center">
+                <div className="p-2 bg-muted/50 rounded-lg">
+                    <p className="text-xs text-muted-foreground">Listed at</p>
+                    <p className="font-bold text-foreground text-sm">{formatPrice(initialPrice)}</p>
+                </div>
+                <div className="p-2 bg-muted/50 rounded-lg">
+                    <p className="text-xs text-muted-foreground">Lowest</p>
+                    <p className="font-bold text-green-600 text-sm">{formatPrice(history.lowestPrice)}</p>
+                </div>
+                <div className="p-2 bg-muted/50 rounded-lg">
+                    <p className="text-xs text-muted-foreground">Changes</p>
+                    <p className="font-bold text-foreground text-sm">{history.changeCount}</p>
+                </div>
+            </div>
+        </div>
+    );
+}
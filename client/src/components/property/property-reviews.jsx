@@ -0,0 +1,344 @@
+/**
+ * Property Reviews Component
+ * Shows the aggregated rating summary, approved reviews and a review form
+ * for users who have contacted the owner about this property
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { Star, ThumbsUp, Flag, BadgeCheck, Loader2, MessageSquare } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Textarea } from '../ui/textarea';
+import reviewService from '../../api/reviewService';
+import { isAuthenticated } from '../../utils/auth';
+
+const PAGE_SIZE = 5;
+
+const INELIGIBLE_MESSAGES = {
+    OWN_PROPERTY: null,
+    NO_CONVERSATION: 'Contact the owner about this property to leave a review.',
+    ALREADY_REVIEWED: 'Thanks! You have already reviewed this property.'
+};
+
+function StarRating({ value, size = 'w-4 h-4', onChange }) {
+    const [hovered, setHovered] = useState(0);
+    const display = hovered || value;
+
+    return (
+        <div className="flex items-center gap-0.5" onMouseLeave={() => setHovered(0)}>
+            {[1, 2, 3, 4, 5].map(star => {
+                const filled = star <= Math.round(display);
+                const icon = (
+                    <Star className={`${size} ${filled ? 'fill-amber-400 text-amber-400' : 'text-muted-foreground/40'}`} />
+                );
+                if (!onChange) return <span key={star}>{icon}</span>;
+                return (
+                    <button
+                        key={star}
+                        type="button"
+                        onClick={() => onChange(star)}
+                        onMouseEnter={() => setHovered(star)}
+                        aria-label={`${star} star${star > 1 ? 's' : ''}`}
+                    >
+                        {icon}
+                    </button>
+                );
+            })}
+        </div>
+    );
+}
+
+function RatingSummary({ summary }) {
+    const total = summary.totalReviews;
+
+    return (
+        <div className="flex flex-col sm:flex-row gap-4 sm:gap-6">
+            <div className="flex flex-col items-center justify-center sm:w-32 flex-shrink-0">
+                <span className="text-3xl font-bold text-foreground">{summary.averageRating.toFixed(1)}</span>
+                <StarRating value={summary.averageRating} />
+                <span className="text-xs text-muted-foreground mt-1">
+                    {total} review{total !== 1 ? 's' : ''}
+                </span>
+            </div>
+            <div className="flex-1 space-y-1.5">
+                {[5, 4, 3, 2, 1].map(star => {
+                    const count = summary.distribution?.[star] || 0;
+                    const percent = total ? Math.round((count / total) * 100) : 0;
+                    return (
+                        <div key={star} className="flex items-center gap-2 text-xs">
+                            <span className="w-3 text-muted-foreground">{star}</span>
+                            <Star className="w-3 h-3 fill-amber-400 text-amber-400" />
+                            <div className="flex-1 h-2 rounded-full bg-muted overflow-hidden">
+                                <div className="h-full bg-amber-400 rounded-full" style={{ width: `${percent}%` }} />
+                            </div>
+                            <span className="w-8 text-right text-muted-foreground">{count}</span>
+                        </div>
+                    );
+                })}
+            </div>
+        </div>
+    );
+}
+
+function ReviewForm({ propertyId, onSubmitted }) {
+    const [rating, setRating] = useState(0);
+    const [comment, setComment] = useState('');
+    const [submitting, setSubmitting] = useState(false);
+    const [error, setError] = useState(null);
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        if (!rating) {
+            setError('Please select a rating');
+            return;
+        }
+        setSubmitting(true);
+        setError(null);
+        try {
+            await reviewService.submitReview(propertyId, { rating, comment });
+            onSubmitted();
+        } catch (err) {
+            setError(err.message);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <form onSubmit={handleSubmit} className="p-3 rounded-lg bg-muted/50 space-y-3">
+            <div className="flex items-center justify-between">
+                <span className="text-sm font-medium text-foreground">Rate this property</span>
+                <StarRating value={rating} size="w-5 h-5" onChange={setRating} />
+            </div>
+            <Textarea
+                value={comment}
+                onChange={(e) => setComment(e.target.value)}
+                placeholder="Share your experience with this property and its owner"
+                maxLength={2000}
+                rows={3}
+            />
+            {error && <p className="text-xs text-destructive">{error}</p>}
+            <div className="flex justify-end">
+                <Button type="submit" size="sm" disabled={submitting}>
+                    {submitting && <Loader2 className="w-4 h-4 mr-1.5 animate-spin" />}
+                    Submit Review
+                </Button>
+            </div>
+        </form>
+    );
+}
+
+function ReviewItem({ review, propertyId }) {
+    const [helpfulCount, setHelpfulCount] = useState(review.helpfulCount || 0);
+    const [voted, setVoted] = useState(false);
+    const [reported, setReported] = useState(false);
+    const [actionError, setActionError] = useState(null);
+
+    const formattedDate = new Date(review.createdAt).toLocaleDateString('en-IN', {
+        day: 'numeric', month: 'short', year: 'numeric'
+    });
+
+    const handleHelpful = async () => {
+        if (voted) return;
+        setActionError(null);
+        try {
+            const result = await reviewService.markHelpful(propertyId, review._id);
+            setHelpfulCount(result.helpfulCount);
+            setVoted(true);
+        } catch (err) {
+            if (err.code === 'ALREADY_VOTED') setVoted(true);
+            else setActionError(err.message);
+        }
+    };
+
+    const handleReport = async () => {
+        if (reported) return;
+        setActionError(null);
+        try {
+            await reviewService.reportReview(propertyId, review._id);
+            setReported(true);
+        } catch (err) {
+            if (err.code === 'ALREADY_REPORTED') setReported(true);
+            else setActionError(err.message);
+        }
+    };
+
+    const authenticated = isAuthenticated();
+
+    return (
+        <div className="py-3 border-b border-border last:border-0">
+            <div className="flex items-start justify-between gap-2">
+                <div className="flex items-center gap-2.5 min-w-0">
+                    <div className="w-8 h-8 rounded-full bg-primary/10 text-primary flex items-center justify-center text-sm font-semibold flex-shrink-0 overflow-hidden">
+                        {review.author?.avatar
+                            ? <img src={review.author.avatar} alt="" className="w-full h-full object-cover" />
+                            : (review.author?.name || 'U').charAt(0).toUpperCase()}
+                    </div>
+                    <div className="min-w-0">
+                        <div className="flex items-center gap-1.5">
+                            <span className="text-sm font-medium text-foreground truncate">
+                                {review.author?.name || 'Renters user'}
+                            </span>
+                            {review.isVerifiedPurchase && (
+                                <span className="inline-flex items-center gap-0.5 text-[10px] font-medium text-emerald-600 dark:text-emerald-400">
+                                    <BadgeCheck className="w-3 h-3" />
+                                    Verified
+                                </span>
+                            )}
+                        </div>
+                        <span className="text-xs text-muted-foreground">{formattedDate}</span>
+                    </div>
+                </div>
+                <StarRating value={review.rating} size="w-3.5 h-3.5" />
+            </div>
+
+            {review.comment && (
+                <p className="text-sm text-muted-foreground leading-relaxed mt-2 whitespace-pre-line">
+                    {review.comment}
+                </p>
+            )}
+
+            {authenticated && (
+                <div className="flex items-center gap-4 mt-2 text-xs">
+                    <button
+                        type="button"
+                        onClick={handleHelpful}
+                        disabled={voted}
+                        className={`inline-flex items-center gap-1 ${voted ? 'text-primary' : 'text-muted-foreground hover:text-foreground'}`}
+                    >
+                        <ThumbsUp className="w-3.5 h-3.5" />
+                        Helpful{helpfulCount > 0 ? ` (${helpfulCount})` : ''}
+                    </button>
+                    <button
+                        type="button"
+                        onClick={handleReport}
+                        disabled={reported}
+                        className="inline-flex items-center gap-1 text-muted-foreground hover:text-foreground"
+                    >
+                        <Flag className="w-3.5 h-3.5" />
+                        {reported ? 'Reported' : 'Report'}
+                    </button>
+                </div>
+            )}
+            {actionError && <p className="text-xs text-destructive mt-1">{actionError}</p>}
+        </div>
+    );
+}
+
+export default function PropertyReviews({ propertyId }) {
+    const [reviews, setReviews] = useState([]);
+    const [summary, setSummary] = useState(null);
+    const [pagination, setPagination] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [loadingMore, setLoadingMore] = useState(false);
+    const [eligibility, setEligibility] = useState(null);
+    const [submitted, setSubmitted] = useState(false);
+
+    const fetchReviews = useCallback(async (page = 1) => {
+        const data = await reviewService.getReviews(propertyId, { page, limit: PAGE_SIZE });
+        setReviews(prev => (page === 1 ? data.reviews : [...prev, ...data.reviews]));
+        setPagination(data.pagination);
+        setSummary(data.summary);
+    }, [propertyId]);
+
+    useEffect(() => {
+        if (!propertyId) return;
+
+        setLoading(true);
+        Promise.all([
+            fetchReviews(1),
+            reviewService.getEligibility(propertyId).then(setEligibility).catch(() => setEligibility(null))
+        ])
+            .catch(err => console.error('Error fetching reviews:', err))
+            .finally(() => setLoading(false));
+    }, [propertyId, fetchReviews]);
+
+    const handleLoadMore = async () => {
+        if (!pagination?.hasNextPage) return;
+        setLoadingMore(true);
+        try {
+            await fetchReviews(pagination.currentPage + 1);
+        } catch (err) {
+            console.error('Error loading more reviews:', err);
+        } finally {
+            setLoadingMore(false);
+        }
+    };
+
+    if (!propertyId) return null;
+
+    if (loading) {
+        return (
+            <div className="bg-card rounded-xl border border-border p-4">
+                <h3 className="text-sm font-semibold text-foreground mb-4">Reviews</h3>
+                <div className="space-y-3 animate-pulse">
+                    <div className="h-20 bg-muted rounded-lg" />
+                    <div className="h-16 bg-muted rounded-lg" />
+                </div>
+            </div>
+        );
+    }
+
+    const hasReviews = summary?.totalReviews > 0;
+    const ineligibleMessage = eligibility && !eligibility.canReview
+        ? INELIGIBLE_MESSAGES[eligibility.reason]
+        : null;
+
+    return (
+        <div className="bg-card rounded-xl border border-border p-4 space-y-4">
+            <div className="flex items-center gap-2">
+                <h3 className="text-sm font-semibold text-foreground">Reviews</h3>
+                {hasReviews && (
+                    <span className="px-1.5 py-0.5 bg-primary/10 text-primary text-[10px] font-medium rounded-full">
+                        {summary.totalReviews}
+                    </span>
+                )}
+            </div>
+
+            {hasReviews ? (
+                <RatingSummary summary={summary} />
+            ) : (
+                <div className="flex items-center gap-2 text-sm text-muted-foreground">
+                    <MessageSquare className="w-4 h-4" />
+                    No reviews yet
+                </div>
+            )}
+
+            {/* Review submission */}
+            {submitted ? (
+                <p className="text-xs p-3 rounded-lg bg-emerald-50 text-emerald-700 dark:bg-emerald-950 dark:text-emerald-400">
+                    Thanks for your review! It will appear here once it has been approved.
+                </p>
+            ) : !isAuthenticated() ? (
+                <p className="text-xs text-muted-foreground">
+                    <Link to="/login" className="text-primary hover:underline">Log in</Link> to review this property.
+                </p>
+            ) : eligibility?.canReview ? (
+                <ReviewForm propertyId={propertyId} onSubmitted={() => setSubmitted(true)} />
+            ) : ineligibleMessage ? (
+                <p className="text-xs text-muted-foreground">{ineligibleMessage}</p>
+            ) : null}
+
+            {reviews.length > 0 && (
+                <div>
+                    {reviews.map(review => (
+                        <ReviewItem key={review._id} review={review} propertyId={propertyId} />
+                    ))}
+                </div>
+            )}
+
+            {pagination?.hasNextPage && (
+                <Button
+                    variant="outline"
+                    size="sm"
+                    className="w-full"
+                    onClick={handleLoadMore}
+                    disabled={loadingMore}
+                >
+                    {loadingMore && <Loader2 className="w-4 h-4 mr-1.5 animate-spin" />}
+                    Show more reviews
+                </Button>
+            )}
+        </div>
+    );
+}
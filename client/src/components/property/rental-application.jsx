@@ -0,0 +1,257 @@
+/**
+ * Rental Application Component
+ * "Apply to rent" card and application form for rent listings
+ */
+
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ClipboardList, FileText, Loader2, Paperclip, X } from 'lucide-react';
+import {
+    Dialog,
+    DialogContent,
+    DialogHeader,
+    DialogTitle,
+    DialogDescription,
+    DialogFooter,
+} from '../ui/dialog';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Textarea } from '../ui/textarea';
+import applicationService from '../../api/applicationService';
+import { isAuthenticated, getUser } from '../../utils/auth';
+import {
+    INCOME_RANGE_OPTIONS,
+    APPLICATION_DOCUMENT_TYPES,
+    MAX_APPLICATION_DOCUMENTS
+} from '../../utils/rentalApplications';
+import { showSuccessToast, showErrorToast } from '../../utils/toastNotifications';
+
+const MAX_DOCUMENT_SIZE = 5 * 1024 * 1024;
+
+const todayString = () => new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD
+
+const emptyForm = () => ({
+    householdSize: 1,
+    moveInDate: '',
+    occupation: '',
+    incomeRange: '',
+    message: ''
+});
+
+const selectClassName = 'w-full h-10 text-sm bg-background border border-input rounded-md px-2 text-foreground';
+
+export default function RentalApplication({ propertyId, ownerId, propertyTitle }) {
+    const navigate = useNavigate();
+    const [open, setOpen] = useState(false);
+    const [form, setForm] = useState(emptyForm);
+    const [documents, setDocuments] = useState([]);
+    const [submitting, setSubmitting] = useState(false);
+    const [submitted, setSubmitted] = useState(false);
+
+    const currentUser = getUser();
+    const currentUserId = currentUser?._id || currentUser?.id;
+    if (!propertyId || (currentUserId && ownerId && currentUserId === ownerId.toString())) return null;
+
+    const updateField = (field) => (e) => setForm(prev => ({ ...prev, [field]: e.target.value }));
+
+    const handleOpen = () => {
+        if (!isAuthenticated()) {
+            navigate('/login');
+            return;
+        }
+        setOpen(true);
+    };
+
+    const handleFilesSelected = (e) => {
+        const files = Array.from(e.target.files || []);
+        e.target.value = '';
+
+        const tooLarge = files.find(file => file.size > MAX_DOCUMENT_SIZE);
+        if (tooLarge) {
+            showErrorToast(`${tooLarge.name} is larger than 5MB`, '', { title: 'File too large' });
+            return;
+        }
+
+        setDocuments(prev => [
+            ...prev,
+            ...files.map(file => ({ file, documentType: 'id_proof' }))
+        ].slice(0, MAX_APPLICATION_DOCUMENTS));
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+        setSubmitting(true);
+        try {
+            await applicationService.submitApplication(propertyId, form, documents);
+            showSuccessToast('The owner will review your application', '', { title: 'Application sent' });
+            setOpen(false);
+            setSubmitted(true);
+            setForm(emptyForm());
+            setDocuments([]);
+        } catch (error) {
+            showErrorToast(error.message || 'Failed to submit application', '', { title: 'Application failed' });
+            if (error.code === 'DUPLICATE_APPLICATION') setSubmitted(true);
+        } finally {
+            setSubmitting(false);
+        }
+    };
+
+    return (
+        <>
+            <div className="bg-card rounded-xl border border-border p-4 flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+                <div className="flex items-start gap-2">
+                    <ClipboardList className="w-4 h-4 text-primary mt-0.5" />
+                    <div>
+                        <h3 className="text-sm font-semibold text-foreground">Apply to Rent</h3>
+                        <p className="text-xs text-muted-foreground">
+                            {submitted
+                                ? 'Your application has been sent. Track it from your dashboard.'
+                                : 'Share your household details and documents with the owner in one go.'}
+                        </p>
+                    </div>
+                </div>
+                {submitted ? (
+                    <Button variant="outline" size="sm" onClick={() => navigate('/dashboard')}>
+                        View applications
+                    </Button>
+                ) : (
+                    <Button size="sm" onClick={handleOpen}>
+                        Apply now
+                    </Button>
+                )}
+            </div>
+
+            <Dialog open={open} onOpenChange={setOpen}>
+                <DialogContent className="sm:max-w-[480px] max-h-[90vh] overflow-y-auto">
+                    <DialogHeader>
+                        <DialogTitle className="flex items-center gap-2">
+                            <ClipboardList className="h-5 w-5" />
+                            Rental application
+                        </DialogTitle>
+                        <DialogDescription>
+                            Apply to rent {propertyTitle || 'this property'}. The owner will be notified right away.
+                        </DialogDescription>
+                    </DialogHeader>
+
+                    <form onSubmit={handleSubmit} className="space-y-4">
+                        <div className="grid grid-cols-2 gap-3">
+                            <label className="space-y-1.5 text-sm font-medium text-foreground">
+                                <span>Household size</span>
+                                <Input
+                                    type="number"
+                                    min={1}
+                                    max={20}
+                                    value={form.householdSize}
+                                    onChange={updateField('householdSize')}
+                                    required
+                                />
+                            </label>
+                            <label className="space-y-1.5 text-sm font-medium text-foreground">
+                                <span>Move-in date</span>
+                                <Input
+                                    type="date"
+                                    min={todayString()}
+                                    value={form.moveInDate}
+                                    onChange={updateField('moveInDate')}
+                                    required
+                                />
+                            </label>
+                        </div>
+
+                        <label className="block space-y-1.5 text-sm font-medium text-foreground">
+                            <span>Occupation</span>
+                            <Input
+                                value={form.occupation}
+                                onChange={updateField('occupation')}
+                                maxLength={100}
+                                placeholder="e.g. Software engineer"
+                                required
+                            />
+                        </label>
+
+                        <label className="block space-y-1.5 text-sm font-medium text-foreground">
+                            <span>Monthly household income</span>
+                            <select
+                                value={form.incomeRange}
+                                onChange={updateField('incomeRange')}
+                                className={selectClassName}
+                                required
+                            >
+                                <option value="" disabled>Select a range</option>
+                                {INCOME_RANGE_OPTIONS.map(option => (
+                                    <option key={option.value} value={option.value}>{option.label}</option>
+                                ))}
+                            </select>
+                        </label>
+
+                        <label className="block space-y-1.5 text-sm font-medium text-foreground">
+                            <span>Message to the owner <span className="text-muted-foreground font-normal">(optional)</span></span>
+                            <Textarea
+                                value={form.message}
+                                onChange={updateField('message')}
+                                maxLength={1000}
+                                rows={3}
+                                placeholder="Tell the owner a little about yourself"
+                            />
+                        </label>
+
+                        <div className="space-y-2">
+                            <span className="text-sm font-medium text-foreground">
+                                Documents <span className="text-muted-foreground font-normal">(PDF or images, up to {MAX_APPLICATION_DOCUMENTS})</span>
+                            </span>
+                            {documents.map((document, index) => (
+                                <div key={`${document.file.name}-${index}`} className="flex items-center gap-2 bg-muted/50 rounded-lg p-2">
+                                    <FileText className="w-4 h-4 text-muted-foreground flex-shrink-0" />
+                                    <span className="text-xs text-foreground truncate flex-1">{document.file.name}</span>
+                                    <select
+                                        value={document.documentType}
+                                        onChange={(e) => setDocuments(prev => prev.map((d, i) => (
+                                            i === index ? { ...d, documentType: e.target.value } : d
+                                        )))}
+                                        className="text-xs bg-background border border-border rounded-md px-1.5 py-1 text-foreground"
+                                        aria-label="Document type"
+                                    >
+                                        {APPLICATION_DOCUMENT_TYPES.map(option => (
+                                            <option key={option.value} value={option.value}>{option.label}</option>
+                                        ))}
+                                    </select>
+                                    <button
+                                        type="button"
+                                        onClick={() => setDocuments(prev => prev.filter((_, i) => i !== index))}
+                                        className="p-1 rounded text-muted-foreground hover:text-destructive"
+                                        aria-label={`Remove ${document.file.name}`}
+                                    >
+                                        <X className="w-3.5 h-3.5" />
+                                    </button>
+                                </div>
+                            ))}
+                            {documents.length < MAX_APPLICATION_DOCUMENTS && (
+                                <label className="flex items-center justify-center gap-1.5 p-2 rounded-lg border border-dashed border-border text-xs text-muted-foreground hover:bg-muted/50 cursor-pointer">
+                                    <Paperclip className="w-3.5 h-3.5" />
+                                    Attach documents
+                                    <input
+                                        type="file"
+                                        accept="application/pdf,image/jpeg,image/png,image/webp"
+                                        multiple
+                                        onChange={handleFilesSelected}
+                                        className="hidden"
+                                    />
+                                </label>
+                            )}
+                        </div>
+
+                        <DialogFooter>
+                            <Button type="button" variant="outline" onClick={() => setOpen(false)} disabled={submitting}>
+                                Cancel
+                            </Button>
+                            <Button type="submit" disabled={submitting}>
+                                {submitting && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+                                Submit application
+                            </Button>
+                        </DialogFooter>
+                    </form>
+                </DialogContent>
+            </Dialog>
+        </>
+    );
+}
@@ -0,0 +1,61 @@
+/**
+ * Similar Listings Component
+ * Carousel of listings like the one being viewed: nearby, similarly priced,
+ * with matching bedrooms, category, furnishing and amenities
+ */
+
+import { useState, useEffect } from 'react';
+import { Sparkles, MapPin } from 'lucide-react';
+import { ListingCarousel } from '../all_listing/listing-carousel';
+import propertyService from '../../api/propertyService';
+
+const SIMILAR_LIMIT = 8;
+
+const formatDistance = (km) => (km < 1 ? `${Math.round(km * 1000)} m away` : `${km.toFixed(1)} km away`);
+
+export default function SimilarListings({ propertyId, listingType = 'rent', title = 'Similar Homes' }) {
+    const [listings, setListings] = useState([]);
+    const [loading, setLoading] = useState(true);
+
+    useEffect(() => {
+        if (!propertyId) {
+            setLoading(false);
+            return;
+        }
+
+        let cancelled = false;
+        const fetchSimilar = async () => {
+            setLoading(true);
+            try {
+                const response = await propertyService.getSimilarProperties(propertyId, { limit: SIMILAR_LIMIT });
+                if (!cancelled) setListings(response.data?.data || []);
+            } catch (err) {
+                console.error('Error fetching similar listings:', err);
+                if (!cancelled) setListings([]);
+            } finally {
+                if (!cancelled) setLoading(false);
+            }
+        };
+
+        fetchSimilar();
+        return () => {
+            cancelled = true;
+        };
+    }, [propertyId]);
+
+    return (
+        <ListingCarousel
+            title={title}
+            icon={Sparkles}
+            listings={listings}
+            loading={loading}
+            viewAllTo={listingType === 'buy' ? '/buy-properties' : '/rent-properties'}
+            renderCaption={(listing) => Number.isFinite(listing.distanceKm) && (
+                <p className="flex items-center gap-1 px-1 text-xs text-muted-foreground">
+                    <MapPin className="w-3 h-3" />
+                    {formatDistance(listing.distanceKm)}
+                </p>
+            )}
+        />
+    );
+}
@@ -0,0 +1,270 @@
+/**
+ * Viewing Scheduler Component
+ * Seekers pick an open viewing slot and book a visit; the property owner
+ * publishes slots and sees who booked them
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { CalendarClock, CalendarPlus, Loader2, Trash2, User } from 'lucide-react';
+import { Button } from '../ui/button';
+import { Input } from '../ui/input';
+import { Textarea } from '../ui/textarea';
+import viewingService from '../../api/viewingService';
+import { isAuthenticated } from '../../utils/auth';
+import {
+    VIEWING_SLOT_DURATIONS,
+    formatSlotTime,
+    groupSlotsByDay,
+    buildConsecutiveSlots
+} from '../../utils/viewingSlots';
+import { showSuccessToast, showErrorToast } from '../../utils/toastNotifications';
+
+const todayString = () => new Date().toLocaleDateString('en-CA'); // YYYY-MM-DD
+
+function OwnerSlotManager({ propertyId, slots, onChange }) {
+    const [date, setDate] = useState(todayString());
+    const [time, setTime] = useState('10:00');
+    const [duration, setDuration] = useState(30);
+    const [count, setCount] = useState(1);
+    const [saving, setSaving] = useState(false);
+    const [removingId, setRemovingId] = useState(null);
+
+    const handleAdd = async (e) => {
+        e.preventDefault();
+        const newSlots = buildConsecutiveSlots(date, time, duration, count);
+        if (newSlots.length === 0) return;
+
+        setSaving(true);
+        try {
+            await viewingService.createSlots(propertyId, newSlots);
+            showSuccessToast(`${newSlots.length} viewing slot${newSlots.length === 1 ? '' : 's'} published`, '', { title: 'Slots added' });
+            onChange();
+        } catch (error) {
+            showErrorToast(error.message || 'Failed to add viewing slots', '', { title: 'Error' });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleRemove = async (slot) => {
+        const message = slot.isBooked
+            ? 'This slot is booked. Removing it cancels the viewing and notifies the visitor. Continue?'
+            : 'Remove this viewing slot?';
+        if (!window.confirm(message)) return;
+
+        setRemovingId(slot._id);
+        try {
+            await viewingService.cancelSlot(slot._id);
+            onChange();
+        } catch (error) {
+            showErrorToast(error.message || 'Failed to remove viewing slot', '', { title: 'Error' });
+        } finally {
+            setRemovingId(null);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <form onSubmit={handleAdd} className="grid grid-cols-2 sm:grid-cols-5 gap-2 items-end">
+                <label className="col-span-2 sm:col-span-1 text-xs text-muted-foreground space-y-1">
+                    <span>Date</span>
+                    <Input type="date" value={date} min={todayString()} onChange={(e) => setDate(e.target.value)} required />
+                </label>
+                <label className="text-xs text-muted-foreground space-y-1">
+                    <span>Start</span>
+                    <Input type="time" value={time} onChange={(e) => setTime(e.target.value)} required />
+                </label>
+                <label className="text-xs text-muted-foreground space-y-1">
+                    <span>Length</span>
+                    <select
+                        value={duration}
+                        onChange={(e) => setDuration(Number(e.target.value))}
+                        className="w-full h-10 text-sm bg-background border border-input rounded-md px-2 text-foreground"
+                    >
+                        {VIEWING_SLOT_DURATIONS.map(minutes => (
+                            <option key={minutes} value={minutes}>{minutes} min</option>
+                        ))}
+                    </select>
+                </label>
+                <label className="text-xs text-muted-foreground space-y-1">
+                    <span>Slots</span>
+                    <select
+                        value={count}
+                        onChange={(e) => setCount(Number(e.target.value))}
+                        className="w-full h-10 text-sm bg-background border border-input rounded-md px-2 text-foreground"
+                    >
+                        {[1, 2, 3, 4, 6, 8].map(n => (
+                            <option key={n} value={n}>{n}</option>
+                        ))}
+                    </select>
+                </label>
+                <Button type="submit" disabled={saving} className="gap-1.5">
+                    {saving ? <Loader2 className="w-4 h-4 animate-spin" /> : <CalendarPlus className="w-4 h-4" />}
+                    Add
+                </Button>
+            </form>
+
+            {slots.length === 0 ? (
+                <p className="text-sm text-muted-foreground">
+                    No upcoming slots. Add times when you can show the property and visitors can book them.
+                </p>
+            ) : (
+                <div className="space-y-3">
+                    {groupSlotsByDay(slots).map(group => (
+                        <div key={group.day}>
+                            <p className="text-xs font-medium text-muted-foreground mb-1.5">{group.day}</p>
+                            <div className="space-y-1.5">
+                                {group.slots.map(slot => (
+                                    <div
+                                        key={slot._id}
+                                        className="flex items-center justify-between gap-2 bg-muted/50 rounded-lg px-3 py-2"
+                                    >
+                                        <div className="min-w-0">
+                                            <p className="text-sm text-foreground">{formatSlotTime(slot)}</p>
+                                            {slot.isBooked ? (
+                                                <p className="flex items-center gap-1 text-xs text-primary truncate">
+                                                    <User className="w-3 h-3" />
+                                                    Booked by {slot.appointment?.seekerId?.name || 'a visitor'}
+                                                    {slot.appointment?.note && ` · "${slot.appointment.note}"`}
+                                                </p>
+                                            ) : (
+                                                <p className="text-xs text-muted-foreground">Open</p>
+                                            )}
+                                        </div>
+                                        <button
+                                            onClick={() => handleRemove(slot)}
+                                            disabled={removingId === slot._id}
+                                            className="p-1.5 rounded-md text-muted-foreground hover:text-destructive hover:bg-destructive/10 disabled:opacity-50"
+                                            aria-label="Remove slot"
+                                        >
+                                            {removingId === slot._id
+                                                ? <Loader2 className="w-4 h-4 animate-spin" />
+                                                : <Trash2 className="w-4 h-4" />}
+                                        </button>
+                                    </div>
+                                ))}
+                            </div>
+                        </div>
+                    ))}
+                </div>
+            )}
+        </div>
+    );
+}
+
+function SlotBooking({ slots, onBooked }) {
+    const navigate = useNavigate();
+    const [selectedId, setSelectedId] = useState(null);
+    const [note, setNote] = useState('');
+    const [booking, setBooking] = useState(false);
+
+    const handleBook = async () => {
+        if (!isAuthenticated()) {
+            navigate('/login');
+            return;
+        }
+        if (!selectedId) return;
+
+        setBooking(true);
+        try {
+            await viewingService.bookSlot(selectedId, note.trim());
+            showSuccessToast('The owner has been notified and a calendar invite is on its way', '', { title: 'Viewing booked' });
+            setSelectedId(null);
+            setNote('');
+            onBooked();
+        } catch (error) {
+            showErrorToast(error.message || 'Failed to book viewing', '', { title: 'Booking failed' });
+            if (error.code === 'SLOT_UNAVAILABLE') onBooked();
+        } finally {
+            setBooking(false);
+        }
+    };
+
+    return (
+        <div className="space-y-4">
+            <div className="space-y-3 max-h-64 overflow-y-auto">
+                {groupSlotsByDay(slots).map(group => (
+                    <div key={group.day}>
+                        <p className="text-xs font-medium text-muted-foreground mb-1.5">{group.day}</p>
+                        <div className="flex flex-wrap gap-2">
+                            {group.slots.map(slot => (
+                                <button
+                                    key={slot._id}
+                                    onClick={() => setSelectedId(slot._id)}
+                                    className={`px-3 py-1.5 rounded-lg border text-xs font-medium transition-colors ${
+                                        selectedId === slot._id
+                                            ? 'border-primary bg-primary text-primary-foreground'
+                                            : 'border-border bg-background text-foreground hover:border-primary/50'
+                                    }`}
+                                >
+                                    {formatSlotTime(slot)}
+                                </button>
+                            ))}
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            {selectedId && (
+                <Textarea
+                    value={note}
+                    onChange={(e) => setNote(e.target.value)}
+                    maxLength={500}
+                    rows={2}
+                    placeholder="Add a note for the owner (optional)"
+                    className="text-sm"
+                />
+            )}
+
+            <Button onClick={handleBook} disabled={booking || !selectedId} className="w-full gap-1.5">
+                {booking ? <Loader2 className="w-4 h-4 animate-spin" /> : <CalendarClock className="w-4 h-4" />}
+                Book viewing
+            </Button>
+        </div>
+    );
+}
+
+export default function ViewingScheduler({ propertyId }) {
+    const [slots, setSlots] = useState([]);
+    const [isOwner, setIsOwner] = useState(false);
+    const [loading, setLoading] = useState(true);
+
+    const fetchSlots = useCallback(async () => {
+        if (!propertyId) return;
+        try {
+            const data = await viewingService.getSlots(propertyId);
+            setSlots(data.slots);
+            setIsOwner(data.isOwner);
+        } catch (err) {
+            console.error('Error fetching viewing slots:', err);
+            setSlots([]);
+        } finally {
+            setLoading(false);
+        }
+    }, [propertyId]);
+
+    useEffect(() => {
+        fetchSlots();
+    }, [fetchSlots]);
+
+    // Seekers only see the scheduler when the owner has published open slots
+    if (loading || (!isOwner && slots.length === 0)) return null;
+
+    return (
+        <div className="bg-card rounded-xl border border-border p-4 space-y-4">
+            <div className="flex items-center gap-2">
+                <CalendarClock className="w-4 h-4 text-primary" />
+                <h3 className="text-sm font-semibold text-foreground">
+                    {isOwner ? 'Viewing Slots' : 'Schedule a Visit'}
+                </h3>
+            </div>
+
+            {isOwner ? (
+                <OwnerSlotManager propertyId={propertyId} slots={slots} onChange={fetchSlots} />
+            ) : (
+                <SlotBooking slots={slots} onBooked={fetchSlots} />
+            )}
+        </div>
+    );
+}
@@ -0,0 +1,106 @@
+/**
+ * useMessageSearch Hook - Searches the user's conversations on the server
+ *
+ * Provides:
+ * - Debounced search by message text, counterpart name and property title
+ * - Message hits with snippets, highlight ranges and jump-to-message anchors
+ * - Loading further message hits by cursor
+ */
+
+import { useState, useCallback, useRef } from 'react';
+import messageService from '../api/messageService';
+import { useDebouncedCallback } from './useDebouncedCallback';
+
+// Shortest query sent to the server (matches the API's validation)
+export const MIN_SEARCH_LENGTH = 2;
+const SEARCH_DEBOUNCE_MS = 300;
+
+/**
+ * Hook for searching messages and conversations
+ * @returns {Object} Search state and functions
+ */
+export function useMessageSearch() {
+    const [results, setResults] = useState({ messages: [], conversations: [] });
+    const [nextBefore, setNextBefore] = useState(null);
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Only the latest request may update state, so stale responses are dropped
+    const requestIdRef = useRef(0);
+    const queryRef = useRef('');
+
+    const runSearch = useCallback(async (query, before = null) => {
+        // The query changed or was cleared while this call was debounced
+        if (query !== queryRef.current) return null;
+
+        const requestId = ++requestIdRef.current;
+        setLoading(true);
+        setError(null);
+
+        const response = await messageService.searchMessages(query, { before });
+        if (requestId !== requestIdRef.current) return response;
+
+        if (response.success) {
+            const { messages = [], conversations = [], pagination } = response.data;
+            setResults(prev => before
+                ? { ...prev, messages: [...prev.messages, ...messages] }
+                : { messages, conversations });
+            setNextBefore(pagination?.nextBefore || null);
+        } else {
+            setError(response.error?.message || 'Search failed');
+        }
+        setLoading(false);
+
+        return response;
+    }, []);
+
+    const debouncedSearch = useDebouncedCallback(runSearch, SEARCH_DEBOUNCE_MS);
+
+    /**
+     * Clear results and cancel any pending response
+     */
+    const clear = useCallback(() => {
+        requestIdRef.current++;
+        queryRef.current = '';
+        setResults({ messages: [], conversations: [] });
+        setNextBefore(null);
+        setLoading(false);
+        setError(null);
+    }, []);
+
+    /**
+     * Search after the user stops typing; short queries clear the results
+     * @param {string} query - Search text
+     */
+    const search = useCallback((query) => {
+        const trimmed = (query || '').trim();
+        if (trimmed.length < MIN_SEARCH_LENGTH) {
+            clear();
+            return;
+        }
+
+        queryRef.current = trimmed;
+        setLoading(true);
+        debouncedSearch(trimmed);
+    }, [clear, debouncedSearch]);
+
+    /**
+     * Load the next page of message hits for the current query
+     */
+    const loadMore = useCallback(() => {
+        if (!nextBefore || loading || !queryRef.current) return;
+        return runSearch(queryRef.current, nextBefore);
+    }, [nextBefore, loading, runSearch]);
+
+    return {
+        results,
+        loading,
+        error,
+        hasMore: Boolean(nextBefore),
+        search,
+        loadMore,
+        clear
+    };
+}
+
+export default useMessageSearch;
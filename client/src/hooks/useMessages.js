@@ -4,7 +4,11 @@
  * Provides:
  * - Conversations list state management
  * - Selected conversation and messages management
+ * - Loading older messages by cursor
+ * - Jumping to a message from search results
  * - Real-time message updates via socket
+ * - Delivery acknowledgements, reactions, replies and edits
+ * - Blocking users and reporting messages
  * - sendMessage, markAsRead functions
  * - Loading and error state tracking
  */
@@ -15,6 +19,10 @@ import {
     getSocket,
     onMessageReceived,
     onMessageReadUpdate,
+    onMessageDeliveryUpdate,
+    onMessageReactionUpdate,
+    onMessageEditUpdate,
+    acknowledgeDelivery,
     joinConversation as socketJoinConversation,
     leaveConversation as socketLeaveConversation,
     sendTypingStart,
@@ -26,6 +34,9 @@ import { getUser, isAuthenticated } from '../utils/auth';
 const MAX_RETRIES = 3;
 const RETRY_DELAY = 1000; // 1 second
 
+// Pages loaded at most when jumping back to an old message
+const MAX_JUMP_PAGES = 20;
+
 /**
  * Utility function to retry an async operation
  * @param {Function} operation - Async function to retry
@@ -51,6 +62,26 @@ const retryOperation = async (operation, maxRetries = MAX_RETRIES, delay = RETRY
     throw lastError;
 };
 
+const getCurrentUserId = () => {
+    const user = getUser();
+    return user?._id || user?.id;
+};
+
+const getSenderId = (message) => message.sender?._id || message.sender?.id || message.sender;
+
+/**
+ * Acknowledge received messages from other participants that are not marked delivered yet
+ * @param {string} conversationId - Conversation ID
+ * @param {Array} messages - Received messages
+ */
+const acknowledgeReceived = (conversationId, messages) => {
+    const userId = getCurrentUserId();
+    const messageIds = messages
+        .filter(msg => !msg.deliveredAt && !msg.pending && getSenderId(msg) !== userId)
+        .map(msg => msg._id || msg.id);
+    acknowledgeDelivery(conversationId, messageIds);
+};
+
 /**
  * Hook for managing messaging functionality
  * @param {Object} options - Configuration options
@@ -67,9 +98,12 @@ export function useMessages(options = {}) {
     const [loading, setLoading] = useState(false);
     const [conversationsLoading, setConversationsLoading] = useState(false);
     const [messagesLoading, setMessagesLoading] = useState(false);
+    const [hasOlderMessages, setHasOlderMessages] = useState(false);
+    const [loadingOlderMessages, setLoadingOlderMessages] = useState(false);
     const [sending, setSending] = useState(false);
     const [error, setError] = useState(null);
     const [retrying, setRetrying] = useState(false);
+    const [blockedUserIds, setBlockedUserIds] = useState([]);
 
     // Refs for socket event handlers
     const selectedConversationRef = useRef(null);
@@ -161,9 +195,11 @@ export function useMessages(options = {}) {
 
                     setSelectedConversation(conversationData);
                     setMessages(messagesData);
+                    setHasOlderMessages(Boolean(response.data.pagination?.hasOlder));
 
                     // Join socket room for this conversation
                     socketJoinConversation(conversationId);
+                    acknowledgeReceived(conversationId, messagesData);
                 } else {
                     setError(response.error?.message || 'Failed to fetch conversation');
                 }
@@ -195,6 +231,8 @@ export function useMessages(options = {}) {
             socketLeaveConversation(prevId);
         }
 
+        setHasOlderMessages(false);
+
         if (!conversation) {
             setSelectedConversation(null);
             setMessages([]);
@@ -219,15 +257,129 @@ export function useMessages(options = {}) {
         await fetchConversation(conversationId);
     }, [fetchConversation]);
 
+    /**
+     * Load the page of messages before the oldest one shown
+     * @returns {Promise<Object>} Response with messages and pagination
+     */
+    const loadOlderMessages = useCallback(async () => {
+        const conversation = selectedConversationRef.current;
+        if (!conversation) {
+            return { success: false, error: { message: 'No conversation selected' } };
+        }
+
+        const conversationId = conversation._id || conversation.id;
+        const oldestMessage = messages.find(msg => !String(msg._id || msg.id).startsWith('temp-'));
+        if (!oldestMessage) {
+            return { success: false, error: { message: 'No messages loaded' } };
+        }
+
+        setLoadingOlderMessages(true);
+
+        try {
+            const response = await messageService.getMessages(conversationId, {
+                before: oldestMessage._id || oldestMessage.id
+            });
+
+            // Ignore the page if the user switched conversations meanwhile
+            const currentConv = selectedConversationRef.current;
+            if (mountedRef.current && currentConv && (currentConv._id || currentConv.id) === conversationId) {
+                if (response.success) {
+                    const olderMessages = response.data.messages || [];
+                    setMessages(prev => {
+                        const loadedIds = new Set(prev.map(msg => msg._id || msg.id));
+                        return [
+                            ...olderMessages.filter(msg => !loadedIds.has(msg._id || msg.id)),
+                            ...prev
+                        ];
+                    });
+                    setHasOlderMessages(Boolean(response.data.pagination?.hasOlder));
+                } else {
+                    setError(response.error?.message || 'Failed to load older messages');
+                }
+            }
+
+            return response;
+        } catch (err) {
+            const errorMessage = err.message || 'Failed to load older messages';
+            if (mountedRef.current) {
+                setError(errorMessage);
+            }
+            return { success: false, error: { message: errorMessage } };
+        } finally {
+            if (mountedRef.current) {
+                setLoadingOlderMessages(false);
+            }
+        }
+    }, [messages]);
+
+    /**
+     * Load history back to a message (e.g. a search result) in the selected conversation
+     * @param {string} conversationId - Conversation the message belongs to
+     * @param {string} messageId - Message to load
+     * @returns {Promise<boolean>} Whether the message is now loaded
+     */
+    const jumpToMessage = useCallback(async (conversationId, messageId) => {
+        if (!conversationId || !messageId) return false;
+
+        let loaded = [];
+        let hasOlder = true;
+
+        setLoadingOlderMessages(true);
+
+        try {
+            for (let page = 0; page < MAX_JUMP_PAGES && hasOlder; page++) {
+                const oldest = loaded[0];
+                const response = await messageService.getMessages(conversationId, {
+                    before: oldest ? (oldest._id || oldest.id) : undefined
+                });
+                if (!response.success) {
+                    setError(response.error?.message || 'Failed to load message');
+                    return false;
+                }
+
+                loaded = [...(response.data.messages || []), ...loaded];
+                hasOlder = Boolean(response.data.pagination?.hasOlder);
+
+                if (loaded.some(msg => (msg._id || msg.id) === messageId)) break;
+            }
+
+            const currentConv = selectedConversationRef.current;
+            if (!mountedRef.current || !currentConv || (currentConv._id || currentConv.id) !== conversationId) {
+                return false;
+            }
+
+            const found = loaded.some(msg => (msg._id || msg.id) === messageId);
+            if (found) {
+                // Keep optimistic messages that are still being sent
+                setMessages(prev => [
+                    ...loaded,
+                    ...prev.filter(msg => String(msg._id || msg.id).startsWith('temp-'))
+                ]);
+                setHasOlderMessages(hasOlder);
+            }
+            return found;
+        } catch (err) {
+            if (mountedRef.current) {
+                setError(err.message || 'Failed to load message');
+            }
+            return false;
+        } finally {
+            if (mountedRef.current) {
+                setLoadingOlderMessages(false);
+            }
+        }
+    }, []);
+
     /**
      * Send a message in the selected conversation
      * Requirement 2.1: Persist message with sender ID, text, timestamp, and read status
      * Requirement 4.1: Broadcast message via WebSocket
      * @param {string} text - Message text
      * @param {File} file - Optional file attachment
+     * @param {Object} replyTo - Optional message being replied to
      * @returns {Promise<Object>} Response with created message
      */
-    const sendMessage = useCallback(async (text, file = null) => {
+    const sendMessage = useCallback(async (text, file = null, replyTo = null) => {
         const conversation = selectedConversationRef.current;
         if (!conversation) {
             return { success: false, error: { message: 'No conversation selected' } };
@@ -267,6 +419,12 @@ export function useMessages(options = {}) {
                 createdAt: new Date().toISOString(),
                 timestamp: new Date().toISOString(), // Ensure both timestamp fields are set
                 read: false,
+                replyTo: replyTo ? {
+                    message: replyTo._id || replyTo.id,
+                    sender: getSenderId(replyTo) || replyTo.senderId,
+                    text: replyTo.text,
+                    type: replyTo.type
+                } : undefined,
                 pending: true
             };
 
@@ -274,7 +432,7 @@ export function useMessages(options = {}) {
 
             // Send via API with retry
             const response = await retryOperation(
-                () => messageService.sendMessage(conversationId, text, file),
+                () => messageService.sendMessage(conversationId, text, file, replyTo?._id || replyTo?.id),
                 2, // Fewer retries for send operations
                 500
             );
@@ -368,9 +526,10 @@ export function useMessages(options = {}) {
             const response = await messageService.markAsRead(convId);
 
             if (response.success && mountedRef.current) {
-                // Update messages read status
+                // Update read status of the messages this user received
+                const userId = getCurrentUserId();
                 setMessages(prev =>
-                    prev.map(msg => ({ ...msg, read: true }))
+                    prev.map(msg => getSenderId(msg) === userId ? msg : { ...msg, read: true })
                 );
 
                 // Update conversation unread count
@@ -397,6 +556,122 @@ export function useMessages(options = {}) {
         }
     }, []);
 
+    /**
+     * Edit the text of one of the user's own messages
+     * @param {string} messageId - Message ID
+     * @param {string} text - New text
+     */
+    const editMessage = useCallback(async (messageId, text) => {
+        try {
+            const response = await messageService.editMessage(messageId, text);
+
+            if (mountedRef.current) {
+                if (response.success) {
+                    const edited = response.data.message;
+                    setMessages(prev => prev.map(msg =>
+                        (msg._id || msg.id) === messageId ? { ...msg, ...edited } : msg
+                    ));
+                } else {
+                    setError(response.error?.message || 'Failed to edit message');
+                }
+            }
+
+            return response;
+        } catch (err) {
+            return { success: false, error: { message: err.message } };
+        }
+    }, []);
+
+    /**
+     * Add or remove the user's emoji reaction on a message
+     * @param {string} messageId - Message ID
+     * @param {string} emoji - Emoji
+     */
+    const toggleReaction = useCallback(async (messageId, emoji) => {
+        try {
+            const response = await messageService.toggleReaction(messageId, emoji);
+
+            if (mountedRef.current) {
+                if (response.success) {
+                    setMessages(prev => prev.map(msg =>
+                        (msg._id || msg.id) === messageId
+                            ? { ...msg, reactions: response.data.reactions }
+                            : msg
+                    ));
+                } else {
+                    setError(response.error?.message || 'Failed to update reaction');
+                }
+            }
+
+            return response;
+        } catch (err) {
+            return { success: false, error: { message: err.message } };
+        }
+    }, []);
+
+    /**
+     * Fetch the IDs of users the current user has blocked
+     */
+    const fetchBlockedUsers = useCallback(async () => {
+        const response = await messageService.getBlockedUsers();
+
+        if (response.success && mountedRef.current) {
+            setBlockedUserIds((response.data.users || []).map(user => user._id || user.id));
+        }
+
+        return response;
+    }, []);
+
+    /**
+     * Block a user; neither side can message the other until unblocked
+     * @param {string} userId - User to block
+     */
+    const blockUser = useCallback(async (userId) => {
+        const response = await messageService.blockUser(userId);
+
+        if (mountedRef.current) {
+            if (response.success) {
+                setBlockedUserIds(prev => prev.includes(userId) ? prev : [...prev, userId]);
+            } else {
+                setError(response.error?.message || 'Failed to block user');
+            }
+        }
+
+        return response;
+    }, []);
+
+    /**
+     * Unblock a user
+     * @param {string} userId - User to unblock
+     */
+    const unblockUser = useCallback(async (userId) => {
+        const response = await messageService.unblockUser(userId);
+
+        if (mountedRef.current) {
+            if (response.success) {
+                setBlockedUserIds(prev => prev.filter(id => id !== userId));
+            } else {
+                setError(response.error?.message || 'Failed to unblock user');
+            }
+        }
+
+        return response;
+    }, []);
+
+    /**
+     * Report a message from the other participant
+     * @param {string} messageId - Message ID
+     * @param {string} reason - Report reason
+     * @param {string} details - Optional description
+     */
+    const reportMessage = useCallback(async (messageId, reason, details = '') => {
+        try {
+            return await messageService.reportMessage(messageId, reason, details);
+        } catch (err) {
+            return { success: false, error: { message: err.message } };
+        }
+    }, []);
+
     /**
      * Create or get an existing conversation
      * @param {string} recipientId - Recipient user ID
@@ -545,6 +820,7 @@ export function useMessages(options = {}) {
                 if (exists) return prev;
                 return [...prev, message];
             });
+            acknowledgeReceived(conversationId, [message]);
         }
 
         // Update conversation in list
@@ -585,16 +861,62 @@ export function useMessages(options = {}) {
     const handleReadUpdate = useCallback((data) => {
         if (!mountedRef.current) return;
 
-        const { conversationId } = data;
+        const { conversationId, userId, readAt } = data;
         const currentConv = selectedConversationRef.current;
 
+        // Messages the reader received are now seen
         if (currentConv && (currentConv._id || currentConv.id) === conversationId) {
             setMessages(prev =>
-                prev.map(msg => ({ ...msg, read: true }))
+                prev.map(msg => (userId && getSenderId(msg) === userId) || msg.read
+                    ? msg
+                    : { ...msg, read: true, readAt: readAt || msg.readAt, deliveredAt: msg.deliveredAt || readAt })
             );
         }
     }, []);
 
+    /**
+     * Handle delivery acknowledgements from socket
+     */
+    const handleDeliveryUpdate = useCallback((data) => {
+        if (!mountedRef.current) return;
+
+        const { conversationId, messageIds = [], deliveredAt } = data;
+        const currentConv = selectedConversationRef.current;
+
+        if (currentConv && (currentConv._id || currentConv.id) === conversationId) {
+            const delivered = new Set(messageIds);
+            setMessages(prev =>
+                prev.map(msg => delivered.has(msg._id || msg.id) && !msg.deliveredAt
+                    ? { ...msg, deliveredAt }
+                    : msg)
+            );
+        }
+    }, []);
+
+    /**
+     * Handle reaction changes from socket
+     */
+    const handleReactionUpdate = useCallback((data) => {
+        if (!mountedRef.current) return;
+
+        const { messageId, reactions } = data;
+        setMessages(prev =>
+            prev.map(msg => (msg._id || msg.id) === messageId ? { ...msg, reactions } : msg)
+        );
+    }, []);
+
+    /**
+     * Handle message edits from socket
+     */
+    const handleEditUpdate = useCallback((data) => {
+        if (!mountedRef.current) return;
+
+        const { message } = data;
+        setMessages(prev =>
+            prev.map(msg => (msg._id || msg.id) === message._id ? { ...msg, ...message } : msg)
+        );
+    }, []);
+
     // Setup socket listeners
     useEffect(() => {
         if (!isAuthenticated()) return;
@@ -602,6 +924,9 @@ export function useMessages(options = {}) {
         // Set up socket event listeners
         onMessageReceived(handleNewMessage);
         onMessageReadUpdate(handleReadUpdate);
+        onMessageDeliveryUpdate(handleDeliveryUpdate);
+        onMessageReactionUpdate(handleReactionUpdate);
+        onMessageEditUpdate(handleEditUpdate);
 
         // Cleanup
         return () => {
@@ -611,12 +936,13 @@ export function useMessages(options = {}) {
                 socketLeaveConversation(convId);
             }
         };
-    }, [handleNewMessage, handleReadUpdate]);
+    }, [handleNewMessage, handleReadUpdate, handleDeliveryUpdate, handleReactionUpdate, handleEditUpdate]);
 
     // Fetch conversations on mount
     useEffect(() => {
         if (isAuthenticated() && autoFetch) {
             fetchConversations();
+            fetchBlockedUsers();
         }
     }, [autoFetch]); // eslint-disable-line react-hooks/exhaustive-deps
 
@@ -636,16 +962,26 @@ export function useMessages(options = {}) {
         loading,
         conversationsLoading,
         messagesLoading,
+        hasOlderMessages,
+        loadingOlderMessages,
         sending,
         error,
         retrying,
+        blockedUserIds,
 
         // Actions
         fetchConversations,
         fetchConversation,
         selectConversation,
+        loadOlderMessages,
+        jumpToMessage,
         sendMessage,
+        editMessage,
+        toggleReaction,
         markAsRead,
+        blockUser,
+        unblockUser,
+        reportMessage,
         createConversation,
         deleteMessage,
         deleteConversation,
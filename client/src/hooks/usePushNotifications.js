@@ -0,0 +1,117 @@
+/**
+ * usePushNotifications Hook - Manages Web Push on this device
+ *
+ * Provides:
+ * - Whether the browser supports push and this device is subscribed
+ * - Enabling push (asks for permission, subscribes and saves the subscription)
+ * - Disabling push for this device
+ */
+
+import { useState, useCallback, useEffect } from 'react';
+import notificationService from '../api/notificationService';
+import {
+    isPushSupported,
+    getPushSubscription,
+    subscribeToPush,
+    unsubscribeFromPush
+} from '../utils/serviceWorker';
+
+/**
+ * Hook for this device's push notification subscription
+ * @returns {Object} Push state and functions
+ */
+export function usePushNotifications() {
+    const supported = isPushSupported();
+    const [subscribed, setSubscribed] = useState(false);
+    const [permission, setPermission] = useState(supported ? Notification.permission : 'denied');
+    const [loading, setLoading] = useState(supported);
+    const [error, setError] = useState(null);
+
+    // Pick up an existing subscription and re-save it, so it belongs to the signed-in user
+    useEffect(() => {
+        if (!supported) return;
+
+        let cancelled = false;
+        getPushSubscription()
+            .then(async (subscription) => {
+                if (cancelled) return;
+                setSubscribed(Boolean(subscription));
+                if (subscription) {
+                    await notificationService.savePushSubscription(subscription);
+                }
+            })
+            .catch((err) => console.error('Error reading push subscription:', err))
+            .finally(() => {
+                if (!cancelled) setLoading(false);
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [supported]);
+
+    /**
+     * Subscribe this device to push notifications
+     */
+    const enablePush = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+
+        try {
+            const keyResponse = await notificationService.getPushPublicKey();
+            if (!keyResponse.success) {
+                throw new Error(keyResponse.error?.message || 'Push notifications are not available');
+            }
+
+            const subscription = await subscribeToPush(keyResponse.data.publicKey);
+            const response = await notificationService.savePushSubscription(subscription);
+            if (!response.success) {
+                throw new Error(response.error?.message || 'Failed to enable push notifications');
+            }
+
+            setSubscribed(true);
+            return { success: true };
+        } catch (err) {
+            setError(err.message);
+            return { success: false, error: { message: err.message } };
+        } finally {
+            setPermission(Notification.permission);
+            setLoading(false);
+        }
+    }, []);
+
+    /**
+     * Unsubscribe this device from push notifications
+     */
+    const disablePush = useCallback(async () => {
+        setLoading(true);
+        setError(null);
+
+        try {
+            const endpoint = await unsubscribeFromPush();
+            if (endpoint) {
+                await notificationService.deletePushSubscription(endpoint);
+            }
+
+            setSubscribed(false);
+            return { success: true };
+        } catch (err) {
+            setError(err.message);
+            return { success: false, error: { message: err.message } };
+        } finally {
+            setLoading(false);
+        }
+    }, []);
+
+    return {
+        supported,
+        subscribed,
+        permission,
+        loading,
+        error,
+        enablePush,
+        disablePush
+    };
+}
+
+export default usePushNotifications;
@@ -0,0 +1,117 @@
+/**
+ * useQuickReplies Hook - Manages the user's saved chat replies and auto-response
+ *
+ * Provides:
+ * - Quick replies, rendered for the open conversation's property when there is one
+ * - Saving, editing and deleting quick replies
+ * - Turning the auto-response for new inquiries on and off
+ */
+
+import { useState, useCallback, useEffect, useRef } from 'react';
+import messageService from '../api/messageService';
+
+/**
+ * Hook for quick replies and the auto-response
+ * @param {string} conversationId - Open conversation, used to fill in placeholders
+ * @returns {Object} Quick reply state and functions
+ */
+export function useQuickReplies(conversationId = null) {
+    const [quickReplies, setQuickReplies] = useState([]);
+    const [autoResponse, setAutoResponse] = useState({ enabled: false, text: '' });
+    const [placeholders, setPlaceholders] = useState({});
+    const [loading, setLoading] = useState(false);
+    const [error, setError] = useState(null);
+
+    // Only the latest request may update state, so switching conversations drops stale responses
+    const requestIdRef = useRef(0);
+
+    const fetchQuickReplies = useCallback(async () => {
+        const requestId = ++requestIdRef.current;
+        setLoading(true);
+        setError(null);
+
+        try {
+            const response = await messageService.getQuickReplies(conversationId);
+            if (requestId !== requestIdRef.current) return response;
+
+            if (response.success) {
+                setQuickReplies(response.data.quickReplies || []);
+                setAutoResponse(response.data.autoResponse || { enabled: false, text: '' });
+                setPlaceholders(response.data.placeholders || {});
+            } else {
+                setError(response.error?.message || 'Failed to load quick replies');
+            }
+            return response;
+        } finally {
+            if (requestId === requestIdRef.current) setLoading(false);
+        }
+    }, [conversationId]);
+
+    useEffect(() => {
+        fetchQuickReplies();
+    }, [fetchQuickReplies]);
+
+    /**
+     * Save a new quick reply
+     * @param {string} title - Short name shown in the picker
+     * @param {string} text - Reply text
+     */
+    const createQuickReply = useCallback(async (title, text) => {
+        const response = await messageService.createQuickReply(title, text);
+        // Refetch so the new reply comes back rendered for the open conversation
+        if (response.success) await fetchQuickReplies();
+        return response;
+    }, [fetchQuickReplies]);
+
+    /**
+     * Update a quick reply
+     * @param {string} replyId - Quick reply ID
+     * @param {string} title - New title
+     * @param {string} text - New text
+     */
+    const updateQuickReply = useCallback(async (replyId, title, text) => {
+        const response = await messageService.updateQuickReply(replyId, title, text);
+        if (response.success) await fetchQuickReplies();
+        return response;
+    }, [fetchQuickReplies]);
+
+    /**
+     * Delete a quick reply
+     * @param {string} replyId - Quick reply ID
+     */
+    const deleteQuickReply = useCallback(async (replyId) => {
+        const response = await messageService.deleteQuickReply(replyId);
+        if (response.success) {
+            setQuickReplies(prev => prev.filter(reply => reply._id !== replyId));
+        }
+        return response;
+    }, []);
+
+    /**
+     * Save the auto-response
+     * @param {boolean} enabled - Whether to send it
+     * @param {string} text - Auto-response text
+     */
+    const updateAutoResponse = useCallback(async (enabled, text) => {
+        const response = await messageService.updateAutoResponse(enabled, text);
+        if (response.success) {
+            setAutoResponse(response.data.autoResponse);
+        }
+        return response;
+    }, []);
+
+    return {
+        quickReplies,
+        autoResponse,
+        placeholders,
+        loading,
+        error,
+        createQuickReply,
+        updateQuickReply,
+        deleteQuickReply,
+        updateAutoResponse,
+        refresh: fetchQuickReplies
+    };
+}
+
+export default useQuickReplies;
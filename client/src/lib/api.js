@@ -242,6 +242,15 @@ export const authAPI = {
         });
         return response.json();
     },
+
+    logoutAll: async (navigate = null) => {
+        const response = await authenticatedFetch(`${API_BASE}/auth/logout-all`, {
+            method: "POST",
+            headers: getHeaders(),
+            credentials: "include",
+        }, navigate);
+        return response.json();
+    },
 };
 
 /* -------------------------
@@ -270,6 +279,44 @@ export const propertiesAPI = {
         return response.json();
     },
 
+    /**
+     * Bulk import listings from a CSV or JSON file
+     * @param {File} file - Import file
+     * @param {{dryRun?: boolean, geocode?: boolean}} options - dryRun validates without saving
+     */
+    importListings: async (file, { dryRun = false, geocode = true } = {}, navigate = null) => {
+        const formData = new FormData();
+        formData.append("file", file);
+        const q = new URLSearchParams({ dryRun, geocode });
+        // Let the browser set the multipart Content-Type (with boundary)
+        const headers = getHeaders();
+        delete headers["Content-Type"];
+        const response = await authenticatedFetch(`${API_BASE}/properties/import?${q}`, {
+            method: "POST",
+            headers,
+            body: formData,
+        }, navigate);
+        return response.json();
+    },
+
+    /**
+     * Download the user's listings in the import format
+     * @param {"csv"|"json"} format - File format
+     * @returns {Promise<{blob: Blob, filename: string}>}
+     */
+    exportMyListings: async (format = "csv", navigate = null) => {
+        const response = await authenticatedFetch(`${API_BASE}/properties/my-listings/export?format=${format}`, {
+            headers: getHeaders(),
+        }, navigate);
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw new Error(data.message || "Failed to export listings");
+        }
+        const disposition = response.headers.get("Content-Disposition") || "";
+        const filename = disposition.match(/filename="([^"]+)"/)?.[1] || `my-listings.${format}`;
+        return { blob: await response.blob(), filename };
+    },
+
     create: async (data, navigate = null) => {
         const response = await authenticatedFetch(`${API_BASE}/properties`, {
             method: "POST",
@@ -352,6 +399,21 @@ export const usersAPI = {
         }, navigate);
         return response.json();
     },
+
+    getSessions: async (navigate = null) => {
+        const response = await authenticatedFetch(`${API_BASE}/users/me/sessions`, {
+            headers: getHeaders(),
+        }, navigate);
+        return response.json();
+    },
+
+    revokeSession: async (sessionId, navigate = null) => {
+        const response = await authenticatedFetch(`${API_BASE}/users/me/sessions/${sessionId}`, {
+            method: "DELETE",
+            headers: getHeaders(),
+        }, navigate);
+        return response.json();
+    },
 };
 
 /* -------------------------
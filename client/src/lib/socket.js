@@ -230,6 +230,39 @@ export function onMessageReadUpdate(callback) {
     }
 }
 
+/**
+ * Subscribe to message delivery updates
+ * @param {Function} callback - Callback receiving { conversationId, userId, messageIds, deliveredAt }
+ */
+export function onMessageDeliveryUpdate(callback) {
+    if (socket) {
+        socket.off("message.delivery_update");
+        socket.on("message.delivery_update", callback);
+    }
+}
+
+/**
+ * Subscribe to message reaction updates
+ * @param {Function} callback - Callback receiving { conversationId, messageId, reactions }
+ */
+export function onMessageReactionUpdate(callback) {
+    if (socket) {
+        socket.off("message.reaction_update");
+        socket.on("message.reaction_update", callback);
+    }
+}
+
+/**
+ * Subscribe to message edit updates
+ * @param {Function} callback - Callback receiving { conversationId, message }
+ */
+export function onMessageEditUpdate(callback) {
+    if (socket) {
+        socket.off("message.edit_update");
+        socket.on("message.edit_update", callback);
+    }
+}
+
 // =====================================================
 // SOCKET EMITTERS
 // =====================================================
@@ -275,6 +308,17 @@ export function markAsReadSocket(conversationId) {
     }
 }
 
+/**
+ * Acknowledge that messages from other participants reached this client
+ * @param {string} conversationId - Conversation ID
+ * @param {string[]} messageIds - Received message IDs
+ */
+export function acknowledgeDelivery(conversationId, messageIds) {
+    if (socket && conversationId && messageIds?.length) {
+        socket.emit("message.delivered", { conversationId, messageIds });
+    }
+}
+
 /**
  * Send typing start indicator
  * @param {string} conversationId - Conversation ID
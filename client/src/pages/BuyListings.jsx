@@ -4,6 +4,7 @@ import { HeroSection } from "../components/all_listing/hero-section";
 import { BuyFilterSidebar } from "../components/all_listing/buy-filter-sidebar";
 import { ListingsGrid } from "../components/all_listing/listings-grid";
 import { ViewControls } from "../components/all_listing/view-controls";
+import { SaveSearchButton } from "../components/all_listing/save-search-button";
 import { BackToTop } from "../components/ui/back-to-top";
 import Navbar from "../components/Navbar";
 import Footer from "../components/Footer";
@@ -11,6 +12,8 @@ import SEOHead from "../components/seo/SEOHead";
 import propertyService from "../api/propertyService";
 import wishlistService from "../api/wishlistService";
 import { isAuthenticated } from "../utils/auth";
+import { fromSavedSearchFilters } from "../utils/searchParameterStandardization";
+import { MAP_SEARCH_LIMIT } from "../utils/mapSearch";
 import { SlidersHorizontal, X, Sparkles, Building2 } from "lucide-react";
 
 /**
@@ -21,8 +24,8 @@ export default function BuyListings() {
     const location = useLocation();
     const [searchParams, setSearchParams] = useSearchParams();
 
-    // Filter state for buy properties
-    const [filters, setFilters] = useState({
+    // Filter state for buy properties, pre-filled when opening a saved search
+    const [filters, setFilters] = useState(() => ({
         propertyType: "",
         priceRange: { min: 0, max: 50000000 }, // 5 Cr max for buy
         bedrooms: [],
@@ -31,7 +34,10 @@ export default function BuyListings() {
         loanAvailable: null,
         verifiedOnly: false,
         location: "",
-    });
+        ...(location.state?.savedSearch
+            ? fromSavedSearchFilters(location.state.savedSearch.filters, "buy")
+            : {}),
+    }));
 
     // View and sort state - persist view mode to localStorage
     const [viewMode, setViewMode] = useState(() => {
@@ -44,6 +50,8 @@ export default function BuyListings() {
 
     // Data state
     const [properties, setProperties] = useState([]);
+    // Live option counts for the filter sidebar, from the latest search
+    const [facets, setFacets] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
     const [pagination, setPagination] = useState({
         page: 1,
@@ -54,6 +62,8 @@ export default function BuyListings() {
     const [loadingMore, setLoadingMore] = useState(false);
     const [wishlistIds, setWishlistIds] = useState(new Set());
     const [mobileFiltersOpen, setMobileFiltersOpen] = useState(false);
+    // Map area (viewport or drawn polygon) the search is limited to
+    const [searchArea, setSearchArea] = useState(null);
     
     // Check for search params in URL on initial load
     const urlQuery = searchParams.get('q') || '';
@@ -94,6 +104,7 @@ export default function BuyListings() {
                 page,
                 limit: pagination.pageSize,
                 sort: sortBy,
+                facets: true,
             };
 
             // Add filter params
@@ -105,6 +116,7 @@ export default function BuyListings() {
             if (filters.loanAvailable !== null && filters.loanAvailable !== undefined) {
                 params.loanAvailable = filters.loanAvailable;
             }
+            if (filters.amenities.length > 0) params.amenities = filters.amenities.join(',');
             if (filters.verifiedOnly) params.verified = true;
             if (filters.location) params.city = filters.location;
 
@@ -115,6 +127,7 @@ export default function BuyListings() {
                 setProperties(prev => [...prev, ...(data.items || data.properties || [])]);
             } else {
                 setProperties(data.items || data.properties || []);
+                setFacets(data.facets || null);
             }
 
             setPagination({
@@ -144,10 +157,11 @@ export default function BuyListings() {
             const searchLocation = searchPayload.location || searchPayload.city || "";
             const searchQuery = searchPayload.q || searchPayload.query || "";
             const searchCategory = searchPayload.category || searchPayload.propertyType || searchPayload.type || "";
+            const searchGeo = searchPayload.geo || null;
             const effectiveSort = overrideSort || sortBy;
 
             // If no search criteria, fall back to regular fetch
-            if (!searchLocation && !searchQuery && !searchCategory) {
+            if (!searchLocation && !searchQuery && !searchCategory && !searchGeo) {
                 setIsSearchMode(false);
                 await fetchBuyProperties(1);
                 return;
@@ -161,7 +175,8 @@ export default function BuyListings() {
                 propertyType: searchCategory,
                 sort: effectiveSort,
                 page: page,
-                limit: pagination.pageSize,
+                limit: searchGeo ? MAP_SEARCH_LIMIT : pagination.pageSize,
+                geo: searchGeo || undefined,
                 filters: {
                     priceRange: {
                         min: filters.priceRange.min > 0 ? filters.priceRange.min : undefined,
@@ -189,6 +204,7 @@ export default function BuyListings() {
                 setProperties(prev => [...prev, ...items]);
             } else {
                 setProperties(items);
+                setFacets(responseData.facets || null);
             }
             
             // Calculate hasMore based on response pagination
@@ -220,6 +236,9 @@ export default function BuyListings() {
     const handleHeroSearch = useCallback((payload) => {
         if (!payload) return;
         
+        // A new text or city search replaces any map area
+        setSearchArea(null);
+        
         const query = payload.q || payload.query || payload.searchQuery || "";
         const loc = payload.location || payload.city || "";
         const category = payload.category || payload.propertyType || "";
@@ -254,7 +273,7 @@ export default function BuyListings() {
             if (isSearchMode) {
                 // Load more in search mode
                 await searchBuyProperties(
-                    { location: filters.location || "", query: urlQuery || "" },
+                    { location: filters.location || "", query: urlQuery || "", geo: searchArea },
                     null,
                     pagination.page + 1,
                     true
@@ -263,7 +282,7 @@ export default function BuyListings() {
                 await fetchBuyProperties(pagination.page + 1, true);
             }
         }
-    }, [pagination, loadingMore, fetchBuyProperties, searchBuyProperties, isSearchMode, filters.location, urlQuery]);
+    }, [pagination, loadingMore, fetchBuyProperties, searchBuyProperties, isSearchMode, filters.location, urlQuery, searchArea]);
 
     // Get active filter count
     const activeFilterCount = (() => {
@@ -292,6 +311,7 @@ export default function BuyListings() {
                 location: "",
             });
             // Exit search mode when clearing all filters
+            setSearchArea(null);
             setIsSearchMode(false);
             return;
         }
@@ -312,9 +332,21 @@ export default function BuyListings() {
         setSortBy(newSortBy);
         // If in search mode or has location filter, re-search with new sort
         if (isSearchMode || filters.location) {
-            searchBuyProperties({ location: filters.location || "", query: "" }, newSortBy);
+            searchBuyProperties({ location: filters.location || "", query: "", geo: searchArea }, newSortBy);
         }
-    }, [isSearchMode, filters.location, searchBuyProperties]);
+    }, [isSearchMode, filters.location, searchBuyProperties, searchArea]);
+
+    // Limit results to a map area ("search this area" or a drawn polygon); the area replaces the city filter
+    const handleSearchArea = useCallback((area) => {
+        setSearchArea(area);
+        setFilters(prev => ({ ...prev, location: "" }));
+        searchBuyProperties({ query: urlQuery || "", category: filters.propertyType || "", geo: area });
+    }, [searchBuyProperties, urlQuery, filters.propertyType]);
+
+    const handleClearSearchArea = useCallback(() => {
+        setSearchArea(null);
+        searchBuyProperties({ query: urlQuery || "", category: filters.propertyType || "" });
+    }, [searchBuyProperties, urlQuery, filters.propertyType]);
 
     // Track if initial data load is complete
     const isInitialLoadComplete = useRef(false);
@@ -354,16 +386,14 @@ export default function BuyListings() {
         doInitialLoad();
     }, [fetchWishlistIds, fetchBuyProperties, searchBuyProperties, initialSearchData]);
 
-    // Refetch when filters or sort changes (only after initial load is complete)
-    const filterChangeCount = useRef(0);
+    // Refetch when filters or sort changes (only after initial load is complete).
+    // The fetchers and search state change more often (e.g. a search sets the
+    // location filter), so a refetch only starts when this key changes
+    const filterKey = JSON.stringify([filters.propertyType, filters.priceRange, filters.bedrooms, filters.possessionStatus, filters.loanAvailable, filters.amenities, filters.verifiedOnly, sortBy]);
+    const lastFilterKey = useRef(filterKey);
     useEffect(() => {
-        // Increment change count
-        filterChangeCount.current += 1;
-        
-        // Skip the first 2 runs - initial render and state settling
-        if (filterChangeCount.current <= 2) {
-            return;
-        }
+        if (filterKey === lastFilterKey.current) return;
+        lastFilterKey.current = filterKey;
         
         // Skip if initial load not complete
         if (!isInitialLoadComplete.current) return;
@@ -372,7 +402,8 @@ export default function BuyListings() {
         const searchPayload = {
             location: filters.location || "",
             query: urlQuery || currentSearchPayload.current?.q || "",
-            category: filters.propertyType || ""
+            category: filters.propertyType || "",
+            geo: searchArea
         };
         
         // Update stored payload
@@ -384,7 +415,7 @@ export default function BuyListings() {
         } else {
             fetchBuyProperties(1);
         }
-    }, [filters.propertyType, filters.priceRange, filters.bedrooms, filters.possessionStatus, filters.loanAvailable, filters.amenities, filters.verifiedOnly, sortBy]);
+    }, [filterKey, filters.location, filters.propertyType, urlQuery, searchArea, isSearchMode, searchBuyProperties, fetchBuyProperties]);
 
     // Format price for display
     const formatPrice = (price) => {
@@ -423,6 +454,9 @@ export default function BuyListings() {
                                 Find your dream home from {pagination.total} verified listings
                             </p>
                         </div>
+                        <div className="ml-auto">
+                            <SaveSearchButton listingType="buy" filters={filters} query={urlQuery} />
+                        </div>
                     </div>
                 </div>
 
@@ -466,6 +500,7 @@ export default function BuyListings() {
                                     <BuyFilterSidebar 
                                         filters={filters} 
                                         onFilterChange={handleFilterChange}
+                                        facets={facets}
                                         hideHeader={true}
                                     />
                                 </div>
@@ -492,6 +527,7 @@ export default function BuyListings() {
                                 <BuyFilterSidebar 
                                     filters={filters} 
                                     onFilterChange={handleFilterChange} 
+                                    facets={facets}
                                 />
                             </div>
                         </div>
@@ -533,6 +569,9 @@ export default function BuyListings() {
                                     });
                                 }}
                                 emptyStateMessage="No properties for sale found matching your criteria. Try adjusting your filters or search for a different location."
+                                searchArea={searchArea}
+                                onSearchArea={handleSearchArea}
+                                onClearSearchArea={handleClearSearchArea}
                                 emptyStateTitle="No properties for sale"
                             />
                         </div>
@@ -15,6 +15,9 @@ const PersonalInfoSection = lazy(() => import("../components/dashboard/PersonalI
 const VerificationSection = lazy(() => import("../components/dashboard/VerificationSection"));
 const PropertiesSection = lazy(() => import("../components/dashboard/PropertiesSection"));
 const SecuritySection = lazy(() => import("../components/dashboard/SecuritySection"));
+const SavedSearchesSection = lazy(() => import("../components/dashboard/SavedSearchesSection"));
+const ViewingsSection = lazy(() => import("../components/dashboard/ViewingsSection"));
+const ApplicationsSection = lazy(() => import("../components/dashboard/ApplicationsSection"));
 
 import { ProfileCardSkeleton, StatsGridSkeleton } from "../components/ui/skeleton-loaders";
 import { PageLoading, NetworkStatus } from "../components/ui/loading-states";
@@ -30,7 +33,7 @@ const Dashboard = React.memo(function Dashboard() {
     const [verificationStatus, setVerificationStatus] = useState(null);
     const [verificationLoading, setVerificationLoading] = useState(false);
     const [verificationError, setVerificationError] = useState(null);
-    const conversations = [];
+    const conversations = useMemo(() => [], []);
     const wishlist = [];
 
     // Memoize authentication check to prevent unnecessary re-renders
@@ -187,6 +190,17 @@ const Dashboard = React.memo(function Dashboard() {
         }
     }, [navigate]);
 
+    // Accepting a rental application deactivates the listing on the server
+    const handlePropertyStatusChange = useCallback((propertyId, status) => {
+        setUserProperties(prevProperties =>
+            prevProperties.map(prop =>
+                prop._id === propertyId
+                    ? { ...prop, status }
+                    : prop
+            )
+        );
+    }, []);
+
     const handleDeleteProperty = useCallback(async (propertyId) => {
         try {
             const response = await propertiesAPI.delete(propertyId, navigate);
@@ -332,10 +346,32 @@ const Dashboard = React.memo(function Dashboard() {
                             onToggleStatus={handleTogglePropertyStatus}
                             onDeleteProperty={handleDeleteProperty}
                             onRetry={handleRetryDataLoad}
+                            onImported={fetchUserProperties}
                         />
                     </Suspense>
                 </div>
 
+                {/* Viewings Section */}
+                <div className="mb-3 sm:mb-6">
+                    <Suspense fallback={<div className="animate-pulse bg-card h-32 sm:h-40 rounded-xl sm:rounded-2xl border border-border"></div>}>
+                        <ViewingsSection />
+                    </Suspense>
+                </div>
+
+                {/* Rental Applications Section */}
+                <div className="mb-3 sm:mb-6">
+                    <Suspense fallback={<div className="animate-pulse bg-card h-32 sm:h-40 rounded-xl sm:rounded-2xl border border-border"></div>}>
+                        <ApplicationsSection onPropertyStatusChange={handlePropertyStatusChange} />
+                    </Suspense>
+                </div>
+
+                {/* Saved Searches Section */}
+                <div className="mb-3 sm:mb-6">
+                    <Suspense fallback={<div className="animate-pulse bg-card h-32 sm:h-40 rounded-xl sm:rounded-2xl border border-border"></div>}>
+                        <SavedSearchesSection />
+                    </Suspense>
+                </div>
+
                 {/* Security Section */}
                 <div className="mb-3 sm:mb-6">
                     <Suspense fallback={<div className="animate-pulse bg-card h-48 sm:h-64 rounded-xl sm:rounded-2xl border border-border"></div>}>
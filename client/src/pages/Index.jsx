@@ -5,6 +5,7 @@ import { Badge } from "../components/ui/badge";
 import { BackToTop } from "../components/ui/back-to-top";
 import { MainContent } from "../components/ui/main-content";
 import { PropertyCard } from "../components/all_listing/property-card";
+import { ListingCarousel } from "../components/all_listing/listing-carousel";
 import { 
     MapPin, Search, Star, ArrowRight, Mail, CheckCircle2, 
     Zap, Shield, Clock, Users, Sparkles, Heart, ChevronDown, 
@@ -20,6 +21,7 @@ import { useNavigate } from 'react-router-dom';
 import { getAllProperties } from '../redux/slices/propertySlice';
 import { useDispatch } from 'react-redux';
 import wishlistService from '../api/wishlistService';
+import feedService from '../api/feedService';
 import propertyService from '../api/propertyService';
 import { isAuthenticated } from '../utils/auth';
 import { 
@@ -51,6 +53,8 @@ export default function Home() {
     const [activeTestimonial, setActiveTestimonial] = useState(0);
     const [wishlistIds, setWishlistIds] = useState(new Set());
     const [testimonials, setTestimonials] = useState([]);
+    // Personalized rails for signed-in users: { personalized, recommended, recentlyViewed }
+    const [feed, setFeed] = useState(null);
     // Listing type context for rent vs buy
     const [listingTypeContext, setListingTypeContext] = useState(LISTING_TYPES.RENT);
     const [errors, setErrors] = useState({
@@ -237,6 +241,28 @@ export default function Home() {
         }
     }, []);
 
+    // Fetch "recommended for you" and "recently viewed" listings for the current user
+    const fetchFeed = useCallback(async () => {
+        if (!isAuthenticated()) return;
+        try {
+            setFeed(await feedService.getFeed());
+        } catch (error) {
+            console.error('Failed to fetch feed:', error);
+        }
+    }, []);
+
+    const handleWishlistChange = useCallback((propertyId, isFavorited) => {
+        setWishlistIds(prev => {
+            const newSet = new Set(prev);
+            if (isFavorited) {
+                newSet.add(propertyId);
+            } else {
+                newSet.delete(propertyId);
+            }
+            return newSet;
+        });
+    }, []);
+
     // Fetch testimonials from API
     const fetchTestimonials = useCallback(async () => {
         try {
@@ -286,6 +312,7 @@ export default function Home() {
         // Use requestIdleCallback for non-critical data fetching
         const loadNonCriticalData = () => {
             fetchWishlistIds();
+            fetchFeed();
             fetchTestimonials();
             fetchLocationSuggestions();
         };
@@ -296,7 +323,7 @@ export default function Home() {
             // Fallback for browsers without requestIdleCallback
             setTimeout(loadNonCriticalData, 100);
         }
-    }, [fetchWishlistIds, fetchTestimonials]);
+    }, [fetchWishlistIds, fetchFeed, fetchTestimonials]);
 
     // Auto-rotate testimonials
     useEffect(() => {
@@ -554,6 +581,28 @@ export default function Home() {
                     </div>
                 </section>
 
+                {/* Personalized Feed Section */}
+                {(feed?.recommended?.length > 0 || feed?.recentlyViewed?.length > 0) && (
+                    <section className="py-10 sm:py-14 px-4 sm:px-6 lg:px-8 bg-background">
+                        <div className="max-w-7xl mx-auto space-y-6">
+                            <ListingCarousel
+                                title="Recommended for you"
+                                icon={Sparkles}
+                                listings={feed.recommended}
+                                savedIds={wishlistIds}
+                                onWishlistChange={handleWishlistChange}
+                            />
+                            <ListingCarousel
+                                title="Recently viewed"
+                                icon={Clock}
+                                listings={feed.recentlyViewed}
+                                savedIds={wishlistIds}
+                                onWishlistChange={handleWishlistChange}
+                            />
+                        </div>
+                    </section>
+                )}
+
                 {/* Featured Properties Section */}
                 <section className="py-10 sm:py-14 lg:py-16 px-4 sm:px-6 lg:px-8 bg-muted/30">
                     <div className="max-w-7xl mx-auto">
@@ -638,17 +687,7 @@ export default function Home() {
                                             viewMode="grid"
                                             initialSaved={wishlistIds.has(property._id)}
                                             priority={index < 3}
-                                            onWishlistChange={(propertyId, isFavorited) => {
-                                                setWishlistIds(prev => {
-                                                    const newSet = new Set(prev);
-                                                    if (isFavorited) {
-                                                        newSet.add(propertyId);
-                                                    } else {
-                                                        newSet.delete(propertyId);
-                                                    }
-                                                    return newSet;
-                                                });
-                                            }}
+                                            onWishlistChange={handleWishlistChange}
                                         />
                                     ))
                                 ) : (
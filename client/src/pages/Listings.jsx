@@ -30,6 +30,7 @@ import {
     filterStateToUrlParams, 
     urlParamsToFilterState 
 } from "../utils/filterStateSynchronization";
+import { MAP_SEARCH_LIMIT } from "../utils/mapSearch";
 import { SlidersHorizontal, X, Sparkles } from "lucide-react";
 
 export default function ListingsPage() {
@@ -48,6 +49,8 @@ export default function ListingsPage() {
     const [mobileFiltersOpen, setMobileFiltersOpen] = useState(false);
     const [loadingMore, setLoadingMore] = useState(false);
     const [wishlistIds, setWishlistIds] = useState(new Set());
+    // Map area (viewport or drawn polygon) the search is limited to
+    const [searchArea, setSearchArea] = useState(null);
     const initialLoadDone = useRef(false);
 
     const initialSearchData = location.state?.searchData || null;
@@ -111,6 +114,8 @@ export default function ListingsPage() {
         const query = payload.query || payload.searchQuery || "";
         const loc = payload.location || "";
         
+        // A new text or city search replaces any map area
+        setSearchArea(null);
         dispatch(setSearchQuery(query));
         
         if (query || loc) {
@@ -135,6 +140,7 @@ export default function ListingsPage() {
     // Handle filter changes
     const handleFilterChange = useCallback((filterType, value) => {
         if (filterType === 'clearAll') {
+            setSearchArea(null);
             dispatch(clearAllFilters());
             fetchAll();
             return;
@@ -152,11 +158,12 @@ export default function ListingsPage() {
             normalizedState.furnishing?.length > 0 ||
             normalizedState.verifiedOnly;
         
-        if (hasActiveFilters) {
+        if (hasActiveFilters || searchArea) {
             const searchPayload = {
                 query: filters.searchQuery || '',
                 location: normalizedState.location || '',
                 sort: filters.sortBy || 'newest',
+                ...(searchArea ? { geo: searchArea, limit: MAP_SEARCH_LIMIT } : {}),
                 filters: {
                     propertyType: normalizedState.propertyType || '',
                     category: normalizedState.propertyType || '',
@@ -172,7 +179,7 @@ export default function ListingsPage() {
         } else {
             fetchAll();
         }
-    }, [dispatch, filters, fetchAll]);
+    }, [dispatch, filters, fetchAll, searchArea]);
 
     // Handle view mode change
     const handleViewModeChange = useCallback((newViewMode) => {
@@ -187,6 +194,7 @@ export default function ListingsPage() {
             query: filters.searchQuery || '',
             location: filters.location || '',
             sort: newSortBy,
+            ...(searchArea ? { geo: searchArea, limit: MAP_SEARCH_LIMIT } : {}),
             filters: {
                 propertyType: filters.propertyType || '',
                 category: filters.propertyType || '',
@@ -199,8 +207,33 @@ export default function ListingsPage() {
         
         dispatch(searchResults(searchPayload));
         setCurrentDataSource('search');
+    }, [dispatch, filters, searchArea]);
+
+    // Limit results to a map area ("search this area" or a drawn polygon); the area replaces the city filter
+    const handleSearchArea = useCallback((area) => {
+        setSearchArea(area);
+        dispatch(searchResults({
+            query: filters.searchQuery || '',
+            sort: filters.sortBy || 'newest',
+            geo: area,
+            limit: MAP_SEARCH_LIMIT,
+            filters: {
+                propertyType: filters.propertyType || '',
+                category: filters.propertyType || '',
+                priceRange: filters.priceRange,
+                bedrooms: filters.bedrooms || [],
+                amenities: filters.amenities || [],
+                furnishing: filters.furnishing || []
+            }
+        }));
+        setCurrentDataSource('search');
     }, [dispatch, filters]);
 
+    const handleClearSearchArea = useCallback(() => {
+        setSearchArea(null);
+        fetchAll();
+    }, [fetchAll]);
+
     // Initialize
     useEffect(() => {
         if (!hasInitialized) {
@@ -387,6 +420,9 @@ export default function ListingsPage() {
                                 properties={getCurrentProperties()}
                                 loading={isLoading}
                                 onClearFilters={() => dispatch(clearAllFilters())}
+                                searchArea={searchArea}
+                                onSearchArea={handleSearchArea}
+                                onClearSearchArea={handleClearSearchArea}
                                 onLoadMore={currentDataSource === 'all' ? handleLoadMore : null}
                                 hasMore={currentDataSource === 'all' && pagination.hasMore}
                                 isLoadingMore={loadingMore}
@@ -3,13 +3,17 @@ import { useLocation } from "react-router-dom";
 import { ConversationList } from "../components/chatComponents/ConversationList";
 import { ChatWindow } from "../components/chatComponents/ChatWindow.jsx";
 import { EmptyChatState } from "../components/chatComponents/EmptyChatState.jsx";
+import { QuickRepliesDialog } from "../components/chatComponents/QuickRepliesDialog.jsx";
 import { ChevronLeft, AlertCircle, RefreshCw } from "lucide-react";
 import Navbar from './../components/Navbar';
 import { useMessages } from "../hooks/useMessages";
+import { useQuickReplies } from "../hooks/useQuickReplies";
 import { getUser } from "../utils/auth";
 
 export default function Messages() {
     const [showMobileChat, setShowMobileChat] = useState(false);
+    const [highlightedMessageId, setHighlightedMessageId] = useState(null);
+    const [showQuickRepliesDialog, setShowQuickRepliesDialog] = useState(false);
     const location = useLocation();
     
     // Get current user
@@ -23,21 +27,45 @@ export default function Messages() {
         messages,
         conversationsLoading,
         messagesLoading,
+        hasOlderMessages,
+        loadingOlderMessages,
         sending,
         error,
         selectConversation,
+        loadOlderMessages,
+        jumpToMessage,
         sendMessage,
+        editMessage,
+        toggleReaction,
         markAsRead,
+        blockedUserIds,
+        blockUser,
+        unblockUser,
+        reportMessage,
         deleteConversation,
         fetchConversations,
         setError
     } = useMessages({ autoConnect: true });
 
-    // Auto-select conversation if passed via navigation state
+    // Saved replies, filled in for the open conversation's property
+    const {
+        quickReplies,
+        autoResponse,
+        placeholders,
+        createQuickReply,
+        updateQuickReply,
+        deleteQuickReply,
+        updateAutoResponse
+    } = useQuickReplies(selectedConversation?._id);
+
+    // Auto-select conversation if passed via navigation state or the ?conversation= link
+    // used by notifications
     const hasAutoSelectedRef = useRef(false);
+    const requestedConversationId = location.state?.conversationId
+        || new URLSearchParams(location.search).get('conversation');
     
     useEffect(() => {
-        const conversationId = location.state?.conversationId;
+        const conversationId = requestedConversationId;
         
         // Only auto-select once per navigation, and only if we have conversations loaded
         if (conversationId && conversations.length > 0 && !hasAutoSelectedRef.current) {
@@ -59,7 +87,7 @@ export default function Messages() {
         if (!conversationId) {
             hasAutoSelectedRef.current = false;
         }
-    }, [location.state?.conversationId, conversations.length, selectConversation]);
+    }, [requestedConversationId, conversations.length, selectConversation]);
 
     // Handle selecting a conversation
     const handleSelectConversation = async (conversation) => {
@@ -67,17 +95,34 @@ export default function Messages() {
         setShowMobileChat(true);
         
         // Mark messages as read when opening conversation
-        const conversationId = conversation._id || conversation.id;
+        const conversationId = typeof conversation === 'string'
+            ? conversation
+            : (conversation._id || conversation.id);
         if (conversationId) {
             await markAsRead(conversationId);
         }
     };
 
+    // Open a search result, loading history back to the matched message
+    const handleSelectSearchResult = async (result) => {
+        const conversationId = result.conversationId;
+        const targetConversation = conversations.find(
+            conv => (conv._id || conv.id) === conversationId
+        );
+
+        setHighlightedMessageId(null);
+        await handleSelectConversation(targetConversation || conversationId);
+
+        if (result.messageId && await jumpToMessage(conversationId, result.messageId)) {
+            setHighlightedMessageId(result.messageId);
+        }
+    };
+
     // Handle sending a message
-    const handleSendMessage = async (messageText, file = null) => {
+    const handleSendMessage = async (messageText, file = null, replyTo = null) => {
         if (!selectedConversation || (!messageText.trim() && !file)) return;
         
-        const result = await sendMessage(messageText, file);
+        const result = await sendMessage(messageText, file, replyTo);
         
         if (!result.success) {
             console.error("Failed to send message:", result.error);
@@ -155,6 +200,14 @@ export default function Messages() {
                 image: msg.image,
                 timestamp: msg.createdAt || msg.timestamp,
                 read: msg.read || false,
+                readAt: msg.readAt,
+                deliveredAt: msg.deliveredAt,
+                type: msg.type,
+                replyTo: msg.replyTo,
+                reactions: msg.reactions || [],
+                editedAt: msg.editedAt,
+                editHistory: msg.editHistory || [],
+                safety: msg.safety,
                 pending: msg.pending || false
             };
             return transformed;
@@ -258,6 +311,7 @@ export default function Messages() {
                             conversations={transformedConversations}
                             selectedConversationId={transformedSelectedConversation?.id}
                             onSelectConversation={handleSelectConversation}
+                            onSelectSearchResult={handleSelectSearchResult}
                             loading={conversationsLoading}
                         />
                     </div>
@@ -281,6 +335,18 @@ export default function Messages() {
                                 onSendMessage={handleSendMessage}
                                 onDeleteConversation={handleDeleteConversation}
                                 sending={sending}
+                                hasOlderMessages={hasOlderMessages}
+                                loadingOlderMessages={loadingOlderMessages}
+                                onLoadOlderMessages={loadOlderMessages}
+                                onEditMessage={editMessage}
+                                onToggleReaction={toggleReaction}
+                                highlightedMessageId={highlightedMessageId}
+                                isBlocked={transformedSelectedConversation.participants.some(p => blockedUserIds.includes(p.id))}
+                                onBlockUser={blockUser}
+                                onUnblockUser={unblockUser}
+                                onReportMessage={reportMessage}
+                                quickReplies={quickReplies}
+                                onManageQuickReplies={() => setShowQuickRepliesDialog(true)}
                             />
                         ) : (
                             <EmptyChatState />
@@ -288,6 +354,19 @@ export default function Messages() {
                     </div>
                 </div>
             </div>
+
+            {showQuickRepliesDialog && (
+                <QuickRepliesDialog
+                    quickReplies={quickReplies}
+                    autoResponse={autoResponse}
+                    placeholders={placeholders}
+                    onCreate={createQuickReply}
+                    onUpdate={updateQuickReply}
+                    onDelete={deleteQuickReply}
+                    onSaveAutoResponse={updateAutoResponse}
+                    onClose={() => setShowQuickRepliesDialog(false)}
+                />
+            )}
         </>
     );
 }
@@ -16,6 +16,8 @@ import Footer from "../components/Footer";
 import { Button } from "../components/ui/button";
 import { Card, CardHeader, CardTitle, CardContent } from "../components/ui/card";
 import NotificationItem from "../components/notifications/NotificationItem";
+import PushNotificationToggle from "../components/notifications/PushNotificationToggle";
+import NotificationEmailSettings from "../components/notifications/NotificationEmailSettings";
 import { useNotifications } from "../hooks/useNotifications";
 import { getUser, isAuthenticated } from "../utils/auth";
 
@@ -65,6 +67,8 @@ export default function Notifications() {
         // Navigate to related conversation if it's a message notification
         if (notification.type === "message" && notification.data?.conversationId) {
             navigate(`/messages?conversation=${notification.data.conversationId}`);
+        } else if (notification.type === "viewing" || notification.type === "application") {
+            navigate("/dashboard");
         }
     };
 
@@ -180,6 +184,10 @@ export default function Notifications() {
                         </CardHeader>
                     </Card>
 
+                    {/* Browser push for this device */}
+                    <PushNotificationToggle className="mb-6" />
+                    <NotificationEmailSettings className="mb-6" />
+
                     {/* Error Banner */}
                     {error && (
                         <div className="mb-4 p-3 bg-destructive/10 border border-destructive/20 rounded-lg flex items-center justify-between">
@@ -1,7 +1,7 @@
 import Footer from "../components/Footer";
 import Navbar from "../components/Navbar";
 import SEOHead from "../components/seo/SEOHead";
-import { Shield, Eye, Lock, Database, Bell, UserCheck, Globe, Mail } from "lucide-react";
+import { Shield, Eye, Lock, Database, UserCheck, Globe, Mail } from "lucide-react";
 
 const sections = [
     {
@@ -23,6 +23,7 @@ import JsonLd from '../components/seo/JsonLd';
 import { generatePropertySchema, generateBreadcrumbs } from '../utils/structuredData';
 import { getPropertyByID } from "../redux/slices/propertySlice";
 import wishlistService from "../api/wishlistService";
+import feedService from "../api/feedService";
 import { isAuthenticated } from "../utils/auth";
 import { useMessages } from "../hooks/useMessages";
 
@@ -405,6 +406,8 @@ export default function PropertyPage() {
             if (result?.data) {
                 setPropertyData(result.data);
                 checkWishlistStatus(result.data._id);
+                // Feeds "recently viewed" and recommendations; never blocks the page
+                feedService.recordView(result.data._id).catch(() => {});
             } else {
                 setError(new Error('Property not found'));
             }
@@ -4,6 +4,7 @@ import { HeroSection } from "../components/all_listing/hero-section";
 import { RentFilterSidebar } from "../components/all_listing/rent-filter-sidebar";
 import { ListingsGrid } from "../components/all_listing/listings-grid";
 import { ViewControls } from "../components/all_listing/view-controls";
+import { SaveSearchButton } from "../components/all_listing/save-search-button";
 import { BackToTop } from "../components/ui/back-to-top";
 import Navbar from "../components/Navbar";
 import Footer from "../components/Footer";
@@ -11,6 +12,8 @@ import SEOHead from "../components/seo/SEOHead";
 import propertyService from "../api/propertyService";
 import wishlistService from "../api/wishlistService";
 import { isAuthenticated } from "../utils/auth";
+import { fromSavedSearchFilters } from "../utils/searchParameterStandardization";
+import { MAP_SEARCH_LIMIT } from "../utils/mapSearch";
 import { SlidersHorizontal, X, Sparkles, Home, Key } from "lucide-react";
 
 /**
@@ -22,8 +25,8 @@ export default function RentListings() {
     const location = useLocation();
     const [searchParams, setSearchParams] = useSearchParams();
 
-    // Filter state for rent properties
-    const [filters, setFilters] = useState({
+    // Filter state for rent properties, pre-filled when opening a saved search
+    const [filters, setFilters] = useState(() => ({
         propertyType: "",
         priceRange: { min: 0, max: 100000 },
         bedrooms: [],
@@ -32,7 +35,10 @@ export default function RentListings() {
         preferredTenants: "",
         verifiedOnly: false,
         location: "",
-    });
+        ...(location.state?.savedSearch
+            ? fromSavedSearchFilters(location.state.savedSearch.filters, "rent")
+            : {}),
+    }));
 
     // View and sort state - persist view mode to localStorage
     const [viewMode, setViewMode] = useState(() => {
@@ -45,6 +51,8 @@ export default function RentListings() {
 
     // Data state
     const [properties, setProperties] = useState([]);
+    // Live option counts for the filter sidebar, from the latest search
+    const [facets, setFacets] = useState(null);
     const [isLoading, setIsLoading] = useState(true);
     const [pagination, setPagination] = useState({
         page: 1,
@@ -55,6 +63,8 @@ export default function RentListings() {
     const [loadingMore, setLoadingMore] = useState(false);
     const [wishlistIds, setWishlistIds] = useState(new Set());
     const [mobileFiltersOpen, setMobileFiltersOpen] = useState(false);
+    // Map area (viewport or drawn polygon) the search is limited to
+    const [searchArea, setSearchArea] = useState(null);
     
     // Check for search params in URL on initial load
     const urlQuery = searchParams.get('q') || '';
@@ -95,6 +105,7 @@ export default function RentListings() {
                 page,
                 limit: pagination.pageSize,
                 sort: sortBy,
+                facets: true,
             };
 
             // Add filter params
@@ -104,6 +115,7 @@ export default function RentListings() {
             if (filters.bedrooms.length > 0) params.bedrooms = filters.bedrooms.join(',');
             if (filters.furnishing.length > 0) params.furnishing = filters.furnishing.join(',');
             if (filters.preferredTenants) params.preferredTenants = filters.preferredTenants;
+            if (filters.amenities.length > 0) params.amenities = filters.amenities.join(',');
             if (filters.verifiedOnly) params.verified = true;
             if (filters.location) params.city = filters.location;
 
@@ -114,6 +126,7 @@ export default function RentListings() {
                 setProperties(prev => [...prev, ...(data.items || data.properties || [])]);
             } else {
                 setProperties(data.items || data.properties || []);
+                setFacets(data.facets || null);
             }
 
             setPagination({
@@ -143,10 +156,11 @@ export default function RentListings() {
             const searchLocation = searchPayload.location || searchPayload.city || "";
             const searchQuery = searchPayload.q || searchPayload.query || "";
             const searchCategory = searchPayload.category || searchPayload.propertyType || searchPayload.type || "";
+            const searchGeo = searchPayload.geo || null;
             const effectiveSort = overrideSort || sortBy;
 
             // If no search criteria, fall back to regular fetch
-            if (!searchLocation && !searchQuery && !searchCategory) {
+            if (!searchLocation && !searchQuery && !searchCategory && !searchGeo) {
                 setIsSearchMode(false);
                 await fetchRentProperties(1);
                 return;
@@ -160,7 +174,8 @@ export default function RentListings() {
                 propertyType: searchCategory,
                 sort: effectiveSort,
                 page: page,
-                limit: pagination.pageSize,
+                limit: searchGeo ? MAP_SEARCH_LIMIT : pagination.pageSize,
+                geo: searchGeo || undefined,
                 filters: {
                     priceRange: {
                         min: filters.priceRange.min > 0 ? filters.priceRange.min : undefined,
@@ -188,6 +203,7 @@ export default function RentListings() {
                 setProperties(prev => [...prev, ...items]);
             } else {
                 setProperties(items);
+                setFacets(responseData.facets || null);
             }
             
             // Calculate hasMore based on response pagination
@@ -219,6 +235,9 @@ export default function RentListings() {
     const handleHeroSearch = useCallback((payload) => {
         if (!payload) return;
         
+        // A new text or city search replaces any map area
+        setSearchArea(null);
+        
         const query = payload.q || payload.query || payload.searchQuery || "";
         const loc = payload.location || payload.city || "";
         const category = payload.category || payload.propertyType || "";
@@ -253,7 +272,7 @@ export default function RentListings() {
             if (isSearchMode) {
                 // Load more in search mode
                 await searchRentProperties(
-                    { location: filters.location || "", query: urlQuery || "" },
+                    { location: filters.location || "", query: urlQuery || "", geo: searchArea },
                     null,
                     pagination.page + 1,
                     true
@@ -262,7 +281,7 @@ export default function RentListings() {
                 await fetchRentProperties(pagination.page + 1, true);
             }
         }
-    }, [pagination, loadingMore, fetchRentProperties, searchRentProperties, isSearchMode, filters.location, urlQuery]);
+    }, [pagination, loadingMore, fetchRentProperties, searchRentProperties, isSearchMode, filters.location, urlQuery, searchArea]);
 
     // Get active filter count
     const activeFilterCount = (() => {
@@ -291,6 +310,7 @@ export default function RentListings() {
                 location: "",
             });
             // Exit search mode when clearing all filters
+            setSearchArea(null);
             setIsSearchMode(false);
             return;
         }
@@ -311,9 +331,21 @@ export default function RentListings() {
         setSortBy(newSortBy);
         // If in search mode or has location filter, re-search with new sort
         if (isSearchMode || filters.location) {
-            searchRentProperties({ location: filters.location || "", query: "" }, newSortBy);
+            searchRentProperties({ location: filters.location || "", query: "", geo: searchArea }, newSortBy);
         }
-    }, [isSearchMode, filters.location, searchRentProperties]);
+    }, [isSearchMode, filters.location, searchRentProperties, searchArea]);
+
+    // Limit results to a map area ("search this area" or a drawn polygon); the area replaces the city filter
+    const handleSearchArea = useCallback((area) => {
+        setSearchArea(area);
+        setFilters(prev => ({ ...prev, location: "" }));
+        searchRentProperties({ query: urlQuery || "", category: filters.propertyType || "", geo: area });
+    }, [searchRentProperties, urlQuery, filters.propertyType]);
+
+    const handleClearSearchArea = useCallback(() => {
+        setSearchArea(null);
+        searchRentProperties({ query: urlQuery || "", category: filters.propertyType || "" });
+    }, [searchRentProperties, urlQuery, filters.propertyType]);
 
     // Track if initial data load is complete
     const isInitialLoadComplete = useRef(false);
@@ -353,16 +385,14 @@ export default function RentListings() {
         doInitialLoad();
     }, [fetchWishlistIds, fetchRentProperties, searchRentProperties, initialSearchData]);
 
-    // Refetch when filters or sort changes (only after initial load is complete)
-    const filterChangeCount = useRef(0);
+    // Refetch when filters or sort changes (only after initial load is complete).
+    // The fetchers and search state change more often (e.g. a search sets the
+    // location filter), so a refetch only starts when this key changes
+    const filterKey = JSON.stringify([filters.propertyType, filters.priceRange, filters.bedrooms, filters.furnishing, filters.preferredTenants, filters.amenities, filters.verifiedOnly, sortBy]);
+    const lastFilterKey = useRef(filterKey);
     useEffect(() => {
-        // Increment change count
-        filterChangeCount.current += 1;
-        
-        // Skip the first 2 runs - initial render and state settling
-        if (filterChangeCount.current <= 2) {
-            return;
-        }
+        if (filterKey === lastFilterKey.current) return;
+        lastFilterKey.current = filterKey;
         
         // Skip if initial load not complete
         if (!isInitialLoadComplete.current) return;
@@ -371,7 +401,8 @@ export default function RentListings() {
         const searchPayload = {
             location: filters.location || "",
             query: urlQuery || currentSearchPayload.current?.q || "",
-            category: filters.propertyType || ""
+            category: filters.propertyType || "",
+            geo: searchArea
         };
         
         // Update stored payload
@@ -383,7 +414,7 @@ export default function RentListings() {
         } else {
             fetchRentProperties(1);
         }
-    }, [filters.propertyType, filters.priceRange, filters.bedrooms, filters.furnishing, filters.preferredTenants, filters.amenities, filters.verifiedOnly, sortBy]);
+    }, [filterKey, filters.location, filters.propertyType, urlQuery, searchArea, isSearchMode, searchRentProperties, fetchRentProperties]);
 
     return (
         <div className="min-h-screen flex flex-col">
@@ -412,6 +443,9 @@ export default function RentListings() {
                                 Find your perfect rental home from {pagination.total} verified listings
                             </p>
                         </div>
+                        <div className="ml-auto">
+                            <SaveSearchButton listingType="rent" filters={filters} query={urlQuery} />
+                        </div>
                     </div>
                 </div>
 
@@ -455,6 +489,7 @@ export default function RentListings() {
                                     <RentFilterSidebar 
                                         filters={filters} 
                                         onFilterChange={handleFilterChange}
+                                        facets={facets}
                                         hideHeader={true}
                                         compact={true}
                                     />
@@ -482,6 +517,7 @@ export default function RentListings() {
                                 <RentFilterSidebar 
                                     filters={filters} 
                                     onFilterChange={handleFilterChange} 
+                                    facets={facets}
                                 />
                             </div>
                         </div>
@@ -523,6 +559,9 @@ export default function RentListings() {
                                     });
                                 }}
                                 emptyStateMessage="No rental properties found matching your criteria. Try adjusting your filters or search for a different location."
+                                searchArea={searchArea}
+                                onSearchArea={handleSearchArea}
+                                onClearSearchArea={handleClearSearchArea}
                             />
                         </div>
                     </div>
@@ -1,5 +1,5 @@
 import { useEffect, useState, useCallback } from "react";
-import { useParams, useNavigate, Link } from "react-router-dom";
+import { useParams, useNavigate } from "react-router-dom";
 import { 
     ArrowLeft, Share2, Heart, Calendar, Home, 
     MapPin, Phone, MessageCircle, IndianRupee, Bed, Bath, 
@@ -14,6 +14,11 @@ import ImageGallery from "../components/property/image-gallery";
 import PropertyAmenities from "../components/property/property-amenities";
 import PropertyLocation from "../components/property/property-location";
 import NearbyPlaces from "../components/property/nearby-places";
+import PropertyReviews from "../components/property/property-reviews";
+import PriceHistoryChart from "../components/property/price-history-chart";
+import SimilarListings from "../components/property/similar-listings";
+import ViewingScheduler from "../components/property/viewing-scheduler";
+import RentalApplication from "../components/property/rental-application";
 import OwnerCard from "../components/property/owner-card";
 import Navbar from '../components/Navbar';
 import Footer from '../components/Footer';
@@ -22,9 +27,9 @@ import JsonLd from '../components/seo/JsonLd';
 import { generatePropertySchema, generateBreadcrumbs } from '../utils/structuredData';
 import propertyService from "../api/propertyService";
 import wishlistService from "../api/wishlistService";
+import feedService from "../api/feedService";
 import { isAuthenticated } from "../utils/auth";
 import { useMessages } from "../hooks/useMessages";
-import { PropertyCard } from "../components/all_listing/property-card";
 
 /**
  * RentPropertyDetail Page Component
@@ -274,78 +279,6 @@ function CollapsibleSection({ title, children, defaultOpen = true, count }) {
     );
 }
 
-// Related Rent Properties Section (Requirement 6.5)
-function RelatedRentProperties({ currentPropertyId, city, category }) {
-    const [relatedProperties, setRelatedProperties] = useState([]);
-    const [loading, setLoading] = useState(true);
-
-    useEffect(() => {
-        const fetchRelatedProperties = async () => {
-            try {
-                const params = {
-                    limit: 4,
-                    city: city,
-                    category: category,
-                };
-                const response = await propertyService.getRentProperties(params);
-                const properties = response.data?.items || response.data?.properties || [];
-                // Filter out current property
-                const filtered = properties.filter(p => p._id !== currentPropertyId).slice(0, 3);
-                setRelatedProperties(filtered);
-            } catch (error) {
-                console.error('Error fetching related rent properties:', error);
-            } finally {
-                setLoading(false);
-            }
-        };
-
-        if (city || category) {
-            fetchRelatedProperties();
-        } else {
-            setLoading(false);
-        }
-    }, [currentPropertyId, city, category]);
-
-    if (loading) {
-        return (
-            <div className="bg-card rounded-xl border border-border p-4">
-                <h3 className="text-sm font-semibold text-foreground mb-4">Similar Rentals</h3>
-                <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
-                    {[1, 2, 3].map(i => (
-                        <div key={i} className="h-48 bg-muted rounded-lg animate-pulse" />
-                    ))}
-                </div>
-            </div>
-        );
-    }
-
-    if (relatedProperties.length === 0) return null;
-
-    return (
-        <div className="bg-card rounded-xl border border-border p-4">
-            <div className="flex items-center justify-between mb-4">
-                <h3 className="text-sm font-semibold text-foreground">Similar Rentals</h3>
-                <Link 
-                    to="/rent-properties" 
-                    className="text-xs text-primary hover:underline"
-                >
-                    View all
-                </Link>
-            </div>
-            <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
-                {relatedProperties.map(property => (
-                    <PropertyCard 
-                        key={property._id} 
-                        property={property}
-                        compact
-                    />
-                ))}
-            </div>
-        </div>
-    );
-}
-
-
 export default function RentPropertyDetail() {
     const [propertyData, setPropertyData] = useState(null);
     const [loading, setLoading] = useState(true);
@@ -474,6 +407,8 @@ export default function RentPropertyDetail() {
                 }
                 setPropertyData(data);
                 checkWishlistStatus(data._id);
+                // Feeds "recently viewed" and recommendations; never blocks the page
+                feedService.recordView(data._id).catch(() => {});
             } else {
                 setError(new Error('Rental property not found'));
             }
@@ -734,14 +669,32 @@ export default function RentPropertyDetail() {
                             {/* Amenities */}
                             <PropertyAmenities property={propertyData} />
 
+                            {/* Viewing Slots */}
+                            <ViewingScheduler propertyId={propertyData._id} />
+
+                            {/* Rental Application */}
+                            {(!propertyData.status || propertyData.status === 'active') && (
+                                <RentalApplication
+                                    propertyId={propertyData._id}
+                                    ownerId={propertyData.ownerId || propertyData.owner?._id || propertyData.owner}
+                                    propertyTitle={propertyData.title}
+                                />
+                            )}
+
+                            {/* Price History */}
+                            <PriceHistoryChart propertyId={propertyData._id} />
+
                             {/* Location */}
                             <PropertyLocation property={propertyData} />
 
-                            {/* Related Rent Properties (Requirement 6.5) */}
-                            <RelatedRentProperties 
-                                currentPropertyId={propertyData._id}
-                                city={propertyData.city}
-                                category={propertyData.category}
+                            {/* Reviews */}
+                            <PropertyReviews propertyId={propertyData._id} />
+
+                            {/* Similar Listings */}
+                            <SimilarListings
+                                propertyId={propertyData._id}
+                                listingType="rent"
+                                title="Similar Rentals"
                             />
 
                             {/* Listing Info */}
@@ -57,7 +57,8 @@ const ACTION_COLORS = {
   LOGOUT: 'bg-slate-100 text-slate-800 dark:bg-slate-900/30 dark:text-slate-400',
   APPROVE: 'bg-green-100 text-green-800 dark:bg-green-900/30 dark:text-green-400',
   REJECT: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400',
-  EXPORT: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900/30 dark:text-indigo-400'
+  EXPORT: 'bg-indigo-100 text-indigo-800 dark:bg-indigo-900/30 dark:text-indigo-400',
+  WARN: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-400'
 };
 
 // Resource type icons
@@ -70,7 +71,8 @@ const RESOURCE_ICONS = {
   review: Activity,
   notification: Activity,
   settings: Activity,
-  report: FileText
+  report: FileText,
+  message_report: FileText
 };
 
 // Format timestamp
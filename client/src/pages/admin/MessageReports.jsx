@@ -0,0 +1,491 @@
+import { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { Card, CardContent } from '../../components/ui/card';
+import { Button } from '../../components/ui/button';
+import { Badge } from '../../components/ui/badge';
+import { Skeleton } from '../../components/ui/skeleton';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '../../components/ui/select';
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from '../../components/ui/dialog';
+import { authenticatedFetch, getHeaders } from '../../lib/api';
+import { cn } from '../../lib/utils';
+import {
+  Flag,
+  RefreshCw,
+  AlertCircle,
+  ChevronLeft,
+  ChevronRight,
+  AlertTriangle,
+  Ban,
+  XCircle,
+  Clock,
+  CheckCircle,
+  Paperclip,
+  Loader2
+} from 'lucide-react';
+
+/**
+ * Message Reports Page
+ *
+ * Admin review queue for reported chat messages:
+ * - Reports with a snapshot of the reported message
+ * - Warn or block the reported user, or dismiss the report
+ */
+
+const API_BASE = '/api/admin/messages/reports';
+
+const STATUS_COLORS = {
+  pending: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/30 dark:text-yellow-400',
+  warned: 'bg-amber-100 text-amber-800 dark:bg-amber-900/30 dark:text-amber-400',
+  blocked: 'bg-red-100 text-red-800 dark:bg-red-900/30 dark:text-red-400',
+  dismissed: 'bg-gray-100 text-gray-800 dark:bg-gray-900/30 dark:text-gray-400'
+};
+
+const REASON_LABELS = {
+  spam: 'Spam',
+  scam: 'Scam or fraud',
+  harassment: 'Harassment',
+  inappropriate: 'Inappropriate',
+  other: 'Other'
+};
+
+const ACTION_CONFIG = {
+  warn: {
+    title: 'Warn User',
+    description: 'The user gets a warning notification and their warning count goes up.',
+    label: 'Send Warning',
+    icon: AlertTriangle,
+    variant: 'default'
+  },
+  block: {
+    title: 'Block User',
+    description: 'The user is blocked from the platform, signed out everywhere, and their other pending reports are closed.',
+    label: 'Block User',
+    icon: Ban,
+    variant: 'destructive'
+  },
+  dismiss: {
+    title: 'Dismiss Report',
+    description: 'Close this report without taking action against the user.',
+    label: 'Dismiss',
+    icon: XCircle,
+    variant: 'outline'
+  }
+};
+
+const formatDate = (dateString) => {
+  if (!dateString) return '-';
+  return new Date(dateString).toLocaleString();
+};
+
+// Resolve Modal
+const ResolveModal = ({ open, onOpenChange, report, action, onResolve }) => {
+  const [note, setNote] = useState('');
+  const [loading, setLoading] = useState(false);
+
+  const config = ACTION_CONFIG[action];
+  if (!config || !report) return null;
+  const ActionIcon = config.icon;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setLoading(true);
+    await onResolve(report._id, action, note.trim());
+    setLoading(false);
+    setNote('');
+    onOpenChange(false);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle className={cn('flex items-center gap-2', action === 'block' && 'text-destructive')}>
+            <ActionIcon className="h-5 w-5" />
+            {config.title}
+          </DialogTitle>
+          <DialogDescription>
+            {config.description}
+          </DialogDescription>
+        </DialogHeader>
+
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="bg-muted p-3 rounded-lg">
+            <p className="text-sm font-medium">{report.reportedUser?.name || 'Unknown User'}</p>
+            <p className="text-sm text-muted-foreground">{report.reportedUser?.email}</p>
+          </div>
+
+          <div className="space-y-2">
+            <label className="text-sm font-medium">Note (optional)</label>
+            <textarea
+              value={note}
+              onChange={(e) => setNote(e.target.value)}
+              maxLength={500}
+              placeholder={action === 'warn' ? 'Included in the warning sent to the user...' : 'Internal note for the audit log...'}
+              className="w-full min-h-[80px] px-3 py-2 border rounded-md bg-background text-foreground resize-none focus:outline-none focus:ring-2 focus:ring-ring"
+            />
+          </div>
+
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
+              Cancel
+            </Button>
+            <Button type="submit" variant={config.variant} disabled={loading}>
+              {loading ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <ActionIcon className="h-4 w-4 mr-2" />}
+              {config.label}
+            </Button>
+          </DialogFooter>
+        </form>
+      </DialogContent>
+    </Dialog>
+  );
+};
+
+// Report Card Component
+const ReportCard = ({ report, onAction }) => {
+  const snapshot = report.messageSnapshot || {};
+  const reportedUser = report.reportedUser;
+
+  return (
+    <Card>
+      <CardContent className="pt-6 space-y-4">
+        <div className="flex flex-col sm:flex-row sm:items-start sm:justify-between gap-3">
+          <div className="flex items-center gap-3 min-w-0">
+            <div className="h-10 w-10 rounded-full bg-primary/10 flex items-center justify-center shrink-0">
+              <span className="text-sm font-medium text-primary">
+                {reportedUser?.name?.charAt(0)?.toUpperCase() || '?'}
+              </span>
+            </div>
+            <div className="min-w-0">
+              <p className="font-medium text-foreground flex items-center gap-2">
+                {reportedUser?.name || 'Unknown User'}
+                {reportedUser?.isBlocked && (
+                  <Badge className={STATUS_COLORS.blocked}>Blocked</Badge>
+                )}
+              </p>
+              <p className="text-sm text-muted-foreground truncate">
+                {reportedUser?.email}
+                {reportedUser?.chatWarningCount > 0 && (
+                  <span> · {reportedUser.chatWarningCount} warning{reportedUser.chatWarningCount === 1 ? '' : 's'}</span>
+                )}
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <Badge variant="outline">{REASON_LABELS[report.reason] || report.reason}</Badge>
+            <Badge className={cn('capitalize', STATUS_COLORS[report.status])}>{report.status}</Badge>
+          </div>
+        </div>
+
+        {/* Reported message */}
+        <div className="bg-muted p-3 rounded-lg space-y-2">
+          {snapshot.text && (
+            <p className="text-sm whitespace-pre-wrap break-words">{snapshot.text}</p>
+          )}
+          {snapshot.file?.url && (
+            <a
+              href={snapshot.file.url}
+              target="_blank"
+              rel="noopener noreferrer"
+              className="text-sm text-primary hover:underline flex items-center gap-1"
+            >
+              <Paperclip className="h-3 w-3" />
+              {snapshot.file.originalName || 'Attachment'}
+            </a>
+          )}
+          <p className="text-xs text-muted-foreground">
+            Sent {formatDate(snapshot.sentAt)}
+            {snapshot.editedAt && ` · edited ${formatDate(snapshot.editedAt)}`}
+          </p>
+        </div>
+
+        {report.details && (
+          <div>
+            <p className="text-sm text-muted-foreground mb-1">Details from reporter</p>
+            <p className="text-sm">{report.details}</p>
+          </div>
+        )}
+
+        <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <p className="text-sm text-muted-foreground">
+            Reported by {report.reporter?.name || 'Unknown User'} on {formatDate(report.createdAt)}
+          </p>
+
+          {report.status === 'pending' ? (
+            <div className="flex items-center gap-2">
+              <Button variant="outline" size="sm" onClick={() => onAction(report, 'dismiss')}>
+                <XCircle className="h-4 w-4 mr-2" />
+                Dismiss
+              </Button>
+              <Button variant="outline" size="sm" onClick={() => onAction(report, 'warn')}>
+                <AlertTriangle className="h-4 w-4 mr-2" />
+                Warn
+              </Button>
+              {!reportedUser?.isBlocked && (
+                <Button variant="destructive" size="sm" onClick={() => onAction(report, 'block')}>
+                  <Ban className="h-4 w-4 mr-2" />
+                  Block
+                </Button>
+              )}
+            </div>
+          ) : (
+            <p className="text-sm text-muted-foreground">
+              Resolved by {report.resolvedBy?.name || 'an admin'} on {formatDate(report.resolvedAt)}
+              {report.resolutionNote && ` · ${report.resolutionNote}`}
+            </p>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+};
+
+// Main Component
+const MessageReports = () => {
+  const navigate = useNavigate();
+
+  // Data state
+  const [reports, setReports] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, limit: 20, total: 0, totalPages: 0 });
+  const [summary, setSummary] = useState({ pending: 0, warned: 0, blocked: 0, dismissed: 0 });
+
+  // Loading and error state
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [refreshing, setRefreshing] = useState(false);
+
+  // Filter state
+  const [statusFilter, setStatusFilter] = useState('pending');
+
+  // Modal state
+  const [selectedReport, setSelectedReport] = useState(null);
+  const [selectedAction, setSelectedAction] = useState(null);
+
+  // Fetch reports
+  const fetchReports = useCallback(async (page = 1) => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const params = new URLSearchParams({
+        page: page.toString(),
+        limit: pagination.limit.toString()
+      });
+      if (statusFilter !== 'all') params.append('status', statusFilter);
+
+      const response = await authenticatedFetch(`${API_BASE}?${params}`, {
+        headers: getHeaders()
+      }, navigate);
+
+      const data = await response.json();
+
+      if (data.success) {
+        setReports(data.data.reports);
+        setPagination(data.data.pagination);
+        setSummary(data.data.summary);
+      } else {
+        throw new Error(data.message || 'Failed to fetch reports');
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [navigate, pagination.limit, statusFilter]);
+
+  // Initial load and filter changes
+  useEffect(() => {
+    fetchReports(1);
+  }, [fetchReports]);
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    await fetchReports(pagination.page);
+    setRefreshing(false);
+  };
+
+  const handleResolve = async (reportId, action, note) => {
+    try {
+      const response = await authenticatedFetch(`${API_BASE}/${reportId}`, {
+        method: 'PATCH',
+        headers: getHeaders(),
+        body: JSON.stringify({ action, ...(note && { note }) })
+      }, navigate);
+
+      const data = await response.json();
+
+      if (data.success) {
+        fetchReports(pagination.page);
+      } else {
+        throw new Error(data.message || 'Failed to resolve report');
+      }
+    } catch (err) {
+      alert(err.message);
+    }
+  };
+
+  // Error state
+  if (error && reports.length === 0) {
+    return (
+      <div className="flex flex-col items-center justify-center py-12">
+        <AlertCircle className="h-12 w-12 text-destructive mb-4" />
+        <h2 className="text-lg font-semibold mb-2">Failed to load reports</h2>
+        <p className="text-muted-foreground mb-4">{error}</p>
+        <Button onClick={handleRefresh}>
+          <RefreshCw className="h-4 w-4 mr-2" />
+          Try Again
+        </Button>
+      </div>
+    );
+  }
+
+  const statCards = [
+    { status: 'pending', label: 'Pending', icon: Clock, color: 'bg-yellow-100 dark:bg-yellow-900/30 text-yellow-600 dark:text-yellow-400' },
+    { status: 'warned', label: 'Warned', icon: AlertTriangle, color: 'bg-amber-100 dark:bg-amber-900/30 text-amber-600 dark:text-amber-400' },
+    { status: 'blocked', label: 'Blocked', icon: Ban, color: 'bg-red-100 dark:bg-red-900/30 text-red-600 dark:text-red-400' },
+    { status: 'dismissed', label: 'Dismissed', icon: CheckCircle, color: 'bg-gray-100 dark:bg-gray-900/30 text-gray-600 dark:text-gray-400' }
+  ];
+
+  return (
+    <div className="space-y-6">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-bold text-foreground flex items-center gap-2">
+            <Flag className="h-6 w-6" />
+            Chat Reports
+          </h1>
+          <p className="text-muted-foreground">
+            Review messages reported by users
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <Select value={statusFilter} onValueChange={setStatusFilter}>
+            <SelectTrigger className="w-[150px]">
+              <SelectValue placeholder="All Status" />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All Status</SelectItem>
+              <SelectItem value="pending">Pending</SelectItem>
+              <SelectItem value="warned">Warned</SelectItem>
+              <SelectItem value="blocked">Blocked</SelectItem>
+              <SelectItem value="dismissed">Dismissed</SelectItem>
+            </SelectContent>
+          </Select>
+          <Button variant="outline" onClick={handleRefresh} disabled={refreshing}>
+            <RefreshCw className={cn('h-4 w-4 mr-2', refreshing && 'animate-spin')} />
+            Refresh
+          </Button>
+        </div>
+      </div>
+
+      {/* Stats Cards */}
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-4">
+        {statCards.map(({ status, label, icon: Icon, color }) => (
+          <Card
+            key={status}
+            className={cn('cursor-pointer hover:bg-muted/50 transition-colors', statusFilter === status && 'ring-2 ring-primary')}
+            onClick={() => setStatusFilter(status)}
+          >
+            <CardContent className="pt-6">
+              <div className="flex items-center gap-4">
+                <div className={cn('p-3 rounded-lg', color)}>
+                  <Icon className="h-6 w-6" />
+                </div>
+                <div>
+                  <p className="text-2xl font-bold">{summary[status]}</p>
+                  <p className="text-sm text-muted-foreground">{label}</p>
+                </div>
+              </div>
+            </CardContent>
+          </Card>
+        ))}
+      </div>
+
+      {/* Error Banner */}
+      {error && reports.length > 0 && (
+        <div className="bg-destructive/10 border border-destructive/20 rounded-lg p-4 flex items-center gap-3">
+          <AlertCircle className="h-5 w-5 text-destructive shrink-0" />
+          <p className="text-sm text-destructive">{error}</p>
+          <Button variant="ghost" size="sm" onClick={() => setError(null)} className="ml-auto">
+            Dismiss
+          </Button>
+        </div>
+      )}
+
+      {/* Reports */}
+      <div className="space-y-3">
+        {loading ? (
+          [...Array(3)].map((_, i) => (
+            <Card key={i}>
+              <CardContent className="pt-6 space-y-3">
+                <div className="flex items-center gap-3">
+                  <Skeleton className="h-10 w-10 rounded-full" />
+                  <div className="space-y-2">
+                    <Skeleton className="h-4 w-24" />
+                    <Skeleton className="h-3 w-32" />
+                  </div>
+                </div>
+                <Skeleton className="h-16 w-full rounded-lg" />
+                <Skeleton className="h-4 w-48" />
+              </CardContent>
+            </Card>
+          ))
+        ) : reports.length === 0 ? (
+          <div className="px-4 py-12 text-center">
+            <Flag className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+            <p className="text-muted-foreground">No reports found</p>
+          </div>
+        ) : (
+          reports.map((report) => (
+            <ReportCard
+              key={report._id}
+              report={report}
+              onAction={(r, action) => { setSelectedReport(r); setSelectedAction(action); }}
+            />
+          ))
+        )}
+      </div>
+
+      {/* Pagination */}
+      {!loading && pagination.totalPages > 1 && (
+        <div className="flex items-center justify-between">
+          <p className="text-sm text-muted-foreground">
+            Page {pagination.page} of {pagination.totalPages} ({pagination.total} reports)
+          </p>
+          <div className="flex items-center gap-1">
+            <Button variant="outline" size="icon" className="h-8 w-8" onClick={() => fetchReports(pagination.page - 1)} disabled={pagination.page === 1}>
+              <ChevronLeft className="h-4 w-4" />
+            </Button>
+            <Button variant="outline" size="icon" className="h-8 w-8" onClick={() => fetchReports(pagination.page + 1)} disabled={pagination.page >= pagination.totalPages}>
+              <ChevronRight className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      )}
+
+      {/* Modals */}
+      <ResolveModal
+        open={Boolean(selectedReport && selectedAction)}
+        onOpenChange={(open) => { if (!open) { setSelectedReport(null); setSelectedAction(null); } }}
+        report={selectedReport}
+        action={selectedAction}
+        onResolve={handleResolve}
+      />
+    </div>
+  );
+};
+
+export default MessageReports;
@@ -391,50 +391,82 @@ const SendNotificationModal = ({ open, onOpenChange, onSent }) => {
 };
 
 // Template Modal Component
+const EMPTY_TEMPLATE_FORM = {
+  name: '',
+  slug: '',
+  locale: 'en',
+  subject: '',
+  heading: '',
+  body: '',
+  htmlBody: '',
+  smsBody: '',
+  footer: '',
+  category: 'custom',
+  isActive: true
+};
+
+const textareaClassName = 'w-full px-3 py-2 border rounded-md bg-background text-foreground font-mono text-sm focus:outline-none focus:ring-2 focus:ring-ring';
+
 const TemplateModal = ({ open, onOpenChange, template, onSaved }) => {
   const navigate = useNavigate();
   const [loading, setLoading] = useState(false);
   const [error, setError] = useState(null);
-  
-  const [formData, setFormData] = useState({
-    name: '',
-    slug: '',
-    subject: '',
-    body: '',
-    category: 'custom',
-    isActive: true
-  });
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [testChannel, setTestChannel] = useState('email');
+  const [testStatus, setTestStatus] = useState(null);
+
+  // Saved templates are edited; a built-in template (no _id) prefills a new override
+  const isEditing = Boolean(template?._id);
+
+  const [formData, setFormData] = useState(EMPTY_TEMPLATE_FORM);
 
   useEffect(() => {
     if (template) {
       setFormData({
         name: template.name || '',
         slug: template.slug || '',
+        locale: template.locale || 'en',
         subject: template.subject || '',
-        body: template.body || '',
+        heading: template.heading || '',
+        body: template.body?.trim() || '',
+        htmlBody: template.htmlBody?.trim() || '',
+        smsBody: template.smsBody || '',
+        footer: template.footer || '',
         category: template.category || 'custom',
-        isActive: template.isActive !== false
+        isActive: template.isActive !== false,
+        variables: template.variables || [],
+        sampleData: template.sampleData || {}
       });
     } else {
-      setFormData({
-        name: '',
-        slug: '',
-        subject: '',
-        body: '',
-        category: 'custom',
-        isActive: true
-      });
+      setFormData(EMPTY_TEMPLATE_FORM);
     }
+    setPreview(null);
+    setTestStatus(null);
+    setError(null);
   }, [template, open]);
 
+  const updateField = (field) => (e) => {
+    const value = e.target.value;
+    setFormData(prev => ({ ...prev, [field]: value }));
+  };
+
+  // Turn an API error response into a message, including template syntax errors
+  const describeError = (data, fallback) => {
+    if (data.error === 'TEMPLATE_SYNTAX_ERROR' && Array.isArray(data.details)) {
+      return `${data.message}: ${data.details.map(d => `${d.field} - ${d.message}`).join('; ')}`;
+    }
+    return data.message || fallback;
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
     setLoading(true);
     setError(null);
 
     try {
-      const url = template ? `${API_BASE}/templates/${template._id}` : `${API_BASE}/templates`;
-      const method = template ? 'PUT' : 'POST';
+      const url = isEditing ? `${API_BASE}/templates/${template._id}` : `${API_BASE}/templates`;
+      const method = isEditing ? 'PUT' : 'POST';
 
       const response = await authenticatedFetch(url, {
         method,
@@ -448,7 +480,7 @@ const TemplateModal = ({ open, onOpenChange, template, onSaved }) => {
         onSaved();
         onOpenChange(false);
       } else {
-        throw new Error(data.message || 'Failed to save template');
+        throw new Error(describeError(data, 'Failed to save template'));
       }
     } catch (err) {
       setError(err.message);
@@ -457,20 +489,69 @@ const TemplateModal = ({ open, onOpenChange, template, onSaved }) => {
     }
   };
 
+  const handlePreview = async () => {
+    setPreviewLoading(true);
+    setError(null);
+
+    try {
+      const response = await authenticatedFetch(`${API_BASE}/templates/preview`, {
+        method: 'POST',
+        headers: getHeaders(),
+        body: JSON.stringify({ template: formData })
+      }, navigate);
+
+      const data = await response.json();
+
+      if (data.success) {
+        setPreview(data.data);
+      } else {
+        throw new Error(describeError(data, 'Failed to preview template'));
+      }
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setPreviewLoading(false);
+    }
+  };
+
+  const handleSendTest = async () => {
+    setTestStatus({ sending: true });
+
+    try {
+      const response = await authenticatedFetch(`${API_BASE}/templates/test`, {
+        method: 'POST',
+        headers: getHeaders(),
+        body: JSON.stringify({ template: formData, channel: testChannel })
+      }, navigate);
+
+      const data = await response.json();
+      setTestStatus({
+        success: data.success,
+        message: data.success ? data.message : describeError(data, 'Failed to send test')
+      });
+    } catch (err) {
+      setTestStatus({ success: false, message: err.message });
+    }
+  };
+
   const generateSlug = (name) => {
     return name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/(^-|-$)/g, '');
   };
 
   return (
     <Dialog open={open} onOpenChange={onOpenChange}>
-      <DialogContent className="max-w-lg">
+      <DialogContent className="max-w-3xl max-h-[90vh] overflow-y-auto">
         <DialogHeader>
           <DialogTitle className="flex items-center gap-2">
             <FileText className="h-5 w-5" />
-            {template ? 'Edit Template' : 'Create Template'}
+            {isEditing ? 'Edit Template' : template ? 'Customize Template' : 'Create Template'}
           </DialogTitle>
           <DialogDescription>
-            {template ? 'Update the notification template' : 'Create a new notification template'}
+            {isEditing
+              ? 'Update the notification template'
+              : template
+                ? 'Save a copy of this built-in template to change its wording, or change the locale to add a translation'
+                : 'Create a new notification template'}
           </DialogDescription>
         </DialogHeader>
 
@@ -482,77 +563,194 @@ const TemplateModal = ({ open, onOpenChange, template, onSaved }) => {
             </div>
           )}
 
+          <div className="grid gap-4 sm:grid-cols-2">
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Name</label>
+              <Input
+                value={formData.name}
+                onChange={(e) => {
+                  const name = e.target.value;
+                  setFormData(prev => ({
+                    ...prev,
+                    name,
+                    slug: !template ? generateSlug(name) : prev.slug
+                  }));
+                }}
+                placeholder="Template name"
+                required
+              />
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Slug</label>
+              <Input
+                value={formData.slug}
+                onChange={updateField('slug')}
+                placeholder="template-slug"
+                required
+              />
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Locale</label>
+              <Input
+                value={formData.locale}
+                onChange={updateField('locale')}
+                placeholder="en"
+                pattern="[a-z]{2}(-[A-Z]{2})?"
+                title='A language code such as "en" or "hi", optionally with a region such as "en-IN"'
+                required
+              />
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Category</label>
+              <Select value={formData.category} onValueChange={(value) => setFormData(prev => ({ ...prev, category: value }))}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="system">System</SelectItem>
+                  <SelectItem value="marketing">Marketing</SelectItem>
+                  <SelectItem value="transactional">Transactional</SelectItem>
+                  <SelectItem value="security">Security</SelectItem>
+                  <SelectItem value="custom">Custom</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+
           <div className="space-y-2">
-            <label className="text-sm font-medium">Name</label>
+            <label className="text-sm font-medium">Subject</label>
             <Input
-              value={formData.name}
-              onChange={(e) => {
-                const name = e.target.value;
-                setFormData(prev => ({
-                  ...prev,
-                  name,
-                  slug: !template ? generateSlug(name) : prev.slug
-                }));
-              }}
-              placeholder="Template name"
+              value={formData.subject}
+              onChange={updateField('subject')}
+              placeholder="Notification subject"
               required
             />
           </div>
 
           <div className="space-y-2">
-            <label className="text-sm font-medium">Slug</label>
+            <label className="text-sm font-medium">Email heading</label>
             <Input
-              value={formData.slug}
-              onChange={(e) => setFormData(prev => ({ ...prev, slug: e.target.value }))}
-              placeholder="template-slug"
-              required
+              value={formData.heading}
+              onChange={updateField('heading')}
+              placeholder="Defaults to the subject"
             />
           </div>
 
-          <div className="space-y-2">
-            <label className="text-sm font-medium">Category</label>
-            <Select value={formData.category} onValueChange={(value) => setFormData(prev => ({ ...prev, category: value }))}>
-              <SelectTrigger>
-                <SelectValue />
-              </SelectTrigger>
-              <SelectContent>
-                <SelectItem value="system">System</SelectItem>
-                <SelectItem value="marketing">Marketing</SelectItem>
-                <SelectItem value="transactional">Transactional</SelectItem>
-                <SelectItem value="security">Security</SelectItem>
-                <SelectItem value="custom">Custom</SelectItem>
-              </SelectContent>
-            </Select>
-          </div>
+          <p className="text-xs text-muted-foreground">
+            Use {'{{name}}'} for variables, {'{{#if name}}...{{else}}...{{/if}}'} for optional text,
+            {' {{#each items}}...{{/each}}'} for lists and {'{{amount | currency}}'} to format values.
+            {formData.variables?.length > 0 && (
+              <> Variables: {formData.variables.map(v => v.name).join(', ')}.</>
+            )}
+          </p>
 
           <div className="space-y-2">
-            <label className="text-sm font-medium">Subject</label>
-            <Input
-              value={formData.subject}
-              onChange={(e) => setFormData(prev => ({ ...prev, subject: e.target.value }))}
-              placeholder="Notification subject"
+            <label className="text-sm font-medium">Body (plain text)</label>
+            <textarea
+              value={formData.body}
+              onChange={updateField('body')}
+              placeholder="Template body content..."
+              className={cn(textareaClassName, 'min-h-[120px]')}
               required
             />
           </div>
 
           <div className="space-y-2">
-            <label className="text-sm font-medium">Body</label>
+            <label className="text-sm font-medium">HTML body</label>
             <textarea
-              value={formData.body}
-              onChange={(e) => setFormData(prev => ({ ...prev, body: e.target.value }))}
-              placeholder="Template body content..."
-              className="w-full min-h-[100px] px-3 py-2 border rounded-md bg-background text-foreground resize-none focus:outline-none focus:ring-2 focus:ring-ring"
-              required
+              value={formData.htmlBody}
+              onChange={updateField('htmlBody')}
+              placeholder="Optional. Shown inside the shared email layout; the plain-text body is used when empty"
+              className={cn(textareaClassName, 'min-h-[120px]')}
             />
           </div>
 
+          <div className="grid gap-4 sm:grid-cols-2">
+            <div className="space-y-2">
+              <label className="text-sm font-medium">SMS text</label>
+              <textarea
+                value={formData.smsBody}
+                onChange={updateField('smsBody')}
+                placeholder="Optional. The plain-text body is used when empty"
+                className={cn(textareaClassName, 'min-h-[80px]')}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <label className="text-sm font-medium">Email footer</label>
+              <textarea
+                value={formData.footer}
+                onChange={updateField('footer')}
+                placeholder="Optional"
+                className={cn(textareaClassName, 'min-h-[80px]')}
+              />
+            </div>
+          </div>
+
+          {preview && (
+            <div className="border rounded-lg p-4 space-y-3">
+              <div>
+                <p className="text-xs text-muted-foreground">Subject</p>
+                <p className="font-medium">{preview.subject}</p>
+              </div>
+              <iframe
+                title="Email preview"
+                srcDoc={preview.html}
+                sandbox=""
+                className="w-full h-96 border rounded-md bg-white"
+              />
+              <div>
+                <p className="text-xs text-muted-foreground">SMS ({preview.sms.length} characters)</p>
+                <p className="text-sm whitespace-pre-wrap">{preview.sms}</p>
+              </div>
+              {preview.missingVariables?.length > 0 && (
+                <p className="text-xs text-yellow-700 dark:text-yellow-400">
+                  Sample data is missing values: {preview.missingVariables.join(', ')}
+                </p>
+              )}
+              {preview.undeclaredVariables?.length > 0 && (
+                <p className="text-xs text-yellow-700 dark:text-yellow-400">
+                  Not declared as variables: {preview.undeclaredVariables.join(', ')}
+                </p>
+              )}
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-2">
+            <Button type="button" variant="outline" size="sm" onClick={handlePreview} disabled={previewLoading}>
+              {previewLoading ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Eye className="h-4 w-4 mr-2" />}
+              Preview
+            </Button>
+            <Select value={testChannel} onValueChange={setTestChannel}>
+              <SelectTrigger className="w-28 h-9">
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="email">Email</SelectItem>
+                <SelectItem value="sms">SMS</SelectItem>
+              </SelectContent>
+            </Select>
+            <Button type="button" variant="outline" size="sm" onClick={handleSendTest} disabled={testStatus?.sending}>
+              {testStatus?.sending ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : <Send className="h-4 w-4 mr-2" />}
+              Send test to me
+            </Button>
+            {testStatus?.message && (
+              <span className={cn('text-sm', testStatus.success ? 'text-muted-foreground' : 'text-destructive')}>
+                {testStatus.message}
+              </span>
+            )}
+          </div>
+
           <DialogFooter>
             <Button type="button" variant="outline" onClick={() => onOpenChange(false)}>
               Cancel
             </Button>
             <Button type="submit" disabled={loading}>
               {loading ? <Loader2 className="h-4 w-4 mr-2 animate-spin" /> : null}
-              {template ? 'Update' : 'Create'} Template
+              {isEditing ? 'Update' : 'Create'} Template
             </Button>
           </DialogFooter>
         </form>
@@ -722,6 +920,7 @@ const NotificationManagement = () => {
   
   // Templates state
   const [templates, setTemplates] = useState([]);
+  const [systemTemplates, setSystemTemplates] = useState([]);
   const [templatesLoading, setTemplatesLoading] = useState(true);
   const [templatesError, setTemplatesError] = useState(null);
   
@@ -777,16 +976,18 @@ const NotificationManagement = () => {
       setTemplatesLoading(true);
       setTemplatesError(null);
       
-      const response = await authenticatedFetch(`${API_BASE}/templates`, {
-        headers: getHeaders()
-      }, navigate);
+      const [response, systemResponse] = await Promise.all([
+        authenticatedFetch(`${API_BASE}/templates`, { headers: getHeaders() }, navigate),
+        authenticatedFetch(`${API_BASE}/templates/system`, { headers: getHeaders() }, navigate)
+      ]);
       
-      const data = await response.json();
+      const [data, systemData] = await Promise.all([response.json(), systemResponse.json()]);
       
-      if (data.success) {
+      if (data.success && systemData.success) {
         setTemplates(data.data.templates);
+        setSystemTemplates(systemData.data.templates);
       } else {
-        throw new Error(data.message || 'Failed to fetch templates');
+        throw new Error(data.message || systemData.message || 'Failed to fetch templates');
       }
     } catch (err) {
       setTemplatesError(err.message);
@@ -1219,7 +1420,10 @@ const NotificationManagement = () => {
                         <h3 className="font-medium">{template.name}</h3>
                         <p className="text-sm text-muted-foreground">{template.slug}</p>
                       </div>
-                      <Badge variant="outline" className="capitalize">{template.category}</Badge>
+                      <div className="flex gap-1">
+                        <Badge variant="outline">{template.locale || 'en'}</Badge>
+                        <Badge variant="outline" className="capitalize">{template.category}</Badge>
+                      </div>
                     </div>
                     <p className="text-sm text-muted-foreground mb-3 line-clamp-2">{template.subject}</p>
                     <div className="flex items-center justify-between">
@@ -1252,6 +1456,53 @@ const NotificationManagement = () => {
         </Card>
       )}
 
+      {activeTab === 'templates' && systemTemplates.length > 0 && (
+        <Card>
+          <CardHeader className="pb-3">
+            <CardTitle className="text-base">Built-in Templates</CardTitle>
+            <p className="text-sm text-muted-foreground">
+              Platform emails and SMS use these templates. Customize one to change its wording or add a translation.
+            </p>
+          </CardHeader>
+          <CardContent>
+            <div className="grid gap-4 md:grid-cols-2">
+              {systemTemplates.map((template) => (
+                <div key={template.slug} className="border rounded-lg p-4 hover:bg-muted/50 transition-colors">
+                  <div className="flex items-start justify-between mb-2">
+                    <div>
+                      <h3 className="font-medium">{template.name}</h3>
+                      <p className="text-sm text-muted-foreground">{template.slug}</p>
+                    </div>
+                    <Badge variant="outline" className="capitalize">{template.category}</Badge>
+                  </div>
+                  <p className="text-sm text-muted-foreground mb-3 line-clamp-2">{template.subject}</p>
+                  <div className="flex items-center justify-between">
+                    <div className="flex flex-wrap gap-1">
+                      {template.overrides.length === 0 ? (
+                        <Badge className="bg-gray-100 text-gray-800">Default</Badge>
+                      ) : (
+                        template.overrides.map((override) => (
+                          <Badge key={override._id} className="bg-blue-100 text-blue-800">
+                            {override.locale} customized
+                          </Badge>
+                        ))
+                      )}
+                    </div>
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      onClick={() => { setSelectedTemplate(template); setTemplateModalOpen(true); }}
+                    >
+                      Customize
+                    </Button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
       {/* Modals */}
       <SendNotificationModal
         open={sendModalOpen}
@@ -35,7 +35,9 @@ export const getSearchSuggestions = createAsyncThunk(
     "properties/searchSuggestions",
     async (query, { rejectWithValue }) => {
         try {
-            const response = await searchService.getSearchSuggestions(query);
+            // Accepts a plain query string or { query, listingType }
+            const { query: q, ...options } = typeof query === "string" ? { query } : query;
+            const response = await searchService.getSearchSuggestions(q, options);
             return response.data;
         } catch (error) {
             console.log("Search Suggestions error === ", error);
@@ -77,6 +79,7 @@ const initialState = {
 
     // Search suggestions
     searchSuggestions: [],
+    suggestionGroups: [],
     isSuggestionsLoading: false,
     suggestionsError: false,
 
@@ -109,6 +112,7 @@ const searchSlice = createSlice({
         // Clear suggestions
         clearSuggestions: (state) => {
             state.searchSuggestions = [];
+            state.suggestionGroups = [];
             state.suggestions = [];
         },
 
@@ -207,11 +211,13 @@ const searchSlice = createSlice({
                 state.isSuggestionsLoading = false;
                 state.suggestionsError = false;
                 state.searchSuggestions = action.payload.suggestions || [];
+                state.suggestionGroups = action.payload.groups || [];
             })
             .addCase(getSearchSuggestions.rejected, (state, action) => {
                 state.isSuggestionsLoading = false;
                 state.suggestionsError = true;
                 state.searchSuggestions = [];
+                state.suggestionGroups = [];
             })
 
             // Recent searches
@@ -6,6 +6,7 @@ import {
     AUTH_ERROR_CONTEXTS
 } from './authErrorLogger.js';
 import { disconnectSocket } from '../lib/socket';
+import { unsubscribeFromPush } from './serviceWorker';
 
 /**
  * Authentication Utility Functions
@@ -239,6 +240,14 @@ export const clearAuth = () => {
  * @param {function} navigate - React Router navigate function (required)
  */
 export const logout = async (navigate) => {
+    try {
+        // Stop push notifications for this account on this device; the server
+        // drops the subscription the next time the push service rejects it
+        await unsubscribeFromPush();
+    } catch (error) {
+        console.error('Push unsubscribe failed:', error.message);
+    }
+
     try {
         // Call logout endpoint to invalidate refresh token
         await fetch('/api/auth/logout', {
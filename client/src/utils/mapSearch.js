@@ -0,0 +1,85 @@
+/**
+ * Helpers for searching by map area and clustering map markers
+ */
+
+// Page size for map area searches, so the map shows every listing in view
+export const MAP_SEARCH_LIMIT = 100;
+
+// Markers closer than this many pixels on screen are merged into one cluster
+export const CLUSTER_RADIUS_PX = 60;
+
+// Below this many markers in view, every marker is shown on its own
+export const CLUSTER_MIN_MARKERS = 15;
+
+/**
+ * Turn Leaflet map bounds into the `geo` search the property search APIs accept.
+ * Longitudes are clamped because a zoomed-out map can wrap past the antimeridian.
+ * @param {L.LatLngBounds} bounds
+ * @returns {{bounds: {north: number, south: number, east: number, west: number}}}
+ */
+export function boundsToSearchArea(bounds) {
+    return {
+        bounds: {
+            north: Math.min(90, bounds.getNorth()),
+            south: Math.max(-90, bounds.getSouth()),
+            east: Math.min(180, bounds.getEast()),
+            west: Math.max(-180, bounds.getWest())
+        }
+    };
+}
+
+/**
+ * Turn drawn [lat, lng] points into a polygon `geo` search
+ * @param {number[][]} points
+ * @returns {{polygon: Array<{lat: number, lng: number}>}}
+ */
+export function pointsToSearchArea(points) {
+    return { polygon: points.map(([lat, lng]) => ({ lat, lng })) };
+}
+
+/**
+ * Get a property's [lat, lng] from its GeoJSON location
+ * @param {{location: {coordinates: number[]}}} property
+ * @returns {number[]}
+ */
+export function getLatLng(property) {
+    return [property.location.coordinates[1], property.location.coordinates[0]];
+}
+
+/**
+ * Group properties whose markers would overlap at the current zoom. Uses a
+ * pixel grid, so it stays cheap for the few hundred markers a search returns.
+ * @param {Array} properties - Properties with a location
+ * @param {function(number[]): {x: number, y: number}} project - Converts [lat, lng] to screen pixels
+ * @param {number} radius - Grid cell size in pixels
+ * @returns {Array<{id: string, properties: Array, center: number[]}>} Clusters; single-property clusters are plain markers
+ */
+export function clusterProperties(properties, project, radius = CLUSTER_RADIUS_PX) {
+    if (properties.length < CLUSTER_MIN_MARKERS) {
+        return properties.map(property => ({
+            id: property._id,
+            properties: [property],
+            center: getLatLng(property)
+        }));
+    }
+
+    const cells = new Map();
+    properties.forEach(property => {
+        const point = project(getLatLng(property));
+        const key = `${Math.floor(point.x / radius)}:${Math.floor(point.y / radius)}`;
+        if (!cells.has(key)) {
+            cells.set(key, []);
+        }
+        cells.get(key).push(property);
+    });
+
+    return Array.from(cells.entries()).map(([key, members]) => {
+        const lat = members.reduce((sum, p) => sum + p.location.coordinates[1], 0) / members.length;
+        const lng = members.reduce((sum, p) => sum + p.location.coordinates[0], 0) / members.length;
+        return {
+            id: members.length === 1 ? members[0]._id : `cluster-${key}`,
+            properties: members,
+            center: [lat, lng]
+        };
+    });
+}
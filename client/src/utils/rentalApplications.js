@@ -0,0 +1,48 @@
+/**
+ * Options and labels for rental applications
+ */
+
+export const INCOME_RANGE_OPTIONS = [
+    { value: "below_25k", label: "Below ₹25,000 / month" },
+    { value: "25k_50k", label: "₹25,000 – ₹50,000 / month" },
+    { value: "50k_1l", label: "₹50,000 – ₹1 lakh / month" },
+    { value: "1l_2l", label: "₹1 – ₹2 lakh / month" },
+    { value: "above_2l", label: "Above ₹2 lakh / month" },
+];
+
+export const APPLICATION_DOCUMENT_TYPES = [
+    { value: "id_proof", label: "ID proof" },
+    { value: "income_proof", label: "Income proof" },
+    { value: "employment_letter", label: "Employment letter" },
+    { value: "reference", label: "Reference" },
+    { value: "other", label: "Other" },
+];
+
+export const APPLICATION_STATUS_STYLES = {
+    submitted: { label: "Submitted", className: "text-primary bg-primary/10 border-primary/20" },
+    shortlisted: { label: "Shortlisted", className: "text-warning bg-warning/10 border-warning/20" },
+    accepted: { label: "Accepted", className: "text-success bg-success/10 border-success/20" },
+    rejected: { label: "Rejected", className: "text-destructive bg-destructive/10 border-destructive/20" },
+    withdrawn: { label: "Withdrawn", className: "text-muted-foreground bg-muted border-border" },
+    closed: { label: "Closed", className: "text-muted-foreground bg-muted border-border" },
+};
+
+export const MAX_APPLICATION_DOCUMENTS = 5;
+
+/**
+ * Label for an income range value
+ * @param {string} value
+ * @returns {string}
+ */
+export function getIncomeRangeLabel(value) {
+    return INCOME_RANGE_OPTIONS.find(option => option.value === value)?.label || value;
+}
+
+/**
+ * Label for a document type value
+ * @param {string} value
+ * @returns {string}
+ */
+export function getDocumentTypeLabel(value) {
+    return APPLICATION_DOCUMENT_TYPES.find(option => option.value === value)?.label || "Document";
+}
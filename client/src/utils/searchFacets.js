@@ -0,0 +1,39 @@
+/**
+ * Helpers for reading the facet counts returned by the property search APIs
+ */
+
+/**
+ * Number of matching listings for one filter option.
+ * Returns null while no counts are loaded, so options stay enabled.
+ * @param {object|null} facets - `facets` from a search response
+ * @param {string} name - Facet name, e.g. "furnishing"
+ * @param {string} value - Option value; a bedroom value like "5+" counts five or more
+ * @returns {number|null}
+ */
+export function getFacetCount(facets, name, value) {
+    const entries = facets?.[name];
+    if (!Array.isArray(entries)) return null;
+
+    const option = String(value).toLowerCase();
+
+    if (option.endsWith('+')) {
+        const min = parseInt(option, 10);
+        return entries
+            .filter(entry => Number(entry.value) >= min)
+            .reduce((sum, entry) => sum + entry.count, 0);
+    }
+
+    const match = entries.find(entry => String(entry.value).toLowerCase() === option);
+    return match ? match.count : 0;
+}
+
+/**
+ * Whether an option should be disabled: counts are loaded, nothing matches,
+ * and the option is not already selected (so it can still be cleared)
+ * @param {number|null} count - From getFacetCount
+ * @param {boolean} isSelected
+ * @returns {boolean}
+ */
+export function isFacetEmpty(count, isSelected) {
+    return count === 0 && !isSelected;
+}
@@ -545,6 +545,82 @@ export function areSearchParametersEqual(params1, params2) {
     );
 }
 
+// Price slider bounds of the listings pages; values at a bound mean "no limit"
+export const LISTING_PRICE_BOUNDS = {
+    rent: { min: 0, max: 100000 },
+    buy: { min: 0, max: 50000000 }
+};
+
+// Saved search alert options
+export const SAVED_SEARCH_ALERT_FREQUENCIES = [
+    { value: 'instant', label: 'Instantly', description: 'Email me as soon as a listing matches' },
+    { value: 'daily', label: 'Daily digest', description: 'One email a day with all new matches' },
+    { value: 'off', label: 'No alerts', description: 'Just save the filters' }
+];
+
+/**
+ * Converts listings page filter state to a saved search filter payload
+ * @param {Object} filters - RentListings/BuyListings filter state
+ * @param {Object} options - { listingType: 'rent' | 'buy', query: search keywords }
+ * @returns {Object} - Saved search filters
+ */
+export function toSavedSearchFilters(filters = {}, { listingType = 'rent', query = '' } = {}) {
+    const bounds = LISTING_PRICE_BOUNDS[listingType] || LISTING_PRICE_BOUNDS.rent;
+    const min = filters.priceRange?.min;
+    const max = filters.priceRange?.max;
+
+    const saved = {
+        query: query || '',
+        location: filters.location || '',
+        category: filters.propertyType || '',
+        minPrice: min > bounds.min ? min : null,
+        maxPrice: max !== undefined && max < bounds.max ? max : null,
+        bedrooms: filters.bedrooms || [],
+        amenities: filters.amenities || []
+    };
+
+    if (listingType === 'buy') {
+        saved.possessionStatus = filters.possessionStatus || '';
+        saved.loanAvailable = filters.loanAvailable ?? null;
+    } else {
+        saved.furnishing = filters.furnishing || [];
+        saved.preferredTenants = filters.preferredTenants || '';
+    }
+
+    return saved;
+}
+
+/**
+ * Converts saved search filters back to listings page filter state
+ * @param {Object} saved - Saved search filters
+ * @param {string} listingType - 'rent' or 'buy'
+ * @returns {Object} - Partial filter state to merge over the page defaults
+ */
+export function fromSavedSearchFilters(saved = {}, listingType = 'rent') {
+    const bounds = LISTING_PRICE_BOUNDS[listingType] || LISTING_PRICE_BOUNDS.rent;
+
+    const filters = {
+        propertyType: saved.category || '',
+        priceRange: {
+            min: saved.minPrice ?? bounds.min,
+            max: saved.maxPrice ?? bounds.max
+        },
+        bedrooms: saved.bedrooms || [],
+        amenities: saved.amenities || [],
+        location: saved.location || ''
+    };
+
+    if (listingType === 'buy') {
+        filters.possessionStatus = saved.possessionStatus || '';
+        filters.loanAvailable = saved.loanAvailable ?? null;
+    } else {
+        filters.furnishing = saved.furnishing || [];
+        filters.preferredTenants = saved.preferredTenants || '';
+    }
+
+    return filters;
+}
+
 // Export all functions and constants
 export default {
     STANDARD_SEARCH_STRUCTURE,
@@ -556,5 +632,9 @@ export default {
     convertToApiPayload,
     convertToUrlParams,
     parseUrlParams,
-    areSearchParametersEqual
+    areSearchParametersEqual,
+    LISTING_PRICE_BOUNDS,
+    SAVED_SEARCH_ALERT_FREQUENCIES,
+    toSavedSearchFilters,
+    fromSavedSearchFilters
 };
\ No newline at end of file
@@ -199,6 +199,72 @@ export function getCacheSize() {
     });
 }
 
+/**
+ * Check if this browser supports Web Push
+ */
+export function isPushSupported() {
+    return 'serviceWorker' in navigator && 'PushManager' in window && 'Notification' in window;
+}
+
+/**
+ * Convert a base64url VAPID key to the byte array pushManager.subscribe expects
+ */
+function urlBase64ToUint8Array(base64String) {
+    const padding = '='.repeat((4 - (base64String.length % 4)) % 4);
+    const base64 = (base64String + padding).replace(/-/g, '+').replace(/_/g, '/');
+    const rawData = window.atob(base64);
+    return Uint8Array.from(rawData, (char) => char.charCodeAt(0));
+}
+
+/**
+ * Get this browser's current push subscription
+ * @returns {Promise<PushSubscription|null>}
+ */
+export async function getPushSubscription() {
+    if (!isPushSupported()) return null;
+
+    const registration = await navigator.serviceWorker.ready;
+    return registration.pushManager.getSubscription();
+}
+
+/**
+ * Ask for notification permission and subscribe this browser to push
+ * @param {string} publicKey - Server's VAPID public key
+ * @returns {Promise<PushSubscription>}
+ */
+export async function subscribeToPush(publicKey) {
+    if (!isPushSupported()) {
+        throw new Error('Push notifications are not supported in this browser');
+    }
+
+    const permission = await Notification.requestPermission();
+    if (permission !== 'granted') {
+        throw new Error('Notification permission was not granted');
+    }
+
+    const registration = await navigator.serviceWorker.ready;
+    const existing = await registration.pushManager.getSubscription();
+    if (existing) return existing;
+
+    return registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(publicKey),
+    });
+}
+
+/**
+ * Unsubscribe this browser from push
+ * @returns {Promise<string|null>} Endpoint of the removed subscription
+ */
+export async function unsubscribeFromPush() {
+    const subscription = await getPushSubscription();
+    if (!subscription) return null;
+
+    const { endpoint } = subscription;
+    await subscription.unsubscribe();
+    return endpoint;
+}
+
 /**
  * Check if app is running offline
  */
@@ -305,6 +371,10 @@ export default {
     cacheProperty,
     clearCache,
     getCacheSize,
+    isPushSupported,
+    getPushSubscription,
+    subscribeToPush,
+    unsubscribeFromPush,
     isOffline,
     useOnlineStatus,
     useServiceWorkerUpdate,
@@ -0,0 +1,65 @@
+/**
+ * Helpers for displaying and creating property viewing slots
+ */
+
+// Slot lengths owners can choose from, in minutes
+export const VIEWING_SLOT_DURATIONS = [15, 30, 45, 60, 90, 120];
+
+/**
+ * Format a slot's time range, e.g. "10:00 am – 10:30 am"
+ * @param {{startsAt: string, endsAt: string}} slot
+ * @returns {string}
+ */
+export function formatSlotTime(slot) {
+    const options = { hour: '2-digit', minute: '2-digit' };
+    const start = new Date(slot.startsAt).toLocaleTimeString('en-IN', options);
+    const end = new Date(slot.endsAt).toLocaleTimeString('en-IN', options);
+    return `${start} – ${end}`;
+}
+
+/**
+ * Format a date as a day heading, e.g. "Mon, 3 Nov"
+ * @param {string|Date} date
+ * @returns {string}
+ */
+export function formatSlotDay(date) {
+    return new Date(date).toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short' });
+}
+
+/**
+ * Group slots (sorted by start time) into days
+ * @param {Array<{startsAt: string}>} slots
+ * @returns {Array<{day: string, slots: Array}>}
+ */
+export function groupSlotsByDay(slots) {
+    const groups = [];
+    slots.forEach(slot => {
+        const day = formatSlotDay(slot.startsAt);
+        const group = groups[groups.length - 1];
+        if (group && group.day === day) {
+            group.slots.push(slot);
+        } else {
+            groups.push({ day, slots: [slot] });
+        }
+    });
+    return groups;
+}
+
+/**
+ * Build back-to-back slots from a date, start time and length
+ * @param {string} date - "YYYY-MM-DD" in local time
+ * @param {string} time - "HH:mm" in local time
+ * @param {number} durationMinutes - Length of each slot
+ * @param {number} count - Number of consecutive slots
+ * @returns {Array<{startsAt: string, endsAt: string}>}
+ */
+export function buildConsecutiveSlots(date, time, durationMinutes, count) {
+    const start = new Date(`${date}T${time}`);
+    if (Number.isNaN(start.getTime())) return [];
+
+    return Array.from({ length: count }, (_, index) => {
+        const startsAt = new Date(start.getTime() + index * durationMinutes * 60000);
+        const endsAt = new Date(startsAt.getTime() + durationMinutes * 60000);
+        return { startsAt: startsAt.toISOString(), endsAt: endsAt.toISOString() };
+    });
+}
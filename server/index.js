@@ -97,7 +97,7 @@ export default async function createServer(devMode = false) {
         credentials: true, // Allow cookies
         methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
         allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-ID'],
-        exposedHeaders: ['X-Request-ID'],
+        exposedHeaders: ['X-Request-ID', 'RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After'],
         maxAge: 86400 // Cache preflight for 24 hours
     }));
 
@@ -133,6 +133,7 @@ export default async function createServer(devMode = false) {
     // Rate limiting ONLY for auth endpoints (login, register, OTP)
     // This prevents brute force attacks while allowing normal browsing
     const authRateLimiter = createRateLimiter({
+        name: 'auth',
         windowMs: 15 * 60 * 1000, // 15 minutes
         maxRequests: 10, // 10 attempts per 15 minutes
         message: "Too many authentication attempts, please try again later"
@@ -154,6 +155,8 @@ export default async function createServer(devMode = false) {
             '/api/auth/register',
             '/api/auth/refresh',
             '/api/auth/logout',
+            '/api/auth/logout-all',
+            '/api/users/me/sessions',
             '/api/privacy/export',
             '/api/privacy/delete-account',
             '/api/privacy/consent',
@@ -208,6 +211,7 @@ export default async function createServer(devMode = false) {
         app.use("/api/verification", (await safeImport("routes/verification.js")).default);
         app.use("/api/properties/rent", (await safeImport("routes/rentProperties.js")).default);
         app.use("/api/properties/buy", (await safeImport("routes/buyProperties.js")).default);
+        app.use("/api/properties/:propertyId/reviews", (await safeImport("routes/reviews.js")).default);
         app.use("/api/properties", (await safeImport("routes/properties.js")).default);
         app.use("/api/users", (await safeImport("routes/users.js")).default);
         app.use("/api/wishlist", (await safeImport("routes/wishlist.js")).default);
@@ -215,6 +219,10 @@ export default async function createServer(devMode = false) {
         app.use("/api/messages", (await safeImport("routes/messages.js")).default);
         app.use("/api/notifications", (await safeImport("routes/notifications.js")).default);
         app.use("/api/search", (await safeImport("routes/search.js")).default);
+        app.use("/api/saved-searches", (await safeImport("routes/savedSearches.js")).default);
+        app.use("/api/feed", (await safeImport("routes/feed.js")).default);
+        app.use("/api/viewings", (await safeImport("routes/viewings.js")).default);
+        app.use("/api/applications", (await safeImport("routes/rentalApplications.js")).default);
         app.use("/api/categories", (await safeImport("routes/publicCategories.js")).default);
         app.use("/api/locations", (await safeImport("routes/publicLocations.js")).default);
         app.use("/api/testimonials", (await safeImport("routes/publicTestimonials.js")).default);
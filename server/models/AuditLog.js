@@ -12,13 +12,13 @@ const AuditLogSchema = new Schema(
         action: {
             type: String,
             required: true,
-            enum: ['CREATE', 'UPDATE', 'DELETE', 'BLOCK', 'UNBLOCK', 'ACTIVATE', 'DEACTIVATE', 'ROLE_CHANGE', 'PASSWORD_RESET', 'LOGIN', 'LOGOUT', 'APPROVE', 'REJECT', 'EXPORT', 'GENERATE_REPORT', 'EXPORT_DATA'],
+            enum: ['CREATE', 'UPDATE', 'DELETE', 'BLOCK', 'UNBLOCK', 'ACTIVATE', 'DEACTIVATE', 'ROLE_CHANGE', 'PASSWORD_RESET', 'LOGIN', 'LOGOUT', 'APPROVE', 'REJECT', 'EXPORT', 'VIEW', 'WARN', 'GENERATE_REPORT', 'EXPORT_DATA'],
             index: true
         },
         resourceType: {
             type: String,
             required: true,
-            enum: ['user', 'property', 'location', 'category', 'content', 'review', 'notification', 'settings', 'report', 'user_report', 'property_report', 'user_export', 'property_export', 'activity_export'],
+            enum: ['user', 'property', 'location', 'category', 'content', 'review', 'notification', 'settings', 'report', 'conversation', 'message_report', 'user_report', 'property_report', 'user_export', 'property_export', 'activity_export'],
             index: true
         },
         resourceId: {
@@ -1,33 +1,6 @@
 import mongoose from "mongoose";
 const { Schema } = mongoose;
 
-// Message Schema (Enhanced)
-const MessageSchema = new Schema(
-    {
-        sender: { type: Schema.Types.ObjectId, ref: "User", required: true },
-        text: { type: String, maxlength: 5000, default: '' },
-        attachments: [String], // Legacy field - kept for backward compatibility
-        file: {
-            originalName: String,
-            filename: String,
-            mimetype: String,
-            size: Number,
-            url: String
-        },
-        image: String, // For backward compatibility with existing image messages
-        type: {
-            type: String,
-            enum: ["text", "image", "file", "system"],
-            default: "text"
-        },
-        read: { type: Boolean, default: false },
-        readAt: { type: Date },
-        isDeleted: { type: Boolean, default: false },
-        deletedAt: { type: Date }
-    },
-    { timestamps: true }
-);
-
 // Conversation Schema (Enhanced)
 const ConversationSchema = new Schema(
     {
@@ -37,7 +10,7 @@ const ConversationSchema = new Schema(
             ref: "Property",
             required: true
         },
-        messages: [MessageSchema],
+        // Messages are stored in the Message collection (see models/Message.js)
         lastMessage: {
             sender: { type: Schema.Types.ObjectId, ref: "User" },
             text: String,
@@ -45,7 +18,14 @@ const ConversationSchema = new Schema(
         },
         lastActivityAt: { type: Date, default: Date.now },
         unreadCount: { type: Map, of: Number, default: new Map() },
-        isActive: { type: Boolean, default: true }
+        isActive: { type: Boolean, default: true },
+        // Highest message risk score and what was found, for admin moderation
+        risk: {
+            score: { type: Number, default: 0 },
+            categories: [String],
+            flaggedMessages: { type: Number, default: 0 },
+            lastFlaggedAt: Date
+        }
     },
     { timestamps: true }
 );
@@ -57,9 +37,11 @@ ConversationSchema.index({ property: 1 });
 // because MongoDB array indexes don't work well with unique constraints for this use case
 ConversationSchema.index({ participants: 1, property: 1 });
 ConversationSchema.index({ lastActivityAt: -1 });
+ConversationSchema.index({ 'risk.score': -1, lastActivityAt: -1 });
+// Finds conversations whose messages are still embedded (not yet migrated to the
+// Message collection) by message ID; sparse, so it empties as they are moved
+ConversationSchema.index({ 'messages._id': 1 }, { sparse: true });
 
 export const Conversation =
     mongoose.models.Conversation ||
     mongoose.model("Conversation", ConversationSchema);
-
-export { MessageSchema };
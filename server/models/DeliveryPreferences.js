@@ -1,6 +1,65 @@
 import mongoose from "mongoose";
 const { Schema } = mongoose;
 
+// How often a kind of in-app notification is emailed
+export const DIGEST_FREQUENCIES = ['immediate', 'hourly', 'daily', 'off'];
+
+// Saved search alerts and viewing changes already send their own emails,
+// so their in-app notifications are not emailed again by default
+export const DEFAULT_DIGEST_FREQUENCIES = {
+    message: 'immediate',
+    property: 'off',
+    favorite: 'daily',
+    offer: 'immediate',
+    viewing: 'off',
+    application: 'immediate',
+    system: 'immediate'
+};
+
+const digestFrequencyField = (type) => ({
+    type: String,
+    enum: DIGEST_FREQUENCIES,
+    default: DEFAULT_DIGEST_FREQUENCIES[type]
+});
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+/**
+ * Minutes since local midnight of a date in a timezone. Unknown timezones
+ * fall back to UTC.
+ */
+const getLocalMinutes = (date, timezone) => {
+    let parts;
+    try {
+        parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone || 'UTC',
+            hour12: false,
+            hour: '2-digit',
+            minute: '2-digit'
+        }).formatToParts(date);
+    } catch {
+        return date.getUTCHours() * 60 + date.getUTCMinutes();
+    }
+
+    const value = (type) => Number(parts.find(part => part.type === type).value);
+    // Some engines format midnight as 24:00
+    return (value('hour') % 24) * 60 + value('minute');
+};
+
+/**
+ * Next instant at or after date when the local clock in timezone reads
+ * targetMinutes past midnight
+ */
+const nextLocalTime = (date, timezone, targetMinutes) => {
+    const start = new Date(date);
+    start.setUTCSeconds(0, 0);
+    const delta = (targetMinutes - getLocalMinutes(start, timezone) + 1440) % 1440;
+    return new Date(start.getTime() + delta * 60 * 1000);
+};
+
 const DeliveryPreferencesSchema = new Schema(
     {
         userId: {
@@ -85,6 +144,43 @@ const DeliveryPreferencesSchema = new Schema(
                 default: 5
             }
         },
+        // When in-app notifications are emailed. Quiet hours defer notification
+        // emails and SMS; security alerts and verification codes are always sent
+        notificationSchedule: {
+            timezone: {
+                type: String,
+                default: 'UTC'
+            },
+            digestFrequency: {
+                message: digestFrequencyField('message'),
+                property: digestFrequencyField('property'),
+                favorite: digestFrequencyField('favorite'),
+                offer: digestFrequencyField('offer'),
+                viewing: digestFrequencyField('viewing'),
+                application: digestFrequencyField('application'),
+                system: digestFrequencyField('system')
+            },
+            dailyDigestHour: {
+                type: Number, // Local hour daily digests go out
+                min: 0,
+                max: 23,
+                default: 8
+            },
+            quietHours: {
+                enabled: {
+                    type: Boolean,
+                    default: false
+                },
+                startTime: {
+                    type: String, // HH:MM format
+                    default: '22:00'
+                },
+                endTime: {
+                    type: String, // HH:MM format
+                    default: '07:00'
+                }
+            }
+        },
         accessibility: {
             largeText: {
                 type: Boolean,
@@ -250,6 +346,62 @@ DeliveryPreferencesSchema.methods.isWithinDeliveryWindow = function () {
     return currentTime >= startTime && currentTime <= endTime;
 };
 
+DeliveryPreferencesSchema.methods.getDigestFrequency = function (notificationType) {
+    return this.notificationSchedule?.digestFrequency?.[notificationType]
+        || DEFAULT_DIGEST_FREQUENCIES[notificationType]
+        || 'immediate';
+};
+
+DeliveryPreferencesSchema.methods.isQuietTime = function (date = new Date()) {
+    const quietHours = this.notificationSchedule?.quietHours;
+    if (!quietHours?.enabled) {
+        return false;
+    }
+
+    const current = getLocalMinutes(date, this.notificationSchedule.timezone);
+    const start = toMinutes(quietHours.startTime);
+    const end = toMinutes(quietHours.endTime);
+
+    if (start === end) return false;
+    // Quiet hours usually run overnight, past midnight
+    return start < end
+        ? current >= start && current < end
+        : current >= start || current < end;
+};
+
+/**
+ * Move a delivery time that falls in quiet hours to when they end
+ */
+DeliveryPreferencesSchema.methods.deferPastQuietHours = function (date) {
+    if (!this.isQuietTime(date)) {
+        return date;
+    }
+
+    const { timezone, quietHours } = this.notificationSchedule;
+    return nextLocalTime(date, timezone, toMinutes(quietHours.endTime));
+};
+
+/**
+ * When a notification created at the given time should be emailed under a
+ * digest frequency, after quiet hours
+ */
+DeliveryPreferencesSchema.methods.getNextDigestTime = function (frequency, from = new Date()) {
+    let dueAt;
+
+    if (frequency === 'hourly') {
+        dueAt = new Date(from);
+        dueAt.setUTCMinutes(0, 0, 0);
+        dueAt.setUTCHours(dueAt.getUTCHours() + 1);
+    } else if (frequency === 'daily') {
+        const hour = this.notificationSchedule?.dailyDigestHour ?? 8;
+        dueAt = nextLocalTime(from, this.notificationSchedule?.timezone, hour * 60);
+    } else {
+        dueAt = new Date(from);
+    }
+
+    return this.deferPastQuietHours(dueAt);
+};
+
 DeliveryPreferencesSchema.methods.checkRateLimit = async function () {
     const now = new Date();
     const oneHourAgo = new Date(now.getTime() - (60 * 60 * 1000));
@@ -0,0 +1,76 @@
+// models/HeldDelivery.js
+import mongoose from "mongoose";
+import { DeliveryPreferences } from "./DeliveryPreferences.js";
+const { Schema } = mongoose;
+
+/**
+ * An email or SMS that was ready to send during its recipient's quiet hours.
+ * It is stored already rendered and sent by the notification digest cron
+ * once quiet hours are over.
+ */
+const HeldDeliverySchema = new Schema(
+    {
+        userId: {
+            type: Schema.Types.ObjectId,
+            ref: "User",
+            required: true,
+            index: true
+        },
+        channel: {
+            type: String,
+            enum: ["email", "sms"],
+            required: true
+        },
+        // Email address or phone number
+        recipient: { type: String, required: true },
+        message: {
+            subject: { type: String },
+            html: { type: String },
+            text: { type: String },
+            // Extra nodemailer options, such as an .ics calendar invite
+            mailOptions: { type: Schema.Types.Mixed },
+            errorLabel: { type: String }
+        },
+        releaseAt: { type: Date, required: true },
+        status: {
+            type: String,
+            enum: ["held", "sending", "sent", "failed"],
+            default: "held"
+        },
+        attempts: { type: Number, default: 0 },
+        claimedAt: { type: Date },
+        sentAt: { type: Date },
+        error: { type: String }
+    },
+    { timestamps: true }
+);
+
+HeldDeliverySchema.index({ status: 1, releaseAt: 1 });
+// Sent and failed deliveries are removed after 30 days
+HeldDeliverySchema.index(
+    { updatedAt: 1 },
+    { expireAfterSeconds: 30 * 24 * 60 * 60, partialFilterExpression: { status: { $in: ["sent", "failed"] } } }
+);
+
+/**
+ * Store a rendered message instead of sending it when it is the user's quiet
+ * time. Returns the held delivery, or null when it may be sent now.
+ */
+HeldDeliverySchema.statics.holdIfQuiet = async function (userId, channel, recipient, message, now = new Date()) {
+    const preferences = await DeliveryPreferences.findOne({ userId });
+    if (!preferences?.isQuietTime(now)) {
+        return null;
+    }
+
+    return await this.create({
+        userId,
+        channel,
+        recipient,
+        message,
+        releaseAt: preferences.deferPastQuietHours(now)
+    });
+};
+
+export const HeldDelivery =
+    mongoose.models.HeldDelivery ||
+    mongoose.model("HeldDelivery", HeldDeliverySchema);
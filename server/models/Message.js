@@ -0,0 +1,115 @@
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+/**
+ * One chat message. Messages used to be embedded in Conversation.messages;
+ * they now live in their own collection so long chats do not grow the
+ * conversation document and can be paged by _id cursor.
+ */
+const MessageSchema = new Schema(
+    {
+        conversation: { type: Schema.Types.ObjectId, ref: "Conversation", required: true },
+        sender: { type: Schema.Types.ObjectId, ref: "User", required: true },
+        text: { type: String, maxlength: 5000, default: '' },
+        attachments: [String], // Legacy field - kept for backward compatibility
+        file: {
+            originalName: String,
+            filename: String,
+            mimetype: String,
+            size: Number,
+            url: String
+        },
+        image: String, // For backward compatibility with existing image messages
+        type: {
+            type: String,
+            enum: ["text", "image", "file", "system"],
+            default: "text"
+        },
+        // Delivery state: sent (saved) -> delivered (recipient's client acknowledged) -> seen (read)
+        deliveredAt: { type: Date },
+        read: { type: Boolean, default: false },
+        readAt: { type: Date },
+        // Quoted message, copied at send time so the quote survives later edits
+        replyTo: {
+            message: { type: Schema.Types.ObjectId, ref: "Message" },
+            sender: { type: Schema.Types.ObjectId, ref: "User" },
+            text: { type: String, maxlength: 200 },
+            type: { type: String }
+        },
+        reactions: [{
+            _id: false,
+            user: { type: Schema.Types.ObjectId, ref: "User", required: true },
+            emoji: { type: String, required: true, maxlength: 16 },
+            createdAt: { type: Date, default: Date.now }
+        }],
+        editedAt: { type: Date },
+        // Previous versions of the text, oldest first
+        editHistory: [{
+            _id: false,
+            text: String,
+            editedAt: Date
+        }],
+        // Set when the scanner found contact, payment or scam content (see messageScanService)
+        safety: {
+            riskScore: { type: Number, min: 0, max: 100 },
+            categories: [String],
+            rules: [String],
+            warning: Boolean,
+            masked: Boolean
+        },
+        isDeleted: { type: Boolean, default: false },
+        deletedAt: { type: Date }
+    },
+    { timestamps: true }
+);
+
+// Cursor pagination within a conversation (newest first)
+MessageSchema.index({ conversation: 1, _id: -1 });
+// Unread messages per conversation for markAsRead
+MessageSchema.index({ conversation: 1, read: 1, sender: 1 });
+
+/**
+ * Move messages still embedded in a conversation document into this
+ * collection and drop the embedded array. Messages keep their _id and
+ * timestamps, so running it again after a partial move only inserts what is
+ * missing.
+ *
+ * @param {ObjectId|string} conversationId - Conversation to move
+ * @returns {Promise<number>} Number of embedded messages found (0 if already moved)
+ */
+MessageSchema.statics.moveEmbeddedMessages = async function (conversationId) {
+    const conversations = this.db.collection("conversations");
+    const _id = new mongoose.Types.ObjectId(conversationId);
+
+    // Raw driver access: the embedded array is no longer part of the Conversation schema
+    const conversation = await conversations.findOne(
+        { _id, "messages.0": { $exists: true } },
+        { projection: { messages: 1 } }
+    );
+    if (!conversation) return 0;
+
+    await this.collection.bulkWrite(
+        conversation.messages.map(({ _id: messageId, ...message }) => ({
+            updateOne: {
+                filter: { _id: messageId },
+                update: { $setOnInsert: { ...message, conversation: _id } },
+                upsert: true
+            }
+        })),
+        { ordered: false }
+    );
+
+    // Only drop the array if nothing was appended to it in the meantime
+    await conversations.updateOne(
+        { _id, messages: { $size: conversation.messages.length } },
+        { $unset: { messages: "" } }
+    );
+
+    return conversation.messages.length;
+};
+
+export const Message =
+    mongoose.models.Message ||
+    mongoose.model("Message", MessageSchema);
+
+export { MessageSchema };
@@ -0,0 +1,61 @@
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+export const MESSAGE_REPORT_REASONS = ['spam', 'scam', 'harassment', 'inappropriate', 'other'];
+export const MESSAGE_REPORT_STATUSES = ['pending', 'warned', 'blocked', 'dismissed'];
+
+/**
+ * A chat message reported by the other participant, queued for admin review.
+ * The message is copied at report time so later edits or deletes by the
+ * sender do not hide what was reported.
+ */
+const MessageReportSchema = new Schema(
+    {
+        reporter: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+        reportedUser: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+        conversation: { type: Schema.Types.ObjectId, ref: "Conversation", required: true },
+        message: { type: Schema.Types.ObjectId, ref: "Message", required: true },
+        messageSnapshot: {
+            text: String,
+            type: { type: String },
+            file: {
+                originalName: String,
+                mimetype: String,
+                url: String
+            },
+            sentAt: Date,
+            editedAt: Date,
+            editHistory: [{
+                _id: false,
+                text: String,
+                editedAt: Date
+            }]
+        },
+        reason: {
+            type: String,
+            enum: MESSAGE_REPORT_REASONS,
+            required: true
+        },
+        details: { type: String, trim: true, maxlength: 1000, default: '' },
+        status: {
+            type: String,
+            enum: MESSAGE_REPORT_STATUSES,
+            default: 'pending',
+            index: true
+        },
+        resolvedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+        resolvedAt: { type: Date, default: null },
+        resolutionNote: { type: String, trim: true, default: null }
+    },
+    { timestamps: true }
+);
+
+// One report per reporter and message
+MessageReportSchema.index({ reporter: 1, message: 1 }, { unique: true });
+// Review queue, oldest pending first
+MessageReportSchema.index({ status: 1, createdAt: 1 });
+MessageReportSchema.index({ reportedUser: 1, status: 1 });
+
+export const MessageReport =
+    mongoose.models.MessageReport ||
+    mongoose.model("MessageReport", MessageReportSchema);
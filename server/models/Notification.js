@@ -11,7 +11,7 @@ const NotificationSchema = new Schema(
         },
         type: {
             type: String,
-            enum: ["message", "property", "favorite", "offer", "system"],
+            enum: ["message", "property", "favorite", "offer", "viewing", "application", "system"],
             required: true,
         },
         title: { type: String, required: true },
@@ -22,9 +22,23 @@ const NotificationSchema = new Schema(
             conversationId: { type: Schema.Types.ObjectId, ref: "Conversation" },
             propertyId: { type: Schema.Types.ObjectId, ref: "Property" },
             senderId: { type: Schema.Types.ObjectId, ref: "User" },
-            messageId: { type: Schema.Types.ObjectId }
+            messageId: { type: Schema.Types.ObjectId },
+            savedSearchId: { type: Schema.Types.ObjectId, ref: "SavedSearch" },
+            appointmentId: { type: Schema.Types.ObjectId, ref: "ViewingAppointment" },
+            applicationId: { type: Schema.Types.ObjectId, ref: "RentalApplication" }
         },
-        isDeleted: { type: Boolean, default: false }
+        isDeleted: { type: Boolean, default: false },
+        // Email delivery, alone or in a digest, set by the notification digest scheduler
+        email: {
+            status: { type: String, enum: ["pending", "sending", "sent", "skipped"] },
+            frequency: { type: String, enum: ["immediate", "hourly", "daily"] },
+            dueAt: { type: Date },
+            sentAt: { type: Date },
+            attempts: { type: Number, default: 0 },
+            // The digest run that is sending it
+            claimId: { type: String },
+            claimedAt: { type: Date }
+        }
     },
     { timestamps: true }
 );
@@ -33,6 +47,8 @@ const NotificationSchema = new Schema(
 NotificationSchema.index({ recipient: 1, read: 1 });
 NotificationSchema.index({ recipient: 1, createdAt: -1 });
 NotificationSchema.index({ recipient: 1, type: 1, "data.conversationId": 1 });
+NotificationSchema.index({ "email.status": 1, "email.dueAt": 1 });
+NotificationSchema.index({ updatedAt: -1 });
 
 export const Notification =
     mongoose.models.Notification ||
@@ -31,13 +31,13 @@ const NotificationDeliverySchema = new Schema(
         // Delivery method and details
         deliveryMethod: {
             type: String,
-            enum: ['email', 'sms'],
+            enum: ['email', 'sms', 'push'],
             required: true,
         },
 
         recipient: {
             type: String,
-            required: true, // email address or phone number
+            required: true, // email address, phone number or push subscription endpoint
         },
 
         // Delivery status tracking
@@ -159,8 +159,10 @@ NotificationDeliverySchema.statics.getDeliveryStats = async function (userId, ti
 };
 
 NotificationDeliverySchema.statics.getFailedDeliveries = async function (retryable = true) {
+    // Push notifications are not retried; the push service already holds them for offline devices
     const query = {
         status: 'failed',
+        deliveryMethod: { $in: ['email', 'sms'] },
         attempts: { $lt: this.schema.paths.maxRetries.default }
     };
 
@@ -40,10 +40,12 @@ const NotificationPreferencesSchema = new Schema(
             propertyUpdates: {
                 email: { type: Boolean, default: true },
                 sms: { type: Boolean, default: false },
+                push: { type: Boolean, default: true },
             },
             messages: {
                 email: { type: Boolean, default: true },
                 sms: { type: Boolean, default: false },
+                push: { type: Boolean, default: true },
             },
             marketing: {
                 email: { type: Boolean, default: false },
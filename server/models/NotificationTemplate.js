@@ -1,36 +1,63 @@
 import mongoose from "mongoose";
+import { VARIABLE_TYPES } from "../src/utils/templateEngine.js";
 const { Schema } = mongoose;
 
 /**
  * NotificationTemplate Model
- * Stores reusable notification templates for admin-sent notifications
+ * Stores reusable notification templates for admin-sent notifications, and
+ * admin overrides and translations of the built-in system templates.
+ * Text fields use the template engine syntax (src/utils/templateEngine.js).
  */
 const NotificationTemplateSchema = new Schema(
     {
         name: {
             type: String,
             required: true,
-            unique: true,
             trim: true,
             index: true
         },
         slug: {
             type: String,
             required: true,
-            unique: true,
             trim: true,
             lowercase: true,
             index: true
         },
+        // One template per slug and locale, e.g. "en", "hi" or "en-IN"
+        locale: {
+            type: String,
+            default: 'en',
+            trim: true
+        },
         subject: {
             type: String,
             required: true,
             trim: true
         },
+        // Email header; the subject is used when empty
+        heading: {
+            type: String,
+            trim: true
+        },
+        // Plain-text body, also used for SMS and HTML when those are empty
         body: {
             type: String,
             required: true
         },
+        htmlBody: {
+            type: String
+        },
+        smsBody: {
+            type: String
+        },
+        footer: {
+            type: String
+        },
+        // Wrap the HTML email in the shared layout
+        useLayout: {
+            type: Boolean,
+            default: true
+        },
         // Supported channels for this template
         channels: {
             email: { type: Boolean, default: true },
@@ -40,10 +67,16 @@ const NotificationTemplateSchema = new Schema(
         // Template variables that can be substituted
         variables: [{
             name: { type: String, required: true },
+            type: { type: String, enum: VARIABLE_TYPES, default: 'string' },
             description: { type: String },
             required: { type: Boolean, default: false },
             defaultValue: { type: String }
         }],
+        // Example values for previews and test sends
+        sampleData: {
+            type: Schema.Types.Mixed,
+            default: {}
+        },
         // Category for organization
         category: {
             type: String,
@@ -69,6 +102,7 @@ const NotificationTemplateSchema = new Schema(
 );
 
 // Indexes
+NotificationTemplateSchema.index({ slug: 1, locale: 1 }, { unique: true });
 NotificationTemplateSchema.index({ category: 1, isActive: 1 });
 NotificationTemplateSchema.index({ name: 'text', subject: 'text' });
 
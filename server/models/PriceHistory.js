@@ -0,0 +1,30 @@
+// models/PriceHistory.js
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+/**
+ * One change to a property's listed price (monthlyRent for rent, sellingPrice for buy).
+ * The price a listing was created with is its createdAt price, or the first entry's previousPrice.
+ * city/category/listingType are copied from the property so price trends can aggregate changes.
+ */
+const priceHistorySchema = new Schema(
+    {
+        propertyId: { type: Schema.Types.ObjectId, ref: "Property", required: true },
+        listingType: { type: String, enum: ["rent", "buy"], default: "rent" },
+        city: { type: String, default: "" },
+        category: { type: String, default: "" },
+
+        previousPrice: { type: Number, required: true },
+        price: { type: Number, required: true },
+        changeType: { type: String, enum: ["increase", "decrease"], required: true },
+
+        changedBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+        source: { type: String, enum: ["owner", "admin", "import", "system"], default: "owner" },
+    },
+    { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+priceHistorySchema.index({ propertyId: 1, createdAt: 1 });
+priceHistorySchema.index({ city: 1, listingType: 1, category: 1, createdAt: -1 }); // price trends
+
+export const PriceHistory = mongoose.models.PriceHistory || mongoose.model("PriceHistory", priceHistorySchema);
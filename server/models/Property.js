@@ -1,5 +1,6 @@
 
 import mongoose from "mongoose";
+import { resolveLocality } from "../src/utils/locality.js";
 const { Schema } = mongoose;
 
 // Geo schema (no _id)
@@ -43,6 +44,7 @@ const propertySchema = new mongoose.Schema(
         availableFrom: { type: Date, required: true },
         city: { type: String, required: true, index: true },
         address: { type: String, required: true },
+        locality: { type: String, default: "" }, // area from the Location collection, resolved from city + address on save
 
         mapLocation: { type: String, default: "" },
 
@@ -69,6 +71,10 @@ const propertySchema = new mongoose.Schema(
         bookingAmount: { type: Number, default: 0 },
         loanAvailable: { type: Boolean, default: true },
 
+        // Price drop tracking (monthlyRent for rent, sellingPrice for buy)
+        previousPrice: { type: Number, default: null }, // price before the last drop
+        priceDroppedAt: { type: Date, default: null },
+
         // Legacy field - kept for backward compatibility, use rentNegotiable instead
         negotiable: { type: Boolean, default: false },
 
@@ -157,6 +163,46 @@ propertySchema.index({ listingType: 1, sellingPrice: 1, status: 1, isDeleted: 1
 propertySchema.index({ listingType: 1, category: 1, status: 1, isDeleted: 1 }); // listing type + category
 propertySchema.index({ listingType: 1, status: 1, isDeleted: 1, createdAt: -1 }); // listing type with date sort
 
+propertySchema.index({ priceDroppedAt: -1, status: 1, isDeleted: 1 }); // saved search price drop alerts
+
+propertySchema.index({ locality: 1, city: 1, status: 1, isDeleted: 1 }); // area suggestion counts
+
+// Keep locality in step with city and address
+propertySchema.pre("save", async function () {
+    if (this.isNew || this.isModified("city") || this.isModified("address")) {
+        this.locality = await resolveLocality(this.city, this.address);
+    }
+});
+
+propertySchema.pre("insertMany", async function (next, docs) {
+    const list = Array.isArray(docs) ? docs : [docs];
+    await Promise.all(list.map(async (doc) => {
+        doc.locality = await resolveLocality(doc.city, doc.address);
+    }));
+});
+
+propertySchema.pre("findOneAndUpdate", async function () {
+    const update = this.getUpdate() || {};
+    const changes = update.$set || update;
+    if (changes.city === undefined && changes.address === undefined) return;
+
+    let { city, address } = changes;
+    if (city === undefined || address === undefined) {
+        const current = await this.model.findOne(this.getQuery()).select("city address").lean();
+        if (!current) return;
+        city = city ?? current.city;
+        address = address ?? current.address;
+    }
+
+    const locality = await resolveLocality(city, address);
+    if (update.$set) {
+        update.$set.locality = locality;
+    } else {
+        update.locality = locality;
+    }
+    this.setUpdate(update);
+});
+
 // Listing Lifecycle indexes
 propertySchema.index({ expiresAt: 1, status: 1, isDeleted: 1 }); // for expiration processing
 propertySchema.index({ expiresAt: 1, expirationWarned: 1, status: 1, isDeleted: 1 }); // for warning notifications
@@ -0,0 +1,30 @@
+// models/PushSubscription.js
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+/**
+ * A browser's Web Push subscription. Each device or browser profile a user
+ * enables push notifications on gets its own subscription.
+ */
+const pushSubscriptionSchema = new Schema(
+    {
+        userId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+
+        // Push service URL the browser handed out; unique per browser profile
+        endpoint: { type: String, required: true, unique: true },
+        keys: {
+            p256dh: { type: String, required: true },
+            auth: { type: String, required: true },
+        },
+        expirationTime: { type: Date, default: null },
+
+        userAgent: { type: String, default: "", maxlength: 500 },
+        lastSuccessAt: { type: Date, default: null },
+        // Consecutive failed sends; the subscription is dropped after too many
+        failureCount: { type: Number, default: 0 },
+    },
+    { timestamps: true }
+);
+
+export const PushSubscription =
+    mongoose.models.PushSubscription || mongoose.model("PushSubscription", pushSubscriptionSchema);
@@ -0,0 +1,24 @@
+// models/RateLimitCounter.js
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+/**
+ * Request counter for one rate limit key in one fixed time window.
+ * _id is "<key>:<windowStart>" so increments are a single upsert.
+ */
+const rateLimitCounterSchema = new Schema(
+    {
+        _id: { type: String },
+        key: { type: String, required: true, index: true },
+        windowStart: { type: Date, required: true },
+        count: { type: Number, default: 0 },
+        expiresAt: { type: Date, required: true },
+    },
+    { versionKey: false }
+);
+
+// MongoDB removes counters once they can no longer affect a sliding window
+rateLimitCounterSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export const RateLimitCounter = mongoose.models.RateLimitCounter ||
+    mongoose.model("RateLimitCounter", rateLimitCounterSchema);
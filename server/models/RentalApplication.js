@@ -0,0 +1,74 @@
+// models/RentalApplication.js
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+export const INCOME_RANGES = ["below_25k", "25k_50k", "50k_1l", "1l_2l", "above_2l"];
+export const APPLICATION_DOCUMENT_TYPES = ["id_proof", "income_proof", "employment_letter", "reference", "other"];
+
+// Uploaded supporting document (no _id)
+const ApplicationDocumentSchema = new Schema(
+    {
+        documentType: { type: String, enum: APPLICATION_DOCUMENT_TYPES, default: "other" },
+        originalName: String,
+        filename: String, // Cloudinary public ID
+        mimetype: String,
+        size: Number,
+        url: String,
+    },
+    { _id: false }
+);
+
+/**
+ * A seeker's application to rent a property.
+ * Status flow: submitted -> shortlisted -> accepted | rejected; the applicant
+ * can withdraw while the application is open. Accepting one application takes
+ * the listing off the market and rejects the other open applications. When
+ * the listing goes live again the accepted application is closed, so each
+ * listing cycle can accept one application.
+ */
+const rentalApplicationSchema = new Schema(
+    {
+        propertyId: { type: Schema.Types.ObjectId, ref: "Property", required: true },
+        ownerId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+        applicantId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+
+        householdSize: { type: Number, min: 1, max: 20, required: true },
+        moveInDate: { type: Date, required: true },
+        occupation: { type: String, trim: true, maxlength: 100, required: true },
+        incomeRange: { type: String, enum: INCOME_RANGES, required: true },
+        message: { type: String, trim: true, maxlength: 1000, default: "" },
+        documents: [ApplicationDocumentSchema],
+
+        status: {
+            type: String,
+            enum: ["submitted", "shortlisted", "accepted", "rejected", "withdrawn", "closed"],
+            default: "submitted",
+        },
+        statusHistory: [
+            {
+                status: String,
+                changedBy: { type: Schema.Types.ObjectId, ref: "User" },
+                note: { type: String, default: "" },
+                changedAt: { type: Date, default: Date.now },
+                _id: false,
+            },
+        ],
+        ownerNote: { type: String, trim: true, maxlength: 500, default: "" }, // shown to the applicant
+        decidedAt: { type: Date, default: null },
+    },
+    { timestamps: true }
+);
+
+rentalApplicationSchema.index({ propertyId: 1, status: 1, createdAt: -1 });
+rentalApplicationSchema.index({ applicantId: 1, createdAt: -1 });
+rentalApplicationSchema.index({ ownerId: 1, status: 1, createdAt: -1 });
+// At most one accepted application per property; closed on relisting
+rentalApplicationSchema.index(
+    { propertyId: 1 },
+    { unique: true, partialFilterExpression: { status: "accepted" } }
+);
+// One open application per applicant and property is enforced at application level
+rentalApplicationSchema.index({ propertyId: 1, applicantId: 1 });
+
+export const RentalApplication =
+    mongoose.models.RentalApplication || mongoose.model("RentalApplication", rentalApplicationSchema);
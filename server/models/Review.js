@@ -58,6 +58,21 @@ const ReviewSchema = new Schema(
         reportCount: {
             type: Number,
             default: 0
+        },
+        // Voter tracking so a user can only mark helpful / report once
+        helpfulVoters: {
+            type: [{ type: Schema.Types.ObjectId, ref: 'User' }],
+            default: [],
+            select: false
+        },
+        reports: {
+            type: [{
+                userId: { type: Schema.Types.ObjectId, ref: 'User', required: true },
+                reason: { type: String, default: '', trim: true },
+                createdAt: { type: Date, default: Date.now }
+            }],
+            default: [],
+            select: false
         }
     },
     { timestamps: true }
@@ -0,0 +1,55 @@
+// models/SavedSearch.js
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+/**
+ * A named set of listing filters saved by a user.
+ * The saved search cron matches new and price-dropped listings against it
+ * and alerts the owner instantly or in a daily digest.
+ */
+const savedSearchSchema = new Schema(
+    {
+        userId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+        name: { type: String, required: true, trim: true, maxlength: 100 },
+        listingType: { type: String, enum: ["rent", "buy"], required: true },
+
+        // Filter state from the listings pages
+        filters: {
+            query: { type: String, default: "" },
+            location: { type: String, default: "" },
+            category: { type: String, default: "" },
+            minPrice: { type: Number, default: null },
+            maxPrice: { type: Number, default: null },
+            bedrooms: [{ type: String }], // "1".."4", "5+"
+            furnishing: [{ type: String }],
+            amenities: [{ type: String }],
+            preferredTenants: { type: String, default: "" }, // rent only
+            possessionStatus: { type: String, default: "" }, // buy only
+            loanAvailable: { type: Boolean, default: null }, // buy only
+        },
+
+        alertFrequency: { type: String, enum: ["instant", "daily", "off"], default: "instant" },
+
+        // Listings created or price-dropped after this are new for the search
+        lastCheckedAt: { type: Date, default: Date.now },
+        lastNotifiedAt: { type: Date, default: null },
+
+        // Matches waiting for the next daily digest
+        pendingMatches: [
+            {
+                _id: false,
+                propertyId: { type: Schema.Types.ObjectId, ref: "Property" },
+                reason: { type: String, enum: ["new", "price_drop"], default: "new" },
+                matchedAt: { type: Date, default: Date.now },
+            },
+        ],
+        // Matches for the next daily digest beyond the ones an alert run queues
+        pendingMoreCount: { type: Number, default: 0 },
+    },
+    { timestamps: true }
+);
+
+savedSearchSchema.index({ userId: 1, createdAt: -1 });
+savedSearchSchema.index({ alertFrequency: 1, lastCheckedAt: 1 });
+
+export const SavedSearch = mongoose.models.SavedSearch || mongoose.model("SavedSearch", savedSearchSchema);
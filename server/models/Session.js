@@ -0,0 +1,34 @@
+// models/Session.js
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+/**
+ * Refresh token session (one per signed-in device)
+ * Only a hash of the current refresh token id is stored; it changes on every refresh.
+ */
+const sessionSchema = new Schema(
+    {
+        userId: { type: Schema.Types.ObjectId, ref: "User", required: true, index: true },
+        tokenHash: { type: String, required: true, select: false },
+        previousTokenHash: { type: String, default: null, select: false },
+        userAgent: { type: String, default: null },
+        ipAddress: { type: String, default: null },
+        browser: { type: String, default: null },
+        os: { type: String, default: null },
+        deviceType: { type: String, enum: ["desktop", "mobile", "tablet", "unknown"], default: "unknown" },
+        lastUsedAt: { type: Date, default: Date.now },
+        expiresAt: { type: Date, required: true },
+        revokedAt: { type: Date, default: null },
+        revokedReason: {
+            type: String,
+            enum: [null, "logout", "logout_all", "user_revoked", "password_change", "blocked", "token_reuse"],
+            default: null,
+        },
+    },
+    { timestamps: true }
+);
+
+sessionSchema.index({ userId: 1, revokedAt: 1, lastUsedAt: -1 }); // active sessions per user
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 }); // drop expired sessions
+
+export const Session = mongoose.models.Session || mongoose.model("Session", sessionSchema);
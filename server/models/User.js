@@ -7,6 +7,8 @@ const UserSchema = new Schema(
         email: { type: String, index: true },
         phone: { type: String, index: true },
         address: { type: String },
+        // Language for emails and texts, e.g. "en" or "hi"; templates fall back to English
+        locale: { type: String, default: "en", trim: true },
 
         userType: {
             type: String,
@@ -55,6 +57,24 @@ const UserSchema = new Schema(
             createdAt: { type: Date, default: Date.now }
         }],
 
+        // Users this user has blocked in chat (neither side can message the other)
+        blockedUsers: {
+            type: [{ type: Schema.Types.ObjectId, ref: "User" }],
+            default: [],
+            select: false
+        },
+
+        // Saved chat replies; text may use placeholders (see quickReplyService)
+        chatQuickReplies: [{
+            title: { type: String, required: true, trim: true, maxlength: 60 },
+            text: { type: String, required: true, trim: true, maxlength: 1000 }
+        }],
+        // Sent as a system message when someone starts a conversation about one of the user's properties
+        chatAutoResponse: {
+            enabled: { type: Boolean, default: false },
+            text: { type: String, trim: true, maxlength: 1000, default: '' }
+        },
+
         // Privacy and compliance fields
         privacySettings: {
             dataProcessing: {
@@ -100,6 +120,9 @@ const UserSchema = new Schema(
         isBlocked: { type: Boolean, default: false },
         blockedAt: { type: Date },
         blockedReason: { type: String },
+        // Chat warnings issued from the message report queue
+        chatWarningCount: { type: Number, default: 0 },
+        lastChatWarningAt: { type: Date },
         mustChangePassword: { type: Boolean, default: false },
         lastActivityAt: { type: Date },
     },
@@ -120,6 +143,7 @@ UserSchema.index({ isBlocked: 1 });
 UserSchema.index({ lastActivityAt: -1 });
 UserSchema.index({ isActive: 1, isBlocked: 1 });
 UserSchema.index({ role: 1, isActive: 1, isBlocked: 1 });
+UserSchema.index({ blockedUsers: 1 });
 
 export const User =
     mongoose.models.User || mongoose.model("User", UserSchema);
@@ -0,0 +1,30 @@
+// models/ViewHistory.js
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+/**
+ * A listing a signed-in user has opened, one entry per user and property.
+ * listingType/city/category/price are copied from the property when viewed,
+ * so the personalized feed can build a user's preferences without joining listings.
+ * Only recorded while privacySettings.dataRetention.keepViewHistory is on.
+ */
+const viewHistorySchema = new Schema(
+    {
+        userId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+        propertyId: { type: Schema.Types.ObjectId, ref: "Property", required: true },
+        listingType: { type: String, enum: ["rent", "buy"], default: "rent" },
+        city: { type: String, default: "" },
+        category: { type: String, default: "" },
+        price: { type: Number, default: null }, // monthlyRent for rent, sellingPrice for buy
+
+        viewCount: { type: Number, default: 1 },
+        lastViewedAt: { type: Date, default: Date.now },
+    },
+    { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+viewHistorySchema.index({ userId: 1, propertyId: 1 }, { unique: true });
+viewHistorySchema.index({ userId: 1, lastViewedAt: -1 }); // recently viewed
+viewHistorySchema.index({ lastViewedAt: 1 }); // retention cleanup
+
+export const ViewHistory = mongoose.models.ViewHistory || mongoose.model("ViewHistory", viewHistorySchema);
@@ -0,0 +1,38 @@
+// models/ViewingAppointment.js
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+/**
+ * A seeker's booked visit to a property.
+ * startsAt/endsAt are copied from the slot so rescheduling keeps one appointment
+ * (and one calendar event) while moving it between slots.
+ */
+const viewingAppointmentSchema = new Schema(
+    {
+        propertyId: { type: Schema.Types.ObjectId, ref: "Property", required: true },
+        slotId: { type: Schema.Types.ObjectId, ref: "ViewingSlot", required: true },
+        ownerId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+        seekerId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+        conversationId: { type: Schema.Types.ObjectId, ref: "Conversation", default: null },
+
+        startsAt: { type: Date, required: true },
+        endsAt: { type: Date, required: true },
+        note: { type: String, trim: true, maxlength: 500, default: "" },
+
+        status: { type: String, enum: ["booked", "cancelled"], default: "booked" },
+        cancelledBy: { type: Schema.Types.ObjectId, ref: "User", default: null },
+        cancellationReason: { type: String, trim: true, maxlength: 500, default: "" },
+        cancelledAt: { type: Date, default: null },
+
+        rescheduleCount: { type: Number, default: 0 },
+        sequence: { type: Number, default: 0 }, // iCalendar SEQUENCE, bumped on every change
+    },
+    { timestamps: true }
+);
+
+viewingAppointmentSchema.index({ seekerId: 1, startsAt: -1 });
+viewingAppointmentSchema.index({ ownerId: 1, startsAt: -1 });
+viewingAppointmentSchema.index({ propertyId: 1, seekerId: 1, status: 1 });
+
+export const ViewingAppointment =
+    mongoose.models.ViewingAppointment || mongoose.model("ViewingAppointment", viewingAppointmentSchema);
@@ -0,0 +1,25 @@
+// models/ViewingSlot.js
+import mongoose from "mongoose";
+const { Schema } = mongoose;
+
+/**
+ * A time window in which the owner can show a property.
+ * Each slot holds at most one booking; appointmentId points at it while booked.
+ */
+const viewingSlotSchema = new Schema(
+    {
+        propertyId: { type: Schema.Types.ObjectId, ref: "Property", required: true },
+        ownerId: { type: Schema.Types.ObjectId, ref: "User", required: true },
+        startsAt: { type: Date, required: true },
+        endsAt: { type: Date, required: true },
+
+        appointmentId: { type: Schema.Types.ObjectId, ref: "ViewingAppointment", default: null },
+        isCancelled: { type: Boolean, default: false },
+    },
+    { timestamps: true }
+);
+
+viewingSlotSchema.index({ propertyId: 1, startsAt: 1 });
+viewingSlotSchema.index({ ownerId: 1, startsAt: 1 });
+
+export const ViewingSlot = mongoose.models.ViewingSlot || mongoose.model("ViewingSlot", viewingSlotSchema);
@@ -2,6 +2,7 @@ import { Router } from "express";
 import { Property } from "../models/Property.js";
 import { User } from "../models/User.js";
 import { requireAdmin } from "../src/middleware/adminAuth.js";
+import { invalidatePropertyCache } from "../src/utils/cache.js";
 
 const router = Router();
 
@@ -18,6 +19,7 @@ router.patch("/listings/:id", requireAdmin, (async (req, res) => {
     const prop = await Property.findByIdAndUpdate(req.params.id, { featured, status }, { new: true }).lean();
     if (!prop)
         return res.status(404).json({ error: "Not found" });
+    await invalidatePropertyCache(prop._id);
     res.json(prop);
 }));
 
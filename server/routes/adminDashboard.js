@@ -5,6 +5,7 @@ import { Property } from "../models/Property.js";
 import { AuditLog } from "../models/AuditLog.js";
 import { connectDB } from "../src/config/db.js";
 import { requireAdmin } from "../src/middleware/adminAuth.js";
+import cache from "../src/utils/cache.js";
 
 const router = Router();
 
@@ -26,6 +27,10 @@ const chartsQuerySchema = z.object({
     type: z.enum(['users', 'properties', 'activity', 'all']).default('all')
 });
 
+const cacheClearSchema = z.object({
+    resetStats: z.boolean().default(false)
+});
+
 /* ---------------------- HELPER FUNCTIONS ---------------------- */
 
 /**
@@ -445,4 +450,58 @@ router.get("/charts", requireAdmin, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/dashboard/cache
+ * Get cache backend status and hit/miss metrics per namespace (counted by this instance)
+ */
+router.get("/cache", requireAdmin, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: cache.getStats()
+        });
+    } catch (error) {
+        console.error('Error fetching cache stats:', error);
+        res.status(500).json({
+            success: false,
+            error: "INTERNAL_ERROR",
+            message: "Failed to retrieve cache statistics"
+        });
+    }
+});
+
+/**
+ * POST /api/admin/dashboard/cache/clear
+ * Remove every cached entry, optionally resetting the metrics
+ */
+router.post("/cache/clear", requireAdmin, async (req, res) => {
+    try {
+        const bodyResult = cacheClearSchema.safeParse(req.body || {});
+        if (!bodyResult.success) {
+            return res.status(400).json({
+                success: false,
+                error: "VALIDATION_ERROR",
+                message: "Invalid request body",
+                details: bodyResult.error.errors
+            });
+        }
+
+        await cache.clear();
+        if (bodyResult.data.resetStats) cache.resetStats();
+
+        res.json({
+            success: true,
+            message: "Cache cleared",
+            data: cache.getStats()
+        });
+    } catch (error) {
+        console.error('Error clearing cache:', error);
+        res.status(500).json({
+            success: false,
+            error: "INTERNAL_ERROR",
+            message: "Failed to clear cache"
+        });
+    }
+});
+
 export default router;
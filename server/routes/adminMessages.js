@@ -1,16 +1,22 @@
 import { Router } from "express";
 import { z } from "zod";
 import { Conversation } from "../models/Conversation.js";
+import { Message } from "../models/Message.js";
 import { connectDB } from "../src/config/db.js";
 import { requireAdmin } from "../src/middleware/adminAuth.js";
 import { createAuditLog } from "../src/services/adminAuditService.js";
+import messageReportService from "../src/services/messageReportService.js";
+import messageScanService, { CHAT_SCAN_SETTINGS_KEY, DEFAULT_SCAN_SETTINGS } from "../src/services/messageScanService.js";
+import { MESSAGE_REPORT_STATUSES } from "../models/MessageReport.js";
+import { getIO } from "../socket.js";
 
 const router = Router();
 
 /**
  * Admin Message Management Routes
  * 
- * Provides read-only access to conversations and messages for moderation purposes.
+ * Provides read-only access to conversations and messages for moderation purposes,
+ * and the review queue for messages reported by users.
  * All access is logged for audit purposes.
  */
 
@@ -20,10 +26,23 @@ const conversationListQuerySchema = z.object({
     page: z.coerce.number().int().min(1).default(1),
     limit: z.coerce.number().int().min(1).max(100).default(20),
     search: z.string().optional(),
+    minRisk: z.coerce.number().int().min(0).max(100).optional(),
     sortBy: z.string().default('lastActivityAt'),
     sortOrder: z.enum(['asc', 'desc']).default('desc')
 });
 
+const reportListQuerySchema = z.object({
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(100).default(20),
+    status: z.enum(MESSAGE_REPORT_STATUSES).optional(),
+    reportedUser: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid user ID format").optional()
+});
+
+const resolveReportSchema = z.object({
+    action: z.enum(['warn', 'block', 'dismiss']),
+    note: z.string().trim().max(500).optional()
+});
+
 /* ---------------------- ROUTES ---------------------- */
 
 /**
@@ -45,11 +64,16 @@ router.get("/conversations", requireAdmin, async (req, res) => {
             });
         }
 
-        const { page, limit, search, sortBy, sortOrder } = queryResult.data;
+        const { page, limit, search, minRisk, sortBy, sortOrder } = queryResult.data;
 
         // Build query
         const query = { isActive: true };
 
+        // Only conversations whose messages were flagged at least this risky
+        if (minRisk !== undefined) {
+            query['risk.score'] = { $gte: minRisk };
+        }
+
         // Add search filter if provided (search by participant name/email)
         if (search) {
             // We'll need to search after population, so we'll filter in memory
@@ -70,6 +94,7 @@ router.get("/conversations", requireAdmin, async (req, res) => {
                 .sort(sort)
                 .skip(skip)
                 .limit(limit)
+                .select('-messages')
                 .lean(),
             Conversation.countDocuments(query)
         ]);
@@ -87,6 +112,13 @@ router.get("/conversations", requireAdmin, async (req, res) => {
             total = conversations.length;
         }
 
+        // Message counts for the listed conversations
+        const messageCounts = await Message.aggregate([
+            { $match: { conversation: { $in: conversations.map(conv => conv._id) } } },
+            { $group: { _id: '$conversation', count: { $sum: 1 } } }
+        ]);
+        const messageCountById = new Map(messageCounts.map(({ _id, count }) => [_id.toString(), count]));
+
         // Log admin access for audit (Requirement 9.3)
         await createAuditLog({
             adminId: req.user._id,
@@ -112,7 +144,8 @@ router.get("/conversations", requireAdmin, async (req, res) => {
                     property: conv.property,
                     lastMessage: conv.lastMessage,
                     lastActivityAt: conv.lastActivityAt,
-                    messageCount: conv.messages?.length || 0,
+                    messageCount: messageCountById.get(conv._id.toString()) || 0,
+                    risk: conv.risk || { score: 0, categories: [], flaggedMessages: 0 },
                     createdAt: conv.createdAt,
                     updatedAt: conv.updatedAt
                 })),
@@ -155,11 +188,10 @@ router.get("/conversations/:id", requireAdmin, async (req, res) => {
             });
         }
 
-        // Get conversation with all messages
         const conversation = await Conversation.findById(conversationId)
             .populate('participants', 'name email avatar phone')
             .populate('property', 'title images price location')
-            .populate('messages.sender', 'name email avatar')
+            .select('-messages')
             .lean();
 
         if (!conversation) {
@@ -170,6 +202,13 @@ router.get("/conversations/:id", requireAdmin, async (req, res) => {
             });
         }
 
+        // Get all messages, moving any still embedded in the conversation first
+        await Message.moveEmbeddedMessages(conversation._id);
+        const messages = await Message.find({ conversation: conversation._id })
+            .sort({ _id: 1 })
+            .populate('sender', 'name email avatar')
+            .lean();
+
         // Log admin access for audit (Requirement 9.3)
         await createAuditLog({
             adminId: req.user._id,
@@ -180,7 +219,7 @@ router.get("/conversations/:id", requireAdmin, async (req, res) => {
             metadata: {
                 action: 'view_conversation',
                 participantIds: conversation.participants.map(p => p._id.toString()),
-                messageCount: conversation.messages?.length || 0
+                messageCount: messages.length
             },
             req
         });
@@ -196,23 +235,29 @@ router.get("/conversations/:id", requireAdmin, async (req, res) => {
                     property: conversation.property,
                     lastMessage: conversation.lastMessage,
                     lastActivityAt: conversation.lastActivityAt,
+                    risk: conversation.risk || { score: 0, categories: [], flaggedMessages: 0 },
                     createdAt: conversation.createdAt,
                     updatedAt: conversation.updatedAt,
                     isActive: conversation.isActive
                 },
-                messages: conversation.messages?.map(msg => ({
+                messages: messages.map(msg => ({
                     _id: msg._id,
                     sender: msg.sender,
                     text: msg.text,
                     type: msg.type,
                     read: msg.read,
                     readAt: msg.readAt,
+                    replyTo: msg.replyTo,
+                    reactions: msg.reactions,
+                    editedAt: msg.editedAt,
+                    editHistory: msg.editHistory,
+                    safety: msg.safety,
                     isDeleted: msg.isDeleted,
                     deletedAt: msg.deletedAt,
                     createdAt: msg.createdAt,
                     updatedAt: msg.updatedAt
-                })) || [],
-                totalMessages: conversation.messages?.length || 0
+                })),
+                totalMessages: messages.length
             }
         });
 
@@ -226,4 +271,172 @@ router.get("/conversations/:id", requireAdmin, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/messages/reports
+ * Review queue of reported messages
+ */
+router.get("/reports", requireAdmin, async (req, res) => {
+    try {
+        await connectDB();
+
+        const queryResult = reportListQuerySchema.safeParse(req.query);
+        if (!queryResult.success) {
+            return res.status(400).json({
+                success: false,
+                error: "VALIDATION_ERROR",
+                message: "Invalid query parameters",
+                details: queryResult.error.errors
+            });
+        }
+
+        const result = await messageReportService.listReports(queryResult.data);
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to retrieve reports"
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                reports: result.reports,
+                pagination: result.pagination,
+                summary: result.summary
+            }
+        });
+
+    } catch (error) {
+        console.error('Error listing message reports:', error);
+        res.status(500).json({
+            success: false,
+            error: "INTERNAL_ERROR",
+            message: "Failed to retrieve reports"
+        });
+    }
+});
+
+
+/**
+ * PATCH /api/admin/messages/reports/:id
+ * Resolve a report by warning or blocking the reported user, or dismiss it
+ */
+router.patch("/reports/:id", requireAdmin, async (req, res) => {
+    try {
+        await connectDB();
+
+        const bodyResult = resolveReportSchema.safeParse(req.body);
+        if (!bodyResult.success) {
+            return res.status(400).json({
+                success: false,
+                error: "VALIDATION_ERROR",
+                message: "Invalid resolution data",
+                details: bodyResult.error.errors
+            });
+        }
+
+        const { action, note } = bodyResult.data;
+        const result = await messageReportService.resolveReport(req.params.id, req.user._id, { action, note });
+
+        if (!result.success) {
+            const statusCode = result.code === 'INVALID_ID' ? 400 :
+                ['REPORT_NOT_FOUND', 'USER_NOT_FOUND'].includes(result.code) ? 404 :
+                    ['ALREADY_RESOLVED', 'INVALID_ACTION'].includes(result.code) ? 409 : 500;
+            return res.status(statusCode).json({
+                success: false,
+                error: result.code,
+                message: result.error
+            });
+        }
+
+        const { report, previousUser } = result;
+
+        await createAuditLog({
+            adminId: req.user._id,
+            action: { warn: 'WARN', block: 'BLOCK', dismiss: 'REJECT' }[action],
+            resourceType: 'message_report',
+            resourceId: report._id,
+            changes: {
+                status: report.status,
+                ...(action === 'warn' && { chatWarningCount: (previousUser.chatWarningCount || 0) + 1 }),
+                ...(action === 'block' && { isBlocked: true })
+            },
+            previousValues: {
+                status: 'pending',
+                isBlocked: previousUser.isBlocked,
+                chatWarningCount: previousUser.chatWarningCount || 0
+            },
+            metadata: {
+                reportedUserId: report.reportedUser.toString(),
+                messageId: report.message.toString(),
+                conversationId: report.conversation.toString(),
+                reason: report.reason,
+                note,
+                resolvedReportIds: result.resolvedReportIds.map(id => id.toString())
+            },
+            req
+        });
+
+        // Blocked users are dropped from chat right away instead of when their token expires
+        if (action === 'block') {
+            getIO()?.in(`user:${report.reportedUser}`).disconnectSockets(true);
+        }
+
+        const messages = {
+            warn: `${previousUser.name} has been warned`,
+            block: `${previousUser.name} has been blocked`,
+            dismiss: 'Report dismissed'
+        };
+
+        res.json({
+            success: true,
+            data: {
+                report,
+                resolvedReports: result.resolvedReportIds.length,
+                ...(action === 'block' && { revokedSessions: result.revokedSessions })
+            },
+            message: messages[action]
+        });
+
+    } catch (error) {
+        console.error('Error resolving message report:', error);
+        res.status(500).json({
+            success: false,
+            error: "INTERNAL_ERROR",
+            message: "Failed to resolve report"
+        });
+    }
+});
+
+/**
+ * GET /api/admin/messages/scan-settings
+ * Get the effective message scanning settings and the built-in defaults.
+ * They are changed through the chat_message_scanning system setting.
+ */
+router.get("/scan-settings", requireAdmin, async (req, res) => {
+    try {
+        await connectDB();
+
+        const settings = await messageScanService.getSettings();
+
+        res.json({
+            success: true,
+            data: {
+                key: CHAT_SCAN_SETTINGS_KEY,
+                settings,
+                defaults: DEFAULT_SCAN_SETTINGS
+            }
+        });
+
+    } catch (error) {
+        console.error('Error getting message scan settings:', error);
+        res.status(500).json({
+            success: false,
+            error: "INTERNAL_ERROR",
+            message: "Failed to retrieve scan settings"
+        });
+    }
+});
+
 export default router;
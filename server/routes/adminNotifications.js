@@ -7,6 +7,10 @@ import { User } from "../models/User.js";
 import { connectDB } from "../src/config/db.js";
 import { requireAdmin } from "../src/middleware/adminAuth.js";
 import { createAuditLog } from "../src/services/adminAuditService.js";
+import notificationTemplateService, { LOCALE_PATTERN } from "../src/services/notificationTemplateService.js";
+import emailService from "../src/services/emailService.js";
+import smsService from "../src/services/smsService.js";
+import { VARIABLE_TYPES } from "../src/utils/templateEngine.js";
 
 const router = Router();
 
@@ -21,7 +25,9 @@ const sendNotificationSchema = z.object({
     subject: z.string().min(1, "Subject is required"),
     message: z.string().min(1, "Message is required"),
     channel: z.enum(['email', 'sms', 'push', 'in-app']).default('in-app'),
-    templateId: z.string().optional()
+    templateId: z.string().optional(),
+    // Values for the template's variables; userName is filled in per recipient
+    variables: z.record(z.any()).optional()
 });
 
 const broadcastSchema = z.object({
@@ -29,31 +35,56 @@ const broadcastSchema = z.object({
     message: z.string().min(1, "Message is required"),
     channel: z.enum(['email', 'sms', 'push', 'in-app']),
     targetRoles: z.array(z.enum(['user', 'seller', 'admin', 'owner', 'agent'])).optional(),
-    templateId: z.string().optional()
+    templateId: z.string().optional(),
+    variables: z.record(z.any()).optional()
 });
 
 const templateCreateSchema = z.object({
     name: z.string().min(1, "Name is required"),
     slug: z.string().min(1, "Slug is required").regex(/^[a-z0-9-]+$/, "Slug must be lowercase alphanumeric with hyphens"),
+    locale: z.string().regex(LOCALE_PATTERN, "Locale must look like \"en\" or \"en-IN\"").default('en'),
     subject: z.string().min(1, "Subject is required"),
+    heading: z.string().optional(),
     body: z.string().min(1, "Body is required"),
+    htmlBody: z.string().optional(),
+    smsBody: z.string().optional(),
+    footer: z.string().optional(),
+    useLayout: z.boolean().default(true),
     channels: z.object({
         email: z.boolean().default(true),
         sms: z.boolean().default(false),
         push: z.boolean().default(false)
     }).optional(),
     variables: z.array(z.object({
-        name: z.string(),
+        name: z.string().regex(/^[A-Za-z_]\w*$/, "Variable names must be letters, digits and underscores"),
+        type: z.enum(VARIABLE_TYPES).default('string'),
         description: z.string().optional(),
         required: z.boolean().default(false),
         defaultValue: z.string().optional()
     })).optional(),
+    sampleData: z.record(z.any()).optional(),
     category: z.enum(['system', 'marketing', 'transactional', 'security', 'custom']).default('custom'),
     isActive: z.boolean().default(true)
 });
 
 const templateUpdateSchema = templateCreateSchema.partial();
 
+// A saved template (templateId), a built-in one (slug) or unsaved form contents (template)
+const templateTargetSchema = z.object({
+    templateId: z.string().optional(),
+    slug: z.string().optional(),
+    template: templateCreateSchema.partial().optional(),
+    data: z.record(z.any()).default({})
+}).refine(body => body.templateId || body.slug || body.template, {
+    message: "templateId, slug or template is required"
+});
+
+const templateTestSchema = templateTargetSchema.and(z.object({
+    channel: z.enum(['email', 'sms']).default('email'),
+    // Defaults to the admin's own email address or phone number
+    to: z.string().optional()
+}));
+
 const logsQuerySchema = z.object({
     page: z.coerce.number().int().min(1).default(1),
     limit: z.coerce.number().int().min(1).max(100).default(20),
@@ -70,15 +101,53 @@ const logsQuerySchema = z.object({
 /* ---------------------- HELPER FUNCTIONS ---------------------- */
 
 /**
- * Replace template variables with actual values
+ * Reject templates the engine cannot parse
+ * @returns {object|null} 400 response body, or null when the template is valid
  */
-const replaceTemplateVariables = (text, variables = {}) => {
-    let result = text;
-    for (const [key, value] of Object.entries(variables)) {
-        const regex = new RegExp(`{{${key}}}`, 'g');
-        result = result.replace(regex, value || '');
+const checkTemplateSyntax = (template) => {
+    const validation = notificationTemplateService.validateDefinition(template);
+    if (validation.valid) return null;
+
+    return {
+        success: false,
+        error: "TEMPLATE_SYNTAX_ERROR",
+        message: "Template has syntax errors",
+        details: validation.errors
+    };
+};
+
+/**
+ * Resolve the template a preview or test send is for
+ * @returns {Promise<object|null>} Template definition, or null when not found
+ */
+const resolveTemplateTarget = async ({ templateId, slug, template }) => {
+    if (template) {
+        return { variables: [], ...template };
     }
-    return result;
+    if (templateId) {
+        return NotificationTemplate.findById(templateId).lean();
+    }
+    return notificationTemplateService.getSystemTemplate(slug);
+};
+
+/**
+ * Subject and message of an admin notification for one recipient. With a
+ * template, the recipient's translation is rendered with their name.
+ */
+const personalizeNotification = async (template, user, { subject, message, channel, variables = {} }) => {
+    if (!template) return { subject, message };
+
+    const localized = await notificationTemplateService.findTemplate(template.slug, user.locale) || template;
+    const rendered = notificationTemplateService.renderDefinition(
+        localized,
+        { ...variables, userName: user.name },
+        { locale: user.locale, strict: false }
+    );
+
+    return {
+        subject: rendered.subject,
+        message: channel === 'sms' ? rendered.sms : rendered.text
+    };
 };
 
 /**
@@ -116,13 +185,22 @@ router.post("/send", requireAdmin, async (req, res) => {
             });
         }
 
-        const { userIds, subject, message, channel, templateId } = bodyResult.data;
+        const { userIds, subject, message, channel, templateId, variables } = bodyResult.data;
+
+        const template = templateId ? await NotificationTemplate.findById(templateId).lean() : null;
+        if (templateId && !template) {
+            return res.status(404).json({
+                success: false,
+                error: "NOT_FOUND",
+                message: "Template not found"
+            });
+        }
 
         // Verify users exist
         const users = await User.find({
             _id: { $in: userIds },
             isDeleted: { $ne: true }
-        }).select('_id name email phone').lean();
+        }).select('_id name email phone locale').lean();
 
         if (users.length === 0) {
             return res.status(404).json({
@@ -162,22 +240,24 @@ router.post("/send", requireAdmin, async (req, res) => {
             let result = { success: false };
 
             try {
+                const content = await personalizeNotification(template, user, { subject, message, channel, variables });
+
                 switch (channel) {
                     case 'in-app':
-                        result = await sendInAppNotification(user._id, subject, message);
+                        result = await sendInAppNotification(user._id, content.subject, content.message);
                         break;
                     case 'email':
                         if (user.email) {
                             // Create in-app notification and log email attempt
-                            result = await sendInAppNotification(user._id, subject, message);
-                            console.log(`[ADMIN EMAIL] Would send to ${user.email}: ${subject}`);
+                            result = await sendInAppNotification(user._id, content.subject, content.message);
+                            console.log(`[ADMIN EMAIL] Would send to ${user.email}: ${content.subject}`);
                         }
                         break;
                     case 'sms':
                         if (user.phone) {
                             // Create in-app notification and log SMS attempt
-                            result = await sendInAppNotification(user._id, subject, message);
-                            console.log(`[ADMIN SMS] Would send to ${user.phone}: ${message}`);
+                            result = await sendInAppNotification(user._id, content.subject, content.message);
+                            console.log(`[ADMIN SMS] Would send to ${user.phone}: ${content.message}`);
                         }
                         break;
                     case 'push':
@@ -262,7 +342,16 @@ router.post("/broadcast", requireAdmin, async (req, res) => {
             });
         }
 
-        const { subject, message, channel, targetRoles, templateId } = bodyResult.data;
+        const { subject, message, channel, targetRoles, templateId, variables } = bodyResult.data;
+
+        const template = templateId ? await NotificationTemplate.findById(templateId).lean() : null;
+        if (templateId && !template) {
+            return res.status(404).json({
+                success: false,
+                error: "NOT_FOUND",
+                message: "Template not found"
+            });
+        }
 
         // Build user query
         const userQuery = { isDeleted: { $ne: true }, isActive: true };
@@ -272,7 +361,7 @@ router.post("/broadcast", requireAdmin, async (req, res) => {
 
         // Get target users
         const users = await User.find(userQuery)
-            .select('_id name email phone')
+            .select('_id name email phone locale')
             .lean();
 
         if (users.length === 0) {
@@ -317,22 +406,24 @@ router.post("/broadcast", requireAdmin, async (req, res) => {
                 let result = { success: false };
 
                 try {
+                    const content = await personalizeNotification(template, user, { subject, message, channel, variables });
+
                     switch (channel) {
                         case 'in-app':
-                            result = await sendInAppNotification(user._id, subject, message);
+                            result = await sendInAppNotification(user._id, content.subject, content.message);
                             break;
                         case 'email':
                             if (user.email) {
                                 // Create in-app notification and log email attempt
-                                result = await sendInAppNotification(user._id, subject, message);
-                                console.log(`[ADMIN EMAIL] Would send to ${user.email}: ${subject}`);
+                                result = await sendInAppNotification(user._id, content.subject, content.message);
+                                console.log(`[ADMIN EMAIL] Would send to ${user.email}: ${content.subject}`);
                             }
                             break;
                         case 'sms':
                             if (user.phone) {
                                 // Create in-app notification and log SMS attempt
-                                result = await sendInAppNotification(user._id, subject, message);
-                                console.log(`[ADMIN SMS] Would send to ${user.phone}: ${message}`);
+                                result = await sendInAppNotification(user._id, content.subject, content.message);
+                                console.log(`[ADMIN SMS] Would send to ${user.phone}: ${content.message}`);
                             }
                             break;
                         case 'push':
@@ -409,13 +500,21 @@ router.get("/templates", requireAdmin, async (req, res) => {
     try {
         await connectDB();
 
-        const { category, isActive, search } = req.query;
+        const { category, isActive, search, locale, slug } = req.query;
         const query = {};
 
         if (category) {
             query.category = category;
         }
 
+        if (locale) {
+            query.locale = locale;
+        }
+
+        if (slug) {
+            query.slug = slug;
+        }
+
         if (isActive !== undefined) {
             query.isActive = isActive === 'true';
         }
@@ -430,7 +529,7 @@ router.get("/templates", requireAdmin, async (req, res) => {
         const templates = await NotificationTemplate.find(query)
             .populate('createdBy', 'name email')
             .populate('updatedBy', 'name email')
-            .sort({ category: 1, name: 1 })
+            .sort({ category: 1, name: 1, locale: 1 })
             .lean();
 
         res.json({
@@ -466,13 +565,21 @@ router.post("/templates", requireAdmin, async (req, res) => {
             });
         }
 
-        // Check for duplicate slug
-        const existing = await NotificationTemplate.findOne({ slug: bodyResult.data.slug });
+        const syntaxError = checkTemplateSyntax(bodyResult.data);
+        if (syntaxError) {
+            return res.status(400).json(syntaxError);
+        }
+
+        // Check for duplicate slug; each locale of a slug is its own template
+        const existing = await NotificationTemplate.findOne({
+            slug: bodyResult.data.slug,
+            locale: bodyResult.data.locale
+        });
         if (existing) {
             return res.status(409).json({
                 success: false,
                 error: "CONFLICT",
-                message: "A template with this slug already exists"
+                message: "A template with this slug and locale already exists"
             });
         }
 
@@ -483,6 +590,7 @@ router.post("/templates", requireAdmin, async (req, res) => {
         });
 
         await template.save();
+        await notificationTemplateService.invalidateCache();
 
         // Create audit log
         await createAuditLog({
@@ -490,7 +598,7 @@ router.post("/templates", requireAdmin, async (req, res) => {
             action: 'CREATE',
             resourceType: 'notification',
             resourceId: template._id,
-            changes: { templateName: template.name, category: template.category },
+            changes: { templateName: template.name, slug: template.slug, locale: template.locale, category: template.category },
             req
         });
 
@@ -510,6 +618,167 @@ router.post("/templates", requireAdmin, async (req, res) => {
     }
 });
 
+/**
+ * GET /api/admin/notifications/templates/system
+ * List the built-in templates every platform email and SMS is rendered from,
+ * with the saved overrides and translations of each
+ */
+router.get("/templates/system", requireAdmin, async (req, res) => {
+    try {
+        await connectDB();
+
+        const systemTemplates = notificationTemplateService.listSystemTemplates();
+        const overrides = await NotificationTemplate.find({ slug: { $in: systemTemplates.map(t => t.slug) } })
+            .select('slug locale isActive updatedAt')
+            .lean();
+
+        res.json({
+            success: true,
+            data: {
+                templates: systemTemplates.map(template => ({
+                    ...template,
+                    overrides: overrides.filter(o => o.slug === template.slug)
+                }))
+            }
+        });
+
+    } catch (error) {
+        console.error('Error listing system templates:', error);
+        res.status(500).json({
+            success: false,
+            error: "INTERNAL_ERROR",
+            message: "Failed to retrieve system templates"
+        });
+    }
+});
+
+/**
+ * POST /api/admin/notifications/templates/preview
+ * Render a template with its sample data, overridden by any data passed in
+ */
+router.post("/templates/preview", requireAdmin, async (req, res) => {
+    try {
+        await connectDB();
+
+        const bodyResult = templateTargetSchema.safeParse(req.body);
+        if (!bodyResult.success) {
+            return res.status(400).json({
+                success: false,
+                error: "VALIDATION_ERROR",
+                message: "Invalid preview request",
+                details: bodyResult.error.errors
+            });
+        }
+
+        const template = await resolveTemplateTarget(bodyResult.data);
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: "NOT_FOUND",
+                message: "Template not found"
+            });
+        }
+
+        const result = notificationTemplateService.preview(template, bodyResult.data.data);
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                error: result.code,
+                message: result.error,
+                details: result.details
+            });
+        }
+
+        res.json({ success: true, data: result.preview });
+
+    } catch (error) {
+        console.error('Error previewing template:', error);
+        res.status(500).json({
+            success: false,
+            error: "INTERNAL_ERROR",
+            message: "Failed to preview template"
+        });
+    }
+});
+
+/**
+ * POST /api/admin/notifications/templates/test
+ * Send a template rendered with sample data to the admin, or to the given address
+ */
+router.post("/templates/test", requireAdmin, async (req, res) => {
+    try {
+        await connectDB();
+
+        const bodyResult = templateTestSchema.safeParse(req.body);
+        if (!bodyResult.success) {
+            return res.status(400).json({
+                success: false,
+                error: "VALIDATION_ERROR",
+                message: "Invalid test request",
+                details: bodyResult.error.errors
+            });
+        }
+
+        const { channel, data } = bodyResult.data;
+        const to = bodyResult.data.to || (channel === 'sms' ? req.user.phone : req.user.email);
+        if (!to) {
+            return res.status(400).json({
+                success: false,
+                error: "VALIDATION_ERROR",
+                message: channel === 'sms' ? "No phone number to send the test to" : "No email address to send the test to"
+            });
+        }
+
+        const template = await resolveTemplateTarget(bodyResult.data);
+        if (!template) {
+            return res.status(404).json({
+                success: false,
+                error: "NOT_FOUND",
+                message: "Template not found"
+            });
+        }
+
+        const rendered = notificationTemplateService.preview(template, data);
+        if (!rendered.success) {
+            return res.status(400).json({
+                success: false,
+                error: rendered.code,
+                message: rendered.error,
+                details: rendered.details
+            });
+        }
+
+        const { subject, html, text, sms } = rendered.preview;
+        const result = channel === 'sms'
+            ? await smsService.sendSMS(to, sms, { errorLabel: 'template test SMS' })
+            : await emailService.sendRenderedEmail(to, { subject: `[Test] ${subject}`, html, text }, { errorLabel: 'template test email' });
+
+        if (!result.success) {
+            return res.status(502).json({
+                success: false,
+                error: "DELIVERY_FAILED",
+                message: result.error || "Failed to send test"
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { channel, to, testMode: Boolean(result.testMode) },
+            message: result.testMode
+                ? `Test ${channel === 'sms' ? 'SMS' : 'email'} logged (delivery is in test mode)`
+                : `Test ${channel === 'sms' ? 'SMS' : 'email'} sent to ${to}`
+        });
+
+    } catch (error) {
+        console.error('Error sending template test:', error);
+        res.status(500).json({
+            success: false,
+            error: "INTERNAL_ERROR",
+            message: "Failed to send test"
+        });
+    }
+});
+
 /**
  * GET /api/admin/notifications/templates/:id
  * Get a specific template
@@ -570,17 +839,25 @@ router.put("/templates/:id", requireAdmin, async (req, res) => {
             });
         }
 
-        // Check slug uniqueness if being changed
-        if (bodyResult.data.slug && bodyResult.data.slug !== currentTemplate.slug) {
+        const syntaxError = checkTemplateSyntax({ ...currentTemplate, ...bodyResult.data });
+        if (syntaxError) {
+            return res.status(400).json(syntaxError);
+        }
+
+        // Check slug and locale uniqueness if either is being changed
+        const slug = bodyResult.data.slug || currentTemplate.slug;
+        const locale = bodyResult.data.locale || currentTemplate.locale;
+        if (slug !== currentTemplate.slug || locale !== currentTemplate.locale) {
             const existing = await NotificationTemplate.findOne({
-                slug: bodyResult.data.slug,
+                slug,
+                locale,
                 _id: { $ne: req.params.id }
             });
             if (existing) {
                 return res.status(409).json({
                     success: false,
                     error: "CONFLICT",
-                    message: "A template with this slug already exists"
+                    message: "A template with this slug and locale already exists"
                 });
             }
         }
@@ -590,6 +867,7 @@ router.put("/templates/:id", requireAdmin, async (req, res) => {
             { ...bodyResult.data, updatedBy: req.user._id },
             { new: true }
         ).lean();
+        await notificationTemplateService.invalidateCache();
 
         // Create audit log
         await createAuditLog({
@@ -598,7 +876,7 @@ router.put("/templates/:id", requireAdmin, async (req, res) => {
             resourceType: 'notification',
             resourceId: req.params.id,
             changes: bodyResult.data,
-            previousValues: { name: currentTemplate.name, slug: currentTemplate.slug },
+            previousValues: { name: currentTemplate.name, slug: currentTemplate.slug, locale: currentTemplate.locale },
             req
         });
 
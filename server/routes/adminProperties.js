@@ -8,6 +8,9 @@ import { User } from "../models/User.js";
 import { connectDB } from "../src/config/db.js";
 import { requireAdmin } from "../src/middleware/adminAuth.js";
 import { createAuditLog } from "../src/services/adminAuditService.js";
+import priceHistoryService from "../src/services/priceHistoryService.js";
+import rentalApplicationService from "../src/services/rentalApplicationService.js";
+import { invalidatePropertyCache } from "../src/utils/cache.js";
 
 const router = Router();
 
@@ -73,6 +76,7 @@ const propertyCreateSchema = z.object({
     address: z.string().min(1, "Address is required"),
     mapLocation: z.string().optional().default(""),
     monthlyRent: z.coerce.number().min(0, "Monthly rent must be positive"),
+    sellingPrice: z.coerce.number().min(0, "Selling price must be positive").optional(),
     securityDeposit: z.coerce.number().min(0).optional().default(0),
     maintenanceCharge: z.coerce.number().min(0).optional().default(0),
     negotiable: z.coerce.boolean().optional().default(false),
@@ -379,6 +383,7 @@ router.post("/", requireAdmin, async (req, res) => {
         });
 
         await newProperty.save();
+        await invalidatePropertyCache(newProperty._id);
 
         // Create audit log
         await createAuditLog({
@@ -528,6 +533,10 @@ router.put("/:id", requireAdmin, async (req, res) => {
         delete updateData.lat;
         delete updateData.lng;
 
+        // Price drops are stamped on the property for saved search alerts
+        const priceChange = priceHistoryService.detectPriceChange(currentProperty, data);
+        if (priceChange) Object.assign(updateData, priceChange.update);
+
         // Update property
         const updatedProperty = await Property.findByIdAndUpdate(
             req.params.id,
@@ -537,6 +546,18 @@ router.put("/:id", requireAdmin, async (req, res) => {
             .populate('ownerId', 'name email phone role')
             .lean();
 
+        if (priceChange) {
+            await priceHistoryService.recordPriceChange(currentProperty, priceChange, {
+                changedBy: req.user._id,
+                source: 'admin'
+            });
+        }
+
+        await invalidatePropertyCache(req.params.id);
+        if (data.status === 'active' && currentProperty.status !== 'active') {
+            await rentalApplicationService.closeAcceptedApplications(req.params.id, req.user._id);
+        }
+
         // Create audit log
         await createAuditLog({
             adminId: req.user._id,
@@ -605,6 +626,7 @@ router.delete("/:id", requireAdmin, async (req, res) => {
             deletedAt: new Date(),
             status: 'inactive'
         });
+        await invalidatePropertyCache(req.params.id, { searches: false });
 
         // Create audit log
         await createAuditLog({
@@ -691,6 +713,11 @@ router.patch("/:id/status", requireAdmin, async (req, res) => {
             .populate('ownerId', 'name email phone role')
             .lean();
 
+        await invalidatePropertyCache(req.params.id, { searches: status === 'active' });
+        if (status === 'active' && previousStatus !== 'active') {
+            await rentalApplicationService.closeAcceptedApplications(req.params.id, req.user._id);
+        }
+
         // Create audit log
         await createAuditLog({
             adminId: req.user._id,
@@ -779,6 +806,8 @@ router.patch("/:id/featured", requireAdmin, async (req, res) => {
             .populate('ownerId', 'name email phone role')
             .lean();
 
+        await invalidatePropertyCache(req.params.id);
+
         // Create audit log
         await createAuditLog({
             adminId: req.user._id,
@@ -864,6 +893,8 @@ router.post("/:id/images", requireAdmin, upload.array("images", 10), async (req,
             .populate('ownerId', 'name email phone role')
             .lean();
 
+        await invalidatePropertyCache(req.params.id, { searches: false });
+
         // Create audit log
         await createAuditLog({
             adminId: req.user._id,
@@ -965,6 +996,8 @@ router.delete("/:id/images", requireAdmin, async (req, res) => {
             .populate('ownerId', 'name email phone role')
             .lean();
 
+        await invalidatePropertyCache(req.params.id, { searches: false });
+
         // Create audit log
         await createAuditLog({
             adminId: req.user._id,
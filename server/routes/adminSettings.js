@@ -4,6 +4,7 @@ import { SystemSettings } from "../models/SystemSettings.js";
 import { connectDB } from "../src/config/db.js";
 import { requireAdmin } from "../src/middleware/adminAuth.js";
 import { createAuditLog } from "../src/services/adminAuditService.js";
+import messageScanService, { CHAT_SCAN_SETTINGS_KEY } from "../src/services/messageScanService.js";
 
 const router = Router();
 
@@ -118,6 +119,25 @@ const validateSettingValue = (value, type) => {
     }
 };
 
+/**
+ * Validate settings whose value has a known shape
+ */
+const validateKnownSetting = (key, value) => {
+    if (key === CHAT_SCAN_SETTINGS_KEY) {
+        return messageScanService.validateSettings(value);
+    }
+    return { valid: true };
+};
+
+/**
+ * Drop cached copies of a setting after it changes
+ */
+const invalidateSettingCaches = async (key) => {
+    if (key === CHAT_SCAN_SETTINGS_KEY) {
+        await messageScanService.invalidateSettings();
+    }
+};
+
 /* ---------------------- SETTINGS ROUTES ---------------------- */
 
 /**
@@ -243,6 +263,15 @@ router.post("/", requireAdmin, async (req, res) => {
             });
         }
 
+        const knownValidation = validateKnownSetting(key, value);
+        if (!knownValidation.valid) {
+            return res.status(400).json({
+                success: false,
+                error: "VALIDATION_ERROR",
+                message: knownValidation.error
+            });
+        }
+
         // Check for duplicate key
         const existing = await SystemSettings.findOne({ key });
         if (existing) {
@@ -264,6 +293,7 @@ router.post("/", requireAdmin, async (req, res) => {
         });
 
         await setting.save();
+        await invalidateSettingCaches(key);
 
         await createAuditLog({
             adminId: req.user._id,
@@ -328,11 +358,23 @@ router.put("/:key", requireAdmin, async (req, res) => {
             });
         }
 
+        if (updateData.value !== undefined) {
+            const knownValidation = validateKnownSetting(req.params.key, updateData.value);
+            if (!knownValidation.valid) {
+                return res.status(400).json({
+                    success: false,
+                    error: "VALIDATION_ERROR",
+                    message: knownValidation.error
+                });
+            }
+        }
+
         const updatedSetting = await SystemSettings.findOneAndUpdate(
             { key: req.params.key },
             updateData,
             { new: true }
         ).lean();
+        await invalidateSettingCaches(req.params.key);
 
         await createAuditLog({
             adminId: req.user._id,
@@ -396,11 +438,18 @@ router.put("/", requireAdmin, async (req, res) => {
                     continue;
                 }
 
+                const knownValidation = validateKnownSetting(key, value);
+                if (!knownValidation.valid) {
+                    errors.push({ key, error: knownValidation.error });
+                    continue;
+                }
+
                 const updatedSetting = await SystemSettings.findOneAndUpdate(
                     { key },
                     { value, updatedBy: req.user._id },
                     { new: true }
                 ).lean();
+                await invalidateSettingCaches(key);
 
                 await createAuditLog({
                     adminId: req.user._id,
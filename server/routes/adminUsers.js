@@ -5,6 +5,7 @@ import { User } from "../models/User.js";
 import { connectDB } from "../src/config/db.js";
 import { requireAdmin } from "../src/middleware/adminAuth.js";
 import { createAuditLog } from "../src/services/adminAuditService.js";
+import sessionService from "../src/services/sessionService.js";
 
 const router = Router();
 
@@ -646,12 +647,20 @@ router.patch("/:id/status", requireAdmin, async (req, res) => {
             req
         });
 
+        // Blocked users are signed out of every device
+        let revokedSessions = 0;
+        if (action === 'block') {
+            const revokeResult = await sessionService.revokeAllSessions(req.params.id, 'blocked');
+            revokedSessions = revokeResult.revokedCount || 0;
+        }
+
         // Notification would be sent here via notification service
 
         res.json({
             success: true,
             data: updatedUser,
-            message: statusMessage
+            message: statusMessage,
+            ...(action === 'block' && { revokedSessions })
         });
 
     } catch (error) {
@@ -2,16 +2,16 @@ import { Router } from "express";
 import { z } from "zod";
 import { User } from "../models/User.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
 import { connectDB } from "../src/config/db.js";
 import { logAuthEvent } from "../src/utils/auditUtils.js";
+import { authenticateToken } from "../src/middleware/security.js";
+import sessionService, { REFRESH_TOKEN_TTL_MS } from "../src/services/sessionService.js";
 
 const router = Router();
 
 /* ---------------------- SECURITY CONFIGURATION ---------------------- */
 const BCRYPT_SALT_ROUNDS = 12; // Increased from 10 for better security
-const ACCESS_TOKEN_EXPIRY = "15m"; // Short-lived access token
-const REFRESH_TOKEN_EXPIRY = "7d"; // Longer-lived refresh token
+// Token lifetimes live in sessionService: 15m access tokens, 7d rotating refresh tokens
 
 // SECURITY: JWT_SECRET must be set in environment
 const jwtSecret = process.env.JWT_SECRET;
@@ -100,25 +100,28 @@ const safeUser = (u) => ({
     termsAcceptedAt: u.termsAcceptedAt,
 });
 
+const REFRESH_COOKIE_OPTIONS = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'strict'
+};
+
 /**
- * Generate access and refresh tokens
+ * Generate access and refresh tokens for a new session
  * Access token: Short-lived, used for API requests
- * Refresh token: Long-lived, used to get new access tokens
+ * Refresh token: Long-lived, rotated on every use, revocable server-side
  */
-const generateTokens = (user) => {
-    const accessToken = jwt.sign(
-        { sub: user._id, role: user.role, type: 'access' },
-        jwtSecret,
-        { expiresIn: ACCESS_TOKEN_EXPIRY }
-    );
-
-    const refreshToken = jwt.sign(
-        { sub: user._id, type: 'refresh' },
-        jwtSecret,
-        { expiresIn: REFRESH_TOKEN_EXPIRY }
-    );
-
-    return { accessToken, refreshToken };
+const generateTokens = (user, req) => sessionService.createSession(user, req);
+
+const setRefreshTokenCookie = (res, refreshToken) => {
+    res.cookie('refreshToken', refreshToken, {
+        ...REFRESH_COOKIE_OPTIONS,
+        maxAge: REFRESH_TOKEN_TTL_MS // 7 days
+    });
+};
+
+const clearRefreshTokenCookie = (res) => {
+    res.clearCookie('refreshToken', REFRESH_COOKIE_OPTIONS);
 };
 
 /* ---------------------- REGISTER ROUTE ---------------------- */
@@ -164,7 +167,7 @@ router.post("/register", (async (req, res) => {
         await user.save();
 
         // Generate tokens
-        const { accessToken, refreshToken } = generateTokens(user);
+        const { accessToken, refreshToken } = await generateTokens(user, req);
 
         // Log successful registration (without sensitive data)
         if (typeof logAuthEvent === 'function') {
@@ -172,12 +175,7 @@ router.post("/register", (async (req, res) => {
         }
 
         // Set refresh token as httpOnly cookie
-        res.cookie('refreshToken', refreshToken, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
+        setRefreshTokenCookie(res, refreshToken);
 
         res.status(201).json({
             success: true,
@@ -310,7 +308,7 @@ router.post("/login", (async (req, res) => {
         await user.save();
 
         // Generate tokens
-        const { accessToken, refreshToken } = generateTokens(user);
+        const { accessToken, refreshToken } = await generateTokens(user, req);
 
         // Log successful login
         if (typeof logAuthEvent === 'function') {
@@ -318,12 +316,7 @@ router.post("/login", (async (req, res) => {
         }
 
         // Set refresh token as httpOnly cookie
-        res.cookie('refreshToken', refreshToken, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
-        });
+        setRefreshTokenCookie(res, refreshToken);
 
         res.json({
             success: true,
@@ -356,6 +349,14 @@ router.post("/login", (async (req, res) => {
 }));
 
 /* ---------------------- REFRESH TOKEN ROUTE ---------------------- */
+const REFRESH_ERROR_MESSAGES = {
+    TOKEN_EXPIRED: "Refresh token expired",
+    TOKEN_REUSED: "Session revoked",
+    SESSION_REVOKED: "Session revoked",
+    USER_INACTIVE: "User not found or inactive",
+    INVALID_TOKEN: "Invalid refresh token"
+};
+
 router.post("/refresh", (async (req, res) => {
     try {
         const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
@@ -367,51 +368,42 @@ router.post("/refresh", (async (req, res) => {
             });
         }
 
-        // Verify refresh token
-        const decoded = jwt.verify(refreshToken, jwtSecret);
+        await connectDB();
 
-        if (decoded.type !== 'refresh') {
-            return res.status(401).json({
-                success: false,
-                error: "Invalid token type"
-            });
-        }
+        // Verify, check the stored session and rotate the refresh token
+        const result = await sessionService.rotateRefreshToken(refreshToken, req);
 
-        await connectDB();
-        const user = await User.findById(decoded.sub);
+        if (!result.success) {
+            if (result.code === 'INTERNAL_ERROR') {
+                return res.status(500).json({
+                    success: false,
+                    error: "Token refresh failed"
+                });
+            }
+
+            if (result.code === 'TOKEN_REUSED' && typeof logAuthEvent === 'function') {
+                await logAuthEvent(result.userId, 'refresh_token_reuse', false, {}, req);
+            }
 
-        if (!user || user.isDeleted || user.isBlocked) {
+            clearRefreshTokenCookie(res);
             return res.status(401).json({
                 success: false,
-                error: "User not found or inactive"
+                error: REFRESH_ERROR_MESSAGES[result.code] || "Invalid refresh token",
+                code: result.code,
+                message: "Please login again"
             });
         }
 
-        // Generate new tokens
-        const tokens = generateTokens(user);
-
         // Set new refresh token
-        res.cookie('refreshToken', tokens.refreshToken, {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict',
-            maxAge: 7 * 24 * 60 * 60 * 1000
-        });
+        setRefreshTokenCookie(res, result.refreshToken);
 
         res.json({
             success: true,
-            token: tokens.accessToken
+            token: result.accessToken
         });
     }
     catch (err) {
-        if (err.name === 'TokenExpiredError') {
-            return res.status(401).json({
-                success: false,
-                error: "Refresh token expired",
-                message: "Please login again"
-            });
-        }
-
+        console.error("REFRESH ERROR ->", err.name, err.message);
         res.status(401).json({
             success: false,
             error: "Invalid refresh token"
@@ -422,12 +414,18 @@ router.post("/refresh", (async (req, res) => {
 /* ---------------------- LOGOUT ROUTE ---------------------- */
 router.post("/logout", (async (req, res) => {
     try {
+        // Revoke the session behind the refresh token, if any
+        const refreshToken = req.cookies?.refreshToken || req.body?.refreshToken;
+        if (refreshToken) {
+            await connectDB();
+            const result = await sessionService.revokeByRefreshToken(refreshToken, 'logout');
+            if (result.userId && typeof logAuthEvent === 'function') {
+                await logAuthEvent(result.userId, 'logout', true, {}, req);
+            }
+        }
+
         // Clear refresh token cookie
-        res.clearCookie('refreshToken', {
-            httpOnly: true,
-            secure: process.env.NODE_ENV === 'production',
-            sameSite: 'strict'
-        });
+        clearRefreshTokenCookie(res);
 
         res.json({
             success: true,
@@ -435,6 +433,41 @@ router.post("/logout", (async (req, res) => {
         });
     }
     catch (err) {
+        console.error("LOGOUT ERROR ->", err.name, err.message);
+        res.status(500).json({
+            success: false,
+            error: "Logout failed"
+        });
+    }
+}));
+
+/* ---------------------- LOGOUT ALL DEVICES ROUTE ---------------------- */
+router.post("/logout-all", authenticateToken, (async (req, res) => {
+    try {
+        await connectDB();
+
+        const result = await sessionService.revokeAllSessions(req.user._id, 'logout_all');
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: "Logout failed"
+            });
+        }
+
+        if (typeof logAuthEvent === 'function') {
+            await logAuthEvent(req.user._id, 'logout_all', true, { revokedCount: result.revokedCount }, req);
+        }
+
+        clearRefreshTokenCookie(res);
+
+        res.json({
+            success: true,
+            message: "Logged out of all devices",
+            revokedCount: result.revokedCount
+        });
+    }
+    catch (err) {
+        console.error("LOGOUT ALL ERROR ->", err.name, err.message);
         res.status(500).json({
             success: false,
             error: "Logout failed"
@@ -1,5 +1,6 @@
 import { Router } from "express";
 import { Conversation } from "../models/Conversation.js";
+import { Message } from "../models/Message.js";
 import { z } from "zod";
 const router = Router();
 const createSchema = z.object({ participants: z.array(z.string()).min(2) });
@@ -32,7 +33,7 @@ router.post("/", (async (req, res) => {
         let conv = await Conversation.findOne({ participants: { $all: participants } });
         if (conv)
             return res.json(conv);
-        conv = new Conversation({ participants, messages: [], unreadCount: new Map() });
+        conv = new Conversation({ participants, unreadCount: new Map() });
         await conv.save();
         await conv.populate("participants", "name avatar");
         res.status(201).json(conv);
@@ -46,10 +47,15 @@ router.get("/:id", (async (req, res) => {
     try {
         const conv = await Conversation.findById(req.params.id)
             .populate("participants", "name avatar")
-            .populate("messages.sender", "name avatar");
+            .lean();
         if (!conv)
             return res.status(404).json({ error: "Not found" });
-        res.json(conv);
+        await Message.moveEmbeddedMessages(conv._id);
+        const messages = await Message.find({ conversation: conv._id })
+            .sort({ _id: 1 })
+            .populate("sender", "name avatar")
+            .lean();
+        res.json({ ...conv, messages });
     }
     catch (err) {
         res.status(503).json({ error: "Database connection failed" });
@@ -62,12 +68,13 @@ router.post("/:id/messages", (async (req, res) => {
         if (!userId)
             return res.status(401).json({ error: "Unauthorized" });
         const data = messageSchema.parse(req.body);
-        const conv = await Conversation.findByIdAndUpdate(req.params.id, {
-            $push: { messages: { sender: userId, text: data.text, read: false } },
-            lastMessage: { sender: userId, text: data.text, read: false },
-        }, { new: true });
+        const conv = await Conversation.findById(req.params.id);
         if (!conv)
             return res.status(404).json({ error: "Not found" });
+        const message = await Message.create({ conversation: conv._id, sender: userId, text: data.text, read: false });
+        conv.lastMessage = { sender: userId, text: data.text, createdAt: message.createdAt };
+        conv.lastActivityAt = message.createdAt;
+        await conv.save();
         res.status(201).json(conv);
     }
     catch (err) {
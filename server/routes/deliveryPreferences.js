@@ -1,13 +1,23 @@
 import { Router } from "express";
 import { z } from "zod";
-import { DeliveryPreferences } from "../models/DeliveryPreferences.js";
+import { DeliveryPreferences, DIGEST_FREQUENCIES } from "../models/DeliveryPreferences.js";
 import { User } from "../models/User.js";
 import { connectDB } from "../src/config/db.js";
 import { logVerificationEvent } from "../src/utils/auditUtils.js";
+import { authenticateToken } from "../src/middleware/security.js";
 
 const router = Router();
 
 /* ---------------------- SCHEMAS ---------------------- */
+const isValidTimezone = (timezone) => {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
 const updatePreferencesSchema = z.object({
     preferredMethod: z.enum(['sms', 'email', 'auto']).optional(),
     preferredService: z.enum(['phone-email', 'twilio', 'smtp', 'auto']).optional(),
@@ -38,6 +48,24 @@ const updatePreferencesSchema = z.object({
         largeText: z.boolean().optional(),
         highContrast: z.boolean().optional(),
         screenReader: z.boolean().optional()
+    }).optional(),
+    notificationSchedule: z.object({
+        timezone: z.string().refine(isValidTimezone, 'Unknown timezone').optional(),
+        digestFrequency: z.object({
+            message: z.enum(DIGEST_FREQUENCIES).optional(),
+            property: z.enum(DIGEST_FREQUENCIES).optional(),
+            favorite: z.enum(DIGEST_FREQUENCIES).optional(),
+            offer: z.enum(DIGEST_FREQUENCIES).optional(),
+            viewing: z.enum(DIGEST_FREQUENCIES).optional(),
+            application: z.enum(DIGEST_FREQUENCIES).optional(),
+            system: z.enum(DIGEST_FREQUENCIES).optional()
+        }).optional(),
+        dailyDigestHour: z.number().int().min(0).max(23).optional(),
+        quietHours: z.object({
+            enabled: z.boolean().optional(),
+            startTime: z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).optional(), // HH:MM format
+            endTime: z.string().regex(/^([01]?[0-9]|2[0-3]):[0-5][0-9]$/).optional() // HH:MM format
+        }).optional()
     }).optional()
 });
 
@@ -47,18 +75,13 @@ const testDeliverySchema = z.object({
 });
 
 /* ---------------------- MIDDLEWARE ---------------------- */
-const requireAuth = (req, res, next) => {
-    const userId = req.headers["x-user-id"];
-    if (!userId) {
-        return res.status(401).json({
-            success: false,
-            error: "Unauthorized",
-            message: "Authentication required"
-        });
+const requireAuth = [
+    authenticateToken,
+    (req, res, next) => {
+        req.userId = req.user._id.toString();
+        next();
     }
-    req.userId = userId;
-    next();
-};
+];
 
 /* ---------------------- GET USER DELIVERY PREFERENCES ---------------------- */
 router.get("/", requireAuth, async (req, res) => {
@@ -80,6 +103,7 @@ router.get("/", requireAuth, async (req, res) => {
                 deliveryWindow: preferences.deliveryWindow,
                 rateLimiting: preferences.rateLimiting,
                 accessibility: preferences.accessibility,
+                notificationSchedule: preferences.notificationSchedule,
                 createdAt: preferences.createdAt,
                 updatedAt: preferences.updatedAt
             }
@@ -155,6 +179,7 @@ router.put("/", requireAuth, async (req, res) => {
                 deliveryWindow: preferences.deliveryWindow,
                 rateLimiting: preferences.rateLimiting,
                 accessibility: preferences.accessibility,
+                notificationSchedule: preferences.notificationSchedule,
                 updatedAt: preferences.updatedAt
             }
         });
@@ -218,6 +243,7 @@ router.post("/reset", requireAuth, async (req, res) => {
                 deliveryWindow: preferences.deliveryWindow,
                 rateLimiting: preferences.rateLimiting,
                 accessibility: preferences.accessibility,
+                notificationSchedule: preferences.notificationSchedule,
                 createdAt: preferences.createdAt,
                 updatedAt: preferences.updatedAt
             }
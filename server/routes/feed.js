@@ -0,0 +1,100 @@
+import { Router } from "express";
+import { z } from "zod";
+import viewHistoryService from "../src/services/viewHistoryService.js";
+import { connectDB } from "../src/config/db.js";
+import {
+    authenticateToken,
+    validateInput,
+    commonSchemas,
+    sendSuccess
+} from "../src/middleware/security.js";
+
+/**
+ * Personalized Feed Routes
+ * Mounted at /api/feed
+ */
+const router = Router();
+
+/* ---------------------- VALIDATION SCHEMAS ---------------------- */
+
+const recordViewSchema = z.object({
+    propertyId: commonSchemas.objectId
+});
+
+/* ---------------------- HELPER FUNCTIONS ---------------------- */
+
+const ERROR_STATUS_CODES = {
+    INVALID_ID: 400,
+    PROPERTY_NOT_FOUND: 404
+};
+
+const sendServiceError = (res, result) => {
+    res.status(ERROR_STATUS_CODES[result.code] || 500).json({
+        success: false,
+        error: result.code,
+        message: result.error
+    });
+};
+
+/* ---------------------- ROUTES ---------------------- */
+
+/**
+ * GET /api/feed
+ * The authenticated user's home feed: "recommended for you" listings based on
+ * the cities, categories and prices they view or wishlist, and recently viewed listings.
+ * `personalized` is false when personalization is off or there is no history yet.
+ */
+router.get("/", authenticateToken, async (req, res) => {
+    try {
+        await connectDB();
+
+        const [recommendations, recent] = await Promise.all([
+            viewHistoryService.getRecommendations(req.user._id),
+            viewHistoryService.getRecentlyViewed(req.user._id)
+        ]);
+        if (!recommendations.success) return sendServiceError(res, recommendations);
+        if (!recent.success) return sendServiceError(res, recent);
+
+        sendSuccess(res, {
+            personalized: recommendations.personalized,
+            recommended: recommendations.items,
+            recentlyViewed: recent.items
+        }, "Feed retrieved successfully");
+    } catch (error) {
+        console.error('Get feed error:', error);
+        res.status(500).json({
+            success: false,
+            error: "INTERNAL_ERROR",
+            message: "Failed to retrieve feed"
+        });
+    }
+});
+
+/**
+ * POST /api/feed/views
+ * Record that the authenticated user opened a listing.
+ * Nothing is stored while the user's keepViewHistory privacy setting is off.
+ */
+router.post("/views",
+    authenticateToken,
+    validateInput({ body: recordViewSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await viewHistoryService.recordView(req.user._id, req.body.propertyId);
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, { recorded: result.recorded }, result.recorded ? "View recorded" : "View not recorded");
+        } catch (error) {
+            console.error('Record view error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to record view"
+            });
+        }
+    }
+);
+
+export default router;
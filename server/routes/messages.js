@@ -3,6 +3,10 @@ import { z } from "zod";
 import { Conversation } from "../models/Conversation.js";
 import messageService from "../src/services/messageService.js";
 import messageNotificationService from "../src/services/messageNotificationService.js";
+import messageSearchService from "../src/services/messageSearchService.js";
+import messageReportService from "../src/services/messageReportService.js";
+import quickReplyService from "../src/services/quickReplyService.js";
+import { MESSAGE_REPORT_REASONS } from "../models/MessageReport.js";
 import { connectDB } from "../src/config/db.js";
 import {
     authenticateToken,
@@ -10,6 +14,7 @@ import {
     sendSuccess
 } from "../src/middleware/security.js";
 import { messageUpload, uploadMessageFile } from "../src/middleware/cloudinaryUpload.js";
+import { getIO, emitNotification, emitUnreadUpdate } from "../socket.js";
 
 const router = Router();
 
@@ -26,6 +31,40 @@ const sendMessageSchema = z.object({
     text: z.string().max(5000, "Message exceeds maximum length").optional()
 });
 
+const editMessageSchema = z.object({
+    text: z.string().min(1, "Message text is required").max(5000, "Message exceeds maximum length")
+});
+
+const reactionSchema = z.object({
+    emoji: z.string().min(1, "Emoji is required").max(16, "Invalid emoji")
+});
+
+const reportMessageSchema = z.object({
+    reason: z.enum(MESSAGE_REPORT_REASONS),
+    details: z.string().trim().max(1000, "Details too long").optional()
+});
+
+const blockUserSchema = z.object({
+    userId: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid user ID format")
+});
+
+const quickReplySchema = z.object({
+    title: z.string().trim().min(1, "Title is required").max(60, "Title too long"),
+    text: z.string().trim().min(1, "Reply text is required").max(1000, "Reply text too long")
+});
+
+const quickReplyQuerySchema = z.object({
+    conversationId: z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid conversation ID format").optional()
+});
+
+const autoResponseSchema = z.object({
+    enabled: z.boolean(),
+    text: z.string().trim().max(1000, "Auto-response too long").default('')
+}).refine(data => !data.enabled || data.text.length > 0, {
+    message: "Auto-response text is required when it is enabled",
+    path: ["text"]
+});
+
 // Updated schema to make text optional when file is present
 const validateMessageInput = (req, res, next) => {
     const { text } = req.body;
@@ -57,6 +96,20 @@ const paginationSchema = z.object({
     limit: z.coerce.number().int().min(1).max(100).default(20)
 });
 
+const objectIdSchema = z.string().regex(/^[0-9a-fA-F]{24}$/, "Invalid message ID format");
+
+const messageCursorSchema = z.object({
+    before: objectIdSchema.optional(),
+    after: objectIdSchema.optional(),
+    limit: z.coerce.number().int().min(1).max(100).default(50)
+});
+
+const messageSearchSchema = z.object({
+    q: z.string().trim().min(2, "Search query must be at least 2 characters").max(100, "Search query too long"),
+    before: objectIdSchema.optional(),
+    limit: z.coerce.number().int().min(1).max(50).default(20)
+});
+
 // =====================================================
 // MIDDLEWARE: Check if user is blocked
 // =====================================================
@@ -104,7 +157,8 @@ router.post("/conversations",
             );
 
             if (!result.success) {
-                const statusCode = result.code === 'INVALID_RECIPIENT' ? 400 : 500;
+                const statusCode = result.code === 'INVALID_RECIPIENT' ? 400 :
+                    result.code === 'CONVERSATION_BLOCKED' ? 403 : 500;
                 return res.status(statusCode).json({
                     success: false,
                     error: result.code,
@@ -185,11 +239,11 @@ router.get("/conversations/:id",
             const userId = req.user._id.toString();
 
             // Get conversation with messages
+            // Latest page; older messages are fetched from /conversations/:id/messages
             const messagesResult = await messageService.getMessages(
                 conversationId,
                 userId,
-                1,
-                100 // Get first 100 messages
+                { limit: 50 }
             );
 
             if (!messagesResult.success) {
@@ -245,6 +299,60 @@ router.get("/conversations/:id",
 );
 
 
+/**
+ * GET /conversations/:id/messages?before=&after=&limit=
+ * Page through a conversation's messages by message ID cursor.
+ * `before` returns older messages, `after` newer ones; without either the latest page is returned.
+ */
+router.get("/conversations/:id/messages",
+    authenticateToken,
+    async (req, res) => {
+        try {
+            const parsed = messageCursorSchema.safeParse(req.query);
+            if (!parsed.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: "VALIDATION_ERROR",
+                    message: "Invalid pagination parameters",
+                    details: parsed.error.errors
+                });
+            }
+
+            await connectDB();
+
+            const result = await messageService.getMessages(
+                req.params.id,
+                req.user._id.toString(),
+                parsed.data
+            );
+
+            if (!result.success) {
+                const statusCode = result.code === 'INVALID_ID' ? 400 :
+                    result.code === 'CONVERSATION_NOT_FOUND' ? 404 :
+                        result.code === 'UNAUTHORIZED_ACCESS' ? 403 : 500;
+                return res.status(statusCode).json({
+                    success: false,
+                    error: result.code,
+                    message: result.error
+                });
+            }
+
+            sendSuccess(res, {
+                messages: result.messages,
+                pagination: result.pagination
+            }, "Messages retrieved successfully");
+        } catch (error) {
+            console.error('Get messages error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to retrieve messages"
+            });
+        }
+    }
+);
+
+
 /**
  * POST /conversations/:id/messages
  * Send a message in a conversation (with optional file attachment)
@@ -260,7 +368,7 @@ router.post("/conversations/:id/messages",
 
             const conversationId = req.params.id;
             const userId = req.user._id.toString();
-            const { text } = req.body;
+            const { text, replyTo } = req.body;
             const file = req.file;
 
             // Upload file to Cloudinary if present
@@ -274,13 +382,14 @@ router.post("/conversations/:id/messages",
                 conversationId,
                 userId,
                 text?.trim() || '',
-                fileData
+                fileData,
+                replyTo || null
             );
 
             if (!result.success) {
                 const statusCode = result.code === 'CONVERSATION_NOT_FOUND' ? 404 :
-                    result.code === 'UNAUTHORIZED_ACCESS' ? 403 :
-                        result.code === 'EMPTY_MESSAGE' ? 400 : 500;
+                    ['UNAUTHORIZED_ACCESS', 'CONVERSATION_BLOCKED'].includes(result.code) ? 403 :
+                        ['EMPTY_MESSAGE', 'INVALID_ID', 'MESSAGE_NOT_FOUND'].includes(result.code) ? 400 : 500;
                 return res.status(statusCode).json({
                     success: false,
                     error: result.code,
@@ -304,14 +413,14 @@ router.post("/conversations/:id/messages",
                     const messageId = result.message?._id?.toString();
 
                     // Create preview text
-                    let previewText = text?.substring(0, 100) || '';
+                    let previewText = result.plainText?.substring(0, 100) || '';
                     if (file && !previewText) {
                         previewText = `📎 ${file.originalname}`;
                     } else if (file && previewText) {
                         previewText = `📎 ${previewText}`;
                     }
 
-                    await messageNotificationService.createMessageNotification(
+                    const notificationResult = await messageNotificationService.createMessageNotification(
                         recipientId,
                         userId,
                         conversationId,
@@ -320,6 +429,31 @@ router.post("/conversations/:id/messages",
                         messageId,
                         senderName
                     );
+
+                    // Real-time delivery; the adapter forwards to sockets on other instances
+                    const io = getIO();
+                    if (io) {
+                        // The sender's own tabs already have the message from this response
+                        io.to(`conv:${conversationId}`).except(`user:${userId}`).emit("message.new", {
+                            conversationId,
+                            message: {
+                                ...result.message.toObject ? result.message.toObject() : result.message,
+                                sender: {
+                                    _id: userId,
+                                    name: req.user.name || 'Unknown',
+                                    avatar: req.user.avatar
+                                }
+                            }
+                        });
+
+                        if (notificationResult.success && notificationResult.notification) {
+                            await emitNotification(io, recipientId, {
+                                notification: notificationResult.notification
+                            });
+                        } else {
+                            await emitUnreadUpdate(io, recipientId);
+                        }
+                    }
                 }
             }
 
@@ -381,6 +515,17 @@ router.post("/conversations/:id/read",
                 });
             }
 
+            const io = getIO();
+            if (io) {
+                io.to(`conv:${conversationId}`).emit("message.read_update", {
+                    conversationId,
+                    userId,
+                    markedCount: result.markedCount,
+                    readAt: result.readAt
+                });
+                await emitUnreadUpdate(io, userId);
+            }
+
             sendSuccess(res, {
                 markedCount: result.markedCount,
                 unreadCount: result.unreadCount
@@ -435,6 +580,455 @@ router.delete("/messages/:id",
     }
 );
 
+/**
+ * PATCH /messages/:id
+ * Edit the text of your own message within the edit window
+ */
+router.patch("/messages/:id",
+    authenticateToken,
+    checkBlockedUser,
+    validateInput({ body: editMessageSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await messageService.editMessage(
+                req.params.id,
+                req.user._id.toString(),
+                req.body.text
+            );
+
+            if (!result.success) {
+                const statusCode = ['INVALID_ID', 'EMPTY_MESSAGE'].includes(result.code) ? 400 :
+                    result.code === 'MESSAGE_NOT_FOUND' ? 404 :
+                        ['UNAUTHORIZED_ACCESS', 'EDIT_WINDOW_EXPIRED'].includes(result.code) ? 403 : 500;
+                return res.status(statusCode).json({
+                    success: false,
+                    error: result.code,
+                    message: result.error
+                });
+            }
+
+            const conversationId = result.message.conversation.toString();
+            getIO()?.to(`conv:${conversationId}`).emit("message.edit_update", {
+                conversationId,
+                message: result.message
+            });
+
+            sendSuccess(res, {
+                message: result.message
+            }, "Message updated successfully");
+        } catch (error) {
+            console.error('Edit message error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to edit message"
+            });
+        }
+    }
+);
+
+/**
+ * POST /messages/:id/reactions
+ * Toggle your emoji reaction on a message
+ */
+router.post("/messages/:id/reactions",
+    authenticateToken,
+    checkBlockedUser,
+    validateInput({ body: reactionSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const userId = req.user._id.toString();
+            const result = await messageService.toggleReaction(req.params.id, userId, req.body.emoji);
+
+            if (!result.success) {
+                const statusCode = ['INVALID_ID', 'INVALID_REACTION'].includes(result.code) ? 400 :
+                    result.code === 'MESSAGE_NOT_FOUND' ? 404 :
+                        result.code === 'UNAUTHORIZED_ACCESS' ? 403 : 500;
+                return res.status(statusCode).json({
+                    success: false,
+                    error: result.code,
+                    message: result.error
+                });
+            }
+
+            const conversationId = result.message.conversation.toString();
+            getIO()?.to(`conv:${conversationId}`).emit("message.reaction_update", {
+                conversationId,
+                messageId: result.message._id,
+                userId,
+                emoji: req.body.emoji,
+                added: result.added,
+                reactions: result.message.reactions
+            });
+
+            sendSuccess(res, {
+                added: result.added,
+                reactions: result.message.reactions
+            }, result.added ? "Reaction added" : "Reaction removed");
+        } catch (error) {
+            console.error('Toggle reaction error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to update reaction"
+            });
+        }
+    }
+);
+
+/**
+ * POST /messages/:id/report
+ * Report a message from the other participant for admin review
+ */
+router.post("/messages/:id/report",
+    authenticateToken,
+    validateInput({ body: reportMessageSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await messageReportService.reportMessage(
+                req.params.id,
+                req.user._id.toString(),
+                req.body
+            );
+
+            if (!result.success) {
+                const statusCode = ['INVALID_ID', 'INVALID_REPORT'].includes(result.code) ? 400 :
+                    result.code === 'MESSAGE_NOT_FOUND' ? 404 :
+                        result.code === 'UNAUTHORIZED_ACCESS' ? 403 :
+                            result.code === 'ALREADY_REPORTED' ? 409 : 500;
+                return res.status(statusCode).json({
+                    success: false,
+                    error: result.code,
+                    message: result.error
+                });
+            }
+
+            sendSuccess(res, {
+                report: result.report
+            }, "Message reported. Our moderators will review it.", 201);
+        } catch (error) {
+            console.error('Report message error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to report message"
+            });
+        }
+    }
+);
+
+/**
+ * GET /blocked-users
+ * List the users the authenticated user has blocked
+ */
+router.get("/blocked-users",
+    authenticateToken,
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await messageService.getBlockedUsers(req.user._id.toString());
+
+            if (!result.success) {
+                return res.status(500).json({
+                    success: false,
+                    error: result.code,
+                    message: result.error
+                });
+            }
+
+            sendSuccess(res, {
+                users: result.users
+            }, "Blocked users retrieved successfully");
+        } catch (error) {
+            console.error('Get blocked users error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to retrieve blocked users"
+            });
+        }
+    }
+);
+
+/**
+ * POST /blocked-users
+ * Block a user; neither side can message the other until unblocked
+ */
+router.post("/blocked-users",
+    authenticateToken,
+    validateInput({ body: blockUserSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await messageService.blockUser(req.user._id.toString(), req.body.userId);
+
+            if (!result.success) {
+                const statusCode = ['INVALID_ID', 'INVALID_RECIPIENT'].includes(result.code) ? 400 :
+                    result.code === 'USER_NOT_FOUND' ? 404 : 500;
+                return res.status(statusCode).json({
+                    success: false,
+                    error: result.code,
+                    message: result.error
+                });
+            }
+
+            sendSuccess(res, {
+                userId: req.body.userId
+            }, "User blocked successfully");
+        } catch (error) {
+            console.error('Block user error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to block user"
+            });
+        }
+    }
+);
+
+/**
+ * DELETE /blocked-users/:userId
+ * Unblock a user
+ */
+router.delete("/blocked-users/:userId",
+    authenticateToken,
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await messageService.unblockUser(req.user._id.toString(), req.params.userId);
+
+            if (!result.success) {
+                const statusCode = result.code === 'INVALID_ID' ? 400 : 500;
+                return res.status(statusCode).json({
+                    success: false,
+                    error: result.code,
+                    message: result.error
+                });
+            }
+
+            sendSuccess(res, {
+                userId: req.params.userId
+            }, "User unblocked successfully");
+        } catch (error) {
+            console.error('Unblock user error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to unblock user"
+            });
+        }
+    }
+);
+
+/**
+ * GET /quick-replies?conversationId=
+ * List the authenticated user's quick replies and auto-response.
+ * With conversationId, replies also come rendered for that conversation's property.
+ */
+router.get("/quick-replies",
+    authenticateToken,
+    async (req, res) => {
+        try {
+            const queryResult = quickReplyQuerySchema.safeParse(req.query);
+            if (!queryResult.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: "VALIDATION_ERROR",
+                    message: "Invalid query parameters",
+                    details: queryResult.error.errors
+                });
+            }
+
+            await connectDB();
+
+            const result = await quickReplyService.getQuickReplies(
+                req.user._id.toString(),
+                queryResult.data
+            );
+
+            if (!result.success) {
+                const statusCode = result.code === 'INVALID_ID' ? 400 :
+                    ['USER_NOT_FOUND', 'CONVERSATION_NOT_FOUND'].includes(result.code) ? 404 : 500;
+                return res.status(statusCode).json({
+                    success: false,
+                    error: result.code,
+                    message: result.error
+                });
+            }
+
+            sendSuccess(res, {
+                quickReplies: result.quickReplies,
+                autoResponse: result.autoResponse,
+                placeholders: result.placeholders
+            }, "Quick replies retrieved successfully");
+        } catch (error) {
+            console.error('Get quick replies error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to retrieve quick replies"
+            });
+        }
+    }
+);
+
+/**
+ * POST /quick-replies
+ * Save a quick reply
+ */
+router.post("/quick-replies",
+    authenticateToken,
+    validateInput({ body: quickReplySchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await quickReplyService.createQuickReply(req.user._id.toString(), req.body);
+
+            if (!result.success) {
+                const statusCode = result.code === 'QUICK_REPLY_LIMIT' ? 409 : 500;
+                return res.status(statusCode).json({
+                    success: false,
+                    error: result.code,
+                    message: result.error
+                });
+            }
+
+            sendSuccess(res, {
+                quickReply: result.quickReply
+            }, "Quick reply saved successfully", 201);
+        } catch (error) {
+            console.error('Create quick reply error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to save quick reply"
+            });
+        }
+    }
+);
+
+/**
+ * PUT /quick-replies/:id
+ * Change a quick reply
+ */
+router.put("/quick-replies/:id",
+    authenticateToken,
+    validateInput({ body: quickReplySchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await quickReplyService.updateQuickReply(
+                req.user._id.toString(),
+                req.params.id,
+                req.body
+            );
+
+            if (!result.success) {
+                const statusCode = result.code === 'INVALID_ID' ? 400 :
+                    result.code === 'QUICK_REPLY_NOT_FOUND' ? 404 : 500;
+                return res.status(statusCode).json({
+                    success: false,
+                    error: result.code,
+                    message: result.error
+                });
+            }
+
+            sendSuccess(res, {
+                quickReply: result.quickReply
+            }, "Quick reply updated successfully");
+        } catch (error) {
+            console.error('Update quick reply error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to update quick reply"
+            });
+        }
+    }
+);
+
+/**
+ * DELETE /quick-replies/:id
+ * Delete a quick reply
+ */
+router.delete("/quick-replies/:id",
+    authenticateToken,
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await quickReplyService.deleteQuickReply(req.user._id.toString(), req.params.id);
+
+            if (!result.success) {
+                const statusCode = result.code === 'INVALID_ID' ? 400 :
+                    result.code === 'QUICK_REPLY_NOT_FOUND' ? 404 : 500;
+                return res.status(statusCode).json({
+                    success: false,
+                    error: result.code,
+                    message: result.error
+                });
+            }
+
+            sendSuccess(res, {
+                quickReplyId: req.params.id
+            }, "Quick reply deleted successfully");
+        } catch (error) {
+            console.error('Delete quick reply error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to delete quick reply"
+            });
+        }
+    }
+);
+
+/**
+ * PUT /auto-response
+ * Set the auto-response sent when someone starts a conversation about one of the user's properties
+ */
+router.put("/auto-response",
+    authenticateToken,
+    validateInput({ body: autoResponseSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await quickReplyService.updateAutoResponse(req.user._id.toString(), req.body);
+
+            if (!result.success) {
+                return res.status(500).json({
+                    success: false,
+                    error: result.code,
+                    message: result.error
+                });
+            }
+
+            sendSuccess(res, {
+                autoResponse: result.autoResponse
+            }, "Auto-response updated successfully");
+        } catch (error) {
+            console.error('Update auto-response error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to update auto-response"
+            });
+        }
+    }
+);
+
 /**
  * DELETE /conversations/:id
  * Delete a conversation (soft delete)
@@ -472,6 +1066,55 @@ router.delete("/conversations/:id",
     }
 );
 
+/**
+ * GET /search?q=&before=&limit=
+ * Search the user's conversations by message text, counterpart name and property title.
+ * Message hits are paged with the `before` cursor; conversation hits come with the first page.
+ */
+router.get("/search",
+    authenticateToken,
+    async (req, res) => {
+        try {
+            const parsed = messageSearchSchema.safeParse(req.query);
+            if (!parsed.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: "VALIDATION_ERROR",
+                    message: "Invalid search parameters",
+                    details: parsed.error.errors
+                });
+            }
+
+            await connectDB();
+
+            const { q, before, limit } = parsed.data;
+            const result = await messageSearchService.search(req.user._id.toString(), q, { before, limit });
+
+            if (!result.success) {
+                const statusCode = result.code === 'INVALID_ID' || result.code === 'INVALID_QUERY' ? 400 : 500;
+                return res.status(statusCode).json({
+                    success: false,
+                    error: result.code,
+                    message: result.error
+                });
+            }
+
+            sendSuccess(res, {
+                messages: result.messages,
+                conversations: result.conversations,
+                pagination: result.pagination
+            }, "Search completed successfully");
+        } catch (error) {
+            console.error('Search messages error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to search messages"
+            });
+        }
+    }
+);
+
 /**
  * GET /unread-count
  * Get total unread message count for the authenticated user
@@ -1,5 +1,6 @@
 import express from 'express';
 import amenityCacheService from '../src/services/amenityCacheService.js';
+import cache from '../src/utils/cache.js';
 
 const router = express.Router();
 
@@ -10,10 +11,10 @@ const OVERPASS_ENDPOINTS = [
     'https://maps.mail.ru/osm/tools/overpass/api/interpreter'
 ];
 
-// Simple in-memory cache with longer TTL for reliability
-const cache = new Map();
+// Shared cache with longer TTL for reliability
 const CACHE_TTL = 60 * 60 * 1000; // 1 hour (increased from 10 minutes)
 const STALE_CACHE_TTL = 24 * 60 * 60 * 1000; // 24 hours for stale fallback
+const nearbyCache = cache.namespace('nearby', { ttl: CACHE_TTL, staleTtl: STALE_CACHE_TTL });
 
 // Circuit Breaker Pattern for resilient API calls
 const circuitBreaker = {
@@ -210,6 +211,96 @@ function getAmenityType(element) {
     return null;
 }
 
+/**
+ * Query Overpass for amenities around a point and keep the nearest per type.
+ * Throws when every Overpass endpoint fails.
+ */
+async function fetchNearbyAmenities(latitude, longitude, radiusKm) {
+    const radiusMeters = radiusKm * 1000;
+    const query = buildOverpassQuery(latitude, longitude, radiusMeters);
+    const fetchStartTime = Date.now();
+
+    const data = await queryOverpassWithRetry(query);
+
+    const elements = data.elements || [];
+
+    // Process results
+    const seenTypes = new Map();
+
+    for (const element of elements) {
+        const amenityType = getAmenityType(element);
+        if (!amenityType) continue;
+
+        const config = AMENITY_CONFIG[amenityType];
+        if (!config) continue;
+
+        const elemLat = element.lat || element.center?.lat;
+        const elemLng = element.lon || element.center?.lon;
+        if (!elemLat || !elemLng) continue;
+
+        const distance = calculateDistance(latitude, longitude, elemLat, elemLng);
+        const name = element.tags?.name || config.type;
+        const typeKey = config.type;
+        const existing = seenTypes.get(typeKey) || [];
+
+        if (existing.length < 2) {
+            existing.push({
+                name,
+                type: config.type,
+                distance: formatDistance(distance),
+                distanceValue: distance,
+                icon: config.icon,
+                color: config.color,
+                iconColor: config.iconColor
+            });
+            seenTypes.set(typeKey, existing);
+        } else if (distance < existing[1].distanceValue) {
+            existing[1] = {
+                name,
+                type: config.type,
+                distance: formatDistance(distance),
+                distanceValue: distance,
+                icon: config.icon,
+                color: config.color,
+                iconColor: config.iconColor
+            };
+            existing.sort((a, b) => a.distanceValue - b.distanceValue);
+            seenTypes.set(typeKey, existing);
+        }
+    }
+
+    const amenities = [];
+    for (const typeAmenities of seenTypes.values()) {
+        amenities.push(...typeAmenities);
+    }
+    amenities.sort((a, b) => a.distanceValue - b.distanceValue);
+
+    const result = {
+        success: true,
+        amenities: amenities.slice(0, 5),
+        searchRadius: radiusKm,
+        totalFound: amenities.length
+    };
+
+    // Also store in database cache for persistence
+    const fetchDurationMs = Date.now() - fetchStartTime;
+    const amenitiesForDb = amenities.map(a => ({
+        name: a.name,
+        type: a.type,
+        lat: latitude + (a.distanceValue * 0.009), // Approximate lat offset (rough)
+        lng: longitude + (a.distanceValue * 0.009), // Approximate lng offset (rough)
+        icon: a.icon,
+        color: a.color,
+        iconColor: a.iconColor
+    }));
+
+    // Don't await - let it save in background
+    amenityCacheService.setCachedAmenities(latitude, longitude, amenitiesForDb, null, fetchDurationMs)
+        .catch(err => console.warn('[Nearby] Failed to save to DB cache:', err.message));
+
+    return result;
+}
+
 // GET /api/nearby?lat=23.0271&lng=72.5586&radius=2
 router.get('/', async (req, res) => {
     try {
@@ -253,33 +344,14 @@ router.get('/', async (req, res) => {
             console.warn('[Nearby] Database cache check failed:', dbError.message);
         }
 
-        // Check in-memory cache second (faster but doesn't persist)
+        // Check the shared cache second; entries past their TTL are served while they refresh
         const cacheKey = `${latitude.toFixed(3)}_${longitude.toFixed(3)}_${radiusKm}`;
-        const cached = cache.get(cacheKey);
-        if (cached && Date.now() - cached.timestamp < CACHE_TTL) {
-            return res.json(cached.data);
-        }
-
-        const radiusMeters = radiusKm * 1000;
-        const query = buildOverpassQuery(latitude, longitude, radiusMeters);
-        const fetchStartTime = Date.now();
-
-        let data;
+        let result;
         try {
-            data = await queryOverpassWithRetry(query);
+            result = await nearbyCache.wrap(cacheKey, () => fetchNearbyAmenities(latitude, longitude, radiusKm));
         } catch (error) {
             console.error('Overpass API failed after retries:', error.message);
 
-            // Try to return stale cache if available (within 24 hours)
-            if (cached && Date.now() - cached.timestamp < STALE_CACHE_TTL) {
-                console.log('[Nearby] Returning stale cache due to API failure');
-                return res.json({
-                    ...cached.data,
-                    stale: true,
-                    message: 'Using cached data (service temporarily unavailable)'
-                });
-            }
-
             // Return empty results if no cache available
             return res.json({
                 success: true,
@@ -290,85 +362,6 @@ router.get('/', async (req, res) => {
             });
         }
 
-        const elements = data.elements || [];
-
-        // Process results
-        const seenTypes = new Map();
-
-        for (const element of elements) {
-            const amenityType = getAmenityType(element);
-            if (!amenityType) continue;
-
-            const config = AMENITY_CONFIG[amenityType];
-            if (!config) continue;
-
-            const elemLat = element.lat || element.center?.lat;
-            const elemLng = element.lon || element.center?.lon;
-            if (!elemLat || !elemLng) continue;
-
-            const distance = calculateDistance(latitude, longitude, elemLat, elemLng);
-            const name = element.tags?.name || config.type;
-            const typeKey = config.type;
-            const existing = seenTypes.get(typeKey) || [];
-
-            if (existing.length < 2) {
-                existing.push({
-                    name,
-                    type: config.type,
-                    distance: formatDistance(distance),
-                    distanceValue: distance,
-                    icon: config.icon,
-                    color: config.color,
-                    iconColor: config.iconColor
-                });
-                seenTypes.set(typeKey, existing);
-            } else if (distance < existing[1].distanceValue) {
-                existing[1] = {
-                    name,
-                    type: config.type,
-                    distance: formatDistance(distance),
-                    distanceValue: distance,
-                    icon: config.icon,
-                    color: config.color,
-                    iconColor: config.iconColor
-                };
-                existing.sort((a, b) => a.distanceValue - b.distanceValue);
-                seenTypes.set(typeKey, existing);
-            }
-        }
-
-        const amenities = [];
-        for (const typeAmenities of seenTypes.values()) {
-            amenities.push(...typeAmenities);
-        }
-        amenities.sort((a, b) => a.distanceValue - b.distanceValue);
-
-        const result = {
-            success: true,
-            amenities: amenities.slice(0, 5),
-            searchRadius: radiusKm,
-            totalFound: amenities.length
-        };
-
-        // Cache the result in memory
-        cache.set(cacheKey, { data: result, timestamp: Date.now() });
-
-        // Also store in database cache for persistence
-        const fetchDurationMs = Date.now() - fetchStartTime;
-        const amenitiesForDb = amenities.map(a => ({
-            name: a.name,
-            type: a.type,
-            lat: latitude + (a.distanceValue * 0.009), // Approximate lat offset (rough)
-            lng: longitude + (a.distanceValue * 0.009), // Approximate lng offset (rough)
-            icon: a.icon,
-            color: a.color,
-            iconColor: a.iconColor
-        }));
-
-        // Don't await - let it save in background
-        amenityCacheService.setCachedAmenities(latitude, longitude, amenitiesForDb, null, fetchDurationMs)
-            .catch(err => console.warn('[Nearby] Failed to save to DB cache:', err.message));
-
         res.json(result);
     } catch (error) {
         console.error('Nearby API error:', error);
@@ -381,7 +374,7 @@ router.get('/health', (req, res) => {
     res.json({
         success: true,
         circuitBreaker: circuitBreaker.getStatus(),
-        cacheSize: cache.size,
+        cache: nearbyCache.getStats(),
         cacheTTL: CACHE_TTL,
         staleCacheTTL: STALE_CACHE_TTL
     });
@@ -4,6 +4,7 @@ import { NotificationPreferences } from "../models/NotificationPreferences.js";
 import { NotificationDelivery } from "../models/NotificationDelivery.js";
 import notificationService from "../src/services/notificationService.js";
 import messageNotificationService from "../src/services/messageNotificationService.js";
+import pushService from "../src/services/pushService.js";
 import { connectDB } from "../src/config/db.js";
 import {
     authenticateToken,
@@ -196,6 +197,115 @@ router.post("/read-all",
     }
 );
 
+// =====================================================
+// WEB PUSH SUBSCRIPTION ROUTES
+// =====================================================
+
+// PushSubscription JSON as produced by the browser's subscription.toJSON()
+const pushSubscriptionSchema = z.object({
+    endpoint: z.string().url().max(2000),
+    expirationTime: z.number().nullable().optional(),
+    keys: z.object({
+        p256dh: z.string().min(1).max(200),
+        auth: z.string().min(1).max(100)
+    })
+});
+
+const pushUnsubscribeSchema = z.object({
+    endpoint: z.string().url().max(2000)
+});
+
+/**
+ * GET /push/public-key
+ * Get the VAPID public key browsers subscribe with
+ */
+router.get("/push/public-key", (req, res) => {
+    const publicKey = pushService.getPublicKey();
+
+    if (!publicKey) {
+        return res.status(503).json({
+            success: false,
+            error: "PUSH_NOT_CONFIGURED",
+            message: "Push notifications are not available"
+        });
+    }
+
+    sendSuccess(res, { publicKey }, "Push public key retrieved successfully");
+});
+
+/**
+ * POST /push/subscriptions
+ * Save the current browser's push subscription
+ */
+router.post("/push/subscriptions",
+    authenticateToken,
+    validateInput({ body: pushSubscriptionSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await pushService.subscribe(
+                req.user._id,
+                req.body,
+                req.get('user-agent') || ''
+            );
+
+            if (!result.success) {
+                return res.status(500).json({
+                    success: false,
+                    error: result.code,
+                    message: result.error
+                });
+            }
+
+            sendSuccess(res, {
+                endpoint: result.subscription.endpoint,
+                createdAt: result.subscription.createdAt
+            }, "Push notifications enabled for this device", 201);
+        } catch (error) {
+            console.error('Save push subscription error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to save push subscription"
+            });
+        }
+    }
+);
+
+/**
+ * DELETE /push/subscriptions
+ * Remove the current browser's push subscription
+ */
+router.delete("/push/subscriptions",
+    authenticateToken,
+    validateInput({ body: pushUnsubscribeSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await pushService.unsubscribe(req.user._id, req.body.endpoint);
+
+            if (!result.success) {
+                return res.status(500).json({
+                    success: false,
+                    error: result.code,
+                    message: result.error
+                });
+            }
+
+            sendSuccess(res, { removed: result.removed }, "Push notifications disabled for this device");
+        } catch (error) {
+            console.error('Delete push subscription error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to remove push subscription"
+            });
+        }
+    }
+);
+
 // Validation schemas
 const updatePreferencesSchema = z.object({
     securityEvents: z.object({
@@ -224,10 +334,12 @@ const updatePreferencesSchema = z.object({
         propertyUpdates: z.object({
             email: z.boolean().optional(),
             sms: z.boolean().optional(),
+            push: z.boolean().optional(),
         }).optional(),
         messages: z.object({
             email: z.boolean().optional(),
             sms: z.boolean().optional(),
+            push: z.boolean().optional(),
         }).optional(),
         marketing: z.object({
             email: z.boolean().optional(),
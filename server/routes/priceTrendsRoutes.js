@@ -5,12 +5,14 @@
 
 import { Router } from "express";
 import { Property } from "../models/Property.js";
+import priceHistoryService from "../src/services/priceHistoryService.js";
 
 const router = Router();
 
 /**
  * GET /api/price-trends
- * Get price trends and statistics for a city/category combination
+ * Get price trends and statistics for a city/category combination.
+ * priceChanges summarises edits to existing listings' prices per month.
  * 
  * Query params:
  * - city (required): City name
@@ -140,6 +142,12 @@ router.get("/", async (req, res) => {
             maxPrice: t.maxPrice
         }));
 
+        // Monthly price drops/increases of existing listings (from price history)
+        const priceChanges = await priceHistoryService.getMonthlyChanges(
+            { city, listingType: listingType === "buy" ? "buy" : "rent", category },
+            monthsAgo
+        );
+
         // Get category breakdown if no specific category requested
         let categoryBreakdown = null;
         if (!category) {
@@ -176,6 +184,7 @@ router.get("/", async (req, res) => {
                 },
                 percentiles,
                 trends,
+                priceChanges,
                 categoryBreakdown,
                 generatedAt: new Date().toISOString()
             }
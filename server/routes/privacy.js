@@ -3,6 +3,7 @@ import { z } from "zod";
 import privacySettingsService from "../src/services/privacySettingsService.js";
 import dataExportService from "../src/services/dataExportService.js";
 import dataCleanupService from "../src/services/dataCleanupService.js";
+import viewHistoryService from "../src/services/viewHistoryService.js";
 import {
     authenticateToken,
     validateInput,
@@ -331,6 +332,30 @@ router.post("/export",
     }
 );
 
+// Clear browsing (listing view) history
+router.delete("/view-history", authenticateToken, async (req, res) => {
+    try {
+        const result = await viewHistoryService.clearHistory(req.user._id);
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+
+        await logAccountEvent(req.user._id, 'view_history_cleared', true, {
+            deletedCount: result.deletedCount
+        }, req);
+
+        sendSuccess(res, { deletedCount: result.deletedCount }, "View history cleared successfully");
+    } catch (error) {
+        console.error('Clear view history error:', error);
+        await logAccountEvent(req.user._id, 'view_history_cleared', false, { error: error.message }, req);
+        res.status(500).json({
+            success: false,
+            error: "Internal server error",
+            message: "Failed to clear view history"
+        });
+    }
+});
+
 // Get data cleanup statistics
 router.get("/cleanup/stats", authenticateToken, async (req, res) => {
     try {
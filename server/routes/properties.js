@@ -4,12 +4,24 @@ import { User } from "../models/User.js";
 import mongoose from "mongoose";
 import { connectDB } from "../src/config/db.js";
 import { authenticateToken } from "../src/middleware/security.js";
-import { propertyUpload, uploadPropertyPhotos } from "../src/middleware/cloudinaryUpload.js";
+import { propertyUpload, listingImportUpload, uploadPropertyPhotos } from "../src/middleware/cloudinaryUpload.js";
 import { LISTING_TYPES } from "../../shared/propertyTypes.js";
 import listingLifecycleService from "../src/services/listingLifecycleService.js";
+import priceHistoryService from "../src/services/priceHistoryService.js";
+import propertyImportService from "../src/services/propertyImportService.js";
+import { OWNER_EDITABLE_FIELDS, NUMERIC_FIELDS } from "../src/middleware/propertyValidation.js";
+import { invalidatePropertyCache } from "../src/utils/cache.js";
+import propertySearchService from "../src/services/propertySearchService.js";
+import similarListingsService from "../src/services/similarListingsService.js";
+import rentalApplicationService from "../src/services/rentalApplicationService.js";
 
 const router = Router();
 
+// Responses for propertySearchService error codes
+const SEARCH_ERRORS = {
+    INVALID_GEO_SEARCH: { statusCode: 400, error: "Invalid geo search" }
+};
+
 function slugify(text) {
     return String(text || "")
         .toLowerCase()
@@ -111,6 +123,7 @@ router.post("/rent", propertyUpload.array("photos", 10), async (req, res) => {
         });
 
         await doc.save();
+        await invalidatePropertyCache(doc._id);
         res.status(201).json(doc);
     } catch (err) {
         if (err.name === "ValidationError") {
@@ -168,6 +181,7 @@ router.post("/buy", propertyUpload.array("photos", 10), async (req, res) => {
         });
 
         await doc.save();
+        await invalidatePropertyCache(doc._id);
         res.status(201).json(doc);
     } catch (err) {
         if (err.name === "ValidationError") {
@@ -228,6 +242,7 @@ router.post("/", propertyUpload.array("photos", 10), async (req, res) => {
         });
 
         await doc.save();
+        await invalidatePropertyCache(doc._id);
         res.status(201).json(doc);
     } catch (err) {
         if (err.name === "ValidationError") {
@@ -245,66 +260,25 @@ router.get("/rent", async (req, res) => {
     try {
         await connectDB();
 
-        const page = Math.max(1, Number(req.query.page) || 1);
-        const limit = Math.min(100, Number(req.query.limit) || 12);
-        const skip = (page - 1) * limit;
-
-        // Include properties with listingType="rent" OR properties without listingType (backward compatibility)
-        const filter = {
-            isDeleted: false,
-            status: "active",
-            $or: [
-                { listingType: "rent" },
-                { listingType: { $exists: false } },
-                { listingType: null }
-            ]
-        };
-
-        if (req.query.city) filter.city = String(req.query.city);
-        if (req.query.category) filter.category = String(req.query.category);
-        if (req.query.propertyType) filter.propertyType = String(req.query.propertyType);
-        if (req.query.ownerId && mongoose.Types.ObjectId.isValid(req.query.ownerId)) {
-            filter.ownerId = req.query.ownerId;
-        }
-
-        if (req.query.minRent) filter.monthlyRent = { ...(filter.monthlyRent || {}), $gte: Number(req.query.minRent) };
-        if (req.query.maxRent) filter.monthlyRent = { ...(filter.monthlyRent || {}), $lte: Number(req.query.maxRent) };
-
-        if (req.query.bedrooms) filter.bedrooms = Number(req.query.bedrooms);
-        if (req.query.furnishing) filter.furnishing = String(req.query.furnishing);
-        if (req.query.preferredTenants) filter.preferredTenants = String(req.query.preferredTenants);
-
-        if (req.query.q) {
-            filter.$text = { $search: String(req.query.q) };
-        }
+        const result = await propertySearchService.search(req.query, {
+            listingType: LISTING_TYPES.RENT,
+            facets: req.query.facets === "true"
+        });
 
-        const sortParam = String(req.query.sort || "newest");
-        let mongoSort = { createdAt: -1 };
-        if (sortParam === "rent_low_to_high") mongoSort = { monthlyRent: 1, createdAt: -1 };
-        else if (sortParam === "rent_high_to_low") mongoSort = { monthlyRent: -1, createdAt: -1 };
-        else if (sortParam === "oldest") mongoSort = { createdAt: 1 };
-        else if (sortParam === "featured") mongoSort = { featured: -1, createdAt: -1 };
-
-        let query = Property.find(filter).sort(mongoSort).skip(skip).limit(limit).lean();
-
-        if (filter.$text) {
-            query = Property.find(filter, { score: { $meta: "textScore" } })
-                .sort({ score: { $meta: "textScore" }, ...mongoSort })
-                .skip(skip)
-                .limit(limit)
-                .lean();
+        if (!result.success) {
+            const { statusCode, error } = SEARCH_ERRORS[result.code] || { statusCode: 500, error: "Server error" };
+            return res.status(statusCode).json({ success: false, error, message: result.error });
         }
 
-        const [items, total] = await Promise.all([query.exec(), Property.countDocuments(filter)]);
-
         res.json({
             success: true,
             data: {
-                items,
-                total,
-                page,
-                pageSize: limit,
-                hasMore: page < Math.ceil(total / limit)
+                items: result.items,
+                total: result.total,
+                page: result.page,
+                pageSize: result.pageSize,
+                hasMore: result.hasMore,
+                facets: result.facets
             }
         });
 
@@ -317,188 +291,26 @@ router.get("/rent", async (req, res) => {
 // POST search rent properties
 router.post("/rent/search", async (req, res) => {
     try {
-        const {
-            q = "",
-            query = "",
-            searchQuery = "",
-            location = "",
-            city = "",
-            category = "",
-            propertyType = "",
-            type = "",
-            page = 1,
-            limit = 12,
-            sort = "newest",
-            filters = {}
-        } = req.body;
-
-        const searchText = q || query || searchQuery || "";
-        const searchPropertyType = propertyType || type || filters.propertyType || "";
-
-        const safeFilters = filters || {};
-
-        const extractCity = (str) => {
-            if (!str) return "";
-            return str.split(",")[0].trim();
-        };
-
-        const searchLocation = extractCity(location || city || safeFilters.city || "");
-
-        const pageNum = Math.max(1, Number(page));
-        const limitNum = Math.min(100, Number(limit));
-        const skip = (pageNum - 1) * limitNum;
-
-        const matchStage = {
-            isDeleted: false,
-            status: "active",
-            // Include properties with listingType="rent" OR properties without listingType (backward compatibility)
-            $or: [
-                { listingType: "rent" },
-                { listingType: { $exists: false } },
-                { listingType: null }
-            ]
-        };
-
-        const andConditions = [];
-
-        if (searchText) {
-            const escapedQuery = String(searchText).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-            const regex = new RegExp(escapedQuery, "i");
-
-            andConditions.push({
-                $or: [
-                    { title: regex },
-                    { description: regex },
-                    { category: regex },
-                    { propertyType: regex },
-                    { "address.city": regex },
-                    { city: regex }
-                ]
-            });
-        }
-
-        if (searchLocation) {
-            const locationRegex = new RegExp(searchLocation.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
-            andConditions.push({
-                $or: [
-                    { city: locationRegex },
-                    { "address.city": locationRegex },
-                    { address: locationRegex }
-                ]
-            });
-        }
-
-        if (searchPropertyType) {
-            const typeRegex = new RegExp(searchPropertyType.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
-            matchStage.propertyType = typeRegex;
-        }
-        if (category) {
-            const categoryRegex = new RegExp(category.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
-            matchStage.category = categoryRegex;
-        }
-
-        if (filters.priceRange) {
-            const priceFilter = {};
-            if (filters.priceRange.min !== undefined) {
-                priceFilter.$gte = Number(filters.priceRange.min);
-            }
-            if (filters.priceRange.max !== undefined && Number(filters.priceRange.max) > 0) {
-                priceFilter.$lte = Number(filters.priceRange.max);
-            }
-            if (Object.keys(priceFilter).length > 0) {
-                matchStage.monthlyRent = priceFilter;
-            }
-        }
-
-        if (safeFilters.bedrooms && Array.isArray(safeFilters.bedrooms) && safeFilters.bedrooms.length > 0) {
-            const bedroomConditions = safeFilters.bedrooms.map(bed => {
-                if (bed === "5+" || bed === 5) {
-                    return { bedrooms: { $gte: 5 } };
-                }
-                return { bedrooms: Number(bed) };
-            });
-            andConditions.push({ $or: bedroomConditions });
-        }
-
-        if (safeFilters.amenities && Array.isArray(safeFilters.amenities) && safeFilters.amenities.length > 0) {
-            matchStage.amenities = { $all: safeFilters.amenities };
-        }
-
-        if (safeFilters.furnishing && Array.isArray(safeFilters.furnishing) && safeFilters.furnishing.length > 0) {
-            matchStage.furnishing = { $in: safeFilters.furnishing };
-        }
-
-        if (safeFilters.preferredTenants) {
-            matchStage.preferredTenants = safeFilters.preferredTenants;
-        }
-
-        if (andConditions.length > 0) {
-            matchStage.$and = andConditions;
-        }
-
-        const pipeline = [];
-        pipeline.push({ $match: matchStage });
-
-        let sortStage = { createdAt: -1 };
-        switch (sort) {
-            case "rent_low_to_high":
-                sortStage = { monthlyRent: 1, createdAt: -1 };
-                break;
-            case "rent_high_to_low":
-                sortStage = { monthlyRent: -1, createdAt: -1 };
-                break;
-            case "oldest":
-                sortStage = { createdAt: 1 };
-                break;
-            default:
-                sortStage = { createdAt: -1 };
-        }
+        const result = await propertySearchService.search(req.body, { listingType: LISTING_TYPES.RENT, facets: true });
 
-        if (searchText) {
-            pipeline.push({
-                $addFields: {
-                    relevanceScore: {
-                        $add: [
-                            { $cond: [{ $regexMatch: { input: "$title", regex: searchText, options: "i" } }, 10, 0] },
-                            { $cond: [{ $regexMatch: { input: "$category", regex: searchText, options: "i" } }, 5, 0] },
-                            { $cond: [{ $regexMatch: { input: "$propertyType", regex: searchText, options: "i" } }, 3, 0] }
-                        ]
-                    }
-                }
-            });
-            if (sort === "newest" || sort === "relevance") {
-                sortStage = { relevanceScore: -1, createdAt: -1 };
-            }
+        if (!result.success) {
+            const { statusCode, error } = SEARCH_ERRORS[result.code] || { statusCode: 500, error: "Server error" };
+            return res.status(statusCode).json({ success: false, error, message: result.error });
         }
 
-        pipeline.push({ $sort: sortStage });
-
-        pipeline.push({
-            $facet: {
-                metadata: [{ $count: "total" }],
-                data: [
-                    { $skip: skip },
-                    { $limit: limitNum }
-                ]
-            }
-        });
-
-        const result = await Property.aggregate(pipeline);
-
-        const data = result[0].data;
-        const total = result[0].metadata[0] ? result[0].metadata[0].total : 0;
-
         return res.json({
             success: true,
             data: {
-                searchResultData: data,
+                searchResultData: result.items,
+                facets: result.facets,
                 message: "Search completed successfully"
             },
             pagination: {
-                total,
-                page: pageNum,
-                pageSize: limitNum,
-                totalPages: Math.ceil(total / limitNum)
+                total: result.total,
+                page: result.page,
+                pageSize: result.pageSize,
+                totalPages: result.totalPages,
+                hasMore: result.hasMore
             }
         });
 
@@ -578,58 +390,25 @@ router.get("/buy", async (req, res) => {
     try {
         await connectDB();
 
-        const page = Math.max(1, Number(req.query.page) || 1);
-        const limit = Math.min(100, Number(req.query.limit) || 12);
-        const skip = (page - 1) * limit;
-
-        const filter = { isDeleted: false, status: "active", listingType: "buy" };
-
-        if (req.query.city) filter.city = String(req.query.city);
-        if (req.query.category) filter.category = String(req.query.category);
-        if (req.query.propertyType) filter.propertyType = String(req.query.propertyType);
-        if (req.query.ownerId && mongoose.Types.ObjectId.isValid(req.query.ownerId)) {
-            filter.ownerId = req.query.ownerId;
-        }
-
-        if (req.query.minPrice) filter.sellingPrice = { ...(filter.sellingPrice || {}), $gte: Number(req.query.minPrice) };
-        if (req.query.maxPrice) filter.sellingPrice = { ...(filter.sellingPrice || {}), $lte: Number(req.query.maxPrice) };
-
-        if (req.query.bedrooms) filter.bedrooms = Number(req.query.bedrooms);
-        if (req.query.furnishing) filter.furnishing = String(req.query.furnishing);
-        if (req.query.possessionStatus) filter.possessionStatus = String(req.query.possessionStatus);
-        if (req.query.loanAvailable !== undefined) filter.loanAvailable = req.query.loanAvailable === 'true';
-
-        if (req.query.q) {
-            filter.$text = { $search: String(req.query.q) };
-        }
+        const result = await propertySearchService.search(req.query, {
+            listingType: LISTING_TYPES.BUY,
+            facets: req.query.facets === "true"
+        });
 
-        const sortParam = String(req.query.sort || "newest");
-        let mongoSort = { createdAt: -1 };
-        if (sortParam === "price_low_to_high") mongoSort = { sellingPrice: 1, createdAt: -1 };
-        else if (sortParam === "price_high_to_low") mongoSort = { sellingPrice: -1, createdAt: -1 };
-        else if (sortParam === "oldest") mongoSort = { createdAt: 1 };
-        else if (sortParam === "featured") mongoSort = { featured: -1, createdAt: -1 };
-
-        let query = Property.find(filter).sort(mongoSort).skip(skip).limit(limit).lean();
-
-        if (filter.$text) {
-            query = Property.find(filter, { score: { $meta: "textScore" } })
-                .sort({ score: { $meta: "textScore" }, ...mongoSort })
-                .skip(skip)
-                .limit(limit)
-                .lean();
+        if (!result.success) {
+            const { statusCode, error } = SEARCH_ERRORS[result.code] || { statusCode: 500, error: "Server error" };
+            return res.status(statusCode).json({ success: false, error, message: result.error });
         }
 
-        const [items, total] = await Promise.all([query.exec(), Property.countDocuments(filter)]);
-
         res.json({
             success: true,
             data: {
-                items,
-                total,
-                page,
-                pageSize: limit,
-                hasMore: page < Math.ceil(total / limit)
+                items: result.items,
+                total: result.total,
+                page: result.page,
+                pageSize: result.pageSize,
+                hasMore: result.hasMore,
+                facets: result.facets
             }
         });
 
@@ -642,187 +421,26 @@ router.get("/buy", async (req, res) => {
 // POST search buy properties
 router.post("/buy/search", async (req, res) => {
     try {
-        const {
-            q = "",
-            query = "",
-            searchQuery = "",
-            location = "",
-            city = "",
-            category = "",
-            propertyType = "",
-            type = "",
-            page = 1,
-            limit = 12,
-            sort = "newest",
-            filters = {}
-        } = req.body;
-
-        const searchText = q || query || searchQuery || "";
-        const searchPropertyType = propertyType || type || filters.propertyType || "";
-
-        const safeFilters = filters || {};
-
-        const extractCity = (str) => {
-            if (!str) return "";
-            return str.split(",")[0].trim();
-        };
-
-        const searchLocation = extractCity(location || city || safeFilters.city || "");
-
-        const pageNum = Math.max(1, Number(page));
-        const limitNum = Math.min(100, Number(limit));
-        const skip = (pageNum - 1) * limitNum;
-
-        const matchStage = {
-            isDeleted: false,
-            status: "active",
-            listingType: "buy"
-        };
-
-        const andConditions = [];
-
-        if (searchText) {
-            const escapedQuery = String(searchText).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-            const regex = new RegExp(escapedQuery, "i");
-
-            andConditions.push({
-                $or: [
-                    { title: regex },
-                    { description: regex },
-                    { category: regex },
-                    { propertyType: regex },
-                    { "address.city": regex },
-                    { city: regex }
-                ]
-            });
-        }
-
-        if (searchLocation) {
-            const locationRegex = new RegExp(searchLocation.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
-            andConditions.push({
-                $or: [
-                    { city: locationRegex },
-                    { "address.city": locationRegex },
-                    { address: locationRegex }
-                ]
-            });
-        }
-
-        if (searchPropertyType) {
-            const typeRegex = new RegExp(searchPropertyType.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
-            matchStage.propertyType = typeRegex;
-        }
-        if (category) {
-            const categoryRegex = new RegExp(category.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
-            matchStage.category = categoryRegex;
-        }
+        const result = await propertySearchService.search(req.body, { listingType: LISTING_TYPES.BUY, facets: true });
 
-        if (filters.priceRange) {
-            const priceFilter = {};
-            if (filters.priceRange.min !== undefined) {
-                priceFilter.$gte = Number(filters.priceRange.min);
-            }
-            if (filters.priceRange.max !== undefined && Number(filters.priceRange.max) > 0) {
-                priceFilter.$lte = Number(filters.priceRange.max);
-            }
-            if (Object.keys(priceFilter).length > 0) {
-                matchStage.sellingPrice = priceFilter;
-            }
-        }
-
-        if (safeFilters.bedrooms && Array.isArray(safeFilters.bedrooms) && safeFilters.bedrooms.length > 0) {
-            const bedroomConditions = safeFilters.bedrooms.map(bed => {
-                if (bed === "5+" || bed === 5) {
-                    return { bedrooms: { $gte: 5 } };
-                }
-                return { bedrooms: Number(bed) };
-            });
-            andConditions.push({ $or: bedroomConditions });
-        }
-
-        if (safeFilters.amenities && Array.isArray(safeFilters.amenities) && safeFilters.amenities.length > 0) {
-            matchStage.amenities = { $all: safeFilters.amenities };
-        }
-
-        if (safeFilters.furnishing && Array.isArray(safeFilters.furnishing) && safeFilters.furnishing.length > 0) {
-            matchStage.furnishing = { $in: safeFilters.furnishing };
-        }
-
-        if (safeFilters.possessionStatus) {
-            matchStage.possessionStatus = safeFilters.possessionStatus;
-        }
-
-        if (safeFilters.loanAvailable !== undefined) {
-            matchStage.loanAvailable = safeFilters.loanAvailable;
-        }
-
-        if (andConditions.length > 0) {
-            matchStage.$and = andConditions;
-        }
-
-        const pipeline = [];
-        pipeline.push({ $match: matchStage });
-
-        let sortStage = { createdAt: -1 };
-        switch (sort) {
-            case "price_low_to_high":
-                sortStage = { sellingPrice: 1, createdAt: -1 };
-                break;
-            case "price_high_to_low":
-                sortStage = { sellingPrice: -1, createdAt: -1 };
-                break;
-            case "oldest":
-                sortStage = { createdAt: 1 };
-                break;
-            default:
-                sortStage = { createdAt: -1 };
-        }
-
-        if (searchText) {
-            pipeline.push({
-                $addFields: {
-                    relevanceScore: {
-                        $add: [
-                            { $cond: [{ $regexMatch: { input: "$title", regex: searchText, options: "i" } }, 10, 0] },
-                            { $cond: [{ $regexMatch: { input: "$category", regex: searchText, options: "i" } }, 5, 0] },
-                            { $cond: [{ $regexMatch: { input: "$propertyType", regex: searchText, options: "i" } }, 3, 0] }
-                        ]
-                    }
-                }
-            });
-            if (sort === "newest" || sort === "relevance") {
-                sortStage = { relevanceScore: -1, createdAt: -1 };
-            }
+        if (!result.success) {
+            const { statusCode, error } = SEARCH_ERRORS[result.code] || { statusCode: 500, error: "Server error" };
+            return res.status(statusCode).json({ success: false, error, message: result.error });
         }
 
-        pipeline.push({ $sort: sortStage });
-
-        pipeline.push({
-            $facet: {
-                metadata: [{ $count: "total" }],
-                data: [
-                    { $skip: skip },
-                    { $limit: limitNum }
-                ]
-            }
-        });
-
-        const result = await Property.aggregate(pipeline);
-
-        const data = result[0].data;
-        const total = result[0].metadata[0] ? result[0].metadata[0].total : 0;
-
         return res.json({
             success: true,
             data: {
-                searchResultData: data,
+                searchResultData: result.items,
+                facets: result.facets,
                 message: "Search completed successfully"
             },
             pagination: {
-                total,
-                page: pageNum,
-                pageSize: limitNum,
-                totalPages: Math.ceil(total / limitNum)
+                total: result.total,
+                page: result.page,
+                pageSize: result.pageSize,
+                totalPages: result.totalPages,
+                hasMore: result.hasMore
             }
         });
 
@@ -893,49 +511,22 @@ router.get("/", async (req, res) => {
     try {
         await connectDB();
 
-        const page = Math.max(1, Number(req.query.page) || 1);
-        const limit = Math.min(100, Number(req.query.limit) || 12);
-        const skip = (page - 1) * limit;
-
-        const filter = { isDeleted: false, status: "active" };
-
-        if (req.query.city) filter.city = String(req.query.city);
-        if (req.query.category) filter.category = String(req.query.category);
-        if (req.query.propertyType) filter.propertyType = String(req.query.propertyType);
-        if (req.query.ownerId && mongoose.Types.ObjectId.isValid(req.query.ownerId)) {
-            filter.ownerId = req.query.ownerId;
-        }
-
-        if (req.query.minRent) filter.monthlyRent = { ...(filter.monthlyRent || {}), $gte: Number(req.query.minRent) };
-        if (req.query.maxRent) filter.monthlyRent = { ...(filter.monthlyRent || {}), $lte: Number(req.query.maxRent) };
-
-        if (req.query.bedrooms) filter.bedrooms = Number(req.query.bedrooms);
-        if (req.query.furnishing) filter.furnishing = String(req.query.furnishing);
-
-        if (req.query.q) {
-            filter.$text = { $search: String(req.query.q) };
-        }
+        const result = await propertySearchService.search(req.query, {
+            facets: req.query.facets === "true"
+        });
 
-        const sortParam = String(req.query.sort || "newest");
-        let mongoSort = { createdAt: -1 };
-        if (sortParam === "rent_low_to_high") mongoSort = { monthlyRent: 1, createdAt: -1 };
-        else if (sortParam === "rent_high_to_low") mongoSort = { monthlyRent: -1, createdAt: -1 };
-        else if (sortParam === "oldest") mongoSort = { createdAt: 1 };
-        else if (sortParam === "featured") mongoSort = { featured: -1, createdAt: -1 };
-
-        let query = Property.find(filter).sort(mongoSort).skip(skip).limit(limit).lean();
-
-        if (filter.$text) {
-            query = Property.find(filter, { score: { $meta: "textScore" } })
-                .sort({ score: { $meta: "textScore" }, ...mongoSort })
-                .skip(skip)
-                .limit(limit)
-                .lean();
+        if (!result.success) {
+            const { statusCode, error } = SEARCH_ERRORS[result.code] || { statusCode: 500, error: "Server error" };
+            return res.status(statusCode).json({ success: false, error, message: result.error });
         }
 
-        const [items, total] = await Promise.all([query.exec(), Property.countDocuments(filter)]);
-
-        res.json({ items, total, page, pageSize: limit });
+        res.json({
+            items: result.items,
+            total: result.total,
+            page: result.page,
+            pageSize: result.pageSize,
+            facets: result.facets
+        });
 
     } catch (err) {
         console.error("GET /properties error:", err);
@@ -946,254 +537,26 @@ router.get("/", async (req, res) => {
 // Enhanced search endpoint that matches frontend expectations
 router.post("/search", async (req, res) => {
     try {
-        const {
-            q = "",
-            query = "",
-            searchQuery = "",
-            location = "",
-            city = "",
-            category = "",
-            propertyType = "",
-            type = "",
-            page = 1,
-            limit = 12,
-            sort = "newest",
-            filters = {} // Default to empty object
-        } = req.body;
-
-        // 1. Sanitize Inputs
-        const searchText = q || query || searchQuery || "";
-        const searchPropertyType = propertyType || type || filters.propertyType || "";
-
-        // Ensure safe access to nested filter properties
-        const safeFilters = filters || {};
-
-        // Helper to extract city name
-        const extractCity = (str) => {
-            if (!str) return "";
-            return str.split(",")[0].trim();
-        };
-
-        const searchLocation = extractCity(location || city || safeFilters.city || "");
-
-        // Pagination setup
-        const pageNum = Math.max(1, Number(page));
-        const limitNum = Math.min(100, Number(limit));
-        const skip = (pageNum - 1) * limitNum;
+        const result = await propertySearchService.search(req.body, { facets: true });
 
-        // 2. Build Match Stage (Base Conditions)
-        const matchStage = {
-            isDeleted: false,
-            status: "active"
-            // NOTE: Ensure your DB documents actually have 'status: active' 
-            // and 'isDeleted: false', otherwise this returns 0 results.
-        };
-
-        const andConditions = [];
-
-        // 3. Text Search - Use MongoDB $text index for performance (O(log n) vs O(n) for regex)
-        // Fallback to regex only for short queries or special characters where $text doesn't work well
-        if (searchText) {
-            const trimmedSearch = searchText.trim();
-
-            // Use $text search for queries with 3+ characters (more efficient, uses index)
-            if (trimmedSearch.length >= 3 && /^[a-zA-Z0-9\s]+$/.test(trimmedSearch)) {
-                // MongoDB $text search - uses the text index defined on Property model
-                matchStage.$text = { $search: trimmedSearch };
-            } else {
-                // Fallback to regex for short queries or special characters
-                const escapedQuery = String(trimmedSearch).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-                const regex = new RegExp(escapedQuery, "i");
-
-                andConditions.push({
-                    $or: [
-                        { title: regex },
-                        { description: regex },
-                        { category: regex },
-                        { propertyType: regex },
-                        { "address.city": regex },
-                        { city: regex }
-                    ]
-                });
-            }
-        }
-
-        // 4. Location Search
-        // if (searchLocation) {
-        //     const locationRegex = new RegExp(searchLocation.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
-        //     andConditions.push({
-        //         $or: [
-        //             { city: locationRegex },
-        //             { address: locationRegex },
-        //             // If address is an object in your schema (e.g. address.city), add that here:
-        //             // { "address.city": locationRegex }
-        //         ]
-        //     });
-        // }
-        if (searchLocation) {
-            const locationRegex = new RegExp(searchLocation.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
-            andConditions.push({
-                $or: [
-                    { city: locationRegex },              // If city is at root
-                    { "address.city": locationRegex },    // If city is inside address object
-                    { address: locationRegex }            // If address is a simple string
-                ]
-            });
-        }
-        // 5. Category & Property Type Filters
-        // if (searchPropertyType) {
-        //     matchStage.propertyType = searchPropertyType;
-        // }
-        if (searchPropertyType) {
-            // This allows "room" to match "Room", "ROOM", "Private Room", etc.
-            const typeRegex = new RegExp(searchPropertyType.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
-            matchStage.propertyType = typeRegex;
-        }
-        if (category) {
-            const categoryRegex = new RegExp(category.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), "i");
-            matchStage.category = categoryRegex;
-        }
-
-        // 6. Price Range Filter
-        // Note: Ensure your DB stores monthlyRent as a Number, not a String
-        // if (safeFilters.priceRange) {
-        //     const priceFilter = {};
-        //     // Check if min is a valid number
-        //     if (safeFilters.priceRange.min !== undefined && Number(safeFilters.priceRange.min) >= 0) {
-        //         priceFilter.$gte = Number(safeFilters.priceRange.min);
-        //     }
-        //     // Check if max is a valid number (Removed the < 100000 cap)
-        //     if (safeFilters.priceRange.max !== undefined && Number(safeFilters.priceRange.max) > 0) {
-        //         priceFilter.$lte = Number(safeFilters.priceRange.max);
-        //     }
-
-        //     if (Object.keys(priceFilter).length > 0) {
-        //         matchStage.monthlyRent = priceFilter;
-        //     }
-        // }
-        if (filters.priceRange) {
-            const priceFilter = {};
-            if (filters.priceRange.min !== undefined) {
-                priceFilter.$gte = Number(filters.priceRange.min);
-            }
-            if (filters.priceRange.max !== undefined && Number(filters.priceRange.max) > 0) {
-                priceFilter.$lte = Number(filters.priceRange.max);
-            }
-            if (Object.keys(priceFilter).length > 0) {
-                matchStage.monthlyRent = priceFilter;
-                // IMPORTANT: Check your DB schema. Is this field named 'monthlyRent', 'price', or 'rent'?
-            }
-        }
-
-        // 7. Bedrooms Filter
-        if (safeFilters.bedrooms && Array.isArray(safeFilters.bedrooms) && safeFilters.bedrooms.length > 0) {
-            const bedroomConditions = safeFilters.bedrooms.map(bed => {
-                if (bed === "5+" || bed === 5) {
-                    return { bedrooms: { $gte: 5 } };
-                }
-                return { bedrooms: Number(bed) };
-            });
-            andConditions.push({ $or: bedroomConditions });
-        }
-
-        // 8. Amenities Filter
-        if (safeFilters.amenities && Array.isArray(safeFilters.amenities) && safeFilters.amenities.length > 0) {
-            matchStage.amenities = { $all: safeFilters.amenities };
-        }
-
-        // 9. Furnishing Filter
-        if (safeFilters.furnishing && Array.isArray(safeFilters.furnishing) && safeFilters.furnishing.length > 0) {
-            matchStage.furnishing = { $in: safeFilters.furnishing };
-        }
-
-        // 10. Apply AND Conditions
-        if (andConditions.length > 0) {
-            matchStage.$and = andConditions;
-        }
-
-        // Build Pipeline
-        const pipeline = [];
-        pipeline.push({ $match: matchStage });
-
-        // Sorting
-        let sortStage = { createdAt: -1 };
-        switch (sort) {
-            case "rent_low_to_high":
-                sortStage = { monthlyRent: 1, createdAt: -1 };
-                break;
-            case "rent_high_to_low":
-                sortStage = { monthlyRent: -1, createdAt: -1 };
-                break;
-            case "oldest":
-                sortStage = { createdAt: 1 };
-                break;
-            default:
-                sortStage = { createdAt: -1 };
-        }
-
-        // Relevance Scoring
-        // When using $text search, MongoDB provides a textScore for relevance
-        // When using regex fallback, calculate relevance manually
-        if (searchText) {
-            const trimmedSearch = searchText.trim();
-            const isTextSearch = trimmedSearch.length >= 3 && /^[a-zA-Z0-9\s]+$/.test(trimmedSearch);
-
-            if (isTextSearch) {
-                // Use MongoDB's native textScore for $text searches (highly optimized)
-                pipeline.push({
-                    $addFields: {
-                        relevanceScore: { $meta: "textScore" }
-                    }
-                });
-            } else {
-                // Fallback: manual relevance scoring for regex searches
-                pipeline.push({
-                    $addFields: {
-                        relevanceScore: {
-                            $add: [
-                                { $cond: [{ $regexMatch: { input: "$title", regex: trimmedSearch, options: "i" } }, 10, 0] },
-                                { $cond: [{ $regexMatch: { input: "$category", regex: trimmedSearch, options: "i" } }, 5, 0] },
-                                { $cond: [{ $regexMatch: { input: "$propertyType", regex: trimmedSearch, options: "i" } }, 3, 0] }
-                            ]
-                        }
-                    }
-                });
-            }
-
-            if (sort === "newest" || sort === "relevance") {
-                sortStage = { relevanceScore: -1, createdAt: -1 };
-            }
+        if (!result.success) {
+            const { statusCode, error } = SEARCH_ERRORS[result.code] || { statusCode: 500, error: "Server error" };
+            return res.status(statusCode).json({ success: false, error, message: result.error });
         }
 
-        pipeline.push({ $sort: sortStage });
-
-        // Facet for Pagination
-        pipeline.push({
-            $facet: {
-                metadata: [{ $count: "total" }],
-                data: [
-                    { $skip: skip },
-                    { $limit: limitNum }
-                ]
-            }
-        });
-
-        const result = await Property.aggregate(pipeline);
-
-        const data = result[0].data;
-        const total = result[0].metadata[0] ? result[0].metadata[0].total : 0;
-
         return res.json({
             success: true,
             data: {
-                searchResultData: data,
+                searchResultData: result.items,
+                facets: result.facets,
                 message: "Search completed successfully"
             },
             pagination: {
-                total,
-                page: pageNum,
-                pageSize: limitNum,
-                totalPages: Math.ceil(total / limitNum)
+                total: result.total,
+                page: result.page,
+                pageSize: result.pageSize,
+                totalPages: result.totalPages,
+                hasMore: result.hasMore
             }
         });
 
@@ -1255,6 +618,122 @@ router.get("/my-listings", authenticateToken, async (req, res) => {
     }
 });
 
+// GET export the authenticated user's listings as CSV or JSON (import format)
+router.get("/my-listings/export", authenticateToken, async (req, res) => {
+    try {
+        await connectDB();
+
+        const format = req.query.format === "json" ? "json" : "csv";
+        const result = await propertyImportService.exportListings(req.user._id, format);
+
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: "Server error",
+                message: result.error
+            });
+        }
+
+        const filename = `my-listings-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader("Content-Type", format === "json" ? "application/json; charset=utf-8" : "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+        res.send(result.content);
+
+    } catch (err) {
+        console.error("GET /properties/my-listings/export error:", err);
+        res.status(500).json({
+            success: false,
+            error: "Server error",
+            message: err.message
+        });
+    }
+});
+
+// Status codes for propertyImportService error codes
+const IMPORT_ERROR_STATUS = {
+    INVALID_FILE: 400,
+    EMPTY_IMPORT: 400,
+    TOO_MANY_ROWS: 400,
+    USER_NOT_FOUND: 404
+};
+
+// Run the import file upload and turn multer errors into 400 responses
+const handleImportUpload = (req, res, next) => {
+    listingImportUpload.single("file")(req, res, (error) => {
+        if (!error) return next();
+
+        res.status(400).json({
+            success: false,
+            error: "Invalid file",
+            message: error.code === "LIMIT_FILE_SIZE" ? "Import files must be 2MB or smaller" : error.message
+        });
+    });
+};
+
+// POST bulk import listings from a CSV/JSON file (multipart field "file") or a
+// JSON body { listings: [...] }. ?dryRun=true validates without saving; ?geocode=false
+// leaves new listings without a map location instead of geocoding their address afterwards.
+router.post("/import", authenticateToken, handleImportUpload, async (req, res) => {
+    try {
+        await connectDB();
+
+        const body = req.body || {};
+        const dryRun = String(req.query.dryRun ?? body.dryRun ?? "false") === "true";
+        const geocode = String(req.query.geocode ?? body.geocode ?? "true") !== "false";
+
+        let rows;
+        if (req.file) {
+            const parsed = propertyImportService.parseFile(req.file);
+            if (!parsed.success) {
+                return res.status(400).json({ success: false, error: "Invalid file", message: parsed.error });
+            }
+            rows = parsed.rows;
+        } else if (Array.isArray(body.listings)) {
+            rows = body.listings;
+        } else {
+            return res.status(400).json({
+                success: false,
+                error: "Validation failed",
+                message: "Upload a CSV or JSON file in the \"file\" field, or send a \"listings\" array"
+            });
+        }
+
+        const result = await propertyImportService.importListings(req.user._id, rows, { dryRun, geocode });
+
+        if (!result.success) {
+            return res.status(IMPORT_ERROR_STATUS[result.code] || 500).json({
+                success: false,
+                error: result.code === "INTERNAL_ERROR" ? "Server error" : "Import failed",
+                message: result.error
+            });
+        }
+
+        const { report } = result;
+        res.status(!dryRun && report.created > 0 ? 201 : 200).json({
+            success: true,
+            message: dryRun
+                ? `Dry run: ${report.succeeded} of ${report.total} listings are valid`
+                : `Imported ${report.succeeded} of ${report.total} listings`,
+            data: report
+        });
+
+    } catch (err) {
+        console.error("POST /properties/import error:", err);
+        res.status(500).json({
+            success: false,
+            error: "Server error",
+            message: err.message
+        });
+    }
+});
+
+// Responses for listingLifecycleService.setListingStatus error codes
+const STATUS_CHANGE_ERRORS = {
+    NOT_FOUND: { statusCode: 404, error: "Property not found" },
+    FORBIDDEN: { statusCode: 403, error: "Forbidden" },
+    BLOCKED: { statusCode: 400, error: "Cannot modify blocked property" }
+};
+
 // PATCH property status (toggle active/inactive)
 router.patch("/:id/status", authenticateToken, async (req, res) => {
     try {
@@ -1283,42 +762,22 @@ router.patch("/:id/status", authenticateToken, async (req, res) => {
             });
         }
 
-        // Find the property
-        const property = await Property.findOne({
-            _id: id,
-            isDeleted: false
-        });
-
-        if (!property) {
-            return res.status(404).json({
-                success: false,
-                error: "Property not found",
-                message: "The requested property could not be found"
-            });
-        }
+        const result = await listingLifecycleService.setListingStatus(id, userId, status);
 
-        // Verify ownership - compare ObjectIds as strings
-        if (property.ownerId.toString() !== userId.toString()) {
-            return res.status(403).json({
+        if (!result.success) {
+            const { statusCode, error } = STATUS_CHANGE_ERRORS[result.code] || { statusCode: 500, error: "Server error" };
+            return res.status(statusCode).json({
                 success: false,
-                error: "Forbidden",
-                message: "You do not have permission to modify this property"
+                error,
+                message: result.error
             });
         }
 
-        // Check if property is blocked (cannot toggle blocked properties)
-        if (property.status === "blocked") {
-            return res.status(400).json({
-                success: false,
-                error: "Cannot modify blocked property",
-                message: "This property has been blocked and cannot be modified"
-            });
+        const { property } = result;
+        if (status === "active") {
+            await rentalApplicationService.closeAcceptedApplications(property._id, userId);
         }
 
-        // Update the status
-        property.status = status;
-        await property.save();
-
         res.json({
             success: true,
             data: {
@@ -1377,6 +836,10 @@ router.post("/:id/renew", authenticateToken, async (req, res) => {
             });
         }
 
+        if (result.property.status === "active") {
+            await rentalApplicationService.closeAcceptedApplications(result.property._id, userId);
+        }
+
         res.json({
             success: true,
             message: "Listing renewed successfully",
@@ -1393,6 +856,182 @@ router.post("/:id/renew", authenticateToken, async (req, res) => {
     }
 });
 
+// PATCH property details (owner edits, including price changes)
+router.patch("/:id", authenticateToken, async (req, res) => {
+    try {
+        await connectDB();
+
+        const { id } = req.params;
+        const userId = req.user._id;
+
+        if (!mongoose.Types.ObjectId.isValid(id)) {
+            return res.status(400).json({
+                success: false,
+                error: "Invalid property ID",
+                message: "The provided property ID is not valid"
+            });
+        }
+
+        const property = await Property.findOne({ _id: id, isDeleted: false }).lean();
+
+        if (!property) {
+            return res.status(404).json({
+                success: false,
+                error: "Property not found",
+                message: "The requested property could not be found"
+            });
+        }
+
+        if (property.ownerId.toString() !== userId.toString()) {
+            return res.status(403).json({
+                success: false,
+                error: "Forbidden",
+                message: "You do not have permission to modify this property"
+            });
+        }
+
+        if (property.status === "blocked") {
+            return res.status(400).json({
+                success: false,
+                error: "Cannot modify blocked property",
+                message: "This property has been blocked and cannot be modified"
+            });
+        }
+
+        // Keep only the fields editable for this listing type
+        const listingType = property.listingType || LISTING_TYPES.RENT;
+        const allowed = [...OWNER_EDITABLE_FIELDS.common, ...OWNER_EDITABLE_FIELDS[listingType]];
+        const body = req.body || {};
+        const updateData = {};
+
+        for (const field of allowed) {
+            if (body[field] === undefined) continue;
+
+            if (NUMERIC_FIELDS.includes(field)) {
+                const value = Number(body[field]);
+                if (Number.isNaN(value) || value < 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: "Validation failed",
+                        message: `${field} must be a positive number`,
+                        field
+                    });
+                }
+                updateData[field] = value;
+            } else {
+                updateData[field] = body[field];
+            }
+        }
+
+        if (Object.keys(updateData).length === 0) {
+            return res.status(400).json({
+                success: false,
+                error: "Validation failed",
+                message: `No editable fields provided. Allowed: ${allowed.join(", ")}`
+            });
+        }
+
+        // Price drops are stamped on the property for saved search alerts
+        const priceChange = priceHistoryService.detectPriceChange(property, updateData);
+        if (priceChange) Object.assign(updateData, priceChange.update);
+
+        const updated = await Property.findByIdAndUpdate(
+            id,
+            { $set: updateData },
+            { new: true, runValidators: true }
+        ).lean();
+
+        if (priceChange) {
+            await priceHistoryService.recordPriceChange(property, priceChange, {
+                changedBy: userId,
+                source: "owner"
+            });
+        }
+
+        await invalidatePropertyCache(id);
+
+        res.json({
+            success: true,
+            message: "Property updated successfully",
+            data: addUrlPathToProperty(updated)
+        });
+
+    } catch (err) {
+        if (err.name === "ValidationError") {
+            const messages = Object.values(err.errors).map(e => e.message);
+            return res.status(400).json({ success: false, error: "Validation failed", details: messages });
+        }
+        console.error("PATCH /properties/:id error:", err);
+        res.status(500).json({
+            success: false,
+            error: "Server error",
+            message: err.message
+        });
+    }
+});
+
+// GET similar listings (for the "similar homes" carousel on detail pages). ?limit= up to 20
+router.get("/:id/similar", async (req, res) => {
+    try {
+        await connectDB();
+
+        const result = await similarListingsService.findSimilar(req.params.id, { limit: req.query.limit });
+
+        if (!result.success) {
+            const status = result.code === "INVALID_ID" ? 400 : result.code === "PROPERTY_NOT_FOUND" ? 404 : 500;
+            return res.status(status).json({
+                success: false,
+                error: result.code,
+                message: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.items
+        });
+
+    } catch (err) {
+        console.error("GET /properties/:id/similar error:", err);
+        res.status(500).json({
+            success: false,
+            error: "Server error",
+            message: err.message
+        });
+    }
+});
+
+// GET property price history (for price charts on detail pages)
+router.get("/:id/price-history", async (req, res) => {
+    try {
+        await connectDB();
+
+        const result = await priceHistoryService.getHistory(req.params.id);
+
+        if (!result.success) {
+            const status = result.code === "INVALID_ID" ? 400 : result.code === "PROPERTY_NOT_FOUND" ? 404 : 500;
+            return res.status(status).json({
+                success: false,
+                error: result.code,
+                message: result.error
+            });
+        }
+
+        res.json({
+            success: true,
+            data: result.history
+        });
+
+    } catch (err) {
+        console.error("GET /properties/:id/price-history error:", err);
+        res.status(500).json({
+            success: false,
+            error: "Server error",
+            message: err.message
+        });
+    }
+});
+
 // GET individual property by ID or slug
 router.get("/:identifier", async (req, res) => {
     try {
@@ -1488,6 +1127,7 @@ router.delete("/:id", authenticateToken, async (req, res) => {
         // Soft delete - set isDeleted to true instead of removing document
         property.isDeleted = true;
         await property.save();
+        await invalidatePropertyCache(property._id, { searches: false });
 
         res.json({
             success: true,
@@ -10,23 +10,17 @@ import mongoose from "mongoose";
 import { validatePropertyByListingType } from "../src/middleware/propertyValidation.js";
 import { propertyUpload, uploadPropertyPhotos } from "../src/middleware/cloudinaryUpload.js";
 import { LISTING_TYPES } from "../../shared/propertyTypes.js";
+import { invalidatePropertyCache } from "../src/utils/cache.js";
+import propertySearchService from "../src/services/propertySearchService.js";
 
 const router = Router();
 
-/* ---------------------- HELPER FUNCTIONS ---------------------- */
+// Responses for propertySearchService error codes
+const SEARCH_ERRORS = {
+    INVALID_GEO_SEARCH: { statusCode: 400, error: "Invalid geo search" }
+};
 
-/**
- * Escape special regex characters in a string
- */
-function escapeRegex(str) {
-    if (!str) return "";
-    const specialChars = ['\\', '.', '*', '+', '?', '^', '$', '{', '}', '(', ')', '|', '[', ']'];
-    let result = String(str);
-    for (const char of specialChars) {
-        result = result.split(char).join('\\' + char);
-    }
-    return result;
-}
+/* ---------------------- HELPER FUNCTIONS ---------------------- */
 
 function slugify(text) {
     return String(text || "")
@@ -149,6 +143,7 @@ router.post("/", propertyUpload.array("photos", 10), validatePropertyByListingTy
         });
 
         await doc.save();
+        await invalidatePropertyCache(doc._id);
         res.status(201).json({ success: true, data: doc });
     } catch (err) {
         if (err.name === "ValidationError") {
@@ -167,56 +162,26 @@ router.post("/", propertyUpload.array("photos", 10), validatePropertyByListingTy
  */
 router.get("/", async (req, res) => {
     try {
-        const page = Math.max(1, Number(req.query.page) || 1);
-        const limit = Math.min(100, Number(req.query.limit) || 12);
-        const skip = (page - 1) * limit;
-
-        const filter = {
-            $or: [
-                { listingType: LISTING_TYPES.RENT },
-                { listingType: { $exists: false } }
-            ],
-            isDeleted: false,
-            status: "active"
-        };
-
-        if (req.query.city) filter.city = String(req.query.city);
-        if (req.query.category) filter.category = String(req.query.category);
-        if (req.query.propertyType) filter.propertyType = String(req.query.propertyType);
-        if (req.query.ownerId && mongoose.Types.ObjectId.isValid(req.query.ownerId)) {
-            filter.ownerId = req.query.ownerId;
-        }
+        const result = await propertySearchService.search(req.query, {
+            listingType: LISTING_TYPES.RENT,
+            facets: req.query.facets === "true"
+        });
 
-        if (req.query.minRent) filter.monthlyRent = { ...(filter.monthlyRent || {}), $gte: Number(req.query.minRent) };
-        if (req.query.maxRent) filter.monthlyRent = { ...(filter.monthlyRent || {}), $lte: Number(req.query.maxRent) };
-        if (req.query.preferredTenants) filter.preferredTenants = String(req.query.preferredTenants);
-        if (req.query.furnished) filter.furnishing = String(req.query.furnished);
-        if (req.query.bedrooms) filter.bedrooms = Number(req.query.bedrooms);
-        if (req.query.furnishing) filter.furnishing = String(req.query.furnishing);
-        if (req.query.q) filter.$text = { $search: String(req.query.q) };
-
-        const sortParam = String(req.query.sort || "newest");
-        let mongoSort = { createdAt: -1 };
-        if (sortParam === "rent_low_to_high") mongoSort = { monthlyRent: 1, createdAt: -1 };
-        else if (sortParam === "rent_high_to_low") mongoSort = { monthlyRent: -1, createdAt: -1 };
-        else if (sortParam === "oldest") mongoSort = { createdAt: 1 };
-        else if (sortParam === "featured") mongoSort = { featured: -1, createdAt: -1 };
-
-        let query = Property.find(filter).sort(mongoSort).skip(skip).limit(limit).lean();
-
-        if (filter.$text) {
-            query = Property.find(filter, { score: { $meta: "textScore" } })
-                .sort({ score: { $meta: "textScore" }, ...mongoSort })
-                .skip(skip)
-                .limit(limit)
-                .lean();
+        if (!result.success) {
+            const { statusCode, error } = SEARCH_ERRORS[result.code] || { statusCode: 500, error: "Server error" };
+            return res.status(statusCode).json({ success: false, error, message: result.error });
         }
 
-        const [items, total] = await Promise.all([query.exec(), Property.countDocuments(filter)]);
-
         res.json({
             success: true,
-            data: { items, total, page, pageSize: limit }
+            data: {
+                items: result.items,
+                total: result.total,
+                page: result.page,
+                pageSize: result.pageSize,
+                hasMore: result.hasMore,
+                facets: result.facets
+            }
         });
 
     } catch (err) {
@@ -299,196 +264,26 @@ router.get("/:identifier", async (req, res) => {
  */
 router.post("/search", async (req, res) => {
     try {
-        const {
-            q = "",
-            query = "",
-            searchQuery = "",
-            location = "",
-            city = "",
-            category = "",
-            propertyType = "",
-            type = "",
-            page = 1,
-            limit = 12,
-            sort = "newest",
-            filters = {}
-        } = req.body;
-
-        const searchText = q || query || searchQuery || "";
-        const searchPropertyType = propertyType || type || filters.propertyType || "";
-        const safeFilters = filters || {};
-
-        const extractCity = (str) => {
-            if (!str) return "";
-            return str.split(",")[0].trim();
-        };
-
-        const searchLocation = extractCity(location || city || safeFilters.city || "");
-
-        const pageNum = Math.max(1, Number(page));
-        const limitNum = Math.min(100, Number(limit));
-        const skip = (pageNum - 1) * limitNum;
-
-        // Base match: only rent properties (include legacy properties without listingType)
-        const matchStage = {
-            $or: [
-                { listingType: LISTING_TYPES.RENT },
-                { listingType: { $exists: false } }
-            ],
-            isDeleted: false,
-            status: "active"
-        };
-
-        const andConditions = [];
-
-        // Text search
-        if (searchText) {
-            const escapedQuery = escapeRegex(searchText);
-            const regex = new RegExp(escapedQuery, "i");
-
-            andConditions.push({
-                $or: [
-                    { title: regex },
-                    { description: regex },
-                    { category: regex },
-                    { propertyType: regex },
-                    { city: regex }
-                ]
-            });
-        }
-
-        // Location search
-        if (searchLocation) {
-            const locationRegex = new RegExp(escapeRegex(searchLocation), "i");
-            andConditions.push({
-                $or: [
-                    { city: locationRegex },
-                    { address: locationRegex }
-                ]
-            });
-        }
+        const result = await propertySearchService.search(req.body, { listingType: LISTING_TYPES.RENT, facets: true });
 
-        // Property type filter
-        if (searchPropertyType) {
-            const typeRegex = new RegExp(escapeRegex(searchPropertyType), "i");
-            matchStage.propertyType = typeRegex;
+        if (!result.success) {
+            const { statusCode, error } = SEARCH_ERRORS[result.code] || { statusCode: 500, error: "Server error" };
+            return res.status(statusCode).json({ success: false, error, message: result.error });
         }
 
-        // Category filter
-        if (category) {
-            const categoryRegex = new RegExp(escapeRegex(category), "i");
-            matchStage.category = categoryRegex;
-        }
-
-        // Rent-specific price range filter (monthlyRent)
-        if (filters.priceRange) {
-            const priceFilter = {};
-            if (filters.priceRange.min !== undefined) {
-                priceFilter.$gte = Number(filters.priceRange.min);
-            }
-            if (filters.priceRange.max !== undefined && Number(filters.priceRange.max) > 0) {
-                priceFilter.$lte = Number(filters.priceRange.max);
-            }
-            if (Object.keys(priceFilter).length > 0) {
-                matchStage.monthlyRent = priceFilter;
-            }
-        }
-
-        // Rent-specific: preferred tenants filter
-        if (safeFilters.preferredTenants) {
-            matchStage.preferredTenants = safeFilters.preferredTenants;
-        }
-
-        // Bedrooms filter
-        if (safeFilters.bedrooms && Array.isArray(safeFilters.bedrooms) && safeFilters.bedrooms.length > 0) {
-            const bedroomConditions = safeFilters.bedrooms.map(bed => {
-                if (bed === "5+" || bed === 5) {
-                    return { bedrooms: { $gte: 5 } };
-                }
-                return { bedrooms: Number(bed) };
-            });
-            andConditions.push({ $or: bedroomConditions });
-        }
-
-        // Amenities filter
-        if (safeFilters.amenities && Array.isArray(safeFilters.amenities) && safeFilters.amenities.length > 0) {
-            matchStage.amenities = { $all: safeFilters.amenities };
-        }
-
-        // Furnishing filter
-        if (safeFilters.furnishing && Array.isArray(safeFilters.furnishing) && safeFilters.furnishing.length > 0) {
-            matchStage.furnishing = { $in: safeFilters.furnishing };
-        }
-
-        if (andConditions.length > 0) {
-            matchStage.$and = andConditions;
-        }
-
-        const pipeline = [];
-        pipeline.push({ $match: matchStage });
-
-        // Sorting
-        let sortStage = { createdAt: -1 };
-        switch (sort) {
-            case "rent_low_to_high":
-                sortStage = { monthlyRent: 1, createdAt: -1 };
-                break;
-            case "rent_high_to_low":
-                sortStage = { monthlyRent: -1, createdAt: -1 };
-                break;
-            case "oldest":
-                sortStage = { createdAt: 1 };
-                break;
-            default:
-                sortStage = { createdAt: -1 };
-        }
-
-        // Relevance scoring for text search
-        if (searchText) {
-            pipeline.push({
-                $addFields: {
-                    relevanceScore: {
-                        $add: [
-                            { $cond: [{ $regexMatch: { input: "$title", regex: searchText, options: "i" } }, 10, 0] },
-                            { $cond: [{ $regexMatch: { input: "$category", regex: searchText, options: "i" } }, 5, 0] },
-                            { $cond: [{ $regexMatch: { input: "$propertyType", regex: searchText, options: "i" } }, 3, 0] }
-                        ]
-                    }
-                }
-            });
-            if (sort === "newest" || sort === "relevance") {
-                sortStage = { relevanceScore: -1, createdAt: -1 };
-            }
-        }
-
-        pipeline.push({ $sort: sortStage });
-
-        pipeline.push({
-            $facet: {
-                metadata: [{ $count: "total" }],
-                data: [
-                    { $skip: skip },
-                    { $limit: limitNum }
-                ]
-            }
-        });
-
-        const result = await Property.aggregate(pipeline);
-
-        const data = result[0].data;
-        const total = result[0].metadata[0] ? result[0].metadata[0].total : 0;
-
         return res.json({
             success: true,
             data: {
-                searchResultData: data,
+                searchResultData: result.items,
+                facets: result.facets,
                 message: "Rent properties search completed successfully"
             },
             pagination: {
-                total,
-                page: pageNum,
-                pageSize: limitNum,
-                totalPages: Math.ceil(total / limitNum)
+                total: result.total,
+                page: result.page,
+                pageSize: result.pageSize,
+                totalPages: result.totalPages,
+                hasMore: result.hasMore
             }
         });
 
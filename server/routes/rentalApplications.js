@@ -0,0 +1,300 @@
+import { Router } from "express";
+import { z } from "zod";
+import rentalApplicationService from "../src/services/rentalApplicationService.js";
+import { INCOME_RANGES, APPLICATION_DOCUMENT_TYPES } from "../models/RentalApplication.js";
+import { connectDB } from "../src/config/db.js";
+import { applicationUpload, uploadApplicationDocuments } from "../src/middleware/cloudinaryUpload.js";
+import {
+    authenticateToken,
+    validateInput,
+    commonSchemas,
+    sendSuccess
+} from "../src/middleware/security.js";
+
+/**
+ * Rental Application Routes
+ * Mounted at /api/applications
+ */
+const router = Router();
+
+/* ---------------------- VALIDATION SCHEMAS ---------------------- */
+
+const propertyParamsSchema = z.object({
+    propertyId: commonSchemas.objectId
+});
+
+const applicationParamsSchema = z.object({
+    id: commonSchemas.objectId
+});
+
+// Multipart form fields arrive as strings; repeated fields arrive as arrays
+const submitApplicationSchema = z.object({
+    householdSize: z.coerce.number().int().min(1, "Household size must be at least 1").max(20),
+    moveInDate: z.coerce.date().refine(
+        date => date >= new Date(new Date().setHours(0, 0, 0, 0)),
+        { message: "Move-in date cannot be in the past" }
+    ),
+    occupation: z.string().trim().min(1, "Occupation is required").max(100),
+    incomeRange: z.enum(INCOME_RANGES),
+    message: z.string().trim().max(1000).default(''),
+    documentTypes: z.union([
+        z.enum(APPLICATION_DOCUMENT_TYPES),
+        z.array(z.enum(APPLICATION_DOCUMENT_TYPES))
+    ]).optional()
+});
+
+const updateStatusSchema = z.object({
+    status: z.enum(['shortlisted', 'accepted', 'rejected']),
+    note: z.string().trim().max(500).default('')
+});
+
+const applicationStatusSchema = z.enum(['submitted', 'shortlisted', 'accepted', 'rejected', 'withdrawn', 'closed']);
+
+const submittedListQuerySchema = z.object({
+    status: applicationStatusSchema.optional(),
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(50).default(20)
+});
+
+const receivedListQuerySchema = submittedListQuerySchema.extend({
+    propertyId: commonSchemas.objectId.optional()
+});
+
+/* ---------------------- HELPER FUNCTIONS ---------------------- */
+
+const ERROR_STATUS_CODES = {
+    NOT_RENT_LISTING: 400,
+    OWN_PROPERTY: 400,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    PROPERTY_NOT_FOUND: 404,
+    PROPERTY_INACTIVE: 409,
+    PROPERTY_BLOCKED: 409,
+    DUPLICATE_APPLICATION: 409,
+    INVALID_TRANSITION: 409,
+    ALREADY_ACCEPTED: 409
+};
+
+const sendServiceError = (res, result) => {
+    res.status(ERROR_STATUS_CODES[result.code] || 500).json({
+        success: false,
+        error: result.code,
+        message: result.error
+    });
+};
+
+const sendQueryError = (res, queryResult) => {
+    res.status(400).json({
+        success: false,
+        error: "VALIDATION_ERROR",
+        message: "Invalid query parameters",
+        details: queryResult.error.errors
+    });
+};
+
+/**
+ * Run the document upload and turn multer errors into 400 responses
+ */
+const handleDocumentUpload = (req, res, next) => {
+    applicationUpload.array('documents', 5)(req, res, (error) => {
+        if (!error) return next();
+
+        const message = error.code === 'LIMIT_FILE_SIZE'
+            ? "Each document must be 5MB or smaller"
+            : error.code === 'LIMIT_FILE_COUNT' || error.code === 'LIMIT_UNEXPECTED_FILE'
+                ? "You can attach up to 5 documents"
+                : error.message;
+
+        res.status(400).json({
+            success: false,
+            error: "INVALID_DOCUMENT",
+            message
+        });
+    });
+};
+
+/* ---------------------- ROUTES ---------------------- */
+
+/**
+ * POST /api/applications/properties/:propertyId
+ * Apply to rent a property, with optional supporting documents
+ * (multipart field "documents", types in "documentTypes" in the same order)
+ */
+router.post("/properties/:propertyId",
+    authenticateToken,
+    handleDocumentUpload,
+    validateInput({ params: propertyParamsSchema, body: submitApplicationSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const { propertyId } = req.params;
+            const userId = req.user._id;
+
+            // Check eligibility before uploading so refused applications store no files
+            const eligibility = await rentalApplicationService.checkEligibility(userId, propertyId);
+            if (!eligibility.success) return sendServiceError(res, eligibility);
+
+            const { documentTypes, ...data } = req.body;
+            const types = [].concat(documentTypes || []);
+            const uploaded = await uploadApplicationDocuments(req.files);
+            const documents = uploaded.map((document, index) => ({
+                ...document,
+                documentType: types[index] || 'other'
+            }));
+
+            const result = await rentalApplicationService.submitApplication(userId, propertyId, data, documents);
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, result.application, "Application submitted successfully", 201);
+        } catch (error) {
+            console.error('Submit application error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to submit application"
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/applications/mine
+ * Applications submitted by the authenticated user
+ */
+router.get("/mine", authenticateToken, async (req, res) => {
+    try {
+        await connectDB();
+
+        const queryResult = submittedListQuerySchema.safeParse(req.query);
+        if (!queryResult.success) return sendQueryError(res, queryResult);
+
+        const result = await rentalApplicationService.listSubmitted(req.user._id, queryResult.data);
+        if (!result.success) return sendServiceError(res, result);
+
+        sendSuccess(res, {
+            applications: result.applications,
+            pagination: result.pagination
+        }, "Applications retrieved successfully");
+    } catch (error) {
+        console.error('Get submitted applications error:', error);
+        res.status(500).json({
+            success: false,
+            error: "INTERNAL_ERROR",
+            message: "Failed to retrieve applications"
+        });
+    }
+});
+
+/**
+ * GET /api/applications/received
+ * Applications received on the authenticated user's listings
+ */
+router.get("/received", authenticateToken, async (req, res) => {
+    try {
+        await connectDB();
+
+        const queryResult = receivedListQuerySchema.safeParse(req.query);
+        if (!queryResult.success) return sendQueryError(res, queryResult);
+
+        const result = await rentalApplicationService.listReceived(req.user._id, queryResult.data);
+        if (!result.success) return sendServiceError(res, result);
+
+        sendSuccess(res, {
+            applications: result.applications,
+            pagination: result.pagination
+        }, "Applications retrieved successfully");
+    } catch (error) {
+        console.error('Get received applications error:', error);
+        res.status(500).json({
+            success: false,
+            error: "INTERNAL_ERROR",
+            message: "Failed to retrieve applications"
+        });
+    }
+});
+
+/**
+ * GET /api/applications/:id
+ * A single application (applicant or property owner)
+ */
+router.get("/:id",
+    authenticateToken,
+    validateInput({ params: applicationParamsSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await rentalApplicationService.getApplication(req.user._id, req.params.id);
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, result.application, "Application retrieved successfully");
+        } catch (error) {
+            console.error('Get application error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to retrieve application"
+            });
+        }
+    }
+);
+
+/**
+ * PATCH /api/applications/:id/status
+ * Shortlist, accept or reject an application (property owner only).
+ * Accepting marks the property inactive and closes the other applications.
+ */
+router.patch("/:id/status",
+    authenticateToken,
+    validateInput({ params: applicationParamsSchema, body: updateStatusSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const { status, note } = req.body;
+            const result = await rentalApplicationService.updateStatus(req.user._id, req.params.id, status, note);
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, {
+                application: result.application,
+                closedApplications: result.closedApplications
+            }, `Application ${status}`);
+        } catch (error) {
+            console.error('Update application status error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to update application"
+            });
+        }
+    }
+);
+
+/**
+ * PATCH /api/applications/:id/withdraw
+ * Withdraw an open application (applicant only)
+ */
+router.patch("/:id/withdraw",
+    authenticateToken,
+    validateInput({ params: applicationParamsSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await rentalApplicationService.withdrawApplication(req.user._id, req.params.id);
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, result.application, "Application withdrawn");
+        } catch (error) {
+            console.error('Withdraw application error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to withdraw application"
+            });
+        }
+    }
+);
+
+export default router;
@@ -0,0 +1,266 @@
+import { Router } from "express";
+import { z } from "zod";
+import reviewService from "../src/services/reviewService.js";
+import { connectDB } from "../src/config/db.js";
+import {
+    authenticateToken,
+    validateInput,
+    commonSchemas,
+    sendSuccess
+} from "../src/middleware/security.js";
+
+/**
+ * Public Property Review Routes
+ * Mounted at /api/properties/:propertyId/reviews
+ */
+const router = Router({ mergeParams: true });
+
+/* ---------------------- VALIDATION SCHEMAS ---------------------- */
+
+const propertyParamsSchema = z.object({
+    propertyId: commonSchemas.objectId
+});
+
+const reviewParamsSchema = z.object({
+    propertyId: commonSchemas.objectId,
+    reviewId: commonSchemas.objectId
+});
+
+const reviewListQuerySchema = z.object({
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(50).default(10),
+    sort: z.enum(['newest', 'helpful', 'rating_high', 'rating_low']).default('newest')
+});
+
+const createReviewSchema = z.object({
+    rating: z.coerce.number().int().min(1).max(5),
+    comment: z.string().trim().max(2000, "Review cannot exceed 2000 characters").default('')
+});
+
+const reportReviewSchema = z.object({
+    reason: z.string().trim().max(500).default('')
+});
+
+/* ---------------------- HELPER FUNCTIONS ---------------------- */
+
+const ERROR_STATUS_CODES = {
+    INVALID_ID: 400,
+    PROPERTY_NOT_FOUND: 404,
+    REVIEW_NOT_FOUND: 404,
+    OWN_PROPERTY: 403,
+    NO_CONVERSATION: 403,
+    OWN_REVIEW: 403,
+    ALREADY_REVIEWED: 409,
+    ALREADY_VOTED: 409,
+    ALREADY_REPORTED: 409
+};
+
+const sendServiceError = (res, result) => {
+    res.status(ERROR_STATUS_CODES[result.code] || 500).json({
+        success: false,
+        error: result.code,
+        message: result.error
+    });
+};
+
+/* ---------------------- ROUTES ---------------------- */
+
+/**
+ * GET /api/properties/:propertyId/reviews
+ * List approved reviews with pagination and the aggregated rating summary
+ */
+router.get("/",
+    validateInput({ params: propertyParamsSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const queryResult = reviewListQuerySchema.safeParse(req.query);
+            if (!queryResult.success) {
+                return res.status(400).json({
+                    success: false,
+                    error: "VALIDATION_ERROR",
+                    message: "Invalid query parameters",
+                    details: queryResult.error.errors
+                });
+            }
+
+            const { propertyId } = req.params;
+            const { page, limit, sort } = queryResult.data;
+
+            const [listResult, summaryResult] = await Promise.all([
+                reviewService.getApprovedReviews(propertyId, { page, limit, sort }),
+                reviewService.getRatingSummary(propertyId)
+            ]);
+
+            if (!listResult.success) return sendServiceError(res, listResult);
+            if (!summaryResult.success) return sendServiceError(res, summaryResult);
+
+            sendSuccess(res, {
+                reviews: listResult.reviews,
+                pagination: listResult.pagination,
+                summary: summaryResult.summary
+            }, "Reviews retrieved successfully");
+        } catch (error) {
+            console.error('Get property reviews error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to retrieve reviews"
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/properties/:propertyId/reviews/summary
+ * Aggregated rating summary only (average, count, star distribution)
+ */
+router.get("/summary",
+    validateInput({ params: propertyParamsSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await reviewService.getRatingSummary(req.params.propertyId);
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, result.summary, "Rating summary retrieved successfully");
+        } catch (error) {
+            console.error('Get rating summary error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to retrieve rating summary"
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/properties/:propertyId/reviews/eligibility
+ * Whether the authenticated user may review this property
+ */
+router.get("/eligibility",
+    authenticateToken,
+    validateInput({ params: propertyParamsSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await reviewService.checkEligibility(
+                req.user._id.toString(),
+                req.params.propertyId
+            );
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, {
+                canReview: result.canReview,
+                reason: result.reason || null,
+                existingReview: result.existingReview || null
+            }, "Review eligibility retrieved successfully");
+        } catch (error) {
+            console.error('Get review eligibility error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to check review eligibility"
+            });
+        }
+    }
+);
+
+/**
+ * POST /api/properties/:propertyId/reviews
+ * Submit a review. Reviews are held for moderation before becoming public.
+ */
+router.post("/",
+    authenticateToken,
+    validateInput({ params: propertyParamsSchema, body: createReviewSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await reviewService.createReview(
+                req.user._id.toString(),
+                req.params.propertyId,
+                req.body
+            );
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, result.review, "Review submitted and awaiting moderation", 201);
+        } catch (error) {
+            console.error('Create review error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to submit review"
+            });
+        }
+    }
+);
+
+/**
+ * POST /api/properties/:propertyId/reviews/:reviewId/helpful
+ * Mark a review as helpful (once per user)
+ */
+router.post("/:reviewId/helpful",
+    authenticateToken,
+    validateInput({ params: reviewParamsSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const { propertyId, reviewId } = req.params;
+            const result = await reviewService.markHelpful(
+                propertyId,
+                reviewId,
+                req.user._id.toString()
+            );
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, { helpfulCount: result.helpfulCount }, "Review marked as helpful");
+        } catch (error) {
+            console.error('Mark review helpful error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to mark review as helpful"
+            });
+        }
+    }
+);
+
+/**
+ * POST /api/properties/:propertyId/reviews/:reviewId/report
+ * Report a review as inappropriate (once per user)
+ */
+router.post("/:reviewId/report",
+    authenticateToken,
+    validateInput({ params: reviewParamsSchema, body: reportReviewSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const { propertyId, reviewId } = req.params;
+            const result = await reviewService.reportReview(
+                propertyId,
+                reviewId,
+                req.user._id.toString(),
+                req.body.reason
+            );
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, { reportCount: result.reportCount }, "Review reported. Thank you for your feedback");
+        } catch (error) {
+            console.error('Report review error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to report review"
+            });
+        }
+    }
+);
+
+export default router;
@@ -0,0 +1,175 @@
+import { Router } from "express";
+import { z } from "zod";
+import savedSearchService from "../src/services/savedSearchService.js";
+import { connectDB } from "../src/config/db.js";
+import {
+    authenticateToken,
+    validateInput,
+    commonSchemas,
+    sendSuccess
+} from "../src/middleware/security.js";
+
+/**
+ * Saved Search Routes
+ * Mounted at /api/saved-searches
+ */
+const router = Router();
+
+/* ---------------------- VALIDATION SCHEMAS ---------------------- */
+
+const searchParamsSchema = z.object({
+    id: commonSchemas.objectId
+});
+
+const optionalPrice = z.coerce.number().min(0).nullable().optional();
+
+const filtersSchema = z.object({
+    query: z.string().trim().max(200).default(''),
+    location: z.string().trim().max(100).default(''),
+    category: z.string().trim().max(50).default(''),
+    minPrice: optionalPrice,
+    maxPrice: optionalPrice,
+    bedrooms: z.array(z.enum(['1', '2', '3', '4', '5+'])).max(5).default([]),
+    furnishing: z.array(z.enum(['unfurnished', 'semi', 'fully'])).max(3).default([]),
+    amenities: z.array(z.string().trim().max(50)).max(20).default([]),
+    preferredTenants: z.enum(['', 'family', 'bachelor', 'any']).default(''),
+    possessionStatus: z.enum(['', 'ready', 'under_construction', 'resale']).default(''),
+    loanAvailable: z.boolean().nullable().default(null)
+}).refine(
+    f => f.minPrice == null || f.maxPrice == null || f.minPrice <= f.maxPrice,
+    { message: "Minimum price cannot be greater than maximum price", path: ['minPrice'] }
+);
+
+const alertFrequencySchema = z.enum(['instant', 'daily', 'off']);
+
+const createSavedSearchSchema = z.object({
+    name: z.string().trim().min(1, "Name is required").max(100),
+    listingType: z.enum(['rent', 'buy']),
+    filters: filtersSchema.default({}),
+    alertFrequency: alertFrequencySchema.default('instant')
+});
+
+const updateSavedSearchSchema = z.object({
+    name: z.string().trim().min(1, "Name is required").max(100).optional(),
+    filters: filtersSchema.optional(),
+    alertFrequency: alertFrequencySchema.optional()
+}).refine(data => Object.keys(data).length > 0, { message: "No changes provided" });
+
+/* ---------------------- HELPER FUNCTIONS ---------------------- */
+
+const ERROR_STATUS_CODES = {
+    NOT_FOUND: 404,
+    LIMIT_REACHED: 409
+};
+
+const sendServiceError = (res, result) => {
+    res.status(ERROR_STATUS_CODES[result.code] || 500).json({
+        success: false,
+        error: result.code,
+        message: result.error
+    });
+};
+
+/* ---------------------- ROUTES ---------------------- */
+
+/**
+ * GET /api/saved-searches
+ * List the authenticated user's saved searches
+ */
+router.get("/", authenticateToken, async (req, res) => {
+    try {
+        await connectDB();
+
+        const result = await savedSearchService.listSearches(req.user._id);
+        if (!result.success) return sendServiceError(res, result);
+
+        sendSuccess(res, { searches: result.searches }, "Saved searches retrieved successfully");
+    } catch (error) {
+        console.error('Get saved searches error:', error);
+        res.status(500).json({
+            success: false,
+            error: "INTERNAL_ERROR",
+            message: "Failed to retrieve saved searches"
+        });
+    }
+});
+
+/**
+ * POST /api/saved-searches
+ * Save the current listing filters as a named search
+ */
+router.post("/",
+    authenticateToken,
+    validateInput({ body: createSavedSearchSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await savedSearchService.createSearch(req.user._id, req.body);
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, result.search, "Search saved successfully", 201);
+        } catch (error) {
+            console.error('Create saved search error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to save search"
+            });
+        }
+    }
+);
+
+/**
+ * PATCH /api/saved-searches/:id
+ * Rename a saved search, replace its filters or change its alert frequency
+ */
+router.patch("/:id",
+    authenticateToken,
+    validateInput({ params: searchParamsSchema, body: updateSavedSearchSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await savedSearchService.updateSearch(req.user._id, req.params.id, req.body);
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, result.search, "Saved search updated successfully");
+        } catch (error) {
+            console.error('Update saved search error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to update saved search"
+            });
+        }
+    }
+);
+
+/**
+ * DELETE /api/saved-searches/:id
+ * Delete a saved search and stop its alerts
+ */
+router.delete("/:id",
+    authenticateToken,
+    validateInput({ params: searchParamsSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await savedSearchService.deleteSearch(req.user._id, req.params.id);
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, null, "Saved search deleted successfully");
+        } catch (error) {
+            console.error('Delete saved search error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to delete saved search"
+            });
+        }
+    }
+);
+
+export default router;
@@ -1,21 +1,68 @@
 import { Router } from "express";
-import { Property } from "../models/Property.js";
+import { z } from "zod";
+import searchSuggestionService from "../src/services/searchSuggestionService.js";
+import { connectDB } from "../src/config/db.js";
+import { sendSuccess } from "../src/middleware/security.js";
+import { LISTING_TYPES } from "../../shared/propertyTypes.js";
+
 const router = Router();
-// Typeahead / Suggestions
-router.get("/suggest", (async (req, res) => {
-    const q = String(req.query.q || "");
-    const city = String(req.query.city || "");
-    if (!q && !city)
-        return res.json([]);
-    const query = { status: "active" };
-    if (q)
-        query.$or = [{ title: { $regex: q, $options: "i" } }, { description: { $regex: q, $options: "i" } }];
-    if (city)
-        query["address.city"] = new RegExp(city, "i");
-    const results = await Property.find(query)
-        .select("title address.city price type")
-        .limit(10)
-        .lean();
-    res.json(results);
-}));
+
+/* ---------------------- VALIDATION SCHEMAS ---------------------- */
+
+const suggestQuerySchema = z.object({
+    q: z.string().trim().max(100, "Query cannot exceed 100 characters").default(""),
+    listingType: z.enum([LISTING_TYPES.RENT, LISTING_TYPES.BUY]).optional(),
+    limit: z.coerce.number().int().min(1).max(10).default(5)
+});
+
+/* ---------------------- ROUTES ---------------------- */
+
+/**
+ * GET /api/search/suggest
+ * Typeahead suggestions grouped by kind (city, area, category, propertyType, listing),
+ * each with the number of matching active listings
+ */
+router.get("/suggest", async (req, res) => {
+    try {
+        const queryResult = suggestQuerySchema.safeParse(req.query);
+        if (!queryResult.success) {
+            return res.status(400).json({
+                success: false,
+                error: "VALIDATION_ERROR",
+                message: "Invalid query parameters",
+                details: queryResult.error.errors
+            });
+        }
+
+        const { q, listingType, limit } = queryResult.data;
+        if (!q) {
+            return sendSuccess(res, { query: q, suggestions: [], groups: [] }, "Search suggestions retrieved successfully");
+        }
+
+        await connectDB();
+
+        const result = await searchSuggestionService.getSuggestions(q, { listingType, limit });
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: result.code,
+                message: result.error
+            });
+        }
+
+        sendSuccess(res, {
+            query: q,
+            suggestions: result.suggestions,
+            groups: result.groups
+        }, "Search suggestions retrieved successfully");
+    } catch (error) {
+        console.error('Search suggest error:', error);
+        res.status(500).json({
+            success: false,
+            error: "INTERNAL_ERROR",
+            message: "Failed to retrieve search suggestions"
+        });
+    }
+});
+
 export default router;
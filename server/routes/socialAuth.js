@@ -1,16 +1,11 @@
 import { Router } from "express";
-import jwt from "jsonwebtoken";
 import { User } from "../models/User.js";
 import { connectDB } from "../src/config/db.js";
 import { logAuthEvent } from "../src/utils/auditUtils.js";
+import sessionService, { REFRESH_TOKEN_TTL_MS } from "../src/services/sessionService.js";
 
 const router = Router();
 
-/* ---------------------- SECURITY CONFIGURATION ---------------------- */
-const ACCESS_TOKEN_EXPIRY = "15m";
-const REFRESH_TOKEN_EXPIRY = "7d";
-const jwtSecret = process.env.JWT_SECRET;
-
 /* ---------------------- HELPERS ---------------------- */
 const safeUser = (u) => ({
     id: u._id,
@@ -27,28 +22,15 @@ const safeUser = (u) => ({
     createdAt: u.createdAt,
 });
 
-const generateTokens = (user) => {
-    const accessToken = jwt.sign(
-        { sub: user._id, role: user.role, type: 'access' },
-        jwtSecret,
-        { expiresIn: ACCESS_TOKEN_EXPIRY }
-    );
-
-    const refreshToken = jwt.sign(
-        { sub: user._id, type: 'refresh' },
-        jwtSecret,
-        { expiresIn: REFRESH_TOKEN_EXPIRY }
-    );
-
-    return { accessToken, refreshToken };
-};
+// Sessions are persisted so refresh tokens can be rotated and revoked
+const generateTokens = (user, req) => sessionService.createSession(user, req);
 
 const setRefreshTokenCookie = (res, refreshToken) => {
     res.cookie('refreshToken', refreshToken, {
         httpOnly: true,
         secure: process.env.NODE_ENV === 'production',
         sameSite: 'strict',
-        maxAge: 7 * 24 * 60 * 60 * 1000 // 7 days
+        maxAge: REFRESH_TOKEN_TTL_MS // 7 days
     });
 };
 
@@ -275,7 +257,7 @@ router.post("/google", async (req, res) => {
         }
 
         // Generate tokens
-        const { accessToken, refreshToken } = generateTokens(user);
+        const { accessToken, refreshToken } = await generateTokens(user, req);
         setRefreshTokenCookie(res, refreshToken);
 
         const userResponse = safeUser(user);
@@ -457,7 +439,7 @@ router.post("/facebook", async (req, res) => {
         }
 
         // Generate tokens
-        const { accessToken: jwtAccessToken, refreshToken } = generateTokens(user);
+        const { accessToken: jwtAccessToken, refreshToken } = await generateTokens(user, req);
         setRefreshTokenCookie(res, refreshToken);
 
         res.json({
@@ -7,6 +7,7 @@ import enhancedOTPManager from "../src/services/enhancedOTPManager.js";
 import configurationValidator from "../src/services/configurationValidator.js";
 import { connectDB } from "../src/config/db.js";
 import { logVerificationEvent } from "../src/utils/auditUtils.js";
+import { createRateLimiter } from "../src/middleware/security.js";
 
 const router = Router();
 
@@ -25,39 +26,18 @@ const diagnosticReportSchema = z.object({
 });
 
 /* ---------------------- RATE LIMITING MIDDLEWARE ---------------------- */
-const diagnosticRateLimitMap = new Map();
 const DIAGNOSTIC_RATE_LIMIT_WINDOW = 10 * 60 * 1000; // 10 minutes
 const MAX_DIAGNOSTIC_REQUESTS_PER_WINDOW = 5;
 
-const diagnosticRateLimitMiddleware = (req, res, next) => {
-    const userId = req.headers["x-user-id"];
-    const ip = req.ip || req.connection.remoteAddress;
-    const key = userId || ip;
-
-    const now = Date.now();
-    const windowStart = now - DIAGNOSTIC_RATE_LIMIT_WINDOW;
-
-    if (!diagnosticRateLimitMap.has(key)) {
-        diagnosticRateLimitMap.set(key, []);
-    }
-
-    const requests = diagnosticRateLimitMap.get(key);
-    const validRequests = requests.filter(timestamp => timestamp > windowStart);
-    diagnosticRateLimitMap.set(key, validRequests);
-
-    if (validRequests.length >= MAX_DIAGNOSTIC_REQUESTS_PER_WINDOW) {
-        return res.status(429).json({
-            success: false,
-            error: "Diagnostic rate limit exceeded",
-            message: `Too many diagnostic requests. Please wait ${Math.ceil(DIAGNOSTIC_RATE_LIMIT_WINDOW / 60000)} minutes before trying again.`,
-            retryAfter: Math.ceil((validRequests[0] + DIAGNOSTIC_RATE_LIMIT_WINDOW - now) / 1000)
-        });
-    }
-
-    validRequests.push(now);
-    diagnosticRateLimitMap.set(key, validRequests);
-    next();
-};
+const diagnosticRateLimitMiddleware = createRateLimiter({
+    name: 'diagnostics',
+    windowMs: DIAGNOSTIC_RATE_LIMIT_WINDOW,
+    maxRequests: MAX_DIAGNOSTIC_REQUESTS_PER_WINDOW,
+    slidingWindow: true,
+    error: "Diagnostic rate limit exceeded",
+    message: `Too many diagnostic requests. Please wait ${Math.ceil(DIAGNOSTIC_RATE_LIMIT_WINDOW / 60000)} minutes before trying again.`,
+    keyGenerator: (req) => req.user?._id?.toString() || req.headers["x-user-id"] || req.ip || req.connection.remoteAddress
+});
 
 /* ---------------------- HELPER FUNCTIONS ---------------------- */
 const validateContact = (method, contact) => {
@@ -22,6 +22,7 @@ import {
     addToPasswordHistory
 } from '../src/services/passwordValidationService.js';
 import notificationService from '../src/services/notificationService.js';
+import sessionService, { REFRESH_TOKEN_TTL_MS } from '../src/services/sessionService.js';
 
 const router = Router();
 
@@ -49,6 +50,10 @@ const deleteAccountSchema = z.object({
     confirmation: z.literal("DELETE_MY_ACCOUNT")
 });
 
+const sessionParamsSchema = z.object({
+    sessionId: commonSchemas.objectId
+});
+
 // Note: Security event logging is now handled by auditUtils
 
 // Get user profile
@@ -192,6 +197,16 @@ router.post("/change-password",
 
             await logPasswordEvent(req.user._id, 'change', true, {}, req);
 
+            // Sign out every device, then start a fresh session for this one
+            await sessionService.revokeAllSessions(req.user._id, 'password_change');
+            const { accessToken, refreshToken } = await sessionService.createSession(user, req);
+            res.cookie('refreshToken', refreshToken, {
+                httpOnly: true,
+                secure: process.env.NODE_ENV === 'production',
+                sameSite: 'strict',
+                maxAge: REFRESH_TOKEN_TTL_MS
+            });
+
             // Send security event notification
             try {
                 await notificationService.sendSecurityEventNotification(
@@ -210,7 +225,8 @@ router.post("/change-password",
 
             res.json({
                 success: true,
-                message: "Password changed successfully"
+                message: "Password changed successfully. Other devices have been signed out.",
+                token: accessToken
             });
 
         } catch (error) {
@@ -222,6 +238,65 @@ router.post("/change-password",
         }
     });
 
+// List active sessions (signed-in devices)
+router.get("/me/sessions", authenticateToken, async (req, res) => {
+    try {
+        await connectDB();
+
+        const result = await sessionService.getActiveSessions(req.user._id, req.sessionId);
+        if (!result.success) {
+            return res.status(500).json({
+                success: false,
+                error: result.code,
+                message: result.error
+            });
+        }
+
+        sendSuccess(res, { sessions: result.sessions }, "Sessions retrieved successfully");
+    } catch (error) {
+        console.error('Get sessions error:', error);
+        res.status(500).json({
+            success: false,
+            error: "Internal server error",
+            message: "Failed to retrieve sessions"
+        });
+    }
+});
+
+// Revoke a single session (sign out one device)
+router.delete("/me/sessions/:sessionId",
+    authenticateToken,
+    validateInput({ params: sessionParamsSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await sessionService.revokeSession(req.user._id, req.params.sessionId, 'user_revoked');
+            if (!result.success) {
+                return res.status(result.code === 'SESSION_NOT_FOUND' ? 404 : 500).json({
+                    success: false,
+                    error: result.code,
+                    message: result.error
+                });
+            }
+
+            await logAccountEvent(req.user._id, 'session_revoke', true, { sessionId: req.params.sessionId }, req);
+
+            sendSuccess(res, {
+                sessionId: req.params.sessionId,
+                isCurrent: req.params.sessionId === req.sessionId
+            }, "Session revoked successfully");
+        } catch (error) {
+            console.error('Revoke session error:', error);
+            res.status(500).json({
+                success: false,
+                error: "Internal server error",
+                message: "Failed to revoke session"
+            });
+        }
+    }
+);
+
 // Update phone number with OTP verification
 router.post("/update-phone", async (req, res) => {
     try {
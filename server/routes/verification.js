@@ -7,7 +7,7 @@ import enhancedOTPManager from "../src/services/enhancedOTPManager.js";
 import { DeliveryPreferences } from "../models/DeliveryPreferences.js";
 import { connectDB } from "../src/config/db.js";
 import { logVerificationEvent } from "../src/utils/auditUtils.js";
-import { authenticateToken } from "../src/middleware/security.js";
+import { authenticateToken, createRateLimiter } from "../src/middleware/security.js";
 
 const router = Router();
 
@@ -24,43 +24,17 @@ const verifyOTPSchema = z.object({
 });
 
 /* ---------------------- RATE LIMITING MIDDLEWARE ---------------------- */
-const rateLimitMap = new Map();
 const RATE_LIMIT_WINDOW = 15 * 60 * 1000; // 15 minutes
 const MAX_REQUESTS_PER_WINDOW = 5;
 
-const rateLimitMiddleware = (req, res, next) => {
-    const userId = req.headers["x-user-id"];
-    const ip = req.ip || req.connection.remoteAddress;
-    const key = userId || ip;
-
-    const now = Date.now();
-    const windowStart = now - RATE_LIMIT_WINDOW;
-
-    if (!rateLimitMap.has(key)) {
-        rateLimitMap.set(key, []);
-    }
-
-    const requests = rateLimitMap.get(key);
-
-    // Remove old requests outside the window
-    const validRequests = requests.filter(timestamp => timestamp > windowStart);
-    rateLimitMap.set(key, validRequests);
-
-    if (validRequests.length >= MAX_REQUESTS_PER_WINDOW) {
-        return res.status(429).json({
-            success: false,
-            error: "Rate limit exceeded",
-            message: `Too many requests. Please wait ${Math.ceil(RATE_LIMIT_WINDOW / 60000)} minutes before trying again.`,
-            retryAfter: Math.ceil((validRequests[0] + RATE_LIMIT_WINDOW - now) / 1000)
-        });
-    }
-
-    // Add current request
-    validRequests.push(now);
-    rateLimitMap.set(key, validRequests);
-
-    next();
-};
+const rateLimitMiddleware = createRateLimiter({
+    name: 'verification',
+    windowMs: RATE_LIMIT_WINDOW,
+    maxRequests: MAX_REQUESTS_PER_WINDOW,
+    slidingWindow: true,
+    message: `Too many requests. Please wait ${Math.ceil(RATE_LIMIT_WINDOW / 60000)} minutes before trying again.`,
+    keyGenerator: (req) => req.user?._id?.toString() || req.headers["x-user-id"] || req.ip || req.connection.remoteAddress
+});
 
 /* ---------------------- HELPER FUNCTIONS ---------------------- */
 // Note: Security event logging is now handled by auditUtils
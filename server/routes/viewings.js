@@ -0,0 +1,280 @@
+import { Router } from "express";
+import { z } from "zod";
+import viewingService from "../src/services/viewingService.js";
+import { connectDB } from "../src/config/db.js";
+import {
+    authenticateToken,
+    optionalAuth,
+    validateInput,
+    commonSchemas,
+    sendSuccess
+} from "../src/middleware/security.js";
+
+/**
+ * Viewing Appointment Routes
+ * Mounted at /api/viewings
+ */
+const router = Router();
+
+/* ---------------------- VALIDATION SCHEMAS ---------------------- */
+
+const MIN_SLOT_MINUTES = 15;
+const MAX_SLOT_MINUTES = 240;
+
+const propertyParamsSchema = z.object({
+    propertyId: commonSchemas.objectId
+});
+
+const idParamsSchema = z.object({
+    id: commonSchemas.objectId
+});
+
+const slotSchema = z.object({
+    startsAt: z.coerce.date(),
+    endsAt: z.coerce.date()
+}).refine(slot => {
+    const minutes = (slot.endsAt - slot.startsAt) / 60000;
+    return minutes >= MIN_SLOT_MINUTES && minutes <= MAX_SLOT_MINUTES;
+}, { message: `Slots must last between ${MIN_SLOT_MINUTES} minutes and ${MAX_SLOT_MINUTES / 60} hours`, path: ['endsAt'] });
+
+const createSlotsSchema = z.object({
+    slots: z.array(slotSchema).min(1, "At least one slot is required").max(50)
+});
+
+const reasonSchema = z.object({
+    reason: z.string().trim().max(500).default('')
+});
+
+const bookSlotSchema = z.object({
+    note: z.string().trim().max(500).default('')
+});
+
+const rescheduleSchema = z.object({
+    slotId: commonSchemas.objectId
+});
+
+const appointmentListQuerySchema = z.object({
+    role: z.enum(['all', 'seeker', 'owner']).default('all'),
+    scope: z.enum(['upcoming', 'past']).default('upcoming'),
+    page: z.coerce.number().int().min(1).default(1),
+    limit: z.coerce.number().int().min(1).max(50).default(20)
+});
+
+/* ---------------------- HELPER FUNCTIONS ---------------------- */
+
+const ERROR_STATUS_CODES = {
+    INVALID_SLOT: 400,
+    OWN_PROPERTY: 400,
+    FORBIDDEN: 403,
+    NOT_FOUND: 404,
+    PROPERTY_NOT_FOUND: 404,
+    PROPERTY_INACTIVE: 409,
+    SLOT_CONFLICT: 409,
+    SLOT_UNAVAILABLE: 409,
+    ALREADY_BOOKED: 409,
+    INVALID_STATE: 409,
+    LIMIT_REACHED: 409
+};
+
+const sendServiceError = (res, result) => {
+    res.status(ERROR_STATUS_CODES[result.code] || 500).json({
+        success: false,
+        error: result.code,
+        message: result.error
+    });
+};
+
+/* ---------------------- ROUTES ---------------------- */
+
+/**
+ * GET /api/viewings/properties/:propertyId/slots
+ * Upcoming viewing slots of a property (open slots, or all slots for the owner)
+ */
+router.get("/properties/:propertyId/slots",
+    optionalAuth,
+    validateInput({ params: propertyParamsSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await viewingService.getSlots(req.params.propertyId, req.user?._id || null);
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, { slots: result.slots, isOwner: result.isOwner }, "Viewing slots retrieved successfully");
+        } catch (error) {
+            console.error('Get viewing slots error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to retrieve viewing slots"
+            });
+        }
+    }
+);
+
+/**
+ * POST /api/viewings/properties/:propertyId/slots
+ * Publish viewing slots (property owner only)
+ */
+router.post("/properties/:propertyId/slots",
+    authenticateToken,
+    validateInput({ params: propertyParamsSchema, body: createSlotsSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await viewingService.createSlots(req.user._id, req.params.propertyId, req.body.slots);
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, { slots: result.slots }, "Viewing slots published successfully", 201);
+        } catch (error) {
+            console.error('Create viewing slots error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to publish viewing slots"
+            });
+        }
+    }
+);
+
+/**
+ * DELETE /api/viewings/slots/:id
+ * Withdraw a viewing slot, cancelling any booking on it (property owner only)
+ */
+router.delete("/slots/:id",
+    authenticateToken,
+    validateInput({ params: idParamsSchema, body: reasonSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await viewingService.cancelSlot(req.user._id, req.params.id, req.body.reason);
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, null, "Viewing slot removed successfully");
+        } catch (error) {
+            console.error('Cancel viewing slot error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to remove viewing slot"
+            });
+        }
+    }
+);
+
+/**
+ * POST /api/viewings/slots/:id/book
+ * Book an open viewing slot
+ */
+router.post("/slots/:id/book",
+    authenticateToken,
+    validateInput({ params: idParamsSchema, body: bookSlotSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await viewingService.bookSlot(req.user._id, req.params.id, req.body.note);
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, result.appointment, "Viewing booked successfully", 201);
+        } catch (error) {
+            console.error('Book viewing error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to book viewing"
+            });
+        }
+    }
+);
+
+/**
+ * GET /api/viewings/appointments
+ * The authenticated user's viewings as seeker and/or owner
+ */
+router.get("/appointments", authenticateToken, async (req, res) => {
+    try {
+        await connectDB();
+
+        const queryResult = appointmentListQuerySchema.safeParse(req.query);
+        if (!queryResult.success) {
+            return res.status(400).json({
+                success: false,
+                error: "VALIDATION_ERROR",
+                message: "Invalid query parameters",
+                details: queryResult.error.errors
+            });
+        }
+
+        const result = await viewingService.listAppointments(req.user._id, queryResult.data);
+        if (!result.success) return sendServiceError(res, result);
+
+        sendSuccess(res, {
+            appointments: result.appointments,
+            pagination: result.pagination
+        }, "Viewings retrieved successfully");
+    } catch (error) {
+        console.error('Get viewings error:', error);
+        res.status(500).json({
+            success: false,
+            error: "INTERNAL_ERROR",
+            message: "Failed to retrieve viewings"
+        });
+    }
+});
+
+/**
+ * PATCH /api/viewings/appointments/:id/reschedule
+ * Move a booked viewing to another open slot of the same property
+ */
+router.patch("/appointments/:id/reschedule",
+    authenticateToken,
+    validateInput({ params: idParamsSchema, body: rescheduleSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await viewingService.rescheduleAppointment(req.user._id, req.params.id, req.body.slotId);
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, result.appointment, "Viewing rescheduled successfully");
+        } catch (error) {
+            console.error('Reschedule viewing error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to reschedule viewing"
+            });
+        }
+    }
+);
+
+/**
+ * PATCH /api/viewings/appointments/:id/cancel
+ * Cancel an upcoming viewing (seeker or owner)
+ */
+router.patch("/appointments/:id/cancel",
+    authenticateToken,
+    validateInput({ params: idParamsSchema, body: reasonSchema }),
+    async (req, res) => {
+        try {
+            await connectDB();
+
+            const result = await viewingService.cancelAppointment(req.user._id, req.params.id, req.body.reason);
+            if (!result.success) return sendServiceError(res, result);
+
+            sendSuccess(res, result.appointment, "Viewing cancelled successfully");
+        } catch (error) {
+            console.error('Cancel viewing error:', error);
+            res.status(500).json({
+                success: false,
+                error: "INTERNAL_ERROR",
+                message: "Failed to cancel viewing"
+            });
+        }
+    }
+);
+
+export default router;
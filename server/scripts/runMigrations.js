@@ -0,0 +1,49 @@
+/**
+ * Migration Script: Apply registered database migrations
+ *
+ * Migrations are not run by the server on startup. Run this once per deploy,
+ * from a single machine, before or while the new release starts serving.
+ *
+ * Run with: npm run migrate
+ *
+ * Options:
+ *   --status        List migrations and whether they have been applied
+ *   --rollback      Roll back the most recently applied migration
+ */
+
+import 'dotenv/config';
+import mongoose from 'mongoose';
+import { connectDB } from '../src/config/db.js';
+import { migrationRunner } from '../src/migrations/index.js';
+
+const args = process.argv.slice(2);
+const showStatus = args.includes('--status');
+const rollbackLast = args.includes('--rollback');
+
+async function main() {
+    await connectDB();
+
+    if (showStatus) {
+        const status = await migrationRunner.getStatus();
+        console.table(status.map(({ version, name, status, appliedAt }) => ({ version, name, status, appliedAt })));
+        return true;
+    }
+
+    const results = rollbackLast
+        ? await migrationRunner.rollbackLast(1)
+        : await migrationRunner.runPending();
+
+    // The runner logs a batch summary; only the exit code is decided here
+    return results.every(result => result.status !== 'failed');
+}
+
+main()
+    .then(async (ok) => {
+        await mongoose.disconnect();
+        process.exit(ok ? 0 : 1);
+    })
+    .catch(async (error) => {
+        console.error('Migration run failed:', error);
+        await mongoose.disconnect();
+        process.exit(1);
+    });
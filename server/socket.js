@@ -1,11 +1,13 @@
 import { Server as HTTPServer } from "http";
 import { Server as SocketIOServer } from "socket.io";
 import jwt from "jsonwebtoken";
+import mongoose from "mongoose";
 import { Conversation } from "./models/Conversation.js";
 import { User } from "./models/User.js";
 import { connectDB } from "./src/config/db.js";
 import messageService from "./src/services/messageService.js";
 import messageNotificationService from "./src/services/messageNotificationService.js";
+import { createSocketAdapter } from "./src/utils/socketAdapter.js";
 
 /**
  * Socket.IO server instance - exported for use in other modules
@@ -27,14 +29,84 @@ const verifyToken = (token) => {
     }
 };
 
+/**
+ * Accept both `conversationId` and `{ conversationId }` event payloads
+ * @param {string|object} data - Event payload
+ * @returns {string|null} Conversation ID
+ */
+const getConversationId = (data) => {
+    const conversationId = typeof data === 'object' ? data?.conversationId : data;
+    return typeof conversationId === 'string' ? conversationId : null;
+};
+
+/**
+ * Check that a user may join a conversation room
+ * @param {string} conversationId - Conversation ID
+ * @param {string} userId - User ID
+ * @returns {Promise<boolean>} True if the user is a participant of the active conversation
+ */
+const isConversationParticipant = async (conversationId, userId) => {
+    if (!mongoose.Types.ObjectId.isValid(conversationId)) return false;
+
+    await connectDB();
+    const conversation = await Conversation.exists({
+        _id: conversationId,
+        participants: userId,
+        isActive: true
+    });
+    return Boolean(conversation);
+};
+
+/**
+ * Personal rooms of everyone the user has a conversation with.
+ * Presence is only shared with these counterparts.
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} Room names
+ */
+const getCounterpartRooms = async (userId) => {
+    await connectDB();
+    const participantIds = await Conversation.distinct('participants', {
+        participants: userId,
+        isActive: true
+    });
+    return participantIds
+        .map(id => id.toString())
+        .filter(id => id !== userId)
+        .map(id => `user:${id}`);
+};
+
+/**
+ * Emit a presence event to the user's conversation counterparts
+ * @param {SocketIOServer} io - Socket.IO server instance
+ * @param {string} userId - User whose presence changed
+ * @param {string} event - "user.online" or "user.offline"
+ */
+async function broadcastPresence(io, userId, event) {
+    try {
+        const rooms = await getCounterpartRooms(userId);
+        if (rooms.length === 0) return;
+
+        io.to(rooms).emit(event, {
+            userId,
+            timestamp: Date.now(),
+        });
+    } catch (error) {
+        console.error(`Error broadcasting ${event}:`, error);
+    }
+}
+
 /**
  * Setup Socket.IO server with JWT authentication and real-time messaging
  * @param {HTTPServer} httpServer - HTTP server instance
  * @returns {SocketIOServer} Socket.IO server instance
  */
 export function setupSocket(httpServer) {
+    // Cluster adapter (SOCKET_ADAPTER) so rooms are shared across server instances
+    const adapter = createSocketAdapter();
+
     const io = new SocketIOServer(httpServer, {
         cors: { origin: "*", methods: ["GET", "POST"] },
+        ...(adapter && { adapter }),
     });
 
     // Store io instance for external access
@@ -104,16 +176,34 @@ export function setupSocket(httpServer) {
     io.on("connection", (socket) => {
         console.log(`User ${socket.userId} connected via Socket.IO`);
 
-        // Join conversation room
-        socket.on("join_conversation", (conversationId) => {
-            if (conversationId) {
+        // Join conversation room (participants only)
+        socket.on("join_conversation", async (data) => {
+            const conversationId = getConversationId(data);
+            if (!conversationId) return;
+
+            try {
+                if (!await isConversationParticipant(conversationId, socket.userId)) {
+                    socket.emit("error", {
+                        code: "UNAUTHORIZED_ACCESS",
+                        message: "You are not a participant in this conversation"
+                    });
+                    return;
+                }
+
                 socket.join(`conv:${conversationId}`);
                 console.log(`User ${socket.userId} joined conversation ${conversationId}`);
+            } catch (err) {
+                console.error('Socket join_conversation error:', err);
+                socket.emit("error", {
+                    code: "INTERNAL_ERROR",
+                    message: "Failed to join conversation"
+                });
             }
         });
 
         // Leave conversation room
-        socket.on("leave_conversation", (conversationId) => {
+        socket.on("leave_conversation", (data) => {
+            const conversationId = getConversationId(data);
             if (conversationId) {
                 socket.leave(`conv:${conversationId}`);
                 console.log(`User ${socket.userId} left conversation ${conversationId}`);
@@ -121,24 +211,30 @@ export function setupSocket(httpServer) {
         });
 
         // Send message handler (Requirements 4.1, 5.4)
-        socket.on("message.send", async (data) => {
+        // The optional acknowledgement confirms the "sent" state to the sender
+        socket.on("message.send", async (data, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => { };
             try {
-                const { conversationId, text } = data;
+                const { conversationId, text, replyTo } = data || {};
 
                 if (!conversationId || !text) {
-                    socket.emit("error", {
+                    const error = {
                         code: "INVALID_DATA",
                         message: "Conversation ID and text are required"
-                    });
+                    };
+                    socket.emit("error", error);
+                    reply({ success: false, error });
                     return;
                 }
 
                 // Check if user is blocked before sending
                 if (socket.user?.isBlocked) {
-                    socket.emit("error", {
+                    const error = {
                         code: "USER_BLOCKED",
                         message: "You are blocked from sending messages"
-                    });
+                    };
+                    socket.emit("error", error);
+                    reply({ success: false, error });
                     return;
                 }
 
@@ -146,14 +242,18 @@ export function setupSocket(httpServer) {
                 const result = await messageService.sendMessage(
                     conversationId,
                     socket.userId,
-                    text
+                    text,
+                    null,
+                    replyTo || null
                 );
 
                 if (!result.success) {
-                    socket.emit("error", {
+                    const error = {
                         code: result.code || "SEND_FAILED",
                         message: result.error
-                    });
+                    };
+                    socket.emit("error", error);
+                    reply({ success: false, error });
                     return;
                 }
 
@@ -188,6 +288,7 @@ export function setupSocket(httpServer) {
                     conversationId,
                     message: messageWithSender
                 });
+                reply({ success: true, message: messageWithSender });
 
                 // Create notification for recipient (Requirement 5.4)
                 if (recipientId && recipientId !== socket.userId) {
@@ -195,7 +296,7 @@ export function setupSocket(httpServer) {
                         recipientId,
                         socket.userId,
                         conversationId,
-                        text,
+                        result.plainText,
                         conversation.property?._id?.toString(),
                         result.message._id?.toString(),
                         socket.user?.name || 'Someone'
@@ -214,10 +315,48 @@ export function setupSocket(httpServer) {
 
             } catch (err) {
                 console.error('Socket message.send error:', err);
-                socket.emit("error", {
+                const error = {
                     code: "INTERNAL_ERROR",
                     message: "Failed to send message"
-                });
+                };
+                socket.emit("error", error);
+                reply({ success: false, error });
+            }
+        });
+
+        // Delivery acknowledgement from the recipient's client
+        socket.on("message.delivered", async (data, ack) => {
+            const reply = typeof ack === 'function' ? ack : () => { };
+            try {
+                const conversationId = getConversationId(data);
+                const messageIds = Array.isArray(data?.messageIds) ? data.messageIds.slice(0, 100) : null;
+
+                if (!conversationId) {
+                    reply({ success: false, error: { code: "INVALID_DATA", message: "Conversation ID is required" } });
+                    return;
+                }
+
+                const result = await messageService.markAsDelivered(conversationId, socket.userId, messageIds);
+
+                if (!result.success) {
+                    reply({ success: false, error: { code: result.code, message: result.error } });
+                    return;
+                }
+
+                // Tell the senders their messages reached the recipient
+                if (result.messageIds.length > 0) {
+                    io.to(`conv:${conversationId}`).emit("message.delivery_update", {
+                        conversationId,
+                        userId: socket.userId,
+                        messageIds: result.messageIds,
+                        deliveredAt: result.deliveredAt
+                    });
+                }
+
+                reply({ success: true, messageIds: result.messageIds });
+            } catch (err) {
+                console.error('Socket message.delivered error:', err);
+                reply({ success: false, error: { code: "INTERNAL_ERROR", message: "Failed to acknowledge delivery" } });
             }
         });
 
@@ -250,7 +389,8 @@ export function setupSocket(httpServer) {
                 io.to(`conv:${conversationId}`).emit("message.read_update", {
                     conversationId,
                     userId: socket.userId,
-                    markedCount: result.markedCount
+                    markedCount: result.markedCount,
+                    readAt: result.readAt
                 });
 
                 // Broadcast unread.update to the user who marked as read
@@ -267,8 +407,8 @@ export function setupSocket(httpServer) {
 
         // Typing indicator - start (Requirement 4.3)
         socket.on("typing.start", (data) => {
-            const { conversationId } = data;
-            if (conversationId) {
+            const conversationId = getConversationId(data);
+            if (conversationId && socket.rooms.has(`conv:${conversationId}`)) {
                 socket.to(`conv:${conversationId}`).emit("user.typing", {
                     conversationId,
                     userId: socket.userId,
@@ -280,8 +420,8 @@ export function setupSocket(httpServer) {
 
         // Typing indicator - stop (Requirement 4.3)
         socket.on("typing.stop", (data) => {
-            const { conversationId } = data;
-            if (conversationId) {
+            const conversationId = getConversationId(data);
+            if (conversationId && socket.rooms.has(`conv:${conversationId}`)) {
                 socket.to(`conv:${conversationId}`).emit("user.typing", {
                     conversationId,
                     userId: socket.userId,
@@ -293,7 +433,7 @@ export function setupSocket(httpServer) {
 
         // Legacy typing event support
         socket.on("typing", (data) => {
-            if (data.convId) {
+            if (data?.convId && socket.rooms.has(`conv:${data.convId}`)) {
                 socket.to(`conv:${data.convId}`).emit("user.typing", {
                     conversationId: data.convId,
                     userId: socket.userId,
@@ -302,21 +442,24 @@ export function setupSocket(httpServer) {
             }
         });
 
-        // User online broadcast
+        // User online broadcast (conversation counterparts only)
         socket.on("user.online", () => {
-            io.emit("user.online", {
-                userId: socket.userId,
-                timestamp: Date.now(),
-            });
+            broadcastPresence(io, socket.userId, "user.online");
         });
 
         // Disconnect handler
-        socket.on("disconnect", () => {
+        socket.on("disconnect", async () => {
             console.log(`User ${socket.userId} disconnected`);
-            io.emit("user.offline", {
-                userId: socket.userId,
-                timestamp: Date.now(),
-            });
+
+            // Still online if another tab or device is connected to any instance
+            try {
+                const sockets = await io.in(`user:${socket.userId}`).fetchSockets();
+                if (sockets.length > 0) return;
+            } catch (err) {
+                console.error('Socket presence check error:', err);
+            }
+
+            broadcastPresence(io, socket.userId, "user.offline");
         });
     });
 
@@ -0,0 +1,97 @@
+/**
+ * Notification Digest Cron Job
+ *
+ * Every 5 minutes, schedules new in-app notifications for email by each
+ * user's digest frequency and quiet hours, then sends one digest email per
+ * user for the notifications that are due, and sends the emails and SMS
+ * held during quiet hours that have ended.
+ *
+ * Usage:
+ * ```
+ * import { startNotificationDigestCron } from './server/src/cron/notificationDigestCron.js';
+ * startNotificationDigestCron();
+ * ```
+ */
+
+import notificationDigestService from "../services/notificationDigestService.js";
+import { connectDB } from "../config/db.js";
+
+// Track last run time
+let lastRunTime = null;
+
+// Prevent overlapping runs in this process when a run takes longer than the
+// interval; runs in other processes are kept apart by the service's claims
+let digestsRunning = false;
+
+/**
+ * Schedule new notifications, send due digests and release held deliveries
+ * @returns {Object} Results of the run
+ */
+export async function runNotificationDigests() {
+    if (digestsRunning) {
+        console.log("[Cron] Notification digests already running, skipping");
+        return { skipped: true };
+    }
+
+    digestsRunning = true;
+    console.log("[Cron] Running notification digests...");
+    const startTime = Date.now();
+
+    const results = {
+        timestamp: new Date().toISOString(),
+        tasks: {}
+    };
+
+    try {
+        await connectDB();
+        results.tasks.schedule = await notificationDigestService.scheduleNewNotifications();
+        results.tasks.send = await notificationDigestService.sendDueDigests();
+        results.tasks.release = await notificationDigestService.releaseHeldDeliveries();
+        lastRunTime = new Date();
+    } catch (error) {
+        results.tasks.error = error.message;
+    } finally {
+        digestsRunning = false;
+    }
+
+    results.durationMs = Date.now() - startTime;
+    console.log(`[Cron] Notification digests completed in ${results.durationMs}ms`);
+
+    return results;
+}
+
+/**
+ * Get the status of the cron job
+ * @returns {Object} Cron status
+ */
+export function getCronStatus() {
+    return {
+        lastRunTime,
+        running: digestsRunning
+    };
+}
+
+/**
+ * Start the cron scheduler (requires node-cron)
+ */
+export async function startNotificationDigestCron() {
+    try {
+        const cron = await import('node-cron');
+
+        cron.schedule('*/5 * * * *', async () => {
+            await runNotificationDigests();
+        });
+
+        console.log("[Cron] Notification digest cron job scheduled (every 5 minutes)");
+        return true;
+    } catch (error) {
+        console.log("[Cron] node-cron not available, notification digests must be run manually:", error.message);
+        return false;
+    }
+}
+
+export default {
+    runNotificationDigests,
+    getCronStatus,
+    startNotificationDigestCron
+};
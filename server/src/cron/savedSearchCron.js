@@ -0,0 +1,132 @@
+/**
+ * Saved Search Alerts Cron Job
+ *
+ * Matches newly created and price-dropped listings against users' saved
+ * searches. Instant alerts run every 15 minutes; matches of "daily" searches
+ * are queued and emailed as one digest per user each morning.
+ *
+ * Usage:
+ * ```
+ * import { startSavedSearchCron } from './server/src/cron/savedSearchCron.js';
+ * startSavedSearchCron();
+ * ```
+ */
+
+import savedSearchService from "../services/savedSearchService.js";
+import { connectDB } from "../config/db.js";
+
+// Track last run times
+let lastRunTimes = {
+    matchAlerts: null,
+    dailyDigest: null
+};
+
+// Prevent overlapping alert runs when a run takes longer than the interval
+let alertsRunning = false;
+
+/**
+ * Match listings against saved searches and send instant alerts
+ * @returns {Object} Results of the run
+ */
+export async function runSavedSearchAlerts() {
+    if (alertsRunning) {
+        console.log("[Cron] Saved search alerts already running, skipping");
+        return { skipped: true };
+    }
+
+    alertsRunning = true;
+    console.log("[Cron] Running saved search alerts...");
+    const startTime = Date.now();
+
+    const results = {
+        timestamp: new Date().toISOString(),
+        tasks: {}
+    };
+
+    try {
+        await connectDB();
+        results.tasks.matchAlerts = await savedSearchService.processAlerts();
+        lastRunTimes.matchAlerts = new Date();
+    } catch (error) {
+        results.tasks.matchAlerts = { error: error.message };
+    } finally {
+        alertsRunning = false;
+    }
+
+    results.durationMs = Date.now() - startTime;
+    console.log(`[Cron] Saved search alerts completed in ${results.durationMs}ms`);
+
+    return results;
+}
+
+/**
+ * Send daily digest emails for saved searches with queued matches
+ * @returns {Object} Results of the run
+ */
+export async function runSavedSearchDigest() {
+    console.log("[Cron] Sending saved search digests...");
+    const startTime = Date.now();
+
+    const results = {
+        timestamp: new Date().toISOString(),
+        tasks: {}
+    };
+
+    try {
+        await connectDB();
+        results.tasks.dailyDigest = await savedSearchService.sendDailyDigests();
+        lastRunTimes.dailyDigest = new Date();
+    } catch (error) {
+        results.tasks.dailyDigest = { error: error.message };
+    }
+
+    results.durationMs = Date.now() - startTime;
+    console.log(`[Cron] Saved search digests completed in ${results.durationMs}ms`);
+
+    return results;
+}
+
+/**
+ * Get the status of the cron job
+ * @returns {Object} Cron status
+ */
+export function getCronStatus() {
+    return {
+        lastRunTimes,
+        running: alertsRunning
+    };
+}
+
+/**
+ * Start the cron scheduler (requires node-cron)
+ */
+export async function startSavedSearchCron() {
+    try {
+        const cron = await import('node-cron');
+
+        // Instant alerts every 15 minutes
+        cron.schedule('*/15 * * * *', async () => {
+            await runSavedSearchAlerts();
+        });
+
+        // Daily digest at 8:07 AM, after the overnight alert runs have queued matches.
+        // Offset from the quarter-hour so it never starts alongside an alert run.
+        cron.schedule('7 8 * * *', async () => {
+            console.log("[Cron] Scheduled saved search digest triggered");
+            await runSavedSearchDigest();
+        });
+
+        console.log("[Cron] Saved search cron jobs scheduled (alerts every 15 minutes, digest daily at 8:07 AM)");
+        return true;
+    } catch (error) {
+        console.log("[Cron] node-cron not available, saved search alerts must be run manually:", error.message);
+        return false;
+    }
+}
+
+export default {
+    runSavedSearchAlerts,
+    runSavedSearchDigest,
+    getCronStatus,
+    startSavedSearchCron
+};
@@ -692,3 +692,102 @@
  *       404:
  *         $ref: '#/components/responses/NotFoundError'
  */
+
+/**
+ * @swagger
+ * /admin/messages/reports:
+ *   get:
+ *     summary: Get reported messages
+ *     description: Review queue of chat messages reported by users, with counts per status
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, warned, blocked, dismissed]
+ *       - in: query
+ *         name: reportedUser
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reports retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Admin access required
+ */
+
+/**
+ * @swagger
+ * /admin/messages/reports/{id}:
+ *   patch:
+ *     summary: Resolve message report
+ *     description: Warns or blocks the reported user, or dismisses the report. Blocking also resolves the user's other pending reports.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - action
+ *             properties:
+ *               action:
+ *                 type: string
+ *                 enum: [warn, block, dismiss]
+ *               note:
+ *                 type: string
+ *                 description: Moderator note, included in the warning sent to the user
+ *     responses:
+ *       200:
+ *         description: Report resolved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Admin access required
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       409:
+ *         description: Report already resolved
+ */
+
+/**
+ * @swagger
+ * /admin/messages/scan-settings:
+ *   get:
+ *     summary: Get message scanning settings
+ *     description: Effective contact-info and scam detection settings and the built-in defaults. Change them through the chat_message_scanning system setting.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Scan settings retrieved successfully
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       403:
+ *         description: Admin access required
+ */
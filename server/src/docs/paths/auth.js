@@ -233,6 +233,8 @@
  *     description: |
  *       Exchanges a valid refresh token for a new access token.
  *       Refresh token can be provided via httpOnly cookie or request body.
+ *       Refresh tokens are single-use: each refresh rotates the token. Presenting
+ *       an already-used token revokes the whole session (reuse detection).
  *     tags: [Authentication]
  *     requestBody:
  *       content:
@@ -285,6 +287,13 @@
  *                 value:
  *                   success: false
  *                   error: "Invalid refresh token"
+ *               revoked:
+ *                 summary: Session revoked or token reused
+ *                 value:
+ *                   success: false
+ *                   error: "Session revoked"
+ *                   code: "TOKEN_REUSED"
+ *                   message: "Please login again"
  */
 
 /**
@@ -293,8 +302,8 @@
  *   post:
  *     summary: Logout user
  *     description: |
- *       Logs out the current user by clearing the refresh token cookie.
- *       The access token should be discarded by the client.
+ *       Logs out the current device by revoking its session and clearing
+ *       the refresh token cookie. The access token should be discarded by the client.
  *     tags: [Authentication]
  *     responses:
  *       200:
@@ -320,6 +329,38 @@
  */
 
 
+/**
+ * @swagger
+ * /auth/logout-all:
+ *   post:
+ *     summary: Logout all devices
+ *     description: Revokes every session of the current user, including this one.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: All sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 message:
+ *                   type: string
+ *                   example: "Logged out of all devices"
+ *                 revokedCount:
+ *                   type: integer
+ *                   example: 3
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
 /**
  * @swagger
  * /auth/google:
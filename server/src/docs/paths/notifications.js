@@ -429,3 +429,110 @@
  *       401:
  *         $ref: '#/components/responses/UnauthorizedError'
  */
+
+/**
+ * @swagger
+ * /notifications/push/public-key:
+ *   get:
+ *     summary: Get Web Push public key
+ *     description: Returns the VAPID public key the browser passes to pushManager.subscribe
+ *     tags: [Notifications]
+ *     responses:
+ *       200:
+ *         description: Public key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     publicKey:
+ *                       type: string
+ *       503:
+ *         description: Push notifications are not configured on the server
+ */
+
+/**
+ * @swagger
+ * /notifications/push/subscriptions:
+ *   post:
+ *     summary: Save push subscription
+ *     description: |
+ *       Saves the current browser's push subscription. Each device gets its own subscription;
+ *       saving a subscription another account used moves it to the current user.
+ *       New messages and listing alerts are then pushed to the device unless turned off in
+ *       privacy settings or notification preferences.
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - endpoint
+ *               - keys
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *                 format: uri
+ *               expirationTime:
+ *                 type: number
+ *                 nullable: true
+ *               keys:
+ *                 type: object
+ *                 required: [p256dh, auth]
+ *                 properties:
+ *                   p256dh:
+ *                     type: string
+ *                   auth:
+ *                     type: string
+ *     responses:
+ *       201:
+ *         description: Subscription saved
+ *       400:
+ *         $ref: '#/components/responses/ValidationError'
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ *   delete:
+ *     summary: Remove push subscription
+ *     description: Stops push notifications to the current browser
+ *     tags: [Notifications]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - endpoint
+ *             properties:
+ *               endpoint:
+ *                 type: string
+ *                 format: uri
+ *     responses:
+ *       200:
+ *         description: Subscription removed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     removed:
+ *                       type: boolean
+ *       401:
+ *         $ref: '#/components/responses/UnauthorizedError'
+ */
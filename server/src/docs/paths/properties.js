@@ -38,6 +38,12 @@
  *           type: string
  *         description: Filter by property type
  *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include category, furnishing, bedrooms, amenities and price counts
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
@@ -75,6 +81,8 @@
  *                       type: integer
  *                     hasMore:
  *                       type: boolean
+ *                     facets:
+ *                       $ref: '#/components/schemas/SearchFacets'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  *
@@ -271,6 +279,61 @@
  *         $ref: '#/components/responses/ServerError'
  */
 
+/**
+ * @swagger
+ * /properties/{id}/similar:
+ *   get:
+ *     summary: Get similar listings
+ *     description: |
+ *       Active listings of the same listing type near the property (or in its city
+ *       when it has no coordinates) and within half to double its price, ranked by
+ *       distance, price, bedrooms, category, furnishing and amenity overlap.
+ *       The owner's other listings are excluded.
+ *     tags: [Properties]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Property ID
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 8
+ *           maximum: 20
+ *     responses:
+ *       200:
+ *         description: Similar listings, best match first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Property'
+ *                       - type: object
+ *                         properties:
+ *                           similarityScore:
+ *                             type: integer
+ *                             description: 0 to 100
+ *                           distanceKm:
+ *                             type: number
+ *                             description: Set when both listings have coordinates
+ *       400:
+ *         description: Invalid property ID
+ *       404:
+ *         $ref: '#/components/responses/NotFoundError'
+ *       500:
+ *         $ref: '#/components/responses/ServerError'
+ */
+
 /**
  * @swagger
  * /properties/rent:
@@ -336,6 +399,12 @@
  *           type: string
  *         description: Preferred tenant type
  *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include category, furnishing, bedrooms, amenities and price counts
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
@@ -373,6 +442,8 @@
  *                       type: integer
  *                     hasMore:
  *                       type: boolean
+ *                     facets:
+ *                       $ref: '#/components/schemas/SearchFacets'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  *
@@ -474,7 +545,9 @@
  *                 default: 12
  *               sort:
  *                 type: string
- *                 enum: [newest, oldest, rent_low_to_high, rent_high_to_low, relevance]
+ *                 enum: [newest, oldest, rent_low_to_high, rent_high_to_low, relevance, distance]
+ *               geo:
+ *                 $ref: '#/components/schemas/GeoSearch'
  *               filters:
  *                 type: object
  *                 properties:
@@ -514,10 +587,14 @@
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Property'
+ *                     facets:
+ *                       $ref: '#/components/schemas/SearchFacets'
  *                     message:
  *                       type: string
  *                 pagination:
  *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid geo search
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -614,6 +691,12 @@
  *           type: boolean
  *         description: Whether loan is available
  *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Include category, furnishing, bedrooms, amenities and price counts
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
@@ -644,6 +727,8 @@
  *                       type: integer
  *                     hasMore:
  *                       type: boolean
+ *                     facets:
+ *                       $ref: '#/components/schemas/SearchFacets'
  *       500:
  *         $ref: '#/components/responses/ServerError'
  *
@@ -738,7 +823,9 @@
  *                 default: 12
  *               sort:
  *                 type: string
- *                 enum: [newest, oldest, price_low_to_high, price_high_to_low, relevance]
+ *                 enum: [newest, oldest, price_low_to_high, price_high_to_low, relevance, distance]
+ *               geo:
+ *                 $ref: '#/components/schemas/GeoSearch'
  *               filters:
  *                 type: object
  *                 properties:
@@ -778,8 +865,12 @@
  *                       type: array
  *                       items:
  *                         $ref: '#/components/schemas/Property'
+ *                     facets:
+ *                       $ref: '#/components/schemas/SearchFacets'
  *                 pagination:
  *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid geo search
  *       500:
  *         $ref: '#/components/responses/ServerError'
  */
@@ -296,6 +296,93 @@ Authentication endpoints are rate-limited to prevent brute force attacks:
                             description: 'Whether more pages exist'
                         }
                     }
+                },
+                GeoSearch: {
+                    type: 'object',
+                    description: 'Limit a search to a map area. Send one of center + radiusKm, bounds or polygon. Results include distanceKm and are sorted by distance unless a price or oldest sort is requested.',
+                    properties: {
+                        center: {
+                            type: 'object',
+                            properties: {
+                                lat: { type: 'number' },
+                                lng: { type: 'number' }
+                            }
+                        },
+                        radiusKm: {
+                            type: 'number',
+                            maximum: 100,
+                            description: 'Search radius around center'
+                        },
+                        bounds: {
+                            type: 'object',
+                            description: 'Map viewport, at most 90 degrees across',
+                            properties: {
+                                north: { type: 'number' },
+                                south: { type: 'number' },
+                                east: { type: 'number' },
+                                west: { type: 'number' }
+                            }
+                        },
+                        polygon: {
+                            type: 'array',
+                            description: 'Drawn area, 3 to 100 points',
+                            items: {
+                                type: 'object',
+                                properties: {
+                                    lat: { type: 'number' },
+                                    lng: { type: 'number' }
+                                }
+                            }
+                        }
+                    }
+                },
+                SearchFacets: {
+                    type: 'object',
+                    description: 'Counts over every listing matching the search, ignoring pagination. Each facet ignores its own filter (amenities excepted), so the counts show what picking another option would return.',
+                    properties: {
+                        category: { $ref: '#/components/schemas/FacetValues' },
+                        furnishing: { $ref: '#/components/schemas/FacetValues' },
+                        bedrooms: { $ref: '#/components/schemas/FacetValues' },
+                        amenities: { $ref: '#/components/schemas/FacetValues' },
+                        preferredTenants: {
+                            allOf: [{ $ref: '#/components/schemas/FacetValues' }],
+                            description: 'Rent searches only'
+                        },
+                        possessionStatus: {
+                            allOf: [{ $ref: '#/components/schemas/FacetValues' }],
+                            description: 'Buy searches only'
+                        },
+                        price: {
+                            allOf: [{ $ref: '#/components/schemas/FacetRanges' }],
+                            description: 'Price buckets on monthlyRent (rent) or sellingPrice (buy)'
+                        },
+                        priceHistogram: {
+                            allOf: [{ $ref: '#/components/schemas/FacetRanges' }],
+                            description: 'Twenty equal-width bins up to ₹1,00,000 (rent) or ₹5 Cr (buy), plus one open-ended bin above'
+                        }
+                    }
+                },
+                FacetRanges: {
+                    type: 'array',
+                    description: 'Every range is listed, empty ones with a count of 0; max is null for the last range',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            min: { type: 'number' },
+                            max: { type: 'number', nullable: true },
+                            count: { type: 'integer' }
+                        }
+                    }
+                },
+                FacetValues: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        properties: {
+                            value: { oneOf: [{ type: 'string' }, { type: 'number' }] },
+                            count: { type: 'integer' }
+                        }
+                    }
                 }
             },
             responses: {
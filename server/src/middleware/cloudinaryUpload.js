@@ -29,6 +29,26 @@ const messageFileFilter = (req, file, cb) => {
     }
 };
 
+// File filter for rental application documents (images + PDF)
+const documentFilter = (req, file, cb) => {
+    const allowedTypes = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'application/pdf'];
+    if (allowedTypes.includes(file.mimetype)) {
+        cb(null, true);
+    } else {
+        cb(new Error('Only PDF and image documents are allowed'), false);
+    }
+};
+
+// File filter for bulk listing imports (CSV or JSON, checked by extension
+// since browsers report CSV files under several MIME types)
+const listingImportFilter = (req, file, cb) => {
+    if (/\.(csv|json)$/i.test(file.originalname)) {
+        cb(null, true);
+    } else {
+        cb(new Error('Only .csv and .json files can be imported'), false);
+    }
+};
+
 // Multer instance for property photos
 export const propertyUpload = multer({
     storage,
@@ -49,6 +69,26 @@ export const messageUpload = multer({
     }
 });
 
+// Multer instance for rental application documents
+export const applicationUpload = multer({
+    storage,
+    fileFilter: documentFilter,
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+        files: 5 // Max 5 documents
+    }
+});
+
+// Multer instance for bulk listing import files (parsed in memory, never uploaded)
+export const listingImportUpload = multer({
+    storage,
+    fileFilter: listingImportFilter,
+    limits: {
+        fileSize: 2 * 1024 * 1024, // 2MB limit
+        files: 1
+    }
+});
+
 /**
  * Upload property photos to Cloudinary
  * @param {Array} files - Array of multer file objects
@@ -106,3 +146,30 @@ export async function uploadMessageFile(file) {
         publicId: result.public_id
     };
 }
+
+/**
+ * Upload rental application documents to Cloudinary
+ * @param {Array} files - Array of multer file objects
+ * @returns {Promise<Array>} Array of document metadata with URLs
+ */
+export async function uploadApplicationDocuments(files) {
+    if (!files || files.length === 0) return [];
+
+    const uploadPromises = files.map(async (file) => {
+        const isImage = file.mimetype.startsWith('image/');
+        const result = await uploadToCloudinary(file.buffer, {
+            folder: 'applications',
+            resource_type: isImage ? 'image' : 'raw'
+        });
+
+        return {
+            originalName: file.originalname,
+            filename: result.public_id,
+            mimetype: file.mimetype,
+            size: file.size,
+            url: result.secure_url
+        };
+    });
+
+    return Promise.all(uploadPromises);
+}
@@ -26,6 +26,16 @@ const BUY_SPECIFIC_FIELDS = [
     'loanAvailable'
 ];
 
+// Fields an owner may edit on an existing listing, by listing type
+export const OWNER_EDITABLE_FIELDS = {
+    common: ['title', 'description', 'availableFrom', 'furnishing', 'amenities'],
+    [LISTING_TYPES.RENT]: ['monthlyRent', 'securityDeposit', 'maintenanceCharge', 'rentNegotiable'],
+    [LISTING_TYPES.BUY]: ['sellingPrice', 'pricePerSqft', 'bookingAmount', 'loanAvailable']
+};
+
+// Editable fields that must be non-negative numbers
+export const NUMERIC_FIELDS = ['monthlyRent', 'securityDeposit', 'maintenanceCharge', 'sellingPrice', 'pricePerSqft', 'bookingAmount'];
+
 /* ---------------------- HELPER FUNCTIONS ---------------------- */
 
 /**
@@ -47,71 +57,48 @@ const getPresentFields = (body, fieldList) => {
     return fieldList.filter(field => isPresent(body[field]));
 };
 
-/* ---------------------- VALIDATION MIDDLEWARE ---------------------- */
+/* ---------------------- VALIDATION RULES ---------------------- */
 
 /**
- * Validate Property By Listing Type
- * Ensures rent properties have rent fields and reject buy fields,
- * and buy properties have buy fields and reject rent fields.
- * 
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ * Validate Property Data
+ * Applies the listing type rules to a plain property object, so the same
+ * rules can be used outside a request (e.g. rows of a bulk import).
+ * Numeric price strings are converted to numbers in place.
+ *
+ * @param {Object} body - Property data
+ * @returns {{valid: boolean, message?: string, field?: string, fields?: string[]}}
  */
-export const validatePropertyByListingType = (req, res, next) => {
-    const { listingType } = req.body;
+export const validatePropertyData = (body) => {
+    const { listingType } = body;
 
     // Validate listingType is provided
     if (!listingType) {
-        return res.status(400).json({
-            success: false,
-            error: 'Validation failed',
-            message: 'listingType is required',
-            field: 'listingType'
-        });
+        return { valid: false, message: 'listingType is required', field: 'listingType' };
     }
 
     // Validate listingType is valid enum value
     if (!Object.values(LISTING_TYPES).includes(listingType)) {
-        return res.status(400).json({
-            success: false,
-            error: 'Validation failed',
-            message: "listingType must be 'rent' or 'buy'",
-            field: 'listingType'
-        });
+        return { valid: false, message: "listingType must be 'rent' or 'buy'", field: 'listingType' };
     }
 
-    // Validate based on listing type
     if (listingType === LISTING_TYPES.RENT) {
-        return validateRentProperty(req, res, next);
-    }
-
-    if (listingType === LISTING_TYPES.BUY) {
-        return validateBuyProperty(req, res, next);
+        return validateRentData(body);
     }
 
-    next();
+    return validateBuyData(body);
 };
 
 /**
- * Validate Rent Property
+ * Validate Rent Data
  * Ensures rent properties have required rent fields and no buy fields
- * 
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ *
+ * @param {Object} body - Property data
+ * @returns {{valid: boolean, message?: string, field?: string, fields?: string[]}}
  */
-const validateRentProperty = (req, res, next) => {
-    const { body } = req;
-
+const validateRentData = (body) => {
     // Requirement 2.5: monthlyRent is required for rent properties
     if (!isPresent(body.monthlyRent)) {
-        return res.status(400).json({
-            success: false,
-            error: 'Validation failed',
-            message: 'monthlyRent is required for rent properties',
-            field: 'monthlyRent'
-        });
+        return { valid: false, message: 'monthlyRent is required for rent properties', field: 'monthlyRent' };
     }
 
     // Convert to number if string (FormData sends strings)
@@ -119,12 +106,7 @@ const validateRentProperty = (req, res, next) => {
 
     // Validate monthlyRent is a positive number
     if (isNaN(monthlyRent) || monthlyRent <= 0) {
-        return res.status(400).json({
-            success: false,
-            error: 'Validation failed',
-            message: 'monthlyRent must be a positive number',
-            field: 'monthlyRent'
-        });
+        return { valid: false, message: 'monthlyRent must be a positive number', field: 'monthlyRent' };
     }
 
     // Update body with parsed number
@@ -133,36 +115,27 @@ const validateRentProperty = (req, res, next) => {
     // Requirement 2.3: Reject buy-specific fields for rent properties
     const presentBuyFields = getPresentFields(body, BUY_SPECIFIC_FIELDS);
     if (presentBuyFields.length > 0) {
-        return res.status(400).json({
-            success: false,
-            error: 'Validation failed',
+        return {
+            valid: false,
             message: `${presentBuyFields.join(', ')} not allowed for rent properties`,
             fields: presentBuyFields
-        });
+        };
     }
 
-    next();
+    return { valid: true };
 };
 
 /**
- * Validate Buy Property
+ * Validate Buy Data
  * Ensures buy properties have required buy fields and no rent fields
- * 
- * @param {Object} req - Express request object
- * @param {Object} res - Express response object
- * @param {Function} next - Express next function
+ *
+ * @param {Object} body - Property data
+ * @returns {{valid: boolean, message?: string, field?: string, fields?: string[]}}
  */
-const validateBuyProperty = (req, res, next) => {
-    const { body } = req;
-
+const validateBuyData = (body) => {
     // Requirement 2.6: sellingPrice is required for buy properties
     if (!isPresent(body.sellingPrice)) {
-        return res.status(400).json({
-            success: false,
-            error: 'Validation failed',
-            message: 'sellingPrice is required for buy properties',
-            field: 'sellingPrice'
-        });
+        return { valid: false, message: 'sellingPrice is required for buy properties', field: 'sellingPrice' };
     }
 
     // Convert to number if string (FormData sends strings)
@@ -170,12 +143,7 @@ const validateBuyProperty = (req, res, next) => {
 
     // Validate sellingPrice is a positive number
     if (isNaN(sellingPrice) || sellingPrice <= 0) {
-        return res.status(400).json({
-            success: false,
-            error: 'Validation failed',
-            message: 'sellingPrice must be a positive number',
-            field: 'sellingPrice'
-        });
+        return { valid: false, message: 'sellingPrice must be a positive number', field: 'sellingPrice' };
     }
 
     // Update body with parsed number
@@ -189,11 +157,35 @@ const validateBuyProperty = (req, res, next) => {
     });
 
     if (presentRentFields.length > 0) {
+        return {
+            valid: false,
+            message: `${presentRentFields.join(', ')} not allowed for buy properties`,
+            fields: presentRentFields
+        };
+    }
+
+    return { valid: true };
+};
+
+/* ---------------------- VALIDATION MIDDLEWARE ---------------------- */
+
+/**
+ * Validate Property By Listing Type
+ * Ensures rent properties have rent fields and reject buy fields,
+ * and buy properties have buy fields and reject rent fields.
+ * 
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ * @param {Function} next - Express next function
+ */
+export const validatePropertyByListingType = (req, res, next) => {
+    const { valid, ...failure } = validatePropertyData(req.body || {});
+
+    if (!valid) {
         return res.status(400).json({
             success: false,
             error: 'Validation failed',
-            message: `${presentRentFields.join(', ')} not allowed for buy properties`,
-            fields: presentRentFields
+            ...failure
         });
     }
 
@@ -203,5 +195,6 @@ const validateBuyProperty = (req, res, next) => {
 /* ---------------------- EXPORTS ---------------------- */
 
 export default {
-    validatePropertyByListingType
+    validatePropertyByListingType,
+    validatePropertyData
 };
@@ -2,6 +2,7 @@ import jwt from "jsonwebtoken";
 import { z } from "zod";
 import { User } from "../../models/User.js";
 import { connectDB } from "../config/db.js";
+import { createRateLimitStore } from "../utils/rateLimitStore.js";
 
 /**
  * API Security Middleware Collection
@@ -91,8 +92,9 @@ export const authenticateToken = async (req, res, next) => {
             });
         }
 
-        // Add user to request object
+        // Add user (and the session the token was issued for) to request object
         req.user = user;
+        req.sessionId = decoded.sid || null;
         next();
 
     } catch (error) {
@@ -326,7 +328,9 @@ export const commonSchemas = {
         avatar: z.string().url().optional(),
         bio: z.string().max(500).optional(),
         address: z.string().max(200).optional(),
-        phone: z.string().regex(/^\+?[\d\s\-\(\)]{10,}$/, "Invalid phone number format").optional().or(z.literal(''))
+        phone: z.string().regex(/^\+?[\d\s\-\(\)]{10,}$/, "Invalid phone number format").optional().or(z.literal('')),
+        // Language for emails and texts
+        locale: z.string().regex(/^[a-z]{2}(-[A-Z]{2})?$/, "Invalid locale").optional()
     }),
 
     // Password validation
@@ -463,64 +467,92 @@ export const sendSuccess = (res, data = null, message = "Success", statusCode =
 /* ---------------------- RATE LIMITING MIDDLEWARE ---------------------- */
 
 /**
- * Simple in-memory rate limiter
- * For production, consider using Redis-based rate limiting
+ * Seconds until a sliding-window limiter lets the next request through.
+ * The previous window's count is weighted by how much of it still overlaps
+ * [now - windowMs, now], so it drains linearly until the current window ends.
+ * When the current window alone is over the limit, its count drains the same
+ * way through the next window.
+ */
+const slidingResetSeconds = ({ current, previous, now, windowStart, windowMs, maxRequests }) => {
+    const windowEnd = windowStart + windowMs;
+    // Weighted previous-window requests the next request can still fit beside
+    const room = maxRequests - current - 1;
+
+    let allowedAt;
+    if (room >= 0) {
+        allowedAt = previous > 0 ? windowEnd - windowMs * (room + 1) / previous : now;
+    } else {
+        allowedAt = windowEnd + windowMs - windowMs * maxRequests / current;
+    }
+
+    // The weighted count must drop strictly below the limit, so round past allowedAt
+    return Math.floor(Math.max(0, allowedAt - now) / 1000) + 1;
+};
+
+/**
+ * Rate limiter with a pluggable counter store
+ * Uses the store selected by RATE_LIMIT_STORE ("memory" or "mongo") unless one is passed.
+ * Sets RateLimit-Limit/Remaining/Reset headers, and Retry-After when limited.
+ * With a sliding window, once no requests remain the reset is when the
+ * weighted count next allows a request rather than the fixed window's end.
+ *
+ * @param {Object} options
+ * @param {string} options.name - Key prefix so limiters sharing a store don't collide
+ * @param {number} options.windowMs - Window length in milliseconds
+ * @param {number} options.maxRequests - Requests allowed per window
+ * @param {boolean} options.slidingWindow - Weight the previous window instead of resetting at window boundaries
+ * @param {Object} options.store - Store implementing increment()/reset() (see utils/rateLimitStore.js)
  */
 export const createRateLimiter = (options = {}) => {
     const {
+        name = "global",
         windowMs = 15 * 60 * 1000, // 15 minutes
         maxRequests = 100,
+        slidingWindow = false,
+        error = "Rate limit exceeded",
         message = "Too many requests, please try again later",
-        keyGenerator = (req) => req.ip || req.connection.remoteAddress
+        keyGenerator = (req) => req.ip || req.connection.remoteAddress,
+        store = createRateLimitStore()
     } = options;
 
-    const requests = new Map();
-
-    // Clean up old entries periodically
-    setInterval(() => {
-        const now = Date.now();
-        for (const [key, data] of requests.entries()) {
-            if (now - data.resetTime > windowMs) {
-                requests.delete(key);
-            }
-        }
-    }, windowMs);
-
-    return (req, res, next) => {
-        const key = keyGenerator(req);
+    return async (req, res, next) => {
         const now = Date.now();
+        const windowStart = now - (now % windowMs);
+        let resetSeconds = Math.ceil((windowStart + windowMs - now) / 1000);
 
-        if (!requests.has(key)) {
-            requests.set(key, {
-                count: 1,
-                resetTime: now
-            });
-            return next();
-        }
+        let hits;
+        try {
+            const { current, previous } = await store.increment(`${name}:${keyGenerator(req)}`, windowStart, windowMs);
 
-        const requestData = requests.get(key);
+            // Sliding window: count the part of the previous window still inside [now - windowMs, now]
+            hits = slidingWindow
+                ? current + Math.floor(previous * ((windowStart + windowMs - now) / windowMs))
+                : current;
 
-        // Reset if window has passed
-        if (now - requestData.resetTime > windowMs) {
-            requestData.count = 1;
-            requestData.resetTime = now;
+            if (slidingWindow && hits >= maxRequests) {
+                resetSeconds = slidingResetSeconds({ current, previous, now, windowStart, windowMs, maxRequests });
+            }
+        } catch (storeError) {
+            // Fail open: a broken counter store must not take the API down
+            console.error(`Rate limit store error (${name}):`, storeError.message);
             return next();
         }
 
-        // Check if limit exceeded
-        if (requestData.count >= maxRequests) {
-            const resetTime = Math.ceil((requestData.resetTime + windowMs - now) / 1000);
+        res.setHeader('RateLimit-Limit', maxRequests);
+        res.setHeader('RateLimit-Remaining', Math.max(0, maxRequests - hits));
+        res.setHeader('RateLimit-Reset', resetSeconds);
 
+        // Check if limit exceeded
+        if (hits > maxRequests) {
+            res.setHeader('Retry-After', resetSeconds);
             return res.status(429).json({
                 success: false,
-                error: "Rate limit exceeded",
+                error,
                 message,
-                retryAfter: resetTime
+                retryAfter: resetSeconds
             });
         }
 
-        // Increment counter
-        requestData.count++;
         next();
     };
 };
@@ -0,0 +1,58 @@
+/**
+ * Move embedded Conversation.messages into the messages collection.
+ *
+ * Runs online: messageService moves a conversation's messages on first access
+ * (Message.moveEmbeddedMessages), so chats keep working while this migration
+ * works through the rest in the background. Both paths are idempotent.
+ */
+
+import mongoose from 'mongoose';
+import { Message } from '../../models/Message.js';
+import logger from '../services/loggerService.js';
+
+const PROGRESS_LOG_INTERVAL = 500; // conversations
+
+export default {
+    version: '20261019_001',
+    name: 'Move embedded conversation messages into the messages collection',
+
+    up: async () => {
+        await Message.createIndexes();
+
+        const conversations = mongoose.connection.collection('conversations');
+        // Lets messageService find a message that has not been moved yet without a collection scan
+        await conversations.createIndex({ 'messages._id': 1 }, { sparse: true });
+        const cursor = conversations.find(
+            { 'messages.0': { $exists: true } },
+            { projection: { _id: 1 } }
+        );
+
+        let conversationCount = 0;
+        let messageCount = 0;
+        for await (const { _id } of cursor) {
+            messageCount += await Message.moveEmbeddedMessages(_id);
+            conversationCount++;
+
+            if (conversationCount % PROGRESS_LOG_INTERVAL === 0) {
+                logger.info('Moving conversation messages', { conversationCount, messageCount });
+            }
+        }
+
+        logger.info('Conversation messages moved', { conversationCount, messageCount });
+    },
+
+    down: async () => {
+        const conversations = mongoose.connection.collection('conversations');
+        const conversationIds = await Message.distinct('conversation');
+
+        for (const conversationId of conversationIds) {
+            const messages = await Message.collection
+                .find({ conversation: conversationId }, { projection: { conversation: 0 } })
+                .sort({ _id: 1 })
+                .toArray();
+
+            await conversations.updateOne({ _id: conversationId }, { $set: { messages } });
+            await Message.deleteMany({ conversation: conversationId });
+        }
+    }
+};
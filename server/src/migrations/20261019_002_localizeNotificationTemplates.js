@@ -0,0 +1,43 @@
+/**
+ * Allow one notification template per slug and locale.
+ *
+ * Templates used to be unique by name and by slug. Translations share the
+ * slug (and usually the name) of the template they translate, so those
+ * indexes are replaced with a unique { slug, locale } index and existing
+ * templates are marked English.
+ */
+
+import mongoose from 'mongoose';
+
+const dropIndexIfExists = async (collection, name) => {
+    if (await collection.indexExists(name)) {
+        await collection.dropIndex(name);
+    }
+};
+
+export default {
+    version: '20261019_002',
+    name: 'Unique notification templates by slug and locale',
+
+    up: async () => {
+        const templates = mongoose.connection.collection('notificationtemplates');
+
+        await templates.updateMany({ locale: { $exists: false } }, { $set: { locale: 'en' } });
+        await dropIndexIfExists(templates, 'name_1');
+        await dropIndexIfExists(templates, 'slug_1');
+        await templates.createIndex({ name: 1 });
+        await templates.createIndex({ slug: 1 });
+        await templates.createIndex({ slug: 1, locale: 1 }, { unique: true });
+    },
+
+    down: async () => {
+        const templates = mongoose.connection.collection('notificationtemplates');
+
+        await dropIndexIfExists(templates, 'slug_1_locale_1');
+        await dropIndexIfExists(templates, 'name_1');
+        await dropIndexIfExists(templates, 'slug_1');
+        await templates.deleteMany({ locale: { $ne: 'en' } });
+        await templates.createIndex({ name: 1 }, { unique: true });
+        await templates.createIndex({ slug: 1 }, { unique: true });
+    }
+};
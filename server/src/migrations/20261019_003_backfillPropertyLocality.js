@@ -0,0 +1,48 @@
+/**
+ * Backfill the locality of existing properties.
+ *
+ * New and edited listings get their locality when they are saved. Listings
+ * created before the field existed are resolved here from their city and
+ * address so area suggestions count them too.
+ */
+
+import mongoose from 'mongoose';
+import { resolveLocality } from '../utils/locality.js';
+
+const BATCH_SIZE = 500;
+
+export default {
+    version: '20261019_003',
+    name: 'Backfill property locality',
+
+    up: async () => {
+        const properties = mongoose.connection.collection('properties');
+        const cursor = properties.find(
+            { $or: [{ locality: { $exists: false } }, { locality: '' }] },
+            { projection: { city: 1, address: 1 } }
+        );
+
+        let operations = [];
+        for await (const property of cursor) {
+            const locality = await resolveLocality(property.city, property.address);
+            operations.push({
+                updateOne: {
+                    filter: { _id: property._id },
+                    update: { $set: { locality } }
+                }
+            });
+            if (operations.length >= BATCH_SIZE) {
+                await properties.bulkWrite(operations, { ordered: false });
+                operations = [];
+            }
+        }
+        if (operations.length > 0) {
+            await properties.bulkWrite(operations, { ordered: false });
+        }
+    },
+
+    down: async () => {
+        const properties = mongoose.connection.collection('properties');
+        await properties.updateMany({}, { $unset: { locality: '' } });
+    }
+};
@@ -11,6 +11,9 @@
  */
 
 import { migrationRunner } from './migrationRunner.js';
+import extractConversationMessages from './20261019_001_extractConversationMessages.js';
+import localizeNotificationTemplates from './20261019_002_localizeNotificationTemplates.js';
+import backfillPropertyLocality from './20261019_003_backfillPropertyLocality.js';
 
 /**
  * Example migration template:
@@ -39,6 +42,9 @@ const migrations = [
     //   up: async (db) => { /* migration code */ },
     //   down: async (db) => { /* rollback code */ }
     // }
+    extractConversationMessages,
+    localizeNotificationTemplates,
+    backfillPropertyLocality
 ];
 
 // Register migrations with the runner
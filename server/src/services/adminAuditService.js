@@ -11,12 +11,13 @@ import { connectDB } from "../config/db.js";
 export const VALID_ACTIONS = [
     'CREATE', 'UPDATE', 'DELETE', 'BLOCK', 'UNBLOCK',
     'ACTIVATE', 'DEACTIVATE', 'ROLE_CHANGE', 'PASSWORD_RESET',
-    'LOGIN', 'LOGOUT', 'APPROVE', 'REJECT', 'EXPORT', 'VIEW'
+    'LOGIN', 'LOGOUT', 'APPROVE', 'REJECT', 'EXPORT', 'VIEW', 'WARN'
 ];
 
 export const VALID_RESOURCE_TYPES = [
     'user', 'property', 'location', 'category',
-    'content', 'review', 'notification', 'settings', 'report', 'conversation'
+    'content', 'review', 'notification', 'settings', 'report', 'conversation',
+    'message_report'
 ];
 
 /* ---------------------- HELPER FUNCTIONS ---------------------- */
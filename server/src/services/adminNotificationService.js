@@ -2,6 +2,7 @@ import { Alert } from "../../models/Alert.js";
 import { User } from "../../models/User.js";
 import emailService from "./emailService.js";
 import smsService from "./smsService.js";
+import notificationTemplateService from "./notificationTemplateService.js";
 import { logVerificationEvent } from "../utils/auditUtils.js";
 
 /**
@@ -252,13 +253,19 @@ export class AdminNotificationService {
      */
     async sendEmailNotification(alert) {
         try {
-            const subject = `[${alert.severity.toUpperCase()}] OTP System Alert: ${alert.title}`;
-            const htmlContent = this.generateEmailContent(alert);
+            const rendered = await this.renderAlert(alert);
+            if (!rendered.success) {
+                return {
+                    channel: 'email',
+                    success: false,
+                    error: rendered.error
+                };
+            }
 
             const results = [];
             for (const email of this.adminContacts.email) {
                 try {
-                    const result = await emailService.sendAdminAlert(email, subject, htmlContent);
+                    const result = await emailService.sendAdminAlert(email, rendered.subject, rendered.html);
                     results.push({
                         channel: 'email',
                         recipient: email,
@@ -294,7 +301,17 @@ export class AdminNotificationService {
      */
     async sendSMSNotification(alert) {
         try {
-            const message = this.generateSMSContent(alert);
+            const rendered = await this.renderAlert(alert);
+            if (!rendered.success) {
+                return {
+                    channel: 'sms',
+                    success: false,
+                    error: rendered.error
+                };
+            }
+
+            // Truncate if too long for SMS
+            const message = rendered.sms.length > 160 ? rendered.sms.substring(0, 157) + '...' : rendered.sms;
 
             const results = [];
             for (const phone of this.adminContacts.sms) {
@@ -435,103 +452,31 @@ export class AdminNotificationService {
     }
 
     /**
-     * Generate email content for alert
+     * Render the "system-alert" notification template for an alert
      */
-    generateEmailContent(alert) {
-        const severityColor = {
-            critical: '#dc3545',
-            warning: '#ffc107',
-            info: '#17a2b8'
+    async renderAlert(alert) {
+        const alertClasses = {
+            critical: 'danger',
+            warning: 'warning',
+            info: 'info'
         };
-
-        return `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <style>
-                body { font-family: Arial, sans-serif; margin: 0; padding: 20px; }
-                .alert-header { background-color: ${severityColor[alert.severity]}; color: white; padding: 15px; border-radius: 5px 5px 0 0; }
-                .alert-body { border: 1px solid #ddd; border-top: none; padding: 20px; border-radius: 0 0 5px 5px; }
-                .metric { margin: 10px 0; }
-                .metric-label { font-weight: bold; }
-                .service-list { margin: 5px 0; }
-                .context { background-color: #f8f9fa; padding: 10px; border-radius: 3px; margin: 10px 0; }
-                .footer { margin-top: 20px; font-size: 12px; color: #666; }
-            </style>
-        </head>
-        <body>
-            <div class="alert-header">
-                <h2>[${alert.severity.toUpperCase()}] ${alert.title}</h2>
-                <p>Alert ID: ${alert.alertId}</p>
-            </div>
-            <div class="alert-body">
-                <p><strong>Description:</strong> ${alert.description}</p>
-                
-                ${alert.affectedServices && alert.affectedServices.length > 0 ? `
-                <div class="metric">
-                    <span class="metric-label">Affected Services:</span>
-                    <div class="service-list">${alert.affectedServices.join(', ')}</div>
-                </div>
-                ` : ''}
-                
-                ${alert.metrics ? `
-                <div class="metric">
-                    <span class="metric-label">Metrics:</span>
-                    <ul>
-                        ${alert.metrics.failureRate ? `<li>Failure Rate: ${alert.metrics.failureRate.toFixed(1)}%</li>` : ''}
-                        ${alert.metrics.errorCount ? `<li>Error Count: ${alert.metrics.errorCount}</li>` : ''}
-                        ${alert.metrics.affectedDeliveries ? `<li>Affected Deliveries: ${alert.metrics.affectedDeliveries}</li>` : ''}
-                        ${alert.metrics.timeRange ? `<li>Time Range: ${alert.metrics.timeRange}</li>` : ''}
-                    </ul>
-                </div>
-                ` : ''}
-                
-                <div class="metric">
-                    <span class="metric-label">Created:</span> ${alert.createdAt.toLocaleString()}
-                </div>
-                
-                <div class="metric">
-                    <span class="metric-label">Escalation Level:</span> ${alert.escalationLevel}
-                </div>
-                
-                ${alert.context && Object.keys(alert.context).length > 0 ? `
-                <div class="context">
-                    <strong>Additional Context:</strong>
-                    <pre>${JSON.stringify(alert.context, null, 2)}</pre>
-                </div>
-                ` : ''}
-            </div>
-            <div class="footer">
-                <p>This is an automated alert from the OTP Delivery System.</p>
-                <p>Please investigate and acknowledge this alert in the admin dashboard.</p>
-            </div>
-        </body>
-        </html>
-        `;
-    }
-
-    /**
-     * Generate SMS content for alert
-     */
-    generateSMSContent(alert) {
-        let message = `[${alert.severity.toUpperCase()}] OTP Alert: ${alert.title}`;
-
-        if (alert.metrics && alert.metrics.failureRate) {
-            message += ` - Failure Rate: ${alert.metrics.failureRate.toFixed(1)}%`;
-        }
-
-        if (alert.affectedServices && alert.affectedServices.length > 0) {
-            message += ` - Services: ${alert.affectedServices.join(', ')}`;
-        }
-
-        message += ` - ID: ${alert.alertId}`;
-
-        // Truncate if too long for SMS
-        if (message.length > 160) {
-            message = message.substring(0, 157) + '...';
-        }
-
-        return message;
+        const hasContext = alert.context && Object.keys(alert.context).length > 0;
+
+        return notificationTemplateService.render('system-alert', {
+            severity: alert.severity,
+            alertClass: alertClasses[alert.severity],
+            title: alert.title,
+            alertId: alert.alertId,
+            description: alert.description,
+            affectedServices: alert.affectedServices?.join(', '),
+            failureRate: alert.metrics?.failureRate ? alert.metrics.failureRate.toFixed(1) : null,
+            errorCount: alert.metrics?.errorCount,
+            affectedDeliveries: alert.metrics?.affectedDeliveries,
+            timeRange: alert.metrics?.timeRange,
+            createdAt: alert.createdAt,
+            escalationLevel: alert.escalationLevel,
+            context: hasContext ? JSON.stringify(alert.context, null, 2) : null
+        });
     }
 
     /**
@@ -1,6 +1,7 @@
 import { User } from '../../models/User.js';
 import { Property } from '../../models/Property.js';
 import { Conversation } from '../../models/Conversation.js';
+import { Message } from '../../models/Message.js';
 import { Wishlist } from '../../models/Wishlist.js';
 import { Favorite } from '../../models/Favorite.js';
 import { OTP } from '../../models/OTP.js';
@@ -283,7 +284,16 @@ class DataExportService {
     async exportConversationsData(userId) {
         const conversations = await Conversation.find({
             participants: userId
-        }).populate('participants', 'name email').lean();
+        }).populate('participants', 'name email').select('-messages').lean();
+
+        const messagesByConversation = new Map();
+        for (const conversation of conversations) {
+            await Message.moveEmbeddedMessages(conversation._id);
+            messagesByConversation.set(
+                conversation._id.toString(),
+                await Message.find({ conversation: conversation._id }).sort({ _id: 1 }).lean()
+            );
+        }
 
         return conversations.map(conversation => ({
             id: conversation._id,
@@ -292,7 +302,7 @@ class DataExportService {
                 name: p.name,
                 email: p.email
             })),
-            messages: conversation.messages.map(message => ({
+            messages: messagesByConversation.get(conversation._id.toString()).map(message => ({
                 id: message._id,
                 sender: message.sender,
                 text: message.text,
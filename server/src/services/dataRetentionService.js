@@ -4,6 +4,8 @@ import { SecurityAuditLog } from '../../models/SecurityAuditLog.js';
 import { NotificationDelivery } from '../../models/NotificationDelivery.js';
 import { OTP } from '../../models/OTP.js';
 import { User } from '../../models/User.js';
+import { ViewHistory } from '../../models/ViewHistory.js';
+import viewHistoryService, { VIEW_HISTORY_RETENTION_DAYS } from './viewHistoryService.js';
 import { connectDB } from '../config/db.js';
 
 /**
@@ -21,6 +23,7 @@ class DataRetentionService {
         // Default retention policies (in days) - most are disabled
         this.retentionPolicies = {
             otpRecords: parseInt(process.env.OTP_RETENTION_DAYS) || 1, // Only safe operation
+            viewHistory: VIEW_HISTORY_RETENTION_DAYS, // Safe: browsing history only feeds recommendations
             // DISABLED: auditLogs: parseInt(process.env.AUDIT_LOG_RETENTION_DAYS) || 365,
             // DISABLED: notificationDeliveries: parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90,
             // DISABLED: deletedUsers: parseInt(process.env.DELETED_USER_RETENTION_DAYS) || 30,
@@ -117,6 +120,7 @@ class DataRetentionService {
         const startTime = Date.now();
         const results = {
             expiredOTPs: 0,
+            expiredViewHistory: 0,
             disabledOperations: [],
             errors: []
         };
@@ -140,6 +144,13 @@ class DataRetentionService {
                 results.errors.push(`OTP cleanup error: ${error.message}`);
             }
 
+            // SAFE: Clean up listing views older than the view history retention period
+            try {
+                results.expiredViewHistory = await viewHistoryService.cleanupExpiredHistory(this.retentionPolicies.viewHistory);
+            } catch (error) {
+                results.errors.push(`View history cleanup error: ${error.message}`);
+            }
+
             // DISABLED: Failed login attempts cleanup is disabled for data safety
             results.disabledOperations.push('failed login attempts cleanup');
 
@@ -246,6 +257,9 @@ class DataRetentionService {
                     createdAt: { $lt: cutoffs.notificationDeliveries },
                     status: { $in: ['delivered', 'failed', 'bounced'] }
                 }),
+                viewHistory: await ViewHistory.countDocuments({
+                    lastViewedAt: { $lt: cutoffs.viewHistory }
+                }),
                 deletedUsers: await User.countDocuments({
                     isDeleted: true,
                     deletedAt: { $lt: cutoffs.deletedUsers }
@@ -262,6 +276,7 @@ class DataRetentionService {
                 auditLogs: await SecurityAuditLog.countDocuments(),
                 otpRecords: await OTP.countDocuments(),
                 notificationDeliveries: await NotificationDelivery.countDocuments(),
+                viewHistory: await ViewHistory.countDocuments(),
                 users: await User.countDocuments({ isDeleted: { $ne: true } }),
                 deletedUsers: await User.countDocuments({ isDeleted: true })
             };
@@ -1,7 +1,10 @@
 import { createTransport } from 'nodemailer';
+import notificationTemplateService from './notificationTemplateService.js';
+import { HeldDelivery } from '../../models/HeldDelivery.js';
 
 /**
  * Email Service for sending OTP codes and notifications
+ * Messages are rendered from notification templates (notificationTemplateService)
  * Supports SMTP configuration via environment variables
  * Falls back to test mode when SMTP is not configured or fails
  */
@@ -54,62 +57,47 @@ class EmailService {
     }
 
     /**
-     * Send OTP verification email
+     * Render a notification template and send it
      * @param {string} email - Recipient email address
-     * @param {string} otp - OTP code to send
-     * @param {string} userName - User's name for personalization
-     * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+     * @param {string} slug - Notification template slug
+     * @param {object} data - Template variables
+     * @param {object} options - { locale, timezone, testModeLog, errorLabel, mailOptions, holdFor } -
+     *   testModeLog is printed instead of sending in test mode; mailOptions are extra nodemailer options;
+     *   holdFor is the recipient's user ID when the email waits until their quiet hours are over
+     * @returns {Promise<{success: boolean, messageId?: string, held?: boolean, error?: string, code?: string}>}
      */
-    async sendOTPEmail(email, otp, userName = 'User') {
-        try {
-            if (this.testMode || !this.transporter) {
-                // In development/test mode, log the OTP instead of sending
-                console.log(`\n========================================`);
-                console.log(`[EMAIL SERVICE - TEST MODE]`);
-                console.log(`To: ${email}`);
-                console.log(`OTP Code: ${otp}`);
-                console.log(`========================================\n`);
-                return {
-                    success: true,
-                    messageId: 'test-mode-' + Date.now(),
-                    testMode: true
-                };
-            }
-
-            const mailOptions = {
-                from: process.env.SMTP_FROM || process.env.SMTP_USER,
-                to: email,
-                subject: 'Email Verification - Your OTP Code',
-                html: this.generateOTPEmailTemplate(otp, userName),
-                text: this.generateOTPEmailText(otp, userName)
-            };
-
-            const info = await this.transporter.sendMail(mailOptions);
-
-            return {
-                success: true,
-                messageId: info.messageId
-            };
-
-        } catch (error) {
-            console.error('Failed to send OTP email:', error);
+    async sendTemplateEmail(email, slug, data = {}, { locale, timezone, testModeLog, errorLabel = 'email', mailOptions = {}, holdFor } = {}) {
+        const rendered = await notificationTemplateService.render(slug, data, { locale, timezone });
+        if (!rendered.success) {
+            console.error(`Failed to render ${errorLabel}:`, rendered.error);
             return {
                 success: false,
-                error: error.message
+                error: rendered.error,
+                code: rendered.code
             };
         }
+
+        return this.sendRenderedEmail(email, rendered, { testModeLog, errorLabel, mailOptions, holdFor });
     }
 
     /**
-     * Send password change notification email
+     * Send an already rendered email
      * @param {string} email - Recipient email address
-     * @param {string} userName - User's name for personalization
-     * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+     * @param {object} message - { subject, html, text }
+     * @param {object} options - { testModeLog, errorLabel, mailOptions, holdFor }
+     * @returns {Promise<{success: boolean, messageId?: string, held?: boolean, releaseAt?: Date, error?: string}>}
      */
-    async sendPasswordChangeNotification(email, userName = 'User') {
+    async sendRenderedEmail(email, { subject, html, text }, { testModeLog, errorLabel = 'email', mailOptions = {}, holdFor } = {}) {
         try {
-            if (!this.isConfigured) {
-                console.log(`[EMAIL SERVICE - TEST MODE] Password change notification for ${email}`);
+            if (holdFor) {
+                const held = await HeldDelivery.holdIfQuiet(holdFor, 'email', email, { subject, html, text, mailOptions, errorLabel });
+                if (held) {
+                    return { success: true, held: true, messageId: `held-${held._id}`, releaseAt: held.releaseAt };
+                }
+            }
+
+            if (this.testMode || !this.transporter) {
+                console.log(testModeLog || `[EMAIL SERVICE - TEST MODE] "${subject}" to ${email}`);
                 return {
                     success: true,
                     messageId: 'test-mode-' + Date.now(),
@@ -117,15 +105,14 @@ class EmailService {
                 };
             }
 
-            const mailOptions = {
+            const info = await this.transporter.sendMail({
                 from: process.env.SMTP_FROM || process.env.SMTP_USER,
                 to: email,
-                subject: 'Password Changed - Security Notification',
-                html: this.generatePasswordChangeTemplate(userName),
-                text: this.generatePasswordChangeText(userName)
-            };
-
-            const info = await this.transporter.sendMail(mailOptions);
+                subject,
+                html,
+                text,
+                ...mailOptions
+            });
 
             return {
                 success: true,
@@ -133,7 +120,7 @@ class EmailService {
             };
 
         } catch (error) {
-            console.error('Failed to send password change notification:', error);
+            console.error(`Failed to send ${errorLabel}:`, error);
             return {
                 success: false,
                 error: error.message
@@ -142,304 +129,58 @@ class EmailService {
     }
 
     /**
-     * Send account deletion confirmation email
+     * Send OTP verification email
      * @param {string} email - Recipient email address
+     * @param {string} otp - OTP code to send
      * @param {string} userName - User's name for personalization
+     * @param {object} options - { locale }
      * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
      */
-    async sendAccountDeletionConfirmation(email, userName = 'User') {
-        try {
-            if (!this.isConfigured) {
-                console.log(`[EMAIL SERVICE - TEST MODE] Account deletion confirmation for ${email}`);
-                return {
-                    success: true,
-                    messageId: 'test-mode-' + Date.now(),
-                    testMode: true
-                };
-            }
-
-            const mailOptions = {
-                from: process.env.SMTP_FROM || process.env.SMTP_USER,
-                to: email,
-                subject: 'Account Deleted - Confirmation',
-                html: this.generateAccountDeletionTemplate(userName),
-                text: this.generateAccountDeletionText(userName)
-            };
-
-            const info = await this.transporter.sendMail(mailOptions);
-
-            return {
-                success: true,
-                messageId: info.messageId
-            };
-
-        } catch (error) {
-            console.error('Failed to send account deletion confirmation:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
-    }
-
-    /**
-     * Generate HTML template for OTP email
-     * @param {string} otp - OTP code
-     * @param {string} userName - User's name
-     * @returns {string} HTML template
-     */
-    generateOTPEmailTemplate(otp, userName) {
-        return `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="utf-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Email Verification</title>
-            <style>
-                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                .header { background-color: #f8f9fa; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
-                .content { background-color: #ffffff; padding: 30px; border: 1px solid #e9ecef; }
-                .otp-code { font-size: 32px; font-weight: bold; color: #007bff; text-align: center; 
-                           padding: 20px; background-color: #f8f9fa; border-radius: 8px; margin: 20px 0; 
-                           letter-spacing: 4px; }
-                .footer { background-color: #f8f9fa; padding: 15px; text-align: center; 
-                         border-radius: 0 0 8px 8px; font-size: 12px; color: #6c757d; }
-                .warning { color: #dc3545; font-weight: bold; }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <div class="header">
-                    <h1>Email Verification</h1>
-                </div>
-                <div class="content">
-                    <p>Hello ${userName},</p>
-                    <p>Thank you for using our property rental platform. To complete your email verification, please use the following One-Time Password (OTP):</p>
-                    
-                    <div class="otp-code">${otp}</div>
-                    
-                    <p><strong>Important:</strong></p>
-                    <ul>
-                        <li>This OTP is valid for 10 minutes only</li>
-                        <li>Do not share this code with anyone</li>
-                        <li>If you didn't request this verification, please ignore this email</li>
-                    </ul>
-                    
-                    <p>If you have any questions, please contact our support team.</p>
-                    
-                    <p>Best regards,<br>The Property Rental Team</p>
-                </div>
-                <div class="footer">
-                    <p>This is an automated message. Please do not reply to this email.</p>
-                </div>
-            </div>
-        </body>
-        </html>
-        `;
-    }
-
-    /**
-     * Generate plain text version for OTP email
-     * @param {string} otp - OTP code
-     * @param {string} userName - User's name
-     * @returns {string} Plain text content
-     */
-    generateOTPEmailText(otp, userName) {
-        return `
-Hello ${userName},
-
-Thank you for using our property rental platform. To complete your email verification, please use the following One-Time Password (OTP):
-
-${otp}
-
-Important:
-- This OTP is valid for 10 minutes only
-- Do not share this code with anyone
-- If you didn't request this verification, please ignore this email
-
-If you have any questions, please contact our support team.
-
-Best regards,
-The Property Rental Team
-
-This is an automated message. Please do not reply to this email.
-        `.trim();
-    }
-
-    /**
-     * Generate HTML template for password change notification
-     * @param {string} userName - User's name
-     * @returns {string} HTML template
-     */
-    generatePasswordChangeTemplate(userName) {
-        return `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="utf-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Password Changed</title>
-            <style>
-                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                .header { background-color: #f8f9fa; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
-                .content { background-color: #ffffff; padding: 30px; border: 1px solid #e9ecef; }
-                .footer { background-color: #f8f9fa; padding: 15px; text-align: center; 
-                         border-radius: 0 0 8px 8px; font-size: 12px; color: #6c757d; }
-                .alert { background-color: #d4edda; border: 1px solid #c3e6cb; color: #155724; 
-                        padding: 15px; border-radius: 4px; margin: 15px 0; }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <div class="header">
-                    <h1>Password Changed Successfully</h1>
-                </div>
-                <div class="content">
-                    <p>Hello ${userName},</p>
-                    
-                    <div class="alert">
-                        <strong>Security Notice:</strong> Your account password has been successfully changed.
-                    </div>
-                    
-                    <p>This email confirms that your password was changed on ${new Date().toLocaleString()}.</p>
-                    
-                    <p><strong>If you made this change:</strong></p>
-                    <p>No further action is required. Your account is secure.</p>
-                    
-                    <p><strong>If you did NOT make this change:</strong></p>
-                    <ul>
-                        <li>Contact our support team immediately</li>
-                        <li>Review your account for any unauthorized activity</li>
-                        <li>Consider enabling additional security measures</li>
-                    </ul>
-                    
-                    <p>Best regards,<br>The Property Rental Team</p>
-                </div>
-                <div class="footer">
-                    <p>This is an automated security notification. Please do not reply to this email.</p>
-                </div>
-            </div>
-        </body>
-        </html>
-        `;
-    }
-
-    /**
-     * Generate plain text version for password change notification
-     * @param {string} userName - User's name
-     * @returns {string} Plain text content
-     */
-    generatePasswordChangeText(userName) {
-        return `
-Hello ${userName},
-
-SECURITY NOTICE: Your account password has been successfully changed.
-
-This email confirms that your password was changed on ${new Date().toLocaleString()}.
-
-If you made this change:
-No further action is required. Your account is secure.
-
-If you did NOT make this change:
-- Contact our support team immediately
-- Review your account for any unauthorized activity
-- Consider enabling additional security measures
-
-Best regards,
-The Property Rental Team
-
-This is an automated security notification. Please do not reply to this email.
-        `.trim();
+    async sendOTPEmail(email, otp, userName = 'User', { locale } = {}) {
+        return this.sendTemplateEmail(email, 'otp-code', { userName, otp }, {
+            locale,
+            // In development/test mode, log the OTP instead of sending
+            testModeLog: [
+                `\n========================================`,
+                `[EMAIL SERVICE - TEST MODE]`,
+                `To: ${email}`,
+                `OTP Code: ${otp}`,
+                `========================================\n`
+            ].join('\n'),
+            errorLabel: 'OTP email'
+        });
     }
 
     /**
-     * Generate HTML template for account deletion confirmation
-     * @param {string} userName - User's name
-     * @returns {string} HTML template
+     * Send password change notification email
+     * @param {string} email - Recipient email address
+     * @param {string} userName - User's name for personalization
+     * @param {object} options - { locale, holdFor }
+     * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
      */
-    generateAccountDeletionTemplate(userName) {
-        return `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="utf-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Account Deleted</title>
-            <style>
-                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                .header { background-color: #f8f9fa; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
-                .content { background-color: #ffffff; padding: 30px; border: 1px solid #e9ecef; }
-                .footer { background-color: #f8f9fa; padding: 15px; text-align: center; 
-                         border-radius: 0 0 8px 8px; font-size: 12px; color: #6c757d; }
-                .alert { background-color: #f8d7da; border: 1px solid #f5c6cb; color: #721c24; 
-                        padding: 15px; border-radius: 4px; margin: 15px 0; }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <div class="header">
-                    <h1>Account Deletion Confirmed</h1>
-                </div>
-                <div class="content">
-                    <p>Hello ${userName},</p>
-                    
-                    <div class="alert">
-                        <strong>Account Deletion:</strong> Your account has been permanently deleted.
-                    </div>
-                    
-                    <p>This email confirms that your account and all associated data have been permanently removed from our system on ${new Date().toLocaleString()}.</p>
-                    
-                    <p><strong>What has been deleted:</strong></p>
-                    <ul>
-                        <li>Your user profile and personal information</li>
-                        <li>All property listings you created</li>
-                        <li>Your conversation history</li>
-                        <li>Saved preferences and settings</li>
-                    </ul>
-                    
-                    <p>Thank you for using our property rental platform. If you decide to return in the future, you'll need to create a new account.</p>
-                    
-                    <p>Best regards,<br>The Property Rental Team</p>
-                </div>
-                <div class="footer">
-                    <p>This is an automated confirmation. Please do not reply to this email.</p>
-                </div>
-            </div>
-        </body>
-        </html>
-        `;
+    async sendPasswordChangeNotification(email, userName = 'User', { locale, holdFor } = {}) {
+        return this.sendTemplateEmail(email, 'password-changed', { userName, changedAt: new Date() }, {
+            locale,
+            holdFor,
+            testModeLog: `[EMAIL SERVICE - TEST MODE] Password change notification for ${email}`,
+            errorLabel: 'password change notification'
+        });
     }
 
     /**
-     * Generate plain text version for account deletion confirmation
-     * @param {string} userName - User's name
-     * @returns {string} Plain text content
+     * Send account deletion confirmation email
+     * @param {string} email - Recipient email address
+     * @param {string} userName - User's name for personalization
+     * @param {object} options - { locale, holdFor }
+     * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
      */
-    generateAccountDeletionText(userName) {
-        return `
-Hello ${userName},
-
-ACCOUNT DELETION: Your account has been permanently deleted.
-
-This email confirms that your account and all associated data have been permanently removed from our system on ${new Date().toLocaleString()}.
-
-What has been deleted:
-- Your user profile and personal information
-- All property listings you created
-- Your conversation history
-- Saved preferences and settings
-
-Thank you for using our property rental platform. If you decide to return in the future, you'll need to create a new account.
-
-Best regards,
-The Property Rental Team
-
-This is an automated confirmation. Please do not reply to this email.
-        `.trim();
+    async sendAccountDeletionConfirmation(email, userName = 'User', { locale, holdFor } = {}) {
+        return this.sendTemplateEmail(email, 'account-deleted', { userName, deletedAt: new Date() }, {
+            locale,
+            holdFor,
+            testModeLog: `[EMAIL SERVICE - TEST MODE] Account deletion confirmation for ${email}`,
+            errorLabel: 'account deletion confirmation'
+        });
     }
 
     /**
@@ -455,436 +196,243 @@ This is an automated confirmation. Please do not reply to this email.
      * @param {string} email - Recipient email address
      * @param {string} userName - User's name for personalization
      * @param {string} newPhone - New phone number (optional)
+     * @param {object} options - { locale, holdFor }
      * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
      */
-    async sendPhoneUpdateNotification(email, userName = 'User', newPhone = null) {
-        try {
-            if (!this.isConfigured) {
-                console.log(`[EMAIL SERVICE - TEST MODE] Phone update notification for ${email}`);
-                return {
-                    success: true,
-                    messageId: 'test-mode-' + Date.now(),
-                    testMode: true
-                };
-            }
-
-            const mailOptions = {
-                from: process.env.SMTP_FROM || process.env.SMTP_USER,
-                to: email,
-                subject: 'Phone Number Updated - Security Notification',
-                html: this.generatePhoneUpdateTemplate(userName, newPhone),
-                text: this.generatePhoneUpdateText(userName, newPhone)
-            };
-
-            const info = await this.transporter.sendMail(mailOptions);
-
-            return {
-                success: true,
-                messageId: info.messageId
-            };
-
-        } catch (error) {
-            console.error('Failed to send phone update notification:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
+    async sendPhoneUpdateNotification(email, userName = 'User', newPhone = null, { locale, holdFor } = {}) {
+        return this.sendTemplateEmail(email, 'phone-updated', { userName, newPhone, updatedAt: new Date() }, {
+            locale,
+            holdFor,
+            testModeLog: `[EMAIL SERVICE - TEST MODE] Phone update notification for ${email}`,
+            errorLabel: 'phone update notification'
+        });
     }
 
     /**
      * Send new device login notification email
      * @param {string} email - Recipient email address
      * @param {string} userName - User's name for personalization
-     * @param {object} context - Login context (device, location, etc.)
+     * @param {object} context - Login context (device, location, ipAddress, timestamp)
+     * @param {object} options - { locale, holdFor }
      * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
      */
-    async sendNewDeviceLoginNotification(email, userName = 'User', context = {}) {
-        try {
-            if (!this.isConfigured) {
-                console.log(`[EMAIL SERVICE - TEST MODE] New device login notification for ${email}`);
-                return {
-                    success: true,
-                    messageId: 'test-mode-' + Date.now(),
-                    testMode: true
-                };
-            }
-
-            const mailOptions = {
-                from: process.env.SMTP_FROM || process.env.SMTP_USER,
-                to: email,
-                subject: 'New Device Login - Security Alert',
-                html: this.generateNewDeviceLoginTemplate(userName, context),
-                text: this.generateNewDeviceLoginText(userName, context)
-            };
-
-            const info = await this.transporter.sendMail(mailOptions);
-
-            return {
-                success: true,
-                messageId: info.messageId
-            };
+    async sendNewDeviceLoginNotification(email, userName = 'User', context = {}, { locale, holdFor } = {}) {
+        const { device, location, ipAddress, timestamp } = context;
 
-        } catch (error) {
-            console.error('Failed to send new device login notification:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
+        return this.sendTemplateEmail(email, 'new-device-login', {
+            userName,
+            device,
+            location,
+            ipAddress,
+            loginAt: timestamp || new Date()
+        }, {
+            locale,
+            holdFor,
+            testModeLog: `[EMAIL SERVICE - TEST MODE] New device login notification for ${email}`,
+            errorLabel: 'new device login notification'
+        });
     }
 
     /**
      * Send failed login attempts notification email
      * @param {string} email - Recipient email address
      * @param {string} userName - User's name for personalization
-     * @param {object} context - Failed login context
+     * @param {object} context - Failed login context (attempts, lastAttempt, ipAddress, location)
+     * @param {object} options - { locale, holdFor }
      * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
      */
-    async sendFailedLoginNotification(email, userName = 'User', context = {}) {
-        try {
-            if (!this.isConfigured) {
-                console.log(`[EMAIL SERVICE - TEST MODE] Failed login notification for ${email}`);
-                return {
-                    success: true,
-                    messageId: 'test-mode-' + Date.now(),
-                    testMode: true
-                };
-            }
-
-            const mailOptions = {
-                from: process.env.SMTP_FROM || process.env.SMTP_USER,
-                to: email,
-                subject: 'Failed Login Attempts - Security Alert',
-                html: this.generateFailedLoginTemplate(userName, context),
-                text: this.generateFailedLoginText(userName, context)
-            };
-
-            const info = await this.transporter.sendMail(mailOptions);
-
-            return {
-                success: true,
-                messageId: info.messageId
-            };
+    async sendFailedLoginNotification(email, userName = 'User', context = {}, { locale, holdFor } = {}) {
+        const { attempts, lastAttempt, ipAddress, location } = context;
 
-        } catch (error) {
-            console.error('Failed to send failed login notification:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
+        return this.sendTemplateEmail(email, 'failed-login', {
+            userName,
+            attempts,
+            ipAddress,
+            location,
+            lastAttemptAt: lastAttempt || new Date()
+        }, {
+            locale,
+            holdFor,
+            testModeLog: `[EMAIL SERVICE - TEST MODE] Failed login notification for ${email}`,
+            errorLabel: 'failed login notification'
+        });
     }
 
     /**
-     * Generate HTML template for phone update notification
-     * @param {string} userName - User's name
-     * @param {string} newPhone - New phone number
-     * @returns {string} HTML template
+     * Send a saved search alert email with newly matched listings
+     * @param {string} email - Recipient email address
+     * @param {string} userName - User's name for personalization
+     * @param {object} alert - { searchName, listingType, matches: [{ property, reason }], more, moreUrl } -
+     *   more is the number of matches left out, listed at moreUrl
+     * @param {object} options - { locale, holdFor }
+     * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
      */
-    generatePhoneUpdateTemplate(userName, newPhone) {
-        return `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="utf-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Phone Number Updated</title>
-            <style>
-                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                .header { background-color: #f8f9fa; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
-                .content { background-color: #ffffff; padding: 30px; border: 1px solid #e9ecef; }
-                .footer { background-color: #f8f9fa; padding: 15px; text-align: center; 
-                         border-radius: 0 0 8px 8px; font-size: 12px; color: #6c757d; }
-                .alert { background-color: #d4edda; border: 1px solid #c3e6cb; color: #155724; 
-                        padding: 15px; border-radius: 4px; margin: 15px 0; }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <div class="header">
-                    <h1>Phone Number Updated</h1>
-                </div>
-                <div class="content">
-                    <p>Hello ${userName},</p>
-                    
-                    <div class="alert">
-                        <strong>Security Notice:</strong> Your phone number has been successfully updated.
-                    </div>
-                    
-                    <p>This email confirms that your phone number was updated on ${new Date().toLocaleString()}.</p>
-                    
-                    ${newPhone ? `<p><strong>New phone number:</strong> ${newPhone}</p>` : ''}
-                    
-                    <p><strong>If you made this change:</strong></p>
-                    <p>No further action is required. Your account is secure.</p>
-                    
-                    <p><strong>If you did NOT make this change:</strong></p>
-                    <ul>
-                        <li>Contact our support team immediately</li>
-                        <li>Review your account for any unauthorized activity</li>
-                        <li>Consider changing your password</li>
-                    </ul>
-                    
-                    <p>Best regards,<br>The Property Rental Team</p>
-                </div>
-                <div class="footer">
-                    <p>This is an automated security notification. Please do not reply to this email.</p>
-                </div>
-            </div>
-        </body>
-        </html>
-        `;
+    async sendSavedSearchAlert(email, userName = 'User', alert, { locale, holdFor } = {}) {
+        return this.sendTemplateEmail(email, 'saved-search-alert', {
+            userName,
+            digest: false,
+            searchName: alert.searchName,
+            total: alert.matches.length + (alert.more || 0),
+            sections: [this.describeSavedSearch(alert)]
+        }, {
+            locale,
+            holdFor,
+            testModeLog: `[EMAIL SERVICE - TEST MODE] Saved search alert "${alert.searchName}" (${alert.matches.length} matches) for ${email}`,
+            errorLabel: 'saved search alert'
+        });
     }
 
     /**
-     * Generate plain text version for phone update notification
-     * @param {string} userName - User's name
-     * @param {string} newPhone - New phone number
-     * @returns {string} Plain text content
+     * Send the daily digest email covering all of a user's saved searches
+     * @param {string} email - Recipient email address
+     * @param {string} userName - User's name for personalization
+     * @param {Array<object>} sections - [{ searchName, listingType, matches: [{ property, reason }], more, moreUrl }]
+     * @param {object} options - { locale, holdFor }
+     * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
      */
-    generatePhoneUpdateText(userName, newPhone) {
-        return `
-Hello ${userName},
-
-SECURITY NOTICE: Your phone number has been successfully updated.
-
-This email confirms that your phone number was updated on ${new Date().toLocaleString()}.
-
-${newPhone ? `New phone number: ${newPhone}` : ''}
-
-If you made this change:
-No further action is required. Your account is secure.
-
-If you did NOT make this change:
-- Contact our support team immediately
-- Review your account for any unauthorized activity
-- Consider changing your password
-
-Best regards,
-The Property Rental Team
-
-This is an automated security notification. Please do not reply to this email.
-        `.trim();
+    async sendSavedSearchDigest(email, userName = 'User', sections, { locale, holdFor } = {}) {
+        const total = sections.reduce((sum, section) => sum + section.matches.length + (section.more || 0), 0);
+
+        return this.sendTemplateEmail(email, 'saved-search-alert', {
+            userName,
+            digest: true,
+            searchName: sections[0]?.searchName,
+            total,
+            sections: sections.map(section => this.describeSavedSearch(section))
+        }, {
+            locale,
+            holdFor,
+            testModeLog: `[EMAIL SERVICE - TEST MODE] Saved search digest (${sections.length} searches, ${total} matches) for ${email}`,
+            errorLabel: 'saved search digest'
+        });
     }
 
     /**
-     * Generate HTML template for new device login notification
-     * @param {string} userName - User's name
-     * @param {object} context - Login context
-     * @returns {string} HTML template
+     * Template data for one saved search in alert and digest emails
+     * @param {object} section - { searchName, matches: [{ property, reason }], more, moreUrl }
+     * @returns {{searchName: string, matches: Array<object>, more: number, moreUrl: string}}
      */
-    generateNewDeviceLoginTemplate(userName, context) {
-        const { device, location, ipAddress, timestamp } = context;
+    describeSavedSearch({ searchName, matches, more = 0, moreUrl = '' }) {
+        const siteUrl = process.env.SITE_URL || 'https://renters.com';
 
-        return `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="utf-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>New Device Login</title>
-            <style>
-                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                .header { background-color: #f8f9fa; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
-                .content { background-color: #ffffff; padding: 30px; border: 1px solid #e9ecef; }
-                .footer { background-color: #f8f9fa; padding: 15px; text-align: center; 
-                         border-radius: 0 0 8px 8px; font-size: 12px; color: #6c757d; }
-                .alert { background-color: #fff3cd; border: 1px solid #ffeaa7; color: #856404; 
-                        padding: 15px; border-radius: 4px; margin: 15px 0; }
-                .details { background-color: #f8f9fa; padding: 15px; border-radius: 4px; margin: 15px 0; }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <div class="header">
-                    <h1>New Device Login Detected</h1>
-                </div>
-                <div class="content">
-                    <p>Hello ${userName},</p>
-                    
-                    <div class="alert">
-                        <strong>Security Alert:</strong> We detected a login from a new device.
-                    </div>
-                    
-                    <p>A new login to your account was detected with the following details:</p>
-                    
-                    <div class="details">
-                        <p><strong>Time:</strong> ${timestamp || new Date().toLocaleString()}</p>
-                        ${device ? `<p><strong>Device:</strong> ${device}</p>` : ''}
-                        ${location ? `<p><strong>Location:</strong> ${location}</p>` : ''}
-                        ${ipAddress ? `<p><strong>IP Address:</strong> ${ipAddress}</p>` : ''}
-                    </div>
-                    
-                    <p><strong>If this was you:</strong></p>
-                    <p>No further action is required. Your account is secure.</p>
-                    
-                    <p><strong>If this was NOT you:</strong></p>
-                    <ul>
-                        <li>Change your password immediately</li>
-                        <li>Review your account for any unauthorized activity</li>
-                        <li>Contact our support team</li>
-                        <li>Consider enabling additional security measures</li>
-                    </ul>
-                    
-                    <p>Best regards,<br>The Property Rental Team</p>
-                </div>
-                <div class="footer">
-                    <p>This is an automated security alert. Please do not reply to this email.</p>
-                </div>
-            </div>
-        </body>
-        </html>
-        `;
+        return {
+            searchName,
+            more,
+            moreUrl: `${siteUrl}${moreUrl}`,
+            matches: matches.map(match => ({
+                title: match.property.title,
+                city: match.property.city,
+                propertyType: match.property.propertyType,
+                ...this.describeSavedSearchMatch(match)
+            }))
+        };
     }
 
     /**
-     * Generate plain text version for new device login notification
-     * @param {string} userName - User's name
-     * @param {object} context - Login context
-     * @returns {string} Plain text content
+     * Describe a matched listing's price for saved search emails
+     * @param {object} match - { property, reason }
+     * @returns {{url: string, price: string, previousPrice: string|null}}
      */
-    generateNewDeviceLoginText(userName, context) {
-        const { device, location, ipAddress, timestamp } = context;
-
-        return `
-Hello ${userName},
-
-SECURITY ALERT: We detected a login from a new device.
+    describeSavedSearchMatch({ property, reason }) {
+        const siteUrl = process.env.SITE_URL || 'https://renters.com';
+        const isBuy = property.listingType === 'buy';
+        const amount = isBuy ? property.sellingPrice : property.monthlyRent;
+        const format = (value) => `₹${Number(value).toLocaleString('en-IN')}${isBuy ? '' : '/month'}`;
 
-A new login to your account was detected with the following details:
-
-Time: ${timestamp || new Date().toLocaleString()}
-${device ? `Device: ${device}` : ''}
-${location ? `Location: ${location}` : ''}
-${ipAddress ? `IP Address: ${ipAddress}` : ''}
-
-If this was you:
-No further action is required. Your account is secure.
-
-If this was NOT you:
-- Change your password immediately
-- Review your account for any unauthorized activity
-- Contact our support team
-- Consider enabling additional security measures
-
-Best regards,
-The Property Rental Team
-
-This is an automated security alert. Please do not reply to this email.
-        `.trim();
+        return {
+            url: `${siteUrl}/${isBuy ? 'buy' : 'rent'}/${property.slug}`,
+            price: amount ? format(amount) : 'Price on request',
+            previousPrice: reason === 'price_drop' && property.previousPrice ? format(property.previousPrice) : null
+        };
     }
 
     /**
-     * Generate HTML template for failed login notification
-     * @param {string} userName - User's name
-     * @param {object} context - Failed login context
-     * @returns {string} HTML template
+     * Send one email covering a user's due in-app notifications
+     * @param {string} email - Recipient email address
+     * @param {string} userName - User's name for personalization
+     * @param {Array<object>} notifications - Notification documents: [{ type, title, message, data, createdAt }]
+     * @param {object} options - { more, locale } - more is the number of due notifications left out of the email
+     * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
      */
-    generateFailedLoginTemplate(userName, context) {
-        const { attempts, lastAttempt, ipAddress, location } = context;
-
-        return `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="utf-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Failed Login Attempts</title>
-            <style>
-                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                .header { background-color: #f8f9fa; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
-                .content { background-color: #ffffff; padding: 30px; border: 1px solid #e9ecef; }
-                .footer { background-color: #f8f9fa; padding: 15px; text-align: center; 
-                         border-radius: 0 0 8px 8px; font-size: 12px; color: #6c757d; }
-                .alert { background-color: #f8d7da; border: 1px solid #f5c6cb; color: #721c24; 
-                        padding: 15px; border-radius: 4px; margin: 15px 0; }
-                .details { background-color: #f8f9fa; padding: 15px; border-radius: 4px; margin: 15px 0; }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <div class="header">
-                    <h1>Failed Login Attempts Detected</h1>
-                </div>
-                <div class="content">
-                    <p>Hello ${userName},</p>
-                    
-                    <div class="alert">
-                        <strong>Security Alert:</strong> Multiple failed login attempts detected on your account.
-                    </div>
-                    
-                    <p>We detected ${attempts || 'multiple'} failed login attempts on your account:</p>
-                    
-                    <div class="details">
-                        <p><strong>Last attempt:</strong> ${lastAttempt || new Date().toLocaleString()}</p>
-                        ${ipAddress ? `<p><strong>IP Address:</strong> ${ipAddress}</p>` : ''}
-                        ${location ? `<p><strong>Location:</strong> ${location}</p>` : ''}
-                    </div>
-                    
-                    <p><strong>If these attempts were made by you:</strong></p>
-                    <p>Please ensure you're using the correct password. If you've forgotten your password, you can reset it.</p>
-                    
-                    <p><strong>If these attempts were NOT made by you:</strong></p>
-                    <ul>
-                        <li>Change your password immediately</li>
-                        <li>Review your account for any unauthorized activity</li>
-                        <li>Contact our support team</li>
-                        <li>Consider enabling additional security measures</li>
-                    </ul>
-                    
-                    <p>Your account remains secure, but we recommend taking action if these attempts were unauthorized.</p>
-                    
-                    <p>Best regards,<br>The Property Rental Team</p>
-                </div>
-                <div class="footer">
-                    <p>This is an automated security alert. Please do not reply to this email.</p>
-                </div>
-            </div>
-        </body>
-        </html>
-        `;
+    async sendNotificationDigest(email, userName = 'User', notifications, { more = 0, locale } = {}) {
+        const total = notifications.length + more;
+
+        return this.sendTemplateEmail(email, 'notification-digest', {
+            userName,
+            total,
+            firstTitle: notifications[0]?.title,
+            notifications: notifications.map(notification => ({
+                title: notification.title,
+                message: notification.message,
+                url: this.getNotificationUrl(notification),
+                createdAt: notification.createdAt
+            })),
+            more
+        }, {
+            locale,
+            testModeLog: `[EMAIL SERVICE - TEST MODE] Notification digest (${total} notifications) for ${email}`,
+            errorLabel: 'notification digest'
+        });
     }
 
     /**
-     * Generate plain text version for failed login notification
-     * @param {string} userName - User's name
-     * @param {object} context - Failed login context
-     * @returns {string} Plain text content
+     * Link to the page a notification is about
+     * @param {object} notification - { type, data }
+     * @returns {string} Absolute URL
      */
-    generateFailedLoginText(userName, context) {
-        const { attempts, lastAttempt, ipAddress, location } = context;
-
-        return `
-Hello ${userName},
-
-SECURITY ALERT: Multiple failed login attempts detected on your account.
+    getNotificationUrl({ type, data = {} }) {
+        const siteUrl = process.env.SITE_URL || 'https://renters.com';
 
-We detected ${attempts || 'multiple'} failed login attempts on your account:
-
-Last attempt: ${lastAttempt || new Date().toLocaleString()}
-${ipAddress ? `IP Address: ${ipAddress}` : ''}
-${location ? `Location: ${location}` : ''}
-
-If these attempts were made by you:
-Please ensure you're using the correct password. If you've forgotten your password, you can reset it.
-
-If these attempts were NOT made by you:
-- Change your password immediately
-- Review your account for any unauthorized activity
-- Contact our support team
-- Consider enabling additional security measures
-
-Your account remains secure, but we recommend taking action if these attempts were unauthorized.
+        if (type === 'message' && data.conversationId) {
+            return `${siteUrl}/messages?conversation=${data.conversationId}`;
+        }
+        if ((type === 'property' || type === 'favorite') && data.propertyId) {
+            return `${siteUrl}/properties/${data.propertyId}`;
+        }
+        if (type === 'viewing' || type === 'application') {
+            return `${siteUrl}/dashboard`;
+        }
+        return `${siteUrl}/notifications`;
+    }
 
-Best regards,
-The Property Rental Team
+    /**
+     * Send a viewing appointment email with an .ics calendar attachment
+     * @param {string} email - Recipient email address
+     * @param {string} userName - User's name for personalization
+     * @param {object} viewing - { action, property, startsAt, endsAt, previousStartsAt, counterpartName, note, reason, calendar }
+     *   action is "booked", "rescheduled" or "cancelled"; calendar is { method, content } from buildCalendarEvent
+     * @param {object} options - { locale, holdFor }
+     * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
+     */
+    async sendViewingNotification(email, userName = 'User', viewing, { locale, holdFor } = {}) {
+        const mailOptions = {};
+        if (viewing.calendar) {
+            mailOptions.icalEvent = {
+                filename: 'viewing.ics',
+                method: viewing.calendar.method,
+                content: viewing.calendar.content
+            };
+        }
 
-This is an automated security alert. Please do not reply to this email.
-        `.trim();
+        return this.sendTemplateEmail(email, 'viewing-update', {
+            userName,
+            action: viewing.action,
+            propertyTitle: viewing.property.title,
+            counterpartName: viewing.counterpartName,
+            startsAt: viewing.startsAt,
+            endsAt: viewing.endsAt,
+            previousStartsAt: viewing.previousStartsAt,
+            address: [viewing.property.address, viewing.property.city].filter(Boolean).join(', '),
+            note: viewing.note,
+            reason: viewing.reason
+        }, {
+            locale,
+            holdFor,
+            timezone: process.env.VIEWING_TIMEZONE || 'Asia/Kolkata',
+            testModeLog: `[EMAIL SERVICE - TEST MODE] Viewing ${viewing.action} email for "${viewing.property.title}" to ${email}`,
+            errorLabel: 'viewing notification',
+            mailOptions
+        });
     }
 
     /**
@@ -6,6 +6,8 @@
 import { Property } from "../../models/Property.js";
 import { User } from "../../models/User.js";
 import { Notification } from "../../models/Notification.js";
+import { invalidatePropertyCache } from "../utils/cache.js";
+import notificationTemplateService from "./notificationTemplateService.js";
 
 // Configuration
 const LISTING_DURATION_DAYS = 30; // Default listing duration
@@ -57,6 +59,9 @@ export async function processExpiredListings() {
             }
         );
 
+        // Expired listings drop out of search results
+        await invalidatePropertyCache(expiredListings.map(listing => listing._id), { searches: false });
+
         // Create notifications for owners
         const notifications = expiredListings.map(listing => ({
             userId: listing.ownerId,
@@ -121,14 +126,30 @@ export async function sendExpirationWarnings() {
 
         console.log(`[Lifecycle] Sending warnings for ${expiringListings.length} expiring listings`);
 
-        // Create notifications
-        const notifications = expiringListings.map(listing => {
-            const daysLeft = Math.ceil((listing.expiresAt - now) / (1000 * 60 * 60 * 24));
-            return {
+        // Create notifications in each owner's language
+        const owners = await User.find({ _id: { $in: expiringListings.map(l => l.ownerId) } })
+            .select("_id locale")
+            .lean();
+        const ownerLocales = new Map(owners.map(owner => [owner._id.toString(), owner.locale]));
+
+        const rendered = await Promise.all(expiringListings.map(listing =>
+            notificationTemplateService.render("listing-expiring", {
+                propertyTitle: listing.title,
+                daysLeft: Math.ceil((listing.expiresAt - now) / (1000 * 60 * 60 * 24))
+            }, { locale: ownerLocales.get(listing.ownerId?.toString()) })
+        ));
+
+        const notifications = expiringListings.flatMap((listing, index) => {
+            const message = rendered[index];
+            if (!message.success) {
+                console.error(`[Lifecycle] Could not render expiration warning for ${listing._id}:`, message.error);
+                return [];
+            }
+            return [{
                 userId: listing.ownerId,
                 type: "listing_expiring",
-                title: "Listing Expiring Soon",
-                message: `Your listing "${listing.title}" will expire in ${daysLeft} day(s). Renew it to keep it visible.`,
+                title: message.subject,
+                message: message.text,
                 data: {
                     propertyId: listing._id,
                     expiresAt: listing.expiresAt,
@@ -136,7 +157,7 @@ export async function sendExpirationWarnings() {
                 },
                 read: false,
                 createdAt: now
-            };
+            }];
         });
 
         if (notifications.length > 0) {
@@ -211,6 +232,7 @@ export async function renewListing(propertyId, userId, days = LISTING_DURATION_D
         }
 
         await property.save();
+        await invalidatePropertyCache(property._id);
 
         console.log(`[Lifecycle] Renewed property ${propertyId} until ${newExpiresAt.toISOString()}`);
 
@@ -231,6 +253,47 @@ export async function renewListing(propertyId, userId, days = LISTING_DURATION_D
     }
 }
 
+/**
+ * Activate or deactivate a listing on behalf of its owner
+ * @param {string} propertyId - Property ID
+ * @param {string} userId - User changing the status (must be owner)
+ * @param {string} status - "active" or "inactive"
+ * @returns {Object} Result with the saved property, or an error code
+ *   (NOT_FOUND, FORBIDDEN, BLOCKED)
+ */
+export async function setListingStatus(propertyId, userId, status) {
+    try {
+        const property = await Property.findOne({
+            _id: propertyId,
+            isDeleted: false
+        });
+
+        if (!property) {
+            return { success: false, code: "NOT_FOUND", error: "The requested property could not be found" };
+        }
+
+        // Verify ownership - compare ObjectIds as strings
+        if (property.ownerId.toString() !== userId.toString()) {
+            return { success: false, code: "FORBIDDEN", error: "You do not have permission to modify this property" };
+        }
+
+        // Blocked listings can only be changed by admins
+        if (property.status === "blocked") {
+            return { success: false, code: "BLOCKED", error: "This property has been blocked and cannot be modified" };
+        }
+
+        property.status = status;
+        await property.save();
+        await invalidatePropertyCache(property._id, { searches: status === "active" });
+
+        return { success: true, property };
+
+    } catch (error) {
+        console.error("[Lifecycle] Error changing listing status:", error);
+        return { success: false, code: "INTERNAL_ERROR", error: error.message };
+    }
+}
+
 /**
  * Get listing lifecycle stats for admin dashboard
  * @returns {Object} Lifecycle statistics
@@ -275,6 +338,7 @@ export default {
     processExpiredListings,
     sendExpirationWarnings,
     renewListing,
+    setListingStatus,
     getLifecycleStats,
     LISTING_DURATION_DAYS,
     WARNING_DAYS_BEFORE_EXPIRY
@@ -1,4 +1,5 @@
 import { Notification } from '../../models/Notification.js';
+import notificationService from './notificationService.js';
 import mongoose from 'mongoose';
 
 /**
@@ -81,8 +82,13 @@ class MessageNotificationService {
                     existingNotification.data.messageId = messageObjectId;
                 }
                 existingNotification.updatedAt = new Date();
+                // Email the new message too, unless the notification is still waiting for its digest
+                if (existingNotification.email?.status !== 'pending') {
+                    existingNotification.email = undefined;
+                }
 
                 await existingNotification.save();
+                this.pushMessageNotification(existingNotification);
 
                 return {
                     success: true,
@@ -110,6 +116,7 @@ class MessageNotificationService {
             });
 
             await notification.save();
+            this.pushMessageNotification(notification);
 
             return {
                 success: true,
@@ -128,6 +135,27 @@ class MessageNotificationService {
     }
 
 
+    /**
+     * Send a message notification to the recipient's devices as a Web Push
+     * notification. Runs in the background so sending a message never waits
+     * on push services. Notifications for the same conversation share a tag,
+     * so a device shows only the latest one.
+     *
+     * @param {object} notification - The saved message notification
+     */
+    pushMessageNotification(notification) {
+        const conversationId = notification.data.conversationId.toString();
+
+        notificationService.sendPushNotification(notification.recipient.toString(), 'messages', {
+            type: 'message',
+            title: notification.title,
+            body: notification.message,
+            url: `/messages?conversation=${conversationId}`,
+            tag: `conversation-${conversationId}`,
+            notificationId: notification._id.toString()
+        }).catch(error => console.error('Error pushing message notification:', error));
+    }
+
     /**
      * Truncate message preview to a reasonable length.
      * 
@@ -0,0 +1,308 @@
+import mongoose from 'mongoose';
+import { MessageReport } from '../../models/MessageReport.js';
+import { User } from '../../models/User.js';
+import { Notification } from '../../models/Notification.js';
+import messageService from './messageService.js';
+import sessionService from './sessionService.js';
+
+/**
+ * MessageReportService handles chat message reports: participants report a
+ * message, admins review the queue and warn or block the reported user.
+ */
+class MessageReportService {
+    /**
+     * Report a message from the other participant of a conversation
+     *
+     * @param {string} messageId - The reported message
+     * @param {string} reporterId - The reporting user
+     * @param {object} report - { reason, details }
+     * @returns {Promise<{success: boolean, report?: object, error?: string, code?: string}>}
+     */
+    async reportMessage(messageId, reporterId, { reason, details = '' }) {
+        try {
+            const { message, error } = await messageService.findParticipantMessage(messageId, reporterId);
+            if (error) return error;
+
+            if (message.sender.toString() === reporterId.toString() || message.type === 'system') {
+                return {
+                    success: false,
+                    error: 'You can only report messages from other users',
+                    code: 'INVALID_REPORT'
+                };
+            }
+
+            const alreadyReported = await MessageReport.exists({ reporter: reporterId, message: message._id });
+            if (alreadyReported) {
+                return {
+                    success: false,
+                    error: 'You have already reported this message',
+                    code: 'ALREADY_REPORTED'
+                };
+            }
+
+            const report = await MessageReport.create({
+                reporter: reporterId,
+                reportedUser: message.sender,
+                conversation: message.conversation,
+                message: message._id,
+                messageSnapshot: {
+                    text: message.text,
+                    type: message.type,
+                    file: message.file?.url ? {
+                        originalName: message.file.originalName,
+                        mimetype: message.file.mimetype,
+                        url: message.file.url
+                    } : undefined,
+                    sentAt: message.createdAt,
+                    editedAt: message.editedAt,
+                    editHistory: message.editHistory
+                },
+                reason,
+                details
+            });
+
+            return {
+                success: true,
+                report: {
+                    _id: report._id,
+                    message: report.message,
+                    reason: report.reason,
+                    status: report.status,
+                    createdAt: report.createdAt
+                }
+            };
+
+        } catch (error) {
+            // Two reports of the same message submitted at once
+            if (error.code === 11000) {
+                return {
+                    success: false,
+                    error: 'You have already reported this message',
+                    code: 'ALREADY_REPORTED'
+                };
+            }
+
+            console.error('Error in reportMessage:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * List reports for the admin review queue
+     *
+     * @param {object} filters - { status, reportedUser, page, limit }
+     * @returns {Promise<{success: boolean, reports?: Array, pagination?: object, summary?: object, error?: string, code?: string}>}
+     */
+    async listReports({ status, reportedUser, page = 1, limit = 20 } = {}) {
+        try {
+            const query = {};
+            if (status) query.status = status;
+            if (reportedUser) query.reportedUser = reportedUser;
+
+            // Pending reports are worked oldest first, resolved ones newest first
+            const sort = status === 'pending' ? { createdAt: 1 } : { createdAt: -1 };
+
+            const [reports, total, statusCounts] = await Promise.all([
+                MessageReport.find(query)
+                    .sort(sort)
+                    .skip((page - 1) * limit)
+                    .limit(limit)
+                    .populate('reporter', 'name email avatar')
+                    .populate('reportedUser', 'name email avatar isBlocked chatWarningCount')
+                    .populate('resolvedBy', 'name')
+                    .lean(),
+                MessageReport.countDocuments(query),
+                MessageReport.aggregate([
+                    { $group: { _id: '$status', count: { $sum: 1 } } }
+                ])
+            ]);
+
+            const summary = { pending: 0, warned: 0, blocked: 0, dismissed: 0 };
+            statusCounts.forEach(({ _id, count }) => {
+                summary[_id] = count;
+            });
+
+            return {
+                success: true,
+                reports,
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    totalPages: Math.ceil(total / limit)
+                },
+                summary
+            };
+
+        } catch (error) {
+            console.error('Error in listReports:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Resolve a pending report.
+     * - warn: notify the reported user and count the warning
+     * - block: block the reported user's account, sign them out and resolve
+     *   their other pending reports
+     * - dismiss: close the report without action
+     *
+     * @param {string} reportId - The report
+     * @param {string} adminId - The resolving admin
+     * @param {object} resolution - { action: 'warn'|'block'|'dismiss', note }
+     * @returns {Promise<{success: boolean, report?: object, previousUser?: object, resolvedReportIds?: Array, revokedSessions?: number, error?: string, code?: string}>}
+     */
+    async resolveReport(reportId, adminId, { action, note = '' }) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(reportId)) {
+                return {
+                    success: false,
+                    error: 'Invalid report ID',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            const report = await MessageReport.findById(reportId);
+            if (!report) {
+                return {
+                    success: false,
+                    error: 'Report not found',
+                    code: 'REPORT_NOT_FOUND'
+                };
+            }
+
+            if (report.status !== 'pending') {
+                return {
+                    success: false,
+                    error: 'Report has already been resolved',
+                    code: 'ALREADY_RESOLVED'
+                };
+            }
+
+            const reportedUser = await User.findById(report.reportedUser)
+                .select('name isBlocked blockedReason chatWarningCount role')
+                .lean();
+            if (!reportedUser) {
+                return {
+                    success: false,
+                    error: 'Reported user not found',
+                    code: 'USER_NOT_FOUND'
+                };
+            }
+
+            if (action === 'block' && reportedUser.role === 'admin') {
+                return {
+                    success: false,
+                    error: 'Admin accounts cannot be blocked from the report queue',
+                    code: 'INVALID_ACTION'
+                };
+            }
+
+            const status = { warn: 'warned', block: 'blocked', dismiss: 'dismissed' }[action];
+            const resolution = {
+                status,
+                resolvedBy: adminId,
+                resolvedAt: new Date(),
+                resolutionNote: note || null
+            };
+
+            // Claim the report before acting on it, so two admins resolving it
+            // at the same time cannot both warn or block the user
+            const resolved = await MessageReport.findOneAndUpdate(
+                { _id: report._id, status: 'pending' },
+                { $set: resolution },
+                { new: true }
+            ).lean();
+            if (!resolved) {
+                return {
+                    success: false,
+                    error: 'Report has already been resolved',
+                    code: 'ALREADY_RESOLVED'
+                };
+            }
+
+            let resolvedReportIds = [report._id];
+            let revokedSessions = 0;
+
+            if (action === 'warn') {
+                await User.updateOne(
+                    { _id: reportedUser._id },
+                    { $inc: { chatWarningCount: 1 }, $set: { lastChatWarningAt: new Date() } }
+                );
+
+                await Notification.create({
+                    recipient: reportedUser._id,
+                    type: 'system',
+                    title: 'Warning about your messages',
+                    message: `A message you sent was reported and reviewed by our moderators. ` +
+                        `Please keep conversations respectful and follow our community guidelines; ` +
+                        `further violations may lead to your account being blocked.` +
+                        `${note ? ` Moderator note: ${note}` : ''}`,
+                    data: {
+                        conversationId: report.conversation,
+                        messageId: report.message
+                    }
+                });
+            }
+
+            if (action === 'block') {
+                if (!reportedUser.isBlocked) {
+                    await User.updateOne(
+                        { _id: reportedUser._id },
+                        {
+                            isBlocked: true,
+                            blockedAt: new Date(),
+                            blockedReason: `Chat violation: ${note || report.reason}`
+                        }
+                    );
+
+                    const revokeResult = await sessionService.revokeAllSessions(reportedUser._id, 'blocked');
+                    revokedSessions = revokeResult.revokedCount || 0;
+                }
+
+                // The account is blocked, so the user's other open reports are settled too
+                const otherPending = await MessageReport.find({
+                    reportedUser: reportedUser._id,
+                    status: 'pending',
+                    _id: { $ne: report._id }
+                }).select('_id').lean();
+
+                if (otherPending.length > 0) {
+                    await MessageReport.updateMany(
+                        { _id: { $in: otherPending.map(r => r._id) }, status: 'pending' },
+                        resolution
+                    );
+                    resolvedReportIds = [...resolvedReportIds, ...otherPending.map(r => r._id)];
+                }
+            }
+
+            return {
+                success: true,
+                report: resolved,
+                previousUser: reportedUser,
+                resolvedReportIds,
+                revokedSessions
+            };
+
+        } catch (error) {
+            console.error('Error in resolveReport:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+}
+
+// Create and export a singleton instance
+const messageReportService = new MessageReportService();
+export default messageReportService;
@@ -0,0 +1,307 @@
+import { SystemSettings } from '../../models/SystemSettings.js';
+import cache from '../utils/cache.js';
+
+/**
+ * MessageScanService looks for contact details, payment details and known
+ * scam phrases in chat messages, so that deals are not taken off the
+ * platform and tenants are warned about advance-deposit fraud.
+ *
+ * Rules and options live in the `chat_message_scanning` system setting
+ * (type json). Any option left out of the setting falls back to
+ * DEFAULT_SCAN_SETTINGS, so an empty object keeps the defaults.
+ *
+ * A rule is:
+ *   { id, category, type: 'regex'|'phrase', pattern, weight, mask, enabled }
+ * - category: one of SCAN_CATEGORIES
+ * - type: 'regex' patterns are case-insensitive regular expressions,
+ *   'phrase' patterns match the words literally, ignoring case and spacing
+ * - weight: 0-100. A message's risk score is the sum over matched categories
+ *   of the highest matching weight in each, capped at 100, so one phone
+ *   number matched by two phone rules is not counted twice
+ * - mask: hide matched text from the recipient when masking is enabled
+ */
+
+export const CHAT_SCAN_SETTINGS_KEY = 'chat_message_scanning';
+export const SCAN_CATEGORIES = ['phone', 'email', 'payment', 'scam'];
+
+const MASK_LABELS = {
+    phone: '[phone number hidden]',
+    email: '[email hidden]',
+    payment: '[payment details hidden]',
+    scam: '[hidden]'
+};
+
+const MAX_RULES = 200;
+const MAX_PATTERN_LENGTH = 500;
+
+export const DEFAULT_SCAN_RULES = [
+    // Indian mobile numbers, with or without +91/0 and separators
+    { id: 'phone-in-mobile', category: 'phone', type: 'regex', pattern: '(?<![\\d])(?:(?:\\+|00)?91[\\s.-]*|0)?[6-9](?:[\\s.-]*\\d){9}(?![\\d])', weight: 40, mask: true },
+    // Other international numbers written with a country code
+    { id: 'phone-international', category: 'phone', type: 'regex', pattern: '(?<![\\d])(?:\\+|00)[1-9]\\d{0,2}(?:[\\s.-]*\\d){7,12}(?![\\d])', weight: 40, mask: true },
+    { id: 'email', category: 'email', type: 'regex', pattern: '[a-z0-9._%+-]+@[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.[a-z]{2,}', weight: 35, mask: true },
+    // UPI IDs use a bank or app handle instead of a domain
+    { id: 'upi-id', category: 'payment', type: 'regex', pattern: '\\b[a-z0-9._-]{2,64}@(?:ok(?:sbi|axis|icici|hdfcbank)|upi|paytm|ybl|ibl|axl|apl|yapl|ptyes|ptaxis|pthdfc|ptsbi|axisbank|icici|sbi|hdfcbank|kotak|yesbank|barodampay|unionbank|freecharge|jupiteraxis)\\b', weight: 50, mask: true },
+    { id: 'bank-account', category: 'payment', type: 'regex', pattern: '\\b(?:a\\/c|acc(?:ount)?|bank\\s*account)(?:\\s*(?:no|number|num))?[\\s.:#-]*\\d{9,18}\\b', weight: 50, mask: true },
+    { id: 'ifsc-code', category: 'payment', type: 'regex', pattern: '\\b[a-z]{4}0[a-z0-9]{6}\\b', weight: 30, mask: true },
+    { id: 'scam-advance-deposit', category: 'scam', type: 'phrase', pattern: 'advance deposit', weight: 40, mask: false },
+    { id: 'scam-token-amount', category: 'scam', type: 'phrase', pattern: 'token amount', weight: 30, mask: false },
+    { id: 'scam-pay-before-visit', category: 'scam', type: 'regex', pattern: '\\bpay(?:ment)?\\b.{0,30}\\bbefore\\b.{0,20}\\b(?:visit|viewing|seeing)\\b', weight: 50, mask: false },
+    { id: 'scam-out-of-town', category: 'scam', type: 'regex', pattern: "\\b(?:i am|i'm|currently)\\s+(?:abroad|out of (?:town|the country|station)|in the army|posted outside)\\b", weight: 30, mask: false },
+    { id: 'scam-keys-by-courier', category: 'scam', type: 'regex', pattern: '\\b(?:keys?|documents?)\\b.{0,30}\\b(?:courier|post|ship)', weight: 40, mask: false },
+    { id: 'scam-money-transfer', category: 'scam', type: 'regex', pattern: '\\b(?:western union|moneygram|gift cards?|crypto|bitcoin)\\b', weight: 40, mask: false },
+    { id: 'scam-off-platform-chat', category: 'scam', type: 'regex', pattern: '\\b(?:whats\\s?app|telegram|signal)\\b', weight: 15, mask: false },
+    { id: 'scam-payment-app', category: 'scam', type: 'regex', pattern: '\\b(?:google\\s?pay|gpay|phone\\s?pe|paytm|bhim)\\b', weight: 20, mask: false }
+];
+
+export const DEFAULT_SCAN_SETTINGS = {
+    enabled: true,
+    // Hide rules with mask: true from the recipient
+    maskContactInfo: false,
+    // Messages scoring at least this much show the recipient a warning
+    warnThreshold: 30,
+    rules: DEFAULT_SCAN_RULES
+};
+
+const settingsCache = cache.namespace('chat-scan-settings', { ttl: 60 * 1000 });
+const SETTINGS_CACHE_TAG = 'chat-scan-settings';
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+class MessageScanService {
+    constructor() {
+        // Compiled rules for the last seen rules list, keyed by its JSON
+        this.compiled = { key: null, rules: [] };
+    }
+
+    /**
+     * Check a chat_message_scanning setting value before it is saved
+     *
+     * @param {object} value - The setting value
+     * @returns {{valid: boolean, error?: string}}
+     */
+    validateSettings(value) {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            return { valid: false, error: 'Scan settings must be an object' };
+        }
+
+        const { enabled, maskContactInfo, warnThreshold, rules } = value;
+
+        if (enabled !== undefined && typeof enabled !== 'boolean') {
+            return { valid: false, error: 'enabled must be a boolean' };
+        }
+        if (maskContactInfo !== undefined && typeof maskContactInfo !== 'boolean') {
+            return { valid: false, error: 'maskContactInfo must be a boolean' };
+        }
+        if (warnThreshold !== undefined &&
+            (typeof warnThreshold !== 'number' || warnThreshold < 0 || warnThreshold > 100)) {
+            return { valid: false, error: 'warnThreshold must be a number between 0 and 100' };
+        }
+
+        if (rules === undefined) {
+            return { valid: true };
+        }
+        if (!Array.isArray(rules) || rules.length > MAX_RULES) {
+            return { valid: false, error: `rules must be an array of at most ${MAX_RULES} rules` };
+        }
+
+        const ids = new Set();
+        for (const [index, rule] of rules.entries()) {
+            const label = `Rule ${rule?.id || index + 1}`;
+
+            if (typeof rule !== 'object' || rule === null) {
+                return { valid: false, error: `${label} must be an object` };
+            }
+            if (typeof rule.id !== 'string' || !rule.id.trim() || ids.has(rule.id)) {
+                return { valid: false, error: `${label} needs a unique id` };
+            }
+            ids.add(rule.id);
+
+            if (!SCAN_CATEGORIES.includes(rule.category)) {
+                return { valid: false, error: `${label} has an invalid category, expected one of ${SCAN_CATEGORIES.join(', ')}` };
+            }
+            if (!['regex', 'phrase'].includes(rule.type)) {
+                return { valid: false, error: `${label} must have type 'regex' or 'phrase'` };
+            }
+            if (typeof rule.pattern !== 'string' || !rule.pattern.trim() || rule.pattern.length > MAX_PATTERN_LENGTH) {
+                return { valid: false, error: `${label} needs a pattern of at most ${MAX_PATTERN_LENGTH} characters` };
+            }
+            if (typeof rule.weight !== 'number' || rule.weight < 0 || rule.weight > 100) {
+                return { valid: false, error: `${label} needs a weight between 0 and 100` };
+            }
+            if (rule.type === 'regex') {
+                try {
+                    new RegExp(rule.pattern, 'giu');
+                } catch (error) {
+                    return { valid: false, error: `${label} has an invalid pattern: ${error.message}` };
+                }
+            }
+        }
+
+        return { valid: true };
+    }
+
+    /**
+     * Get the effective scan settings: the stored setting over the defaults
+     *
+     * @returns {Promise<object>} { enabled, maskContactInfo, warnThreshold, rules }
+     */
+    async getSettings() {
+        const stored = await settingsCache.wrap(
+            'settings',
+            async () => SystemSettings.getSetting(CHAT_SCAN_SETTINGS_KEY, {}),
+            { tags: [SETTINGS_CACHE_TAG] }
+        );
+
+        return {
+            ...DEFAULT_SCAN_SETTINGS,
+            ...(typeof stored === 'object' && stored !== null ? stored : {})
+        };
+    }
+
+    /**
+     * Drop cached settings on every instance after the setting changes
+     */
+    async invalidateSettings() {
+        return cache.invalidateTags([SETTINGS_CACHE_TAG]);
+    }
+
+    /**
+     * Compile rules into regular expressions, reusing the last compilation
+     * while the rules are unchanged. Rules that do not compile are skipped.
+     *
+     * @param {Array} rules - Rules from the settings
+     * @returns {Array} [{ id, category, weight, mask, regex }]
+     */
+    compileRules(rules) {
+        const key = JSON.stringify(rules);
+        if (this.compiled.key === key) {
+            return this.compiled.rules;
+        }
+
+        const compiled = [];
+        for (const rule of rules) {
+            if (rule.enabled === false) continue;
+
+            try {
+                const source = rule.type === 'phrase'
+                    ? `\\b${rule.pattern.trim().split(/\s+/).map(escapeRegExp).join('\\s+')}\\b`
+                    : rule.pattern;
+
+                compiled.push({
+                    id: rule.id,
+                    category: rule.category,
+                    weight: rule.weight,
+                    mask: Boolean(rule.mask),
+                    regex: new RegExp(source, 'giu')
+                });
+            } catch (error) {
+                console.warn(`[MessageScan] Skipping rule ${rule.id}: ${error.message}`);
+            }
+        }
+
+        this.compiled = { key, rules: compiled };
+        return compiled;
+    }
+
+    /**
+     * Scan the raw (unescaped) text of a message.
+     * Never fails: on error the message is treated as clean, so scanning
+     * cannot stop people from chatting.
+     *
+     * @param {string} text - Message text as typed by the sender
+     * @returns {Promise<{text: string, safety: object|null}>} text with masked
+     *   matches replaced (unchanged when masking is off), and the safety summary
+     *   { riskScore, categories, rules, warning, masked }, or null when no rule matched
+     */
+    async scan(text) {
+        try {
+            if (!text) {
+                return { text, safety: null };
+            }
+
+            const settings = await this.getSettings();
+            if (!settings.enabled) {
+                return { text, safety: null };
+            }
+
+            const matches = [];
+            for (const rule of this.compileRules(settings.rules || [])) {
+                for (const match of text.matchAll(rule.regex)) {
+                    if (!match[0]) continue;
+                    matches.push({ rule, start: match.index, end: match.index + match[0].length });
+                }
+            }
+
+            if (matches.length === 0) {
+                return { text, safety: null };
+            }
+
+            const matchedRules = [...new Map(matches.map(({ rule }) => [rule.id, rule])).values()];
+            const categories = SCAN_CATEGORIES.filter(category =>
+                matchedRules.some(rule => rule.category === category)
+            );
+            const riskScore = Math.min(100, categories.reduce((sum, category) => sum + Math.max(
+                ...matchedRules.filter(rule => rule.category === category).map(rule => rule.weight)
+            ), 0));
+
+            let maskedText = text;
+            let masked = false;
+            if (settings.maskContactInfo) {
+                // Replace from the end so earlier offsets stay valid; overlapping matches are merged
+                const ranges = matches
+                    .filter(({ rule }) => rule.mask)
+                    .sort((a, b) => a.start - b.start)
+                    .reduce((merged, range) => {
+                        const last = merged[merged.length - 1];
+                        if (last && range.start < last.end) {
+                            last.end = Math.max(last.end, range.end);
+                        } else {
+                            merged.push({ ...range });
+                        }
+                        return merged;
+                    }, []);
+
+                for (const { rule, start, end } of ranges.reverse()) {
+                    maskedText = maskedText.slice(0, start) + MASK_LABELS[rule.category] + maskedText.slice(end);
+                }
+                masked = ranges.length > 0;
+            }
+
+            return {
+                text: maskedText,
+                safety: {
+                    riskScore,
+                    categories,
+                    rules: matchedRules.map(rule => rule.id),
+                    warning: riskScore >= settings.warnThreshold,
+                    masked
+                }
+            };
+
+        } catch (error) {
+            console.error('Error in scan:', error);
+            return { text, safety: null };
+        }
+    }
+
+    /**
+     * Update operations that fold a flagged message into its conversation's risk summary.
+     * The conversation keeps the highest message score it has seen.
+     *
+     * @param {object} safety - Safety summary from scan()
+     * @returns {object} MongoDB update
+     */
+    conversationRiskUpdate(safety) {
+        return {
+            $max: { 'risk.score': safety.riskScore },
+            $addToSet: { 'risk.categories': { $each: safety.categories } },
+            $inc: { 'risk.flaggedMessages': 1 },
+            $set: { 'risk.lastFlaggedAt': new Date() }
+        };
+    }
+}
+
+// Create and export a singleton instance
+const messageScanService = new MessageScanService();
+export default messageScanService;
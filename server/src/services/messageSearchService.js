@@ -0,0 +1,279 @@
+import mongoose from 'mongoose';
+import { Conversation } from '../../models/Conversation.js';
+import { Message } from '../../models/Message.js';
+import messageService from './messageService.js';
+
+/**
+ * Maximum number of words used from a search query
+ */
+const MAX_SEARCH_TERMS = 5;
+
+// Characters of context kept before the first match in a snippet, and the snippet length
+const SNIPPET_LEAD = 40;
+const SNIPPET_LENGTH = 160;
+
+// Messages are read newest first in batches, at most SCAN_LIMIT per request;
+// a page that reaches the limit returns a cursor to keep searching older messages
+const SCAN_BATCH_SIZE = 200;
+const SCAN_LIMIT = 2000;
+
+/**
+ * MessageSearchService finds messages and conversations in a user's own
+ * inbox by message text, counterpart name and property title.
+ */
+class MessageSearchService {
+    /**
+     * Split a query into unique lowercase words
+     * @param {string} query - Raw search query
+     * @returns {string[]} Search terms
+     */
+    parseTerms(query) {
+        const words = String(query || '').toLowerCase().split(/\s+/).filter(Boolean);
+        return [...new Set(words)].slice(0, MAX_SEARCH_TERMS);
+    }
+
+    /**
+     * Find every occurrence of the terms in text, merging overlaps
+     * @param {string} text - Text to scan
+     * @param {string[]} terms - Lowercase terms
+     * @returns {Array<{start: number, end: number}>} Sorted ranges, end exclusive
+     */
+    findHighlights(text, terms) {
+        const lower = text.toLowerCase();
+        const ranges = [];
+
+        for (const term of terms) {
+            let index = lower.indexOf(term);
+            while (index !== -1) {
+                ranges.push({ start: index, end: index + term.length });
+                index = lower.indexOf(term, index + term.length);
+            }
+        }
+
+        ranges.sort((a, b) => a.start - b.start);
+        return ranges.reduce((merged, range) => {
+            const last = merged[merged.length - 1];
+            if (last && range.start <= last.end) {
+                last.end = Math.max(last.end, range.end);
+            } else {
+                merged.push({ ...range });
+            }
+            return merged;
+        }, []);
+    }
+
+    /**
+     * Cut a snippet around the first match, with highlight ranges relative to it
+     * @param {string} text - Full text
+     * @param {string[]} terms - Lowercase terms
+     * @returns {{snippet: string, highlights: Array<{start: number, end: number}>}}
+     */
+    buildSnippet(text, terms) {
+        const [first] = this.findHighlights(text, terms);
+
+        let start = 0;
+        if (first && first.start > SNIPPET_LEAD) {
+            start = first.start - SNIPPET_LEAD;
+            // Start on a word boundary when there is one nearby
+            const space = text.indexOf(' ', start);
+            if (space !== -1 && space < first.start) start = space + 1;
+        }
+        const end = Math.min(text.length, start + SNIPPET_LENGTH);
+
+        const prefix = start > 0 ? '…' : '';
+        const snippet = `${prefix}${text.slice(start, end)}${end < text.length ? '…' : ''}`;
+
+        return {
+            snippet,
+            highlights: this.findHighlights(snippet, terms)
+        };
+    }
+
+    /**
+     * Whether every term occurs in the text
+     */
+    matchesAll(text, terms) {
+        const lower = (text || '').toLowerCase();
+        return terms.every(term => lower.includes(term));
+    }
+
+    /**
+     * Read messages of the given conversations newest first, keeping those
+     * whose raw text contains every term. Uses the { conversation, _id } index.
+     *
+     * @param {Array<ObjectId>} conversationIds - Conversations to search
+     * @param {string[]} terms - Lowercase terms
+     * @param {object} options - { before: message ID cursor, limit }
+     * @returns {Promise<{found: Array<object>, scannedTo: string|null}>} Up to limit + 1 matching
+     *   messages with raw text, and the last message read when SCAN_LIMIT stopped the search early
+     */
+    async scanMessages(conversationIds, terms, { before, limit }) {
+        const found = [];
+        let cursor = before ? new mongoose.Types.ObjectId(before) : null;
+        let scanned = 0;
+
+        while (scanned < SCAN_LIMIT) {
+            const query = { conversation: { $in: conversationIds }, isDeleted: false };
+            if (cursor) query._id = { $lt: cursor };
+
+            const batch = await Message.find(query)
+                .sort({ _id: -1 })
+                .limit(SCAN_BATCH_SIZE)
+                .select('conversation sender text type createdAt')
+                .lean();
+
+            for (const message of batch) {
+                const text = messageService.unescapeMessageText(message.text);
+                if (this.matchesAll(text, terms)) {
+                    found.push({ ...message, text });
+                    if (found.length > limit) return { found, scannedTo: null };
+                }
+            }
+
+            if (batch.length < SCAN_BATCH_SIZE) return { found, scannedTo: null };
+
+            scanned += batch.length;
+            cursor = batch[batch.length - 1]._id;
+        }
+
+        return { found, scannedTo: cursor.toString() };
+    }
+
+    /**
+     * Search the user's active conversations.
+     * Message hits are paged newest first by message ID cursor; conversation
+     * hits (counterpart name or property title) are only returned on the first page.
+     * Each page reads at most SCAN_LIMIT messages, so it may hold fewer hits
+     * than the limit and still have a next cursor. Snippets are raw text.
+     * Messages of conversations not yet moved by the message migration are not searched.
+     *
+     * @param {string} userId - The searching user
+     * @param {string} query - Search text
+     * @param {object} options - { before: message ID cursor, limit }
+     * @returns {Promise<{success: boolean, messages?: Array, conversations?: Array, pagination?: object, error?: string, code?: string}>}
+     */
+    async search(userId, query, { before = null, limit = 20 } = {}) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(userId) ||
+                (before && !mongoose.Types.ObjectId.isValid(before))) {
+                return {
+                    success: false,
+                    error: 'Invalid user ID or cursor',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            const terms = this.parseTerms(query);
+            if (terms.length === 0) {
+                return {
+                    success: false,
+                    error: 'Search query is required',
+                    code: 'INVALID_QUERY'
+                };
+            }
+
+            const userObjectId = new mongoose.Types.ObjectId(userId);
+
+            // Conversations the user deleted are inactive and excluded
+            const conversations = await Conversation.find({
+                participants: userObjectId,
+                isActive: true
+            })
+                .select('participants property lastActivityAt')
+                .populate('participants', 'name avatar')
+                .populate('property', 'title')
+                .lean();
+
+            const contextById = new Map(conversations.map(conversation => [
+                conversation._id.toString(),
+                {
+                    counterpart: conversation.participants.find(
+                        p => p?._id && p._id.toString() !== userId.toString()
+                    ) || null,
+                    property: conversation.property || null
+                }
+            ]));
+
+            const { found, scannedTo } = await this.scanMessages(
+                conversations.map(c => c._id),
+                terms,
+                { before, limit }
+            );
+
+            const hasMore = found.length > limit || Boolean(scannedTo);
+            const page = found.slice(0, limit);
+            await Message.populate(page, { path: 'sender', select: 'name avatar' });
+
+            const messageHits = page.map(message => {
+                const conversationId = message.conversation.toString();
+                const context = contextById.get(conversationId);
+                return {
+                    _id: message._id,
+                    conversationId,
+                    messageId: message._id,
+                    anchor: `message-${message._id}`,
+                    sender: message.sender,
+                    type: message.type,
+                    createdAt: message.createdAt,
+                    counterpart: context?.counterpart,
+                    property: context?.property,
+                    ...this.buildSnippet(message.text, terms)
+                };
+            });
+
+            const conversationHits = [];
+            if (!before) {
+                for (const conversation of conversations) {
+                    const { counterpart, property } = contextById.get(conversation._id.toString());
+
+                    let matchedField = null;
+                    let matchedText = '';
+                    if (this.matchesAll(counterpart?.name, terms)) {
+                        matchedField = 'counterpart';
+                        matchedText = counterpart.name;
+                    } else if (this.matchesAll(property?.title, terms)) {
+                        matchedField = 'property';
+                        matchedText = property.title;
+                    }
+
+                    if (matchedField) {
+                        conversationHits.push({
+                            conversationId: conversation._id.toString(),
+                            counterpart,
+                            property,
+                            lastActivityAt: conversation.lastActivityAt,
+                            matchedField,
+                            ...this.buildSnippet(matchedText, terms)
+                        });
+                    }
+                }
+                conversationHits.sort((a, b) => new Date(b.lastActivityAt) - new Date(a.lastActivityAt));
+            }
+
+            return {
+                success: true,
+                messages: messageHits,
+                conversations: conversationHits,
+                pagination: {
+                    limit,
+                    hasMore,
+                    nextBefore: found.length > limit
+                        ? messageHits[messageHits.length - 1]._id.toString()
+                        : scannedTo
+                }
+            };
+
+        } catch (error) {
+            console.error('Error in message search:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+}
+
+// Create and export a singleton instance
+const messageSearchService = new MessageSearchService();
+export default messageSearchService;
@@ -1,6 +1,20 @@
 import { Conversation } from '../../models/Conversation.js';
+import { Message } from '../../models/Message.js';
+import { User } from '../../models/User.js';
+import { Property } from '../../models/Property.js';
+import messageScanService from './messageScanService.js';
+import quickReplyService, { TEMPLATE_PROPERTY_FIELDS } from './quickReplyService.js';
 import mongoose from 'mongoose';
 
+// Senders can edit a message for this long after sending it
+export const MESSAGE_EDIT_WINDOW_MS = 15 * 60 * 1000;
+
+// One emoji, optionally with skin tone, variation selector or ZWJ sequence
+const REACTION_EMOJI_PATTERN = /^(?=.*\p{Extended_Pictographic})[\p{Extended_Pictographic}\p{Emoji_Component}]{1,16}$/u;
+
+// Quoted text kept on replies
+const REPLY_PREVIEW_LENGTH = 200;
+
 /**
  * MessageService handles all messaging operations including
  * conversation management, message sending, and read status tracking.
@@ -37,6 +51,14 @@ class MessageService {
                 };
             }
 
+            if (await this.isBlockedBetween(userId, [recipientId])) {
+                return {
+                    success: false,
+                    error: 'You cannot message this user',
+                    code: 'CONVERSATION_BLOCKED'
+                };
+            }
+
             const userObjectId = new mongoose.Types.ObjectId(userId);
             const recipientObjectId = new mongoose.Types.ObjectId(recipientId);
             const propertyObjectId = new mongoose.Types.ObjectId(propertyId);
@@ -70,7 +92,6 @@ class MessageService {
             const newConversation = new Conversation({
                 participants: sortedParticipants,
                 property: propertyObjectId,
-                messages: [],
                 lastActivityAt: new Date(),
                 unreadCount: new Map([
                     [userObjectId.toString(), 0],
@@ -81,6 +102,9 @@ class MessageService {
 
             await newConversation.save();
 
+            // Greet the inquirer with the property owner's auto-response, if they set one
+            await this.sendAutoResponse(newConversation, userId);
+
             // Populate the newly created conversation
             conversation = await Conversation.findById(newConversation._id)
                 .populate('participants', 'name email avatar phone')
@@ -153,6 +177,25 @@ class MessageService {
             .replace(/\//g, '&#x2F;');
     }
 
+    /**
+     * Undo sanitizeMessageText, for working with the text as it was typed
+     * @param {string} text - Stored message text
+     * @returns {string} Raw text
+     */
+    unescapeMessageText(text) {
+        if (typeof text !== 'string') {
+            return '';
+        }
+
+        return text
+            .replace(/&#x2F;/g, '/')
+            .replace(/&#x27;/g, "'")
+            .replace(/&quot;/g, '"')
+            .replace(/&gt;/g, '>')
+            .replace(/&lt;/g, '<')
+            .replace(/&amp;/g, '&');
+    }
+
     /**
      * Validate message text - must not be empty or whitespace only.
      * 
@@ -188,9 +231,11 @@ class MessageService {
      * @param {string} senderId - The sender's user ID
      * @param {string} text - The message text (optional if file is provided)
      * @param {object} fileData - Optional file attachment data
-     * @returns {Promise<{success: boolean, message?: object, conversation?: object, error?: string, code?: string}>}
+     * @param {string} replyToId - Optional ID of an earlier message in the conversation to quote
+     * @returns {Promise<{success: boolean, message?: object, conversation?: object, plainText?: string, error?: string, code?: string}>}
+     *   plainText is the stored text before HTML escaping (masked if the scanner masked it), for notification previews
      */
-    async sendMessage(conversationId, senderId, text = '', fileData = null) {
+    async sendMessage(conversationId, senderId, text = '', fileData = null, replyToId = null) {
         try {
             // Validate that either text or file is provided
             const hasText = text && text.trim().length > 0;
@@ -218,10 +263,11 @@ class MessageService {
 
             // Validate ObjectIds
             if (!mongoose.Types.ObjectId.isValid(conversationId) ||
-                !mongoose.Types.ObjectId.isValid(senderId)) {
+                !mongoose.Types.ObjectId.isValid(senderId) ||
+                (replyToId && !mongoose.Types.ObjectId.isValid(replyToId))) {
                 return {
                     success: false,
-                    error: 'Invalid conversation or sender ID',
+                    error: 'Invalid conversation, sender or reply ID',
                     code: 'INVALID_ID'
                 };
             }
@@ -256,8 +302,49 @@ class MessageService {
                 };
             }
 
+            const otherParticipants = conversation.participants.filter(
+                p => p.toString() !== senderId.toString()
+            );
+            if (await this.isBlockedBetween(senderId, otherParticipants)) {
+                return {
+                    success: false,
+                    error: 'You cannot message this user',
+                    code: 'CONVERSATION_BLOCKED'
+                };
+            }
+
+            // The quoted message must be a visible message of the same conversation
+            let replyTo;
+            if (replyToId) {
+                const quoted = await Message.findOne({
+                    _id: replyToId,
+                    conversation: conversation._id,
+                    isDeleted: false
+                }).select('sender text type file.originalName').lean();
+
+                if (!quoted) {
+                    return {
+                        success: false,
+                        error: 'The message you are replying to was not found',
+                        code: 'MESSAGE_NOT_FOUND'
+                    };
+                }
+
+                replyTo = {
+                    message: quoted._id,
+                    sender: quoted.sender,
+                    text: (quoted.text || quoted.file?.originalName || '').substring(0, REPLY_PREVIEW_LENGTH),
+                    type: quoted.type
+                };
+            }
+
+            // Scan the text as typed; masked contact details are replaced before escaping
+            const scan = hasText
+                ? await messageScanService.scan(text.trim())
+                : { text: '', safety: null };
+
             // Sanitize message text for XSS prevention
-            const sanitizedText = hasText ? this.sanitizeMessageText(text.trim()) : '';
+            const sanitizedText = hasText ? this.sanitizeMessageText(scan.text) : '';
 
             // Determine message type
             let messageType = 'text';
@@ -272,6 +359,7 @@ class MessageService {
             // Create the message
             const now = new Date();
             const message = {
+                conversation: conversation._id,
                 sender: senderObjectId,
                 text: sanitizedText,
                 type: messageType,
@@ -281,6 +369,14 @@ class MessageService {
                 updatedAt: now
             };
 
+            if (replyTo) {
+                message.replyTo = replyTo;
+            }
+
+            if (scan.safety) {
+                message.safety = scan.safety;
+            }
+
             // Add file data if present
             if (hasFile) {
                 message.file = {
@@ -297,8 +393,8 @@ class MessageService {
                 }
             }
 
-            // Add message to conversation
-            conversation.messages.push(message);
+            // Store the message in its own collection
+            const savedMessage = await Message.create(message);
 
             // Update lastMessage - create preview text
             let previewText = sanitizedText;
@@ -330,8 +426,12 @@ class MessageService {
 
             await conversation.save();
 
-            // Get the saved message (last one in array)
-            const savedMessage = conversation.messages[conversation.messages.length - 1];
+            if (scan.safety) {
+                await Conversation.updateOne(
+                    { _id: conversation._id },
+                    messageScanService.conversationRiskUpdate(scan.safety)
+                );
+            }
 
             return {
                 success: true,
@@ -341,7 +441,8 @@ class MessageService {
                     lastMessage: conversation.lastMessage,
                     lastActivityAt: conversation.lastActivityAt,
                     unreadCount: Object.fromEntries(conversation.unreadCount)
-                }
+                },
+                plainText: scan.text
             };
 
         } catch (error) {
@@ -354,6 +455,138 @@ class MessageService {
         }
     }
 
+    /**
+     * Send the property owner's auto-response into a new conversation started
+     * by someone else. The owner wrote the text, so it is scanned and escaped
+     * like their other messages. Failures are logged and never stop the
+     * conversation from being created.
+     *
+     * @param {object} conversation - The new conversation
+     * @param {string} inquirerId - The user who started it
+     * @returns {Promise<object|null>} The system message, or null if none was sent
+     */
+    async sendAutoResponse(conversation, inquirerId) {
+        try {
+            const property = await Property.findById(conversation.property)
+                .select(`ownerId ${TEMPLATE_PROPERTY_FIELDS}`)
+                .lean();
+            if (!property?.ownerId || property.ownerId.toString() === inquirerId.toString()) {
+                return null;
+            }
+
+            const isParticipant = conversation.participants.some(
+                p => p.toString() === property.ownerId.toString()
+            );
+            if (!isParticipant) return null;
+
+            const owner = await User.findById(property.ownerId).select('chatAutoResponse').lean();
+            const template = owner?.chatAutoResponse;
+            if (!template?.enabled || !template.text?.trim()) return null;
+
+            const scan = await messageScanService.scan(
+                quickReplyService.renderTemplate(template.text.trim(), property)
+            );
+            const result = await this.sendSystemMessage(
+                conversation._id.toString(),
+                property.ownerId.toString(),
+                this.sanitizeMessageText(scan.text)
+            );
+
+            return result.success ? result.message : null;
+
+        } catch (error) {
+            console.error('Error in sendAutoResponse:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Add a system message (e.g. a booked viewing) to a conversation.
+     * System text is generated by the server, so it skips user message
+     * validation and sanitization but still counts as unread for the
+     * other participants. Conversations a participant deleted are left
+     * alone rather than brought back.
+     *
+     * @param {string} conversationId - The conversation ID
+     * @param {string} actorId - The user whose action produced the message
+     * @param {string} text - The message text
+     * @returns {Promise<{success: boolean, message?: object, error?: string, code?: string}>}
+     */
+    async sendSystemMessage(conversationId, actorId, text) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(conversationId) ||
+                !mongoose.Types.ObjectId.isValid(actorId)) {
+                return {
+                    success: false,
+                    error: 'Invalid conversation or user ID',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            const conversation = await Conversation.findById(conversationId);
+            if (!conversation) {
+                return {
+                    success: false,
+                    error: 'Conversation not found',
+                    code: 'CONVERSATION_NOT_FOUND'
+                };
+            }
+
+            if (!conversation.isActive) {
+                return {
+                    success: false,
+                    error: 'Conversation has been deleted',
+                    code: 'CONVERSATION_INACTIVE'
+                };
+            }
+
+            const now = new Date();
+            const actorObjectId = new mongoose.Types.ObjectId(actorId);
+
+            const message = await Message.create({
+                conversation: conversation._id,
+                sender: actorObjectId,
+                text,
+                type: 'system',
+                read: false,
+                isDeleted: false,
+                createdAt: now,
+                updatedAt: now
+            });
+
+            conversation.lastMessage = {
+                sender: actorObjectId,
+                text: text.substring(0, 100),
+                createdAt: now
+            };
+            conversation.lastActivityAt = now;
+
+            const unreadCount = conversation.unreadCount || new Map();
+            for (const participantId of conversation.participants) {
+                const participantIdStr = participantId.toString();
+                if (participantIdStr !== actorId.toString()) {
+                    unreadCount.set(participantIdStr, (unreadCount.get(participantIdStr) || 0) + 1);
+                }
+            }
+            conversation.unreadCount = unreadCount;
+
+            await conversation.save();
+
+            return {
+                success: true,
+                message
+            };
+
+        } catch (error) {
+            console.error('Error in sendSystemMessage:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
     /**
      * Get the recipient ID from a conversation for a given sender.
      * 
@@ -374,17 +607,21 @@ class MessageService {
     }
 
     /**
-     * Get messages for a conversation with pagination and ordering.
-     * Messages are sorted by createdAt ascending (chronological order).
+     * Get a page of messages for a conversation using _id cursors.
+     * Without a cursor the newest messages are returned. `before` pages back
+     * through older messages and `after` fetches messages newer than one the
+     * client already has. Each page is sorted chronologically (oldest first).
      * Soft-deleted messages are excluded from the response.
      * 
      * @param {string} conversationId - The conversation ID
      * @param {string} userId - The requesting user's ID (must be a participant)
-     * @param {number} page - Page number (1-based, default: 1)
-     * @param {number} limit - Number of messages per page (default: 50)
+     * @param {object} options - Cursor options
+     * @param {string} options.before - Return messages older than this message ID
+     * @param {string} options.after - Return messages newer than this message ID
+     * @param {number} options.limit - Number of messages per page (default: 50)
      * @returns {Promise<{success: boolean, messages?: array, pagination?: object, error?: string, code?: string}>}
      */
-    async getMessages(conversationId, userId, page = 1, limit = 50) {
+    async getMessages(conversationId, userId, { before = null, after = null, limit = 50 } = {}) {
         try {
             // Validate ObjectIds
             if (!mongoose.Types.ObjectId.isValid(conversationId) ||
@@ -396,13 +633,22 @@ class MessageService {
                 };
             }
 
+            if ((before && !mongoose.Types.ObjectId.isValid(before)) ||
+                (after && !mongoose.Types.ObjectId.isValid(after))) {
+                return {
+                    success: false,
+                    error: 'Invalid message cursor',
+                    code: 'INVALID_ID'
+                };
+            }
+
             const conversationObjectId = new mongoose.Types.ObjectId(conversationId);
 
             // Find the conversation
             const conversation = await Conversation.findOne({
                 _id: conversationObjectId,
                 isActive: true
-            }).populate('messages.sender', 'name email avatar');
+            }).select('participants');
 
             if (!conversation) {
                 return {
@@ -425,30 +671,37 @@ class MessageService {
                 };
             }
 
-            // Filter out soft-deleted messages and sort by createdAt ascending
-            const allMessages = conversation.messages
-                .filter(msg => !msg.isDeleted)
-                .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+            await Message.moveEmbeddedMessages(conversationObjectId);
 
-            // Calculate pagination
-            const totalMessages = allMessages.length;
-            const totalPages = Math.ceil(totalMessages / limit);
-            const currentPage = Math.max(1, Math.min(page, totalPages || 1));
-            const skip = (currentPage - 1) * limit;
+            const query = { conversation: conversationObjectId, isDeleted: false };
+            if (before) query._id = { $lt: new mongoose.Types.ObjectId(before) };
+            if (after) query._id = { ...query._id, $gt: new mongoose.Types.ObjectId(after) };
+
+            // Fetch one extra message to know whether another page exists.
+            // `after` pages forward from the cursor; everything else pages back from the newest.
+            const forward = Boolean(after) && !before;
+            const page = await Message.find(query)
+                .sort({ _id: forward ? 1 : -1 })
+                .limit(limit + 1)
+                .populate('sender', 'name email avatar');
+
+            const hasMore = page.length > limit;
+            const messages = page.slice(0, limit);
+            if (!forward) messages.reverse();
 
-            // Get paginated messages
-            const messages = allMessages.slice(skip, skip + limit);
+            const oldestId = messages[0]?._id.toString() || null;
+            const newestId = messages[messages.length - 1]?._id.toString() || null;
 
             return {
                 success: true,
                 messages,
                 pagination: {
-                    currentPage,
-                    totalPages,
-                    totalMessages,
                     limit,
-                    hasNextPage: currentPage < totalPages,
-                    hasPrevPage: currentPage > 1
+                    // Pass oldestId as `before` / newestId as `after` to load the next page
+                    oldestId,
+                    newestId,
+                    hasOlder: forward || hasMore,
+                    hasNewer: forward ? hasMore : Boolean(before)
                 }
             };
 
@@ -548,6 +801,304 @@ class MessageService {
         }
     }
 
+    /**
+     * Find a message by ID, moving it out of its conversation document first
+     * if that conversation has not been migrated yet.
+     *
+     * @param {string} messageId - The message ID
+     * @returns {Promise<object|null>} Message document or null
+     */
+    async findMessage(messageId) {
+        const messageObjectId = new mongoose.Types.ObjectId(messageId);
+
+        let message = await Message.findById(messageObjectId);
+
+        if (!message) {
+            // Uses the sparse messages._id index on conversations
+            const embeddedIn = await Conversation.collection.findOne(
+                { 'messages._id': messageObjectId },
+                { projection: { _id: 1 } }
+            );
+            if (embeddedIn) {
+                await Message.moveEmbeddedMessages(embeddedIn._id);
+                message = await Message.findById(messageObjectId);
+            }
+        }
+
+        return message;
+    }
+
+    /**
+     * Find a visible message in an active conversation the user participates in.
+     *
+     * @param {string} messageId - The message ID
+     * @param {string} userId - The user acting on the message
+     * @returns {Promise<{message?: object, error?: object}>} The message, or a failure result to return
+     */
+    async findParticipantMessage(messageId, userId) {
+        if (!mongoose.Types.ObjectId.isValid(messageId) ||
+            !mongoose.Types.ObjectId.isValid(userId)) {
+            return {
+                error: { success: false, error: 'Invalid message or user ID', code: 'INVALID_ID' }
+            };
+        }
+
+        const message = await this.findMessage(messageId);
+        if (!message || message.isDeleted) {
+            return {
+                error: { success: false, error: 'Message not found', code: 'MESSAGE_NOT_FOUND' }
+            };
+        }
+
+        const conversation = await Conversation.findOne({
+            _id: message.conversation,
+            isActive: true
+        }).select('participants');
+
+        if (!conversation) {
+            return {
+                error: { success: false, error: 'Message not found', code: 'MESSAGE_NOT_FOUND' }
+            };
+        }
+
+        const isParticipant = conversation.participants.some(
+            p => p.toString() === userId.toString()
+        );
+
+        if (!isParticipant) {
+            return {
+                error: {
+                    success: false,
+                    error: 'User is not a participant in this conversation',
+                    code: 'UNAUTHORIZED_ACCESS'
+                }
+            };
+        }
+
+        return { message };
+    }
+
+    /**
+     * Edit the text of one of the user's own messages within MESSAGE_EDIT_WINDOW_MS
+     * of sending it. The replaced text is appended to editHistory.
+     *
+     * @param {string} messageId - The message ID to edit
+     * @param {string} userId - The user editing the message
+     * @param {string} text - The new message text
+     * @returns {Promise<{success: boolean, message?: object, error?: string, code?: string}>}
+     */
+    async editMessage(messageId, userId, text) {
+        try {
+            const validation = this.validateMessageText(text);
+            if (!validation.valid) {
+                return {
+                    success: false,
+                    error: validation.error,
+                    code: 'EMPTY_MESSAGE'
+                };
+            }
+
+            const { message, error } = await this.findParticipantMessage(messageId, userId);
+            if (error) return error;
+
+            if (message.sender.toString() !== userId.toString() || message.type === 'system') {
+                return {
+                    success: false,
+                    error: 'You can only edit your own messages',
+                    code: 'UNAUTHORIZED_ACCESS'
+                };
+            }
+
+            if (Date.now() - message.createdAt.getTime() > MESSAGE_EDIT_WINDOW_MS) {
+                return {
+                    success: false,
+                    error: `Messages can only be edited within ${MESSAGE_EDIT_WINDOW_MS / 60000} minutes of sending`,
+                    code: 'EDIT_WINDOW_EXPIRED'
+                };
+            }
+
+            const scan = await messageScanService.scan(text.trim());
+            const sanitizedText = this.sanitizeMessageText(scan.text);
+
+            if (sanitizedText !== message.text) {
+                const now = new Date();
+                message.editHistory.push({ text: message.text, editedAt: now });
+                message.text = sanitizedText;
+                message.editedAt = now;
+                message.safety = scan.safety || undefined;
+                await message.save();
+
+                if (scan.safety) {
+                    await Conversation.updateOne(
+                        { _id: message.conversation },
+                        messageScanService.conversationRiskUpdate(scan.safety)
+                    );
+                }
+
+                // Keep the conversation preview in sync when the latest message was edited
+                let previewText = sanitizedText;
+                if (message.file?.originalName) {
+                    previewText = `📎 ${previewText || message.file.originalName}`;
+                }
+                await Conversation.updateOne(
+                    {
+                        _id: message.conversation,
+                        'lastMessage.sender': message.sender,
+                        'lastMessage.createdAt': message.createdAt
+                    },
+                    { $set: { 'lastMessage.text': previewText.substring(0, 100) } }
+                );
+            }
+
+            return {
+                success: true,
+                message: {
+                    _id: message._id,
+                    conversation: message.conversation,
+                    text: message.text,
+                    editedAt: message.editedAt,
+                    editHistory: message.editHistory,
+                    safety: message.safety
+                }
+            };
+
+        } catch (error) {
+            console.error('Error in editMessage:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Add the user's emoji reaction to a message, or remove it if already present.
+     *
+     * @param {string} messageId - The message ID
+     * @param {string} userId - The reacting user
+     * @param {string} emoji - A single emoji
+     * @returns {Promise<{success: boolean, message?: object, error?: string, code?: string}>}
+     */
+    async toggleReaction(messageId, userId, emoji) {
+        try {
+            if (typeof emoji !== 'string' || !REACTION_EMOJI_PATTERN.test(emoji)) {
+                return {
+                    success: false,
+                    error: 'Reaction must be a single emoji',
+                    code: 'INVALID_REACTION'
+                };
+            }
+
+            const { message, error } = await this.findParticipantMessage(messageId, userId);
+            if (error) return error;
+
+            const userObjectId = new mongoose.Types.ObjectId(userId);
+            const reaction = { user: userObjectId, emoji };
+
+            // Remove the reaction if the user already left it, otherwise add it
+            const removed = await Message.updateOne(
+                { _id: message._id, reactions: { $elemMatch: reaction } },
+                { $pull: { reactions: reaction } }
+            );
+            if (removed.modifiedCount === 0) {
+                await Message.updateOne(
+                    { _id: message._id, reactions: { $not: { $elemMatch: reaction } } },
+                    { $push: { reactions: { ...reaction, createdAt: new Date() } } }
+                );
+            }
+
+            const updated = await Message.findById(message._id).select('conversation reactions').lean();
+
+            return {
+                success: true,
+                added: removed.modifiedCount === 0,
+                message: updated
+            };
+
+        } catch (error) {
+            console.error('Error in toggleReaction:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Mark messages from other participants as delivered to the user's client.
+     * Called when a client acknowledges receiving messages.
+     *
+     * @param {string} conversationId - The conversation ID
+     * @param {string} userId - The user whose client received the messages
+     * @param {string[]} messageIds - Received message IDs (all undelivered messages if omitted)
+     * @returns {Promise<{success: boolean, messageIds?: string[], deliveredAt?: Date, error?: string, code?: string}>}
+     */
+    async markAsDelivered(conversationId, userId, messageIds = null) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(conversationId) ||
+                !mongoose.Types.ObjectId.isValid(userId) ||
+                (messageIds && !messageIds.every(id => mongoose.Types.ObjectId.isValid(id)))) {
+                return {
+                    success: false,
+                    error: 'Invalid conversation, user or message ID',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            const conversationObjectId = new mongoose.Types.ObjectId(conversationId);
+
+            const conversation = await Conversation.exists({
+                _id: conversationObjectId,
+                participants: new mongoose.Types.ObjectId(userId),
+                isActive: true
+            });
+
+            if (!conversation) {
+                return {
+                    success: false,
+                    error: 'Conversation not found',
+                    code: 'CONVERSATION_NOT_FOUND'
+                };
+            }
+
+            const query = {
+                conversation: conversationObjectId,
+                sender: { $ne: new mongoose.Types.ObjectId(userId) },
+                deliveredAt: { $exists: false },
+                isDeleted: false
+            };
+            if (messageIds) {
+                query._id = { $in: messageIds.map(id => new mongoose.Types.ObjectId(id)) };
+            }
+
+            const pending = await Message.find(query).select('_id').limit(500).lean();
+            const deliveredAt = new Date();
+
+            if (pending.length > 0) {
+                await Message.updateMany(
+                    { _id: { $in: pending.map(m => m._id) }, deliveredAt: { $exists: false } },
+                    { $set: { deliveredAt } }
+                );
+            }
+
+            return {
+                success: true,
+                messageIds: pending.map(m => m._id.toString()),
+                deliveredAt
+            };
+
+        } catch (error) {
+            console.error('Error in markAsDelivered:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
     /**
      * Soft delete a message. Only the message owner can delete their own messages.
      * Sets isDeleted=true and deletedAt timestamp while retaining the record.
@@ -568,24 +1119,14 @@ class MessageService {
                 };
             }
 
-            // Find the conversation containing this message
-            const conversation = await Conversation.findOne({
-                'messages._id': new mongoose.Types.ObjectId(messageId),
+            const message = await this.findMessage(messageId);
+
+            const conversation = message && await Conversation.exists({
+                _id: message.conversation,
                 isActive: true
             });
 
-            if (!conversation) {
-                return {
-                    success: false,
-                    error: 'Message not found',
-                    code: 'MESSAGE_NOT_FOUND'
-                };
-            }
-
-            // Find the specific message
-            const message = conversation.messages.id(messageId);
-
-            if (!message) {
+            if (!message || !conversation) {
                 return {
                     success: false,
                     error: 'Message not found',
@@ -616,7 +1157,7 @@ class MessageService {
             message.isDeleted = true;
             message.deletedAt = now;
 
-            await conversation.save();
+            await message.save();
 
             return {
                 success: true,
@@ -734,20 +1275,19 @@ class MessageService {
                 };
             }
 
-            const now = new Date();
-            let markedCount = 0;
-
-            // Mark all unread messages from other users as read
-            for (const message of conversation.messages) {
-                // Only mark messages from other users that are not already read
-                if (message.sender.toString() !== userId.toString() &&
-                    !message.read &&
-                    !message.isDeleted) {
-                    message.read = true;
-                    message.readAt = now;
-                    markedCount++;
-                }
-            }
+            await Message.moveEmbeddedMessages(conversationObjectId);
+
+            // Mark all unread messages from other users as read (seen implies delivered)
+            const readAt = new Date();
+            const { modifiedCount: markedCount } = await Message.updateMany(
+                {
+                    conversation: conversationObjectId,
+                    sender: { $ne: new mongoose.Types.ObjectId(userId) },
+                    read: false,
+                    isDeleted: false
+                },
+                [{ $set: { read: true, readAt, deliveredAt: { $ifNull: ['$deliveredAt', readAt] } } }]
+            );
 
             // Reset unread count for this user to zero
             if (!conversation.unreadCount) {
@@ -760,6 +1300,7 @@ class MessageService {
             return {
                 success: true,
                 markedCount,
+                readAt,
                 unreadCount: 0
             };
 
@@ -842,6 +1383,149 @@ class MessageService {
             };
         }
     }
+
+    /**
+     * Whether the user has blocked, or is blocked by, any of the other users.
+     * Blocking works both ways: neither side can message the other.
+     *
+     * @param {string} userId - The user's ID
+     * @param {Array<string|ObjectId>} otherUserIds - Counterpart IDs
+     * @returns {Promise<boolean>}
+     */
+    async isBlockedBetween(userId, otherUserIds) {
+        if (otherUserIds.length === 0) return false;
+
+        const blocked = await User.exists({
+            $or: [
+                { _id: userId, blockedUsers: { $in: otherUserIds } },
+                { _id: { $in: otherUserIds }, blockedUsers: userId }
+            ]
+        });
+        return Boolean(blocked);
+    }
+
+    /**
+     * Get the users the user has blocked
+     *
+     * @param {string} userId - The user's ID
+     * @returns {Promise<{success: boolean, users?: Array, error?: string, code?: string}>}
+     */
+    async getBlockedUsers(userId) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(userId)) {
+                return {
+                    success: false,
+                    error: 'Invalid user ID',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            const user = await User.findById(userId)
+                .select('blockedUsers')
+                .populate('blockedUsers', 'name avatar')
+                .lean();
+
+            return {
+                success: true,
+                users: user?.blockedUsers || []
+            };
+
+        } catch (error) {
+            console.error('Error in getBlockedUsers:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Add a user to the user's block list
+     *
+     * @param {string} userId - The blocking user's ID
+     * @param {string} blockedUserId - The user to block
+     * @returns {Promise<{success: boolean, error?: string, code?: string}>}
+     */
+    async blockUser(userId, blockedUserId) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(userId) ||
+                !mongoose.Types.ObjectId.isValid(blockedUserId)) {
+                return {
+                    success: false,
+                    error: 'Invalid user ID',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            if (userId.toString() === blockedUserId.toString()) {
+                return {
+                    success: false,
+                    error: 'You cannot block yourself',
+                    code: 'INVALID_RECIPIENT'
+                };
+            }
+
+            const exists = await User.exists({ _id: blockedUserId, isDeleted: { $ne: true } });
+            if (!exists) {
+                return {
+                    success: false,
+                    error: 'User not found',
+                    code: 'USER_NOT_FOUND'
+                };
+            }
+
+            await User.updateOne(
+                { _id: userId },
+                { $addToSet: { blockedUsers: new mongoose.Types.ObjectId(blockedUserId) } }
+            );
+
+            return { success: true };
+
+        } catch (error) {
+            console.error('Error in blockUser:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Remove a user from the user's block list
+     *
+     * @param {string} userId - The blocking user's ID
+     * @param {string} blockedUserId - The user to unblock
+     * @returns {Promise<{success: boolean, error?: string, code?: string}>}
+     */
+    async unblockUser(userId, blockedUserId) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(userId) ||
+                !mongoose.Types.ObjectId.isValid(blockedUserId)) {
+                return {
+                    success: false,
+                    error: 'Invalid user ID',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            await User.updateOne(
+                { _id: userId },
+                { $pull: { blockedUsers: new mongoose.Types.ObjectId(blockedUserId) } }
+            );
+
+            return { success: true };
+
+        } catch (error) {
+            console.error('Error in unblockUser:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
 }
 
 // Create and export a singleton instance
@@ -0,0 +1,404 @@
+import { randomUUID } from 'crypto';
+import { Notification } from '../../models/Notification.js';
+import { User } from '../../models/User.js';
+import { DeliveryPreferences } from '../../models/DeliveryPreferences.js';
+import { NotificationPreferences } from '../../models/NotificationPreferences.js';
+import { NotificationDelivery } from '../../models/NotificationDelivery.js';
+import { HeldDelivery } from '../../models/HeldDelivery.js';
+import emailService from './emailService.js';
+import smsService from './smsService.js';
+
+// Only notifications changed this recently are scheduled, so enabling the
+// scheduler does not email a backlog of old notifications
+const SCHEDULE_LOOKBACK_MS = 24 * 60 * 60 * 1000;
+
+// Notifications scheduled per run
+const SCHEDULE_BATCH_SIZE = 1000;
+
+// Notifications listed in one digest email, the rest are counted
+const MAX_DIGEST_ITEMS = 20;
+
+// Failed digest emails are retried after this delay, up to MAX_SEND_ATTEMPTS times
+const RETRY_DELAY_MS = 15 * 60 * 1000;
+const MAX_SEND_ATTEMPTS = 3;
+
+// Emails and SMS held for quiet hours that are sent per run
+const RELEASE_BATCH_SIZE = 500;
+
+// Notifications and held deliveries claimed by a run that stopped before
+// sending them are sent by a later run after this long
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+// NotificationPreferences.general category that covers each notification type
+const PREFERENCE_CATEGORIES = {
+    message: 'messages',
+    property: 'propertyUpdates',
+    favorite: 'propertyUpdates'
+};
+
+/**
+ * NotificationDigestService emails in-app notifications. Each user chooses
+ * per notification type whether they are emailed immediately or collected
+ * into an hourly or daily digest, and can set quiet hours during which
+ * nothing is sent. Other emails and SMS that arrive during quiet hours are
+ * held (HeldDelivery) and sent from here once they are over.
+ */
+class NotificationDigestService {
+    /**
+     * Delivery preferences for a user, with defaults when none were saved
+     *
+     * @param {string} userId - The user's ID
+     * @returns {Promise<object>} DeliveryPreferences document
+     */
+    async getDeliveryPreferences(userId) {
+        return await DeliveryPreferences.findOne({ userId }) || new DeliveryPreferences({ userId });
+    }
+
+    /**
+     * Whether a notification type may be emailed to a user at all
+     *
+     * @param {string} type - Notification type
+     * @param {object} user - User with email, isActive and isDeleted
+     * @param {object} deliveryPreferences - DeliveryPreferences document
+     * @param {object|null} notificationPreferences - NotificationPreferences, if saved
+     * @returns {boolean}
+     */
+    canEmail(type, user, deliveryPreferences, notificationPreferences) {
+        if (!user?.email || user.isDeleted || user.isActive === false) {
+            return false;
+        }
+        if (deliveryPreferences.getDigestFrequency(type) === 'off') {
+            return false;
+        }
+        if (notificationPreferences?.globalSettings?.emailEnabled === false) {
+            return false;
+        }
+
+        const category = PREFERENCE_CATEGORIES[type];
+        return !category || notificationPreferences?.general?.[category]?.email !== false;
+    }
+
+    /**
+     * Give new notifications an email due time from their recipient's digest
+     * frequency and quiet hours, or mark them skipped when they are not emailed
+     *
+     * @param {Date} now - Current time
+     * @returns {Promise<{success: boolean, scheduled?: number, skipped?: number, error?: string, code?: string}>}
+     */
+    async scheduleNewNotifications(now = new Date()) {
+        try {
+            const notifications = await Notification.find({
+                'email.status': { $exists: false },
+                isDeleted: false,
+                read: false,
+                updatedAt: { $gte: new Date(now.getTime() - SCHEDULE_LOOKBACK_MS) }
+            })
+                .select('recipient type')
+                .limit(SCHEDULE_BATCH_SIZE)
+                .lean();
+
+            if (notifications.length === 0) {
+                return { success: true, scheduled: 0, skipped: 0 };
+            }
+
+            const recipientIds = [...new Set(notifications.map(n => n.recipient.toString()))];
+            const [users, deliveryPreferences, notificationPreferences] = await Promise.all([
+                User.find({ _id: { $in: recipientIds } }).select('email isActive isDeleted').lean(),
+                DeliveryPreferences.find({ userId: { $in: recipientIds } }),
+                NotificationPreferences.find({ userId: { $in: recipientIds } }).lean()
+            ]);
+
+            const usersById = new Map(users.map(u => [u._id.toString(), u]));
+            const deliveryById = new Map(deliveryPreferences.map(p => [p.userId.toString(), p]));
+            const notificationById = new Map(notificationPreferences.map(p => [p.userId.toString(), p]));
+
+            let scheduled = 0;
+            let skipped = 0;
+
+            const operations = notifications.map(notification => {
+                const recipientId = notification.recipient.toString();
+                if (!deliveryById.has(recipientId)) {
+                    deliveryById.set(recipientId, new DeliveryPreferences({ userId: recipientId }));
+                }
+                const preferences = deliveryById.get(recipientId);
+
+                let email;
+                if (this.canEmail(notification.type, usersById.get(recipientId), preferences, notificationById.get(recipientId))) {
+                    const frequency = preferences.getDigestFrequency(notification.type);
+                    email = {
+                        status: 'pending',
+                        frequency,
+                        dueAt: preferences.getNextDigestTime(frequency, now),
+                        attempts: 0
+                    };
+                    scheduled++;
+                } else {
+                    email = { status: 'skipped', attempts: 0 };
+                    skipped++;
+                }
+
+                return {
+                    updateOne: {
+                        // Another run may have scheduled it in the meantime
+                        filter: { _id: notification._id, 'email.status': { $exists: false } },
+                        // Email bookkeeping does not count as a change to the notification
+                        update: { $set: { email } },
+                        timestamps: false
+                    }
+                };
+            });
+
+            await Notification.bulkWrite(operations, { ordered: false });
+
+            return { success: true, scheduled, skipped };
+
+        } catch (error) {
+            console.error('Error in scheduleNewNotifications:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Send one digest email to each user with notifications that are due
+     *
+     * @param {Date} now - Current time
+     * @returns {Promise<{success: boolean, sent?: number, deferred?: number, failed?: number, error?: string, code?: string}>}
+     */
+    async sendDueDigests(now = new Date()) {
+        try {
+            await Notification.updateMany(
+                { 'email.status': 'sending', 'email.claimedAt': { $lte: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } },
+                { $set: { 'email.status': 'pending' } },
+                { timestamps: false }
+            );
+
+            const recipientIds = await Notification.distinct('recipient', {
+                'email.status': 'pending',
+                'email.dueAt': { $lte: now }
+            });
+
+            const results = { success: true, sent: 0, deferred: 0, failed: 0 };
+
+            for (const recipientId of recipientIds) {
+                const result = await this.sendDigestForUser(recipientId, now);
+                if (result.sent) results.sent++;
+                else if (result.deferred) results.deferred++;
+                else if (!result.success) results.failed++;
+            }
+
+            return results;
+
+        } catch (error) {
+            console.error('Error in sendDueDigests:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Email a user their due notifications, unless it is their quiet time.
+     * Notifications read or turned off since they were scheduled are skipped.
+     *
+     * @param {string} userId - The user's ID
+     * @param {Date} now - Current time
+     * @returns {Promise<{success: boolean, sent?: boolean, deferred?: boolean, count?: number, error?: string, code?: string}>}
+     */
+    async sendDigestForUser(userId, now = new Date()) {
+        try {
+            const dueFilter = {
+                recipient: userId,
+                'email.status': 'pending',
+                'email.dueAt': { $lte: now }
+            };
+
+            const deliveryPreferences = await this.getDeliveryPreferences(userId);
+
+            // Quiet hours may have been turned on after these were scheduled
+            if (deliveryPreferences.isQuietTime(now)) {
+                await Notification.updateMany(
+                    dueFilter,
+                    { $set: { 'email.dueAt': deliveryPreferences.deferPastQuietHours(now) } },
+                    { timestamps: false }
+                );
+                return { success: true, deferred: true };
+            }
+
+            // Claim the due notifications first, so a run in another process
+            // cannot email them too
+            const claimId = randomUUID();
+            await Notification.updateMany(
+                dueFilter,
+                { $set: { 'email.status': 'sending', 'email.claimId': claimId, 'email.claimedAt': new Date() } },
+                { timestamps: false }
+            );
+
+            const [notifications, user, notificationPreferences] = await Promise.all([
+                Notification.find({ recipient: userId, 'email.status': 'sending', 'email.claimId': claimId })
+                    .sort({ createdAt: -1 })
+                    .lean(),
+                User.findById(userId).select('name email locale isActive isDeleted').lean(),
+                NotificationPreferences.findOne({ userId }).lean()
+            ]);
+
+            const toSend = notifications.filter(n =>
+                !n.read && !n.isDeleted && this.canEmail(n.type, user, deliveryPreferences, notificationPreferences)
+            );
+            const sendIds = toSend.map(n => n._id);
+            const skipIds = notifications.filter(n => !toSend.includes(n)).map(n => n._id);
+
+            if (skipIds.length > 0) {
+                await Notification.updateMany(
+                    { _id: { $in: skipIds } },
+                    { $set: { 'email.status': 'skipped' } },
+                    { timestamps: false }
+                );
+            }
+
+            if (toSend.length === 0) {
+                return { success: true, sent: false, count: 0 };
+            }
+
+            const result = await emailService.sendNotificationDigest(
+                user.email,
+                user.name,
+                toSend.slice(0, MAX_DIGEST_ITEMS),
+                { more: Math.max(0, toSend.length - MAX_DIGEST_ITEMS), locale: user.locale }
+            );
+
+            if (!result.success) {
+                await this.handleFailedDigest(toSend, now);
+                return {
+                    success: false,
+                    error: result.error,
+                    code: 'EMAIL_SEND_FAILED'
+                };
+            }
+
+            await Notification.updateMany(
+                { _id: { $in: sendIds } },
+                { $set: { 'email.status': 'sent', 'email.sentAt': now }, $inc: { 'email.attempts': 1 } },
+                { timestamps: false }
+            );
+
+            return { success: true, sent: true, count: toSend.length };
+
+        } catch (error) {
+            console.error('Error in sendDigestForUser:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Send the emails and SMS held during their recipients' quiet hours that
+     * are now due. Each one is claimed before it is sent, so overlapping runs
+     * never send it twice.
+     *
+     * @param {Date} now - Current time
+     * @returns {Promise<{success: boolean, sent?: number, failed?: number, error?: string, code?: string}>}
+     */
+    async releaseHeldDeliveries(now = new Date()) {
+        try {
+            const results = { success: true, sent: 0, failed: 0 };
+
+            for (let i = 0; i < RELEASE_BATCH_SIZE; i++) {
+                const delivery = await HeldDelivery.findOneAndUpdate(
+                    {
+                        releaseAt: { $lte: now },
+                        $or: [
+                            { status: 'held' },
+                            { status: 'sending', claimedAt: { $lte: new Date(now.getTime() - CLAIM_TIMEOUT_MS) } }
+                        ]
+                    },
+                    { $set: { status: 'sending', claimedAt: new Date() }, $inc: { attempts: 1 } },
+                    { sort: { releaseAt: 1, createdAt: 1 }, new: true }
+                ).lean();
+
+                if (!delivery) break;
+
+                const { message } = delivery;
+                const result = delivery.channel === 'sms'
+                    ? await smsService.sendSMS(delivery.recipient, message.text, { errorLabel: message.errorLabel })
+                    : await emailService.sendRenderedEmail(delivery.recipient, message, {
+                        errorLabel: message.errorLabel,
+                        mailOptions: message.mailOptions || {}
+                    });
+
+                // Security notifications track the held message under this ID
+                const trackedId = `held-${delivery._id}`;
+
+                if (result.success) {
+                    await HeldDelivery.updateOne({ _id: delivery._id }, { $set: { status: 'sent', sentAt: new Date() } });
+                    await NotificationDelivery.updateDeliveryStatus(trackedId, 'sent', {
+                        externalId: result.messageId || result.messageSid
+                    });
+                    results.sent++;
+                    continue;
+                }
+
+                results.failed++;
+                if (delivery.attempts >= MAX_SEND_ATTEMPTS) {
+                    await HeldDelivery.updateOne({ _id: delivery._id }, { $set: { status: 'failed', error: result.error } });
+                    await NotificationDelivery.updateDeliveryStatus(trackedId, 'failed', {
+                        error: { message: result.error, code: 'HELD_DELIVERY_FAILED' }
+                    });
+                } else {
+                    await HeldDelivery.updateOne({ _id: delivery._id }, {
+                        $set: { status: 'held', releaseAt: new Date(now.getTime() + RETRY_DELAY_MS), error: result.error }
+                    });
+                }
+            }
+
+            return results;
+
+        } catch (error) {
+            console.error('Error in releaseHeldDeliveries:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Retry a failed digest later, giving up on notifications that failed too often
+     *
+     * @param {Array<object>} notifications - Notifications in the failed digest
+     * @param {Date} now - Current time
+     */
+    async handleFailedDigest(notifications, now) {
+        const exhausted = notifications.filter(n => (n.email.attempts || 0) + 1 >= MAX_SEND_ATTEMPTS);
+        const retry = notifications.filter(n => !exhausted.includes(n));
+
+        await Promise.all([
+            Notification.updateMany(
+                { _id: { $in: exhausted.map(n => n._id) } },
+                { $set: { 'email.status': 'skipped' }, $inc: { 'email.attempts': 1 } },
+                { timestamps: false }
+            ),
+            Notification.updateMany(
+                { _id: { $in: retry.map(n => n._id) } },
+                {
+                    $set: { 'email.status': 'pending', 'email.dueAt': new Date(now.getTime() + RETRY_DELAY_MS) },
+                    $inc: { 'email.attempts': 1 }
+                },
+                { timestamps: false }
+            )
+        ]);
+    }
+}
+
+// Create and export a singleton instance
+const notificationDigestService = new NotificationDigestService();
+export default notificationDigestService;
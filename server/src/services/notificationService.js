@@ -2,6 +2,7 @@ import emailService from './emailService.js';
 import smsService from './smsService.js';
 import phoneEmailService from './phoneEmailService.js';
 import enhancedOTPManager from './enhancedOTPManager.js';
+import pushService from './pushService.js';
 import { NotificationPreferences } from '../../models/NotificationPreferences.js';
 import { NotificationDelivery } from '../../models/NotificationDelivery.js';
 import { User } from '../../models/User.js';
@@ -17,6 +18,7 @@ class NotificationService {
         this.smsService = smsService;
         this.phoneEmailService = phoneEmailService;
         this.enhancedOTPManager = enhancedOTPManager;
+        this.pushService = pushService;
     }
 
     /**
@@ -249,10 +251,12 @@ class NotificationService {
             'phone-email': this.phoneEmailService.getStatus(),
             email: this.emailService.getStatus(),
             sms: this.smsService.getStatus(),
+            push: this.pushService.getStatus(),
             ready: {
                 'phone-email': this.phoneEmailService.isReady(),
                 email: this.emailService.isReady(),
-                sms: this.smsService.isReady()
+                sms: this.smsService.isReady(),
+                push: this.pushService.isReady()
             },
             primary: {
                 service: 'phone-email',
@@ -329,7 +333,8 @@ class NotificationService {
                         user.email,
                         eventType,
                         user.name,
-                        context
+                        context,
+                        { locale: user.locale, holdFor: userId }
                     );
 
                     // Track delivery
@@ -338,7 +343,8 @@ class NotificationService {
                         type: eventType,
                         deliveryMethod: 'email',
                         recipient: user.email,
-                        status: emailResult.success ? 'sent' : 'failed',
+                        // Held until the user's quiet hours are over
+                        status: emailResult.held ? 'pending' : emailResult.success ? 'sent' : 'failed',
                         externalId: emailResult.messageId,
                         subject: this.getSecurityEventSubject(eventType),
                         template: `security_${eventType}`,
@@ -371,7 +377,8 @@ class NotificationService {
                         user.phone,
                         eventType,
                         user.name,
-                        context
+                        context,
+                        { locale: user.locale, holdFor: userId }
                     );
 
                     // Track delivery
@@ -380,7 +387,8 @@ class NotificationService {
                         type: eventType,
                         deliveryMethod: 'sms',
                         recipient: user.phone,
-                        status: smsResult.success ? 'sent' : 'failed',
+                        // Held until the user's quiet hours are over
+                        status: smsResult.held ? 'pending' : smsResult.success ? 'sent' : 'failed',
                         externalId: smsResult.messageSid,
                         template: `security_${eventType}_sms`,
                         context,
@@ -426,25 +434,26 @@ class NotificationService {
      * @param {string} eventType - Type of security event
      * @param {string} userName - User's name
      * @param {object} context - Additional context
+     * @param {object} options - { locale, holdFor }
      * @returns {Promise<{success: boolean, messageId?: string, error?: string}>}
      */
-    async sendSecurityEventEmail(email, eventType, userName, context = {}) {
+    async sendSecurityEventEmail(email, eventType, userName, context = {}, options = {}) {
         try {
             switch (eventType) {
                 case 'passwordChange':
-                    return await this.emailService.sendPasswordChangeNotification(email, userName);
+                    return await this.emailService.sendPasswordChangeNotification(email, userName, options);
 
                 case 'phoneUpdate':
-                    return await this.emailService.sendPhoneUpdateNotification(email, userName, context.newPhone);
+                    return await this.emailService.sendPhoneUpdateNotification(email, userName, context.newPhone, options);
 
                 case 'accountDeletion':
-                    return await this.emailService.sendAccountDeletionConfirmation(email, userName);
+                    return await this.emailService.sendAccountDeletionConfirmation(email, userName, options);
 
                 case 'loginFromNewDevice':
-                    return await this.emailService.sendNewDeviceLoginNotification(email, userName, context);
+                    return await this.emailService.sendNewDeviceLoginNotification(email, userName, context, options);
 
                 case 'failedLoginAttempts':
-                    return await this.emailService.sendFailedLoginNotification(email, userName, context);
+                    return await this.emailService.sendFailedLoginNotification(email, userName, context, options);
 
                 default:
                     return {
@@ -466,25 +475,26 @@ class NotificationService {
      * @param {string} eventType - Type of security event
      * @param {string} userName - User's name
      * @param {object} context - Additional context
+     * @param {object} options - { locale, holdFor }
      * @returns {Promise<{success: boolean, messageSid?: string, error?: string}>}
      */
-    async sendSecurityEventSMS(phone, eventType, userName, context = {}) {
+    async sendSecurityEventSMS(phone, eventType, userName, context = {}, options = {}) {
         try {
             switch (eventType) {
                 case 'passwordChange':
-                    return await this.smsService.sendPasswordChangeNotification(phone, userName);
+                    return await this.smsService.sendPasswordChangeNotification(phone, userName, options);
 
                 case 'phoneUpdate':
-                    return await this.smsService.sendPhoneUpdateNotification(phone, userName);
+                    return await this.smsService.sendPhoneUpdateNotification(phone, userName, options);
 
                 case 'accountDeletion':
-                    return await this.smsService.sendAccountDeletionNotification(phone, userName);
+                    return await this.smsService.sendAccountDeletionNotification(phone, userName, options);
 
                 case 'loginFromNewDevice':
-                    return await this.smsService.sendNewDeviceLoginNotification(phone, userName, context);
+                    return await this.smsService.sendNewDeviceLoginNotification(phone, userName, context, options);
 
                 case 'failedLoginAttempts':
-                    return await this.smsService.sendFailedLoginNotification(phone, userName, context);
+                    return await this.smsService.sendFailedLoginNotification(phone, userName, context, options);
 
                 default:
                     return {
@@ -500,6 +510,72 @@ class NotificationService {
         }
     }
 
+    /**
+     * Send a Web Push notification to all of a user's subscribed devices if
+     * their privacy settings and preferences for the category allow it.
+     * Each device's delivery is tracked like email and SMS deliveries.
+     *
+     * @param {string} userId - User ID
+     * @param {string} category - Preference category: 'messages' or 'propertyUpdates'
+     * @param {object} payload - { type, title, body, url, tag }, shown by the service worker
+     * @returns {Promise<{success: boolean, skipped?: boolean, reason?: string, sent?: number, error?: string}>}
+     */
+    async sendPushNotification(userId, category, payload) {
+        try {
+            if (!this.pushService.isReady()) {
+                return { success: false, skipped: true, reason: 'Push notifications are not configured' };
+            }
+
+            const [user, preferences] = await Promise.all([
+                User.findById(userId).select('privacySettings.communications.pushNotifications').lean(),
+                NotificationPreferences.findOne({ userId }).select('general').lean()
+            ]);
+
+            if (!user || user.privacySettings?.communications?.pushNotifications === false) {
+                return { success: false, skipped: true, reason: 'Push notifications are turned off' };
+            }
+            if (preferences?.general?.[category]?.push === false) {
+                return { success: false, skipped: true, reason: `Push notifications for ${category} are turned off` };
+            }
+
+            const result = await this.pushService.sendToUser(userId, payload, {
+                urgency: category === 'messages' ? 'high' : 'normal'
+            });
+            if (!result.results) return result;
+
+            const type = category === 'messages' ? 'messageReceived' : 'propertyUpdate';
+            await Promise.all(result.results.map(delivery => NotificationDelivery.trackDelivery({
+                userId,
+                type,
+                deliveryMethod: 'push',
+                recipient: delivery.endpoint,
+                status: delivery.success ? 'sent' : 'failed',
+                sentAt: delivery.success ? new Date() : undefined,
+                failedAt: delivery.success ? undefined : new Date(),
+                attempts: 1,
+                subject: payload.title,
+                template: `push_${payload.type}`,
+                context: { url: payload.url },
+                error: delivery.success ? null : {
+                    message: delivery.error,
+                    code: delivery.statusCode ? String(delivery.statusCode) : 'PUSH_SEND_FAILED'
+                }
+            })));
+
+            return {
+                success: result.success,
+                sent: result.sent
+            };
+
+        } catch (error) {
+            console.error('Error in sendPushNotification:', error);
+            return {
+                success: false,
+                error: error.message
+            };
+        }
+    }
+
     /**
      * Get subject line for security event emails
      * @param {string} eventType - Type of security event
@@ -612,22 +688,24 @@ class NotificationService {
                             delivery.recipient,
                             delivery.type,
                             'User', // We don't have user name in delivery record
-                            delivery.context
+                            delivery.context,
+                            { holdFor: delivery.userId }
                         );
                     } else if (delivery.deliveryMethod === 'sms') {
                         result = await this.sendSecurityEventSMS(
                             delivery.recipient,
                             delivery.type,
                             'User',
-                            delivery.context
+                            delivery.context,
+                            { holdFor: delivery.userId }
                         );
                     }
 
                     if (result && result.success) {
                         successful++;
                         await NotificationDelivery.findByIdAndUpdate(delivery._id, {
-                            status: 'sent',
-                            sentAt: new Date(),
+                            status: result.held ? 'pending' : 'sent',
+                            sentAt: result.held ? null : new Date(),
                             externalId: result.messageId || result.messageSid,
                             attempts: delivery.attempts + 1
                         });
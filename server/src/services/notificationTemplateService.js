@@ -0,0 +1,290 @@
+import { NotificationTemplate } from '../../models/NotificationTemplate.js';
+import cache from '../utils/cache.js';
+import {
+    renderTemplate,
+    prepareTemplateData,
+    getTemplateVariables,
+    compileTemplate,
+    escapeHtml,
+    TemplateError
+} from '../utils/templateEngine.js';
+import { EMAIL_LAYOUT, EMAIL_LAYOUT_STYLES } from '../templates/notificationLayout.js';
+import { SYSTEM_TEMPLATES } from '../templates/systemNotificationTemplates.js';
+
+/**
+ * NotificationTemplateService renders every email and SMS the platform sends.
+ *
+ * A template is looked up by slug and locale. Templates saved by admins win
+ * over the built-in ones in SYSTEM_TEMPLATES, so an admin can reword a system
+ * email or translate it by saving a template with the same slug and another
+ * locale. Lookup order for locale "hi-IN": saved hi-IN, saved hi, saved en,
+ * built-in (English). A saved template that fails to render with the data
+ * given is replaced by the built-in one.
+ */
+
+export const DEFAULT_LOCALE = 'en';
+export const LOCALE_PATTERN = /^[a-z]{2}(-[A-Z]{2})?$/;
+
+// Fields of a template that are rendered by the engine
+export const TEMPLATE_FIELDS = ['subject', 'heading', 'body', 'htmlBody', 'smsBody', 'footer'];
+
+// Variables every template can use without declaring them
+const GLOBAL_VARIABLES = ['siteUrl'];
+
+const templateCache = cache.namespace('notification-templates', { ttl: 5 * 60 * 1000 });
+const TEMPLATE_CACHE_TAG = 'notification-templates';
+
+const systemTemplates = new Map(SYSTEM_TEMPLATES.map(template => [template.slug, { ...template, locale: DEFAULT_LOCALE }]));
+
+/**
+ * Locales to try for a requested locale, most specific first
+ * @param {string} locale - Requested locale, e.g. "hi-IN"
+ * @returns {string[]} e.g. ["hi-IN", "hi", "en"]
+ */
+const localeFallbacks = (locale) => {
+    const requested = LOCALE_PATTERN.test(locale || '') ? locale : DEFAULT_LOCALE;
+    return [...new Set([requested, requested.split('-')[0], DEFAULT_LOCALE])];
+};
+
+// Keep plain-text emails tidy after optional sections are left out
+const tidyText = (text) => text.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+
+// HTML for templates that only have a plain-text body
+const textToHtml = (text) => text
+    .split(/\n{2,}/)
+    .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+    .join('\n');
+
+class NotificationTemplateService {
+    /**
+     * Built-in templates, for admins to copy and customize
+     * @returns {Array<object>}
+     */
+    listSystemTemplates() {
+        return [...systemTemplates.values()];
+    }
+
+    /**
+     * Built-in template by slug
+     * @param {string} slug - Template slug
+     * @returns {object|null}
+     */
+    getSystemTemplate(slug) {
+        return systemTemplates.get(slug) || null;
+    }
+
+    /**
+     * Find the template to use for a slug and locale
+     * @param {string} slug - Template slug
+     * @param {string} locale - Recipient's locale
+     * @returns {Promise<object|null>} Saved or built-in template, or null. Falls back
+     *   to the built-in template when saved templates cannot be read.
+     */
+    async findTemplate(slug, locale = DEFAULT_LOCALE) {
+        const locales = localeFallbacks(locale);
+
+        let saved;
+        try {
+            saved = await templateCache.wrap(
+                { slug, locales },
+                async () => NotificationTemplate.find({ slug, locale: { $in: locales }, isActive: true }).lean(),
+                { tags: [TEMPLATE_CACHE_TAG] }
+            );
+        } catch (error) {
+            // A database outage must not stop OTPs and security emails going out
+            console.error('Error in findTemplate, using the built-in template:', error);
+            return this.getSystemTemplate(slug);
+        }
+
+        for (const candidate of locales) {
+            const template = saved.find(t => t.locale === candidate);
+            if (template) return template;
+        }
+        return this.getSystemTemplate(slug);
+    }
+
+    /**
+     * Render a template definition for every channel
+     * @param {object} template - Saved or built-in template
+     * @param {object} data - Variable values
+     * @param {object} options - { locale, timezone, strict } - strict (default true) fails
+     *   on missing or invalid variables instead of rendering without them
+     * @returns {{subject: string, html: string, text: string, sms: string, errors: string[]}}
+     * @throws {TemplateError} On a syntax error, or invalid data when strict
+     */
+    renderDefinition(template, data = {}, { locale = template.locale || DEFAULT_LOCALE, timezone, strict = true } = {}) {
+        const prepared = prepareTemplateData(template.variables, {
+            siteUrl: process.env.SITE_URL || 'https://renters.com',
+            ...data
+        });
+        if (strict && !prepared.valid) {
+            throw new TemplateError(`Invalid data for template "${template.slug}"`, { errors: prepared.errors });
+        }
+
+        const options = { locale, timezone, variables: template.variables || [] };
+        const render = (source, html = false) => (source ? renderTemplate(source, prepared.data, { ...options, html }) : '');
+
+        const subject = render(template.subject).replace(/\s+/g, ' ').trim();
+        const heading = render(template.heading).trim() || subject;
+        const footer = render(template.footer).trim();
+        const body = tidyText(render(template.body));
+
+        const content = template.htmlBody ? render(template.htmlBody, true).trim() : textToHtml(body);
+        const html = template.useLayout === false
+            ? content
+            : renderTemplate(EMAIL_LAYOUT, { heading, footer, content, styles: EMAIL_LAYOUT_STYLES }, { html: true });
+
+        return {
+            subject,
+            html,
+            text: footer ? `${body}\n\n${footer}` : body,
+            sms: template.smsBody ? tidyText(render(template.smsBody)) : body,
+            errors: prepared.errors
+        };
+    }
+
+    /**
+     * Render the template for a slug in the recipient's locale
+     * @param {string} slug - Template slug
+     * @param {object} data - Variable values
+     * @param {object} options - { locale, timezone }
+     * @returns {Promise<{success: boolean, subject?: string, html?: string, text?: string, sms?: string, locale?: string, error?: string, code?: string, details?: string[]}>}
+     */
+    async render(slug, data = {}, { locale = DEFAULT_LOCALE, timezone } = {}) {
+        try {
+            const template = await this.findTemplate(slug, locale);
+            if (!template) {
+                return {
+                    success: false,
+                    error: `Notification template "${slug}" not found`,
+                    code: 'TEMPLATE_NOT_FOUND'
+                };
+            }
+
+            // Dates and numbers follow the recipient's locale even when the text falls back to English
+            const renderOptions = {
+                locale: LOCALE_PATTERN.test(locale || '') ? locale : template.locale,
+                timezone
+            };
+
+            let used = template;
+            let rendered;
+            try {
+                rendered = this.renderDefinition(template, data, renderOptions);
+            } catch (error) {
+                // A saved template may use variables this caller does not pass;
+                // OTPs and security emails must still go out
+                const systemTemplate = this.getSystemTemplate(slug);
+                if (!(error instanceof TemplateError) || !systemTemplate || systemTemplate === template) {
+                    throw error;
+                }
+
+                console.error(`Saved template "${slug}" (${template.locale}) failed to render, using the built-in template:`, error.message);
+                used = systemTemplate;
+                rendered = this.renderDefinition(systemTemplate, data, renderOptions);
+            }
+
+            return {
+                success: true,
+                subject: rendered.subject,
+                html: rendered.html,
+                text: rendered.text,
+                sms: rendered.sms,
+                locale: used.locale
+            };
+
+        } catch (error) {
+            console.error('Error in render:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: error instanceof TemplateError ? 'TEMPLATE_ERROR' : 'INTERNAL_ERROR',
+                details: error.errors
+            };
+        }
+    }
+
+    /**
+     * Render a template with its sample data for the admin preview. Data
+     * passed in overrides the sample data; missing variables are reported
+     * instead of failing the preview.
+     * @param {object} template - Saved, built-in or unsaved template
+     * @param {object} data - Variable values to try
+     * @returns {{success: boolean, preview?: object, error?: string, code?: string, details?: Array}}
+     */
+    preview(template, data = {}) {
+        const validation = this.validateDefinition(template);
+        if (!validation.valid) {
+            return {
+                success: false,
+                error: 'Template has syntax errors',
+                code: 'TEMPLATE_SYNTAX_ERROR',
+                details: validation.errors
+            };
+        }
+
+        try {
+            const rendered = this.renderDefinition(template, { ...(template.sampleData || {}), ...data }, { strict: false });
+
+            return {
+                success: true,
+                preview: {
+                    subject: rendered.subject,
+                    html: rendered.html,
+                    text: rendered.text,
+                    sms: rendered.sms,
+                    missingVariables: rendered.errors,
+                    undeclaredVariables: validation.undeclaredVariables
+                }
+            };
+
+        } catch (error) {
+            console.error('Error in preview:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: error instanceof TemplateError ? 'TEMPLATE_ERROR' : 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Check a template's syntax before it is saved
+     * @param {object} template - { subject, heading, body, htmlBody, smsBody, footer, variables }
+     * @returns {{valid: boolean, errors: Array<{field: string, message: string}>, undeclaredVariables: string[]}}
+     */
+    validateDefinition(template) {
+        const errors = [];
+        const used = new Set();
+
+        for (const field of TEMPLATE_FIELDS) {
+            if (!template[field]) continue;
+            try {
+                compileTemplate(template[field]);
+                getTemplateVariables(template[field]).forEach(name => used.add(name));
+            } catch (error) {
+                if (!(error instanceof TemplateError)) throw error;
+                errors.push({ field, message: error.message });
+            }
+        }
+
+        const declared = new Set([...(template.variables || []).map(v => v.name), ...GLOBAL_VARIABLES]);
+
+        return {
+            valid: errors.length === 0,
+            errors,
+            undeclaredVariables: [...used].filter(name => !declared.has(name))
+        };
+    }
+
+    /**
+     * Drop cached templates on every instance after a template changes
+     */
+    async invalidateCache() {
+        return cache.invalidateTags([TEMPLATE_CACHE_TAG]);
+    }
+}
+
+// Create and export a singleton instance
+const notificationTemplateService = new NotificationTemplateService();
+export default notificationTemplateService;
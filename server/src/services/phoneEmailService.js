@@ -1,6 +1,9 @@
+import notificationTemplateService from './notificationTemplateService.js';
+
 /**
  * Phone.email Service for unified SMS and email OTP delivery
  * Primary service for OTP delivery with built-in fallback capabilities
+ * Messages are rendered from the "otp-code" notification template
  */
 class PhoneEmailService {
     constructor() {
@@ -47,9 +50,10 @@ class PhoneEmailService {
      * @param {string} phoneNumber - Recipient phone number
      * @param {string} otp - OTP code
      * @param {string} userName - User's name for personalization
+     * @param {object} options - { locale }
      * @returns {Promise<{success: boolean, messageId?: string, estimatedDelivery?: number, error?: string}>}
      */
-    async sendSMS(phoneNumber, otp, userName = 'User') {
+    async sendSMS(phoneNumber, otp, userName = 'User', { locale } = {}) {
         try {
             if (!this.isConfigured) {
                 console.log(`[PHONE.EMAIL SERVICE - TEST MODE] SMS OTP for ${phoneNumber}: ${otp}`);
@@ -61,9 +65,17 @@ class PhoneEmailService {
                 };
             }
 
+            const rendered = await notificationTemplateService.render('otp-code', { userName, otp }, { locale });
+            if (!rendered.success) {
+                return {
+                    success: false,
+                    error: rendered.error
+                };
+            }
+
             const payload = {
                 to: this.normalizePhoneNumber(phoneNumber),
-                message: this.generateSMSMessage(otp, userName),
+                message: rendered.sms,
                 type: 'sms'
             };
 
@@ -99,9 +111,10 @@ class PhoneEmailService {
      * @param {string} email - Recipient email address
      * @param {string} otp - OTP code
      * @param {string} userName - User's name for personalization
+     * @param {object} options - { locale }
      * @returns {Promise<{success: boolean, messageId?: string, estimatedDelivery?: number, error?: string}>}
      */
-    async sendEmail(email, otp, userName = 'User') {
+    async sendEmail(email, otp, userName = 'User', { locale } = {}) {
         try {
             if (!this.isConfigured) {
                 console.log(`[PHONE.EMAIL SERVICE - TEST MODE] Email OTP for ${email}: ${otp}`);
@@ -113,11 +126,19 @@ class PhoneEmailService {
                 };
             }
 
+            const rendered = await notificationTemplateService.render('otp-code', { userName, otp }, { locale });
+            if (!rendered.success) {
+                return {
+                    success: false,
+                    error: rendered.error
+                };
+            }
+
             const payload = {
                 to: email,
-                subject: 'Email Verification - Your OTP Code',
-                message: this.generateEmailMessage(otp, userName),
-                html: this.generateEmailHTML(otp, userName),
+                subject: rendered.subject,
+                message: rendered.text,
+                html: rendered.html,
                 type: 'email'
             };
 
@@ -154,13 +175,14 @@ class PhoneEmailService {
      * @param {string} recipient - Phone number or email address
      * @param {string} otp - OTP code
      * @param {string} userName - User's name for personalization
+     * @param {object} options - { locale }
      * @returns {Promise<{success: boolean, messageId?: string, estimatedDelivery?: number, error?: string}>}
      */
-    async sendOTP(method, recipient, otp, userName = 'User') {
+    async sendOTP(method, recipient, otp, userName = 'User', options = {}) {
         if (method === 'sms') {
-            return await this.sendSMS(recipient, otp, userName);
+            return await this.sendSMS(recipient, otp, userName, options);
         } else if (method === 'email') {
-            return await this.sendEmail(recipient, otp, userName);
+            return await this.sendEmail(recipient, otp, userName, options);
         } else {
             return {
                 success: false,
@@ -368,92 +390,6 @@ class PhoneEmailService {
         return normalized;
     }
 
-    /**
-     * Generate SMS message content
-     * @param {string} otp - OTP code
-     * @param {string} userName - User's name
-     * @returns {string} SMS message
-     */
-    generateSMSMessage(otp, userName) {
-        return `Hello ${userName}! Your verification code is: ${otp}. This code expires in 10 minutes. Do not share this code with anyone. - Property Rental Platform`;
-    }
-
-    /**
-     * Generate email message content (plain text)
-     * @param {string} otp - OTP code
-     * @param {string} userName - User's name
-     * @returns {string} Email message
-     */
-    generateEmailMessage(otp, userName) {
-        return `
-Hello ${userName},
-
-Your verification code is: ${otp}
-
-This code expires in 10 minutes. Do not share this code with anyone.
-
-If you didn't request this verification, please ignore this email.
-
-Best regards,
-The Property Rental Team
-        `.trim();
-    }
-
-    /**
-     * Generate email HTML content
-     * @param {string} otp - OTP code
-     * @param {string} userName - User's name
-     * @returns {string} HTML email content
-     */
-    generateEmailHTML(otp, userName) {
-        return `
-        <!DOCTYPE html>
-        <html>
-        <head>
-            <meta charset="utf-8">
-            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-            <title>Email Verification</title>
-            <style>
-                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
-                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
-                .header { background-color: #f8f9fa; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
-                .content { background-color: #ffffff; padding: 30px; border: 1px solid #e9ecef; }
-                .otp-code { font-size: 32px; font-weight: bold; color: #007bff; text-align: center; 
-                           padding: 20px; background-color: #f8f9fa; border-radius: 8px; margin: 20px 0; 
-                           letter-spacing: 4px; }
-                .footer { background-color: #f8f9fa; padding: 15px; text-align: center; 
-                         border-radius: 0 0 8px 8px; font-size: 12px; color: #6c757d; }
-            </style>
-        </head>
-        <body>
-            <div class="container">
-                <div class="header">
-                    <h1>Email Verification</h1>
-                </div>
-                <div class="content">
-                    <p>Hello ${userName},</p>
-                    <p>Your verification code is:</p>
-                    
-                    <div class="otp-code">${otp}</div>
-                    
-                    <p><strong>Important:</strong></p>
-                    <ul>
-                        <li>This OTP is valid for 10 minutes only</li>
-                        <li>Do not share this code with anyone</li>
-                        <li>If you didn't request this verification, please ignore this email</li>
-                    </ul>
-                    
-                    <p>Best regards,<br>The Property Rental Team</p>
-                </div>
-                <div class="footer">
-                    <p>This is an automated message. Please do not reply to this email.</p>
-                </div>
-            </div>
-        </body>
-        </html>
-        `;
-    }
-
     /**
      * Increment error count and update health status
      */
@@ -0,0 +1,269 @@
+import mongoose from 'mongoose';
+import { PriceHistory } from '../../models/PriceHistory.js';
+import { Property } from '../../models/Property.js';
+import { Wishlist } from '../../models/Wishlist.js';
+import { Notification } from '../../models/Notification.js';
+import notificationService from './notificationService.js';
+import { LISTING_TYPES } from '../../../shared/propertyTypes.js';
+
+/**
+ * Price field of a listing type
+ * @param {string} listingType - "rent" or "buy"
+ * @returns {string} Property field name
+ */
+export const getPriceField = (listingType) =>
+    listingType === LISTING_TYPES.BUY ? 'sellingPrice' : 'monthlyRent';
+
+const escapeRegex = (str) => String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const formatPrice = (price, listingType) =>
+    `₹${Number(price).toLocaleString('en-IN')}${listingType === LISTING_TYPES.BUY ? '' : '/month'}`;
+
+/**
+ * PriceHistoryService keeps a per-property record of listing price changes,
+ * serves it for price charts and tells wishlisting users about price drops.
+ */
+class PriceHistoryService {
+    /**
+     * Compare a property against incoming update data.
+     * Returns null when the price is unchanged; otherwise the change, including
+     * the fields to merge into the property update.
+     *
+     * @param {object} property - Property before the update
+     * @param {object} changes - Incoming update data
+     * @returns {{previousPrice: number, price: number, dropped: boolean, update: object}|null}
+     */
+    detectPriceChange(property, changes) {
+        const priceField = getPriceField(property.listingType);
+        if (changes[priceField] === undefined || changes[priceField] === null || changes[priceField] === '') {
+            return null;
+        }
+
+        const previousPrice = Number(property[priceField]) || 0;
+        const price = Number(changes[priceField]);
+        if (Number.isNaN(price) || price === previousPrice) return null;
+
+        // A listing without a price yet has nothing to drop from
+        const dropped = previousPrice > 0 && price < previousPrice;
+
+        return {
+            previousPrice,
+            price,
+            dropped,
+            update: dropped ? { previousPrice, priceDroppedAt: new Date() } : {}
+        };
+    }
+
+    /**
+     * Store a detected price change and notify wishlisting users of drops.
+     * Call after the property update has been saved.
+     *
+     * @param {object} property - Property before the update
+     * @param {object} change - Result of detectPriceChange
+     * @param {object} options - { changedBy, source }
+     * @returns {Promise<{success: boolean, entry?: object, notified?: number, error?: string, code?: string}>}
+     */
+    async recordPriceChange(property, change, { changedBy = null, source = 'owner' } = {}) {
+        try {
+            if (!change || !change.previousPrice) {
+                return { success: true, entry: null, notified: 0 };
+            }
+
+            const entry = await PriceHistory.create({
+                propertyId: property._id,
+                listingType: property.listingType || LISTING_TYPES.RENT,
+                city: property.city || '',
+                category: property.category || '',
+                previousPrice: change.previousPrice,
+                price: change.price,
+                changeType: change.price < change.previousPrice ? 'decrease' : 'increase',
+                changedBy,
+                source
+            });
+
+            let notified = 0;
+            if (change.dropped && property.status === 'active') {
+                notified = await this.notifyWishlisters(property, change.previousPrice, change.price);
+            }
+
+            return { success: true, entry: entry.toObject(), notified };
+        } catch (error) {
+            console.error('Error in recordPriceChange:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Create a price drop notification for every user who wishlisted the property
+     * @param {object} property - Property (before the update)
+     * @param {number} previousPrice - Old price
+     * @param {number} price - New price
+     * @returns {Promise<number>} Number of notifications created
+     */
+    async notifyWishlisters(property, previousPrice, price) {
+        const entries = await Wishlist.find({
+            property: property._id,
+            user: { $ne: property.ownerId }
+        }).select('user').lean();
+
+        if (entries.length === 0) return 0;
+
+        const listingType = property.listingType || LISTING_TYPES.RENT;
+        const percent = Math.round(((previousPrice - price) / previousPrice) * 100);
+
+        const notifications = entries.map(entry => ({
+            recipient: entry.user,
+            type: 'favorite',
+            title: 'Price drop on a saved property',
+            message: `"${property.title}" in ${property.city} is now ${formatPrice(price, listingType)} (was ${formatPrice(previousPrice, listingType)}, ${percent}% lower)`,
+            data: { propertyId: property._id }
+        }));
+
+        try {
+            await Notification.insertMany(notifications, { ordered: false });
+        } catch (error) {
+            console.error('[PriceHistory] Error creating price drop notifications:', error.message);
+            return 0;
+        }
+
+        // Pushed in the background so the owner's update does not wait on push services
+        const url = `/${listingType === LISTING_TYPES.BUY ? 'buy' : 'rent'}/${property.slug || property._id}`;
+        Promise.all(notifications.map(notification => notificationService.sendPushNotification(
+            notification.recipient.toString(),
+            'propertyUpdates',
+            {
+                type: 'price_drop',
+                title: notification.title,
+                body: notification.message,
+                url,
+                tag: `price-drop-${property._id}`
+            }
+        ))).catch(error => console.error('[PriceHistory] Error pushing price drop notifications:', error.message));
+
+        return notifications.length;
+    }
+
+    /**
+     * Price history of a property for charts. The first point is the price the
+     * listing was posted with; each later point is a recorded change.
+     *
+     * @param {string} propertyId - Property ID
+     * @returns {Promise<{success: boolean, history?: object, error?: string, code?: string}>}
+     */
+    async getHistory(propertyId) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+                return {
+                    success: false,
+                    error: 'Invalid property ID',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            const property = await Property.findOne({ _id: propertyId, isDeleted: false })
+                .select('listingType monthlyRent sellingPrice createdAt')
+                .lean();
+
+            if (!property) {
+                return {
+                    success: false,
+                    error: 'Property not found',
+                    code: 'PROPERTY_NOT_FOUND'
+                };
+            }
+
+            const listingType = property.listingType || LISTING_TYPES.RENT;
+            const currentPrice = property[getPriceField(listingType)] || null;
+
+            const changes = await PriceHistory.find({ propertyId })
+                .select('previousPrice price changeType createdAt')
+                .sort({ createdAt: 1 })
+                .lean();
+
+            const initialPrice = changes.length > 0 ? changes[0].previousPrice : currentPrice;
+            const points = [];
+            if (initialPrice) {
+                points.push({ date: property.createdAt, price: initialPrice, changeType: 'initial' });
+            }
+            changes.forEach(change => {
+                points.push({ date: change.createdAt, price: change.price, changeType: change.changeType });
+            });
+
+            const prices = points.map(p => p.price);
+
+            return {
+                success: true,
+                history: {
+                    propertyId,
+                    listingType,
+                    currentPrice,
+                    initialPrice: initialPrice || null,
+                    lowestPrice: prices.length > 0 ? Math.min(...prices) : null,
+                    highestPrice: prices.length > 0 ? Math.max(...prices) : null,
+                    changeCount: changes.length,
+                    points
+                }
+            };
+        } catch (error) {
+            console.error('Error in getHistory:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Monthly price change statistics for a market (city/listing type/category)
+     *
+     * @param {object} filter - { city, listingType, category }
+     * @param {Date} since - Start of the period
+     * @returns {Promise<Array<{month: string, drops: number, increases: number, avgChangePercent: number}>>}
+     */
+    async getMonthlyChanges({ city, listingType = LISTING_TYPES.RENT, category }, since) {
+        const match = {
+            city: { $regex: new RegExp(`^${escapeRegex(city)}$`, 'i') },
+            listingType,
+            createdAt: { $gte: since }
+        };
+        if (category) match.category = { $regex: new RegExp(`^${escapeRegex(category)}$`, 'i') };
+
+        const rows = await PriceHistory.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: {
+                        year: { $year: '$createdAt' },
+                        month: { $month: '$createdAt' }
+                    },
+                    drops: { $sum: { $cond: [{ $eq: ['$changeType', 'decrease'] }, 1, 0] } },
+                    increases: { $sum: { $cond: [{ $eq: ['$changeType', 'increase'] }, 1, 0] } },
+                    avgChangePercent: {
+                        $avg: {
+                            $multiply: [
+                                { $divide: [{ $subtract: ['$price', '$previousPrice'] }, '$previousPrice'] },
+                                100
+                            ]
+                        }
+                    }
+                }
+            },
+            { $sort: { '_id.year': 1, '_id.month': 1 } }
+        ]);
+
+        return rows.map(row => ({
+            month: `${row._id.year}-${String(row._id.month).padStart(2, '0')}`,
+            drops: row.drops,
+            increases: row.increases,
+            avgChangePercent: Math.round(row.avgChangePercent * 10) / 10
+        }));
+    }
+}
+
+const priceHistoryService = new PriceHistoryService();
+export default priceHistoryService;
@@ -1,6 +1,7 @@
 import { User } from '../../models/User.js';
 import { NotificationPreferences } from '../../models/NotificationPreferences.js';
 import { connectDB } from '../config/db.js';
+import viewHistoryService from './viewHistoryService.js';
 
 /**
  * Privacy Settings Service
@@ -108,6 +109,11 @@ class PrivacySettingsService {
                 { new: true }
             ).lean();
 
+            // Turning view history off also forgets the views kept so far
+            if (settings.dataRetention?.keepViewHistory === false) {
+                await viewHistoryService.clearHistory(userId);
+            }
+
             return {
                 userId,
                 privacy: updatedUser.privacySettings,
@@ -0,0 +1,605 @@
+import mongoose from 'mongoose';
+import { Property } from '../../models/Property.js';
+import { User } from '../../models/User.js';
+import { LISTING_TYPES } from '../../../shared/propertyTypes.js';
+import {
+    validatePropertyData,
+    OWNER_EDITABLE_FIELDS,
+    NUMERIC_FIELDS
+} from '../middleware/propertyValidation.js';
+import { geocodeAddress } from './geocodingService.js';
+import { calculateExpirationDate } from './listingLifecycleService.js';
+import priceHistoryService, { getPriceField } from './priceHistoryService.js';
+import { parseCsv, toCsv } from '../utils/csv.js';
+import { invalidatePropertyCache } from '../utils/cache.js';
+
+/* ---------------------- COLUMN DEFINITIONS ---------------------- */
+
+// Columns accepted by the import and written by the export, in file order.
+// Rows with a listingNumber update that listing; rows without one create a new listing.
+export const LISTING_IMPORT_COLUMNS = [
+    'listingNumber', 'listingType', 'category', 'title', 'propertyType', 'description',
+    'furnishing', 'availableFrom', 'city', 'address', 'lat', 'lng',
+    'monthlyRent', 'securityDeposit', 'maintenanceCharge', 'rentNegotiable', 'preferredTenants', 'leaseDuration',
+    'sellingPrice', 'pricePerSqft', 'possessionStatus', 'bookingAmount', 'loanAvailable',
+    'bedrooms', 'bathrooms', 'balconies', 'builtUpArea', 'carpetArea', 'floorNumber', 'totalFloors',
+    'facingDirection', 'parking', 'propertyAge', 'amenities', 'photos',
+    'ownerType', 'ownerName', 'ownerPhone', 'ownerEmail'
+];
+
+// Read-only columns added to exports (ignored on import)
+const EXPORT_ONLY_COLUMNS = ['status', 'expiresAt'];
+
+export const MAX_IMPORT_ROWS = 100;
+
+const REQUIRED_FIELDS = ['category', 'title', 'propertyType', 'furnishing', 'availableFrom', 'city', 'address'];
+
+const NUMBER_COLUMNS = [
+    'lat', 'lng', 'monthlyRent', 'securityDeposit', 'maintenanceCharge', 'sellingPrice', 'pricePerSqft',
+    'bookingAmount', 'bedrooms', 'bathrooms', 'balconies', 'builtUpArea', 'carpetArea', 'floorNumber', 'totalFloors'
+];
+
+const BOOLEAN_COLUMNS = ['rentNegotiable', 'loanAvailable'];
+
+// Multi-value columns are separated by ";" (or "|") in CSV files
+const LIST_COLUMNS = ['amenities', 'photos'];
+
+const LISTING_TYPE_COLUMNS = {
+    [LISTING_TYPES.RENT]: ['monthlyRent', 'securityDeposit', 'maintenanceCharge', 'rentNegotiable', 'preferredTenants', 'leaseDuration'],
+    [LISTING_TYPES.BUY]: ['sellingPrice', 'pricePerSqft', 'possessionStatus', 'bookingAmount', 'loanAvailable']
+};
+
+// Columns that identify a row's listing rather than change it
+const KEY_COLUMNS = ['listingNumber', 'listingType'];
+
+// Nominatim allows one request per second
+const GEOCODE_INTERVAL_MS = 1000;
+
+/* ---------------------- HELPER FUNCTIONS ---------------------- */
+
+function slugify(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/(^-|-$)+/g, '');
+}
+
+function randomSuffix(len = 4) {
+    return Math.random().toString(36).substring(2, 2 + len).toUpperCase();
+}
+
+async function makeUniqueSlug(base) {
+    let s = base;
+    let tries = 0;
+    while (tries < 6) {
+        const exists = await Property.findOne({ slug: s }).lean();
+        if (!exists) return s;
+        s = `${base}-${randomSuffix(3)}`;
+        tries++;
+    }
+    return `${base}-${new mongoose.Types.ObjectId().toString().slice(-6)}`;
+}
+
+function makeListingNumber() {
+    const dt = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const stamp = `${dt.getFullYear()}${pad(dt.getMonth() + 1)}${pad(dt.getDate())}${pad(dt.getHours())}${pad(dt.getMinutes())}${pad(dt.getSeconds())}`;
+    return `LIST-${stamp}-${randomSuffix(4)}`;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '');
+
+/**
+ * PropertyImportService handles bulk listing import from CSV/JSON files
+ * (with dry runs and a per-row report) and the matching my-listings export.
+ */
+class PropertyImportService {
+    constructor() {
+        this.lastGeocodeAt = 0;
+        // Imported listings waiting for a map location, geocoded one import at a time
+        this.geocodeQueue = Promise.resolve();
+    }
+
+    /**
+     * Parse an uploaded import file into raw rows
+     * @param {{originalname: string, buffer: Buffer}} file - Multer file
+     * @returns {{success: boolean, rows?: object[], error?: string, code?: string}}
+     */
+    parseFile(file) {
+        const text = file.buffer.toString('utf8');
+
+        try {
+            if (/\.json$/i.test(file.originalname)) {
+                const data = JSON.parse(text);
+                const rows = Array.isArray(data) ? data : data?.listings;
+                if (!Array.isArray(rows)) {
+                    return {
+                        success: false,
+                        error: 'JSON imports must be an array of listings or an object with a "listings" array',
+                        code: 'INVALID_FILE'
+                    };
+                }
+                return { success: true, rows };
+            }
+
+            return { success: true, rows: parseCsv(text) };
+        } catch (error) {
+            return { success: false, error: `Could not parse file: ${error.message}`, code: 'INVALID_FILE' };
+        }
+    }
+
+    /**
+     * Import listings for a user. Each row is validated with the same rules as
+     * the create endpoints; valid rows are saved unless dryRun is set. New
+     * listings without lat/lng are geocoded in the background afterwards.
+     *
+     * @param {string} userId - Importing user ID
+     * @param {object[]} rows - Raw rows (CSV records or JSON objects)
+     * @param {object} options - { dryRun, geocode }
+     * @returns {Promise<{success: boolean, report?: object, error?: string, code?: string}>}
+     */
+    async importListings(userId, rows, { dryRun = false, geocode = true } = {}) {
+        try {
+            if (rows.length === 0) {
+                return { success: false, error: 'The file contains no listings', code: 'EMPTY_IMPORT' };
+            }
+            if (rows.length > MAX_IMPORT_ROWS) {
+                return {
+                    success: false,
+                    error: `A single import is limited to ${MAX_IMPORT_ROWS} listings (file has ${rows.length})`,
+                    code: 'TOO_MANY_ROWS'
+                };
+            }
+
+            const user = await User.findById(userId).lean();
+            if (!user) {
+                return { success: false, error: 'User not found', code: 'USER_NOT_FOUND' };
+            }
+
+            const listingNumbers = rows
+                .map(row => row?.listingNumber && String(row.listingNumber).trim())
+                .filter(Boolean);
+            const existing = listingNumbers.length > 0
+                ? await Property.find({ ownerId: userId, listingNumber: { $in: listingNumbers }, isDeleted: false }).lean()
+                : [];
+            const existingByNumber = new Map(existing.map(property => [property.listingNumber, property]));
+
+            const seenNumbers = new Set();
+            const toGeocode = [];
+            const results = [];
+
+            for (const [index, raw] of rows.entries()) {
+                const result = { row: index + 1, errors: [], warnings: [] };
+                results.push(result);
+
+                if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+                    result.status = 'failed';
+                    result.errors.push('Row must be an object');
+                    continue;
+                }
+
+                const { data, errors, warnings } = this.normalizeRow(raw);
+                result.title = data.title;
+                result.errors.push(...errors);
+                result.warnings.push(...warnings);
+
+                if (data.listingNumber) {
+                    result.action = 'update';
+                    result.listingNumber = data.listingNumber;
+                    if (seenNumbers.has(data.listingNumber)) {
+                        result.errors.push(`Listing ${data.listingNumber} appears more than once in this file`);
+                    }
+                    seenNumbers.add(data.listingNumber);
+                } else {
+                    result.action = 'create';
+                }
+
+                const property = data.listingNumber ? existingByNumber.get(data.listingNumber) : null;
+                if (data.listingNumber && !property) {
+                    result.errors.push(`Listing ${data.listingNumber} was not found among your listings`);
+                }
+
+                result.errors.push(...this.validateRow(data, user, property));
+
+                if (result.errors.length > 0) {
+                    result.status = 'failed';
+                    continue;
+                }
+
+                if (property) {
+                    await this.applyUpdate(property, data, userId, dryRun, result);
+                } else {
+                    await this.applyCreate(data, user, dryRun, result);
+                    if (result.status === 'created' && !result.location && geocode) {
+                        toGeocode.push({ propertyId: result.propertyId, address: data.address, city: data.city });
+                    }
+                }
+            }
+
+            if (toGeocode.length > 0) {
+                this.geocodeQueue = this.geocodeQueue.then(() => this.geocodeListings(toGeocode));
+            }
+
+            const changedIds = results
+                .filter(result => result.status === 'created' || result.status === 'updated')
+                .map(result => result.propertyId);
+            if (changedIds.length > 0) {
+                await invalidatePropertyCache(changedIds);
+            }
+
+            const count = (status) => results.filter(result => result.status === status).length;
+            const failed = count('failed');
+
+            return {
+                success: true,
+                report: {
+                    dryRun,
+                    total: results.length,
+                    succeeded: results.length - failed,
+                    failed,
+                    created: count('created'),
+                    updated: count('updated'),
+                    geocoding: toGeocode.length,
+                    rows: results
+                }
+            };
+        } catch (error) {
+            console.error('Error in importListings:', error);
+            return { success: false, error: 'Failed to import listings', code: 'INTERNAL_ERROR' };
+        }
+    }
+
+    /**
+     * Trim and convert raw row values to the types of the Property model.
+     * Empty cells are dropped so they fall back to model defaults.
+     *
+     * @param {object} raw - Raw row
+     * @returns {{data: object, errors: string[], warnings: string[]}}
+     */
+    normalizeRow(raw) {
+        const data = {};
+        const errors = [];
+        const warnings = [];
+
+        const unknown = Object.keys(raw).filter(key =>
+            !LISTING_IMPORT_COLUMNS.includes(key) && !EXPORT_ONLY_COLUMNS.includes(key) && key !== '_id');
+        if (unknown.length > 0) {
+            warnings.push(`Ignored unknown column(s): ${unknown.join(', ')}`);
+        }
+
+        for (const column of LISTING_IMPORT_COLUMNS) {
+            let value = raw[column];
+            if (typeof value === 'string') value = value.trim();
+            if (value === undefined || value === null || value === '') continue;
+
+            if (NUMBER_COLUMNS.includes(column)) {
+                const number = Number(value);
+                if (Number.isNaN(number)) {
+                    errors.push(`${column} must be a number`);
+                    continue;
+                }
+                data[column] = number;
+            } else if (BOOLEAN_COLUMNS.includes(column)) {
+                const text = String(value).toLowerCase();
+                if (['true', 'yes', '1'].includes(text)) data[column] = true;
+                else if (['false', 'no', '0'].includes(text)) data[column] = false;
+                else errors.push(`${column} must be true or false`);
+            } else if (LIST_COLUMNS.includes(column)) {
+                data[column] = (Array.isArray(value) ? value : String(value).split(/[;|]/))
+                    .map(item => String(item).trim())
+                    .filter(Boolean);
+            } else if (column === 'availableFrom') {
+                const date = new Date(value);
+                if (Number.isNaN(date.getTime())) {
+                    errors.push('availableFrom must be a valid date (YYYY-MM-DD)');
+                    continue;
+                }
+                data[column] = date;
+            } else {
+                data[column] = String(value);
+            }
+        }
+
+        if (data.listingType) data.listingType = data.listingType.toLowerCase();
+
+        return { data, errors, warnings };
+    }
+
+    /**
+     * Validate a normalized row against the listing rules
+     * @param {object} data - Normalized row (price fields are converted in place)
+     * @param {object} user - Importing user
+     * @param {object|null} property - Existing listing when the row is an update
+     * @returns {string[]} Error messages
+     */
+    validateRow(data, user, property) {
+        const errors = [];
+
+        // Updates may list only the columns that change; missing values come from the listing
+        if (!property) {
+            for (const field of REQUIRED_FIELDS) {
+                if (data[field] === undefined) errors.push(`Missing required field: ${field}`);
+            }
+        }
+
+        const { valid, message } = validatePropertyData(property
+            ? {
+                [getPriceField(property.listingType)]: property[getPriceField(property.listingType)],
+                ...data,
+                listingType: data.listingType || property.listingType
+            }
+            : data);
+        if (!valid) errors.push(message);
+
+        if ((data.lat === undefined) !== (data.lng === undefined)) {
+            errors.push('lat and lng must be provided together');
+        } else if (data.lat !== undefined && (Math.abs(data.lat) > 90 || Math.abs(data.lng) > 180)) {
+            errors.push('lat/lng are out of range');
+        }
+
+        if (property) {
+            if (property.status === 'blocked') {
+                errors.push('This listing has been blocked and cannot be modified');
+            }
+            if (data.listingType && data.listingType !== property.listingType) {
+                errors.push(`listingType cannot be changed (listing is "${property.listingType}")`);
+            }
+            return errors;
+        }
+
+        if (!data.ownerPhone && !user.phone) {
+            errors.push('ownerPhone is required (your profile has no phone number)');
+        }
+
+        // Schema checks (enums, required fields) on the listing that would be created
+        if (errors.length === 0) {
+            const validationError = new Property(this.buildListing(data, user)).validateSync();
+            if (validationError) {
+                errors.push(...Object.values(validationError.errors).map(e => e.message));
+            }
+        }
+
+        return errors;
+    }
+
+    /**
+     * Build the property document for a new listing
+     * @param {object} data - Normalized row
+     * @param {object} user - Importing user
+     * @returns {object} Property data
+     */
+    buildListing(data, user) {
+        const { lat, lng, ...fields } = data;
+
+        return {
+            ...fields,
+            ownerId: user._id,
+            ownerName: data.ownerName || user.name,
+            ownerPhone: data.ownerPhone || user.phone,
+            ownerEmail: data.ownerEmail || user.email || '',
+            location: lat !== undefined ? { type: 'Point', coordinates: [lng, lat] } : undefined
+        };
+    }
+
+    /**
+     * Create (or, in a dry run, check) a new listing from a valid row
+     */
+    async applyCreate(data, user, dryRun, result) {
+        if (data.lat !== undefined) result.location = { lat: data.lat, lng: data.lng };
+
+        if (dryRun) {
+            result.status = 'valid';
+            return;
+        }
+
+        const slug = await makeUniqueSlug(slugify(`${data.title}-${data.city || ''}`.slice(0, 120)));
+        const property = await Property.create({
+            ...this.buildListing(data, user),
+            photos: data.photos || [],
+            slug,
+            listingNumber: makeListingNumber(),
+            expiresAt: calculateExpirationDate() // Auto-expire in 30 days
+        });
+
+        Object.assign(result, {
+            status: 'created',
+            propertyId: property._id,
+            listingNumber: property.listingNumber,
+            urlPath: `/${property.listingType}/${property.slug}`
+        });
+    }
+
+    /**
+     * Apply the owner-editable fields of a valid row to an existing listing.
+     * Other columns can only be set when a listing is created, as in the edit
+     * form; changes to them are reported as warnings.
+     */
+    async applyUpdate(property, data, userId, dryRun, result) {
+        const allowed = [...OWNER_EDITABLE_FIELDS.common, ...OWNER_EDITABLE_FIELDS[property.listingType]];
+
+        const ignored = this.getChangedColumns(property, data)
+            .filter(column => !allowed.includes(column) && !KEY_COLUMNS.includes(column));
+        if (ignored.length > 0) {
+            result.warnings.push(`Changes to ${ignored.join(', ')} are ignored for existing listings; only ${allowed.join(', ')} can be updated`);
+        }
+
+        const updateData = {};
+        for (const field of allowed) {
+            if (data[field] === undefined) continue;
+            if (NUMERIC_FIELDS.includes(field) && data[field] < 0) {
+                result.errors.push(`${field} must be a positive number`);
+                continue;
+            }
+            updateData[field] = data[field];
+        }
+
+        result.propertyId = property._id;
+        result.urlPath = `/${property.listingType}/${property.slug}`;
+
+        if (result.errors.length > 0) {
+            result.status = 'failed';
+            return;
+        }
+
+        if (dryRun) {
+            result.status = 'valid';
+            return;
+        }
+
+        // Price drops are stamped on the property for saved search alerts
+        const priceChange = priceHistoryService.detectPriceChange(property, updateData);
+        if (priceChange) Object.assign(updateData, priceChange.update);
+
+        await Property.findByIdAndUpdate(property._id, { $set: updateData }, { runValidators: true });
+
+        if (priceChange) {
+            await priceHistoryService.recordPriceChange(property, priceChange, {
+                changedBy: userId,
+                source: 'import'
+            });
+        }
+
+        result.status = 'updated';
+    }
+
+    /**
+     * Columns of a normalized row whose values differ from an existing listing
+     * @param {object} property - Existing listing
+     * @param {object} data - Normalized row
+     * @returns {string[]} Column names
+     */
+    getChangedColumns(property, data) {
+        const [lng, lat] = property.location?.coordinates || [];
+        const current = { ...property, lat, lng };
+
+        return LISTING_IMPORT_COLUMNS.filter(column => {
+            if (data[column] === undefined) return false;
+            if (LIST_COLUMNS.includes(column)) {
+                return data[column].join(';') !== (current[column] || []).join(';');
+            }
+            if (column === 'availableFrom') {
+                return formatDate(data[column]) !== formatDate(current[column]);
+            }
+            return String(data[column]) !== String(current[column] ?? '');
+        });
+    }
+
+    /**
+     * Give imported listings a map location from their address. Runs after
+     * the import has responded, since providers allow about one request a second.
+     * @param {Array<{propertyId: string, address: string, city: string}>} listings
+     */
+    async geocodeListings(listings) {
+        const cache = new Map();
+
+        for (const { propertyId, address, city } of listings) {
+            try {
+                const coordinates = await this.geocode(address, city, cache);
+                if (!coordinates) {
+                    console.warn(`Imported listing ${propertyId} could not be geocoded; it has no map location`);
+                    continue;
+                }
+
+                // The owner may have set a location in the meantime
+                const { modifiedCount } = await Property.updateOne(
+                    { _id: propertyId, $or: [{ location: { $exists: false } }, { 'location.coordinates': [0, 0] }] },
+                    { $set: { location: { type: 'Point', coordinates: [coordinates.lng, coordinates.lat] } } }
+                );
+                if (modifiedCount > 0) await invalidatePropertyCache([propertyId]);
+            } catch (error) {
+                console.error('Error in geocodeListings:', error);
+            }
+        }
+    }
+
+    /**
+     * Geocode an address, reusing results within an import and spacing
+     * provider requests to respect their rate limits
+     */
+    async geocode(address, city, cache) {
+        const key = `${address}|${city}`.toLowerCase();
+        if (cache.has(key)) return cache.get(key);
+
+        const wait = this.lastGeocodeAt + GEOCODE_INTERVAL_MS - Date.now();
+        if (wait > 0) await sleep(wait);
+
+        let coordinates = null;
+        try {
+            coordinates = await geocodeAddress(address, city);
+        } catch (error) {
+            console.warn('Import geocoding failed:', error.message);
+        }
+        this.lastGeocodeAt = Date.now();
+
+        cache.set(key, coordinates);
+        return coordinates;
+    }
+
+    /**
+     * Export a user's listings in the import format, so they can be edited
+     * and re-imported
+     *
+     * @param {string} userId - Owner user ID
+     * @param {string} format - "csv" or "json"
+     * @returns {Promise<{success: boolean, content?: string, count?: number, error?: string, code?: string}>}
+     */
+    async exportListings(userId, format = 'csv') {
+        try {
+            const properties = await Property.find({ ownerId: userId, isDeleted: false })
+                .sort({ createdAt: -1 })
+                .lean();
+
+            const rows = properties.map(property => this.toExportRow(property, format));
+            const content = format === 'json'
+                ? JSON.stringify({ listings: rows }, null, 2)
+                : toCsv(rows, [...LISTING_IMPORT_COLUMNS, ...EXPORT_ONLY_COLUMNS]);
+
+            return { success: true, content, count: rows.length };
+        } catch (error) {
+            console.error('Error in exportListings:', error);
+            return { success: false, error: 'Failed to export listings', code: 'INTERNAL_ERROR' };
+        }
+    }
+
+    /**
+     * Flatten a property into an import/export row. Fields of the other
+     * listing type are left out so the row passes validation on re-import.
+     */
+    toExportRow(property, format) {
+        const listingType = property.listingType || LISTING_TYPES.RENT;
+        const otherType = listingType === LISTING_TYPES.RENT ? LISTING_TYPES.BUY : LISTING_TYPES.RENT;
+        const [lng, lat] = property.location?.coordinates || [];
+        const hasLocation = lat !== undefined && !(lat === 0 && lng === 0);
+
+        const row = {};
+        for (const column of LISTING_IMPORT_COLUMNS) {
+            if (LISTING_TYPE_COLUMNS[otherType].includes(column)) continue;
+            const value = property[column];
+            if (value === undefined || value === null) continue;
+
+            if (LIST_COLUMNS.includes(column)) {
+                row[column] = format === 'json' ? value : value.join(';');
+            } else {
+                row[column] = value;
+            }
+        }
+
+        row.listingType = listingType;
+        row.availableFrom = formatDate(property.availableFrom);
+        if (hasLocation) {
+            row.lat = lat;
+            row.lng = lng;
+        }
+        row.status = property.status;
+        row.expiresAt = formatDate(property.expiresAt);
+
+        return row;
+    }
+}
+
+// Create singleton instance
+const propertyImportService = new PropertyImportService();
+
+export default propertyImportService;
@@ -0,0 +1,583 @@
+import mongoose from 'mongoose';
+import { Property } from '../../models/Property.js';
+import { LISTING_TYPES } from '../../../shared/propertyTypes.js';
+import { getPriceField } from './priceHistoryService.js';
+import { parseGeoSearch, buildGeoNearStage, sortsByDistance } from '../utils/geoSearch.js';
+import { propertySearchCache, propertySearchTags } from '../utils/cache.js';
+
+export const DEFAULT_PAGE_SIZE = 12;
+export const MAX_PAGE_SIZE = 100;
+
+/**
+ * Fields the free-text query is matched against
+ */
+const TEXT_FIELDS = ['title', 'description', 'category', 'propertyType', 'city', 'address'];
+
+const escapeRegex = (str) => String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const capitalize = (str) => str.charAt(0).toUpperCase() + str.slice(1);
+
+const isEmpty = (value) =>
+    value === undefined || value === null || value === '' ||
+    (Array.isArray(value) && value.length === 0);
+
+const toList = (value) =>
+    (Array.isArray(value) ? value : String(value).split(','))
+        .map(item => String(item).trim())
+        .filter(Boolean);
+
+const toNumber = (value) => {
+    if (isEmpty(value)) return undefined;
+    const number = Number(value);
+    return Number.isFinite(number) ? number : undefined;
+};
+
+const toBoolean = (value) => {
+    if (value === true || value === 'true') return true;
+    if (value === false || value === 'false') return false;
+    return undefined;
+};
+
+/**
+ * How each kind of filter turns a request value into a Property condition.
+ * Builders return null when the value does not constrain anything.
+ */
+const FILTER_KINDS = {
+    // One or more values (array or comma-separated), matched case-insensitively
+    oneOf: (field, value) => {
+        const values = toList(value);
+        if (values.length === 0) return null;
+        return { [field]: { $in: values.map(v => new RegExp(`^${escapeRegex(v)}$`, 'i')) } };
+    },
+
+    // Case-insensitive substring, so "room" matches "Private Room"
+    contains: (field, value) => {
+        const text = String(value).trim();
+        return text ? { [field]: new RegExp(escapeRegex(text), 'i') } : null;
+    },
+
+    // { min, max }; a max of 0 means no upper bound
+    range: (field, value) => {
+        const min = toNumber(value?.min);
+        const max = toNumber(value?.max);
+        const condition = {};
+        if (min !== undefined) condition.$gte = min;
+        if (max !== undefined && max > 0) condition.$lte = max;
+        return Object.keys(condition).length > 0 ? { [field]: condition } : null;
+    },
+
+    // Counts such as bedrooms, where "5+" means five or more
+    count: (field, value) => {
+        const conditions = toList(value)
+            .map(item => item.endsWith('+')
+                ? { [field]: { $gte: Number.parseInt(item, 10) } }
+                : { [field]: Number(item) })
+            .filter(condition => !Number.isNaN(condition[field]?.$gte ?? condition[field]));
+        return conditions.length > 0 ? { $or: conditions } : null;
+    },
+
+    boolean: (field, value) => {
+        const flag = toBoolean(value);
+        return flag === undefined ? null : { [field]: flag };
+    },
+
+    // Array field containing every requested value
+    all: (field, value) => {
+        const values = toList(value);
+        return values.length > 0 ? { [field]: { $all: values } } : null;
+    },
+
+    // Aggregations do not cast, so ids are converted here
+    objectId: (field, value) =>
+        mongoose.Types.ObjectId.isValid(value)
+            ? { [field]: new mongoose.Types.ObjectId(String(value)) }
+            : null,
+
+    // Dates on or before the given one, e.g. available by a move-in date
+    dateBefore: (field, value) => {
+        const date = new Date(value);
+        return Number.isNaN(date.getTime()) ? null : { [field]: { $lte: date } };
+    }
+};
+
+/**
+ * Declarative filter registry covering the searchable Property fields.
+ *
+ * Each key is the filter name accepted in `filters` (and at the top level of
+ * a request or query string). `field` defaults to the key and may be a
+ * function of the listing type; `aliases` are older names still sent by
+ * clients; `listingTypes` limits a filter to rent or buy searches. Range
+ * filters also accept flat min<Name>/max<Name> parameters (minPrice, minRent).
+ *
+ * Identity, owner contact, moderation and metrics fields are not searchable.
+ */
+export const SEARCH_FILTERS = {
+    category: { kind: 'oneOf' },
+    propertyType: { kind: 'contains', aliases: ['type'] },
+    furnishing: { kind: 'oneOf', aliases: ['furnished'] },
+    price: { kind: 'range', field: getPriceField, aliases: ['priceRange', 'rent'] },
+    availableBy: { kind: 'dateBefore', field: 'availableFrom' },
+
+    // Rent
+    monthlyRent: { kind: 'range', listingTypes: [LISTING_TYPES.RENT] },
+    securityDeposit: { kind: 'range', listingTypes: [LISTING_TYPES.RENT] },
+    maintenanceCharge: { kind: 'range', listingTypes: [LISTING_TYPES.RENT] },
+    rentNegotiable: { kind: 'boolean', listingTypes: [LISTING_TYPES.RENT] },
+    preferredTenants: { kind: 'oneOf', listingTypes: [LISTING_TYPES.RENT] },
+    leaseDuration: { kind: 'oneOf', listingTypes: [LISTING_TYPES.RENT] },
+
+    // Buy
+    sellingPrice: { kind: 'range', listingTypes: [LISTING_TYPES.BUY] },
+    pricePerSqft: { kind: 'range', listingTypes: [LISTING_TYPES.BUY] },
+    bookingAmount: { kind: 'range', listingTypes: [LISTING_TYPES.BUY] },
+    possessionStatus: { kind: 'oneOf', listingTypes: [LISTING_TYPES.BUY] },
+    loanAvailable: { kind: 'boolean', listingTypes: [LISTING_TYPES.BUY] },
+
+    // Layout and size
+    bedrooms: { kind: 'count' },
+    bathrooms: { kind: 'count' },
+    balconies: { kind: 'count' },
+    builtUpArea: { kind: 'range' },
+    carpetArea: { kind: 'range' },
+    floorNumber: { kind: 'range' },
+    totalFloors: { kind: 'range' },
+    roomType: { kind: 'oneOf' },
+    bathroomType: { kind: 'oneOf' },
+    kitchenAvailable: { kind: 'boolean' },
+    facingDirection: { kind: 'oneOf' },
+    parking: { kind: 'oneOf' },
+    propertyAge: { kind: 'oneOf' },
+    washroom: { kind: 'oneOf' },
+    frontage: { kind: 'oneOf' },
+    amenities: { kind: 'all' },
+
+    // Listing
+    ownerId: { kind: 'objectId' },
+    ownerType: { kind: 'oneOf' },
+    featured: { kind: 'boolean' }
+};
+
+/**
+ * Price bucket lower bounds for the price facet, per listing type
+ */
+export const PRICE_BUCKETS = {
+    [LISTING_TYPES.RENT]: [0, 5000, 10000, 15000, 25000, 50000, 100000],
+    [LISTING_TYPES.BUY]: [0, 2500000, 5000000, 10000000, 20000000, 50000000, 100000000]
+};
+
+/**
+ * Equal-width price histogram behind the sidebar budget sliders. `max` matches
+ * the slider's upper end; listings above it fall into a last open-ended bin.
+ */
+export const PRICE_HISTOGRAM = {
+    [LISTING_TYPES.RENT]: { max: 100000, bins: 20 },
+    [LISTING_TYPES.BUY]: { max: 50000000, bins: 20 }
+};
+
+/**
+ * Number of amenity values returned in the amenities facet
+ */
+const AMENITY_FACET_LIMIT = 30;
+
+// General searches use the rent price scale, like getPriceField
+const priceScale = (listingType) =>
+    listingType === LISTING_TYPES.BUY ? LISTING_TYPES.BUY : LISTING_TYPES.RENT;
+
+const bucketBounds = (listingType) => PRICE_BUCKETS[priceScale(listingType)];
+
+const histogramBounds = (listingType) => {
+    const { max, bins } = PRICE_HISTOGRAM[priceScale(listingType)];
+    return Array.from({ length: bins + 1 }, (_, index) => (max / bins) * index);
+};
+
+const countValues = (field) => () => [{ $sortByCount: `$${field}` }];
+
+const countPrices = (getBounds) => (listingType) => [
+    {
+        $bucket: {
+            groupBy: `$${getPriceField(listingType)}`,
+            boundaries: [...getBounds(listingType), Number.MAX_SAFE_INTEGER],
+            default: 'other',
+            output: { count: { $sum: 1 } }
+        }
+    }
+];
+
+const toValues = (entries = []) => entries
+    .filter(entry => entry._id !== null && entry._id !== '')
+    .map(entry => ({ value: entry._id, count: entry.count }));
+
+// Every bucket is returned, empty ones with a count of 0, so ranges line up with the bounds
+const toRanges = (getBounds) => (entries = [], listingType) => {
+    const bounds = getBounds(listingType);
+    return bounds.map((min, index) => ({
+        min,
+        max: index < bounds.length - 1 ? bounds[index + 1] : null,
+        count: entries.find(entry => entry._id === min)?.count || 0
+    }));
+};
+
+/**
+ * Facets counted alongside the results, keyed by their name in the response.
+ *
+ * `filter` is the registry filter the facet counts options for. Each facet
+ * ignores its own filter, so the other options of a multi-select keep their
+ * counts after one is picked; `conjunctive` facets (every selected value must
+ * match) count within the full selection instead. `listingTypes` limits a
+ * facet to rent or buy searches.
+ */
+export const SEARCH_FACETS = {
+    category: { filter: 'category', pipeline: countValues('category'), format: toValues },
+    furnishing: { filter: 'furnishing', pipeline: countValues('furnishing'), format: toValues },
+    bedrooms: {
+        filter: 'bedrooms',
+        pipeline: () => [
+            { $match: { bedrooms: { $ne: null } } },
+            { $group: { _id: '$bedrooms', count: { $sum: 1 } } },
+            { $sort: { _id: 1 } }
+        ],
+        format: toValues
+    },
+    amenities: {
+        filter: 'amenities',
+        conjunctive: true,
+        pipeline: () => [
+            { $unwind: '$amenities' },
+            { $sortByCount: '$amenities' },
+            { $limit: AMENITY_FACET_LIMIT }
+        ],
+        format: toValues
+    },
+    preferredTenants: {
+        filter: 'preferredTenants',
+        listingTypes: [LISTING_TYPES.RENT],
+        pipeline: countValues('preferredTenants'),
+        format: toValues
+    },
+    possessionStatus: {
+        filter: 'possessionStatus',
+        listingTypes: [LISTING_TYPES.BUY],
+        pipeline: countValues('possessionStatus'),
+        format: toValues
+    },
+    price: { filter: 'price', pipeline: countPrices(bucketBounds), format: toRanges(bucketBounds) },
+    priceHistogram: { filter: 'price', pipeline: countPrices(histogramBounds), format: toRanges(histogramBounds) }
+};
+
+/**
+ * Sort options; price sorts use the listing type's price field
+ */
+const SORTS = {
+    newest: () => ({ createdAt: -1 }),
+    oldest: () => ({ createdAt: 1 }),
+    featured: () => ({ featured: -1, createdAt: -1 }),
+    price_low_to_high: (priceField) => ({ [priceField]: 1, createdAt: -1 }),
+    price_high_to_low: (priceField) => ({ [priceField]: -1, createdAt: -1 }),
+    rent_low_to_high: (priceField) => ({ [priceField]: 1, createdAt: -1 }),
+    rent_high_to_low: (priceField) => ({ [priceField]: -1, createdAt: -1 })
+};
+
+/**
+ * PropertySearchService runs every listing search and listing page: the
+ * general, rent and buy search endpoints, the GET listing routes and saved
+ * search matching all build their queries from the same filter registry.
+ */
+class PropertySearchService {
+    /**
+     * Normalize a search request body or query string into search criteria.
+     * Accepts the shapes the clients send: q/query/searchQuery for text,
+     * location/city for the place, filters in a `filters` object or at the
+     * top level, page/limit/sort and an optional `geo` area.
+     *
+     * @param {object} input - Request body or query parameters
+     * @returns {{text: string, location: string, page: number, limit: number, sort: string, geo: object, filters: object}}
+     */
+    normalizeCriteria(input = {}) {
+        const nested = input.filters && typeof input.filters === 'object' ? input.filters : {};
+        const location = input.location || input.city || nested.location || nested.city || '';
+
+        return {
+            text: String(input.q || input.query || input.searchQuery || '').trim(),
+            // "Pune, Maharashtra" searches for Pune
+            location: String(location).split(',')[0].trim(),
+            page: Math.max(1, Math.floor(toNumber(input.page) || 1)),
+            limit: Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(toNumber(input.limit) || DEFAULT_PAGE_SIZE))),
+            sort: String(input.sort || 'newest'),
+            geo: input.geo || null,
+            filters: this.collectFilters([nested, input])
+        };
+    }
+
+    /**
+     * Pick the registry filters out of one or more sources. The first
+     * non-empty value wins, so nested `filters` take precedence over
+     * top-level parameters.
+     *
+     * @param {object[]} sources - Objects holding filter values
+     * @returns {object} Filter values keyed by registry name
+     */
+    collectFilters(sources) {
+        const filters = {};
+
+        Object.entries(SEARCH_FILTERS).forEach(([key, definition]) => {
+            const names = [key, ...(definition.aliases || [])];
+
+            for (const source of sources) {
+                const name = names.find(n => !isEmpty(source[n]));
+                if (name) {
+                    filters[key] = source[name];
+                    return;
+                }
+
+                if (definition.kind === 'range') {
+                    const flat = names.find(n =>
+                        !isEmpty(source[`min${capitalize(n)}`]) || !isEmpty(source[`max${capitalize(n)}`]));
+                    if (flat) {
+                        filters[key] = {
+                            min: source[`min${capitalize(flat)}`],
+                            max: source[`max${capitalize(flat)}`]
+                        };
+                        return;
+                    }
+                }
+            }
+        });
+
+        return filters;
+    }
+
+    /**
+     * Build the conditions for the registry filters in the criteria
+     * @param {object} criteria - From normalizeCriteria
+     * @param {string} listingType - Filters limited to the other listing type are skipped
+     * @returns {Array<{key: string, condition: object}>}
+     */
+    buildFilterConditions(criteria, listingType) {
+        const conditions = [];
+
+        Object.entries(criteria.filters || {}).forEach(([key, value]) => {
+            const definition = SEARCH_FILTERS[key];
+            if (!definition || isEmpty(value)) return;
+            if (listingType && definition.listingTypes && !definition.listingTypes.includes(listingType)) return;
+
+            const field = typeof definition.field === 'function'
+                ? definition.field(listingType)
+                : definition.field || key;
+            const condition = FILTER_KINDS[definition.kind](field, value);
+            if (condition) conditions.push({ key, condition });
+        });
+
+        return conditions;
+    }
+
+    /**
+     * Build the Property filter for normalized criteria
+     * @param {object} criteria - From normalizeCriteria
+     * @param {string} listingType - "rent", "buy" or undefined for every listing
+     * @param {object} options - { exclude: registry filter keys to leave out }
+     * @returns {object} MongoDB filter
+     */
+    buildFilter(criteria, listingType, { exclude = [] } = {}) {
+        const and = [];
+        const filter = {
+            isDeleted: false,
+            status: 'active'
+        };
+
+        if (listingType === LISTING_TYPES.BUY) {
+            filter.listingType = LISTING_TYPES.BUY;
+        } else if (listingType === LISTING_TYPES.RENT) {
+            // Legacy properties without listingType are rentals
+            filter.listingType = { $in: [LISTING_TYPES.RENT, null] };
+        }
+
+        if (criteria.text) {
+            const regex = new RegExp(escapeRegex(criteria.text), 'i');
+            and.push({ $or: TEXT_FIELDS.map(field => ({ [field]: regex })) });
+        }
+
+        if (criteria.location) {
+            const regex = new RegExp(escapeRegex(criteria.location), 'i');
+            and.push({ $or: [{ city: regex }, { address: regex }] });
+        }
+
+        this.buildFilterConditions(criteria, listingType)
+            .filter(({ key }) => !exclude.includes(key))
+            .forEach(({ condition }) => and.push(condition));
+
+        if (and.length > 0) filter.$and = and;
+
+        return filter;
+    }
+
+    /**
+     * Build the $facet branches for a search. Filters that facets count
+     * options for are applied per branch rather than up front, so each facet
+     * can leave its own filter out.
+     *
+     * @param {object} criteria - Normalized criteria
+     * @param {string} listingType
+     * @returns {{filter: object, branches: object, selection: object}} The filter
+     * for the first stage, the facet branches and the $match stage that applies
+     * the remaining filters to the results
+     */
+    buildFacets(criteria, listingType) {
+        const facets = Object.entries(SEARCH_FACETS)
+            .filter(([, facet]) => !facet.listingTypes || facet.listingTypes.includes(listingType));
+
+        const facetFilters = [...new Set(facets.map(([, facet]) => facet.filter))];
+        const conditions = this.buildFilterConditions(criteria, listingType)
+            .filter(({ key }) => facetFilters.includes(key));
+
+        const matchExcept = (key) => {
+            const and = conditions.filter(entry => entry.key !== key).map(entry => entry.condition);
+            return and.length > 0 ? [{ $match: { $and: and } }] : [];
+        };
+
+        const branches = {};
+        facets.forEach(([name, facet]) => {
+            branches[name] = [
+                ...matchExcept(facet.conjunctive ? null : facet.filter),
+                ...facet.pipeline(listingType)
+            ];
+        });
+
+        return {
+            filter: this.buildFilter(criteria, listingType, { exclude: facetFilters }),
+            branches,
+            selection: matchExcept(null)
+        };
+    }
+
+    /**
+     * Shape raw $facet output into { value, count } lists and price ranges
+     * @param {object} raw - First $facet document
+     * @param {string} listingType
+     * @returns {object}
+     */
+    formatFacets(raw, listingType) {
+        const facets = {};
+
+        Object.entries(SEARCH_FACETS).forEach(([name, facet]) => {
+            if (raw[name]) facets[name] = facet.format(raw[name], listingType);
+        });
+
+        return facets;
+    }
+
+    /**
+     * Pick the sort stage for a search
+     * @param {object} criteria - Normalized criteria
+     * @param {object|null} geo - Parsed geo search
+     * @param {string} priceField - Price field of the listing type
+     * @returns {object} $sort specification
+     */
+    resolveSort(criteria, geo, priceField) {
+        if (sortsByDistance(geo, criteria.sort)) {
+            return { distanceKm: 1 };
+        }
+        if (criteria.text && (criteria.sort === 'newest' || criteria.sort === 'relevance')) {
+            return { relevanceScore: -1, createdAt: -1 };
+        }
+        return (SORTS[criteria.sort] || SORTS.newest)(priceField);
+    }
+
+    /**
+     * Search listings. Results, the total and (optionally) facet counts come
+     * from a single aggregation, cached per pipeline.
+     *
+     * @param {object} input - Request body or query parameters (see normalizeCriteria)
+     * @param {object} options - { listingType, facets = false }
+     * @returns {Promise<{success: boolean, items?: Array, total?: number, page?: number, pageSize?: number, totalPages?: number, hasMore?: boolean, facets?: object, error?: string, code?: string}>}
+     */
+    async search(input = {}, { listingType, facets = false } = {}) {
+        try {
+            const criteria = this.normalizeCriteria(input);
+
+            const { geo, error: geoError } = parseGeoSearch(criteria.geo);
+            if (geoError) {
+                return {
+                    success: false,
+                    error: geoError,
+                    code: 'INVALID_GEO_SEARCH'
+                };
+            }
+
+            const priceField = getPriceField(listingType);
+            const skip = (criteria.page - 1) * criteria.limit;
+
+            const { filter, branches, selection } = facets
+                ? this.buildFacets(criteria, listingType)
+                : { filter: this.buildFilter(criteria, listingType), branches: {}, selection: [] };
+
+            // Geo searches start with $geoNear, which adds distanceKm to every result
+            const pipeline = [geo ? buildGeoNearStage(geo, filter) : { $match: filter }];
+
+            if (criteria.text) {
+                const pattern = escapeRegex(criteria.text);
+                pipeline.push({
+                    $addFields: {
+                        relevanceScore: {
+                            $add: [
+                                { $cond: [{ $regexMatch: { input: '$title', regex: pattern, options: 'i' } }, 10, 0] },
+                                { $cond: [{ $regexMatch: { input: '$category', regex: pattern, options: 'i' } }, 5, 0] },
+                                { $cond: [{ $regexMatch: { input: { $ifNull: ['$propertyType', ''] }, regex: pattern, options: 'i' } }, 3, 0] }
+                            ]
+                        }
+                    }
+                });
+            }
+
+            pipeline.push({
+                $facet: {
+                    metadata: [...selection, { $count: 'total' }],
+                    data: [
+                        ...selection,
+                        { $sort: this.resolveSort(criteria, geo, priceField) },
+                        { $skip: skip },
+                        { $limit: criteria.limit }
+                    ],
+                    ...branches
+                }
+            });
+
+            const result = await propertySearchCache.wrap(
+                { route: 'search', pipeline },
+                async () => {
+                    const [raw] = await Property.aggregate(pipeline);
+                    return {
+                        items: raw.data,
+                        total: raw.metadata[0] ? raw.metadata[0].total : 0,
+                        facets: facets ? this.formatFacets(raw, listingType) : undefined
+                    };
+                },
+                { tags: cached => propertySearchTags(cached.items) }
+            );
+
+            const totalPages = Math.ceil(result.total / criteria.limit);
+
+            return {
+                success: true,
+                items: result.items,
+                total: result.total,
+                page: criteria.page,
+                pageSize: criteria.limit,
+                totalPages,
+                hasMore: criteria.page < totalPages,
+                facets: result.facets
+            };
+
+        } catch (error) {
+            console.error('Error in property search:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+}
+
+// Create and export a singleton instance
+const propertySearchService = new PropertySearchService();
+export default propertySearchService;
@@ -0,0 +1,221 @@
+import webpush from 'web-push';
+import { PushSubscription } from '../../models/PushSubscription.js';
+
+// Subscriptions that fail this many sends in a row are dropped
+const MAX_CONSECUTIVE_FAILURES = 5;
+
+// How long push services hold a notification for an offline device (seconds)
+const DEFAULT_TTL = 24 * 60 * 60;
+
+/**
+ * Push Service for sending Web Push notifications to users' browsers
+ * Signs requests with the VAPID key pair from environment variables
+ */
+class PushService {
+    constructor() {
+        this.isConfigured = false;
+        this.publicKey = null;
+        this.initializeClient();
+    }
+
+    /**
+     * Set up VAPID details from environment configuration
+     */
+    initializeClient() {
+        try {
+            const publicKey = process.env.VAPID_PUBLIC_KEY;
+            const privateKey = process.env.VAPID_PRIVATE_KEY;
+            const subject = process.env.VAPID_SUBJECT
+                || (process.env.SMTP_FROM ? `mailto:${process.env.SMTP_FROM}` : null);
+
+            if (!publicKey || !privateKey || !subject) {
+                console.log('Push service disabled (no VAPID config)');
+                return;
+            }
+
+            webpush.setVapidDetails(subject, publicKey, privateKey);
+            this.publicKey = publicKey;
+            this.isConfigured = true;
+
+            console.log('Push service is ready to send Web Push notifications');
+
+        } catch (error) {
+            console.error('Failed to initialize Web Push, push notifications disabled:', error.message);
+        }
+    }
+
+    /**
+     * Public VAPID key browsers need to subscribe
+     * @returns {string|null}
+     */
+    getPublicKey() {
+        return this.publicKey;
+    }
+
+    /**
+     * Save a browser's push subscription for a user. A browser that was
+     * subscribed for another account is moved to this one.
+     *
+     * @param {string} userId - The user's ID
+     * @param {object} subscription - PushSubscription JSON from the browser: { endpoint, keys, expirationTime }
+     * @param {string} userAgent - Browser user agent, to tell devices apart
+     * @returns {Promise<{success: boolean, subscription?: object, error?: string, code?: string}>}
+     */
+    async subscribe(userId, { endpoint, keys, expirationTime = null }, userAgent = '') {
+        try {
+            const subscription = await PushSubscription.findOneAndUpdate(
+                { endpoint },
+                {
+                    $set: {
+                        userId,
+                        keys: { p256dh: keys.p256dh, auth: keys.auth },
+                        expirationTime: expirationTime ? new Date(expirationTime) : null,
+                        userAgent: userAgent.slice(0, 500),
+                        failureCount: 0
+                    }
+                },
+                { upsert: true, new: true, setDefaultsOnInsert: true }
+            );
+
+            return {
+                success: true,
+                subscription
+            };
+
+        } catch (error) {
+            console.error('Error in subscribe:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Remove a browser's push subscription
+     *
+     * @param {string} userId - The user's ID
+     * @param {string} endpoint - Subscription endpoint
+     * @returns {Promise<{success: boolean, removed?: boolean, error?: string, code?: string}>}
+     */
+    async unsubscribe(userId, endpoint) {
+        try {
+            const result = await PushSubscription.deleteOne({ userId, endpoint });
+
+            return {
+                success: true,
+                removed: result.deletedCount > 0
+            };
+
+        } catch (error) {
+            console.error('Error in unsubscribe:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Send a notification to every device the user subscribed. Subscriptions
+     * the push service reports as gone are removed.
+     *
+     * @param {string} userId - The user's ID
+     * @param {object} payload - { type, title, body, url, tag }, read by the service worker
+     * @param {object} options - { ttl, urgency }
+     * @returns {Promise<{success: boolean, sent?: number, results?: Array, error?: string, code?: string}>}
+     */
+    async sendToUser(userId, payload, { ttl = DEFAULT_TTL, urgency = 'normal' } = {}) {
+        if (!this.isConfigured) {
+            return {
+                success: false,
+                error: 'Push notifications are not configured',
+                code: 'PUSH_NOT_CONFIGURED'
+            };
+        }
+
+        try {
+            const subscriptions = await PushSubscription.find({ userId }).lean();
+            const body = JSON.stringify(payload);
+
+            const results = await Promise.all(subscriptions.map(async (subscription) => {
+                try {
+                    await webpush.sendNotification(
+                        { endpoint: subscription.endpoint, keys: subscription.keys },
+                        body,
+                        { TTL: ttl, urgency }
+                    );
+
+                    await PushSubscription.updateOne(
+                        { _id: subscription._id },
+                        { $set: { lastSuccessAt: new Date(), failureCount: 0 } }
+                    );
+
+                    return { endpoint: subscription.endpoint, success: true };
+
+                } catch (error) {
+                    // 404 and 410 mean the browser unsubscribed or the subscription expired
+                    const gone = error.statusCode === 404 || error.statusCode === 410;
+                    if (gone || subscription.failureCount + 1 >= MAX_CONSECUTIVE_FAILURES) {
+                        await PushSubscription.deleteOne({ _id: subscription._id });
+                    } else {
+                        await PushSubscription.updateOne(
+                            { _id: subscription._id },
+                            { $inc: { failureCount: 1 } }
+                        );
+                    }
+
+                    return {
+                        endpoint: subscription.endpoint,
+                        success: false,
+                        statusCode: error.statusCode,
+                        error: error.message
+                    };
+                }
+            }));
+
+            const sent = results.filter(r => r.success).length;
+
+            return {
+                success: sent > 0,
+                sent,
+                results
+            };
+
+        } catch (error) {
+            console.error('Error in sendToUser:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Check if service is ready
+     * @returns {boolean}
+     */
+    isReady() {
+        return this.isConfigured;
+    }
+
+    /**
+     * Get service status information
+     * @returns {object} Service status details
+     */
+    getStatus() {
+        return {
+            configured: this.isConfigured,
+            publicKey: process.env.VAPID_PUBLIC_KEY ? 'configured' : 'not configured',
+            privateKey: process.env.VAPID_PRIVATE_KEY ? 'configured' : 'not configured',
+            subject: process.env.VAPID_SUBJECT ? 'configured' : 'not configured'
+        };
+    }
+}
+
+// Create and export a singleton instance
+const pushService = new PushService();
+export default pushService;
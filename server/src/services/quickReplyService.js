@@ -0,0 +1,298 @@
+import mongoose from 'mongoose';
+import { User } from '../../models/User.js';
+import { Conversation } from '../../models/Conversation.js';
+import { Property } from '../../models/Property.js';
+
+export const MAX_QUICK_REPLIES = 20;
+
+/**
+ * Placeholders available in quick replies and auto-responses, written as
+ * {{name}}. Unknown placeholders are left as typed.
+ */
+export const QUICK_REPLY_PLACEHOLDERS = {
+    title: 'Property title',
+    rent: 'Monthly rent',
+    price: 'Monthly rent, or selling price for sale listings',
+    deposit: 'Security deposit',
+    availableFrom: 'Date the property is available from',
+    city: 'City'
+};
+
+// Property fields the placeholders read
+export const TEMPLATE_PROPERTY_FIELDS = 'title listingType monthlyRent sellingPrice securityDeposit availableFrom city';
+
+const PLACEHOLDER_PATTERN = /\{\{\s*(\w+)\s*\}\}/g;
+
+const formatAmount = (amount) => (
+    typeof amount === 'number' ? `₹${amount.toLocaleString('en-IN')}` : 'on request'
+);
+
+/**
+ * QuickReplyService manages a user's saved chat replies and the
+ * auto-response sent to people who start a conversation about their property.
+ */
+class QuickReplyService {
+    /**
+     * Fill a template's placeholders from a property
+     *
+     * @param {string} text - Template text
+     * @param {object} property - Property with TEMPLATE_PROPERTY_FIELDS
+     * @returns {string} Rendered text
+     */
+    renderTemplate(text, property) {
+        if (!property) return text;
+
+        const availableFrom = property.availableFrom ? new Date(property.availableFrom) : null;
+        const values = {
+            title: property.title,
+            rent: formatAmount(property.monthlyRent),
+            price: formatAmount(property.listingType === 'buy' ? property.sellingPrice : property.monthlyRent),
+            deposit: formatAmount(property.securityDeposit),
+            availableFrom: !availableFrom ? 'on request'
+                : availableFrom <= new Date() ? 'immediately'
+                    : availableFrom.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' }),
+            city: property.city
+        };
+
+        return text.replace(PLACEHOLDER_PATTERN, (placeholder, name) => (
+            values[name] !== undefined && values[name] !== null ? String(values[name]) : placeholder
+        ));
+    }
+
+    /**
+     * Get the user's quick replies and auto-response. With a conversation,
+     * each reply also comes rendered for that conversation's property.
+     *
+     * @param {string} userId - The user's ID
+     * @param {object} options - { conversationId }
+     * @returns {Promise<{success: boolean, quickReplies?: Array, autoResponse?: object, placeholders?: object, error?: string, code?: string}>}
+     */
+    async getQuickReplies(userId, { conversationId } = {}) {
+        try {
+            const user = await User.findById(userId)
+                .select('chatQuickReplies chatAutoResponse')
+                .lean();
+            if (!user) {
+                return {
+                    success: false,
+                    error: 'User not found',
+                    code: 'USER_NOT_FOUND'
+                };
+            }
+
+            let property = null;
+            if (conversationId && (user.chatQuickReplies || []).length > 0) {
+                if (!mongoose.Types.ObjectId.isValid(conversationId)) {
+                    return {
+                        success: false,
+                        error: 'Invalid conversation ID',
+                        code: 'INVALID_ID'
+                    };
+                }
+
+                const conversation = await Conversation.findOne({
+                    _id: conversationId,
+                    participants: userId
+                }).select('property').lean();
+                if (!conversation) {
+                    return {
+                        success: false,
+                        error: 'Conversation not found',
+                        code: 'CONVERSATION_NOT_FOUND'
+                    };
+                }
+
+                property = await Property.findById(conversation.property)
+                    .select(TEMPLATE_PROPERTY_FIELDS)
+                    .lean();
+            }
+
+            return {
+                success: true,
+                quickReplies: (user.chatQuickReplies || []).map(reply => ({
+                    _id: reply._id,
+                    title: reply.title,
+                    text: reply.text,
+                    ...(property && { renderedText: this.renderTemplate(reply.text, property) })
+                })),
+                autoResponse: {
+                    enabled: Boolean(user.chatAutoResponse?.enabled),
+                    text: user.chatAutoResponse?.text || ''
+                },
+                placeholders: QUICK_REPLY_PLACEHOLDERS
+            };
+
+        } catch (error) {
+            console.error('Error in getQuickReplies:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Save a new quick reply
+     *
+     * @param {string} userId - The user's ID
+     * @param {object} reply - { title, text }
+     * @returns {Promise<{success: boolean, quickReply?: object, error?: string, code?: string}>}
+     */
+    async createQuickReply(userId, { title, text }) {
+        try {
+            const quickReply = { _id: new mongoose.Types.ObjectId(), title, text };
+
+            // The size check is part of the update so concurrent saves cannot pass the limit
+            const result = await User.updateOne(
+                { _id: userId, [`chatQuickReplies.${MAX_QUICK_REPLIES - 1}`]: { $exists: false } },
+                { $push: { chatQuickReplies: quickReply } },
+                { runValidators: true }
+            );
+
+            if (result.matchedCount === 0) {
+                return {
+                    success: false,
+                    error: `You can save up to ${MAX_QUICK_REPLIES} quick replies`,
+                    code: 'QUICK_REPLY_LIMIT'
+                };
+            }
+
+            return {
+                success: true,
+                quickReply
+            };
+
+        } catch (error) {
+            console.error('Error in createQuickReply:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Change a saved quick reply
+     *
+     * @param {string} userId - The user's ID
+     * @param {string} replyId - The quick reply's ID
+     * @param {object} reply - { title, text }
+     * @returns {Promise<{success: boolean, quickReply?: object, error?: string, code?: string}>}
+     */
+    async updateQuickReply(userId, replyId, { title, text }) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(replyId)) {
+                return {
+                    success: false,
+                    error: 'Invalid quick reply ID',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            const result = await User.updateOne(
+                { _id: userId, 'chatQuickReplies._id': replyId },
+                { $set: { 'chatQuickReplies.$.title': title, 'chatQuickReplies.$.text': text } },
+                { runValidators: true }
+            );
+
+            if (result.matchedCount === 0) {
+                return {
+                    success: false,
+                    error: 'Quick reply not found',
+                    code: 'QUICK_REPLY_NOT_FOUND'
+                };
+            }
+
+            return {
+                success: true,
+                quickReply: { _id: replyId, title, text }
+            };
+
+        } catch (error) {
+            console.error('Error in updateQuickReply:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Delete a saved quick reply
+     *
+     * @param {string} userId - The user's ID
+     * @param {string} replyId - The quick reply's ID
+     * @returns {Promise<{success: boolean, error?: string, code?: string}>}
+     */
+    async deleteQuickReply(userId, replyId) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(replyId)) {
+                return {
+                    success: false,
+                    error: 'Invalid quick reply ID',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            const result = await User.updateOne(
+                { _id: userId, 'chatQuickReplies._id': replyId },
+                { $pull: { chatQuickReplies: { _id: replyId } } }
+            );
+
+            if (result.matchedCount === 0) {
+                return {
+                    success: false,
+                    error: 'Quick reply not found',
+                    code: 'QUICK_REPLY_NOT_FOUND'
+                };
+            }
+
+            return { success: true };
+
+        } catch (error) {
+            console.error('Error in deleteQuickReply:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Turn the auto-response on or off and set its text
+     *
+     * @param {string} userId - The user's ID
+     * @param {object} autoResponse - { enabled, text }
+     * @returns {Promise<{success: boolean, autoResponse?: object, error?: string, code?: string}>}
+     */
+    async updateAutoResponse(userId, { enabled, text = '' }) {
+        try {
+            await User.updateOne(
+                { _id: userId },
+                { $set: { 'chatAutoResponse.enabled': enabled, 'chatAutoResponse.text': text } },
+                { runValidators: true }
+            );
+
+            return {
+                success: true,
+                autoResponse: { enabled, text }
+            };
+
+        } catch (error) {
+            console.error('Error in updateAutoResponse:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+}
+
+// Create and export a singleton instance
+const quickReplyService = new QuickReplyService();
+export default quickReplyService;
@@ -0,0 +1,452 @@
+import { RentalApplication } from '../../models/RentalApplication.js';
+import { Property } from '../../models/Property.js';
+import { User } from '../../models/User.js';
+import { Notification } from '../../models/Notification.js';
+import { setListingStatus } from './listingLifecycleService.js';
+import { LISTING_TYPES } from '../../../shared/propertyTypes.js';
+
+const OPEN_STATUSES = ['submitted', 'shortlisted'];
+
+// Status changes an owner may make, by current status
+const OWNER_TRANSITIONS = {
+    submitted: ['shortlisted', 'accepted', 'rejected'],
+    shortlisted: ['accepted', 'rejected']
+};
+
+const APPLICANT_FIELDS = 'name email phone avatar';
+const PROPERTY_FIELDS = 'title slug city locality monthlyRent photos status listingType';
+
+// Applicant-facing notification per owner decision
+const STATUS_NOTIFICATIONS = {
+    shortlisted: {
+        title: 'Application shortlisted',
+        message: (title) => `Your application for "${title}" has been shortlisted by the owner.`
+    },
+    accepted: {
+        title: 'Application accepted',
+        message: (title) => `Good news! Your application for "${title}" has been accepted. The owner will be in touch about next steps.`
+    },
+    rejected: {
+        title: 'Application not successful',
+        message: (title) => `Your application for "${title}" was not successful this time.`
+    }
+};
+
+/**
+ * RentalApplicationService handles rental applications from seekers and the
+ * owner's screening decisions (shortlist, accept, reject).
+ */
+class RentalApplicationService {
+    /**
+     * Check that a user may apply for a property: an active rent listing they
+     * don't own and have no open application for. Call before uploading
+     * documents so rejected applications don't leave orphaned files.
+     *
+     * @param {string} applicantId - Applying user's ID
+     * @param {string} propertyId - Property ID
+     * @returns {Promise<{success: boolean, property?: object, error?: string, code?: string}>}
+     */
+    async checkEligibility(applicantId, propertyId) {
+        try {
+            const property = await Property.findOne({ _id: propertyId, isDeleted: false })
+                .select('ownerId title status listingType')
+                .lean();
+
+            if (!property) {
+                return { success: false, error: 'Property not found', code: 'PROPERTY_NOT_FOUND' };
+            }
+            // Legacy listings without a listing type are rent listings
+            if (property.listingType && property.listingType !== LISTING_TYPES.RENT) {
+                return { success: false, error: 'Applications are only accepted for rent listings', code: 'NOT_RENT_LISTING' };
+            }
+            if (property.status !== 'active') {
+                return { success: false, error: 'This property is no longer accepting applications', code: 'PROPERTY_INACTIVE' };
+            }
+            if (property.ownerId.toString() === applicantId.toString()) {
+                return { success: false, error: 'You cannot apply to your own property', code: 'OWN_PROPERTY' };
+            }
+
+            const existing = await RentalApplication.exists({
+                propertyId,
+                applicantId,
+                status: { $in: OPEN_STATUSES }
+            });
+            if (existing) {
+                return { success: false, error: 'You already have an open application for this property', code: 'DUPLICATE_APPLICATION' };
+            }
+
+            return { success: true, property };
+        } catch (error) {
+            console.error('Error in checkEligibility:', error);
+            return { success: false, error: error.message, code: 'INTERNAL_ERROR' };
+        }
+    }
+
+    /**
+     * Submit an application for a rent listing
+     * @param {string} applicantId - Applying user's ID
+     * @param {string} propertyId - Property ID
+     * @param {object} data - { householdSize, moveInDate, occupation, incomeRange, message }
+     * @param {Array} documents - Uploaded document metadata
+     * @returns {Promise<{success: boolean, application?: object, error?: string, code?: string}>}
+     */
+    async submitApplication(applicantId, propertyId, data, documents = []) {
+        try {
+            const eligibility = await this.checkEligibility(applicantId, propertyId);
+            if (!eligibility.success) return eligibility;
+
+            const { property } = eligibility;
+
+            const application = await RentalApplication.create({
+                ...data,
+                propertyId,
+                ownerId: property.ownerId,
+                applicantId,
+                documents,
+                statusHistory: [{ status: 'submitted', changedBy: applicantId }]
+            });
+
+            const applicant = await User.findById(applicantId).select('name').lean();
+            await this.notify(property.ownerId, {
+                title: 'New rental application',
+                message: `${applicant?.name || 'Someone'} applied to rent "${property.title}".`,
+                propertyId,
+                applicationId: application._id
+            });
+
+            return { success: true, application: application.toObject() };
+        } catch (error) {
+            console.error('Error in submitApplication:', error);
+            return { success: false, error: error.message, code: 'INTERNAL_ERROR' };
+        }
+    }
+
+    /**
+     * Applications the user has submitted
+     * @param {string} applicantId - Applicant's user ID
+     * @param {object} options - { status, page, limit }
+     * @returns {Promise<{success: boolean, applications?: Array, pagination?: object, error?: string, code?: string}>}
+     */
+    async listSubmitted(applicantId, { status, page = 1, limit = 20 } = {}) {
+        try {
+            const query = { applicantId };
+            if (status) query.status = status;
+
+            return await this.paginate(query, page, limit, (q) => q
+                .select('-statusHistory')
+                .populate('propertyId', PROPERTY_FIELDS)
+                .populate('ownerId', 'name avatar'));
+        } catch (error) {
+            console.error('Error in listSubmitted:', error);
+            return { success: false, error: error.message, code: 'INTERNAL_ERROR' };
+        }
+    }
+
+    /**
+     * Applications received on the owner's listings
+     * @param {string} ownerId - Owner's user ID
+     * @param {object} options - { propertyId, status, page, limit }
+     * @returns {Promise<{success: boolean, applications?: Array, pagination?: object, error?: string, code?: string}>}
+     */
+    async listReceived(ownerId, { propertyId, status, page = 1, limit = 20 } = {}) {
+        try {
+            const query = { ownerId, status: { $ne: 'withdrawn' } };
+            if (propertyId) query.propertyId = propertyId;
+            if (status) query.status = status;
+
+            return await this.paginate(query, page, limit, (q) => q
+                .populate('propertyId', PROPERTY_FIELDS)
+                .populate('applicantId', APPLICANT_FIELDS));
+        } catch (error) {
+            console.error('Error in listReceived:', error);
+            return { success: false, error: error.message, code: 'INTERNAL_ERROR' };
+        }
+    }
+
+    /**
+     * A single application, visible to its applicant and the property owner
+     * @param {string} userId - Requesting user's ID
+     * @param {string} applicationId - Application ID
+     * @returns {Promise<{success: boolean, application?: object, error?: string, code?: string}>}
+     */
+    async getApplication(userId, applicationId) {
+        try {
+            const application = await RentalApplication.findOne({
+                _id: applicationId,
+                $or: [{ applicantId: userId }, { ownerId: userId }]
+            })
+                .populate('propertyId', PROPERTY_FIELDS)
+                .populate('applicantId', APPLICANT_FIELDS)
+                .populate('ownerId', 'name avatar')
+                .lean();
+
+            if (!application) {
+                return { success: false, error: 'Application not found', code: 'NOT_FOUND' };
+            }
+
+            return { success: true, application: this.format(application) };
+        } catch (error) {
+            console.error('Error in getApplication:', error);
+            return { success: false, error: error.message, code: 'INTERNAL_ERROR' };
+        }
+    }
+
+    /**
+     * Shortlist, accept or reject an application (property owner only).
+     * Accepting marks the property inactive and rejects the other open
+     * applications for it; it is refused once one application is accepted.
+     *
+     * @param {string} ownerId - Owner's user ID
+     * @param {string} applicationId - Application ID
+     * @param {string} status - "shortlisted", "accepted" or "rejected"
+     * @param {string} note - Optional note shown to the applicant
+     * @returns {Promise<{success: boolean, application?: object, closedApplications?: number, error?: string, code?: string}>}
+     */
+    async updateStatus(ownerId, applicationId, status, note = '') {
+        try {
+            const application = await RentalApplication.findOne({ _id: applicationId, ownerId })
+                .select('status propertyId ownerNote')
+                .lean();
+            if (!application) {
+                return { success: false, error: 'Application not found', code: 'NOT_FOUND' };
+            }
+
+            const allowed = OWNER_TRANSITIONS[application.status] || [];
+            if (!allowed.includes(status)) {
+                return {
+                    success: false,
+                    error: `A ${application.status} application cannot be ${status}`,
+                    code: 'INVALID_TRANSITION'
+                };
+            }
+
+            if (status === 'accepted') {
+                const alreadyAccepted = await RentalApplication.exists({
+                    propertyId: application.propertyId,
+                    status: 'accepted'
+                });
+                if (alreadyAccepted) {
+                    return { success: false, error: 'Another application for this property has already been accepted', code: 'ALREADY_ACCEPTED' };
+                }
+            }
+
+            // Only move on from a status the change is allowed from, in case the
+            // applicant withdrew or another request decided it in the meantime.
+            // The unique index on accepted applications stops two accepts racing.
+            const changedAt = new Date();
+            const fromStatuses = Object.keys(OWNER_TRANSITIONS).filter(from => OWNER_TRANSITIONS[from].includes(status));
+            const $set = { status };
+            if (note) $set.ownerNote = note;
+            if (status === 'accepted' || status === 'rejected') $set.decidedAt = changedAt;
+
+            let updated;
+            try {
+                updated = await RentalApplication.findOneAndUpdate(
+                    { _id: applicationId, ownerId, status: { $in: fromStatuses } },
+                    { $set, $push: { statusHistory: { status, changedBy: ownerId, note, changedAt } } },
+                    { new: true }
+                );
+            } catch (error) {
+                if (error.code === 11000) {
+                    return { success: false, error: 'Another application for this property has already been accepted', code: 'ALREADY_ACCEPTED' };
+                }
+                throw error;
+            }
+            if (!updated) {
+                return { success: false, error: 'This application has changed since it was loaded', code: 'INVALID_TRANSITION' };
+            }
+
+            let closedApplications = 0;
+            if (status === 'accepted') {
+                // Take the listing off the market; undo the accept if that fails
+                // (e.g. the listing is blocked) so it is not let while still live
+                const listing = await setListingStatus(updated.propertyId, ownerId, 'inactive');
+                if (!listing.success) {
+                    await RentalApplication.updateOne(
+                        { _id: updated._id, status: 'accepted' },
+                        {
+                            $set: { status: application.status, ownerNote: application.ownerNote || '', decidedAt: null },
+                            $pop: { statusHistory: 1 }
+                        }
+                    );
+                    return {
+                        success: false,
+                        error: listing.error,
+                        code: listing.code === 'BLOCKED' ? 'PROPERTY_BLOCKED' : listing.code
+                    };
+                }
+            }
+
+            const property = await Property.findById(updated.propertyId).select('title').lean();
+            const title = property?.title || 'the property';
+
+            await this.notify(updated.applicantId, {
+                title: STATUS_NOTIFICATIONS[status].title,
+                message: `${STATUS_NOTIFICATIONS[status].message(title)}${note ? ` Note from the owner: ${note}` : ''}`,
+                propertyId: updated.propertyId,
+                applicationId: updated._id
+            });
+
+            if (status === 'accepted') {
+                closedApplications = await this.closeOtherApplications(updated, ownerId, title);
+            }
+
+            return { success: true, application: updated.toObject(), closedApplications };
+        } catch (error) {
+            console.error('Error in updateStatus:', error);
+            return { success: false, error: error.message, code: 'INTERNAL_ERROR' };
+        }
+    }
+
+    /**
+     * Withdraw an open application (applicant only)
+     * @param {string} applicantId - Applicant's user ID
+     * @param {string} applicationId - Application ID
+     * @returns {Promise<{success: boolean, application?: object, error?: string, code?: string}>}
+     */
+    async withdrawApplication(applicantId, applicationId) {
+        try {
+            const application = await RentalApplication.findOne({ _id: applicationId, applicantId });
+            if (!application) {
+                return { success: false, error: 'Application not found', code: 'NOT_FOUND' };
+            }
+            if (!OPEN_STATUSES.includes(application.status)) {
+                return { success: false, error: `A ${application.status} application cannot be withdrawn`, code: 'INVALID_TRANSITION' };
+            }
+
+            this.applyStatus(application, 'withdrawn', applicantId);
+            await application.save();
+
+            const [property, applicant] = await Promise.all([
+                Property.findById(application.propertyId).select('title').lean(),
+                User.findById(applicantId).select('name').lean()
+            ]);
+            await this.notify(application.ownerId, {
+                title: 'Application withdrawn',
+                message: `${applicant?.name || 'An applicant'} withdrew their application for "${property?.title || 'your property'}".`,
+                propertyId: application.propertyId,
+                applicationId: application._id
+            });
+
+            return { success: true, application: application.toObject() };
+        } catch (error) {
+            console.error('Error in withdrawApplication:', error);
+            return { success: false, error: error.message, code: 'INTERNAL_ERROR' };
+        }
+    }
+
+    /**
+     * Reject the remaining open applications once another one is accepted
+     * @returns {Promise<number>} Number of applications closed
+     */
+    async closeOtherApplications(accepted, ownerId, title) {
+        const others = await RentalApplication.find({
+            propertyId: accepted.propertyId,
+            _id: { $ne: accepted._id },
+            status: { $in: OPEN_STATUSES }
+        });
+
+        const note = 'The property has been let to another applicant.';
+        for (const application of others) {
+            this.applyStatus(application, 'rejected', ownerId, note);
+            await application.save();
+            await this.notify(application.applicantId, {
+                title: 'Property no longer available',
+                message: `"${title}" has been let to another applicant, so your application has been closed.`,
+                propertyId: application.propertyId,
+                applicationId: application._id
+            });
+        }
+
+        return others.length;
+    }
+
+    /**
+     * Close the accepted application of a property that is listed again, so a
+     * new application can be accepted for the new listing cycle. Call whenever
+     * a listing becomes active.
+     * @param {string} propertyId - Property ID
+     * @param {string} changedBy - User reactivating the listing
+     * @returns {Promise<number>} Number of applications closed
+     */
+    async closeAcceptedApplications(propertyId, changedBy) {
+        try {
+            const accepted = await RentalApplication.find({ propertyId, status: 'accepted' });
+
+            for (const application of accepted) {
+                application.status = 'closed';
+                application.statusHistory.push({
+                    status: 'closed',
+                    changedBy,
+                    note: 'The property was listed again.',
+                    changedAt: new Date()
+                });
+                await application.save();
+            }
+
+            return accepted.length;
+        } catch (error) {
+            console.error('[Applications] Error closing accepted applications:', error.message);
+            return 0;
+        }
+    }
+
+    applyStatus(application, status, changedBy, note = '') {
+        application.status = status;
+        application.statusHistory.push({ status, changedBy, note, changedAt: new Date() });
+        if (note) application.ownerNote = note;
+        if (status === 'accepted' || status === 'rejected') application.decidedAt = new Date();
+    }
+
+    async notify(recipient, { title, message, propertyId, applicationId }) {
+        try {
+            await Notification.create({
+                recipient,
+                type: 'application',
+                title,
+                message,
+                data: { propertyId, applicationId }
+            });
+        } catch (error) {
+            console.error('[Applications] Error creating notification:', error.message);
+        }
+    }
+
+    async paginate(query, page, limit, populate) {
+        const skip = (page - 1) * limit;
+        const [applications, total] = await Promise.all([
+            populate(RentalApplication.find(query))
+                .sort({ createdAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            RentalApplication.countDocuments(query)
+        ]);
+
+        return {
+            success: true,
+            applications: applications.map(application => this.format(application)),
+            pagination: {
+                page,
+                limit,
+                total,
+                pages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * Rename populated references to property/applicant/owner
+     */
+    format({ propertyId, applicantId, ownerId, ...application }) {
+        return {
+            ...application,
+            property: propertyId,
+            applicant: applicantId,
+            owner: ownerId
+        };
+    }
+}
+
+const rentalApplicationService = new RentalApplicationService();
+export default rentalApplicationService;
@@ -0,0 +1,452 @@
+import mongoose from 'mongoose';
+import { Review } from '../../models/Review.js';
+import { Property } from '../../models/Property.js';
+import { Conversation } from '../../models/Conversation.js';
+
+/**
+ * Number of distinct user reports after which an approved review is
+ * pulled back into the moderation queue.
+ */
+export const REPORT_THRESHOLD = 3;
+
+const PUBLIC_REVIEW_FIELDS = 'rating comment isVerifiedPurchase helpfulCount createdAt userId';
+
+/**
+ * ReviewService handles public property reviews: submission by tenants who
+ * have contacted the owner, listing approved reviews, rating summaries and
+ * community feedback (helpful votes and reports).
+ */
+class ReviewService {
+    /**
+     * Check whether a user may review a property.
+     * Users must have had a conversation about the property, cannot review
+     * their own listing and can only review each property once.
+     *
+     * @param {string} userId - The reviewing user's ID
+     * @param {string} propertyId - The property ID
+     * @returns {Promise<{success: boolean, canReview?: boolean, reason?: string, existingReview?: object, error?: string, code?: string}>}
+     */
+    async checkEligibility(userId, propertyId) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(userId) ||
+                !mongoose.Types.ObjectId.isValid(propertyId)) {
+                return {
+                    success: false,
+                    error: 'Invalid user or property ID',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            const property = await Property.findOne({
+                _id: propertyId,
+                isDeleted: false
+            }).select('ownerId').lean();
+
+            if (!property) {
+                return {
+                    success: false,
+                    error: 'Property not found',
+                    code: 'PROPERTY_NOT_FOUND'
+                };
+            }
+
+            if (property.ownerId?.toString() === userId.toString()) {
+                return { success: true, canReview: false, reason: 'OWN_PROPERTY' };
+            }
+
+            const existingReview = await Review.findOne({ propertyId, userId })
+                .select('rating comment status createdAt')
+                .lean();
+
+            if (existingReview) {
+                return { success: true, canReview: false, reason: 'ALREADY_REVIEWED', existingReview };
+            }
+
+            const hasConversation = await Conversation.exists({
+                property: propertyId,
+                participants: userId
+            });
+
+            if (!hasConversation) {
+                return { success: true, canReview: false, reason: 'NO_CONVERSATION' };
+            }
+
+            return { success: true, canReview: true };
+
+        } catch (error) {
+            console.error('Error in checkEligibility:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Submit a review for a property. New reviews are queued as 'pending'
+     * for admin moderation and flagged as verified since eligibility
+     * requires a prior conversation about the property.
+     *
+     * @param {string} userId - The reviewing user's ID
+     * @param {string} propertyId - The property ID
+     * @param {{rating: number, comment?: string}} data - Review content
+     * @returns {Promise<{success: boolean, review?: object, error?: string, code?: string}>}
+     */
+    async createReview(userId, propertyId, { rating, comment = '' }) {
+        try {
+            const eligibility = await this.checkEligibility(userId, propertyId);
+            if (!eligibility.success) {
+                return eligibility;
+            }
+
+            if (!eligibility.canReview) {
+                const errors = {
+                    OWN_PROPERTY: 'You cannot review your own property',
+                    ALREADY_REVIEWED: 'You have already reviewed this property',
+                    NO_CONVERSATION: 'Only users who have contacted the owner about this property can review it'
+                };
+                return {
+                    success: false,
+                    error: errors[eligibility.reason],
+                    code: eligibility.reason
+                };
+            }
+
+            const review = await Review.create({
+                propertyId,
+                userId,
+                rating,
+                comment,
+                status: 'pending',
+                isVerifiedPurchase: true
+            });
+
+            return {
+                success: true,
+                review: {
+                    _id: review._id,
+                    rating: review.rating,
+                    comment: review.comment,
+                    status: review.status,
+                    isVerifiedPurchase: review.isVerifiedPurchase,
+                    createdAt: review.createdAt
+                }
+            };
+
+        } catch (error) {
+            // Unique index on propertyId + userId (concurrent submission)
+            if (error.code === 11000) {
+                return {
+                    success: false,
+                    error: 'You have already reviewed this property',
+                    code: 'ALREADY_REVIEWED'
+                };
+            }
+
+            console.error('Error in createReview:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Get approved reviews for a property with pagination.
+     *
+     * @param {string} propertyId - The property ID
+     * @param {object} options - Listing options
+     * @param {number} options.page - Page number (1-based, default: 1)
+     * @param {number} options.limit - Reviews per page (default: 10)
+     * @param {string} options.sort - 'newest' | 'helpful' | 'rating_high' | 'rating_low'
+     * @returns {Promise<{success: boolean, reviews?: array, pagination?: object, error?: string, code?: string}>}
+     */
+    async getApprovedReviews(propertyId, { page = 1, limit = 10, sort = 'newest' } = {}) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+                return {
+                    success: false,
+                    error: 'Invalid property ID',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            const query = { propertyId, status: 'approved' };
+
+            const sortOptions = {
+                newest: { createdAt: -1 },
+                helpful: { helpfulCount: -1, createdAt: -1 },
+                rating_high: { rating: -1, createdAt: -1 },
+                rating_low: { rating: 1, createdAt: -1 }
+            };
+
+            const skip = (page - 1) * limit;
+
+            const [reviews, total] = await Promise.all([
+                Review.find(query)
+                    .select(PUBLIC_REVIEW_FIELDS)
+                    .populate('userId', 'name avatar')
+                    .sort(sortOptions[sort] || sortOptions.newest)
+                    .skip(skip)
+                    .limit(limit)
+                    .lean(),
+                Review.countDocuments(query)
+            ]);
+
+            const totalPages = Math.ceil(total / limit);
+
+            return {
+                success: true,
+                reviews: reviews.map(review => ({
+                    _id: review._id,
+                    rating: review.rating,
+                    comment: review.comment,
+                    isVerifiedPurchase: review.isVerifiedPurchase,
+                    helpfulCount: review.helpfulCount,
+                    createdAt: review.createdAt,
+                    author: review.userId
+                        ? { _id: review.userId._id, name: review.userId.name, avatar: review.userId.avatar }
+                        : null
+                })),
+                pagination: {
+                    currentPage: page,
+                    totalPages,
+                    totalReviews: total,
+                    limit,
+                    hasNextPage: page < totalPages,
+                    hasPrevPage: page > 1
+                }
+            };
+
+        } catch (error) {
+            console.error('Error in getApprovedReviews:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Aggregate the rating summary (average, count, star distribution)
+     * across approved reviews for a property.
+     *
+     * @param {string} propertyId - The property ID
+     * @returns {Promise<{success: boolean, summary?: object, error?: string, code?: string}>}
+     */
+    async getRatingSummary(propertyId) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+                return {
+                    success: false,
+                    error: 'Invalid property ID',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            const [result] = await Review.aggregate([
+                {
+                    $match: {
+                        propertyId: new mongoose.Types.ObjectId(propertyId),
+                        status: 'approved'
+                    }
+                },
+                {
+                    $facet: {
+                        overall: [
+                            {
+                                $group: {
+                                    _id: null,
+                                    average: { $avg: '$rating' },
+                                    total: { $sum: 1 },
+                                    verified: { $sum: { $cond: ['$isVerifiedPurchase', 1, 0] } }
+                                }
+                            }
+                        ],
+                        byRating: [
+                            { $group: { _id: '$rating', count: { $sum: 1 } } }
+                        ]
+                    }
+                }
+            ]);
+
+            const overall = result?.overall[0];
+            const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+            for (const bucket of result?.byRating || []) {
+                distribution[bucket._id] = bucket.count;
+            }
+
+            return {
+                success: true,
+                summary: {
+                    averageRating: overall ? Math.round(overall.average * 10) / 10 : 0,
+                    totalReviews: overall?.total || 0,
+                    verifiedReviews: overall?.verified || 0,
+                    distribution
+                }
+            };
+
+        } catch (error) {
+            console.error('Error in getRatingSummary:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Mark an approved review as helpful. Each user can vote once and
+     * cannot vote on their own review.
+     *
+     * @param {string} propertyId - The property the review belongs to
+     * @param {string} reviewId - The review ID
+     * @param {string} userId - The voting user's ID
+     * @returns {Promise<{success: boolean, helpfulCount?: number, error?: string, code?: string}>}
+     */
+    async markHelpful(propertyId, reviewId, userId) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(reviewId) ||
+                !mongoose.Types.ObjectId.isValid(userId)) {
+                return {
+                    success: false,
+                    error: 'Invalid review or user ID',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            const review = await Review.findOne({ _id: reviewId, propertyId, status: 'approved' })
+                .select('userId')
+                .lean();
+
+            if (!review) {
+                return {
+                    success: false,
+                    error: 'Review not found',
+                    code: 'REVIEW_NOT_FOUND'
+                };
+            }
+
+            if (review.userId.toString() === userId.toString()) {
+                return {
+                    success: false,
+                    error: 'You cannot vote on your own review',
+                    code: 'OWN_REVIEW'
+                };
+            }
+
+            // Conditional update keeps the vote idempotent under concurrent requests
+            const updated = await Review.findOneAndUpdate(
+                { _id: reviewId, helpfulVoters: { $ne: userId } },
+                { $addToSet: { helpfulVoters: userId }, $inc: { helpfulCount: 1 } },
+                { new: true }
+            ).select('helpfulCount').lean();
+
+            if (!updated) {
+                return {
+                    success: false,
+                    error: 'You have already marked this review as helpful',
+                    code: 'ALREADY_VOTED'
+                };
+            }
+
+            return { success: true, helpfulCount: updated.helpfulCount };
+
+        } catch (error) {
+            console.error('Error in markHelpful:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Report an approved review as inappropriate. Once REPORT_THRESHOLD
+     * distinct users report it, the review is returned to 'pending' so
+     * moderators can take another look.
+     *
+     * @param {string} propertyId - The property the review belongs to
+     * @param {string} reviewId - The review ID
+     * @param {string} userId - The reporting user's ID
+     * @param {string} reason - Optional reason supplied by the reporter
+     * @returns {Promise<{success: boolean, reportCount?: number, requeued?: boolean, error?: string, code?: string}>}
+     */
+    async reportReview(propertyId, reviewId, userId, reason = '') {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(reviewId) ||
+                !mongoose.Types.ObjectId.isValid(userId)) {
+                return {
+                    success: false,
+                    error: 'Invalid review or user ID',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            const review = await Review.findOne({ _id: reviewId, propertyId, status: 'approved' })
+                .select('userId')
+                .lean();
+
+            if (!review) {
+                return {
+                    success: false,
+                    error: 'Review not found',
+                    code: 'REVIEW_NOT_FOUND'
+                };
+            }
+
+            if (review.userId.toString() === userId.toString()) {
+                return {
+                    success: false,
+                    error: 'You cannot report your own review',
+                    code: 'OWN_REVIEW'
+                };
+            }
+
+            const updated = await Review.findOneAndUpdate(
+                { _id: reviewId, 'reports.userId': { $ne: userId } },
+                {
+                    $push: { reports: { userId, reason, createdAt: new Date() } },
+                    $inc: { reportCount: 1 }
+                },
+                { new: true }
+            ).select('reportCount status').lean();
+
+            if (!updated) {
+                return {
+                    success: false,
+                    error: 'You have already reported this review',
+                    code: 'ALREADY_REPORTED'
+                };
+            }
+
+            let requeued = false;
+            if (updated.reportCount >= REPORT_THRESHOLD && updated.status === 'approved') {
+                await Review.updateOne(
+                    { _id: reviewId, status: 'approved' },
+                    { status: 'pending' }
+                );
+                requeued = true;
+            }
+
+            return { success: true, reportCount: updated.reportCount, requeued };
+
+        } catch (error) {
+            console.error('Error in reportReview:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+}
+
+// Create and export a singleton instance
+const reviewService = new ReviewService();
+export default reviewService;
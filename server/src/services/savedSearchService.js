@@ -0,0 +1,483 @@
+import mongoose from 'mongoose';
+import { SavedSearch } from '../../models/SavedSearch.js';
+import { Property } from '../../models/Property.js';
+import { Notification } from '../../models/Notification.js';
+import { NotificationPreferences } from '../../models/NotificationPreferences.js';
+import { User } from '../../models/User.js';
+import emailService from './emailService.js';
+import notificationService from './notificationService.js';
+import propertySearchService from './propertySearchService.js';
+import { LISTING_TYPES } from '../../../shared/propertyTypes.js';
+
+/**
+ * Maximum number of saved searches per user
+ */
+export const MAX_SAVED_SEARCHES = 20;
+
+/**
+ * Maximum number of listings included in one alert; the rest are counted
+ */
+const MAX_MATCHES_PER_ALERT = 10;
+
+const MATCH_FIELDS = 'title slug listingType category propertyType city address monthlyRent sellingPrice previousPrice priceDroppedAt bedrooms furnishing photos createdAt';
+
+/**
+ * SavedSearchService manages users' saved listing searches and matches
+ * newly created or price-dropped listings against them for alerts.
+ */
+class SavedSearchService {
+    /**
+     * Build the Property query for a saved search's filters.
+     * Uses the same filter registry as the listing search endpoints so
+     * alerts match what the user sees on the listings pages.
+     *
+     * @param {object} search - Saved search document
+     * @returns {object} MongoDB filter
+     */
+    buildPropertyQuery(search) {
+        const listingType = search.listingType === LISTING_TYPES.BUY ? LISTING_TYPES.BUY : LISTING_TYPES.RENT;
+        const criteria = propertySearchService.normalizeCriteria(search.filters || {});
+
+        return propertySearchService.buildFilter(criteria, listingType);
+    }
+
+    /**
+     * Find listings created or price-dropped in a time window that match a saved search.
+     * The user's own listings are never matched.
+     *
+     * @param {object} search - Saved search document
+     * @param {Date} since - Start of the window (exclusive)
+     * @param {Date} until - End of the window (inclusive)
+     * @returns {Promise<{matches: Array<{property: object, reason: string}>, more: number}>} The newest
+     *   matches, and how many others there are
+     */
+    async findMatches(search, since, until = new Date()) {
+        const query = this.buildPropertyQuery(search);
+        query.ownerId = { $ne: search.userId };
+        query.$and = [
+            ...(query.$and || []),
+            {
+                $or: [
+                    { createdAt: { $gt: since, $lte: until } },
+                    { priceDroppedAt: { $gt: since, $lte: until } }
+                ]
+            }
+        ];
+
+        const properties = await Property.find(query)
+            .select(MATCH_FIELDS)
+            .sort({ createdAt: -1 })
+            .limit(MAX_MATCHES_PER_ALERT)
+            .lean();
+
+        const more = properties.length === MAX_MATCHES_PER_ALERT
+            ? await Property.countDocuments(query) - properties.length
+            : 0;
+
+        return {
+            matches: properties.map(property => ({
+                property,
+                reason: property.createdAt > since ? 'new' : 'price_drop'
+            })),
+            more
+        };
+    }
+
+    /**
+     * List a user's saved searches
+     * @param {string} userId - User ID
+     * @returns {Promise<{success: boolean, searches?: Array, error?: string, code?: string}>}
+     */
+    async listSearches(userId) {
+        try {
+            const searches = await SavedSearch.find({ userId })
+                .select('-pendingMatches')
+                .sort({ createdAt: -1 })
+                .lean();
+
+            return { success: true, searches };
+        } catch (error) {
+            console.error('Error in listSearches:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Save a new search for a user
+     * @param {string} userId - User ID
+     * @param {object} data - { name, listingType, filters, alertFrequency }
+     * @returns {Promise<{success: boolean, search?: object, error?: string, code?: string}>}
+     */
+    async createSearch(userId, data) {
+        try {
+            const count = await SavedSearch.countDocuments({ userId });
+            if (count >= MAX_SAVED_SEARCHES) {
+                return {
+                    success: false,
+                    error: `You can save up to ${MAX_SAVED_SEARCHES} searches`,
+                    code: 'LIMIT_REACHED'
+                };
+            }
+
+            const search = await SavedSearch.create({
+                userId,
+                name: data.name,
+                listingType: data.listingType,
+                filters: data.filters || {},
+                alertFrequency: data.alertFrequency,
+                lastCheckedAt: new Date()
+            });
+
+            const saved = search.toObject();
+            delete saved.pendingMatches;
+            return { success: true, search: saved };
+        } catch (error) {
+            console.error('Error in createSearch:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Update a saved search's name, filters or alert frequency
+     * @param {string} userId - Owner's user ID
+     * @param {string} searchId - Saved search ID
+     * @param {object} updates - Fields to update
+     * @returns {Promise<{success: boolean, search?: object, error?: string, code?: string}>}
+     */
+    async updateSearch(userId, searchId, updates) {
+        try {
+            const $set = {};
+            if (updates.name !== undefined) $set.name = updates.name;
+            if (updates.filters !== undefined) $set.filters = updates.filters;
+            if (updates.alertFrequency !== undefined) {
+                $set.alertFrequency = updates.alertFrequency;
+                // Matches queued for a digest are dropped when switching away from daily
+                if (updates.alertFrequency !== 'daily') $set.pendingMatches = [];
+            }
+
+            const search = await SavedSearch.findOneAndUpdate(
+                { _id: searchId, userId },
+                { $set },
+                { new: true, runValidators: true }
+            ).select('-pendingMatches').lean();
+
+            if (!search) {
+                return {
+                    success: false,
+                    error: 'Saved search not found',
+                    code: 'NOT_FOUND'
+                };
+            }
+
+            return { success: true, search };
+        } catch (error) {
+            console.error('Error in updateSearch:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Delete a saved search
+     * @param {string} userId - Owner's user ID
+     * @param {string} searchId - Saved search ID
+     * @returns {Promise<{success: boolean, error?: string, code?: string}>}
+     */
+    async deleteSearch(userId, searchId) {
+        try {
+            const result = await SavedSearch.deleteOne({ _id: searchId, userId });
+            if (result.deletedCount === 0) {
+                return {
+                    success: false,
+                    error: 'Saved search not found',
+                    code: 'NOT_FOUND'
+                };
+            }
+            return { success: true };
+        } catch (error) {
+            console.error('Error in deleteSearch:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Whether a user wants property update emails
+     * @param {string} userId - User ID
+     * @returns {Promise<boolean>}
+     */
+    async canEmail(userId) {
+        const preferences = await NotificationPreferences.getOrCreate(userId);
+        return preferences.globalSettings?.emailEnabled !== false &&
+            preferences.general?.propertyUpdates?.email !== false;
+    }
+
+    /**
+     * Match new and price-dropped listings against every active saved search.
+     * Creates an in-app notification per search with matches, emails instant
+     * searches straight away and queues matches of daily searches for the digest.
+     *
+     * @returns {Promise<{checked: number, matched: number, notifications: number, emails: number, queued: number, errors: Array}>}
+     */
+    async processAlerts() {
+        const runStartedAt = new Date();
+        const summary = { checked: 0, matched: 0, notifications: 0, emails: 0, queued: 0, errors: [] };
+
+        const cursor = SavedSearch.find({ alertFrequency: { $ne: 'off' } })
+            .select('-pendingMatches')
+            .lean()
+            .cursor();
+
+        for await (const search of cursor) {
+            summary.checked++;
+            try {
+                const { matches, more } = await this.findMatches(search, search.lastCheckedAt || search.createdAt, runStartedAt);
+                const update = { $set: { lastCheckedAt: runStartedAt } };
+
+                if (matches.length > 0) {
+                    summary.matched++;
+
+                    await this.createAlertNotification(search, matches, more);
+                    summary.notifications++;
+                    update.$set.lastNotifiedAt = runStartedAt;
+
+                    if (search.alertFrequency === 'daily') {
+                        update.$push = {
+                            pendingMatches: {
+                                $each: matches.map(({ property, reason }) => ({
+                                    propertyId: property._id,
+                                    reason,
+                                    matchedAt: runStartedAt
+                                }))
+                            }
+                        };
+                        if (more > 0) update.$inc = { pendingMoreCount: more };
+                        summary.queued += matches.length;
+                    } else if (await this.sendInstantEmail(search, matches, more)) {
+                        summary.emails++;
+                    }
+                }
+
+                await SavedSearch.updateOne({ _id: search._id }, update);
+            } catch (error) {
+                console.error(`[SavedSearch] Error processing search ${search._id}:`, error);
+                summary.errors.push({ searchId: search._id, error: error.message });
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Create the in-app notification for a saved search's matches
+     * @param {object} search - Saved search document
+     * @param {Array<{property: object, reason: string}>} matches - Matching listings
+     * @param {number} more - Matches left out of the alert
+     */
+    async createAlertNotification(search, matches, more = 0) {
+        const [first] = matches;
+        const drops = matches.filter(m => m.reason === 'price_drop').length;
+
+        let message;
+        if (matches.length === 1) {
+            message = first.reason === 'price_drop'
+                ? `Price dropped on "${first.property.title}" in ${first.property.city}`
+                : `New listing: "${first.property.title}" in ${first.property.city}`;
+        } else {
+            const newCount = matches.length - drops;
+            const parts = [];
+            if (newCount > 0) parts.push(`${newCount} new listing${newCount === 1 ? '' : 's'}`);
+            if (drops > 0) parts.push(`${drops} price drop${drops === 1 ? '' : 's'}`);
+            message = `${parts.join(' and ')} match your search`;
+        }
+        if (more > 0) message += ` (and ${more} more)`;
+
+        const title = `New matches for "${search.name}"`;
+        await Notification.create({
+            recipient: search.userId,
+            type: 'property',
+            title,
+            message,
+            data: {
+                propertyId: first.property._id,
+                savedSearchId: search._id
+            }
+        });
+
+        await notificationService.sendPushNotification(search.userId.toString(), 'propertyUpdates', {
+            type: 'listing_alert',
+            title,
+            body: message,
+            url: this.getAlertUrl(search, matches),
+            tag: `saved-search-${search._id}`
+        });
+    }
+
+    /**
+     * Page a listing alert opens: the listing itself for a single match,
+     * otherwise the listings page with the search's query and location
+     * @param {object} search - Saved search document
+     * @param {Array<{property: object, reason: string}>} matches - Matching listings
+     * @returns {string} Site-relative URL
+     */
+    getAlertUrl(search, matches) {
+        const type = search.listingType === LISTING_TYPES.BUY ? 'buy' : 'rent';
+
+        if (matches.length === 1) {
+            const { property } = matches[0];
+            return `/${type}/${property.slug || property._id}`;
+        }
+
+        const params = new URLSearchParams();
+        if (search.filters?.query) params.set('q', search.filters.query);
+        if (search.filters?.location) params.set('loc', search.filters.location);
+        const query = params.toString();
+
+        return `/${type}-properties${query ? `?${query}` : ''}`;
+    }
+
+    /**
+     * Email matches to an instant-alert search's owner if their preferences allow it
+     * @param {object} search - Saved search document
+     * @param {Array<{property: object, reason: string}>} matches - Matching listings
+     * @param {number} more - Matches left out of the email
+     * @returns {Promise<boolean>} Whether an email was sent or held until quiet hours are over
+     */
+    async sendInstantEmail(search, matches, more = 0) {
+        if (!(await this.canEmail(search.userId))) return false;
+
+        const user = await User.findById(search.userId).select('name email locale').lean();
+        if (!user?.email) return false;
+
+        const result = await emailService.sendSavedSearchAlert(user.email, user.name, {
+            searchName: search.name,
+            listingType: search.listingType,
+            matches,
+            more,
+            moreUrl: this.getAlertUrl(search, matches)
+        }, { locale: user.locale, holdFor: search.userId });
+
+        return result.success;
+    }
+
+    /**
+     * Send one digest email per user covering all queued daily matches,
+     * then clear the matches that were read. Matches queued by an alert run
+     * after the digest started stay for the next digest. Users who opted out
+     * of property emails have their queues cleared without an email.
+     *
+     * @returns {Promise<{users: number, emails: number, skipped: number, errors: Array}>}
+     */
+    async sendDailyDigests() {
+        const summary = { users: 0, emails: 0, skipped: 0, errors: [] };
+        const digestStartedAt = new Date();
+
+        const searches = await SavedSearch.find({
+            alertFrequency: 'daily',
+            'pendingMatches.0': { $exists: true }
+        }).lean();
+
+        const byUser = new Map();
+        for (const search of searches) {
+            search.pendingMatches = search.pendingMatches.filter(m => m.matchedAt <= digestStartedAt);
+            const key = search.userId.toString();
+            if (!byUser.has(key)) byUser.set(key, []);
+            byUser.get(key).push(search);
+        }
+
+        for (const [userId, userSearches] of byUser.entries()) {
+            summary.users++;
+            try {
+                const user = await User.findById(userId).select('name email locale').lean();
+
+                if (user?.email && await this.canEmail(userId)) {
+                    const sections = await this.buildDigestSections(userSearches);
+
+                    if (sections.length > 0) {
+                        const result = await emailService.sendSavedSearchDigest(user.email, user.name, sections, { locale: user.locale, holdFor: userId });
+                        if (!result.success) throw new Error(result.error || 'Digest email failed');
+                        summary.emails++;
+                    } else {
+                        summary.skipped++;
+                    }
+                } else {
+                    summary.skipped++;
+                }
+
+                // Counts added by alert runs since the digest started stay for the next one
+                await SavedSearch.bulkWrite(userSearches.map(search => ({
+                    updateOne: {
+                        filter: { _id: search._id },
+                        update: {
+                            $pull: { pendingMatches: { matchedAt: { $lte: digestStartedAt } } },
+                            $inc: { pendingMoreCount: -(search.pendingMoreCount || 0) }
+                        }
+                    }
+                })));
+            } catch (error) {
+                console.error(`[SavedSearch] Error sending digest to user ${userId}:`, error);
+                summary.errors.push({ userId, error: error.message });
+            }
+        }
+
+        return summary;
+    }
+
+    /**
+     * Resolve queued matches into digest sections, skipping listings that
+     * have since been removed or deactivated.
+     *
+     * @param {Array} searches - Saved searches with pendingMatches
+     * @returns {Promise<Array<{searchName: string, listingType: string, matches: Array, more: number, moreUrl: string}>>}
+     */
+    async buildDigestSections(searches) {
+        const propertyIds = [...new Set(
+            searches.flatMap(s => s.pendingMatches.map(m => m.propertyId.toString()))
+        )];
+
+        const properties = await Property.find({
+            _id: { $in: propertyIds.map(id => new mongoose.Types.ObjectId(id)) },
+            isDeleted: false,
+            status: 'active'
+        }).select(MATCH_FIELDS).lean();
+        const propertyMap = new Map(properties.map(p => [p._id.toString(), p]));
+
+        return searches
+            .map(search => {
+                const seen = new Set();
+                const matches = [];
+                for (const match of search.pendingMatches) {
+                    const id = match.propertyId.toString();
+                    const property = propertyMap.get(id);
+                    if (!property || seen.has(id)) continue;
+                    seen.add(id);
+                    matches.push({ property, reason: match.reason });
+                }
+                return {
+                    searchName: search.name,
+                    listingType: search.listingType,
+                    matches: matches.slice(0, MAX_MATCHES_PER_ALERT),
+                    more: Math.max(0, matches.length - MAX_MATCHES_PER_ALERT) + (search.pendingMoreCount || 0),
+                    moreUrl: this.getAlertUrl(search, matches)
+                };
+            })
+            .filter(section => section.matches.length > 0);
+    }
+}
+
+const savedSearchService = new SavedSearchService();
+export default savedSearchService;
@@ -0,0 +1,277 @@
+/**
+ * Search Suggestion Service
+ * Builds grouped typeahead suggestions (locations, categories, property types
+ * and listing titles) from real Property data, each with a result count
+ */
+
+import { Property } from '../../models/Property.js';
+import { Location } from '../../models/Location.js';
+import {
+    LISTING_TYPES,
+    PROPERTY_CATEGORIES,
+    PROPERTY_TYPE_LABELS,
+    CATEGORY_PROPERTY_TYPES
+} from '../../../shared/propertyTypes.js';
+
+// Suggestion kinds, in the order groups are returned
+export const SUGGESTION_KINDS = ['city', 'area', 'category', 'propertyType', 'listing'];
+
+const KIND_LABELS = {
+    city: 'Cities',
+    area: 'Areas',
+    category: 'Categories',
+    propertyType: 'Property Types',
+    listing: 'Listings'
+};
+
+// Listing titles are only searched once the query is specific enough
+const MIN_LISTING_QUERY_LENGTH = 3;
+
+/**
+ * Escape special regex characters in a string
+ */
+function escapeRegex(str) {
+    return String(str).replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+}
+
+/**
+ * Regex matching the query at the start of any word
+ */
+function wordPrefixRegex(q) {
+    return new RegExp(`(^|[\\s,/-])${escapeRegex(q)}`, 'i');
+}
+
+class SearchSuggestionService {
+    /**
+     * Base Property filter for publicly visible listings of a listing type.
+     * Rent includes legacy properties without a listingType.
+     */
+    buildBaseMatch(listingType) {
+        const match = { status: 'active', isDeleted: { $ne: true } };
+
+        if (listingType === LISTING_TYPES.BUY) {
+            match.listingType = LISTING_TYPES.BUY;
+        } else if (listingType === LISTING_TYPES.RENT) {
+            match.$or = [
+                { listingType: LISTING_TYPES.RENT },
+                { listingType: { $exists: false } },
+                { listingType: null }
+            ];
+        }
+
+        return match;
+    }
+
+    /**
+     * Get grouped suggestions for a typeahead query
+     * @param {string} q - Partial query typed by the user
+     * @param {Object} options - { listingType, limit } (limit applies per group)
+     * @returns {Promise<Object>} { success, suggestions, groups }
+     */
+    async getSuggestions(q, { listingType, limit = 5 } = {}) {
+        try {
+            const query = String(q || '').trim();
+            if (!query) {
+                return { success: true, suggestions: [], groups: [] };
+            }
+
+            const baseMatch = this.buildBaseMatch(listingType);
+
+            const [locations, categories, propertyTypes, listings] = await Promise.all([
+                this.suggestLocations(query, baseMatch, limit),
+                this.suggestCategories(query, baseMatch, limit),
+                this.suggestPropertyTypes(query, baseMatch, limit),
+                this.suggestListings(query, baseMatch, limit)
+            ]);
+
+            const suggestions = [...locations, ...categories, ...propertyTypes, ...listings];
+            const groups = SUGGESTION_KINDS
+                .map(kind => ({
+                    kind,
+                    label: KIND_LABELS[kind],
+                    items: suggestions.filter(item => item.kind === kind)
+                }))
+                .filter(group => group.items.length > 0);
+
+            return { success: true, suggestions, groups };
+        } catch (error) {
+            console.error('Error in getSuggestions:', error);
+            return {
+                success: false,
+                error: 'Failed to get search suggestions',
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Cities and areas from the Location collection that have matching listings
+     */
+    async suggestLocations(query, baseMatch, limit) {
+        const locations = await Location.find({
+            type: { $in: ['city', 'area'] },
+            isVisible: true,
+            name: wordPrefixRegex(query)
+        })
+            .select('name type parentId slug')
+            .populate('parentId', 'name type')
+            .limit(limit * 4)
+            .lean();
+        if (locations.length === 0) return [];
+
+        const cityNames = locations.filter(l => l.type === 'city').map(l => l.name);
+        const areaNames = locations.filter(l => l.type === 'area').map(l => l.name);
+
+        // One pass over the city/locality indexes, counted per (city, locality) pair
+        const groups = await Property.aggregate([
+            {
+                $match: {
+                    $and: [
+                        baseMatch,
+                        { $or: [{ city: { $in: cityNames } }, { locality: { $in: areaNames } }] }
+                    ]
+                }
+            },
+            { $group: { _id: { city: '$city', locality: '$locality' }, count: { $sum: 1 } } }
+        ]);
+
+        const cityCounts = new Map();
+        const areaCounts = new Map();
+        for (const { _id, count } of groups) {
+            const city = String(_id.city || '').toLowerCase();
+            cityCounts.set(city, (cityCounts.get(city) || 0) + count);
+            if (_id.locality) {
+                const key = `${_id.locality.toLowerCase()}|${city}`;
+                areaCounts.set(key, (areaCounts.get(key) || 0) + count);
+            }
+        }
+
+        const counted = locations.map((location) => {
+            if (location.type === 'city') {
+                return {
+                    kind: 'city',
+                    label: location.name,
+                    value: location.name,
+                    city: location.name,
+                    count: cityCounts.get(location.name.toLowerCase()) || 0
+                };
+            }
+
+            const cityName = location.parentId?.type === 'city' ? location.parentId.name : null;
+            return {
+                kind: 'area',
+                label: cityName ? `${location.name}, ${cityName}` : location.name,
+                value: location.name,
+                city: cityName,
+                count: areaCounts.get(`${location.name.toLowerCase()}|${(cityName || '').toLowerCase()}`) || 0
+            };
+        });
+
+        const byCount = (a, b) => b.count - a.count;
+        const withResults = counted.filter(item => item.count > 0);
+        return [
+            ...withResults.filter(item => item.kind === 'city').sort(byCount).slice(0, limit),
+            ...withResults.filter(item => item.kind === 'area').sort(byCount).slice(0, limit)
+        ];
+    }
+
+    /**
+     * Categories whose key or display label matches the query
+     */
+    async suggestCategories(query, baseMatch, limit) {
+        const regex = wordPrefixRegex(query);
+        const matched = PROPERTY_CATEGORIES.filter(category =>
+            regex.test(category) || regex.test(PROPERTY_TYPE_LABELS[category])
+        );
+        if (matched.length === 0) return [];
+
+        const counts = await Property.aggregate([
+            { $match: { ...baseMatch, category: { $in: matched } } },
+            { $group: { _id: '$category', count: { $sum: 1 } } }
+        ]);
+        const countMap = new Map(counts.map(c => [c._id, c.count]));
+
+        return matched
+            .map(category => ({
+                kind: 'category',
+                label: PROPERTY_TYPE_LABELS[category],
+                value: category,
+                category,
+                count: countMap.get(category) || 0
+            }))
+            .filter(item => item.count > 0)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, limit);
+    }
+
+    /**
+     * Property types (1 BHK, Single Room, ...) offered for each category
+     */
+    async suggestPropertyTypes(query, baseMatch, limit) {
+        const regex = wordPrefixRegex(query);
+        const candidates = [];
+        for (const [category, types] of Object.entries(CATEGORY_PROPERTY_TYPES)) {
+            for (const propertyType of types) {
+                if (regex.test(propertyType)) candidates.push({ category, propertyType });
+            }
+        }
+        if (candidates.length === 0) return [];
+
+        // propertyType is free text, so compare case-insensitively and ignore spacing ("1BHK" vs "1 BHK")
+        const normalize = value => String(value || '').toLowerCase().replace(/\s+/g, '');
+
+        const counts = await Property.aggregate([
+            { $match: { ...baseMatch, category: { $in: [...new Set(candidates.map(c => c.category))] } } },
+            { $group: { _id: { category: '$category', propertyType: '$propertyType' }, count: { $sum: 1 } } }
+        ]);
+
+        const countMap = new Map();
+        for (const { _id, count } of counts) {
+            const key = `${_id.category}:${normalize(_id.propertyType)}`;
+            countMap.set(key, (countMap.get(key) || 0) + count);
+        }
+
+        return candidates
+            .map(({ category, propertyType }) => ({
+                kind: 'propertyType',
+                label: `${propertyType} (${PROPERTY_TYPE_LABELS[category]})`,
+                value: propertyType,
+                category,
+                propertyType,
+                count: countMap.get(`${category}:${normalize(propertyType)}`) || 0
+            }))
+            .filter(item => item.count > 0)
+            .sort((a, b) => b.count - a.count)
+            .slice(0, limit);
+    }
+
+    /**
+     * Listing titles containing a word that starts with the query
+     */
+    async suggestListings(query, baseMatch, limit) {
+        if (query.length < MIN_LISTING_QUERY_LENGTH) return [];
+
+        const listings = await Property.find({ ...baseMatch, title: wordPrefixRegex(query) })
+            .select('title slug city listingType')
+            .sort({ featured: -1, views: -1, createdAt: -1 })
+            .limit(limit)
+            .lean();
+
+        return listings.map(listing => {
+            const type = listing.listingType || LISTING_TYPES.RENT;
+            return {
+                kind: 'listing',
+                label: listing.title,
+                value: listing.title,
+                city: listing.city,
+                propertyId: listing._id,
+                slug: listing.slug,
+                listingType: type,
+                urlPath: listing.slug ? `/${type}/${listing.slug}` : null,
+                count: 1
+            };
+        });
+    }
+}
+
+export default new SearchSuggestionService();
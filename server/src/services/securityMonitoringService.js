@@ -1,5 +1,5 @@
 import auditLogger from "../middleware/auditLogger.js";
-import notificationService from "./notificationService.js";
+import emailService from "./emailService.js";
 import { User } from "../../models/User.js";
 
 /**
@@ -248,36 +248,17 @@ class SecurityMonitoringService {
      */
     async sendSecurityAlert(user, suspiciousActivity, req) {
         try {
-            const ipAddress = auditLogger.extractIpAddress(req);
-            const timestamp = new Date().toLocaleString();
-
-            const emailContent = `
-                <h2>Security Alert for Your Account</h2>
-                <p>Hello ${user.name},</p>
-                <p>We detected suspicious activity on your account:</p>
-                <ul>
-                    <li><strong>Time:</strong> ${timestamp}</li>
-                    <li><strong>IP Address:</strong> ${ipAddress}</li>
-                    <li><strong>Total Attempts:</strong> ${suspiciousActivity.totalAttempts}</li>
-                    <li><strong>Failed Attempts:</strong> ${suspiciousActivity.failedAttempts}</li>
-                </ul>
-                <p><strong>Detected Patterns:</strong></p>
-                <ul>
-                    ${suspiciousActivity.suspiciousPatterns.map(pattern =>
-                `<li>${pattern.type}: ${pattern.count} attempts</li>`
-            ).join('')}
-                </ul>
-                <p>If this was not you, please change your password immediately and contact support.</p>
-                <p>If this was you, you can ignore this message.</p>
-                <br>
-                <p>Best regards,<br>Security Team</p>
-            `;
-
-            await notificationService.sendEmail(
-                user.email,
-                'Security Alert - Suspicious Activity Detected',
-                emailContent
-            );
+            await emailService.sendTemplateEmail(user.email, 'suspicious-activity', {
+                userName: user.name,
+                detectedAt: new Date(),
+                ipAddress: auditLogger.extractIpAddress(req),
+                totalAttempts: suspiciousActivity.totalAttempts,
+                failedAttempts: suspiciousActivity.failedAttempts,
+                patterns: suspiciousActivity.suspiciousPatterns
+            }, {
+                locale: user.locale,
+                errorLabel: 'security alert'
+            });
 
         } catch (error) {
             console.error('Failed to send security alert:', error);
@@ -296,33 +277,18 @@ class SecurityMonitoringService {
             const adminEmail = process.env.ADMIN_ALERT_EMAIL;
             if (!adminEmail) return;
 
-            const ipAddress = auditLogger.extractIpAddress(req);
-            const userAgent = auditLogger.extractUserAgent(req);
-            const timestamp = new Date().toLocaleString();
-
-            const emailContent = `
-                <h2>Security Alert - Suspicious Activity Detected</h2>
-                <p><strong>User ID:</strong> ${userId}</p>
-                <p><strong>Time:</strong> ${timestamp}</p>
-                <p><strong>IP Address:</strong> ${ipAddress}</p>
-                <p><strong>User Agent:</strong> ${userAgent}</p>
-                <p><strong>Risk Level:</strong> ${suspiciousActivity.riskLevel}</p>
-                <p><strong>Total Attempts:</strong> ${suspiciousActivity.totalAttempts}</p>
-                <p><strong>Failed Attempts:</strong> ${suspiciousActivity.failedAttempts}</p>
-                <p><strong>Detected Patterns:</strong></p>
-                <ul>
-                    ${suspiciousActivity.suspiciousPatterns.map(pattern =>
-                `<li>${pattern.type}: ${pattern.count} attempts in ${pattern.timeWindow || 'unknown'} minutes</li>`
-            ).join('')}
-                </ul>
-                <p>Please review the user's activity and take appropriate action if necessary.</p>
-            `;
-
-            await notificationService.sendEmail(
-                adminEmail,
-                `Security Alert - User ${userId}`,
-                emailContent
-            );
+            await emailService.sendTemplateEmail(adminEmail, 'suspicious-activity-admin', {
+                userId: String(userId),
+                detectedAt: new Date(),
+                ipAddress: auditLogger.extractIpAddress(req),
+                userAgent: auditLogger.extractUserAgent(req),
+                riskLevel: suspiciousActivity.riskLevel,
+                totalAttempts: suspiciousActivity.totalAttempts,
+                failedAttempts: suspiciousActivity.failedAttempts,
+                patterns: suspiciousActivity.suspiciousPatterns
+            }, {
+                errorLabel: 'admin security alert'
+            });
 
         } catch (error) {
             console.error('Failed to send admin alert:', error);
@@ -0,0 +1,336 @@
+/**
+ * Session Service
+ * Persists refresh token sessions so they can be listed and revoked.
+ *
+ * Each refresh token carries its session id (sid) and a random token id (jti).
+ * Only a hash of the current jti is stored; every refresh rotates it. Presenting
+ * an already-rotated token is treated as theft and revokes the session.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+import { Session } from '../../models/Session.js';
+import { User } from '../../models/User.js';
+
+const ACCESS_TOKEN_EXPIRY = '15m';
+export const REFRESH_TOKEN_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+// Concurrent refreshes (e.g. two tabs sharing the cookie) may present the
+// previous token for a few seconds after a rotation without counting as reuse
+const ROTATION_GRACE_MS = 30 * 1000;
+
+const jwtSecret = process.env.JWT_SECRET;
+
+const hashTokenId = (jti) => crypto.createHash('sha256').update(jti).digest('hex');
+
+/**
+ * Best-effort device description from a User-Agent header
+ */
+const parseUserAgent = (userAgent = '') => {
+    const ua = userAgent || '';
+
+    let browser = null;
+    if (/Edg\//.test(ua)) browser = 'Edge';
+    else if (/OPR\/|Opera/.test(ua)) browser = 'Opera';
+    else if (/Chrome\//.test(ua)) browser = 'Chrome';
+    else if (/Firefox\//.test(ua)) browser = 'Firefox';
+    else if (/Safari\//.test(ua)) browser = 'Safari';
+
+    let os = null;
+    if (/Windows/.test(ua)) os = 'Windows';
+    else if (/Android/.test(ua)) os = 'Android';
+    else if (/iPhone|iPad|iPod/.test(ua)) os = 'iOS';
+    else if (/Mac OS X/.test(ua)) os = 'macOS';
+    else if (/Linux/.test(ua)) os = 'Linux';
+
+    let deviceType = 'unknown';
+    if (/iPad|Tablet/.test(ua)) deviceType = 'tablet';
+    else if (/Mobi|Android|iPhone/.test(ua)) deviceType = 'mobile';
+    else if (browser || os) deviceType = 'desktop';
+
+    return { browser, os, deviceType };
+};
+
+const extractClientInfo = (req) => {
+    if (!req) return { ipAddress: null, userAgent: null };
+    return {
+        ipAddress: req.ip || req.headers['x-forwarded-for']?.split(',')[0]?.trim() || null,
+        userAgent: req.headers['user-agent'] || null
+    };
+};
+
+class SessionService {
+    /**
+     * Sign a short-lived access token bound to a session
+     */
+    signAccessToken(user, sessionId) {
+        return jwt.sign(
+            { sub: user._id, role: user.role, sid: sessionId, type: 'access' },
+            jwtSecret,
+            { expiresIn: ACCESS_TOKEN_EXPIRY }
+        );
+    }
+
+    signRefreshToken(userId, sessionId, jti) {
+        return jwt.sign(
+            { sub: userId, sid: sessionId, jti, type: 'refresh' },
+            jwtSecret,
+            { expiresIn: Math.floor(REFRESH_TOKEN_TTL_MS / 1000) }
+        );
+    }
+
+    /**
+     * Start a new session for a user who just signed in
+     * @param {Object} user - User document
+     * @param {Object} req - Express request (for device, IP)
+     * @returns {Promise<Object>} { sessionId, accessToken, refreshToken }
+     */
+    async createSession(user, req) {
+        const { ipAddress, userAgent } = extractClientInfo(req);
+        const jti = crypto.randomBytes(32).toString('hex');
+
+        const session = await Session.create({
+            userId: user._id,
+            tokenHash: hashTokenId(jti),
+            userAgent,
+            ipAddress,
+            ...parseUserAgent(userAgent),
+            lastUsedAt: new Date(),
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_MS)
+        });
+
+        const sessionId = session._id.toString();
+        return {
+            sessionId,
+            accessToken: this.signAccessToken(user, sessionId),
+            refreshToken: this.signRefreshToken(user._id, sessionId, jti)
+        };
+    }
+
+    /**
+     * Exchange a refresh token for a new access/refresh token pair
+     * @param {string} refreshToken - Refresh JWT from the cookie or body
+     * @param {Object} req - Express request
+     * @returns {Promise<Object>} { success, user, sessionId, accessToken, refreshToken } or { success: false, error, code }
+     */
+    async rotateRefreshToken(refreshToken, req) {
+        try {
+            let decoded;
+            try {
+                decoded = jwt.verify(refreshToken, jwtSecret);
+            } catch (error) {
+                if (error.name === 'TokenExpiredError') {
+                    return { success: false, error: 'Refresh token expired', code: 'TOKEN_EXPIRED' };
+                }
+                return { success: false, error: 'Invalid refresh token', code: 'INVALID_TOKEN' };
+            }
+
+            if (decoded.type !== 'refresh' || !decoded.sid || !decoded.jti ||
+                !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+                return { success: false, error: 'Invalid refresh token', code: 'INVALID_TOKEN' };
+            }
+
+            const session = await Session.findById(decoded.sid).select('+tokenHash +previousTokenHash');
+            if (!session || session.revokedAt || session.expiresAt < new Date() ||
+                session.userId.toString() !== String(decoded.sub)) {
+                return { success: false, error: 'Session has been revoked', code: 'SESSION_REVOKED' };
+            }
+
+            const presentedHash = hashTokenId(decoded.jti);
+            if (presentedHash !== session.tokenHash) {
+                const withinGrace = presentedHash === session.previousTokenHash &&
+                    Date.now() - session.lastUsedAt.getTime() < ROTATION_GRACE_MS;
+
+                if (!withinGrace) {
+                    await this.revokeSessionById(session._id, 'token_reuse');
+                    console.warn(`Refresh token reuse detected for session ${session._id} (user ${session.userId})`);
+                    return { success: false, error: 'Refresh token reuse detected', code: 'TOKEN_REUSED', userId: session.userId };
+                }
+            }
+
+            const user = await User.findById(session.userId);
+            if (!user || user.isDeleted || user.isBlocked || user.isActive === false) {
+                await this.revokeSessionById(session._id, user?.isBlocked ? 'blocked' : 'user_revoked');
+                return { success: false, error: 'User not found or inactive', code: 'USER_INACTIVE' };
+            }
+
+            // Rotate, guarding against a concurrent rotation of the same token
+            const { ipAddress, userAgent } = extractClientInfo(req);
+            const jti = crypto.randomBytes(32).toString('hex');
+            const rotated = await Session.findOneAndUpdate(
+                { _id: session._id, tokenHash: session.tokenHash, revokedAt: null },
+                {
+                    $set: {
+                        tokenHash: hashTokenId(jti),
+                        previousTokenHash: session.tokenHash,
+                        lastUsedAt: new Date(),
+                        ipAddress,
+                        userAgent,
+                        ...parseUserAgent(userAgent)
+                    }
+                },
+                { new: true }
+            );
+
+            if (!rotated) {
+                return { success: false, error: 'Session has been revoked', code: 'SESSION_REVOKED' };
+            }
+
+            const sessionId = session._id.toString();
+            return {
+                success: true,
+                user,
+                sessionId,
+                accessToken: this.signAccessToken(user, sessionId),
+                refreshToken: this.signRefreshToken(user._id, sessionId, jti)
+            };
+        } catch (error) {
+            console.error('Error in rotateRefreshToken:', error);
+            return {
+                success: false,
+                error: 'Failed to refresh session',
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    async revokeSessionById(sessionId, reason) {
+        await Session.updateOne(
+            { _id: sessionId, revokedAt: null },
+            { $set: { revokedAt: new Date(), revokedReason: reason } }
+        );
+    }
+
+    /**
+     * Revoke the session a refresh token belongs to (logout).
+     * Expired or otherwise invalid tokens are ignored.
+     * @returns {Promise<Object>} { success, sessionId, userId }
+     */
+    async revokeByRefreshToken(refreshToken, reason = 'logout') {
+        try {
+            const decoded = jwt.verify(refreshToken, jwtSecret, { ignoreExpiration: true });
+            if (decoded.type !== 'refresh' || !mongoose.Types.ObjectId.isValid(decoded.sid)) {
+                return { success: true, sessionId: null, userId: null };
+            }
+
+            await this.revokeSessionById(decoded.sid, reason);
+            return { success: true, sessionId: decoded.sid, userId: decoded.sub };
+        } catch (error) {
+            if (error.name === 'JsonWebTokenError') {
+                return { success: true, sessionId: null, userId: null };
+            }
+            console.error('Error in revokeByRefreshToken:', error);
+            return {
+                success: false,
+                error: 'Failed to revoke session',
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Revoke one of a user's sessions
+     * @returns {Promise<Object>} { success } or { success: false, error, code }
+     */
+    async revokeSession(userId, sessionId, reason = 'user_revoked') {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(sessionId)) {
+                return { success: false, error: 'Invalid session ID', code: 'INVALID_ID' };
+            }
+
+            const result = await Session.updateOne(
+                { _id: sessionId, userId, revokedAt: null },
+                { $set: { revokedAt: new Date(), revokedReason: reason } }
+            );
+
+            if (result.matchedCount === 0) {
+                return { success: false, error: 'Session not found', code: 'SESSION_NOT_FOUND' };
+            }
+
+            return { success: true };
+        } catch (error) {
+            console.error('Error in revokeSession:', error);
+            return {
+                success: false,
+                error: 'Failed to revoke session',
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Revoke every active session of a user
+     * @param {string} userId - User ID
+     * @param {string} reason - Revocation reason (see Session.revokedReason)
+     * @param {Object} options - { exceptSessionId } to keep the current device signed in
+     * @returns {Promise<Object>} { success, revokedCount }
+     */
+    async revokeAllSessions(userId, reason, { exceptSessionId } = {}) {
+        try {
+            const filter = { userId, revokedAt: null };
+            if (exceptSessionId && mongoose.Types.ObjectId.isValid(exceptSessionId)) {
+                filter._id = { $ne: exceptSessionId };
+            }
+
+            const result = await Session.updateMany(filter, {
+                $set: { revokedAt: new Date(), revokedReason: reason }
+            });
+
+            return { success: true, revokedCount: result.modifiedCount };
+        } catch (error) {
+            console.error('Error in revokeAllSessions:', error);
+            return {
+                success: false,
+                error: 'Failed to revoke sessions',
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * List a user's active sessions, most recently used first
+     * @param {string} userId - User ID
+     * @param {string} currentSessionId - Session of the requesting device, flagged isCurrent
+     * @returns {Promise<Object>} { success, sessions }
+     */
+    async getActiveSessions(userId, currentSessionId = null) {
+        try {
+            const sessions = await Session.find({
+                userId,
+                revokedAt: null,
+                expiresAt: { $gt: new Date() }
+            })
+                .select('browser os deviceType ipAddress userAgent lastUsedAt createdAt expiresAt')
+                .sort({ lastUsedAt: -1 })
+                .lean();
+
+            return {
+                success: true,
+                sessions: sessions.map(session => ({
+                    id: session._id,
+                    device: {
+                        browser: session.browser,
+                        os: session.os,
+                        type: session.deviceType
+                    },
+                    ipAddress: session.ipAddress,
+                    userAgent: session.userAgent,
+                    lastUsedAt: session.lastUsedAt,
+                    createdAt: session.createdAt,
+                    expiresAt: session.expiresAt,
+                    isCurrent: !!currentSessionId && session._id.toString() === currentSessionId
+                }))
+            };
+        } catch (error) {
+            console.error('Error in getActiveSessions:', error);
+            return {
+                success: false,
+                error: 'Failed to retrieve sessions',
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+}
+
+export default new SessionService();
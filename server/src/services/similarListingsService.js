@@ -0,0 +1,204 @@
+import mongoose from 'mongoose';
+import { Property } from '../../models/Property.js';
+import { LISTING_TYPES } from '../../../shared/propertyTypes.js';
+import { getPriceField } from './priceHistoryService.js';
+import { propertySearchCache, propertySearchTags } from '../utils/cache.js';
+
+export const DEFAULT_SIMILAR_LIMIT = 8;
+export const MAX_SIMILAR_LIMIT = 20;
+
+/**
+ * Candidates are listings within this distance when the property has
+ * coordinates, otherwise listings in the same city
+ */
+export const SIMILAR_MAX_DISTANCE_KM = 20;
+
+/**
+ * Candidates cost between 1/factor and factor times the property's price
+ */
+const PRICE_RANGE_FACTOR = 2;
+
+/**
+ * Number of candidates fetched (nearest first) before scoring
+ */
+const CANDIDATE_LIMIT = 100;
+
+/**
+ * Points each signal contributes to a similarity score out of 100
+ */
+export const SIMILARITY_WEIGHTS = {
+    distance: 30,
+    price: 25,
+    bedrooms: 15,
+    category: 15,
+    amenities: 10,
+    furnishing: 5
+};
+
+const hasCoordinates = (property) => {
+    const coordinates = property.location?.coordinates;
+    return Array.isArray(coordinates) && coordinates.length === 2 &&
+        coordinates.every(Number.isFinite) && (coordinates[0] !== 0 || coordinates[1] !== 0);
+};
+
+// Overlap of two amenity lists, 0 (nothing shared) to 1 (identical)
+const amenityOverlap = (a = [], b = []) => {
+    const left = new Set(a.map(item => String(item).toLowerCase()));
+    const right = new Set(b.map(item => String(item).toLowerCase()));
+    const union = new Set([...left, ...right]);
+    if (union.size === 0) return 0;
+    const shared = [...left].filter(item => right.has(item)).length;
+    return shared / union.size;
+};
+
+/**
+ * SimilarListingsService recommends other active listings like a given one
+ * for the "similar homes" sections on detail pages.
+ */
+class SimilarListingsService {
+    /**
+     * Score how similar a candidate is to the property, out of 100
+     * @param {object} property - The listing recommendations are for
+     * @param {object} candidate - Another listing; distanceKm is set for nearby searches
+     * @param {string} priceField - Price field of the listing type
+     * @returns {number}
+     */
+    scoreCandidate(property, candidate, priceField) {
+        const weights = SIMILARITY_WEIGHTS;
+        let score = 0;
+
+        if (Number.isFinite(candidate.distanceKm)) {
+            score += weights.distance * Math.max(0, 1 - candidate.distanceKm / SIMILAR_MAX_DISTANCE_KM);
+        } else {
+            // Same-city candidates without coordinates get half the distance points
+            score += weights.distance / 2;
+        }
+
+        const price = property[priceField];
+        const candidatePrice = candidate[priceField];
+        if (price > 0 && candidatePrice > 0) {
+            score += weights.price * Math.max(0, 1 - Math.abs(candidatePrice - price) / price);
+        }
+
+        if (property.bedrooms != null && candidate.bedrooms != null) {
+            const difference = Math.abs(property.bedrooms - candidate.bedrooms);
+            if (difference === 0) score += weights.bedrooms;
+            else if (difference === 1) score += weights.bedrooms / 2;
+        }
+
+        if (property.category && property.category === candidate.category) {
+            score += weights.category;
+        }
+
+        if (property.furnishing && property.furnishing === candidate.furnishing) {
+            score += weights.furnishing;
+        }
+
+        score += weights.amenities * amenityOverlap(property.amenities, candidate.amenities);
+
+        return Math.round(score);
+    }
+
+    /**
+     * Find active listings similar to a property: same listing type, nearby
+     * (or in the same city) and in a similar price range, ranked by distance,
+     * price, bedrooms, category, furnishing and amenity overlap. The owner's
+     * other listings are left out.
+     *
+     * @param {string} propertyId - Property ID
+     * @param {object} options - { limit }
+     * @returns {Promise<{success: boolean, items?: Array<object>, error?: string, code?: string}>}
+     */
+    async findSimilar(propertyId, { limit = DEFAULT_SIMILAR_LIMIT } = {}) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+                return {
+                    success: false,
+                    error: 'Invalid property ID',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            const property = await Property.findOne({ _id: propertyId, isDeleted: false })
+                .select('ownerId listingType category furnishing bedrooms amenities city location monthlyRent sellingPrice')
+                .lean();
+
+            if (!property) {
+                return {
+                    success: false,
+                    error: 'Property not found',
+                    code: 'PROPERTY_NOT_FOUND'
+                };
+            }
+
+            const listingType = property.listingType || LISTING_TYPES.RENT;
+            const priceField = getPriceField(listingType);
+            const size = Math.min(MAX_SIMILAR_LIMIT, Math.max(1, Math.floor(Number(limit)) || DEFAULT_SIMILAR_LIMIT));
+
+            const filter = {
+                _id: { $ne: property._id },
+                ownerId: { $ne: property.ownerId },
+                // Legacy properties without listingType are rentals
+                listingType: listingType === LISTING_TYPES.BUY ? LISTING_TYPES.BUY : { $in: [LISTING_TYPES.RENT, null] },
+                status: 'active',
+                isDeleted: false
+            };
+
+            const price = property[priceField];
+            if (price > 0) {
+                filter[priceField] = { $gte: price / PRICE_RANGE_FACTOR, $lte: price * PRICE_RANGE_FACTOR };
+            }
+
+            // Nearby listings come from the 2dsphere index; without coordinates, the city index
+            const pipeline = hasCoordinates(property)
+                ? [{
+                    $geoNear: {
+                        near: { type: 'Point', coordinates: property.location.coordinates },
+                        key: 'location',
+                        distanceField: 'distanceKm',
+                        distanceMultiplier: 0.001,
+                        maxDistance: SIMILAR_MAX_DISTANCE_KM * 1000,
+                        spherical: true,
+                        query: filter
+                    }
+                }]
+                : [{ $match: { ...filter, city: property.city } }, { $sort: { createdAt: -1 } }];
+
+            pipeline.push({ $limit: CANDIDATE_LIMIT });
+
+            const items = await propertySearchCache.wrap(
+                { route: 'similar', propertyId: String(property._id), limit: size },
+                async () => {
+                    const candidates = await Property.aggregate(pipeline);
+
+                    return candidates
+                        .map(candidate => ({
+                            ...candidate,
+                            similarityScore: this.scoreCandidate(property, candidate, priceField)
+                        }))
+                        .sort((a, b) => b.similarityScore - a.similarityScore)
+                        .slice(0, size);
+                },
+                // Tagged with the property itself too, so editing it refreshes its recommendations
+                { tags: result => propertySearchTags([property, ...result]) }
+            );
+
+            return {
+                success: true,
+                items
+            };
+
+        } catch (error) {
+            console.error('Error in findSimilar:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+}
+
+// Create and export a singleton instance
+const similarListingsService = new SimilarListingsService();
+export default similarListingsService;
@@ -1,10 +1,13 @@
 import * as twilioModule from 'twilio';
+import notificationTemplateService from './notificationTemplateService.js';
+import { HeldDelivery } from '../../models/HeldDelivery.js';
 
 // Handle both ESM and CommonJS imports
 const twilio = twilioModule.default || twilioModule;
 
 /**
  * SMS Service for sending OTP codes via Twilio
+ * Messages are rendered from notification templates (notificationTemplateService)
  * Supports Twilio configuration via environment variables
  */
 class SMSService {
@@ -46,13 +49,37 @@ class SMSService {
     }
 
     /**
-     * Send OTP verification SMS
+     * Render a notification template and send its SMS text
      * @param {string} phoneNumber - Recipient phone number (E.164 format)
-     * @param {string} otp - OTP code to send
-     * @param {string} userName - User's name for personalization
-     * @returns {Promise<{success: boolean, messageSid?: string, error?: string}>}
+     * @param {string} slug - Notification template slug
+     * @param {object} data - Template variables
+     * @param {object} options - { locale, testModeLog, errorLabel, holdFor } - in test mode the message is not sent
+     *   and testModeLog(normalizedPhone) is printed instead; holdFor is the recipient's user ID when the SMS
+     *   waits until their quiet hours are over
+     * @returns {Promise<{success: boolean, messageSid?: string, held?: boolean, error?: string, code?: string}>}
      */
-    async sendOTPSMS(phoneNumber, otp, userName = 'User') {
+    async sendTemplateSMS(phoneNumber, slug, data = {}, { locale, testModeLog, errorLabel = 'SMS', holdFor } = {}) {
+        const rendered = await notificationTemplateService.render(slug, data, { locale });
+        if (!rendered.success) {
+            console.error(`Failed to render ${errorLabel}:`, rendered.error);
+            return {
+                success: false,
+                error: rendered.error,
+                code: rendered.code
+            };
+        }
+
+        return this.sendSMS(phoneNumber, rendered.sms, { testModeLog, errorLabel, holdFor });
+    }
+
+    /**
+     * Send an already rendered SMS
+     * @param {string} phoneNumber - Recipient phone number (E.164 format)
+     * @param {string} body - Message text
+     * @param {object} options - { testModeLog, errorLabel, holdFor }
+     * @returns {Promise<{success: boolean, messageSid?: string, held?: boolean, releaseAt?: Date, error?: string}>}
+     */
+    async sendSMS(phoneNumber, body, { testModeLog, errorLabel = 'SMS', holdFor } = {}) {
         try {
             // Normalize phone number to E.164 format
             const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
@@ -64,13 +91,17 @@ class SMSService {
                 };
             }
 
+            if (holdFor) {
+                const held = await HeldDelivery.holdIfQuiet(holdFor, 'sms', normalizedPhone, { text: body, errorLabel });
+                if (held) {
+                    return { success: true, held: true, messageSid: `held-${held._id}`, releaseAt: held.releaseAt };
+                }
+            }
+
             if (this.testMode || !this.client) {
-                // In development/test mode, log the OTP instead of sending
-                console.log(`\n========================================`);
-                console.log(`[SMS SERVICE - TEST MODE]`);
-                console.log(`To: ${normalizedPhone}`);
-                console.log(`OTP Code: ${otp}`);
-                console.log(`========================================\n`);
+                console.log(typeof testModeLog === 'function'
+                    ? testModeLog(normalizedPhone)
+                    : `[SMS SERVICE - TEST MODE] ${body} (to ${normalizedPhone})`);
                 return {
                     success: true,
                     messageSid: 'test-mode-' + Date.now(),
@@ -78,10 +109,8 @@ class SMSService {
                 };
             }
 
-            const messageBody = this.generateOTPMessage(otp, userName);
-
             const message = await this.client.messages.create({
-                body: messageBody,
+                body,
                 from: this.fromNumber,
                 to: normalizedPhone
             });
@@ -92,7 +121,7 @@ class SMSService {
             };
 
         } catch (error) {
-            console.error('Failed to send OTP SMS:', error);
+            console.error(`Failed to send ${errorLabel}:`, error);
             return {
                 success: false,
                 error: error.message
@@ -101,51 +130,42 @@ class SMSService {
     }
 
     /**
-     * Send phone number update notification SMS
+     * Send OTP verification SMS
      * @param {string} phoneNumber - Recipient phone number (E.164 format)
+     * @param {string} otp - OTP code to send
      * @param {string} userName - User's name for personalization
+     * @param {object} options - { locale }
      * @returns {Promise<{success: boolean, messageSid?: string, error?: string}>}
      */
-    async sendPhoneUpdateNotification(phoneNumber, userName = 'User') {
-        try {
-            const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
-
-            if (!this.isValidPhoneNumber(normalizedPhone)) {
-                return {
-                    success: false,
-                    error: 'Invalid phone number format'
-                };
-            }
-
-            if (!this.isConfigured) {
-                console.log(`[SMS SERVICE - TEST MODE] Phone update notification for ${normalizedPhone}`);
-                return {
-                    success: true,
-                    messageSid: 'test-mode-' + Date.now(),
-                    testMode: true
-                };
-            }
-
-            const messageBody = this.generatePhoneUpdateMessage(userName);
-
-            const message = await this.client.messages.create({
-                body: messageBody,
-                from: this.fromNumber,
-                to: normalizedPhone
-            });
-
-            return {
-                success: true,
-                messageSid: message.sid
-            };
+    async sendOTPSMS(phoneNumber, otp, userName = 'User', { locale } = {}) {
+        return this.sendTemplateSMS(phoneNumber, 'otp-code', { userName, otp }, {
+            locale,
+            // In development/test mode, log the OTP instead of sending
+            testModeLog: (to) => [
+                `\n========================================`,
+                `[SMS SERVICE - TEST MODE]`,
+                `To: ${to}`,
+                `OTP Code: ${otp}`,
+                `========================================\n`
+            ].join('\n'),
+            errorLabel: 'OTP SMS'
+        });
+    }
 
-        } catch (error) {
-            console.error('Failed to send phone update notification:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
+    /**
+     * Send phone number update notification SMS
+     * @param {string} phoneNumber - Recipient phone number (E.164 format)
+     * @param {string} userName - User's name for personalization
+     * @param {object} options - { locale, holdFor }
+     * @returns {Promise<{success: boolean, messageSid?: string, error?: string}>}
+     */
+    async sendPhoneUpdateNotification(phoneNumber, userName = 'User', { locale, holdFor } = {}) {
+        return this.sendTemplateSMS(phoneNumber, 'phone-updated', { userName, updatedAt: new Date() }, {
+            locale,
+            holdFor,
+            testModeLog: (to) => `[SMS SERVICE - TEST MODE] Phone update notification for ${to}`,
+            errorLabel: 'phone update notification'
+        });
     }
 
     /**
@@ -192,262 +212,78 @@ class SMSService {
         return e164Regex.test(phoneNumber);
     }
 
-    /**
-     * Generate OTP SMS message
-     * @param {string} otp - OTP code
-     * @param {string} userName - User's name
-     * @returns {string} SMS message content
-     */
-    generateOTPMessage(otp, userName) {
-        return `Hello ${userName}! Your verification code is: ${otp}. This code expires in 10 minutes. Do not share this code with anyone. - Property Rental Platform`;
-    }
-
     /**
      * Send password change notification SMS
      * @param {string} phoneNumber - Recipient phone number (E.164 format)
      * @param {string} userName - User's name for personalization
+     * @param {object} options - { locale, holdFor }
      * @returns {Promise<{success: boolean, messageSid?: string, error?: string}>}
      */
-    async sendPasswordChangeNotification(phoneNumber, userName = 'User') {
-        try {
-            const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
-
-            if (!this.isValidPhoneNumber(normalizedPhone)) {
-                return {
-                    success: false,
-                    error: 'Invalid phone number format'
-                };
-            }
-
-            if (!this.isConfigured) {
-                console.log(`[SMS SERVICE - TEST MODE] Password change notification for ${normalizedPhone}`);
-                return {
-                    success: true,
-                    messageSid: 'test-mode-' + Date.now(),
-                    testMode: true
-                };
-            }
-
-            const messageBody = this.generatePasswordChangeMessage(userName);
-
-            const message = await this.client.messages.create({
-                body: messageBody,
-                from: this.fromNumber,
-                to: normalizedPhone
-            });
-
-            return {
-                success: true,
-                messageSid: message.sid
-            };
-
-        } catch (error) {
-            console.error('Failed to send password change notification:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
+    async sendPasswordChangeNotification(phoneNumber, userName = 'User', { locale, holdFor } = {}) {
+        return this.sendTemplateSMS(phoneNumber, 'password-changed', { userName, changedAt: new Date() }, {
+            locale,
+            holdFor,
+            testModeLog: (to) => `[SMS SERVICE - TEST MODE] Password change notification for ${to}`,
+            errorLabel: 'password change notification'
+        });
     }
 
     /**
      * Send account deletion notification SMS
      * @param {string} phoneNumber - Recipient phone number (E.164 format)
      * @param {string} userName - User's name for personalization
+     * @param {object} options - { locale, holdFor }
      * @returns {Promise<{success: boolean, messageSid?: string, error?: string}>}
      */
-    async sendAccountDeletionNotification(phoneNumber, userName = 'User') {
-        try {
-            const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
-
-            if (!this.isValidPhoneNumber(normalizedPhone)) {
-                return {
-                    success: false,
-                    error: 'Invalid phone number format'
-                };
-            }
-
-            if (!this.isConfigured) {
-                console.log(`[SMS SERVICE - TEST MODE] Account deletion notification for ${normalizedPhone}`);
-                return {
-                    success: true,
-                    messageSid: 'test-mode-' + Date.now(),
-                    testMode: true
-                };
-            }
-
-            const messageBody = this.generateAccountDeletionMessage(userName);
-
-            const message = await this.client.messages.create({
-                body: messageBody,
-                from: this.fromNumber,
-                to: normalizedPhone
-            });
-
-            return {
-                success: true,
-                messageSid: message.sid
-            };
-
-        } catch (error) {
-            console.error('Failed to send account deletion notification:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
+    async sendAccountDeletionNotification(phoneNumber, userName = 'User', { locale, holdFor } = {}) {
+        return this.sendTemplateSMS(phoneNumber, 'account-deleted', { userName, deletedAt: new Date() }, {
+            locale,
+            holdFor,
+            testModeLog: (to) => `[SMS SERVICE - TEST MODE] Account deletion notification for ${to}`,
+            errorLabel: 'account deletion notification'
+        });
     }
 
     /**
      * Send new device login notification SMS
      * @param {string} phoneNumber - Recipient phone number (E.164 format)
      * @param {string} userName - User's name for personalization
-     * @param {object} context - Login context
+     * @param {object} context - Login context (location, timestamp)
+     * @param {object} options - { locale, holdFor }
      * @returns {Promise<{success: boolean, messageSid?: string, error?: string}>}
      */
-    async sendNewDeviceLoginNotification(phoneNumber, userName = 'User', context = {}) {
-        try {
-            const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
-
-            if (!this.isValidPhoneNumber(normalizedPhone)) {
-                return {
-                    success: false,
-                    error: 'Invalid phone number format'
-                };
-            }
-
-            if (!this.isConfigured) {
-                console.log(`[SMS SERVICE - TEST MODE] New device login notification for ${normalizedPhone}`);
-                return {
-                    success: true,
-                    messageSid: 'test-mode-' + Date.now(),
-                    testMode: true
-                };
-            }
-
-            const messageBody = this.generateNewDeviceLoginMessage(userName, context);
-
-            const message = await this.client.messages.create({
-                body: messageBody,
-                from: this.fromNumber,
-                to: normalizedPhone
-            });
-
-            return {
-                success: true,
-                messageSid: message.sid
-            };
-
-        } catch (error) {
-            console.error('Failed to send new device login notification:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
+    async sendNewDeviceLoginNotification(phoneNumber, userName = 'User', context = {}, { locale, holdFor } = {}) {
+        return this.sendTemplateSMS(phoneNumber, 'new-device-login', {
+            userName,
+            location: context.location,
+            loginAt: context.timestamp || new Date()
+        }, {
+            locale,
+            holdFor,
+            testModeLog: (to) => `[SMS SERVICE - TEST MODE] New device login notification for ${to}`,
+            errorLabel: 'new device login notification'
+        });
     }
 
     /**
      * Send failed login attempts notification SMS
      * @param {string} phoneNumber - Recipient phone number (E.164 format)
      * @param {string} userName - User's name for personalization
-     * @param {object} context - Failed login context
+     * @param {object} context - Failed login context (attempts)
+     * @param {object} options - { locale, holdFor }
      * @returns {Promise<{success: boolean, messageSid?: string, error?: string}>}
      */
-    async sendFailedLoginNotification(phoneNumber, userName = 'User', context = {}) {
-        try {
-            const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
-
-            if (!this.isValidPhoneNumber(normalizedPhone)) {
-                return {
-                    success: false,
-                    error: 'Invalid phone number format'
-                };
-            }
-
-            if (!this.isConfigured) {
-                console.log(`[SMS SERVICE - TEST MODE] Failed login notification for ${normalizedPhone}`);
-                return {
-                    success: true,
-                    messageSid: 'test-mode-' + Date.now(),
-                    testMode: true
-                };
-            }
-
-            const messageBody = this.generateFailedLoginMessage(userName, context);
-
-            const message = await this.client.messages.create({
-                body: messageBody,
-                from: this.fromNumber,
-                to: normalizedPhone
-            });
-
-            return {
-                success: true,
-                messageSid: message.sid
-            };
-
-        } catch (error) {
-            console.error('Failed to send failed login notification:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
-    }
-
-    /**
-     * Generate password change notification message
-     * @param {string} userName - User's name
-     * @returns {string} SMS message content
-     */
-    generatePasswordChangeMessage(userName) {
-        return `Hello ${userName}! Your password has been successfully changed on your Property Rental Platform account. If you didn't make this change, please contact support immediately.`;
-    }
-
-    /**
-     * Generate phone update notification message
-     * @param {string} userName - User's name
-     * @returns {string} SMS message content
-     */
-    generatePhoneUpdateMessage(userName) {
-        return `Hello ${userName}! Your phone number has been successfully updated on your Property Rental Platform account. If you didn't make this change, please contact support immediately.`;
-    }
-
-    /**
-     * Generate account deletion notification message
-     * @param {string} userName - User's name
-     * @returns {string} SMS message content
-     */
-    generateAccountDeletionMessage(userName) {
-        return `Hello ${userName}! Your Property Rental Platform account has been permanently deleted. If you didn't request this, please contact support immediately.`;
-    }
-
-    /**
-     * Generate new device login notification message
-     * @param {string} userName - User's name
-     * @param {object} context - Login context
-     * @returns {string} SMS message content
-     */
-    generateNewDeviceLoginMessage(userName, context) {
-        const { location, timestamp } = context;
-        const timeStr = timestamp ? new Date(timestamp).toLocaleString() : new Date().toLocaleString();
-        const locationStr = location ? ` from ${location}` : '';
-
-        return `Security Alert: New login detected on your Property Rental Platform account${locationStr} at ${timeStr}. If this wasn't you, change your password immediately.`;
-    }
-
-    /**
-     * Generate failed login attempts notification message
-     * @param {string} userName - User's name
-     * @param {object} context - Failed login context
-     * @returns {string} SMS message content
-     */
-    generateFailedLoginMessage(userName, context) {
-        const { attempts } = context;
-        const attemptsStr = attempts ? `${attempts} failed` : 'Multiple failed';
-
-        return `Security Alert: ${attemptsStr} login attempts detected on your Property Rental Platform account. If this wasn't you, secure your account immediately.`;
+    async sendFailedLoginNotification(phoneNumber, userName = 'User', context = {}, { locale, holdFor } = {}) {
+        return this.sendTemplateSMS(phoneNumber, 'failed-login', {
+            userName,
+            attempts: context.attempts,
+            lastAttemptAt: context.lastAttempt || new Date()
+        }, {
+            locale,
+            holdFor,
+            testModeLog: (to) => `[SMS SERVICE - TEST MODE] Failed login notification for ${to}`,
+            errorLabel: 'failed login notification'
+        });
     }
 
     /**
@@ -456,43 +292,10 @@ class SMSService {
      * @returns {Promise<{success: boolean, messageSid?: string, error?: string}>}
      */
     async sendTestSMS(phoneNumber) {
-        try {
-            const normalizedPhone = this.normalizePhoneNumber(phoneNumber);
-
-            if (!this.isValidPhoneNumber(normalizedPhone)) {
-                return {
-                    success: false,
-                    error: 'Invalid phone number format'
-                };
-            }
-
-            if (!this.isConfigured) {
-                console.log(`[SMS SERVICE - TEST MODE] Test SMS for ${normalizedPhone}`);
-                return {
-                    success: true,
-                    messageSid: 'test-mode-' + Date.now(),
-                    testMode: true
-                };
-            }
-
-            const message = await this.client.messages.create({
-                body: 'Test message from Property Rental Platform SMS service. Configuration is working correctly!',
-                from: this.fromNumber,
-                to: normalizedPhone
-            });
-
-            return {
-                success: true,
-                messageSid: message.sid
-            };
-
-        } catch (error) {
-            console.error('Failed to send test SMS:', error);
-            return {
-                success: false,
-                error: error.message
-            };
-        }
+        return this.sendTemplateSMS(phoneNumber, 'sms-test', {}, {
+            testModeLog: (to) => `[SMS SERVICE - TEST MODE] Test SMS for ${to}`,
+            errorLabel: 'test SMS'
+        });
     }
 
     /**
@@ -0,0 +1,407 @@
+import mongoose from 'mongoose';
+import { ViewHistory } from '../../models/ViewHistory.js';
+import { Property } from '../../models/Property.js';
+import { Wishlist } from '../../models/Wishlist.js';
+import { User } from '../../models/User.js';
+import { LISTING_TYPES } from '../../../shared/propertyTypes.js';
+import { getPriceField } from './priceHistoryService.js';
+
+export const MAX_RECENTLY_VIEWED = 12;
+export const DEFAULT_RECOMMENDATION_LIMIT = 12;
+
+/**
+ * Days a view is kept after it was last viewed; dataRetentionService removes older entries
+ */
+export const VIEW_HISTORY_RETENTION_DAYS = parseInt(process.env.VIEW_HISTORY_RETENTION_DAYS) || 180;
+
+/**
+ * Latest views and wishlist entries used to build a user's preferences
+ */
+const PROFILE_SIGNAL_LIMIT = 50;
+
+/**
+ * A wishlisted listing counts as much as this many views
+ */
+const WISHLIST_WEIGHT = 3;
+
+/**
+ * Repeat views of one listing count up to this many times
+ */
+const MAX_VIEW_WEIGHT = 3;
+
+/**
+ * Number of preferred cities and categories kept in a profile
+ */
+const TOP_PREFERENCES = 3;
+
+/**
+ * Number of candidates fetched (newest first) before scoring
+ */
+const CANDIDATE_LIMIT = 100;
+
+/**
+ * Points each signal contributes to a recommendation score out of 100
+ */
+const RECOMMENDATION_WEIGHTS = {
+    city: 40,
+    category: 30,
+    price: 30
+};
+
+const historyEnabled = (user) => user?.privacySettings?.dataRetention?.keepViewHistory !== false;
+const personalizationEnabled = (user) => user?.privacySettings?.dataProcessing?.personalization !== false;
+
+// Legacy properties without listingType are rentals
+const listingTypeScope = (listingType) =>
+    listingType === LISTING_TYPES.BUY ? LISTING_TYPES.BUY : { $in: [LISTING_TYPES.RENT, null] };
+
+// Heaviest keys of a weight map, with their share of the total weight
+const topShares = (weights) => {
+    const total = [...weights.values()].reduce((sum, weight) => sum + weight, 0);
+    return [...weights.entries()]
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, TOP_PREFERENCES)
+        .map(([value, weight]) => ({ value, share: weight / total }));
+};
+
+const percentile = (sorted, p) => sorted[Math.round(p * (sorted.length - 1))];
+
+/**
+ * ViewHistoryService records the listings signed-in users open and turns
+ * their views and wishlist into the "recently viewed" and "recommended for you"
+ * rails of the home feed. Recording follows the user's keepViewHistory privacy
+ * setting and recommendations follow the personalization consent.
+ */
+class ViewHistoryService {
+    /**
+     * Record that a user opened a listing. Views of the user's own listings
+     * are not recorded, and nothing is stored while keepViewHistory is off.
+     *
+     * @param {string} userId - User ID
+     * @param {string} propertyId - Property ID
+     * @returns {Promise<{success: boolean, recorded?: boolean, error?: string, code?: string}>}
+     */
+    async recordView(userId, propertyId) {
+        try {
+            if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+                return {
+                    success: false,
+                    error: 'Invalid property ID',
+                    code: 'INVALID_ID'
+                };
+            }
+
+            const user = await User.findById(userId).select('privacySettings').lean();
+            if (!historyEnabled(user)) {
+                return { success: true, recorded: false };
+            }
+
+            const property = await Property.findOne({ _id: propertyId, isDeleted: false })
+                .select('ownerId listingType city category monthlyRent sellingPrice')
+                .lean();
+
+            if (!property) {
+                return {
+                    success: false,
+                    error: 'Property not found',
+                    code: 'PROPERTY_NOT_FOUND'
+                };
+            }
+
+            if (String(property.ownerId) === String(userId)) {
+                return { success: true, recorded: false };
+            }
+
+            const listingType = property.listingType || LISTING_TYPES.RENT;
+
+            await ViewHistory.updateOne(
+                { userId, propertyId: property._id },
+                {
+                    $set: {
+                        listingType,
+                        city: property.city || '',
+                        category: property.category || '',
+                        price: property[getPriceField(listingType)] ?? null,
+                        lastViewedAt: new Date()
+                    },
+                    $inc: { viewCount: 1 }
+                },
+                { upsert: true }
+            );
+
+            return { success: true, recorded: true };
+
+        } catch (error) {
+            console.error('Error in recordView:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Active listings a user viewed most recently, newest first
+     * @param {string} userId - User ID
+     * @param {object} options - { limit }
+     * @returns {Promise<{success: boolean, items?: Array<object>, error?: string, code?: string}>}
+     */
+    async getRecentlyViewed(userId, { limit = MAX_RECENTLY_VIEWED } = {}) {
+        try {
+            const size = Math.min(MAX_RECENTLY_VIEWED, Math.max(1, Math.floor(Number(limit)) || MAX_RECENTLY_VIEWED));
+
+            // Fetch a few extra entries so listings taken down since don't leave the rail short
+            const entries = await ViewHistory.find({ userId })
+                .sort({ lastViewedAt: -1 })
+                .limit(size * 2)
+                .lean();
+
+            const properties = await Property.find({
+                _id: { $in: entries.map(entry => entry.propertyId) },
+                status: 'active',
+                isDeleted: false
+            }).lean();
+
+            const byId = new Map(properties.map(property => [String(property._id), property]));
+            const items = entries
+                .filter(entry => byId.has(String(entry.propertyId)))
+                .slice(0, size)
+                .map(entry => ({
+                    ...byId.get(String(entry.propertyId)),
+                    viewedAt: entry.lastViewedAt
+                }));
+
+            return {
+                success: true,
+                items
+            };
+
+        } catch (error) {
+            console.error('Error in getRecentlyViewed:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Summarize what a user looks at from their latest views and wishlist:
+     * the listing type they browse most, their top cities and categories
+     * and the price range of listings of that type.
+     *
+     * @param {string} userId - User ID
+     * @returns {Promise<{listingType: string, cities: Array, categories: Array, priceRange: object|null, seenIds: Array}|null>}
+     *          null when the user has no views or wishlist entries
+     */
+    async buildPreferenceProfile(userId) {
+        const [views, wishlist] = await Promise.all([
+            ViewHistory.find({ userId })
+                .sort({ lastViewedAt: -1 })
+                .limit(PROFILE_SIGNAL_LIMIT)
+                .lean(),
+            Wishlist.find({ user: userId })
+                .sort({ createdAt: -1 })
+                .limit(PROFILE_SIGNAL_LIMIT)
+                .populate('property', 'listingType city category monthlyRent sellingPrice')
+                .lean()
+        ]);
+
+        const signals = [
+            ...views.map(view => ({
+                propertyId: view.propertyId,
+                listingType: view.listingType || LISTING_TYPES.RENT,
+                city: view.city,
+                category: view.category,
+                price: view.price,
+                weight: Math.min(view.viewCount || 1, MAX_VIEW_WEIGHT)
+            })),
+            ...wishlist
+                .filter(item => item.property)
+                .map(({ property }) => {
+                    const listingType = property.listingType || LISTING_TYPES.RENT;
+                    return {
+                        propertyId: property._id,
+                        listingType,
+                        city: property.city,
+                        category: property.category,
+                        price: property[getPriceField(listingType)],
+                        weight: WISHLIST_WEIGHT
+                    };
+                })
+        ];
+
+        if (signals.length === 0) return null;
+
+        const typeWeights = new Map();
+        signals.forEach(signal => {
+            typeWeights.set(signal.listingType, (typeWeights.get(signal.listingType) || 0) + signal.weight);
+        });
+        const listingType = topShares(typeWeights)[0].value;
+
+        const cityWeights = new Map();
+        const categoryWeights = new Map();
+        const prices = [];
+        signals
+            .filter(signal => signal.listingType === listingType)
+            .forEach(signal => {
+                if (signal.city) cityWeights.set(signal.city, (cityWeights.get(signal.city) || 0) + signal.weight);
+                if (signal.category) categoryWeights.set(signal.category, (categoryWeights.get(signal.category) || 0) + signal.weight);
+                if (signal.price > 0) prices.push(signal.price);
+            });
+
+        prices.sort((a, b) => a - b);
+
+        return {
+            listingType,
+            cities: topShares(cityWeights),
+            categories: topShares(categoryWeights),
+            // Middle of the viewed prices, widened a little to leave room for nearby budgets
+            priceRange: prices.length > 0
+                ? {
+                    min: Math.floor(percentile(prices, 0.1) * 0.8),
+                    max: Math.ceil(percentile(prices, 0.9) * 1.2),
+                    median: percentile(prices, 0.5)
+                }
+                : null,
+            seenIds: signals.map(signal => signal.propertyId)
+        };
+    }
+
+    /**
+     * Score how well a listing fits a preference profile, out of 100
+     * @param {object} profile - From buildPreferenceProfile
+     * @param {object} property - Candidate listing
+     * @returns {number}
+     */
+    scoreRecommendation(profile, property) {
+        const weights = RECOMMENDATION_WEIGHTS;
+        let score = 0;
+
+        const city = profile.cities.find(entry => entry.value === property.city);
+        if (city) score += weights.city * city.share;
+
+        const category = profile.categories.find(entry => entry.value === property.category);
+        if (category) score += weights.category * category.share;
+
+        const price = property[getPriceField(profile.listingType)];
+        if (profile.priceRange && price > 0) {
+            const { median } = profile.priceRange;
+            score += weights.price * Math.max(0, 1 - Math.abs(price - median) / median);
+        }
+
+        return Math.round(score);
+    }
+
+    /**
+     * Recommend active listings in the cities, categories and price range a
+     * user views or wishlists, leaving out listings they have already seen and
+     * their own. Returns an empty, non-personalized result when the user has
+     * turned personalization off or has no history yet.
+     *
+     * @param {string} userId - User ID
+     * @param {object} options - { limit }
+     * @returns {Promise<{success: boolean, personalized?: boolean, items?: Array<object>, error?: string, code?: string}>}
+     */
+    async getRecommendations(userId, { limit = DEFAULT_RECOMMENDATION_LIMIT } = {}) {
+        try {
+            const user = await User.findById(userId).select('privacySettings').lean();
+            if (!personalizationEnabled(user)) {
+                return { success: true, personalized: false, items: [] };
+            }
+
+            const profile = await this.buildPreferenceProfile(userId);
+            if (!profile || profile.cities.length === 0) {
+                return { success: true, personalized: false, items: [] };
+            }
+
+            const size = Math.min(DEFAULT_RECOMMENDATION_LIMIT, Math.max(1, Math.floor(Number(limit)) || DEFAULT_RECOMMENDATION_LIMIT));
+            const priceField = getPriceField(profile.listingType);
+
+            const filter = {
+                _id: { $nin: profile.seenIds },
+                ownerId: { $ne: userId },
+                listingType: listingTypeScope(profile.listingType),
+                city: { $in: profile.cities.map(entry => entry.value) },
+                status: 'active',
+                isDeleted: false
+            };
+
+            if (profile.priceRange) {
+                filter[priceField] = { $gte: profile.priceRange.min, $lte: profile.priceRange.max };
+            }
+
+            const candidates = await Property.find(filter)
+                .sort({ createdAt: -1 })
+                .limit(CANDIDATE_LIMIT)
+                .lean();
+
+            const items = candidates
+                .map(property => ({
+                    ...property,
+                    recommendationScore: this.scoreRecommendation(profile, property)
+                }))
+                .sort((a, b) => b.recommendationScore - a.recommendationScore)
+                .slice(0, size);
+
+            return {
+                success: true,
+                personalized: true,
+                items
+            };
+
+        } catch (error) {
+            console.error('Error in getRecommendations:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Delete all of a user's view history
+     * @param {string} userId - User ID
+     * @returns {Promise<{success: boolean, deletedCount?: number, error?: string, code?: string}>}
+     */
+    async clearHistory(userId) {
+        try {
+            const result = await ViewHistory.deleteMany({ userId });
+
+            return {
+                success: true,
+                deletedCount: result.deletedCount
+            };
+
+        } catch (error) {
+            console.error('Error in clearHistory:', error);
+            return {
+                success: false,
+                error: error.message,
+                code: 'INTERNAL_ERROR'
+            };
+        }
+    }
+
+    /**
+     * Delete views last seen longer ago than the retention period.
+     * Run by dataRetentionService's daily cleanup.
+     *
+     * @param {number} retentionDays - Days to keep a view
+     * @returns {Promise<number>} Number of entries deleted
+     */
+    async cleanupExpiredHistory(retentionDays = VIEW_HISTORY_RETENTION_DAYS) {
+        const cutoff = new Date();
+        cutoff.setDate(cutoff.getDate() - retentionDays);
+
+        const result = await ViewHistory.deleteMany({ lastViewedAt: { $lt: cutoff } });
+        return result.deletedCount;
+    }
+}
+
+// Create and export a singleton instance
+const viewHistoryService = new ViewHistoryService();
+export default viewHistoryService;
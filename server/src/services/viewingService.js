@@ -0,0 +1,557 @@
+import mongoose from 'mongoose';
+import { ViewingSlot } from '../../models/ViewingSlot.js';
+import { ViewingAppointment } from '../../models/ViewingAppointment.js';
+import { Property } from '../../models/Property.js';
+import { User } from '../../models/User.js';
+import { Notification } from '../../models/Notification.js';
+import { NotificationPreferences } from '../../models/NotificationPreferences.js';
+import messageService from './messageService.js';
+import emailService from './emailService.js';
+import { buildCalendarEvent } from '../utils/icsCalendar.js';
+
+// Upcoming (not cancelled) slots a single property may have at once
+export const MAX_UPCOMING_SLOTS = 100;
+
+const VIEWING_TIMEZONE = process.env.VIEWING_TIMEZONE || 'Asia/Kolkata';
+
+const PROPERTY_FIELDS = 'title slug listingType address city photos ownerId status isDeleted';
+
+const formatViewingTime = (date) => new Date(date).toLocaleString('en-IN', {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    timeZone: VIEWING_TIMEZONE
+});
+
+const overlaps = (a, b) => a.startsAt < b.endsAt && b.startsAt < a.endsAt;
+
+/**
+ * ViewingService manages owner-published viewing slots and the appointments
+ * seekers book against them. Every booking change is announced in the
+ * property conversation, as an in-app notification and by email with an
+ * .ics calendar attachment.
+ */
+class ViewingService {
+    /**
+     * Publish viewing slots for a property
+     * @param {string} ownerId - Property owner's user ID
+     * @param {string} propertyId - Property ID
+     * @param {Array<{startsAt: Date, endsAt: Date}>} slots - Slots to add
+     * @returns {Promise<{success: boolean, slots?: Array, error?: string, code?: string}>}
+     */
+    async createSlots(ownerId, propertyId, slots) {
+        try {
+            const property = await Property.findOne({ _id: propertyId, isDeleted: false })
+                .select('ownerId status')
+                .lean();
+
+            if (!property) {
+                return { success: false, error: 'Property not found', code: 'PROPERTY_NOT_FOUND' };
+            }
+            if (property.ownerId.toString() !== ownerId.toString()) {
+                return { success: false, error: 'Only the owner can publish viewing slots', code: 'FORBIDDEN' };
+            }
+            if (property.status !== 'active') {
+                return { success: false, error: 'Viewings can only be scheduled for active listings', code: 'PROPERTY_INACTIVE' };
+            }
+
+            const now = new Date();
+            const requested = slots
+                .map(slot => ({ startsAt: new Date(slot.startsAt), endsAt: new Date(slot.endsAt) }))
+                .sort((a, b) => a.startsAt - b.startsAt);
+
+            if (requested.some(slot => slot.startsAt <= now)) {
+                return { success: false, error: 'Viewing slots must be in the future', code: 'INVALID_SLOT' };
+            }
+            for (let i = 1; i < requested.length; i++) {
+                if (overlaps(requested[i - 1], requested[i])) {
+                    return { success: false, error: 'Viewing slots cannot overlap', code: 'SLOT_CONFLICT' };
+                }
+            }
+
+            const existing = await ViewingSlot.find({
+                propertyId,
+                isCancelled: false,
+                endsAt: { $gt: now }
+            }).select('startsAt endsAt').lean();
+
+            if (existing.length + requested.length > MAX_UPCOMING_SLOTS) {
+                return {
+                    success: false,
+                    error: `A property can have at most ${MAX_UPCOMING_SLOTS} upcoming viewing slots`,
+                    code: 'LIMIT_REACHED'
+                };
+            }
+            if (requested.some(slot => existing.some(other => overlaps(slot, other)))) {
+                return { success: false, error: 'A new slot overlaps an existing viewing slot', code: 'SLOT_CONFLICT' };
+            }
+
+            const created = await ViewingSlot.insertMany(requested.map(slot => ({
+                ...slot,
+                propertyId,
+                ownerId
+            })));
+
+            return { success: true, slots: created.map(slot => slot.toObject()) };
+        } catch (error) {
+            console.error('Error in createSlots:', error);
+            return { success: false, error: error.message, code: 'INTERNAL_ERROR' };
+        }
+    }
+
+    /**
+     * Upcoming slots of a property. The owner sees booked slots with the
+     * seeker's details; everyone else only sees open slots.
+     *
+     * @param {string} propertyId - Property ID
+     * @param {string|null} userId - Requesting user's ID, if signed in
+     * @returns {Promise<{success: boolean, slots?: Array, isOwner?: boolean, error?: string, code?: string}>}
+     */
+    async getSlots(propertyId, userId = null) {
+        try {
+            const property = await Property.findOne({ _id: propertyId, isDeleted: false })
+                .select('ownerId')
+                .lean();
+
+            if (!property) {
+                return { success: false, error: 'Property not found', code: 'PROPERTY_NOT_FOUND' };
+            }
+
+            const isOwner = Boolean(userId) && property.ownerId.toString() === userId.toString();
+            const query = {
+                propertyId,
+                isCancelled: false,
+                startsAt: { $gt: new Date() }
+            };
+            if (!isOwner) query.appointmentId = null;
+
+            let slotsQuery = ViewingSlot.find(query)
+                .select('startsAt endsAt appointmentId')
+                .sort({ startsAt: 1 });
+
+            if (isOwner) {
+                slotsQuery = slotsQuery.populate({
+                    path: 'appointmentId',
+                    select: 'seekerId note status',
+                    populate: { path: 'seekerId', select: 'name avatar phone' }
+                });
+            }
+
+            const slots = await slotsQuery.lean();
+
+            return {
+                success: true,
+                isOwner,
+                slots: slots.map(({ appointmentId, ...slot }) => ({
+                    ...slot,
+                    isBooked: Boolean(appointmentId),
+                    ...(isOwner && appointmentId ? { appointment: appointmentId } : {})
+                }))
+            };
+        } catch (error) {
+            console.error('Error in getSlots:', error);
+            return { success: false, error: error.message, code: 'INTERNAL_ERROR' };
+        }
+    }
+
+    /**
+     * Withdraw a viewing slot. A booking on it is cancelled and the seeker told.
+     * @param {string} ownerId - Property owner's user ID
+     * @param {string} slotId - Slot ID
+     * @param {string} reason - Optional reason shown to the seeker
+     * @returns {Promise<{success: boolean, error?: string, code?: string}>}
+     */
+    async cancelSlot(ownerId, slotId, reason = '') {
+        try {
+            const slot = await ViewingSlot.findOne({ _id: slotId, ownerId, isCancelled: false });
+            if (!slot) {
+                return { success: false, error: 'Viewing slot not found', code: 'NOT_FOUND' };
+            }
+
+            slot.isCancelled = true;
+            await slot.save();
+
+            if (slot.appointmentId) {
+                const appointment = await ViewingAppointment.findOne({ _id: slot.appointmentId, status: 'booked' });
+                if (appointment) {
+                    await this.markCancelled(appointment, ownerId, reason);
+                    await this.announce(appointment, 'cancelled', ownerId, { reason });
+                }
+            }
+
+            return { success: true };
+        } catch (error) {
+            console.error('Error in cancelSlot:', error);
+            return { success: false, error: error.message, code: 'INTERNAL_ERROR' };
+        }
+    }
+
+    /**
+     * Book an open slot
+     * @param {string} seekerId - Booking user's ID
+     * @param {string} slotId - Slot ID
+     * @param {string} note - Optional note for the owner
+     * @returns {Promise<{success: boolean, appointment?: object, error?: string, code?: string}>}
+     */
+    async bookSlot(seekerId, slotId, note = '') {
+        try {
+            const slot = await ViewingSlot.findById(slotId).lean();
+            if (!slot || slot.isCancelled) {
+                return { success: false, error: 'Viewing slot not found', code: 'NOT_FOUND' };
+            }
+            if (slot.ownerId.toString() === seekerId.toString()) {
+                return { success: false, error: 'You cannot book a viewing of your own property', code: 'OWN_PROPERTY' };
+            }
+
+            const property = await Property.findOne({ _id: slot.propertyId, isDeleted: false, status: 'active' })
+                .select('_id')
+                .lean();
+            if (!property) {
+                return { success: false, error: 'This property is no longer available', code: 'PROPERTY_INACTIVE' };
+            }
+
+            const existing = await ViewingAppointment.exists({
+                propertyId: slot.propertyId,
+                seekerId,
+                status: 'booked',
+                startsAt: { $gt: new Date() }
+            });
+            if (existing) {
+                return {
+                    success: false,
+                    error: 'You already have a viewing booked for this property. Reschedule it instead.',
+                    code: 'ALREADY_BOOKED'
+                };
+            }
+
+            // Claim the slot atomically so two seekers cannot book it at once
+            const appointmentId = new mongoose.Types.ObjectId();
+            const claimed = await this.claimSlot(slotId, appointmentId);
+            if (!claimed) {
+                return { success: false, error: 'This slot is no longer available', code: 'SLOT_UNAVAILABLE' };
+            }
+
+            let appointment;
+            try {
+                appointment = await ViewingAppointment.create({
+                    _id: appointmentId,
+                    propertyId: slot.propertyId,
+                    slotId,
+                    ownerId: slot.ownerId,
+                    seekerId,
+                    startsAt: claimed.startsAt,
+                    endsAt: claimed.endsAt,
+                    note
+                });
+            } catch (error) {
+                await this.releaseSlot(slotId, appointmentId);
+                throw error;
+            }
+
+            await this.announce(appointment, 'booked', seekerId);
+
+            return { success: true, appointment: appointment.toObject() };
+        } catch (error) {
+            console.error('Error in bookSlot:', error);
+            return { success: false, error: error.message, code: 'INTERNAL_ERROR' };
+        }
+    }
+
+    /**
+     * Move a booked viewing to another open slot of the same property
+     * @param {string} seekerId - Booking user's ID
+     * @param {string} appointmentId - Appointment ID
+     * @param {string} slotId - New slot ID
+     * @returns {Promise<{success: boolean, appointment?: object, error?: string, code?: string}>}
+     */
+    async rescheduleAppointment(seekerId, appointmentId, slotId) {
+        try {
+            const appointment = await ViewingAppointment.findOne({ _id: appointmentId, seekerId });
+            if (!appointment) {
+                return { success: false, error: 'Viewing not found', code: 'NOT_FOUND' };
+            }
+            if (appointment.status !== 'booked' || appointment.startsAt <= new Date()) {
+                return { success: false, error: 'Only upcoming viewings can be rescheduled', code: 'INVALID_STATE' };
+            }
+            if (appointment.slotId.toString() === slotId.toString()) {
+                return { success: false, error: 'The viewing is already booked for this slot', code: 'INVALID_SLOT' };
+            }
+
+            const slot = await ViewingSlot.findById(slotId).select('propertyId').lean();
+            if (!slot || slot.propertyId.toString() !== appointment.propertyId.toString()) {
+                return { success: false, error: 'Viewing slot not found', code: 'NOT_FOUND' };
+            }
+
+            const claimed = await this.claimSlot(slotId, appointment._id);
+            if (!claimed) {
+                return { success: false, error: 'This slot is no longer available', code: 'SLOT_UNAVAILABLE' };
+            }
+
+            await this.releaseSlot(appointment.slotId, appointment._id);
+
+            const previousStartsAt = appointment.startsAt;
+            appointment.slotId = slotId;
+            appointment.startsAt = claimed.startsAt;
+            appointment.endsAt = claimed.endsAt;
+            appointment.rescheduleCount += 1;
+            appointment.sequence += 1;
+            await appointment.save();
+
+            await this.announce(appointment, 'rescheduled', seekerId, { previousStartsAt });
+
+            return { success: true, appointment: appointment.toObject() };
+        } catch (error) {
+            console.error('Error in rescheduleAppointment:', error);
+            return { success: false, error: error.message, code: 'INTERNAL_ERROR' };
+        }
+    }
+
+    /**
+     * Cancel an upcoming viewing. Either participant may cancel; the slot
+     * becomes bookable again.
+     *
+     * @param {string} userId - Cancelling user's ID
+     * @param {string} appointmentId - Appointment ID
+     * @param {string} reason - Optional reason shown to the other participant
+     * @returns {Promise<{success: boolean, appointment?: object, error?: string, code?: string}>}
+     */
+    async cancelAppointment(userId, appointmentId, reason = '') {
+        try {
+            const appointment = await ViewingAppointment.findOne({
+                _id: appointmentId,
+                $or: [{ seekerId: userId }, { ownerId: userId }]
+            });
+            if (!appointment) {
+                return { success: false, error: 'Viewing not found', code: 'NOT_FOUND' };
+            }
+            if (appointment.status !== 'booked' || appointment.startsAt <= new Date()) {
+                return { success: false, error: 'Only upcoming viewings can be cancelled', code: 'INVALID_STATE' };
+            }
+
+            await this.markCancelled(appointment, userId, reason);
+            await this.releaseSlot(appointment.slotId, appointment._id);
+            await this.announce(appointment, 'cancelled', userId, { reason });
+
+            return { success: true, appointment: appointment.toObject() };
+        } catch (error) {
+            console.error('Error in cancelAppointment:', error);
+            return { success: false, error: error.message, code: 'INTERNAL_ERROR' };
+        }
+    }
+
+    /**
+     * A user's viewings, as seeker, owner or both
+     * @param {string} userId - User ID
+     * @param {object} options - { role: 'seeker'|'owner'|'all', scope: 'upcoming'|'past', page, limit }
+     * @returns {Promise<{success: boolean, appointments?: Array, pagination?: object, error?: string, code?: string}>}
+     */
+    async listAppointments(userId, { role = 'all', scope = 'upcoming', page = 1, limit = 20 } = {}) {
+        try {
+            const now = new Date();
+            const query = {};
+
+            if (role === 'seeker') query.seekerId = userId;
+            else if (role === 'owner') query.ownerId = userId;
+            else query.$or = [{ seekerId: userId }, { ownerId: userId }];
+
+            if (scope === 'past') {
+                query.$and = [{ $or: [{ endsAt: { $lte: now } }, { status: 'cancelled' }] }];
+            } else {
+                query.status = 'booked';
+                query.endsAt = { $gt: now };
+            }
+
+            const skip = (page - 1) * limit;
+            const [appointments, total] = await Promise.all([
+                ViewingAppointment.find(query)
+                    .sort({ startsAt: scope === 'past' ? -1 : 1 })
+                    .skip(skip)
+                    .limit(limit)
+                    .populate('propertyId', 'title slug listingType address city photos')
+                    .populate('seekerId', 'name avatar phone')
+                    .populate('ownerId', 'name avatar phone')
+                    .lean(),
+                ViewingAppointment.countDocuments(query)
+            ]);
+
+            return {
+                success: true,
+                appointments: appointments.map(({ propertyId, seekerId, ownerId, ...appointment }) => ({
+                    ...appointment,
+                    property: propertyId,
+                    seeker: seekerId,
+                    owner: ownerId,
+                    role: ownerId?._id?.toString() === userId.toString() ? 'owner' : 'seeker'
+                })),
+                pagination: {
+                    page,
+                    limit,
+                    total,
+                    pages: Math.ceil(total / limit)
+                }
+            };
+        } catch (error) {
+            console.error('Error in listAppointments:', error);
+            return { success: false, error: error.message, code: 'INTERNAL_ERROR' };
+        }
+    }
+
+    /**
+     * Atomically attach an appointment to an open, upcoming slot
+     * @returns {Promise<object|null>} The claimed slot, or null if it was taken
+     */
+    async claimSlot(slotId, appointmentId) {
+        return ViewingSlot.findOneAndUpdate(
+            {
+                _id: slotId,
+                appointmentId: null,
+                isCancelled: false,
+                startsAt: { $gt: new Date() }
+            },
+            { $set: { appointmentId } },
+            { new: true }
+        ).lean();
+    }
+
+    /**
+     * Detach an appointment from its slot so the slot can be booked again
+     */
+    async releaseSlot(slotId, appointmentId) {
+        await ViewingSlot.updateOne({ _id: slotId, appointmentId }, { $set: { appointmentId: null } });
+    }
+
+    async markCancelled(appointment, userId, reason) {
+        appointment.status = 'cancelled';
+        appointment.cancelledBy = userId;
+        appointment.cancellationReason = reason || '';
+        appointment.cancelledAt = new Date();
+        appointment.sequence += 1;
+        await appointment.save();
+    }
+
+    /**
+     * Tell both participants about a booking change: a system message in the
+     * property conversation, an in-app notification for the other participant
+     * and a calendar email to each. Failures are logged, never thrown, so the
+     * booking itself always goes through.
+     *
+     * @param {object} appointment - Appointment document
+     * @param {string} action - "booked", "rescheduled" or "cancelled"
+     * @param {string} actorId - User who made the change
+     * @param {object} extras - { previousStartsAt, reason }
+     */
+    async announce(appointment, action, actorId, { previousStartsAt = null, reason = '' } = {}) {
+        try {
+            const [property, owner, seeker] = await Promise.all([
+                Property.findById(appointment.propertyId).select(PROPERTY_FIELDS).lean(),
+                User.findById(appointment.ownerId).select('name email locale').lean(),
+                User.findById(appointment.seekerId).select('name email locale').lean()
+            ]);
+            if (!property || !owner || !seeker) return;
+
+            const actorIsOwner = actorId.toString() === appointment.ownerId.toString();
+            const actor = actorIsOwner ? owner : seeker;
+            const when = formatViewingTime(appointment.startsAt);
+
+            const texts = {
+                booked: `${actor.name} booked a viewing for ${when}.`,
+                rescheduled: `${actor.name} moved the viewing from ${formatViewingTime(previousStartsAt)} to ${when}.`,
+                cancelled: `${actor.name} cancelled the viewing on ${when}.${reason ? ` Reason: ${reason}` : ''}`
+            };
+
+            const conversationId = await this.postSystemMessage(appointment, actorId, `📅 ${texts[action]}`);
+
+            const titles = {
+                booked: 'New viewing booked',
+                rescheduled: 'Viewing rescheduled',
+                cancelled: 'Viewing cancelled'
+            };
+            const recipient = actorIsOwner ? seeker : owner;
+            await Notification.create({
+                recipient: recipient._id,
+                type: 'viewing',
+                title: titles[action],
+                message: `${texts[action]} Property: "${property.title}"`,
+                data: {
+                    propertyId: property._id,
+                    conversationId,
+                    appointmentId: appointment._id
+                }
+            });
+
+            await Promise.all([
+                this.sendCalendarEmail(appointment, action, property, owner, seeker, { recipientIsOwner: true, previousStartsAt, reason }),
+                this.sendCalendarEmail(appointment, action, property, owner, seeker, { recipientIsOwner: false, previousStartsAt, reason })
+            ]);
+        } catch (error) {
+            console.error('[Viewings] Error announcing appointment change:', error.message);
+        }
+    }
+
+    /**
+     * Add a system message to the seeker/owner conversation about the property,
+     * starting the conversation if there is none yet
+     * @returns {Promise<ObjectId|null>} Conversation ID
+     */
+    async postSystemMessage(appointment, actorId, text) {
+        let conversationId = appointment.conversationId;
+
+        if (!conversationId) {
+            const result = await messageService.getOrCreateConversation(
+                appointment.seekerId.toString(),
+                appointment.ownerId.toString(),
+                appointment.propertyId.toString()
+            );
+            if (!result.success) return null;
+
+            conversationId = result.conversation._id;
+            appointment.conversationId = conversationId;
+            await ViewingAppointment.updateOne({ _id: appointment._id }, { $set: { conversationId } });
+        }
+
+        await messageService.sendSystemMessage(conversationId.toString(), actorId.toString(), text);
+        return conversationId;
+    }
+
+    async sendCalendarEmail(appointment, action, property, owner, seeker, { recipientIsOwner, previousStartsAt, reason }) {
+        const recipient = recipientIsOwner ? owner : seeker;
+        const counterpart = recipientIsOwner ? seeker : owner;
+        if (!recipient.email) return;
+
+        const preferences = await NotificationPreferences.getOrCreate(recipient._id);
+        if (preferences.globalSettings?.emailEnabled === false) return;
+
+        const siteUrl = process.env.SITE_URL || 'https://renters.com';
+        const method = action === 'cancelled' ? 'CANCEL' : 'REQUEST';
+        const content = buildCalendarEvent({
+            uid: `viewing-${appointment._id}@${new URL(siteUrl).hostname}`,
+            sequence: appointment.sequence,
+            start: appointment.startsAt,
+            end: appointment.endsAt,
+            summary: `Property viewing: ${property.title}`,
+            description: `Viewing with ${counterpart.name}${appointment.note ? `\nNote: ${appointment.note}` : ''}`,
+            location: [property.address, property.city].filter(Boolean).join(', '),
+            url: `${siteUrl}/${property.listingType === 'buy' ? 'buy' : 'rent'}/${property.slug}`,
+            organizer: { name: owner.name, email: owner.email },
+            attendees: [{ name: seeker.name, email: seeker.email }],
+            method
+        });
+
+        await emailService.sendViewingNotification(recipient.email, recipient.name, {
+            action,
+            property,
+            startsAt: appointment.startsAt,
+            endsAt: appointment.endsAt,
+            previousStartsAt,
+            counterpartName: counterpart.name,
+            note: recipientIsOwner ? appointment.note : '',
+            reason,
+            calendar: { method, content }
+        }, { locale: recipient.locale, holdFor: recipient._id });
+    }
+}
+
+const viewingService = new ViewingService();
+export default viewingService;
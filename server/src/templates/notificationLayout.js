@@ -0,0 +1,55 @@
+/**
+ * Shared layout for notification emails
+ * Every templated HTML email is wrapped in this layout unless its template
+ * turns the layout off. The layout is itself rendered by the template engine.
+ */
+
+export const EMAIL_LAYOUT_STYLES = `
+                body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+                .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+                .header { background-color: #f8f9fa; padding: 20px; text-align: center; border-radius: 8px 8px 0 0; }
+                .content { background-color: #ffffff; padding: 30px; border: 1px solid #e9ecef; }
+                .footer { background-color: #f8f9fa; padding: 15px; text-align: center;
+                         border-radius: 0 0 8px 8px; font-size: 12px; color: #6c757d; }
+                .otp-code { font-size: 32px; font-weight: bold; color: #007bff; text-align: center;
+                           padding: 20px; background-color: #f8f9fa; border-radius: 8px; margin: 20px 0;
+                           letter-spacing: 4px; }
+                .alert { padding: 15px; border: 1px solid; border-radius: 4px; margin: 15px 0; }
+                .alert-success { background-color: #d4edda; border-color: #c3e6cb; color: #155724; }
+                .alert-warning { background-color: #fff3cd; border-color: #ffeaa7; color: #856404; }
+                .alert-danger { background-color: #f8d7da; border-color: #f5c6cb; color: #721c24; }
+                .alert-info { background-color: #d1ecf1; border-color: #bee5eb; color: #0c5460; }
+                .details { background-color: #f8f9fa; padding: 15px; border-radius: 4px; margin: 15px 0; }
+                .details p { margin: 4px 0; }
+                .item { background-color: #f8f9fa; padding: 15px; border-radius: 4px; margin: 10px 0; }
+                .item p { margin: 4px 0; }
+                .badge { background-color: #d4edda; color: #155724; padding: 2px 8px; border-radius: 4px; font-size: 12px; }
+                .muted { font-size: 12px; color: #6c757d; }
+                pre { white-space: pre-wrap; font-size: 12px; }`;
+
+export const EMAIL_LAYOUT = `<!DOCTYPE html>
+<html>
+<head>
+    <meta charset="utf-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>{{heading}}</title>
+    <style>{{{styles}}}
+    </style>
+</head>
+<body>
+    <div class="container">
+        <div class="header">
+            <h1>{{heading}}</h1>
+        </div>
+        <div class="content">
+{{{content}}}
+        </div>
+        {{#if footer}}
+        <div class="footer">
+            <p>{{footer}}</p>
+        </div>
+        {{/if}}
+    </div>
+</body>
+</html>
+`;
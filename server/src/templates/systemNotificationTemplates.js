@@ -0,0 +1,887 @@
+/**
+ * Built-in notification templates
+ *
+ * Every email and SMS the platform sends, and the text of some in-app
+ * notifications, is rendered from one of these. Admins can override a
+ * template, or add a translation, by saving a template with the same slug
+ * (and a locale) from the admin notification templates page.
+ *
+ * Fields match the NotificationTemplate model: subject and heading are plain
+ * text, body is the plain-text email, htmlBody the HTML email content inside
+ * the shared layout, and smsBody the text message.
+ */
+
+const SIGN_OFF_HTML = '<p>Best regards,<br>The Property Rental Team</p>';
+const SIGN_OFF_TEXT = 'Best regards,\nThe Property Rental Team';
+
+const userNameVariable = { name: 'userName', type: 'string', description: "Recipient's name", defaultValue: 'User' };
+
+export const SYSTEM_TEMPLATES = [
+    {
+        slug: 'otp-code',
+        name: 'Verification code',
+        category: 'security',
+        channels: { email: true, sms: true, push: false },
+        variables: [
+            userNameVariable,
+            { name: 'otp', type: 'string', description: 'One-time password', required: true },
+            { name: 'expiresInMinutes', type: 'number', description: 'Minutes the code is valid for', defaultValue: '10' }
+        ],
+        sampleData: { userName: 'Asha', otp: '482913', expiresInMinutes: 10 },
+        subject: 'Email Verification - Your OTP Code',
+        heading: 'Email Verification',
+        htmlBody: `
+<p>Hello {{userName}},</p>
+<p>Thank you for using our property rental platform. To complete your email verification, please use the following One-Time Password (OTP):</p>
+
+<div class="otp-code">{{otp}}</div>
+
+<p><strong>Important:</strong></p>
+<ul>
+    <li>This OTP is valid for {{expiresInMinutes}} minutes only</li>
+    <li>Do not share this code with anyone</li>
+    <li>If you didn't request this verification, please ignore this email</li>
+</ul>
+
+<p>If you have any questions, please contact our support team.</p>
+
+${SIGN_OFF_HTML}`,
+        body: `
+Hello {{userName}},
+
+Thank you for using our property rental platform. To complete your email verification, please use the following One-Time Password (OTP):
+
+{{otp}}
+
+Important:
+- This OTP is valid for {{expiresInMinutes}} minutes only
+- Do not share this code with anyone
+- If you didn't request this verification, please ignore this email
+
+If you have any questions, please contact our support team.
+
+${SIGN_OFF_TEXT}`,
+        smsBody: 'Hello {{userName}}! Your verification code is: {{otp}}. This code expires in {{expiresInMinutes}} minutes. Do not share this code with anyone. - Property Rental Platform',
+        footer: 'This is an automated message. Please do not reply to this email.'
+    },
+    {
+        slug: 'password-changed',
+        name: 'Password changed',
+        category: 'security',
+        channels: { email: true, sms: true, push: false },
+        variables: [
+            userNameVariable,
+            { name: 'changedAt', type: 'datetime', description: 'When the password was changed', required: true }
+        ],
+        sampleData: { userName: 'Asha', changedAt: '2025-01-15T09:30:00Z' },
+        subject: 'Password Changed - Security Notification',
+        heading: 'Password Changed Successfully',
+        htmlBody: `
+<p>Hello {{userName}},</p>
+
+<div class="alert alert-success">
+    <strong>Security Notice:</strong> Your account password has been successfully changed.
+</div>
+
+<p>This email confirms that your password was changed on {{changedAt}}.</p>
+
+<p><strong>If you made this change:</strong></p>
+<p>No further action is required. Your account is secure.</p>
+
+<p><strong>If you did NOT make this change:</strong></p>
+<ul>
+    <li>Contact our support team immediately</li>
+    <li>Review your account for any unauthorized activity</li>
+    <li>Consider enabling additional security measures</li>
+</ul>
+
+${SIGN_OFF_HTML}`,
+        body: `
+Hello {{userName}},
+
+SECURITY NOTICE: Your account password has been successfully changed.
+
+This email confirms that your password was changed on {{changedAt}}.
+
+If you made this change:
+No further action is required. Your account is secure.
+
+If you did NOT make this change:
+- Contact our support team immediately
+- Review your account for any unauthorized activity
+- Consider enabling additional security measures
+
+${SIGN_OFF_TEXT}`,
+        smsBody: "Hello {{userName}}! Your password has been successfully changed on your Property Rental Platform account. If you didn't make this change, please contact support immediately.",
+        footer: 'This is an automated security notification. Please do not reply to this email.'
+    },
+    {
+        slug: 'phone-updated',
+        name: 'Phone number updated',
+        category: 'security',
+        channels: { email: true, sms: true, push: false },
+        variables: [
+            userNameVariable,
+            { name: 'newPhone', type: 'string', description: 'The new phone number' },
+            { name: 'updatedAt', type: 'datetime', description: 'When the number was changed', required: true }
+        ],
+        sampleData: { userName: 'Asha', newPhone: '+919876543210', updatedAt: '2025-01-15T09:30:00Z' },
+        subject: 'Phone Number Updated - Security Notification',
+        heading: 'Phone Number Updated',
+        htmlBody: `
+<p>Hello {{userName}},</p>
+
+<div class="alert alert-success">
+    <strong>Security Notice:</strong> Your phone number has been successfully updated.
+</div>
+
+<p>This email confirms that your phone number was updated on {{updatedAt}}.</p>
+
+{{#if newPhone}}
+<p><strong>New phone number:</strong> {{newPhone}}</p>
+{{/if}}
+
+<p><strong>If you made this change:</strong></p>
+<p>No further action is required. Your account is secure.</p>
+
+<p><strong>If you did NOT make this change:</strong></p>
+<ul>
+    <li>Contact our support team immediately</li>
+    <li>Review your account for any unauthorized activity</li>
+    <li>Consider changing your password</li>
+</ul>
+
+${SIGN_OFF_HTML}`,
+        body: `
+Hello {{userName}},
+
+SECURITY NOTICE: Your phone number has been successfully updated.
+
+This email confirms that your phone number was updated on {{updatedAt}}.
+{{#if newPhone}}
+
+New phone number: {{newPhone}}
+{{/if}}
+
+If you made this change:
+No further action is required. Your account is secure.
+
+If you did NOT make this change:
+- Contact our support team immediately
+- Review your account for any unauthorized activity
+- Consider changing your password
+
+${SIGN_OFF_TEXT}`,
+        smsBody: "Hello {{userName}}! Your phone number has been successfully updated on your Property Rental Platform account. If you didn't make this change, please contact support immediately.",
+        footer: 'This is an automated security notification. Please do not reply to this email.'
+    },
+    {
+        slug: 'account-deleted',
+        name: 'Account deleted',
+        category: 'security',
+        channels: { email: true, sms: true, push: false },
+        variables: [
+            userNameVariable,
+            { name: 'deletedAt', type: 'datetime', description: 'When the account was deleted', required: true }
+        ],
+        sampleData: { userName: 'Asha', deletedAt: '2025-01-15T09:30:00Z' },
+        subject: 'Account Deleted - Confirmation',
+        heading: 'Account Deletion Confirmed',
+        htmlBody: `
+<p>Hello {{userName}},</p>
+
+<div class="alert alert-danger">
+    <strong>Account Deletion:</strong> Your account has been permanently deleted.
+</div>
+
+<p>This email confirms that your account and all associated data have been permanently removed from our system on {{deletedAt}}.</p>
+
+<p><strong>What has been deleted:</strong></p>
+<ul>
+    <li>Your user profile and personal information</li>
+    <li>All property listings you created</li>
+    <li>Your conversation history</li>
+    <li>Saved preferences and settings</li>
+</ul>
+
+<p>Thank you for using our property rental platform. If you decide to return in the future, you'll need to create a new account.</p>
+
+${SIGN_OFF_HTML}`,
+        body: `
+Hello {{userName}},
+
+ACCOUNT DELETION: Your account has been permanently deleted.
+
+This email confirms that your account and all associated data have been permanently removed from our system on {{deletedAt}}.
+
+What has been deleted:
+- Your user profile and personal information
+- All property listings you created
+- Your conversation history
+- Saved preferences and settings
+
+Thank you for using our property rental platform. If you decide to return in the future, you'll need to create a new account.
+
+${SIGN_OFF_TEXT}`,
+        smsBody: "Hello {{userName}}! Your Property Rental Platform account has been permanently deleted. If you didn't request this, please contact support immediately.",
+        footer: 'This is an automated confirmation. Please do not reply to this email.'
+    },
+    {
+        slug: 'new-device-login',
+        name: 'New device login',
+        category: 'security',
+        channels: { email: true, sms: true, push: false },
+        variables: [
+            userNameVariable,
+            { name: 'loginAt', type: 'datetime', description: 'When the login happened', required: true },
+            { name: 'device', type: 'string', description: 'Device or browser' },
+            { name: 'location', type: 'string', description: 'Approximate location' },
+            { name: 'ipAddress', type: 'string', description: 'IP address' }
+        ],
+        sampleData: { userName: 'Asha', loginAt: '2025-01-15T09:30:00Z', device: 'Chrome on Windows', location: 'Pune, India', ipAddress: '203.0.113.7' },
+        subject: 'New Device Login - Security Alert',
+        heading: 'New Device Login Detected',
+        htmlBody: `
+<p>Hello {{userName}},</p>
+
+<div class="alert alert-warning">
+    <strong>Security Alert:</strong> We detected a login from a new device.
+</div>
+
+<p>A new login to your account was detected with the following details:</p>
+
+<div class="details">
+    <p><strong>Time:</strong> {{loginAt}}</p>
+    {{#if device}}
+    <p><strong>Device:</strong> {{device}}</p>
+    {{/if}}
+    {{#if location}}
+    <p><strong>Location:</strong> {{location}}</p>
+    {{/if}}
+    {{#if ipAddress}}
+    <p><strong>IP Address:</strong> {{ipAddress}}</p>
+    {{/if}}
+</div>
+
+<p><strong>If this was you:</strong></p>
+<p>No further action is required. Your account is secure.</p>
+
+<p><strong>If this was NOT you:</strong></p>
+<ul>
+    <li>Change your password immediately</li>
+    <li>Review your account for any unauthorized activity</li>
+    <li>Contact our support team</li>
+    <li>Consider enabling additional security measures</li>
+</ul>
+
+${SIGN_OFF_HTML}`,
+        body: `
+Hello {{userName}},
+
+SECURITY ALERT: We detected a login from a new device.
+
+A new login to your account was detected with the following details:
+
+Time: {{loginAt}}
+{{#if device}}
+Device: {{device}}
+{{/if}}
+{{#if location}}
+Location: {{location}}
+{{/if}}
+{{#if ipAddress}}
+IP Address: {{ipAddress}}
+{{/if}}
+
+If this was you:
+No further action is required. Your account is secure.
+
+If this was NOT you:
+- Change your password immediately
+- Review your account for any unauthorized activity
+- Contact our support team
+- Consider enabling additional security measures
+
+${SIGN_OFF_TEXT}`,
+        smsBody: "Security Alert: New login detected on your Property Rental Platform account{{#if location}} from {{location}}{{/if}} at {{loginAt}}. If this wasn't you, change your password immediately.",
+        footer: 'This is an automated security alert. Please do not reply to this email.'
+    },
+    {
+        slug: 'failed-login',
+        name: 'Failed login attempts',
+        category: 'security',
+        channels: { email: true, sms: true, push: false },
+        variables: [
+            userNameVariable,
+            { name: 'attempts', type: 'number', description: 'Number of failed attempts' },
+            { name: 'lastAttemptAt', type: 'datetime', description: 'When the last attempt happened', required: true },
+            { name: 'ipAddress', type: 'string', description: 'IP address of the last attempt' },
+            { name: 'location', type: 'string', description: 'Approximate location of the last attempt' }
+        ],
+        sampleData: { userName: 'Asha', attempts: 5, lastAttemptAt: '2025-01-15T09:30:00Z', ipAddress: '203.0.113.7', location: 'Pune, India' },
+        subject: 'Failed Login Attempts - Security Alert',
+        heading: 'Failed Login Attempts Detected',
+        htmlBody: `
+<p>Hello {{userName}},</p>
+
+<div class="alert alert-danger">
+    <strong>Security Alert:</strong> Multiple failed login attempts detected on your account.
+</div>
+
+<p>We detected {{#if attempts}}{{attempts}}{{else}}multiple{{/if}} failed login attempts on your account:</p>
+
+<div class="details">
+    <p><strong>Last attempt:</strong> {{lastAttemptAt}}</p>
+    {{#if ipAddress}}
+    <p><strong>IP Address:</strong> {{ipAddress}}</p>
+    {{/if}}
+    {{#if location}}
+    <p><strong>Location:</strong> {{location}}</p>
+    {{/if}}
+</div>
+
+<p><strong>If these attempts were made by you:</strong></p>
+<p>Please ensure you're using the correct password. If you've forgotten your password, you can reset it.</p>
+
+<p><strong>If these attempts were NOT made by you:</strong></p>
+<ul>
+    <li>Change your password immediately</li>
+    <li>Review your account for any unauthorized activity</li>
+    <li>Contact our support team</li>
+    <li>Consider enabling additional security measures</li>
+</ul>
+
+<p>Your account remains secure, but we recommend taking action if these attempts were unauthorized.</p>
+
+${SIGN_OFF_HTML}`,
+        body: `
+Hello {{userName}},
+
+SECURITY ALERT: Multiple failed login attempts detected on your account.
+
+We detected {{#if attempts}}{{attempts}}{{else}}multiple{{/if}} failed login attempts on your account:
+
+Last attempt: {{lastAttemptAt}}
+{{#if ipAddress}}
+IP Address: {{ipAddress}}
+{{/if}}
+{{#if location}}
+Location: {{location}}
+{{/if}}
+
+If these attempts were made by you:
+Please ensure you're using the correct password. If you've forgotten your password, you can reset it.
+
+If these attempts were NOT made by you:
+- Change your password immediately
+- Review your account for any unauthorized activity
+- Contact our support team
+- Consider enabling additional security measures
+
+Your account remains secure, but we recommend taking action if these attempts were unauthorized.
+
+${SIGN_OFF_TEXT}`,
+        smsBody: "Security Alert: {{#if attempts}}{{attempts}} failed{{else}}Multiple failed{{/if}} login attempts detected on your Property Rental Platform account. If this wasn't you, secure your account immediately.",
+        footer: 'This is an automated security alert. Please do not reply to this email.'
+    },
+    {
+        slug: 'suspicious-activity',
+        name: 'Suspicious account activity',
+        category: 'security',
+        channels: { email: true, sms: false, push: false },
+        variables: [
+            userNameVariable,
+            { name: 'detectedAt', type: 'datetime', description: 'When the activity was detected', required: true },
+            { name: 'ipAddress', type: 'string', description: 'IP address' },
+            { name: 'totalAttempts', type: 'number', description: 'Attempts in the monitoring window' },
+            { name: 'failedAttempts', type: 'number', description: 'Failed attempts in the monitoring window' },
+            { name: 'patterns', type: 'list', description: 'Detected patterns: [{ type, count }]' }
+        ],
+        sampleData: {
+            userName: 'Asha',
+            detectedAt: '2025-01-15T09:30:00Z',
+            ipAddress: '203.0.113.7',
+            totalAttempts: 12,
+            failedAttempts: 9,
+            patterns: [{ type: 'failed_login', count: 9 }]
+        },
+        subject: 'Security Alert - Suspicious Activity Detected',
+        heading: 'Security Alert for Your Account',
+        htmlBody: `
+<p>Hello {{userName}},</p>
+<p>We detected suspicious activity on your account:</p>
+<ul>
+    <li><strong>Time:</strong> {{detectedAt}}</li>
+    {{#if ipAddress}}
+    <li><strong>IP Address:</strong> {{ipAddress}}</li>
+    {{/if}}
+    <li><strong>Total Attempts:</strong> {{totalAttempts}}</li>
+    <li><strong>Failed Attempts:</strong> {{failedAttempts}}</li>
+</ul>
+{{#if patterns}}
+<p><strong>Detected Patterns:</strong></p>
+<ul>
+    {{#each patterns}}
+    <li>{{type}}: {{count}} attempts</li>
+    {{/each}}
+</ul>
+{{/if}}
+<p>If this was not you, please change your password immediately and contact support.</p>
+<p>If this was you, you can ignore this message.</p>
+
+<p>Best regards,<br>Security Team</p>`,
+        body: `
+Hello {{userName}},
+
+We detected suspicious activity on your account:
+
+- Time: {{detectedAt}}
+{{#if ipAddress}}
+- IP Address: {{ipAddress}}
+{{/if}}
+- Total Attempts: {{totalAttempts}}
+- Failed Attempts: {{failedAttempts}}
+{{#if patterns}}
+
+Detected Patterns:
+{{#each patterns}}
+- {{type}}: {{count}} attempts
+{{/each}}
+{{/if}}
+
+If this was not you, please change your password immediately and contact support.
+If this was you, you can ignore this message.
+
+Best regards,
+Security Team`,
+        footer: 'This is an automated security alert. Please do not reply to this email.'
+    },
+    {
+        slug: 'suspicious-activity-admin',
+        name: 'Suspicious activity (admins)',
+        category: 'system',
+        channels: { email: true, sms: false, push: false },
+        variables: [
+            { name: 'userId', type: 'string', description: 'ID of the affected user', required: true },
+            { name: 'detectedAt', type: 'datetime', description: 'When the activity was detected', required: true },
+            { name: 'ipAddress', type: 'string', description: 'IP address' },
+            { name: 'userAgent', type: 'string', description: 'Browser user agent' },
+            { name: 'riskLevel', type: 'string', description: 'low, medium or high' },
+            { name: 'totalAttempts', type: 'number', description: 'Attempts in the monitoring window' },
+            { name: 'failedAttempts', type: 'number', description: 'Failed attempts in the monitoring window' },
+            { name: 'patterns', type: 'list', description: 'Detected patterns: [{ type, count, timeWindow }]' }
+        ],
+        sampleData: {
+            userId: '65a4f0c2e4b0a1b2c3d4e5f6',
+            detectedAt: '2025-01-15T09:30:00Z',
+            ipAddress: '203.0.113.7',
+            userAgent: 'Mozilla/5.0',
+            riskLevel: 'high',
+            totalAttempts: 12,
+            failedAttempts: 9,
+            patterns: [{ type: 'failed_login', count: 9, timeWindow: 15 }]
+        },
+        subject: 'Security Alert - User {{userId}}',
+        heading: 'Security Alert - Suspicious Activity Detected',
+        htmlBody: `
+<p><strong>User ID:</strong> {{userId}}</p>
+<p><strong>Time:</strong> {{detectedAt}}</p>
+<p><strong>IP Address:</strong> {{ipAddress}}</p>
+<p><strong>User Agent:</strong> {{userAgent}}</p>
+<p><strong>Risk Level:</strong> {{riskLevel}}</p>
+<p><strong>Total Attempts:</strong> {{totalAttempts}}</p>
+<p><strong>Failed Attempts:</strong> {{failedAttempts}}</p>
+<p><strong>Detected Patterns:</strong></p>
+<ul>
+    {{#each patterns}}
+    <li>{{type}}: {{count}} attempts in {{#if timeWindow}}{{timeWindow}}{{else}}unknown{{/if}} minutes</li>
+    {{/each}}
+</ul>
+<p>Please review the user's activity and take appropriate action if necessary.</p>`,
+        body: `
+User ID: {{userId}}
+Time: {{detectedAt}}
+IP Address: {{ipAddress}}
+User Agent: {{userAgent}}
+Risk Level: {{riskLevel}}
+Total Attempts: {{totalAttempts}}
+Failed Attempts: {{failedAttempts}}
+
+Detected Patterns:
+{{#each patterns}}
+- {{type}}: {{count}} attempts in {{#if timeWindow}}{{timeWindow}}{{else}}unknown{{/if}} minutes
+{{/each}}
+
+Please review the user's activity and take appropriate action if necessary.`
+    },
+    {
+        slug: 'saved-search-alert',
+        name: 'Saved search matches',
+        category: 'transactional',
+        channels: { email: true, sms: false, push: false },
+        variables: [
+            userNameVariable,
+            { name: 'digest', type: 'boolean', description: 'Whether this is the daily digest of all saved searches' },
+            { name: 'searchName', type: 'string', description: 'Name of the first saved search' },
+            { name: 'total', type: 'number', description: 'Number of matched listings', required: true },
+            {
+                name: 'sections',
+                type: 'list',
+                description: 'Saved searches: [{ searchName, more, moreUrl, matches: [{ title, url, city, propertyType, price, previousPrice }] }] - more matches are listed at moreUrl',
+                required: true
+            }
+        ],
+        sampleData: {
+            userName: 'Asha',
+            digest: false,
+            searchName: '2 BHK in Pune',
+            total: 1,
+            sections: [{
+                searchName: '2 BHK in Pune',
+                more: 0,
+                moreUrl: 'https://renters.com/rent-properties?loc=Pune',
+                matches: [{
+                    title: 'Sunny 2 BHK near Baner',
+                    url: 'https://renters.com/rent/sunny-2-bhk-near-baner',
+                    city: 'Pune',
+                    propertyType: 'apartment',
+                    price: '₹22,000/month',
+                    previousPrice: '₹25,000/month'
+                }]
+            }]
+        },
+        subject: '{{#if digest}}Your daily listing digest - {{total}} new {{#if total == 1}}match{{else}}matches{{/if}}{{else}}New matches for your saved search "{{searchName}}"{{/if}}',
+        heading: 'New Listings For You',
+        htmlBody: `
+<p>Hello {{userName}},</p>
+
+<p>We found listings matching your saved {{#if sections.length == 1}}search{{else}}searches{{/if}}:</p>
+{{#each sections}}
+<h3>{{searchName}}</h3>
+{{#each matches}}
+<div class="item">
+    <p><a href="{{url}}"><strong>{{title}}</strong></a></p>
+    <p>{{city}}{{#if propertyType}} · {{propertyType}}{{/if}}</p>
+    <p>
+        {{#if previousPrice}}<span class="badge">Price drop</span> <s>{{previousPrice}}</s> {{/if}}<strong>{{price}}</strong>
+    </p>
+</div>
+{{/each}}
+{{#if more}}
+<p><a href="{{moreUrl}}">and {{more}} more</a></p>
+{{/if}}
+{{/each}}
+
+<p>You can change how often you receive these alerts from your dashboard.</p>
+
+${SIGN_OFF_HTML}`,
+        body: `
+Hello {{userName}},
+
+We found listings matching your saved {{#if sections.length == 1}}search{{else}}searches{{/if}}:
+{{#each sections}}
+
+{{searchName}}:
+{{#each matches}}
+- {{title}} ({{city}}) - {{#if previousPrice}}PRICE DROP: {{previousPrice}} -> {{/if}}{{price}}
+  {{url}}
+{{/each}}
+{{#if more}}
+- and {{more}} more: {{moreUrl}}
+{{/if}}
+{{/each}}
+
+You can change how often you receive these alerts from your dashboard.
+
+${SIGN_OFF_TEXT}`,
+        footer: 'You are receiving this email because you saved a search. Please do not reply to this email.'
+    },
+    {
+        slug: 'viewing-update',
+        name: 'Viewing booked, rescheduled or cancelled',
+        category: 'transactional',
+        channels: { email: true, sms: false, push: false },
+        variables: [
+            userNameVariable,
+            { name: 'action', type: 'string', description: 'booked, rescheduled or cancelled', required: true },
+            { name: 'propertyTitle', type: 'string', description: 'Property being viewed', required: true },
+            { name: 'counterpartName', type: 'string', description: 'The other person at the viewing', required: true },
+            { name: 'startsAt', type: 'datetime', description: 'Start of the viewing', required: true },
+            { name: 'endsAt', type: 'datetime', description: 'End of the viewing', required: true },
+            { name: 'previousStartsAt', type: 'datetime', description: 'Start before rescheduling' },
+            { name: 'address', type: 'string', description: 'Property address' },
+            { name: 'note', type: 'string', description: 'Note from the person who booked' },
+            { name: 'reason', type: 'string', description: 'Reason for rescheduling or cancelling' }
+        ],
+        sampleData: {
+            userName: 'Asha',
+            action: 'booked',
+            propertyTitle: 'Sunny 2 BHK near Baner',
+            counterpartName: 'Rahul',
+            startsAt: '2025-01-18T05:30:00Z',
+            endsAt: '2025-01-18T06:00:00Z',
+            address: 'Baner Road, Pune',
+            note: 'I will bring my documents.'
+        },
+        subject: '{{#if action == "booked"}}Viewing confirmed{{/if}}{{#if action == "rescheduled"}}Viewing rescheduled{{/if}}{{#if action == "cancelled"}}Viewing cancelled{{/if}}: {{propertyTitle}}',
+        heading: '{{#if action == "booked"}}Viewing Confirmed{{/if}}{{#if action == "rescheduled"}}Viewing Rescheduled{{/if}}{{#if action == "cancelled"}}Viewing Cancelled{{/if}}',
+        htmlBody: `
+<p>Hello {{userName}},</p>
+
+{{#if action == "booked"}}
+<p>A viewing of <strong>{{propertyTitle}}</strong> has been booked with {{counterpartName}}.</p>
+{{/if}}
+{{#if action == "rescheduled"}}
+<p>Your viewing of <strong>{{propertyTitle}}</strong> with {{counterpartName}} has been moved to a new time.</p>
+{{/if}}
+{{#if action == "cancelled"}}
+<p>Your viewing of <strong>{{propertyTitle}}</strong> with {{counterpartName}} has been cancelled.</p>
+{{/if}}
+
+<div class="details">
+    <p><strong>{{#if action == "cancelled"}}Was scheduled for{{else}}When{{/if}}:</strong> {{startsAt}} - {{endsAt | time}}</p>
+    {{#if previousStartsAt}}
+    <p><strong>Previously:</strong> <s>{{previousStartsAt}}</s></p>
+    {{/if}}
+    {{#if address}}
+    <p><strong>Where:</strong> {{address}}</p>
+    {{/if}}
+    {{#if note}}
+    <p><strong>Note:</strong> {{note}}</p>
+    {{/if}}
+    {{#if reason}}
+    <p><strong>Reason:</strong> {{reason}}</p>
+    {{/if}}
+</div>
+
+<p>{{#if action == "cancelled"}}The attached calendar file removes the event from your calendar.{{else}}Open the attached calendar file to add the viewing to your calendar.{{/if}}</p>
+
+<p>You can manage your viewings from your <a href="{{siteUrl}}/dashboard">dashboard</a>.</p>
+
+${SIGN_OFF_HTML}`,
+        body: `
+Hello {{userName}},
+
+{{#if action == "booked"}}
+A viewing of {{propertyTitle}} has been booked with {{counterpartName}}.
+{{/if}}
+{{#if action == "rescheduled"}}
+Your viewing of {{propertyTitle}} with {{counterpartName}} has been moved to a new time.
+{{/if}}
+{{#if action == "cancelled"}}
+Your viewing of {{propertyTitle}} with {{counterpartName}} has been cancelled.
+{{/if}}
+
+{{#if action == "cancelled"}}Was scheduled for{{else}}When{{/if}}: {{startsAt}} - {{endsAt | time}}
+{{#if previousStartsAt}}
+Previously: {{previousStartsAt}}
+{{/if}}
+{{#if address}}
+Where: {{address}}
+{{/if}}
+{{#if note}}
+Note: {{note}}
+{{/if}}
+{{#if reason}}
+Reason: {{reason}}
+{{/if}}
+
+You can manage your viewings from your dashboard: {{siteUrl}}/dashboard
+
+${SIGN_OFF_TEXT}`,
+        footer: 'This is an automated message. Please do not reply to this email.'
+    },
+    {
+        slug: 'listing-expiring',
+        name: 'Listing expiring soon',
+        category: 'transactional',
+        channels: { email: false, sms: false, push: true },
+        variables: [
+            { name: 'propertyTitle', type: 'string', description: 'Title of the expiring listing', required: true },
+            { name: 'daysLeft', type: 'number', description: 'Whole days until the listing expires', required: true }
+        ],
+        sampleData: { propertyTitle: 'Sunny 2 BHK near Baner', daysLeft: 3 },
+        subject: 'Listing Expiring Soon',
+        body: 'Your listing "{{propertyTitle}}" will expire in {{daysLeft}} {{#if daysLeft == 1}}day{{else}}days{{/if}}. Renew it to keep it visible.'
+    },
+    {
+        slug: 'notification-digest',
+        name: 'Notification digest',
+        category: 'transactional',
+        channels: { email: true, sms: false, push: false },
+        variables: [
+            userNameVariable,
+            { name: 'total', type: 'number', description: 'Number of notifications in the digest', required: true },
+            { name: 'firstTitle', type: 'string', description: 'Title of the newest notification' },
+            {
+                name: 'notifications',
+                type: 'list',
+                description: 'Notifications: [{ title, message, url, createdAt }]',
+                required: true
+            },
+            { name: 'more', type: 'number', description: 'Notifications left out of the email' }
+        ],
+        sampleData: {
+            userName: 'Asha',
+            total: 2,
+            firstTitle: 'New message from Rahul',
+            notifications: [
+                { title: 'New message from Rahul', message: 'Is the flat still available?', url: 'https://renters.com/messages', createdAt: '2025-01-15T09:30:00Z' },
+                { title: 'Price drop', message: 'A property you saved is now ₹22,000/month', url: 'https://renters.com/notifications', createdAt: '2025-01-15T08:00:00Z' }
+            ],
+            more: 0
+        },
+        subject: '{{#if total == 1}}{{firstTitle}}{{else}}You have {{total}} new notifications{{/if}}',
+        heading: 'Your Notifications',
+        htmlBody: `
+<p>Hello {{userName}},</p>
+
+<p>Here is what you missed:</p>
+{{#each notifications}}
+<div class="item">
+    <p><a href="{{url}}"><strong>{{title}}</strong></a></p>
+    <p>{{message}}</p>
+    <p class="muted">{{createdAt | datetime}}</p>
+</div>
+{{/each}}
+{{#if more}}
+<p><a href="{{siteUrl}}/notifications">and {{more}} more</a></p>
+{{/if}}
+
+<p>You can choose which notifications are emailed, how often, and set quiet hours from your notification settings.</p>
+
+${SIGN_OFF_HTML}`,
+        body: `
+Hello {{userName}},
+
+Here is what you missed:
+{{#each notifications}}
+
+- {{title}}
+  {{message}}
+  {{url}}
+{{/each}}
+{{#if more}}
+
+- and {{more}} more: {{siteUrl}}/notifications
+{{/if}}
+
+You can choose which notifications are emailed, how often, and set quiet hours from your notification settings.
+
+${SIGN_OFF_TEXT}`,
+        footer: 'You are receiving this email because of your notification settings. Please do not reply to this email.'
+    },
+    {
+        slug: 'system-alert',
+        name: 'OTP system alert (admins)',
+        category: 'system',
+        channels: { email: true, sms: true, push: false },
+        variables: [
+            { name: 'severity', type: 'string', description: 'critical, warning or info', required: true },
+            { name: 'alertClass', type: 'string', description: 'Layout alert style: danger, warning or info', defaultValue: 'info' },
+            { name: 'title', type: 'string', description: 'Alert title', required: true },
+            { name: 'alertId', type: 'string', description: 'Alert ID', required: true },
+            { name: 'description', type: 'string', description: 'What happened' },
+            { name: 'affectedServices', type: 'string', description: 'Comma-separated services' },
+            { name: 'failureRate', type: 'string', description: 'Failure rate in percent, one decimal' },
+            { name: 'errorCount', type: 'number', description: 'Number of errors' },
+            { name: 'affectedDeliveries', type: 'number', description: 'Number of affected deliveries' },
+            { name: 'timeRange', type: 'string', description: 'Period the metrics cover' },
+            { name: 'createdAt', type: 'datetime', description: 'When the alert was raised', required: true },
+            { name: 'escalationLevel', type: 'number', description: 'Escalation level' },
+            { name: 'context', type: 'string', description: 'Additional context as JSON' }
+        ],
+        sampleData: {
+            severity: 'critical',
+            alertClass: 'danger',
+            title: 'High SMS failure rate',
+            alertId: 'alert_1736933400000',
+            description: 'More than 30% of SMS deliveries failed in the last 15 minutes.',
+            affectedServices: 'twilio',
+            failureRate: '34.5',
+            errorCount: 42,
+            timeRange: 'last 15 minutes',
+            createdAt: '2025-01-15T09:30:00Z',
+            escalationLevel: 0
+        },
+        subject: '[{{severity | upper}}] OTP System Alert: {{title}}',
+        heading: '[{{severity | upper}}] {{title}}',
+        htmlBody: `
+<div class="alert alert-{{alertClass}}">
+    <strong>Alert ID:</strong> {{alertId}}
+</div>
+
+<p><strong>Description:</strong> {{description}}</p>
+
+{{#if affectedServices}}
+<p><strong>Affected Services:</strong> {{affectedServices}}</p>
+{{/if}}
+
+<div class="details">
+    {{#if failureRate}}
+    <p><strong>Failure Rate:</strong> {{failureRate}}%</p>
+    {{/if}}
+    {{#if errorCount}}
+    <p><strong>Error Count:</strong> {{errorCount}}</p>
+    {{/if}}
+    {{#if affectedDeliveries}}
+    <p><strong>Affected Deliveries:</strong> {{affectedDeliveries}}</p>
+    {{/if}}
+    {{#if timeRange}}
+    <p><strong>Time Range:</strong> {{timeRange}}</p>
+    {{/if}}
+    <p><strong>Created:</strong> {{createdAt}}</p>
+    <p><strong>Escalation Level:</strong> {{escalationLevel}}</p>
+</div>
+
+{{#if context}}
+<p><strong>Additional Context:</strong></p>
+<pre>{{context}}</pre>
+{{/if}}
+
+<p>Please investigate and acknowledge this alert in the admin dashboard.</p>`,
+        body: `
+[{{severity | upper}}] {{title}}
+Alert ID: {{alertId}}
+
+Description: {{description}}
+{{#if affectedServices}}
+Affected Services: {{affectedServices}}
+{{/if}}
+{{#if failureRate}}
+Failure Rate: {{failureRate}}%
+{{/if}}
+{{#if errorCount}}
+Error Count: {{errorCount}}
+{{/if}}
+{{#if affectedDeliveries}}
+Affected Deliveries: {{affectedDeliveries}}
+{{/if}}
+{{#if timeRange}}
+Time Range: {{timeRange}}
+{{/if}}
+Created: {{createdAt}}
+Escalation Level: {{escalationLevel}}
+{{#if context}}
+
+Additional Context:
+{{context}}
+{{/if}}
+
+Please investigate and acknowledge this alert in the admin dashboard.`,
+        smsBody: '[{{severity | upper}}] OTP Alert: {{title}}{{#if failureRate}} - Failure Rate: {{failureRate}}%{{/if}}{{#if affectedServices}} - Services: {{affectedServices}}{{/if}} - ID: {{alertId}}',
+        footer: 'This is an automated alert from the OTP Delivery System.'
+    },
+    {
+        slug: 'sms-test',
+        name: 'SMS configuration test',
+        category: 'system',
+        channels: { email: false, sms: true, push: false },
+        variables: [],
+        sampleData: {},
+        subject: 'SMS configuration test',
+        body: 'Test message from Property Rental Platform SMS service. Configuration is working correctly!'
+    }
+];
+
+export default SYSTEM_TEMPLATES;
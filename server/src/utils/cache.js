@@ -1,140 +1,524 @@
+import crypto from 'crypto';
+import { createRedisClient, redisAddress } from './redisClient.js';
+
 /**
- * Simple in-memory cache for search results and property data
+ * Shared Cache
+ * Namespaced cache for search results and other derived data, backed by
+ * process memory or a Redis-protocol store so that every instance sees the
+ * same entries and the same invalidations.
+ *
+ * A store implements:
+ *   get(key) -> Promise<entry|null>        entry = { value, storedAt, freshUntil }
+ *   set(key, entry, ttlMs, tags) -> Promise<void>
+ *     Keeps the entry for ttlMs and indexes it under each tag.
+ *   delete(keys) -> Promise<void>
+ *   invalidateTags(tags) -> Promise<number>
+ *     Deletes every entry indexed under any of the tags, returns how many.
+ *   clear() -> Promise<void>
+ *   describe() -> Object
+ *
+ * Entries live for ttl + staleTtl. Within ttl they are fresh; after that
+ * wrap() still serves them (stale-while-revalidate) while a single background
+ * fetch replaces them. Values must be JSON-serializable.
+ *
+ * Store errors never fail a request: reads count as misses and writes are skipped.
  */
 
-class PropertyCache {
-    constructor() {
-        this.cache = new Map();
-        this.maxSize = 1000; // Maximum number of cached items
-        this.ttl = 5 * 60 * 1000; // 5 minutes TTL
+const DEFAULT_TTL = 5 * 60 * 1000;
+const ERROR_LOG_INTERVAL = 60 * 1000;
+
+/* ---------------------- IN-MEMORY STORE ---------------------- */
+
+/**
+ * Per-process store. Entries are evicted least-recently-used once maxEntries is reached.
+ */
+export class MemoryCacheStore {
+    constructor({ maxEntries = 1000, cleanupIntervalMs = 60 * 1000 } = {}) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map(); // key -> { entry, expiresAt, tags }, oldest access first
+        this.tags = new Map(); // tag -> Set(key)
 
         // Clean up expired entries every minute
-        setInterval(() => {
-            this.cleanup();
-        }, 60 * 1000);
+        this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+        this.cleanupTimer.unref?.();
     }
 
-    /**
-     * Generate cache key from search parameters
-     */
-    generateKey(params) {
-        const sortedParams = Object.keys(params)
+    async get(key) {
+        const item = this.entries.get(key);
+        if (!item) return null;
+
+        if (item.expiresAt <= Date.now()) {
+            this.remove(key);
+            return null;
+        }
+
+        // Move to the end of the LRU order
+        this.entries.delete(key);
+        this.entries.set(key, item);
+        return item.entry;
+    }
+
+    async set(key, entry, ttlMs, tags = []) {
+        this.remove(key);
+        if (this.entries.size >= this.maxEntries) {
+            this.remove(this.entries.keys().next().value);
+        }
+
+        this.entries.set(key, { entry, expiresAt: Date.now() + ttlMs, tags });
+        for (const tag of tags) {
+            if (!this.tags.has(tag)) this.tags.set(tag, new Set());
+            this.tags.get(tag).add(key);
+        }
+    }
+
+    async delete(keys) {
+        keys.forEach(key => this.remove(key));
+    }
+
+    async invalidateTags(tags) {
+        let removed = 0;
+        for (const tag of tags) {
+            const keys = this.tags.get(tag);
+            if (!keys) continue;
+            for (const key of [...keys]) {
+                this.remove(key);
+                removed++;
+            }
+        }
+        return removed;
+    }
+
+    async clear() {
+        this.entries.clear();
+        this.tags.clear();
+    }
+
+    remove(key) {
+        const item = this.entries.get(key);
+        if (!item) return;
+
+        this.entries.delete(key);
+        for (const tag of item.tags) {
+            const keys = this.tags.get(tag);
+            if (!keys) continue;
+            keys.delete(key);
+            if (keys.size === 0) this.tags.delete(tag);
+        }
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [key, item] of this.entries.entries()) {
+            if (item.expiresAt <= now) this.remove(key);
+        }
+    }
+
+    describe() {
+        return {
+            backend: 'memory',
+            shared: false,
+            entries: this.entries.size,
+            maxEntries: this.maxEntries,
+            tags: this.tags.size
+        };
+    }
+}
+
+/* ---------------------- REDIS STORE ---------------------- */
+
+/**
+ * Shared store on any Redis-protocol server. Entries are JSON strings with a
+ * PX expiry; each tag is a set of entry keys under `<prefix>:tag:<tag>`.
+ */
+export class RedisCacheStore {
+    constructor({ url, prefix, tagTtlMs = 24 * 60 * 60 * 1000 }) {
+        this.client = createRedisClient(url);
+        this.server = redisAddress(url);
+        this.prefix = prefix;
+        // Tag sets outlive their entries; dangling members are harmless on invalidation
+        this.tagTtlMs = tagTtlMs;
+    }
+
+    tagKey(tag) {
+        return `${this.prefix}:tag:${tag}`;
+    }
+
+    async get(key) {
+        const raw = await this.client.get(key);
+        return raw === null ? null : JSON.parse(raw);
+    }
+
+    async set(key, entry, ttlMs, tags = []) {
+        const pipeline = this.client.multi()
+            .set(key, JSON.stringify(entry), { expiration: { type: 'PX', value: Math.max(1, Math.ceil(ttlMs)) } });
+        for (const tag of tags) {
+            const tagKey = this.tagKey(tag);
+            pipeline.sAdd(tagKey, key).pExpire(tagKey, Math.max(ttlMs, this.tagTtlMs));
+        }
+        await pipeline.execAsPipeline();
+    }
+
+    async delete(keys) {
+        if (keys.length > 0) await this.client.del(keys);
+    }
+
+    async invalidateTags(tags) {
+        let removed = 0;
+        for (const tag of tags) {
+            const tagKey = this.tagKey(tag);
+            // Read and drop the tag set atomically so keys tagged meanwhile are not lost
+            const [keys] = await this.client.multi()
+                .sMembers(tagKey)
+                .del(tagKey)
+                .exec();
+            if (keys?.length > 0) {
+                removed += await this.client.del(keys);
+            }
+        }
+        return removed;
+    }
+
+    async clear() {
+        for await (const keys of this.client.scanIterator({ MATCH: `${this.prefix}:*`, COUNT: 200 })) {
+            if (keys.length > 0) await this.client.del(keys);
+        }
+    }
+
+    describe() {
+        return {
+            backend: 'redis',
+            shared: true,
+            connected: this.client.isReady,
+            server: this.server,
+            lastError: this.client.lastError?.message || null
+        };
+    }
+}
+
+/* ---------------------- STORE SELECTION ---------------------- */
+
+/**
+ * Create the store configured by CACHE_STORE ("memory" or "redis").
+ * The Redis store connects to REDIS_URL and falls back to memory when it is not set.
+ * @param {string} type - Store type, defaults to CACHE_STORE or "memory"
+ */
+export const createCacheStore = (type = process.env.CACHE_STORE || 'memory') => {
+    if (type === 'redis') {
+        if (process.env.REDIS_URL) {
+            return new RedisCacheStore({
+                url: process.env.REDIS_URL,
+                prefix: process.env.CACHE_PREFIX || 'renters'
+            });
+        }
+        console.warn('[Cache] CACHE_STORE=redis but REDIS_URL is not set, using the in-memory store');
+    }
+    return new MemoryCacheStore({ maxEntries: Number(process.env.CACHE_MAX_ENTRIES) || 1000 });
+};
+
+/**
+ * Serialize params with sorted object keys so equal queries share a key.
+ * RegExps and Dates are kept distinct (JSON.stringify would turn RegExps into {}).
+ */
+const stableStringify = (value) => {
+    if (value instanceof RegExp) return JSON.stringify(value.toString());
+    if (value instanceof Date) return JSON.stringify(value.toISOString());
+    if (value && typeof value.toHexString === 'function') return JSON.stringify(value.toHexString());
+    if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value)
+            .filter(key => value[key] !== undefined)
             .sort()
-            .reduce((result, key) => {
-                result[key] = params[key];
-                return result;
-            }, {});
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+    return JSON.stringify(value) ?? 'null';
+};
+
+/* ---------------------- CACHE ---------------------- */
 
-        return JSON.stringify(sortedParams);
+const createMetrics = () => ({
+    hits: 0,
+    staleHits: 0,
+    misses: 0,
+    sets: 0,
+    refreshes: 0,
+    refreshErrors: 0,
+    errors: 0
+});
+
+/**
+ * A group of entries sharing a key prefix, TTLs and hit/miss metrics
+ */
+class CacheNamespace {
+    constructor(cache, name, { ttl = DEFAULT_TTL, staleTtl = 0 } = {}) {
+        this.cache = cache;
+        this.name = name;
+        this.ttl = ttl;
+        this.staleTtl = staleTtl;
+        this.metrics = createMetrics();
+        this.inflight = new Map(); // key -> Promise of a running fetch
     }
 
     /**
-     * Get cached result
+     * Build the store key. Objects are hashed so any query shape can be a key.
+     * @param {string|Object} key - Plain key or params object
      */
-    get(key) {
-        const item = this.cache.get(key);
+    key(key) {
+        const id = typeof key === 'string'
+            ? key
+            : crypto.createHash('sha1').update(stableStringify(key)).digest('hex');
+        return `${this.cache.prefix}:${this.name}:${id}`;
+    }
 
-        if (!item) {
+    async read(storeKey) {
+        try {
+            return await this.cache.store.get(storeKey);
+        } catch (error) {
+            this.metrics.errors++;
+            this.cache.reportError(`read from ${this.name}`, error);
             return null;
         }
+    }
 
-        // Check if expired
-        if (Date.now() > item.expiry) {
-            this.cache.delete(key);
-            return null;
+    async write(storeKey, value, { ttl = this.ttl, tags = [] } = {}) {
+        const now = Date.now();
+        const entryTags = typeof tags === 'function' ? tags(value) : tags;
+        try {
+            await this.cache.store.set(
+                storeKey,
+                { value, storedAt: now, freshUntil: now + ttl },
+                ttl + this.staleTtl,
+                [...new Set(entryTags.map(String))]
+            );
+            this.metrics.sets++;
+        } catch (error) {
+            this.metrics.errors++;
+            this.cache.reportError(`write to ${this.name}`, error);
         }
-
-        // Update access time for LRU
-        item.lastAccessed = Date.now();
-        return item.data;
     }
 
     /**
-     * Set cache item
+     * Get a fresh value
+     * @returns {Promise<*|null>} Cached value, or null on a miss
      */
-    set(key, data) {
-        // Remove oldest items if cache is full
-        if (this.cache.size >= this.maxSize) {
-            this.evictOldest();
+    async get(key) {
+        const entry = await this.read(this.key(key));
+        if (entry && entry.freshUntil > Date.now()) {
+            this.metrics.hits++;
+            return entry.value;
         }
-
-        this.cache.set(key, {
-            data,
-            expiry: Date.now() + this.ttl,
-            lastAccessed: Date.now()
-        });
+        this.metrics.misses++;
+        return null;
     }
 
     /**
-     * Clear cache for specific patterns (e.g., when properties are updated)
+     * Store a value
+     * @param {Object} options - { ttl, tags } where tags is an array or value => array
      */
-    invalidate(pattern) {
-        const keysToDelete = [];
+    async set(key, value, options) {
+        await this.write(this.key(key), value, options);
+    }
 
-        for (const key of this.cache.keys()) {
-            if (key.includes(pattern)) {
-                keysToDelete.push(key);
-            }
+    async delete(key) {
+        try {
+            await this.cache.store.delete([this.key(key)]);
+        } catch (error) {
+            this.metrics.errors++;
+            this.cache.reportError(`delete from ${this.name}`, error);
         }
-
-        keysToDelete.forEach(key => this.cache.delete(key));
     }
 
     /**
-     * Clean up expired entries
+     * Return the cached value for key, calling fetcher on a miss.
+     * Stale entries are returned immediately and refreshed in the background;
+     * concurrent misses for the same key share one fetch.
+     * @param {string|Object} key - Plain key or params object
+     * @param {Function} fetcher - async () => value
+     * @param {Object} options - { ttl, tags } where tags is an array or value => array
      */
-    cleanup() {
-        const now = Date.now();
-        const keysToDelete = [];
+    async wrap(key, fetcher, options = {}) {
+        const storeKey = this.key(key);
+        const entry = await this.read(storeKey);
 
-        for (const [key, item] of this.cache.entries()) {
-            if (now > item.expiry) {
-                keysToDelete.push(key);
-            }
+        if (entry && entry.freshUntil > Date.now()) {
+            this.metrics.hits++;
+            return entry.value;
+        }
+
+        if (entry) {
+            this.metrics.staleHits++;
+            this.refresh(storeKey, fetcher, options).catch(error => {
+                this.metrics.refreshErrors++;
+                this.cache.reportError(`refresh in ${this.name}`, error);
+            });
+            return entry.value;
         }
 
-        keysToDelete.forEach(key => this.cache.delete(key));
+        this.metrics.misses++;
+        return this.refresh(storeKey, fetcher, options);
+    }
+
+    refresh(storeKey, fetcher, options) {
+        if (this.inflight.has(storeKey)) return this.inflight.get(storeKey);
+
+        const pending = (async () => {
+            const value = await fetcher();
+            this.metrics.refreshes++;
+            await this.write(storeKey, value, options);
+            return value;
+        })().finally(() => this.inflight.delete(storeKey));
+
+        this.inflight.set(storeKey, pending);
+        return pending;
+    }
+
+    getStats() {
+        const { hits, staleHits, misses } = this.metrics;
+        const lookups = hits + staleHits + misses;
+        return {
+            name: this.name,
+            ttl: this.ttl,
+            staleTtl: this.staleTtl,
+            ...this.metrics,
+            hitRate: lookups > 0 ? Number(((hits + staleHits) / lookups).toFixed(4)) : null
+        };
+    }
+}
+
+class Cache {
+    constructor() {
+        this._store = null;
+        this.namespaces = new Map();
+        this.invalidations = { calls: 0, entries: 0, errors: 0 };
+        this.statsSince = new Date();
+        this.lastErrorLoggedAt = 0;
     }
 
     /**
-     * Evict oldest accessed items when cache is full
+     * Store is created on first use so that it picks up the loaded environment
      */
-    evictOldest() {
-        let oldestKey = null;
-        let oldestTime = Date.now();
-
-        for (const [key, item] of this.cache.entries()) {
-            if (item.lastAccessed < oldestTime) {
-                oldestTime = item.lastAccessed;
-                oldestKey = key;
-            }
+    get store() {
+        if (!this._store) this._store = createCacheStore();
+        return this._store;
+    }
+
+    get prefix() {
+        return process.env.CACHE_PREFIX || 'renters';
+    }
+
+    /**
+     * Get (or register) a namespace. Options only apply on first registration.
+     * @param {string} name - Namespace name, part of every key
+     * @param {Object} options - { ttl, staleTtl } in milliseconds
+     */
+    namespace(name, options) {
+        if (!this.namespaces.has(name)) {
+            this.namespaces.set(name, new CacheNamespace(this, name, options));
         }
+        return this.namespaces.get(name);
+    }
 
-        if (oldestKey) {
-            this.cache.delete(oldestKey);
+    /**
+     * Delete every entry tagged with any of the tags, in all namespaces
+     * @param {string[]} tags - Tags to invalidate
+     * @returns {Promise<number>} Number of entries removed
+     */
+    async invalidateTags(tags) {
+        this.invalidations.calls++;
+        try {
+            const removed = await this.store.invalidateTags([...new Set(tags.map(String))]);
+            this.invalidations.entries += removed;
+            return removed;
+        } catch (error) {
+            this.invalidations.errors++;
+            this.reportError('invalidate tags', error);
+            return 0;
         }
     }
 
+    async clear() {
+        await this.store.clear();
+    }
+
     /**
-     * Get cache statistics
+     * Log store failures at most once a minute so an unreachable store does not flood the logs
      */
+    reportError(action, error) {
+        const now = Date.now();
+        if (now - this.lastErrorLoggedAt < ERROR_LOG_INTERVAL) return;
+        this.lastErrorLoggedAt = now;
+        console.warn(`[Cache] Failed to ${action}:`, error.message);
+    }
+
     getStats() {
+        const namespaces = [...this.namespaces.values()].map(namespace => namespace.getStats());
+        const totals = namespaces.reduce((sum, stats) => {
+            Object.keys(sum).forEach(key => { sum[key] += stats[key]; });
+            return sum;
+        }, createMetrics());
+        const lookups = totals.hits + totals.staleHits + totals.misses;
+
         return {
-            size: this.cache.size,
-            maxSize: this.maxSize,
-            ttl: this.ttl
+            store: this.store.describe(),
+            prefix: this.prefix,
+            since: this.statsSince,
+            totals: {
+                ...totals,
+                hitRate: lookups > 0 ? Number(((totals.hits + totals.staleHits) / lookups).toFixed(4)) : null
+            },
+            invalidations: { ...this.invalidations },
+            namespaces
         };
     }
 
-    /**
-     * Clear all cache
-     */
-    clear() {
-        this.cache.clear();
+    resetStats() {
+        this.namespaces.forEach(namespace => { namespace.metrics = createMetrics(); });
+        this.invalidations = { calls: 0, entries: 0, errors: 0 };
+        this.statsSince = new Date();
     }
 }
 
 // Create singleton instance
-const propertyCache = new PropertyCache();
+const cache = new Cache();
+
+/* ---------------------- PROPERTY CACHING ---------------------- */
+
+export const CACHE_TAGS = {
+    property: (propertyId) => `property:${propertyId}`,
+    propertySearch: 'property-search'
+};
+
+/**
+ * Cached property search and listing pages. Short TTL: results are also
+ * invalidated by tag whenever a listing changes.
+ */
+export const propertySearchCache = cache.namespace('property-search', {
+    ttl: 60 * 1000,
+    staleTtl: 5 * 60 * 1000
+});
+
+/**
+ * Tags for a cached result page: the shared search tag plus one tag per property on it
+ * @param {Object[]} properties - Properties in the result
+ */
+export const propertySearchTags = (properties = []) => [
+    CACHE_TAGS.propertySearch,
+    ...properties.map(property => CACHE_TAGS.property(property._id))
+];
+
+/**
+ * Drop cached results that include the given properties. Unless searches is
+ * false, every cached search is dropped too, because an edited or new listing
+ * can enter result pages it is not tagged on. Removals (delete, deactivate)
+ * only need the property tags.
+ * @param {string|string[]} propertyIds - Changed properties
+ * @param {Object} options - { searches = true }
+ */
+export const invalidatePropertyCache = (propertyIds, { searches = true } = {}) => {
+    const ids = [].concat(propertyIds || []).filter(Boolean);
+    const tags = ids.map(id => CACHE_TAGS.property(id));
+    if (searches) tags.push(CACHE_TAGS.propertySearch);
+    return tags.length > 0 ? cache.invalidateTags(tags) : Promise.resolve(0);
+};
 
-export default propertyCache;
\ No newline at end of file
+export default cache;
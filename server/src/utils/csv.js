@@ -0,0 +1,106 @@
+/**
+ * CSV Utilities
+ * RFC 4180 parsing and serialization for bulk listing import/export
+ */
+
+/**
+ * Parse CSV text into an array of records (arrays of cell strings).
+ * Handles quoted cells, escaped quotes ("") and line breaks inside quotes.
+ * @param {string} text - CSV text
+ * @returns {string[][]} Records, blank lines skipped
+ */
+export function parseCsvRecords(text) {
+    const input = String(text || '').replace(/^\uFEFF/, '');
+    const records = [];
+    let record = [];
+    let cell = '';
+    let inQuotes = false;
+
+    const endRecord = () => {
+        record.push(cell);
+        if (record.length > 1 || record[0].trim() !== '') records.push(record);
+        record = [];
+        cell = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRecord();
+        } else {
+            cell += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+
+    if (cell !== '' || record.length > 0) endRecord();
+
+    return records;
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by column name
+ * @param {string} text - CSV text
+ * @returns {Object[]} One object per data row
+ */
+export function parseCsv(text) {
+    const [header, ...rows] = parseCsvRecords(text);
+    if (!header) return [];
+
+    const columns = header.map(column => column.trim());
+    return rows.map(cells => columns.reduce((row, column, index) => {
+        if (column) row[column] = cells[index] ?? '';
+        return row;
+    }, {}));
+}
+
+/**
+ * Quote a value for CSV output when it contains separators, quotes or newlines
+ * @param {*} value - Cell value
+ * @returns {string} CSV cell
+ */
+export function escapeCsvValue(value) {
+    if (value === undefined || value === null) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize objects to CSV with a fixed column order
+ * @param {Object[]} rows - Records to serialize
+ * @param {string[]} columns - Column names (header row)
+ * @returns {string} CSV text
+ */
+export function toCsv(rows, columns) {
+    const lines = [columns.map(escapeCsvValue).join(',')];
+    for (const row of rows) {
+        lines.push(columns.map(column => escapeCsvValue(row[column])).join(','));
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+export default {
+    parseCsvRecords,
+    parseCsv,
+    escapeCsvValue,
+    toCsv
+};
@@ -0,0 +1,152 @@
+/**
+ * Geospatial search helpers for the property search endpoints
+ *
+ * A search body may carry a `geo` object in one of three shapes:
+ *   { center: { lat, lng }, radiusKm }              - everything within a radius
+ *   { bounds: { north, south, east, west } }        - the visible map viewport
+ *   { polygon: [{ lat, lng }, ...] }                - an area drawn on the map
+ *
+ * Every shape runs through a $geoNear stage against the 2dsphere index on
+ * `location`, so results carry a `distanceKm` field measured from the circle
+ * center, the viewport center or the polygon centroid.
+ */
+
+export const MAX_RADIUS_KM = 100;
+export const MAX_BOUNDS_SPAN_DEGREES = 90;
+export const MAX_POLYGON_POINTS = 100;
+
+const isLatitude = (value) => Number.isFinite(value) && value >= -90 && value <= 90;
+const isLongitude = (value) => Number.isFinite(value) && value >= -180 && value <= 180;
+
+const toPoint = (point) => ({
+    lat: Number(point?.lat),
+    lng: Number(point?.lng)
+});
+
+const isValidPoint = (point) => isLatitude(point.lat) && isLongitude(point.lng);
+
+/**
+ * Validate and normalize the `geo` part of a search body
+ * @param {object} geo - Raw geo input from the request body
+ * @returns {{ geo: object|null, error?: string }} Normalized search or a validation message
+ */
+export function parseGeoSearch(geo) {
+    if (!geo || typeof geo !== "object") {
+        return { geo: null };
+    }
+
+    if (geo.center) {
+        const center = toPoint(geo.center);
+        const radiusKm = Number(geo.radiusKm);
+
+        if (!isValidPoint(center)) {
+            return { geo: null, error: "center must have a valid lat and lng" };
+        }
+        if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+            return { geo: null, error: `radiusKm must be greater than 0 and at most ${MAX_RADIUS_KM}` };
+        }
+
+        return { geo: { type: "radius", center, radiusKm } };
+    }
+
+    if (geo.bounds) {
+        const north = Number(geo.bounds.north);
+        const south = Number(geo.bounds.south);
+        const east = Number(geo.bounds.east);
+        const west = Number(geo.bounds.west);
+
+        if (!isLatitude(north) || !isLatitude(south) || !isLongitude(east) || !isLongitude(west)) {
+            return { geo: null, error: "bounds must have valid north, south, east and west values" };
+        }
+        if (south >= north || west >= east) {
+            return { geo: null, error: "bounds must have south below north and west before east" };
+        }
+        if (north - south > MAX_BOUNDS_SPAN_DEGREES || east - west > MAX_BOUNDS_SPAN_DEGREES) {
+            return { geo: null, error: "The map area is too large to search, zoom in and try again" };
+        }
+
+        return {
+            geo: {
+                type: "bounds",
+                center: { lat: (north + south) / 2, lng: (east + west) / 2 },
+                ring: [[west, south], [east, south], [east, north], [west, north], [west, south]]
+            }
+        };
+    }
+
+    if (geo.polygon) {
+        if (!Array.isArray(geo.polygon) || geo.polygon.length < 3 || geo.polygon.length > MAX_POLYGON_POINTS) {
+            return { geo: null, error: `polygon must have between 3 and ${MAX_POLYGON_POINTS} points` };
+        }
+
+        const points = geo.polygon.map(toPoint);
+        if (!points.every(isValidPoint)) {
+            return { geo: null, error: "Every polygon point must have a valid lat and lng" };
+        }
+
+        const ring = points.map(p => [p.lng, p.lat]);
+        const [firstLng, firstLat] = ring[0];
+        const [lastLng, lastLat] = ring[ring.length - 1];
+        if (firstLng !== lastLng || firstLat !== lastLat) {
+            ring.push([firstLng, firstLat]);
+        }
+
+        return {
+            geo: {
+                type: "polygon",
+                center: {
+                    lat: points.reduce((sum, p) => sum + p.lat, 0) / points.length,
+                    lng: points.reduce((sum, p) => sum + p.lng, 0) / points.length
+                },
+                ring
+            }
+        };
+    }
+
+    return { geo: null, error: "geo must include a center and radiusKm, bounds or a polygon" };
+}
+
+/**
+ * Build the $geoNear stage that replaces the leading $match of a search pipeline.
+ * $geoNear has to be the first stage, so the search filters move into its query.
+ * @param {object} geo - Normalized search from parseGeoSearch
+ * @param {object} matchStage - Filters the search would otherwise $match on
+ * @returns {object} Aggregation stage
+ */
+export function buildGeoNearStage(geo, matchStage = {}) {
+    const query = { ...matchStage };
+
+    if (geo.ring) {
+        query.location = {
+            $geoWithin: {
+                $geometry: { type: "Polygon", coordinates: [geo.ring] }
+            }
+        };
+    }
+
+    const stage = {
+        near: { type: "Point", coordinates: [geo.center.lng, geo.center.lat] },
+        key: "location",
+        distanceField: "distanceKm",
+        distanceMultiplier: 0.001,
+        spherical: true,
+        query
+    };
+
+    if (geo.type === "radius") {
+        stage.maxDistance = geo.radiusKm * 1000;
+    }
+
+    return { $geoNear: stage };
+}
+
+/**
+ * Whether a geo search should be ordered by distance. Distance is the default
+ * order for map searches; explicit price or age sorts still apply.
+ * @param {object|null} geo - Normalized search from parseGeoSearch
+ * @param {string} sort - Requested sort
+ * @returns {boolean}
+ */
+export function sortsByDistance(geo, sort) {
+    return Boolean(geo) && ["distance", "newest", "relevance"].includes(sort);
+}
@@ -0,0 +1,138 @@
+/**
+ * iCalendar Utilities
+ * Builds RFC 5545 calendar files for emailed viewing invitations
+ */
+
+const CRLF = '\r\n';
+
+/**
+ * Format a date as an iCalendar UTC timestamp (20250101T093000Z)
+ * @param {Date|string} date - Date to format
+ * @returns {string} iCalendar date-time
+ */
+export function formatIcsDate(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Escape a text value (commas, semicolons, backslashes and newlines)
+ * @param {string} value - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeIcsText(value = '') {
+    return String(value)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line to 75 octets as required by RFC 5545
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line
+ */
+function foldLine(line) {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    let currentBytes = 0;
+    for (const char of line) {
+        const charBytes = Buffer.byteLength(char, 'utf8');
+        // Continuation lines start with a space, which counts towards the limit
+        const limit = parts.length === 0 ? 75 : 74;
+        if (currentBytes + charBytes > limit) {
+            parts.push(current);
+            current = '';
+            currentBytes = 0;
+        }
+        current += char;
+        currentBytes += charBytes;
+    }
+    parts.push(current);
+    return parts.join(`${CRLF} `);
+}
+
+/**
+ * Build a calendar containing a single event.
+ * Send with method REQUEST for new or updated events and CANCEL to remove them;
+ * calendar clients match updates by uid and keep the highest sequence.
+ *
+ * @param {object} event - Event details
+ * @param {string} event.uid - Stable unique event ID
+ * @param {number} event.sequence - Revision number, incremented on every change
+ * @param {Date} event.start - Start time
+ * @param {Date} event.end - End time
+ * @param {string} event.summary - Event title
+ * @param {string} event.description - Event description
+ * @param {string} event.location - Event location
+ * @param {string} event.url - Link to the event details
+ * @param {object} event.organizer - { name, email }
+ * @param {Array<object>} event.attendees - [{ name, email }]
+ * @param {string} event.method - "REQUEST" or "CANCEL"
+ * @returns {string} iCalendar file contents
+ */
+export function buildCalendarEvent({
+    uid,
+    sequence = 0,
+    start,
+    end,
+    summary,
+    description = '',
+    location = '',
+    url = '',
+    organizer = null,
+    attendees = [],
+    method = 'REQUEST'
+}) {
+    const isCancel = method === 'CANCEL';
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Renters//Property Viewings//EN',
+        'CALSCALE:GREGORIAN',
+        `METHOD:${method}`,
+        'BEGIN:VEVENT',
+        `UID:${uid}`,
+        `SEQUENCE:${sequence}`,
+        `DTSTAMP:${formatIcsDate(new Date())}`,
+        `DTSTART:${formatIcsDate(start)}`,
+        `DTEND:${formatIcsDate(end)}`,
+        `SUMMARY:${escapeIcsText(summary)}`,
+        `STATUS:${isCancel ? 'CANCELLED' : 'CONFIRMED'}`
+    ];
+
+    if (description) lines.push(`DESCRIPTION:${escapeIcsText(description)}`);
+    if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+    if (url) lines.push(`URL:${url}`);
+    if (organizer?.email) {
+        lines.push(`ORGANIZER;CN=${escapeIcsText(organizer.name || organizer.email)}:mailto:${organizer.email}`);
+    }
+    attendees
+        .filter(attendee => attendee?.email)
+        .forEach(attendee => {
+            lines.push(`ATTENDEE;CN=${escapeIcsText(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT:mailto:${attendee.email}`);
+        });
+
+    if (!isCancel) {
+        lines.push(
+            'BEGIN:VALARM',
+            'ACTION:DISPLAY',
+            'DESCRIPTION:Property viewing reminder',
+            'TRIGGER:-PT1H',
+            'END:VALARM'
+        );
+    }
+
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+
+    return lines.map(foldLine).join(CRLF) + CRLF;
+}
+
+export default {
+    formatIcsDate,
+    escapeIcsText,
+    buildCalendarEvent
+};
@@ -0,0 +1,40 @@
+import { Location } from '../../models/Location.js';
+
+/**
+ * Locality resolution
+ * Properties only store a free-text address, so the area (locality) a listing
+ * is in is looked up once, when it is saved, against the visible areas of its
+ * city in the Location collection. Search suggestions then count listings per
+ * area from the indexed `locality` field instead of scanning addresses.
+ */
+
+function escapeRegex(str) {
+    return String(str).replace(/[\\^$.*+?()[\]{}|]/g, '\\$&');
+}
+
+/**
+ * Find the area of a city that an address mentions
+ * @param {string} city - Property city
+ * @param {string} address - Property address
+ * @returns {Promise<string>} Area name as stored in Location, or '' when none matches
+ */
+export async function resolveLocality(city, address) {
+    if (!city || !address) return '';
+
+    const cityLocation = await Location.findOne({
+        type: 'city',
+        name: new RegExp(`^${escapeRegex(city)}$`, 'i')
+    }).select('_id').lean();
+    if (!cityLocation) return '';
+
+    const areas = await Location.find({ type: 'area', parentId: cityLocation._id, isVisible: true })
+        .select('name')
+        .lean();
+
+    // Prefer the longest name so "Andheri West" wins over "Andheri"
+    const match = areas
+        .sort((a, b) => b.name.length - a.name.length)
+        .find(area => new RegExp(`(^|[\\s,/-])${escapeRegex(area.name)}($|[\\s,/-])`, 'i').test(address));
+
+    return match ? match.name : '';
+}
@@ -0,0 +1,115 @@
+import { RateLimitCounter } from "../../models/RateLimitCounter.js";
+import { connectDB } from "../config/db.js";
+
+/**
+ * Rate Limit Stores
+ * Counter storage for createRateLimiter.
+ *
+ * A store implements:
+ *   increment(key, windowStart, windowMs) -> Promise<{ current, previous }>
+ *     Adds one hit to the window starting at windowStart and returns the hit
+ *     counts of that window and of the window before it.
+ *   reset(key) -> Promise<void>
+ *
+ * Windows are fixed buckets; the limiter derives sliding-window counts by
+ * weighting the previous bucket (see createRateLimiter).
+ */
+
+/* ---------------------- IN-MEMORY STORE ---------------------- */
+
+/**
+ * Per-process store. Counts reset on restart and are not shared between instances.
+ */
+export class MemoryRateLimitStore {
+    constructor({ cleanupIntervalMs = 60 * 1000 } = {}) {
+        this.entries = new Map(); // key -> { windows: Map(windowStart -> count), expiresAt }
+
+        // Clean up windows that can no longer be counted
+        this.cleanupTimer = setInterval(() => this.cleanup(), cleanupIntervalMs);
+        this.cleanupTimer.unref?.();
+    }
+
+    async increment(key, windowStart, windowMs) {
+        let entry = this.entries.get(key);
+        if (!entry) {
+            entry = { windows: new Map(), expiresAt: 0 };
+            this.entries.set(key, entry);
+        }
+
+        const current = (entry.windows.get(windowStart) || 0) + 1;
+        entry.windows.set(windowStart, current);
+        entry.expiresAt = windowStart + 2 * windowMs;
+
+        return { current, previous: entry.windows.get(windowStart - windowMs) || 0 };
+    }
+
+    async reset(key) {
+        this.entries.delete(key);
+    }
+
+    cleanup() {
+        const now = Date.now();
+        for (const [key, entry] of this.entries.entries()) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(key);
+                continue;
+            }
+            // Keep only the current and previous windows
+            const starts = [...entry.windows.keys()].sort((a, b) => b - a);
+            starts.slice(2).forEach(start => entry.windows.delete(start));
+        }
+    }
+}
+
+/* ---------------------- MONGODB STORE ---------------------- */
+
+/**
+ * Shared store backed by TTL-indexed RateLimitCounter documents.
+ * Counts survive restarts and are shared by every instance using the database.
+ */
+export class MongoRateLimitStore {
+    async increment(key, windowStart, windowMs) {
+        await connectDB();
+
+        const [counter, previous] = await Promise.all([
+            RateLimitCounter.findOneAndUpdate(
+                { _id: `${key}:${windowStart}` },
+                {
+                    $inc: { count: 1 },
+                    $setOnInsert: {
+                        key,
+                        windowStart: new Date(windowStart),
+                        // Kept for one extra window so sliding counts can read it
+                        expiresAt: new Date(windowStart + 2 * windowMs)
+                    }
+                },
+                { upsert: true, new: true, lean: true }
+            ),
+            RateLimitCounter.findById(`${key}:${windowStart - windowMs}`).select('count').lean()
+        ]);
+
+        return { current: counter.count, previous: previous?.count || 0 };
+    }
+
+    async reset(key) {
+        await connectDB();
+        await RateLimitCounter.deleteMany({ key });
+    }
+}
+
+/* ---------------------- STORE SELECTION ---------------------- */
+
+let sharedMongoStore = null;
+
+/**
+ * Create the store configured by RATE_LIMIT_STORE ("memory" or "mongo").
+ * Memory stores are per limiter; the MongoDB store is shared (keys are prefixed per limiter).
+ * @param {string} type - Store type, defaults to RATE_LIMIT_STORE or "memory"
+ */
+export const createRateLimitStore = (type = process.env.RATE_LIMIT_STORE || 'memory') => {
+    if (type === 'mongo' || type === 'mongodb') {
+        if (!sharedMongoStore) sharedMongoStore = new MongoRateLimitStore();
+        return sharedMongoStore;
+    }
+    return new MemoryRateLimitStore();
+};
@@ -0,0 +1,57 @@
+import { createClient } from 'redis';
+
+/**
+ * Redis Client
+ * Connections to any Redis-protocol store (Redis, Valkey, KeyDB, Dragonfly, ...)
+ * for the shared cache and the Socket.IO cluster adapter, using node-redis.
+ *
+ * By default commands fail fast while the connection is down so callers can
+ * fall back; the client reconnects in the background with an exponential
+ * backoff and restores its Pub/Sub subscriptions.
+ */
+
+const MAX_RETRY_DELAY_MS = 30 * 1000;
+
+/**
+ * Create a client and start connecting
+ * @param {string} url - redis:// or rediss:// URL, e.g. redis://:password@host:6379/0
+ * @param {Object} options
+ * @param {boolean} options.offlineQueue - Queue commands until connected instead of failing them
+ *   (for subscriber connections, whose SUBSCRIBE must not be lost at startup)
+ * @param {number} options.connectTimeoutMs - Connection attempt timeout
+ * @param {number} options.commandTimeoutMs - Per-command reply timeout
+ * @returns {RedisClientType} Client; `lastError` holds the most recent connection error
+ */
+export const createRedisClient = (url, { offlineQueue = false, connectTimeoutMs = 5000, commandTimeoutMs = 2000 } = {}) => {
+    const client = createClient({
+        url,
+        disableOfflineQueue: !offlineQueue,
+        commandOptions: { timeout: commandTimeoutMs },
+        socket: {
+            connectTimeout: connectTimeoutMs,
+            reconnectStrategy: (retries) => Math.min(MAX_RETRY_DELAY_MS, 500 * 2 ** retries)
+        }
+    });
+
+    client.lastError = null;
+    client.on('error', (error) => {
+        client.lastError = error;
+    });
+    client.on('ready', () => {
+        client.lastError = null;
+    });
+
+    client.connect().catch(() => { /* recorded by the error listener; reconnects on its own */ });
+    return client;
+};
+
+/**
+ * Host, port and database of a Redis URL without credentials, for status output
+ * @param {string} url - redis:// or rediss:// URL
+ */
+export const redisAddress = (url) => {
+    const parsed = new URL(url);
+    return `${parsed.hostname || '127.0.0.1'}:${Number(parsed.port) || 6379}/${Number(parsed.pathname.slice(1)) || 0}`;
+};
+
+export default createRedisClient;
@@ -0,0 +1,202 @@
+import mongoose from 'mongoose';
+import { ClusterAdapterWithHeartbeat } from 'socket.io-adapter';
+import { createRedisClient } from './redisClient.js';
+
+/**
+ * Socket.IO Cluster Adapters
+ * Share rooms between server processes so that emits (including getIO() emits
+ * from REST routes) reach sockets connected to any instance.
+ *
+ * - "redis": Redis-protocol Pub/Sub on REDIS_URL
+ * - "mongo": a capped collection watched through a change stream (needs a replica set)
+ *
+ * Both build on socket.io-adapter's ClusterAdapterWithHeartbeat, which handles
+ * broadcasts, remote joins/leaves, fetchSockets and node liveness; the classes
+ * here only move cluster messages between instances.
+ */
+
+const DEFAULT_CHANNEL_PREFIX = 'renters:socket.io';
+const DEFAULT_COLLECTION = 'socket_io_adapter_events';
+const DEFAULT_COLLECTION_SIZE = 10 * 1024 * 1024; // bytes
+const CHANGE_STREAM_RETRY_MS = 5000;
+
+/* ---------------------- REDIS PUB/SUB ---------------------- */
+
+/**
+ * Messages are JSON encoded, so binary payloads are not supported; the app
+ * only emits plain objects.
+ */
+export class RedisSocketAdapter extends ClusterAdapterWithHeartbeat {
+    /**
+     * @param {Namespace} nsp - Socket.IO namespace
+     * @param {Object} options - { publisher, subscriber, channelPrefix, heartbeatInterval, heartbeatTimeout }
+     */
+    constructor(nsp, { publisher, subscriber, channelPrefix = DEFAULT_CHANNEL_PREFIX, ...opts }) {
+        super(nsp, opts);
+        this.publisher = publisher;
+        this.channel = `${channelPrefix}#${nsp.name}#`;
+
+        subscriber.subscribe(this.channel, (payload) => {
+            try {
+                this.onMessage(JSON.parse(payload));
+            } catch (error) {
+                console.error('[SocketAdapter] Invalid cluster message:', error.message);
+            }
+        }).then(() => this.init(), (error) => {
+            console.error('[SocketAdapter] Redis subscribe failed:', error.message);
+        });
+    }
+
+    async doPublish(message) {
+        await this.publisher.publish(this.channel, JSON.stringify(message));
+        return '';
+    }
+
+    // Responses share the channel; onMessage routes them to the requesting node
+    async doPublishResponse(requesterUid, response) {
+        await this.publisher.publish(this.channel, JSON.stringify(response));
+    }
+}
+
+/**
+ * @param {string} url - redis:// or rediss:// URL
+ * @param {Object} options - { channelPrefix, heartbeatInterval, heartbeatTimeout }
+ * @returns {Function} Adapter constructor for the Socket.IO `adapter` option
+ */
+export const createRedisAdapter = (url, options = {}) => {
+    // Subscribed connections cannot run other commands, so publish on a second one
+    const publisher = createRedisClient(url);
+    const subscriber = createRedisClient(url, { offlineQueue: true });
+
+    return function RedisAdapter(nsp) {
+        return new RedisSocketAdapter(nsp, { ...options, publisher, subscriber });
+    };
+};
+
+/* ---------------------- MONGODB CHANGE STREAM ---------------------- */
+
+export class MongoSocketAdapter extends ClusterAdapterWithHeartbeat {
+    /**
+     * @param {Namespace} nsp - Socket.IO namespace
+     * @param {Object} options - { collectionName, collectionSize, heartbeatInterval, heartbeatTimeout }
+     */
+    constructor(nsp, { collectionName = DEFAULT_COLLECTION, collectionSize = DEFAULT_COLLECTION_SIZE, ...opts }) {
+        super(nsp, opts);
+        this.collectionName = collectionName;
+        this.collectionSize = collectionSize;
+        this.changeStream = null;
+        this.resumeToken = null;
+        this.retryTimer = null;
+        this.closed = false;
+
+        this.ready = mongoose.connection.asPromise()
+            .then(() => this.ensureCollection())
+            .then(() => {
+                this.watch();
+                this.init();
+            });
+        this.ready.catch(error => {
+            console.error('[SocketAdapter] MongoDB adapter failed to start:', error.message);
+        });
+    }
+
+    get collection() {
+        return mongoose.connection.collection(this.collectionName);
+    }
+
+    /**
+     * Cluster messages are short-lived, so a capped collection keeps it bounded
+     */
+    async ensureCollection() {
+        try {
+            await mongoose.connection.db.createCollection(this.collectionName, {
+                capped: true,
+                size: this.collectionSize
+            });
+        } catch (error) {
+            // 48 = NamespaceExists: another instance created it first
+            if (error.code !== 48) throw error;
+        }
+    }
+
+    watch() {
+        if (this.closed) return;
+
+        this.changeStream = this.collection.watch(
+            [{ $match: { operationType: 'insert', 'fullDocument.nsp': this.nsp.name } }],
+            this.resumeToken ? { resumeAfter: this.resumeToken } : {}
+        );
+
+        this.changeStream.on('change', (change) => {
+            this.resumeToken = change._id;
+            const message = { ...change.fullDocument };
+            delete message._id;
+            delete message.createdAt;
+            this.onMessage(message, change.fullDocument._id.toString());
+        });
+
+        this.changeStream.on('error', (error) => {
+            console.error('[SocketAdapter] MongoDB change stream error:', error.message);
+            this.changeStream.close().catch(() => { });
+            this.changeStream = null;
+
+            // A resume token that fell out of the oplog cannot be used again
+            if (error.code === 286) this.resumeToken = null;
+
+            clearTimeout(this.retryTimer);
+            this.retryTimer = setTimeout(() => this.watch(), CHANGE_STREAM_RETRY_MS);
+            this.retryTimer.unref?.();
+        });
+    }
+
+    async doPublish(message) {
+        await this.ready;
+        const { insertedId } = await this.collection.insertOne({ ...message, createdAt: new Date() });
+        return insertedId.toString();
+    }
+
+    // Responses share the collection; onMessage routes them to the requesting node
+    async doPublishResponse(requesterUid, response) {
+        await this.ready;
+        await this.collection.insertOne({ ...response, createdAt: new Date() });
+    }
+
+    close() {
+        this.closed = true;
+        clearTimeout(this.retryTimer);
+        this.changeStream?.close().catch(() => { });
+        super.close();
+    }
+}
+
+/**
+ * @param {Object} options - { collectionName, collectionSize, heartbeatInterval, heartbeatTimeout }
+ * @returns {Function} Adapter constructor for the Socket.IO `adapter` option
+ */
+export const createMongoAdapter = (options = {}) => {
+    return function MongoAdapter(nsp) {
+        return new MongoSocketAdapter(nsp, options);
+    };
+};
+
+/* ---------------------- ADAPTER SELECTION ---------------------- */
+
+/**
+ * Create the adapter configured by SOCKET_ADAPTER ("memory", "redis" or "mongo").
+ * Returns null for "memory", which keeps Socket.IO's default single-process adapter.
+ * @param {string} type - Adapter type, defaults to SOCKET_ADAPTER or "memory"
+ */
+export const createSocketAdapter = (type = process.env.SOCKET_ADAPTER || 'memory') => {
+    if (type === 'redis') {
+        if (process.env.REDIS_URL) {
+            return createRedisAdapter(process.env.REDIS_URL, {
+                channelPrefix: `${process.env.CACHE_PREFIX || 'renters'}:socket.io`
+            });
+        }
+        console.warn('[SocketAdapter] SOCKET_ADAPTER=redis but REDIS_URL is not set, using the in-memory adapter');
+    }
+    if (type === 'mongo') {
+        return createMongoAdapter();
+    }
+    return null;
+};
@@ -0,0 +1,430 @@
+/**
+ * Notification Template Engine
+ * Renders notification templates written in a small Handlebars-like syntax:
+ *
+ *   {{name}}                          value, HTML-escaped in HTML templates
+ *   {{{name}}}                        value without escaping
+ *   {{price | currency}}              value through a formatter (see FORMATTERS)
+ *   {{#if name}}...{{else}}...{{/if}} also {{#if name == "value"}} and !=
+ *   {{#each items}}...{{/each}}       fields of the item are in scope, {{this}} is the item
+ *
+ * Values are looked up by dotted path, innermost #each item first. A block tag
+ * alone on its line removes the whole line, so text templates stay tidy.
+ */
+
+// Dates in templates are shown in this timezone unless the caller passes one; listings are in India
+const DEFAULT_TIMEZONE = 'Asia/Kolkata';
+
+export const VARIABLE_TYPES = ['string', 'number', 'currency', 'date', 'datetime', 'boolean', 'url', 'list'];
+
+// Compiled templates by source, so re-rendering the same template skips parsing
+const MAX_COMPILED = 500;
+const compiled = new Map();
+
+const TAG_PATTERN = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+const PATH_PATTERN = /^(?:this|@index|[A-Za-z_]\w*)(?:\.[A-Za-z_]\w*)*$/;
+const CONDITION_PATTERN = /^(\S+)\s*(==|!=)\s*(?:"([^"]*)"|'([^']*)'|(-?\d+(?:\.\d+)?)|(true|false))$/;
+
+/**
+ * Error in a template's syntax or data
+ */
+export class TemplateError extends Error {
+    constructor(message, { line = null, errors = [] } = {}) {
+        super(line ? `${message} (line ${line})` : message);
+        this.name = 'TemplateError';
+        this.line = line;
+        this.errors = errors;
+    }
+}
+
+/**
+ * Escape text for HTML element content and attribute values
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Intl locale for a template locale. Locales without a region use India's
+ * conventions for numbers and dates.
+ */
+const toIntlLocale = (locale = 'en') => (locale.includes('-') ? locale : `${locale}-IN`);
+
+const toDate = (value) => {
+    const date = value instanceof Date ? value : new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+const formatWithIntl = (locale, format) => {
+    try {
+        return format(toIntlLocale(locale));
+    } catch {
+        return format('en-IN');
+    }
+};
+
+/**
+ * Formatters usable as {{value | name}}. Typed variables use the formatter of
+ * their type by default. Values a formatter cannot handle are shown as they are.
+ */
+const FORMATTERS = {
+    number: (value, { locale }) => (
+        Number.isFinite(Number(value)) ? formatWithIntl(locale, l => Number(value).toLocaleString(l)) : value
+    ),
+    currency: (value, { locale }) => (
+        Number.isFinite(Number(value)) ? `₹${formatWithIntl(locale, l => Number(value).toLocaleString(l))}` : value
+    ),
+    date: (value, { locale, timezone }) => {
+        const date = toDate(value);
+        return date ? formatWithIntl(locale, l => date.toLocaleDateString(l, {
+            day: 'numeric', month: 'short', year: 'numeric', timeZone: timezone
+        })) : value;
+    },
+    datetime: (value, { locale, timezone }) => {
+        const date = toDate(value);
+        return date ? formatWithIntl(locale, l => date.toLocaleString(l, {
+            weekday: 'short', day: 'numeric', month: 'short', year: 'numeric',
+            hour: '2-digit', minute: '2-digit', timeZone: timezone
+        })) : value;
+    },
+    time: (value, { locale, timezone }) => {
+        const date = toDate(value);
+        return date ? formatWithIntl(locale, l => date.toLocaleTimeString(l, {
+            hour: '2-digit', minute: '2-digit', timeZone: timezone
+        })) : value;
+    },
+    upper: (value) => String(value).toUpperCase(),
+    lower: (value) => String(value).toLowerCase(),
+    json: (value) => JSON.stringify(value, null, 2)
+};
+
+export const FORMATTER_NAMES = Object.keys(FORMATTERS);
+
+const lineAt = (source, index) => source.slice(0, index).split('\n').length;
+
+/**
+ * Split a template into text and tag tokens. Block tags standing alone on a
+ * line take the line with them.
+ */
+function tokenize(source) {
+    const tokens = [];
+    let cursor = 0;
+    let match;
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+        const raw = match[1] !== undefined;
+        const content = (raw ? match[1] : match[2]).trim();
+        let start = match.index;
+        let end = TAG_PATTERN.lastIndex;
+
+        const isBlock = !raw && /^(#|\/|else$)/.test(content);
+        if (isBlock) {
+            const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+            const after = /^[ \t]*(\r?\n|$)/.exec(source.slice(end));
+            if (lineStart >= cursor && /^[ \t]*$/.test(source.slice(lineStart, start)) && after) {
+                start = lineStart;
+                end += after[0].length;
+            }
+        }
+
+        if (start > cursor) {
+            tokens.push({ type: 'text', value: source.slice(cursor, start) });
+        }
+        tokens.push({ type: 'tag', raw, content, line: lineAt(source, match.index) });
+        cursor = end;
+        TAG_PATTERN.lastIndex = end;
+    }
+
+    if (cursor < source.length) {
+        tokens.push({ type: 'text', value: source.slice(cursor) });
+    }
+    return tokens;
+}
+
+function parseCondition(expression, line) {
+    const comparison = CONDITION_PATTERN.exec(expression);
+    if (comparison) {
+        const [, path, operator, doubleQuoted, singleQuoted, number, boolean] = comparison;
+        if (!PATH_PATTERN.test(path)) {
+            throw new TemplateError(`Invalid variable name "${path}"`, { line });
+        }
+        let value = doubleQuoted ?? singleQuoted;
+        if (number !== undefined) value = Number(number);
+        if (boolean !== undefined) value = boolean === 'true';
+        return { path, operator, value };
+    }
+
+    if (!PATH_PATTERN.test(expression)) {
+        throw new TemplateError(`Invalid condition "${expression}"`, { line });
+    }
+    return { path: expression };
+}
+
+function parseVariable(content, raw, line) {
+    const [path, formatter, ...rest] = content.split('|').map(part => part.trim());
+    if (!PATH_PATTERN.test(path) || rest.length > 0) {
+        throw new TemplateError(`Invalid tag "{{${content}}}"`, { line });
+    }
+    if (formatter !== undefined && !FORMATTERS[formatter]) {
+        throw new TemplateError(`Unknown formatter "${formatter}"`, { line });
+    }
+    return { type: 'variable', path, formatter, raw };
+}
+
+/**
+ * Parse a template into a tree of text, variable, if and each nodes
+ * @param {string} source - Template source
+ * @returns {Array} Nodes
+ * @throws {TemplateError} On a syntax error
+ */
+export function compileTemplate(source = '') {
+    if (compiled.has(source)) {
+        return compiled.get(source);
+    }
+
+    const root = { children: [] };
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+
+    for (const token of tokenize(source)) {
+        const block = current();
+        const target = block.inElse ? block.otherwise : block.children;
+
+        if (token.type === 'text') {
+            target.push({ type: 'text', value: token.value });
+            continue;
+        }
+
+        const { content, raw, line } = token;
+
+        if (!raw && content.startsWith('#if ')) {
+            const node = { type: 'if', condition: parseCondition(content.slice(4).trim(), line), children: [], otherwise: [], line };
+            target.push(node);
+            stack.push(node);
+        } else if (!raw && content.startsWith('#each ')) {
+            const path = content.slice(6).trim();
+            if (!PATH_PATTERN.test(path)) {
+                throw new TemplateError(`Invalid list name "${path}"`, { line });
+            }
+            const node = { type: 'each', path, children: [], line };
+            target.push(node);
+            stack.push(node);
+        } else if (!raw && content === 'else') {
+            if (block.type !== 'if' || block.inElse) {
+                throw new TemplateError('{{else}} without a matching {{#if}}', { line });
+            }
+            block.inElse = true;
+        } else if (!raw && (content === '/if' || content === '/each')) {
+            const expected = content.slice(1);
+            if (block.type !== expected) {
+                throw new TemplateError(`{{${content}}} without a matching {{#${expected}}}`, { line });
+            }
+            delete block.inElse;
+            stack.pop();
+        } else if (!raw && /^[#/]/.test(content)) {
+            throw new TemplateError(`Unknown block "{{${content}}}"`, { line });
+        } else {
+            target.push(parseVariable(content, raw, line));
+        }
+    }
+
+    if (stack.length > 1) {
+        const open = current();
+        throw new TemplateError(`{{#${open.type}}} block is never closed`, { line: open.line });
+    }
+
+    if (compiled.size >= MAX_COMPILED) {
+        compiled.clear();
+    }
+    compiled.set(source, root.children);
+    return root.children;
+}
+
+/**
+ * Names of the top-level variables a template uses, for checking declarations
+ * @param {string} source - Template source
+ * @returns {string[]} Variable names
+ */
+export function getTemplateVariables(source) {
+    const names = new Set();
+
+    const visit = (nodes, inEach) => {
+        for (const node of nodes) {
+            if (node.type === 'variable' || node.type === 'if') {
+                const path = node.type === 'if' ? node.condition.path : node.path;
+                const name = path.split('.')[0];
+                if (!inEach && name !== 'this' && name !== '@index') names.add(name);
+            }
+            if (node.type === 'each') {
+                if (!inEach) names.add(node.path.split('.')[0]);
+                visit(node.children, true);
+            }
+            if (node.type === 'if') {
+                visit(node.children, inEach);
+                visit(node.otherwise, inEach);
+            }
+        }
+    };
+
+    visit(compileTemplate(source), false);
+    return [...names];
+}
+
+function lookup(path, scopes) {
+    const [head, ...rest] = path.split('.');
+
+    for (let i = scopes.length - 1; i >= 0; i--) {
+        const scope = scopes[i];
+        let value;
+
+        if (head === 'this') {
+            if (!scope.isItem) continue;
+            value = scope.item;
+        } else if (head === '@index') {
+            if (!scope.isItem) continue;
+            value = scope.index;
+        } else if (scope.values !== null && typeof scope.values === 'object' && head in scope.values) {
+            value = scope.values[head];
+        } else {
+            continue;
+        }
+
+        return rest.reduce((object, key) => (object == null ? undefined : object[key]), value);
+    }
+    return undefined;
+}
+
+const isTruthy = (value) => (Array.isArray(value) ? value.length > 0 : Boolean(value));
+
+function renderNodes(nodes, scopes, options) {
+    let output = '';
+
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.value;
+        } else if (node.type === 'variable') {
+            let value = lookup(node.path, scopes);
+            if (value === undefined || value === null) continue;
+
+            const formatter = node.formatter
+                || (!node.path.includes('.') && options.types[node.path]);
+            if (formatter && FORMATTERS[formatter]) {
+                value = FORMATTERS[formatter](value, options);
+            }
+            output += node.raw || !options.html ? String(value) : escapeHtml(value);
+        } else if (node.type === 'if') {
+            const { path, operator, value } = node.condition;
+            const actual = lookup(path, scopes);
+            let passed;
+            if (operator === '==') passed = actual === value || String(actual) === String(value);
+            else if (operator === '!=') passed = !(actual === value || String(actual) === String(value));
+            else passed = isTruthy(actual);
+
+            output += renderNodes(passed ? node.children : node.otherwise, scopes, options);
+        } else if (node.type === 'each') {
+            const list = lookup(node.path, scopes);
+            if (!Array.isArray(list)) continue;
+
+            list.forEach((item, index) => {
+                output += renderNodes(node.children, [...scopes, { values: item, item, index, isItem: true }], options);
+            });
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Render a template
+ * @param {string} source - Template source
+ * @param {object} data - Variable values
+ * @param {object} options - { html, locale, timezone, variables } - html escapes values;
+ *   variables are the template's declarations, whose types pick default formatters
+ * @returns {string} Rendered text
+ * @throws {TemplateError} On a syntax error
+ */
+export function renderTemplate(source, data = {}, {
+    html = false,
+    locale = 'en',
+    timezone = DEFAULT_TIMEZONE,
+    variables = []
+} = {}) {
+    const types = {};
+    for (const variable of variables) {
+        if (FORMATTERS[variable.type]) types[variable.name] = variable.type;
+    }
+
+    return renderNodes(compileTemplate(source), [{ values: data }], { html, locale, timezone, types });
+}
+
+/**
+ * Check data against a template's variable declarations, filling in defaults
+ * and converting values to their declared type
+ * @param {Array} variables - [{ name, type, required, defaultValue }]
+ * @param {object} data - Values passed by the caller
+ * @returns {{valid: boolean, errors: string[], data: object}}
+ */
+export function prepareTemplateData(variables = [], data = {}) {
+    const errors = [];
+    const prepared = { ...data };
+
+    for (const { name, type = 'string', required = false, defaultValue } of variables) {
+        let value = prepared[name];
+
+        if ((value === undefined || value === null || value === '') && defaultValue !== undefined && defaultValue !== null) {
+            value = defaultValue;
+        }
+
+        if (value === undefined || value === null || value === '') {
+            if (required) errors.push(`"${name}" is required`);
+            continue;
+        }
+
+        switch (type) {
+            case 'number':
+            case 'currency':
+                if (!Number.isFinite(Number(value))) {
+                    errors.push(`"${name}" must be a number`);
+                } else {
+                    value = Number(value);
+                }
+                break;
+            case 'date':
+            case 'datetime':
+                if (!toDate(value)) errors.push(`"${name}" must be a date`);
+                break;
+            case 'boolean':
+                value = value === true || value === 'true';
+                break;
+            case 'url':
+                if (!/^https?:\/\//i.test(String(value))) errors.push(`"${name}" must be an http(s) URL`);
+                break;
+            case 'list':
+                if (!Array.isArray(value)) errors.push(`"${name}" must be a list`);
+                break;
+            default:
+                value = typeof value === 'object' ? value : String(value);
+        }
+
+        prepared[name] = value;
+    }
+
+    return { valid: errors.length === 0, errors, data: prepared };
+}
+
+export default {
+    compileTemplate,
+    renderTemplate,
+    prepareTemplateData,
+    getTemplateVariables,
+    escapeHtml,
+    TemplateError
+};
@@ -6,6 +6,8 @@ import express from "express";
 import createServer from "./index.js";
 import { validateEnv, getSafeConfigForLogging, EnvValidationError } from "./src/config/envSchema.js";
 import logger from "./src/services/loggerService.js";
+import { startSavedSearchCron } from "./src/cron/savedSearchCron.js";
+import { startNotificationDigestCron } from "./src/cron/notificationDigestCron.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
@@ -104,6 +106,12 @@ async function startServer() {
         httpServer.listen(PORT, () => {
             console.log(`Server running on http://localhost:${PORT}`);
         });
+
+        // Saved search alerts and daily digests
+        await startSavedSearchCron();
+
+        // Notification emails, digests and quiet hours
+        await startNotificationDigestCron();
     } catch (error) {
         console.error("Failed to start server:", error);
         process.exit(1);
@@ -70,6 +70,16 @@ export const PROPERTY_TYPE_LABELS = {
     commercial: 'Commercial'
 };
 
+// Property types offered per category (the free-form `propertyType` field)
+export const CATEGORY_PROPERTY_TYPES = {
+    room: ['Single Room', 'Double Room', 'Triple Room', 'Dormitory'],
+    flat: ['Studio', '1 BHK', '2 BHK', '3 BHK', '4 BHK', 'Villa'],
+    house: ['Independent House', 'Villa', 'Bungalow', 'Farmhouse'],
+    pg: ['Single Sharing', 'Double Sharing', 'Triple Sharing', 'Four Sharing'],
+    hostel: ['Single Room', 'Double Sharing', 'Dormitory'],
+    commercial: ['Shop', 'Office', 'Co-working Space', 'Hall', 'Warehouse']
+};
+
 // Furnishing options
 export const FURNISHING_OPTIONS = ['unfurnished', 'semi', 'fully'];
 